@@ -8,6 +8,7 @@ module.exports = {
     'src/**/*.js',
     '!src/index.js',
     '!src/config/*.js',
+    '!src/__tests__/helpers/*.js',
     '!**/node_modules/**',
   ],
   coverageDirectory: 'coverage',
@@ -19,6 +20,7 @@ module.exports = {
     '<rootDir>/src/**/*.test.js',
     '<rootDir>/tests/**/*.test.js',
   ],
+  testPathIgnorePatterns: ['/node_modules/', '/__tests__/helpers/'],
   
   // Setup files
   setupFilesAfterEnv: [],
@@ -0,0 +1,45 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    try {
+      // Add two-factor authentication fields to users table
+      await queryInterface.addColumn('users', 'two_factor_enabled', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Whether TOTP two-factor authentication is required at login'
+      });
+
+      await queryInterface.addColumn('users', 'two_factor_secret', {
+        type: Sequelize.STRING,
+        allowNull: true,
+        comment: 'Base32 TOTP secret'
+      });
+
+      await queryInterface.addColumn('users', 'two_factor_backup_codes', {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'JSON array of SHA-256 hashed backup codes'
+      });
+
+      console.log('✅ Two-factor fields added to users table successfully');
+    } catch (error) {
+      console.error('❌ Error adding two-factor fields to users:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.removeColumn('users', 'two_factor_backup_codes');
+      await queryInterface.removeColumn('users', 'two_factor_secret');
+      await queryInterface.removeColumn('users', 'two_factor_enabled');
+
+      console.log('✅ Two-factor fields removed from users table successfully');
+    } catch (error) {
+      console.error('❌ Error removing two-factor fields from users:', error);
+      throw error;
+    }
+  }
+};
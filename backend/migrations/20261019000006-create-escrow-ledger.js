@@ -0,0 +1,345 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // ESCROWS table (one per funded campaign, mirrors wallets)
+    await queryInterface.createTable('escrows', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      campaign_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'campaigns',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'NO ACTION'
+      },
+      brand_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'NO ACTION'
+      },
+      payment_intent_id: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: 'USD'
+      },
+      held_balance: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      released_amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      refunded_amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      status: {
+        type: Sequelize.ENUM('pending_payment', 'funded', 'partially_released', 'released', 'refunded', 'disputed', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'pending_payment'
+      },
+      funded_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      closed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('escrows', ['campaign_id'], {
+      name: 'escrows_campaign_id_index'
+    });
+
+    await queryInterface.addIndex('escrows', ['brand_id'], {
+      name: 'escrows_brand_id_index'
+    });
+
+    await queryInterface.addIndex('escrows', ['status'], {
+      name: 'escrows_status_index'
+    });
+
+    // ESCROW_TRANSACTIONS table (double-entry ledger legs, mirrors transactions)
+    await queryInterface.createTable('escrow_transactions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      escrow_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'escrows',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'NO ACTION'
+      },
+      entry_id: {
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      account: {
+        type: Sequelize.ENUM('processor_clearing', 'escrow_liability', 'dispute_hold', 'influencer_payable', 'platform_revenue'),
+        allowNull: false
+      },
+      direction: {
+        type: Sequelize.ENUM('debit', 'credit'),
+        allowNull: false
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: 'USD'
+      },
+      type: {
+        type: Sequelize.ENUM(
+          'deposit',
+          'withdrawal',
+          'escrow_hold',
+          'escrow_release',
+          'payment',
+          'refund',
+          'commission',
+          'dispute_hold',
+          'dispute_release'
+        ),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'completed', 'failed', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      reference_id: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      reference_type: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      payment_gateway: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        defaultValue: 'stripe'
+      },
+      gateway_transaction_id: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      gateway_response: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('escrow_transactions', ['escrow_id'], {
+      name: 'escrow_transactions_escrow_id_index'
+    });
+
+    await queryInterface.addIndex('escrow_transactions', ['entry_id'], {
+      name: 'escrow_transactions_entry_id_index'
+    });
+
+    await queryInterface.addIndex('escrow_transactions', ['account'], {
+      name: 'escrow_transactions_account_index'
+    });
+
+    await queryInterface.addIndex('escrow_transactions', ['type'], {
+      name: 'escrow_transactions_type_index'
+    });
+
+    await queryInterface.addIndex('escrow_transactions', ['status'], {
+      name: 'escrow_transactions_status_index'
+    });
+
+    await queryInterface.addIndex('escrow_transactions', ['created_at'], {
+      name: 'escrow_transactions_created_at_index'
+    });
+
+    // PAYOUTS table (amounts owed and paid to influencers)
+    await queryInterface.createTable('payouts', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      escrow_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'escrows',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'NO ACTION'
+      },
+      application_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'campaign_applications',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      influencer_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'NO ACTION'
+      },
+      gross_amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      platform_fee: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: 'USD'
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'processing', 'paid', 'failed', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      reason: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      payment_gateway: {
+        type: Sequelize.STRING,
+        allowNull: true,
+        defaultValue: 'stripe'
+      },
+      gateway_transfer_id: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      failure_reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      paid_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('payouts', ['escrow_id'], {
+      name: 'payouts_escrow_id_index'
+    });
+
+    await queryInterface.addIndex('payouts', ['influencer_id'], {
+      name: 'payouts_influencer_id_index'
+    });
+
+    await queryInterface.addIndex('payouts', ['application_id'], {
+      name: 'payouts_application_id_index'
+    });
+
+    await queryInterface.addIndex('payouts', ['status'], {
+      name: 'payouts_status_index'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('payouts');
+    await queryInterface.dropTable('escrow_transactions');
+    await queryInterface.dropTable('escrows');
+  }
+};
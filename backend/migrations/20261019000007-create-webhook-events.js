@@ -0,0 +1,74 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // WEBHOOK_EVENTS table (processed provider events, for replay deduplication)
+    await queryInterface.createTable('webhook_events', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      provider: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        defaultValue: 'stripe'
+      },
+      event_id: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      type: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('processing', 'processed', 'failed'),
+        allowNull: false,
+        defaultValue: 'processing'
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      last_error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      processed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('webhook_events', ['provider', 'event_id'], {
+      name: 'webhook_events_provider_event_id_unique',
+      unique: true
+    });
+
+    await queryInterface.addIndex('webhook_events', ['type'], {
+      name: 'webhook_events_type_index'
+    });
+
+    await queryInterface.addIndex('webhook_events', ['status'], {
+      name: 'webhook_events_status_index'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('webhook_events');
+  }
+};
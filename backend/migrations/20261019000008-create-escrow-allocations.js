@@ -0,0 +1,185 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // ESCROW_ALLOCATIONS table (each application's share of a campaign escrow)
+    await queryInterface.createTable('escrow_allocations', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      escrow_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'escrows',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'NO ACTION'
+      },
+      application_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'campaign_applications',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'NO ACTION'
+      },
+      influencer_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'NO ACTION'
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      released_amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: 'USD'
+      },
+      status: {
+        type: Sequelize.ENUM('active', 'released', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'active'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('escrow_allocations', ['escrow_id'], {
+      name: 'escrow_allocations_escrow_id_index'
+    });
+
+    await queryInterface.addIndex('escrow_allocations', ['application_id'], {
+      name: 'escrow_allocations_application_id_unique',
+      unique: true
+    });
+
+    await queryInterface.addIndex('escrow_allocations', ['influencer_id'], {
+      name: 'escrow_allocations_influencer_id_index'
+    });
+
+    await queryInterface.addIndex('escrow_allocations', ['status'], {
+      name: 'escrow_allocations_status_index'
+    });
+
+    // ESCROW_MILESTONES table (release schedule within an allocation)
+    await queryInterface.createTable('escrow_milestones', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      allocation_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'escrow_allocations',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      title: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      sort_order: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      trigger: {
+        type: Sequelize.ENUM('manual', 'content_approved'),
+        allowNull: false,
+        defaultValue: 'manual'
+      },
+      release_delay_days: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'approved', 'released', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      approved_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      releasable_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      released_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      payout_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'payouts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('escrow_milestones', ['allocation_id'], {
+      name: 'escrow_milestones_allocation_id_index'
+    });
+
+    await queryInterface.addIndex('escrow_milestones', ['status', 'releasable_at'], {
+      name: 'escrow_milestones_status_releasable_at_index'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('escrow_milestones');
+    await queryInterface.dropTable('escrow_allocations');
+  }
+};
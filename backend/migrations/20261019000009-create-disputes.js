@@ -0,0 +1,241 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const userReference = {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'NO ACTION'
+    };
+
+    // DISPUTES table (one open dispute freezes its campaign escrow)
+    await queryInterface.createTable('disputes', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      escrow_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'escrows',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'NO ACTION'
+      },
+      campaign_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'campaigns',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'NO ACTION'
+      },
+      application_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'campaign_applications',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'NO ACTION'
+      },
+      brand_id: userReference,
+      influencer_id: userReference,
+      opened_by: userReference,
+      dispute_type: {
+        type: Sequelize.ENUM('content_not_delivered', 'content_quality', 'payment_delay', 'breach_of_contract', 'other'),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('opened', 'evidence_requested', 'under_review', 'resolved_refund', 'resolved_release', 'split'),
+        allowNull: false,
+        defaultValue: 'opened'
+      },
+      frozen_amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      hold_entry_id: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      evidence_request_note: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      evidence_due_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      refund_amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true
+      },
+      release_amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true
+      },
+      resolution_notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      resolved_by: {
+        ...userReference,
+        allowNull: true,
+        onDelete: 'SET NULL'
+      },
+      resolved_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('disputes', ['escrow_id'], {
+      name: 'disputes_escrow_id_index'
+    });
+
+    await queryInterface.addIndex('disputes', ['application_id'], {
+      name: 'disputes_application_id_index'
+    });
+
+    await queryInterface.addIndex('disputes', ['brand_id'], {
+      name: 'disputes_brand_id_index'
+    });
+
+    await queryInterface.addIndex('disputes', ['influencer_id'], {
+      name: 'disputes_influencer_id_index'
+    });
+
+    await queryInterface.addIndex('disputes', ['status'], {
+      name: 'disputes_status_index'
+    });
+
+    // DISPUTE_EVIDENCE table (uploaded files and statements)
+    await queryInterface.createTable('dispute_evidence', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      dispute_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'disputes',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      submitted_by: userReference,
+      upload_key: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      file_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('dispute_evidence', ['dispute_id'], {
+      name: 'dispute_evidence_dispute_id_index'
+    });
+
+    // DISPUTE_MESSAGES table (thread between brand, influencer and admins)
+    await queryInterface.createTable('dispute_messages', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      dispute_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'disputes',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      sender_id: userReference,
+      sender_role: {
+        type: Sequelize.ENUM('brand', 'influencer', 'admin'),
+        allowNull: false
+      },
+      body: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      is_system: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('dispute_messages', ['dispute_id', 'created_at'], {
+      name: 'dispute_messages_dispute_id_created_at_index'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('dispute_messages');
+    await queryInterface.dropTable('dispute_evidence');
+    await queryInterface.dropTable('disputes');
+  }
+};
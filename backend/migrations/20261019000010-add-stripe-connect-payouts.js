@@ -0,0 +1,56 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    try {
+      // Connected account that receives influencer payouts
+      await queryInterface.addColumn('users', 'stripe_account_id', {
+        type: Sequelize.STRING,
+        allowNull: true,
+        unique: true,
+        comment: 'Stripe Connect express account ID'
+      });
+
+      await queryInterface.addColumn('users', 'payouts_enabled', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Whether Stripe has enabled payouts for the connected account'
+      });
+
+      // Transfer retry tracking
+      await queryInterface.addColumn('payouts', 'attempts', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      });
+
+      await queryInterface.addColumn('payouts', 'next_attempt_at', {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+
+      await queryInterface.addIndex('payouts', ['status', 'next_attempt_at']);
+
+      console.log('✅ Stripe Connect payout fields added successfully');
+    } catch (error) {
+      console.error('❌ Error adding Stripe Connect payout fields:', error);
+      throw error;
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    try {
+      await queryInterface.removeIndex('payouts', ['status', 'next_attempt_at']);
+      await queryInterface.removeColumn('payouts', 'next_attempt_at');
+      await queryInterface.removeColumn('payouts', 'attempts');
+      await queryInterface.removeColumn('users', 'payouts_enabled');
+      await queryInterface.removeColumn('users', 'stripe_account_id');
+
+      console.log('✅ Stripe Connect payout fields removed successfully');
+    } catch (error) {
+      console.error('❌ Error removing Stripe Connect payout fields:', error);
+      throw error;
+    }
+  }
+};
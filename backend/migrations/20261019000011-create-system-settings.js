@@ -0,0 +1,87 @@
+'use strict';
+
+const FEE_SETTINGS = [
+  {
+    key: 'platform_commission_rate',
+    value: 0.10,
+    description: 'Platform commission on released escrow funds (10%), used when no tier rate applies'
+  },
+  {
+    key: 'tier_commission_rates',
+    value: {},
+    description: 'Commission rate overrides per subscription tier, e.g. {"pro": 0.08}; defaults come from the tier definitions'
+  },
+  {
+    key: 'processor_fees',
+    value: {
+      default: { percent: 0.029, fixed: 0.30 },
+      EUR: { percent: 0.015, fixed: 0.25 },
+      GBP: { percent: 0.015, fixed: 0.20 }
+    },
+    description: 'Card processor fee per currency (percent of the charge plus a fixed amount); absorbed by the platform'
+  },
+  {
+    key: 'fee_waivers',
+    value: [],
+    description: 'Promotional commission waivers: [{id, description, discount, startsAt, endsAt, brandIds, tiers, currencies}]'
+  }
+];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // SYSTEM_SETTINGS table (same shape as database/schema.sql)
+    await queryInterface.createTable('system_settings', {
+      key: {
+        type: Sequelize.STRING,
+        primaryKey: true,
+        allowNull: false
+      },
+      value: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      updated_by: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.bulkInsert('system_settings', FEE_SETTINGS.map(setting => ({
+      key: setting.key,
+      value: JSON.stringify(setting.value),
+      description: setting.description,
+      updated_at: new Date()
+    })));
+
+    // Ledger entry types for processor fees and promotional fee waivers
+    if (queryInterface.sequelize.getDialect() === 'postgres') {
+      await queryInterface.sequelize.query(
+        'ALTER TYPE "enum_escrow_transactions_type" ADD VALUE IF NOT EXISTS \'processor_fee\''
+      );
+      await queryInterface.sequelize.query(
+        'ALTER TYPE "enum_escrow_transactions_type" ADD VALUE IF NOT EXISTS \'fee_waiver\''
+      );
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    // Postgres cannot drop enum values; unused processor_fee/fee_waiver values are harmless
+    await queryInterface.dropTable('system_settings');
+  }
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Stripe customer billed for brand subscriptions
+    await queryInterface.addColumn('users', 'stripe_customer_id', {
+      type: Sequelize.STRING,
+      allowNull: true,
+      unique: true
+    });
+
+    // SUBSCRIPTIONS table (brand subscriptions to paid tiers, synced from Stripe webhooks)
+    await queryInterface.createTable('subscriptions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      tier: {
+        type: Sequelize.ENUM('basic', 'pro', 'enterprise'),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('incomplete', 'incomplete_expired', 'trialing', 'active', 'past_due', 'canceled', 'unpaid'),
+        allowNull: false,
+        defaultValue: 'incomplete'
+      },
+      stripe_subscription_id: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        unique: true
+      },
+      stripe_customer_id: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      stripe_price_id: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      current_period_start: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      current_period_end: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      cancel_at_period_end: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      canceled_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      cancellation_reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('subscriptions', ['user_id'], {
+      name: 'subscriptions_user_id_index'
+    });
+
+    await queryInterface.addIndex('subscriptions', ['stripe_customer_id'], {
+      name: 'subscriptions_stripe_customer_id_index'
+    });
+
+    await queryInterface.addIndex('subscriptions', ['status'], {
+      name: 'subscriptions_status_index'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('subscriptions');
+    await queryInterface.removeColumn('users', 'stripe_customer_id');
+  }
+};
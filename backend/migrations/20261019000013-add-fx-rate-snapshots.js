@@ -0,0 +1,70 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // FX_RATE_SNAPSHOTS table (rate sets used when escrows are funded and payouts are made)
+    await queryInterface.createTable('fx_rate_snapshots', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      provider: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      base_currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false
+      },
+      rates: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      rates_as_of: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('fx_rate_snapshots', ['provider', 'base_currency', 'rates_as_of'], {
+      name: 'fx_rate_snapshots_provider_base_as_of_unique',
+      unique: true
+    });
+
+    const snapshotReference = {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'fx_rate_snapshots',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    };
+
+    await queryInterface.addColumn('escrows', 'funding_fx_snapshot_id', snapshotReference);
+    await queryInterface.addColumn('payouts', 'fx_snapshot_id', snapshotReference);
+
+    // Currency analytics and fee amounts are reported in
+    await queryInterface.addColumn('users', 'preferred_currency', {
+      type: Sequelize.STRING(3),
+      allowNull: false,
+      defaultValue: 'USD'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('users', 'preferred_currency');
+    await queryInterface.removeColumn('payouts', 'fx_snapshot_id');
+    await queryInterface.removeColumn('escrows', 'funding_fx_snapshot_id');
+    await queryInterface.dropTable('fx_rate_snapshots');
+  }
+};
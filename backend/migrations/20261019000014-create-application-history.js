@@ -0,0 +1,70 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // APPLICATION_HISTORY table (every status, content approval and payment status change)
+    await queryInterface.createTable('application_history', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      application_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'campaign_applications',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      field: {
+        type: Sequelize.ENUM('status', 'contentApprovalStatus', 'paymentStatus'),
+        allowNull: false
+      },
+      from_value: {
+        type: Sequelize.STRING(32),
+        allowNull: true
+      },
+      to_value: {
+        type: Sequelize.STRING(32),
+        allowNull: false
+      },
+      actor_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      actor_role: {
+        type: Sequelize.ENUM('brand', 'influencer', 'admin', 'system'),
+        allowNull: false,
+        defaultValue: 'system'
+      },
+      note: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('application_history', ['application_id', 'created_at'], {
+      name: 'application_history_application_id_created_at_index'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('application_history');
+  }
+};
@@ -0,0 +1,199 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const reference = (model, { allowNull = false, onDelete = 'CASCADE' } = {}) => ({
+      type: Sequelize.UUID,
+      allowNull,
+      references: {
+        model,
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete
+    });
+
+    const timestamps = {
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    };
+
+    // Revision rounds a brand may request per deliverable
+    await queryInterface.addColumn('campaigns', 'max_revisions', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 2
+    });
+
+    // CAMPAIGN_DELIVERABLES table (content owed on an application)
+    await queryInterface.createTable('campaign_deliverables', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      campaign_id: reference('campaigns'),
+      influencer_id: reference('users', { onDelete: 'NO ACTION' }),
+      application_id: reference('campaign_applications'),
+      title: {
+        type: Sequelize.STRING(200),
+        allowNull: true
+      },
+      platform: {
+        type: Sequelize.ENUM('instagram', 'tiktok', 'youtube', 'twitter', 'facebook', 'linkedin', 'snapchat', 'pinterest', 'twitch'),
+        allowNull: false
+      },
+      content_type: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('submitted', 'needs_revision', 'approved', 'rejected', 'published'),
+        allowNull: false,
+        defaultValue: 'submitted'
+      },
+      current_version: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      content_url: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      approval_date: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      publish_date: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      ...timestamps
+    });
+
+    await queryInterface.addIndex('campaign_deliverables', ['application_id'], {
+      name: 'campaign_deliverables_application_id_index'
+    });
+    await queryInterface.addIndex('campaign_deliverables', ['campaign_id'], {
+      name: 'campaign_deliverables_campaign_id_index'
+    });
+    await queryInterface.addIndex('campaign_deliverables', ['influencer_id'], {
+      name: 'campaign_deliverables_influencer_id_index'
+    });
+    await queryInterface.addIndex('campaign_deliverables', ['status'], {
+      name: 'campaign_deliverables_status_index'
+    });
+
+    // DELIVERABLE_VERSIONS table (one row per submission round)
+    await queryInterface.createTable('deliverable_versions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      deliverable_id: reference('campaign_deliverables'),
+      version: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      caption: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      content_url: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      assets: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: []
+      },
+      notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      submitted_by: reference('users', { onDelete: 'NO ACTION' }),
+      status: {
+        type: Sequelize.ENUM('submitted', 'approved', 'needs_revision', 'rejected'),
+        allowNull: false,
+        defaultValue: 'submitted'
+      },
+      review_summary: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      reviewed_by: reference('users', { allowNull: true, onDelete: 'SET NULL' }),
+      reviewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      ...timestamps
+    });
+
+    await queryInterface.addIndex('deliverable_versions', ['deliverable_id', 'version'], {
+      name: 'deliverable_versions_deliverable_id_version_unique',
+      unique: true
+    });
+
+    // DELIVERABLE_COMMENTS table (review feedback anchored to a version, asset or video timestamp)
+    await queryInterface.createTable('deliverable_comments', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      deliverable_id: reference('campaign_deliverables'),
+      version_id: reference('deliverable_versions'),
+      author_id: reference('users', { onDelete: 'NO ACTION' }),
+      author_role: {
+        type: Sequelize.ENUM('brand', 'influencer', 'admin'),
+        allowNull: false
+      },
+      body: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      asset_id: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      timestamp_seconds: {
+        type: Sequelize.DECIMAL(10, 3),
+        allowNull: true
+      },
+      resolved_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      ...timestamps
+    });
+
+    await queryInterface.addIndex('deliverable_comments', ['version_id', 'created_at'], {
+      name: 'deliverable_comments_version_id_created_at_index'
+    });
+    await queryInterface.addIndex('deliverable_comments', ['deliverable_id'], {
+      name: 'deliverable_comments_deliverable_id_index'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('deliverable_comments');
+    await queryInterface.dropTable('deliverable_versions');
+    await queryInterface.dropTable('campaign_deliverables');
+    await queryInterface.removeColumn('campaigns', 'max_revisions');
+  }
+};
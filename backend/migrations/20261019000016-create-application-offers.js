@@ -0,0 +1,103 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const reference = (model, { allowNull = false, onDelete = 'CASCADE' } = {}) => ({
+      type: Sequelize.UUID,
+      allowNull,
+      references: {
+        model,
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete
+    });
+
+    // Set once an offer is accepted
+    await queryInterface.addColumn('campaign_applications', 'rate_agreed_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    // APPLICATION_OFFERS table (rate negotiation thread of an application)
+    await queryInterface.createTable('application_offers', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      application_id: reference('campaign_applications'),
+      previous_offer_id: reference('application_offers', { allowNull: true, onDelete: 'SET NULL' }),
+      proposed_by: reference('users', { onDelete: 'NO ACTION' }),
+      proposer_role: {
+        type: Sequelize.ENUM('brand', 'influencer'),
+        allowNull: false
+      },
+      rate: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: 'USD'
+      },
+      deliverables: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      timeline: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      message: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('active', 'accepted', 'declined', 'countered', 'withdrawn', 'expired'),
+        allowNull: false,
+        defaultValue: 'active'
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      responded_by: reference('users', { allowNull: true, onDelete: 'SET NULL' }),
+      responded_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('application_offers', ['application_id', 'created_at'], {
+      name: 'application_offers_application_id_created_at_index'
+    });
+    await queryInterface.addIndex('application_offers', ['status', 'expires_at'], {
+      name: 'application_offers_status_expires_at_index'
+    });
+    // Only one offer per application can be waiting for an answer
+    await queryInterface.addIndex('application_offers', ['application_id'], {
+      name: 'application_offers_one_active_per_application',
+      unique: true,
+      where: { status: 'active' }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('application_offers');
+    await queryInterface.removeColumn('campaign_applications', 'rate_agreed_at');
+  }
+};
@@ -0,0 +1,94 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const reference = (model, { allowNull = false, onDelete = 'CASCADE' } = {}) => ({
+      type: Sequelize.UUID,
+      allowNull,
+      references: {
+        model,
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete
+    });
+
+    // CAMPAIGN_INVITATIONS table (brand-initiated invitations to influencers)
+    await queryInterface.createTable('campaign_invitations', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      campaign_id: reference('campaigns'),
+      brand_id: reference('users'),
+      influencer_id: reference('users'),
+      message: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      offered_rate: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: 'USD'
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'accepted', 'declined', 'withdrawn', 'expired'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      responded_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      decline_reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      application_id: reference('campaign_applications', { allowNull: true, onDelete: 'SET NULL' }),
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('campaign_invitations', ['influencer_id', 'status'], {
+      name: 'campaign_invitations_influencer_id_status_index'
+    });
+    await queryInterface.addIndex('campaign_invitations', ['campaign_id', 'influencer_id'], {
+      name: 'campaign_invitations_campaign_id_influencer_id_index'
+    });
+    await queryInterface.addIndex('campaign_invitations', ['brand_id', 'created_at'], {
+      name: 'campaign_invitations_brand_id_created_at_index'
+    });
+    await queryInterface.addIndex('campaign_invitations', ['status', 'expires_at'], {
+      name: 'campaign_invitations_status_expires_at_index'
+    });
+    // An influencer has at most one open invitation per campaign
+    await queryInterface.addIndex('campaign_invitations', ['campaign_id', 'influencer_id'], {
+      name: 'campaign_invitations_one_pending_per_influencer',
+      unique: true,
+      where: { status: 'pending' }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('campaign_invitations');
+  }
+};
@@ -0,0 +1,36 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Who can find and apply to a campaign
+    await queryInterface.addColumn('campaigns', 'visibility', {
+      type: Sequelize.ENUM('public', 'unlisted', 'invite_only'),
+      allowNull: false,
+      defaultValue: 'public'
+    });
+
+    // Hard requirements to apply: { minFollowers, minEngagementRate, platforms, regions }
+    await queryInterface.addColumn('campaigns', 'eligibility', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('campaigns', ['visibility', 'status'], {
+      name: 'campaigns_visibility_status_index'
+    });
+
+    // Country matched against campaign region requirements
+    await queryInterface.addColumn('users', 'country', {
+      type: Sequelize.STRING(2),
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('users', 'country');
+    await queryInterface.removeIndex('campaigns', 'campaigns_visibility_status_index');
+    await queryInterface.removeColumn('campaigns', 'eligibility');
+    await queryInterface.removeColumn('campaigns', 'visibility');
+  }
+};
@@ -0,0 +1,74 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const reference = (model, { allowNull = false, onDelete = 'CASCADE' } = {}) => ({
+      type: Sequelize.UUID,
+      allowNull,
+      references: {
+        model,
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete
+    });
+
+    // Markers the lifecycle scheduler checks so each action runs once
+    await queryInterface.addColumn('campaigns', 'applications_closed_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('campaign_applications', 'late_flagged_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addIndex('campaigns', ['status', 'campaign_end_date'], {
+      name: 'campaigns_status_campaign_end_date_index'
+    });
+
+    // CAMPAIGN_LIFECYCLE_EVENTS table (every automated timeline action)
+    await queryInterface.createTable('campaign_lifecycle_events', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      campaign_id: reference('campaigns'),
+      application_id: reference('campaign_applications', { allowNull: true }),
+      action: {
+        type: Sequelize.ENUM(
+          'applications_closed',
+          'application_rejected',
+          'activated',
+          'submission_late',
+          'completed',
+          'unallocated_refunded',
+          'refund_failed'
+        ),
+        allowNull: false
+      },
+      details: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('campaign_lifecycle_events', ['campaign_id', 'created_at'], {
+      name: 'campaign_lifecycle_events_campaign_id_created_at_index'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('campaign_lifecycle_events');
+    await queryInterface.removeIndex('campaigns', 'campaigns_status_campaign_end_date_index');
+    await queryInterface.removeColumn('campaign_applications', 'late_flagged_at');
+    await queryInterface.removeColumn('campaigns', 'applications_closed_at');
+  }
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // CAMPAIGN_TEMPLATES table (saved campaign setups brands reuse)
+    await queryInterface.createTable('campaign_templates', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      brand_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      source_campaign_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'campaigns',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      settings: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: {}
+      },
+      timeline_offsets: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('campaign_templates', ['brand_id', 'name'], {
+      name: 'campaign_templates_brand_id_name_index'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('campaign_templates');
+  }
+};
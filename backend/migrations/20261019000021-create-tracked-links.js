@@ -0,0 +1,142 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const reference = (model, { allowNull = false, onDelete = 'CASCADE' } = {}) => ({
+      type: Sequelize.UUID,
+      allowNull,
+      references: {
+        model,
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete
+    });
+
+    // TRACKED_LINKS table (one UTM-tagged short link per approved application)
+    await queryInterface.createTable('tracked_links', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      code: {
+        type: Sequelize.STRING(16),
+        allowNull: false,
+        unique: true
+      },
+      campaign_id: reference('campaigns'),
+      application_id: {
+        ...reference('campaign_applications'),
+        unique: true
+      },
+      influencer_id: reference('users'),
+      platform: {
+        type: Sequelize.ENUM('instagram', 'tiktok', 'youtube', 'twitter', 'facebook', 'linkedin', 'snapchat', 'pinterest', 'twitch'),
+        allowNull: false
+      },
+      destination_url: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      click_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      bot_click_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      last_clicked_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('tracked_links', ['campaign_id'], {
+      name: 'tracked_links_campaign_id_index'
+    });
+    await queryInterface.addIndex('tracked_links', ['influencer_id'], {
+      name: 'tracked_links_influencer_id_index'
+    });
+
+    // ANALYTICS_EVENTS table, as in database/schema.sql (skipped where that schema was loaded)
+    const tables = await queryInterface.showAllTables();
+    if (!tables.includes('analytics_events')) {
+      await queryInterface.createTable('analytics_events', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true,
+          allowNull: false
+        },
+        event_type: {
+          type: Sequelize.TEXT,
+          allowNull: false
+        },
+        user_id: reference('users', { allowNull: true, onDelete: 'SET NULL' }),
+        campaign_id: reference('campaigns', { allowNull: true, onDelete: 'SET NULL' }),
+        deliverable_id: reference('campaign_deliverables', { allowNull: true, onDelete: 'SET NULL' }),
+        event_data: {
+          type: Sequelize.JSONB,
+          allowNull: true
+        },
+        session_id: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        ip_address: {
+          type: Sequelize.INET,
+          allowNull: true
+        },
+        user_agent: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        referer: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        timestamp: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.NOW
+        }
+      });
+
+      await queryInterface.addIndex('analytics_events', ['event_type'], {
+        name: 'idx_analytics_events_type'
+      });
+      await queryInterface.addIndex('analytics_events', ['user_id'], {
+        name: 'idx_analytics_events_user_id'
+      });
+      await queryInterface.addIndex('analytics_events', ['timestamp'], {
+        name: 'idx_analytics_events_timestamp'
+      });
+    }
+
+    // Repeat-click lookups by visitor fingerprint
+    await queryInterface.addIndex('analytics_events', ['event_type', 'session_id', 'timestamp'], {
+      name: 'analytics_events_event_type_session_id_timestamp_index'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('analytics_events', 'analytics_events_event_type_session_id_timestamp_index');
+    await queryInterface.dropTable('tracked_links');
+  }
+};
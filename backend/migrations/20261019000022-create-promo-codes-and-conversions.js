@@ -0,0 +1,136 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const reference = (model, { allowNull = false, onDelete = 'CASCADE' } = {}) => ({
+      type: Sequelize.UUID,
+      allowNull,
+      references: {
+        model,
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete
+    });
+
+    // Shared secret the brand's store signs conversion payloads with
+    await queryInterface.addColumn('campaigns', 'conversion_secret', {
+      type: Sequelize.STRING(64),
+      allowNull: true
+    });
+
+    // PROMO_CODES table (one discount code per approved application of a conversions campaign)
+    await queryInterface.createTable('promo_codes', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      code: {
+        type: Sequelize.STRING(32),
+        allowNull: false
+      },
+      campaign_id: reference('campaigns'),
+      application_id: {
+        ...reference('campaign_applications'),
+        unique: true
+      },
+      influencer_id: reference('users'),
+      conversion_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      revenue: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      last_conversion_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('promo_codes', ['campaign_id', 'code'], {
+      unique: true,
+      name: 'promo_codes_campaign_id_code_unique'
+    });
+    await queryInterface.addIndex('promo_codes', ['influencer_id'], {
+      name: 'promo_codes_influencer_id_index'
+    });
+
+    // CONVERSIONS table (orders attributed to a promo code)
+    await queryInterface.createTable('conversions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      campaign_id: reference('campaigns'),
+      promo_code_id: reference('promo_codes'),
+      application_id: reference('campaign_applications'),
+      order_id: {
+        type: Sequelize.STRING(128),
+        allowNull: false
+      },
+      amount: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false
+      },
+      campaign_amount: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false
+      },
+      source: {
+        type: Sequelize.ENUM('webhook', 'csv'),
+        allowNull: false
+      },
+      occurred_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('conversions', ['campaign_id', 'order_id'], {
+      unique: true,
+      name: 'conversions_campaign_id_order_id_unique'
+    });
+    await queryInterface.addIndex('conversions', ['application_id'], {
+      name: 'conversions_application_id_index'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('conversions');
+    await queryInterface.dropTable('promo_codes');
+    await queryInterface.removeColumn('campaigns', 'conversion_secret');
+  }
+};
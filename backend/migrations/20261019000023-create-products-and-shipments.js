@@ -0,0 +1,163 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const reference = (model, { allowNull = false, onDelete = 'CASCADE' } = {}) => ({
+      type: Sequelize.UUID,
+      allowNull,
+      references: {
+        model,
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete
+    });
+
+    // Gifted campaigns count the content deadline from each influencer's delivery date
+    await queryInterface.addColumn('campaigns', 'content_due_days', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('campaign_applications', 'content_due_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    // CAMPAIGN_PRODUCTS table (products seeded to influencers, with variants)
+    await queryInterface.createTable('campaign_products', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      campaign_id: reference('campaigns'),
+      name: {
+        type: Sequelize.STRING(200),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      image_url: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      retail_value: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: 'USD'
+      },
+      variants: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: []
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('campaign_products', ['campaign_id'], {
+      name: 'campaign_products_campaign_id_index'
+    });
+
+    // SHIPMENTS table (one per application and product)
+    await queryInterface.createTable('shipments', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      campaign_id: reference('campaigns'),
+      application_id: reference('campaign_applications'),
+      influencer_id: reference('users'),
+      product_id: reference('campaign_products', { onDelete: 'RESTRICT' }),
+      variant_sku: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      shipping_address: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('awaiting_shipment', 'shipped', 'in_transit', 'out_for_delivery', 'delivered', 'exception', 'returned'),
+        allowNull: false,
+        defaultValue: 'awaiting_shipment'
+      },
+      carrier: {
+        type: Sequelize.STRING(32),
+        allowNull: true
+      },
+      tracking_number: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      tracking_events: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: []
+      },
+      shipped_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      delivered_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      last_checked_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('shipments', ['application_id', 'product_id'], {
+      unique: true,
+      name: 'shipments_application_id_product_id_unique'
+    });
+    await queryInterface.addIndex('shipments', ['campaign_id'], {
+      name: 'shipments_campaign_id_index'
+    });
+    await queryInterface.addIndex('shipments', ['status'], {
+      name: 'shipments_status_index'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('shipments');
+    await queryInterface.dropTable('campaign_products');
+    await queryInterface.removeColumn('campaign_applications', 'content_due_at');
+    await queryInterface.removeColumn('campaigns', 'content_due_days');
+  }
+};
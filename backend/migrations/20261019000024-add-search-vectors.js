@@ -0,0 +1,60 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Profile text the influencer search ranks on
+    await queryInterface.addColumn('users', 'bio', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+    await queryInterface.addColumn('users', 'niches', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+
+    // Trigram similarity gives typo tolerance on names and titles
+    await queryInterface.sequelize.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+
+    // Weighted full-text vectors: title/name (A) > niches (B) > description/bio (C)
+    await queryInterface.sequelize.query(`
+      ALTER TABLE campaigns ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(target_niches::text, '')), 'B') ||
+        setweight(to_tsvector('english', coalesce(description, '')), 'C')
+      ) STORED
+    `);
+    await queryInterface.sequelize.query(`
+      ALTER TABLE users ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(niches::text, '')), 'B') ||
+        setweight(to_tsvector('english', coalesce(bio, '')), 'C')
+      ) STORED
+    `);
+    await queryInterface.sequelize.query(`
+      ALTER TABLE social_media_accounts ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('simple', coalesce(username, '')), 'A') ||
+        setweight(to_tsvector('simple', coalesce(display_name, '')), 'B')
+      ) STORED
+    `);
+
+    await queryInterface.addIndex('campaigns', ['search_vector'], { using: 'GIN', name: 'campaigns_search_vector' });
+    await queryInterface.addIndex('users', ['search_vector'], { using: 'GIN', name: 'users_search_vector' });
+    await queryInterface.addIndex('social_media_accounts', ['search_vector'], { using: 'GIN', name: 'social_media_accounts_search_vector' });
+
+    await queryInterface.sequelize.query('CREATE INDEX campaigns_title_trgm ON campaigns USING GIN (title gin_trgm_ops)');
+    await queryInterface.sequelize.query('CREATE INDEX users_name_trgm ON users USING GIN (name gin_trgm_ops)');
+    await queryInterface.sequelize.query('CREATE INDEX social_media_accounts_username_trgm ON social_media_accounts USING GIN (username gin_trgm_ops)');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('social_media_accounts', 'social_media_accounts_username_trgm');
+    await queryInterface.removeIndex('users', 'users_name_trgm');
+    await queryInterface.removeIndex('campaigns', 'campaigns_title_trgm');
+    await queryInterface.removeColumn('social_media_accounts', 'search_vector');
+    await queryInterface.removeColumn('users', 'search_vector');
+    await queryInterface.removeColumn('campaigns', 'search_vector');
+    await queryInterface.removeColumn('users', 'niches');
+    await queryInterface.removeColumn('users', 'bio');
+  }
+};
@@ -0,0 +1,85 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const reference = (model, { allowNull = false, onDelete = 'CASCADE' } = {}) => ({
+      type: Sequelize.UUID,
+      allowNull,
+      references: {
+        model,
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete
+    });
+
+    // SAVED_SEARCHES table (re-run by the alert job, new matches emailed)
+    await queryInterface.createTable('saved_searches', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      user_id: reference('users'),
+      type: {
+        type: Sequelize.ENUM('influencers', 'campaigns'),
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      filters: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: {}
+      },
+      frequency: {
+        type: Sequelize.ENUM('daily', 'weekly', 'off'),
+        allowNull: false,
+        defaultValue: 'weekly'
+      },
+      seen_ids: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: []
+      },
+      last_run_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      last_notified_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      unsubscribe_token: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('saved_searches', ['user_id'], {
+      name: 'saved_searches_user_id_index'
+    });
+    await queryInterface.addIndex('saved_searches', ['frequency', 'last_run_at'], {
+      name: 'saved_searches_frequency_last_run_at_index'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('saved_searches');
+  }
+};
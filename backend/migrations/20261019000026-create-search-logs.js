@@ -0,0 +1,71 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // SEARCH_LOGS table (anonymous: no user, IP or session is stored)
+    await queryInterface.createTable('search_logs', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      type: {
+        type: Sequelize.ENUM('campaigns', 'influencers', 'global'),
+        allowNull: false
+      },
+      query: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      normalized_query: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      filters: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: {}
+      },
+      result_count: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      clicked_result_id: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      clicked_position: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      clicked_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('search_logs', ['created_at'], {
+      name: 'search_logs_created_at_index'
+    });
+    await queryInterface.addIndex('search_logs', [{ name: 'normalized_query', operator: 'text_pattern_ops' }], {
+      name: 'search_logs_normalized_query_index'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('search_logs');
+  }
+};
@@ -0,0 +1,78 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// Rule-based matching version the recommendation endpoints start with
+const CAMPAIGN_MATCHING_V1 = {
+  name: 'campaign_matching',
+  version: 'rules-1',
+  parameters: {
+    weights: { niches: 0.3, followers: 0.2, engagement: 0.2, audience: 0.15, trackRecord: 0.15 }
+  }
+};
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // AI_MODELS table (same shape as database/schema.sql)
+    await queryInterface.createTable('ai_models', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      version: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      model_path: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      parameters: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      metrics: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('training', 'testing', 'active', 'deprecated'),
+        allowNull: false,
+        defaultValue: 'training'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('ai_models', ['name', 'version'], {
+      name: 'ai_models_name_version_unique',
+      unique: true
+    });
+    await queryInterface.addIndex('ai_models', ['name', 'status'], {
+      name: 'ai_models_name_status_index'
+    });
+
+    await queryInterface.bulkInsert('ai_models', [{
+      id: crypto.randomUUID(),
+      name: CAMPAIGN_MATCHING_V1.name,
+      version: CAMPAIGN_MATCHING_V1.version,
+      parameters: JSON.stringify(CAMPAIGN_MATCHING_V1.parameters),
+      status: 'active',
+      created_at: new Date()
+    }]);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('ai_models');
+  }
+};
@@ -0,0 +1,54 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // TRACKED_LINK_VISITS table (one counted click per visitor, link and repeat-click window)
+    await queryInterface.createTable('tracked_link_visits', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+        allowNull: false
+      },
+      link_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'tracked_links',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      visitor_id: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      window_start: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('tracked_link_visits', ['link_id', 'visitor_id', 'window_start'], {
+      name: 'tracked_link_visits_link_id_visitor_id_window_start_unique',
+      unique: true
+    });
+
+    // Repeat clicks are decided by the visits table now
+    await queryInterface.removeIndex('analytics_events', 'analytics_events_event_type_session_id_timestamp_index');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.addIndex('analytics_events', ['event_type', 'session_id', 'timestamp'], {
+      name: 'analytics_events_event_type_session_id_timestamp_index'
+    });
+    await queryInterface.dropTable('tracked_link_visits');
+  }
+};
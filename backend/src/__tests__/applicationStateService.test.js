@@ -0,0 +1,98 @@
+/**
+ * Application lifecycle tests
+ */
+
+jest.mock('../models', () => ({
+  Campaign: { findByPk: jest.fn() },
+  ApplicationHistory: { bulkCreate: jest.fn(), findAll: jest.fn() },
+  User: {}
+}));
+
+jest.mock('../services/trackedLinkService', () => ({
+  createForApplication: jest.fn()
+}));
+
+jest.mock('../services/conversionService', () => ({
+  createForApplication: jest.fn()
+}));
+
+const { Campaign, ApplicationHistory } = require('../models');
+const applicationStateService = require('../services/applicationStateService');
+
+const makeApplication = (overrides = {}) => ({
+  id: 'application-1',
+  campaignId: 'campaign-1',
+  status: 'pending',
+  contentApprovalStatus: 'pending',
+  paymentStatus: 'pending',
+  update: jest.fn(async function(values) { return Object.assign(this, values); }),
+  ...overrides
+});
+
+const brand = { id: 'brand-1', role: 'brand' };
+
+describe('ApplicationStateService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Campaign.findByPk.mockResolvedValue({ id: 'campaign-1', applicationDeadline: null });
+  });
+
+  test('should approve a pending application and record who did it', async () => {
+    const application = makeApplication();
+
+    await applicationStateService.transition(application, { status: 'approved' }, { actor: brand, note: 'Welcome aboard' });
+
+    expect(application.status).toBe('approved');
+    expect(application.approvedAt).toBeInstanceOf(Date);
+    expect(ApplicationHistory.bulkCreate).toHaveBeenCalledWith([{
+      applicationId: 'application-1',
+      field: 'status',
+      fromValue: 'pending',
+      toValue: 'approved',
+      actorId: 'brand-1',
+      actorRole: 'brand',
+      note: 'Welcome aboard'
+    }], { transaction: null });
+  });
+
+  test('should not move a completed application back to pending', async () => {
+    const application = makeApplication({ status: 'completed', contentApprovalStatus: 'approved' });
+
+    await expect(applicationStateService.transition(application, { status: 'pending' }, { actor: brand }))
+      .rejects.toThrow('Cannot move application from completed to pending');
+    expect(application.update).not.toHaveBeenCalled();
+    expect(ApplicationHistory.bulkCreate).not.toHaveBeenCalled();
+  });
+
+  test('should not approve after the campaign application deadline', async () => {
+    Campaign.findByPk.mockResolvedValue({ id: 'campaign-1', applicationDeadline: new Date(Date.now() - 60 * 1000) });
+
+    const error = await applicationStateService.getTransitionError(makeApplication(), { status: 'approved' });
+
+    expect(error).toBe('Applications cannot be approved after the campaign application deadline');
+  });
+
+  test('should not complete an application before its content is approved', async () => {
+    const application = makeApplication({ status: 'in_progress', contentApprovalStatus: 'needs_revision' });
+
+    expect(await applicationStateService.getTransitionError(application, { status: 'completed' }))
+      .toBe('An application cannot be completed before its content is approved');
+
+    application.contentApprovalStatus = 'approved';
+    expect(await applicationStateService.getTransitionError(application, { status: 'completed' })).toBeNull();
+  });
+
+  test('should record only the fields that change when content is resubmitted', async () => {
+    const application = makeApplication({ status: 'in_progress', contentApprovalStatus: 'needs_revision' });
+
+    await applicationStateService.transition(application, {
+      status: 'in_progress',
+      contentApprovalStatus: 'pending',
+      submittedContent: '{"url":"https://example.com/post"}'
+    }, { actor: { id: 'influencer-1', role: 'influencer' } });
+
+    expect(ApplicationHistory.bulkCreate).toHaveBeenCalledWith([
+      expect.objectContaining({ field: 'contentApprovalStatus', fromValue: 'needs_revision', toValue: 'pending', actorRole: 'influencer' })
+    ], { transaction: null });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Auth route tests over HTTP (supertest; user and refresh token models mocked)
+ */
+
+jest.mock('../models/User', () => ({ findByPk: jest.fn() }));
+
+jest.mock('../models/RefreshToken', () => ({ createToken: jest.fn() }));
+
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const request = require('supertest');
+const speakeasy = require('speakeasy');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const TwoFactorAuthService = require('../services/twoFactorAuth');
+const { emailVerificationService } = require('../services/emailVerification');
+const { generateTwoFactorChallengeToken } = require('../utils/jwt');
+
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/auth', require('../routes/auth'));
+
+const { secret } = TwoFactorAuthService.generateSecret('brand@example.com');
+
+const makeUser = (overrides = {}) => ({
+  id: 'user-1',
+  email: 'brand@example.com',
+  role: 'brand',
+  status: 'active',
+  twoFactorEnabled: true,
+  twoFactorSecret: secret,
+  update: jest.fn(async () => {}),
+  toJSON() { return { id: this.id, email: this.email, role: this.role }; },
+  ...overrides
+});
+
+describe('POST /api/auth/login/2fa', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    TwoFactorAuthService.clearRateLimit('user-1', '2fa_login');
+  });
+
+  test('should complete the login with a valid challenge and TOTP code', async () => {
+    const user = makeUser();
+    User.findByPk.mockResolvedValue(user);
+
+    const response = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({
+        challengeToken: generateTwoFactorChallengeToken(user),
+        token: speakeasy.totp({ secret, encoding: 'base32' })
+      })
+      .expect(200);
+
+    expect(response.body.accessToken).toEqual(expect.any(String));
+    expect(response.body.user.id).toBe('user-1');
+    expect(response.headers['set-cookie'].join(';')).toContain('refreshToken=');
+    expect(RefreshToken.createToken).toHaveBeenCalled();
+  });
+
+  test('should reject a wrong code without issuing tokens', async () => {
+    const user = makeUser();
+    User.findByPk.mockResolvedValue(user);
+
+    const response = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: generateTwoFactorChallengeToken(user), token: '000000' })
+      .expect(401);
+
+    expect(response.body.accessToken).toBeUndefined();
+    expect(RefreshToken.createToken).not.toHaveBeenCalled();
+  });
+
+  test('should reject a request without a challenge token', async () => {
+    await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ token: '123456' })
+      .expect(400);
+
+    expect(User.findByPk).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/auth/verify-email', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should verify the email even when the welcome email fails', async () => {
+    const user = makeUser({ emailVerified: false });
+    User.findByPk.mockResolvedValue(user);
+    const sendWelcomeEmail = jest.spyOn(emailVerificationService, 'sendWelcomeEmail')
+      .mockRejectedValue(new Error('SMTP unavailable'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { jwtToken } = await emailVerificationService.generateVerificationToken(user.id, user.email);
+
+    await request(app)
+      .post('/api/auth/verify-email')
+      .send({ token: jwtToken })
+      .expect(200);
+
+    expect(user.update).toHaveBeenCalledWith({ emailVerified: true });
+    expect(sendWelcomeEmail).toHaveBeenCalled();
+    jest.restoreAllMocks();
+  });
+});
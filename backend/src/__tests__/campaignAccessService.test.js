@@ -0,0 +1,88 @@
+/**
+ * Campaign visibility and eligibility tests
+ */
+
+jest.mock('../models', () => ({
+  CampaignApplication: { findOne: jest.fn() },
+  CampaignInvitation: { findOne: jest.fn(), findAll: jest.fn() },
+  SocialMediaAccount: { findAll: jest.fn() },
+  User: { findByPk: jest.fn() }
+}));
+
+const { CampaignApplication, CampaignInvitation, SocialMediaAccount, User } = require('../models');
+const campaignAccessService = require('../services/campaignAccessService');
+
+const makeCampaign = (overrides = {}) => {
+  const values = {
+    id: 'campaign-1',
+    brandId: 'brand-1',
+    title: 'Summer launch',
+    description: 'Full brief',
+    budget: '5000.00',
+    visibility: 'public',
+    eligibility: null,
+    ...overrides
+  };
+  return { ...values, toJSON: () => ({ ...values }) };
+};
+
+const influencer = { id: 'influencer-1', role: 'influencer' };
+
+describe('CampaignAccessService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.findByPk.mockResolvedValue({ id: 'influencer-1', country: 'IN' });
+    SocialMediaAccount.findAll.mockResolvedValue([
+      { platform: 'instagram', followersCount: 12000, engagementRate: '4.20' },
+      { platform: 'tiktok', followersCount: 3000, engagementRate: '9.00' }
+    ]);
+  });
+
+  test('should only open invite-only campaigns to the owner and invited influencers', async () => {
+    const campaign = makeCampaign({ visibility: 'invite_only' });
+    CampaignInvitation.findOne.mockResolvedValue(null);
+    CampaignApplication.findOne.mockResolvedValue(null);
+
+    expect(await campaignAccessService.canView(campaign, { id: 'brand-1', role: 'brand' })).toBe(true);
+    expect(await campaignAccessService.canView(campaign, { id: 'brand-2', role: 'brand' })).toBe(false);
+    expect(await campaignAccessService.canView(campaign, influencer)).toBe(false);
+    expect(await campaignAccessService.canView(campaign, null)).toBe(false);
+
+    CampaignInvitation.findOne.mockResolvedValue({ id: 'invitation-1' });
+    expect(await campaignAccessService.canView(campaign, influencer)).toBe(true);
+    expect(await campaignAccessService.canView(makeCampaign({ visibility: 'unlisted' }), null)).toBe(true);
+  });
+
+  test('should require one account on an allowed platform to meet the minimums', async () => {
+    const campaign = makeCampaign({
+      eligibility: { minFollowers: 10000, minEngagementRate: 5, platforms: ['instagram'], regions: ['US', 'GB'] }
+    });
+
+    expect(await campaignAccessService.getApplyError(campaign, 'influencer-1')).toBe(
+      "You do not meet this campaign's requirements: Requires an engagement rate of at least 5%; Open to influencers in US, GB"
+    );
+    expect(await campaignAccessService.getApplyError(
+      makeCampaign({ eligibility: { minFollowers: 10000, platforms: ['instagram', 'tiktok'], regions: ['IN'] } }),
+      'influencer-1'
+    )).toBeNull();
+    expect(await campaignAccessService.getApplyError(makeCampaign({ visibility: 'invite_only' }), 'influencer-1'))
+      .toBe('This campaign is invite-only');
+  });
+
+  test('should show ineligible influencers a preview without the brief', async () => {
+    const [eligible, ineligible] = await campaignAccessService.presentAll([
+      makeCampaign(),
+      makeCampaign({ id: 'campaign-2', eligibility: { minFollowers: 50000 } })
+    ], influencer);
+
+    expect(eligible).toEqual(expect.objectContaining({
+      description: 'Full brief',
+      viewerEligibility: { eligible: true, reasons: [] }
+    }));
+    expect(ineligible.preview).toBe(true);
+    expect(ineligible.title).toBe('Summer launch');
+    expect(ineligible.description).toBeUndefined();
+    expect(ineligible.budget).toBeUndefined();
+    expect(ineligible.viewerEligibility.reasons).toEqual(['Requires at least 50000 followers on one account']);
+  });
+});
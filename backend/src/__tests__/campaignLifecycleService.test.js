@@ -0,0 +1,133 @@
+/**
+ * Campaign lifecycle scheduler tests (models and payment services mocked)
+ */
+
+jest.mock('../config/database', () => require('./helpers/mocks').mockDatabase({ literal: (sql) => sql }));
+
+jest.mock('../models', () => ({
+  Campaign: { findAll: jest.fn(), update: jest.fn() },
+  CampaignApplication: { findAll: jest.fn(), update: jest.fn() },
+  CampaignInvitation: { update: jest.fn() },
+  CampaignLifecycleEvent: { create: jest.fn(), findAll: jest.fn(), findOne: jest.fn() },
+  Escrow: { findByPaymentIntent: jest.fn() }
+}));
+
+jest.mock('../services/escrowService', () => ({ refundToBrand: jest.fn() }));
+jest.mock('../services/escrowAllocationService', () => ({ getUnallocatedBalance: jest.fn() }));
+jest.mock('../services/ledgerService', () => ({ recordRefund: jest.fn(), logReconciliationGap: jest.fn() }));
+jest.mock('../services/applicationStateService', () => ({ transition: jest.fn() }));
+
+jest.mock('../utils/monitoring', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const { Campaign, CampaignApplication, CampaignInvitation, CampaignLifecycleEvent, Escrow } = require('../models');
+const escrowService = require('../services/escrowService');
+const escrowAllocationService = require('../services/escrowAllocationService');
+const ledgerService = require('../services/ledgerService');
+const applicationStateService = require('../services/applicationStateService');
+const campaignLifecycleService = require('../services/campaignLifecycleService');
+const { mockTransaction, withUpdate } = require('./helpers/mocks');
+
+const now = new Date('2026-10-19T12:00:00Z');
+const campaign = { id: 'campaign-1', escrowId: 'pi_123', applicationDeadline: new Date('2026-10-18T00:00:00Z') };
+
+const recordedActions = () => CampaignLifecycleEvent.create.mock.calls.map(([event]) => event.action);
+
+describe('CampaignLifecycleService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    CampaignLifecycleEvent.findOne.mockResolvedValue(null);
+  });
+
+  test('should close applications once, rejecting pending ones and expiring invitations', async () => {
+    Campaign.findAll.mockResolvedValue([campaign]);
+    Campaign.update.mockResolvedValueOnce([1]);
+    CampaignApplication.findAll.mockResolvedValue([{ id: 'application-1' }, { id: 'application-2' }]);
+    CampaignInvitation.update.mockResolvedValue([3]);
+
+    expect(await campaignLifecycleService.closeApplications(now)).toBe(1);
+
+    expect(applicationStateService.transition).toHaveBeenCalledTimes(2);
+    expect(applicationStateService.transition).toHaveBeenCalledWith(
+      { id: 'application-1' },
+      expect.objectContaining({ status: 'rejected' }),
+      expect.objectContaining({ note: 'Closed at the application deadline' })
+    );
+    expect(CampaignLifecycleEvent.create).toHaveBeenLastCalledWith(expect.objectContaining({
+      action: 'applications_closed',
+      details: expect.objectContaining({ rejected: 2, expiredInvitations: 3 })
+    }), { transaction: mockTransaction });
+
+    // A concurrent or repeated sweep loses the claim and does nothing
+    jest.clearAllMocks();
+    Campaign.update.mockResolvedValueOnce([0]);
+    expect(await campaignLifecycleService.closeApplications(now)).toBe(0);
+    expect(applicationStateService.transition).not.toHaveBeenCalled();
+    expect(CampaignLifecycleEvent.create).not.toHaveBeenCalled();
+  });
+
+  test('should refund only the unallocated escrow of an ended campaign', async () => {
+    const escrow = {
+      id: 'escrow-1',
+      status: 'funded',
+      currency: 'USD',
+      refundedAmount: '0.00',
+      reload: jest.fn()
+    };
+    Escrow.findByPaymentIntent.mockResolvedValue(escrow);
+    escrowAllocationService.getUnallocatedBalance.mockResolvedValue(750);
+    escrowService.refundToBrand.mockResolvedValue({ success: true, refundAmount: 750 });
+
+    expect(await campaignLifecycleService.refundUnallocated(campaign)).toBe(true);
+
+    expect(escrowService.refundToBrand).toHaveBeenCalledWith('pi_123', 750, 'campaign_completed');
+    expect(ledgerService.recordRefund).toHaveBeenCalledWith(escrow, { amount: 750, reason: 'campaign_completed' });
+    expect(recordedActions()).toEqual(['unallocated_refunded']);
+  });
+
+  test('should not settle a campaign while its whole escrow is still allocated', async () => {
+    Escrow.findByPaymentIntent.mockResolvedValue({ id: 'escrow-1', status: 'partially_released', refundedAmount: '0.00' });
+    escrowAllocationService.getUnallocatedBalance.mockResolvedValue(0);
+
+    expect(await campaignLifecycleService.refundUnallocated(campaign)).toBe(false);
+
+    expect(escrowService.refundToBrand).not.toHaveBeenCalled();
+    expect(recordedActions()).toEqual([]);
+  });
+
+  test('should log a failed refund and leave the campaign to be retried', async () => {
+    Escrow.findByPaymentIntent.mockResolvedValue({ id: 'escrow-1', status: 'partially_released', refundedAmount: '0.00' });
+    escrowAllocationService.getUnallocatedBalance.mockResolvedValue(120);
+    escrowService.refundToBrand.mockResolvedValue({ success: false, error: 'Stripe unavailable' });
+
+    expect(await campaignLifecycleService.refundUnallocated(campaign, now)).toBe(false);
+
+    expect(ledgerService.recordRefund).not.toHaveBeenCalled();
+    expect(recordedActions()).toEqual(['refund_failed']);
+    expect(CampaignLifecycleEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+      details: { amount: 120, error: 'Stripe unavailable', attempts: 1, lastAttemptAt: now }
+    }), { transaction: null });
+  });
+
+  test('should back off a failing refund and count a repeated error on its last failure', async () => {
+    const lastFailure = withUpdate({
+      action: 'refund_failed',
+      details: { amount: 120, error: 'Stripe unavailable', attempts: 2, lastAttemptAt: new Date('2026-10-19T11:00:00Z') }
+    });
+    CampaignLifecycleEvent.findOne.mockResolvedValue(lastFailure);
+    Escrow.findByPaymentIntent.mockResolvedValue({ id: 'escrow-1', status: 'partially_released', refundedAmount: '0.00' });
+    escrowAllocationService.getUnallocatedBalance.mockResolvedValue(120);
+    escrowService.refundToBrand.mockResolvedValue({ success: false, error: 'Stripe unavailable' });
+
+    // The second failure waits two hours
+    expect(await campaignLifecycleService.refundUnallocated(campaign, now)).toBe(false);
+    expect(escrowService.refundToBrand).not.toHaveBeenCalled();
+
+    const later = new Date('2026-10-19T13:00:00Z');
+    expect(await campaignLifecycleService.refundUnallocated(campaign, later)).toBe(false);
+    expect(escrowService.refundToBrand).toHaveBeenCalledTimes(1);
+    expect(lastFailure.details).toEqual(expect.objectContaining({ attempts: 3, lastAttemptAt: later }));
+    expect(recordedActions()).toEqual([]);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Campaign duplication and template tests
+ */
+
+jest.mock('../models', () => ({
+  Campaign: { create: jest.fn(async (values) => values) },
+  CampaignTemplate: { create: jest.fn(async (values) => values), findAll: jest.fn(), findOne: jest.fn() }
+}));
+
+const { Campaign, CampaignTemplate } = require('../models');
+const campaignTemplateService = require('../services/campaignTemplateService');
+
+const summerCampaign = {
+  id: 'campaign-1',
+  brandId: 'brand-1',
+  title: 'Summer 2026',
+  goal: 'awareness',
+  budget: '5000.00',
+  status: 'completed',
+  paymentStatus: 'released',
+  escrowId: 'pi_123',
+  targetNiches: ['travel'],
+  contentGuidelines: 'Show the product outdoors',
+  prohibitedContent: ['competitor brands'],
+  utmParameters: { utm_campaign: 'summer' },
+  campaignStartDate: new Date('2026-06-01T00:00:00Z'),
+  applicationDeadline: new Date('2026-05-25T00:00:00Z'),
+  contentSubmissionDeadline: new Date('2026-06-15T00:00:00Z'),
+  campaignEndDate: new Date('2026-06-30T00:00:00Z')
+};
+
+describe('CampaignTemplateService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should duplicate into a draft with the timeline shifted to the new start date', async () => {
+    await campaignTemplateService.duplicate(summerCampaign, 'brand-1', { campaignStartDate: '2027-06-10T00:00:00Z' });
+
+    const values = Campaign.create.mock.calls[0][0];
+    expect(values).toEqual(expect.objectContaining({
+      title: 'Summer 2026 (copy)',
+      brandId: 'brand-1',
+      status: 'draft',
+      targetNiches: ['travel'],
+      utmParameters: { utm_campaign: 'summer' },
+      campaignStartDate: new Date('2027-06-10T00:00:00Z'),
+      applicationDeadline: new Date('2027-06-03T00:00:00Z'),
+      contentSubmissionDeadline: new Date('2027-06-24T00:00:00Z'),
+      campaignEndDate: new Date('2027-07-09T00:00:00Z')
+    }));
+    expect(values).not.toHaveProperty('escrowId');
+    expect(values).not.toHaveProperty('paymentStatus');
+  });
+
+  test('should drop the old timeline when no new start date is given', async () => {
+    await campaignTemplateService.duplicate(summerCampaign, 'brand-1', { title: 'Winter 2026' });
+
+    const values = Campaign.create.mock.calls[0][0];
+    expect(values.title).toBe('Winter 2026');
+    expect(values).not.toHaveProperty('campaignStartDate');
+    expect(values).not.toHaveProperty('campaignEndDate');
+  });
+
+  test('should save a template with day offsets and apply it to a new start date', async () => {
+    const template = await campaignTemplateService.createTemplate('brand-1', {
+      name: 'Seasonal push',
+      campaign: summerCampaign
+    });
+
+    expect(CampaignTemplate.create).toHaveBeenCalledWith(expect.objectContaining({
+      sourceCampaignId: 'campaign-1',
+      timelineOffsets: { applicationDeadline: -7, contentSubmissionDeadline: 14, campaignEndDate: 29 }
+    }));
+    expect(template.settings).toEqual(expect.objectContaining({
+      contentGuidelines: 'Show the product outdoors',
+      prohibitedContent: ['competitor brands']
+    }));
+
+    const values = campaignTemplateService.applyTemplate(template, { campaignStartDate: '2026-12-01T00:00:00Z' });
+    expect(values.applicationDeadline).toEqual(new Date('2026-11-24T00:00:00Z'));
+    expect(values.campaignEndDate).toEqual(new Date('2026-12-30T00:00:00Z'));
+  });
+});
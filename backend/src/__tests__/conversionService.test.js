@@ -0,0 +1,126 @@
+/**
+ * Promo code and conversion attribution tests (models and FX mocked)
+ */
+
+jest.mock('../config/database', () => require('./helpers/mocks').mockDatabase());
+
+jest.mock('../models', () => ({
+  Analytics: { findOrCreate: jest.fn() },
+  Campaign: { findByPk: jest.fn() },
+  CampaignApplication: {},
+  Conversion: { findOrCreate: jest.fn() },
+  PromoCode: { findAll: jest.fn(), findOne: jest.fn(), create: jest.fn(async (values) => values) },
+  TrackedLink: { findAll: jest.fn() },
+  User: { findByPk: jest.fn() }
+}));
+
+jest.mock('../services/fxService', () => ({
+  convert: jest.fn(async (amount, from) => {
+    if (from === 'XXX') throw new Error('No FX rate');
+    return Math.round(parseFloat(amount) * (from === 'EUR' ? 1.1 : 1) * 100) / 100;
+  })
+}));
+
+jest.mock('../utils/monitoring', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const { Analytics, Conversion, PromoCode, TrackedLink, User } = require('../models');
+const conversionService = require('../services/conversionService');
+const { mockTransaction } = require('./helpers/mocks');
+
+const campaign = { id: 'campaign-1', goal: 'conversions', currency: 'USD' };
+const now = new Date('2026-10-19T12:00:00Z');
+
+const makePromoCode = () => ({
+  id: 'promo-1',
+  code: 'JANE7K2M',
+  applicationId: 'application-1',
+  influencerId: 'influencer-1',
+  conversionCount: 0,
+  revenue: '0.00',
+  lastConversionAt: null,
+  increment: jest.fn(),
+  update: jest.fn()
+});
+
+describe('ConversionService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should issue a name-based promo code only on conversions campaigns', async () => {
+    PromoCode.findOne.mockResolvedValue(null);
+    User.findByPk.mockResolvedValue({ id: 'influencer-1', name: 'Jane Doe' });
+    const application = { id: 'application-1', influencerId: 'influencer-1' };
+
+    const promoCode = await conversionService.createForApplication(application, { campaign });
+    expect(promoCode.code).toMatch(/^JANEDO[A-Z2-9]{4}$/);
+
+    expect(await conversionService.createForApplication(application, { campaign: { id: 'campaign-2', goal: 'awareness' } })).toBeNull();
+  });
+
+  test('should accept only fresh payloads signed with the campaign secret', () => {
+    const payload = JSON.stringify({ orderId: '1001', code: 'JANE7K2M', amount: 40 });
+    const timestamp = String(Math.floor(now.getTime() / 1000));
+    const signature = conversionService.sign('secret', timestamp, payload);
+
+    expect(conversionService.verifySignature('secret', { timestamp, signature, payload }, now)).toBe(true);
+    expect(conversionService.verifySignature('secret', { timestamp, signature: `sha256=${signature}`, payload }, now)).toBe(true);
+    expect(conversionService.verifySignature('other', { timestamp, signature, payload }, now)).toBe(false);
+    expect(conversionService.verifySignature('secret', { timestamp, signature, payload: `${payload} ` }, now)).toBe(false);
+    expect(conversionService.verifySignature('secret', { timestamp, signature, payload }, new Date(now.getTime() + 10 * 60 * 1000))).toBe(false);
+  });
+
+  test('should import a store export, skipping repeated, unknown and malformed orders', async () => {
+    const promoCode = makePromoCode();
+    PromoCode.findAll.mockResolvedValueOnce([promoCode]).mockResolvedValue([]);
+    TrackedLink.findAll.mockResolvedValue([]);
+    Conversion.findOrCreate
+      .mockResolvedValueOnce([{}, true])
+      .mockResolvedValueOnce([{}, false]);
+
+    const orders = conversionService.parseCsv([
+      'Name,Discount Code,Total,Currency,Created at',
+      '#1001,jane7k2m,"1,200.00",EUR,2026-10-18 09:30:00',
+      '#1001,,,,',
+      '#1000,JANE7K2M,35.00,USD,2026-10-17',
+      '#1002,OTHER,20.00,USD,2026-10-18',
+      '#1003,JANE7K2M,,USD,2026-10-18'
+    ].join('\r\n'));
+
+    expect(orders).toHaveLength(5);
+    const result = await conversionService.ingest(campaign, orders, 'csv', now);
+
+    expect(result).toEqual({ imported: 1, duplicates: 2, unmatched: 1, invalid: 1 });
+    expect(Conversion.findOrCreate).toHaveBeenCalledWith(expect.objectContaining({
+      where: { campaignId: 'campaign-1', orderId: '#1001' },
+      defaults: expect.objectContaining({ amount: 1200, currency: 'EUR', campaignAmount: 1320, source: 'csv' })
+    }));
+    expect(promoCode.increment).toHaveBeenCalledTimes(1);
+    expect(promoCode.increment).toHaveBeenCalledWith({ conversionCount: 1, revenue: 1320 }, { transaction: mockTransaction });
+  });
+
+  test('should write ROI, conversion rate and cost per click per influencer and per platform', async () => {
+    const metric = { update: jest.fn() };
+    PromoCode.findAll.mockResolvedValue([{
+      ...makePromoCode(),
+      conversionCount: 4,
+      revenue: '600.00',
+      application: { negotiatedRate: '200.00', currency: 'USD', appliedPlatforms: ['instagram'] }
+    }]);
+    TrackedLink.findAll.mockResolvedValue([{ applicationId: 'application-1', clickCount: 80, platform: 'tiktok' }]);
+    Analytics.findOrCreate.mockResolvedValue([metric, false]);
+
+    const summary = await conversionService.refreshMetrics(campaign, now);
+
+    expect(summary.totals).toEqual({ orders: 4, revenue: 600, clicks: 80, cost: 200, roi: 200, conversionRate: 5, cpc: 2.5 });
+    expect(summary.influencers[0].platform).toBe('tiktok');
+
+    const written = Analytics.findOrCreate.mock.calls.map(([options]) => options.where);
+    expect(written).toHaveLength(6);
+    expect(written[0]).toEqual(expect.objectContaining({ entityType: 'application', entityId: 'application-1', metricType: 'roi', dateRecorded: '2026-10-19' }));
+    expect(written[5]).toEqual(expect.objectContaining({ entityType: 'campaign', entityId: 'campaign-1', platform: 'tiktok', metricType: 'cpc' }));
+    expect(metric.update).toHaveBeenCalledWith(expect.objectContaining({ value: 200 }));
+  });
+});
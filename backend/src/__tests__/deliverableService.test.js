@@ -0,0 +1,121 @@
+/**
+ * Versioned deliverable review tests
+ */
+
+jest.mock('../config/database', () => require('./helpers/mocks').mockDatabase());
+
+jest.mock('../models', () => ({
+  Campaign: { findByPk: jest.fn() },
+  Deliverable: { create: jest.fn(), findAll: jest.fn() },
+  DeliverableVersion: { create: jest.fn(async (values) => ({ id: 'version-new', ...values })) },
+  DeliverableComment: { create: jest.fn() },
+  ApplicationHistory: { bulkCreate: jest.fn() },
+  User: {}
+}));
+
+const { Campaign, Deliverable, DeliverableVersion, ApplicationHistory } = require('../models');
+const deliverableService = require('../services/deliverableService');
+const { mockTransaction, withUpdate } = require('./helpers/mocks');
+
+const makeApplication = (overrides = {}) => withUpdate({
+  id: 'application-1',
+  campaignId: 'campaign-1',
+  influencerId: 'influencer-1',
+  status: 'in_progress',
+  contentApprovalStatus: 'pending',
+  paymentStatus: 'pending',
+  ...overrides
+});
+
+const influencer = { id: 'influencer-1', role: 'influencer' };
+const brand = { id: 'brand-1', role: 'brand' };
+
+describe('DeliverableService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Campaign.findByPk.mockResolvedValue({ id: 'campaign-1', maxRevisions: 2 });
+  });
+
+  test('should keep earlier versions and reopen the application review when a revision is submitted', async () => {
+    const application = makeApplication({ contentApprovalStatus: 'needs_revision' });
+    const deliverable = withUpdate({ id: 'deliverable-1', contentType: 'reel', currentVersion: 1, status: 'needs_revision' });
+    Deliverable.findAll.mockResolvedValue([{ id: 'deliverable-1', status: 'submitted' }]);
+
+    const { version } = await deliverableService.submitVersion(application, influencer, {
+      deliverable,
+      caption: 'Second take',
+      assets: [{ uploadKey: 'uploads/influencer-1/clip.mp4', contentType: 'video/mp4' }]
+    });
+
+    expect(deliverable.currentVersion).toBe(2);
+    expect(deliverable.status).toBe('submitted');
+    expect(DeliverableVersion.create).toHaveBeenCalledWith(expect.objectContaining({
+      deliverableId: 'deliverable-1',
+      version: 2,
+      caption: 'Second take'
+    }), { transaction: mockTransaction });
+    expect(version.assets[0]).toEqual(expect.objectContaining({ fileName: 'clip.mp4', id: expect.any(String) }));
+    expect(application.contentApprovalStatus).toBe('pending');
+    expect(ApplicationHistory.bulkCreate).toHaveBeenCalledWith([
+      expect.objectContaining({ field: 'contentApprovalStatus', fromValue: 'needs_revision', toValue: 'pending' })
+    ], { transaction: mockTransaction });
+  });
+
+  test('should reject files that are not the submitter\'s own uploads', () => {
+    expect(deliverableService.getAssetError([{ uploadKey: 'uploads/someone-else/clip.mp4' }], 'influencer-1'))
+      .toBe('Deliverable files must be your own uploads');
+    expect(deliverableService.getAssetError([{ uploadKey: 'uploads/influencer-1/clip.mp4' }], 'influencer-1')).toBeNull();
+  });
+
+  test('should stop requesting changes once the campaign revision limit is used up', async () => {
+    const deliverable = { id: 'deliverable-1', campaignId: 'campaign-1', currentVersion: 3 };
+    const version = { version: 3, status: 'submitted' };
+
+    expect(await deliverableService.getReviewError(deliverable, version, 'needs_revision'))
+      .toBe('This campaign allows 2 revision round(s) per deliverable; approve or reject this version');
+    expect(await deliverableService.getReviewError(deliverable, version, 'approved')).toBeNull();
+    expect(await deliverableService.getReviewError(deliverable, { version: 2, status: 'needs_revision' }, 'approved'))
+      .toBe('Only the latest submitted version can be reviewed');
+  });
+
+  test('should approve the application content only when every deliverable is approved', async () => {
+    const application = makeApplication();
+    const deliverable = withUpdate({ id: 'deliverable-1', contentType: 'post', currentVersion: 1, status: 'submitted' });
+    const version = withUpdate({ id: 'version-1', version: 1, status: 'submitted' });
+
+    Deliverable.findAll.mockResolvedValue([{ status: 'approved' }, { status: 'submitted' }]);
+    let result = await deliverableService.reviewVersion(application, deliverable, version, brand, { decision: 'approved' });
+    expect(result.contentApproved).toBe(false);
+    expect(application.contentApprovalStatus).toBe('pending');
+
+    Deliverable.findAll.mockResolvedValue([{ status: 'approved' }, { status: 'approved' }]);
+    result = await deliverableService.reviewVersion(application, deliverable, version, brand, { decision: 'approved' });
+    expect(result.contentApproved).toBe(true);
+    expect(application.contentApprovalStatus).toBe('approved');
+    expect(version.reviewedBy).toBe('brand-1');
+  });
+
+  test('should only anchor timestamps to video files in the version', () => {
+    const version = {
+      findAsset: (id) => ({ a1: { id: 'a1', contentType: 'video/mp4' }, a2: { id: 'a2', contentType: 'image/png' } })[id] || null
+    };
+
+    expect(deliverableService.getCommentError(version, { assetId: 'a1', timestampSeconds: 12.5 })).toBeNull();
+    expect(deliverableService.getCommentError(version, { assetId: 'a2', timestampSeconds: 3 }))
+      .toBe('Timestamps can only be attached to a video file');
+    expect(deliverableService.getCommentError(version, { assetId: 'missing' }))
+      .toBe('The comment refers to a file that is not part of this version');
+  });
+
+  test('should list added, removed and unchanged files between versions', () => {
+    const diff = deliverableService.compareVersions(
+      { caption: 'Old', assets: [{ uploadKey: 'k1' }, { uploadKey: 'k2' }] },
+      { caption: 'New', assets: [{ uploadKey: 'k2' }, { uploadKey: 'k3' }] }
+    );
+
+    expect(diff.captionChanged).toBe(true);
+    expect(diff.assets.added).toEqual([{ uploadKey: 'k3' }]);
+    expect(diff.assets.removed).toEqual([{ uploadKey: 'k1' }]);
+    expect(diff.assets.unchanged).toEqual([{ uploadKey: 'k2' }]);
+  });
+});
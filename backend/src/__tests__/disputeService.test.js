@@ -0,0 +1,202 @@
+/**
+ * Dispute workflow tests (models, processor and ledger mocked)
+ */
+
+jest.mock('../config/database', () => require('./helpers/mocks').mockDatabase());
+
+jest.mock('../models', () => ({
+  Dispute: {
+    findOne: jest.fn(),
+    create: jest.fn(),
+    RESOLVED_STATUSES: ['resolved_refund', 'resolved_release', 'split']
+  },
+  DisputeEvidence: { create: jest.fn(), bulkCreate: jest.fn() },
+  DisputeMessage: { create: jest.fn() },
+  EscrowAllocation: { findOne: jest.fn() },
+  EscrowMilestone: { update: jest.fn() },
+  CampaignApplication: { findByPk: jest.fn() },
+  ApplicationHistory: { bulkCreate: jest.fn() }
+}));
+
+jest.mock('../services/escrowService', () => ({
+  refundToBrand: jest.fn(async () => ({ success: true })),
+  captureEscrow: jest.fn(async () => ({ success: true, capturedAmount: 500 }))
+}));
+
+jest.mock('../services/ledgerService', () => ({
+  recordDisputeHold: jest.fn(async () => ({ entryId: 'entry-1' })),
+  recordDisputeResolution: jest.fn(async (escrow, { releaseAmount, platformFee }) => ({
+    payout: releaseAmount > 0 ? { id: 'payout-1', amount: releaseAmount - platformFee } : null
+  })),
+  recordProcessorFee: jest.fn(),
+  logReconciliationGap: jest.fn()
+}));
+
+jest.mock('../services/feeService', () => ({
+  calculateFees: jest.fn(async (amount) => ({ platformFee: Math.round(amount * 10) / 100, waivedFee: 0, waiver: null })),
+  calculateProcessorFee: jest.fn(async () => 14.8)
+}));
+
+jest.mock('../services/subscriptionService', () => ({
+  getTier: jest.fn(async () => null)
+}));
+
+jest.mock('../services/payoutService', () => ({
+  dispatchPayout: jest.fn()
+}));
+
+jest.mock('../services/escrowAllocationService', () => ({
+  getUnallocatedBalance: jest.fn(async () => 300)
+}));
+
+const { Dispute, DisputeEvidence, EscrowAllocation, CampaignApplication } = require('../models');
+const escrowService = require('../services/escrowService');
+const ledgerService = require('../services/ledgerService');
+const disputeService = require('../services/disputeService');
+const { mockTransaction, withUpdate } = require('./helpers/mocks');
+
+const TRANSITIONS = {
+  opened: ['evidence_requested', 'under_review'],
+  evidence_requested: ['under_review'],
+  under_review: ['evidence_requested', 'resolved_refund', 'resolved_release', 'split']
+};
+
+const makeEscrow = () => ({
+  id: 'escrow-1',
+  paymentIntentId: 'pi_123',
+  heldBalance: '800.00',
+  status: 'funded'
+});
+
+const makeDispute = (status) => withUpdate({
+  id: 'dispute-1',
+  applicationId: 'application-1',
+  influencerId: 'influencer-1',
+  status,
+  frozenAmount: '500.00',
+  escrow: makeEscrow(),
+  isOpen() { return !Dispute.RESOLVED_STATUSES.includes(this.status); },
+  canTransitionTo(next) { return (TRANSITIONS[this.status] || []).includes(next); }
+});
+
+const admin = { id: 'admin-1', role: 'admin' };
+
+describe('DisputeService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Dispute.findOne.mockResolvedValue(null);
+    Dispute.create.mockImplementation(async (values) => withUpdate({ id: 'dispute-1', ...values }));
+    EscrowAllocation.findOne.mockResolvedValue(null);
+    CampaignApplication.findByPk.mockResolvedValue(withUpdate({ id: 'application-1', paidAmount: null, paymentStatus: 'pending' }));
+  });
+
+  test('should not resolve a dispute that has not been reviewed', async () => {
+    await expect(disputeService.resolve(makeDispute('opened'), admin, { outcome: 'refund' }))
+      .rejects.toThrow('Cannot resolve a dispute that is opened');
+    expect(escrowService.refundToBrand).not.toHaveBeenCalled();
+  });
+
+  test('should refund and release the split amounts and settle the application', async () => {
+    const dispute = makeDispute('under_review');
+
+    const { payout } = await disputeService.resolve(dispute, admin, {
+      outcome: 'split',
+      refundAmount: 200,
+      releaseAmount: 100
+    });
+
+    expect(escrowService.refundToBrand).toHaveBeenCalledWith('pi_123', 200, 'dispute_resolution');
+    expect(escrowService.captureEscrow).toHaveBeenCalledWith('pi_123');
+    expect(ledgerService.recordDisputeResolution).toHaveBeenCalledWith(dispute.escrow, expect.objectContaining({
+      frozenAmount: '500.00',
+      refundAmount: 200,
+      releaseAmount: 100,
+      platformFee: 10
+    }), mockTransaction);
+    expect(payout.id).toBe('payout-1');
+    expect(dispute.status).toBe('split');
+    expect(dispute.resolvedBy).toBe('admin-1');
+  });
+
+  test('should reject a split larger than the disputed balance', async () => {
+    await expect(disputeService.resolve(makeDispute('under_review'), admin, {
+      outcome: 'split',
+      refundAmount: 400,
+      releaseAmount: 200
+    })).rejects.toThrow('exceed the disputed balance of 500');
+    expect(escrowService.refundToBrand).not.toHaveBeenCalled();
+  });
+
+  test('should refund the application\'s outstanding allocation by default and no more', async () => {
+    EscrowAllocation.findOne.mockResolvedValue(withUpdate({ id: 'allocation-1', amount: '300.00', releasedAmount: '100.00' }));
+
+    await expect(disputeService.resolve(makeDispute('under_review'), admin, { outcome: 'refund', refundAmount: 250 }))
+      .rejects.toThrow('exceed the disputed balance of 200');
+    expect(escrowService.refundToBrand).not.toHaveBeenCalled();
+
+    await disputeService.resolve(makeDispute('under_review'), admin, { outcome: 'refund' });
+    expect(escrowService.refundToBrand).toHaveBeenCalledWith('pi_123', 200, 'dispute_resolution');
+  });
+
+  test('should reject evidence that is not the submitter\'s own upload', async () => {
+    await expect(disputeService.addEvidence(makeDispute('opened'), { id: 'brand-1' }, {
+      uploadKey: 'uploads/someone-else/contract.pdf'
+    })).rejects.toThrow('must be your own uploads');
+    expect(DisputeEvidence.create).not.toHaveBeenCalled();
+  });
+
+  test('should allow only one open dispute per application', async () => {
+    Dispute.findOne.mockResolvedValue({ id: 'dispute-0', status: 'under_review' });
+
+    await expect(disputeService.openDispute({
+      escrow: makeEscrow(),
+      campaign: { id: 'campaign-1', brandId: 'brand-1' },
+      application: { id: 'application-1', influencerId: 'influencer-1' },
+      openedBy: { id: 'brand-1', role: 'brand' },
+      disputeType: 'content_quality'
+    })).rejects.toThrow('already has an open dispute');
+    expect(ledgerService.recordDisputeHold).not.toHaveBeenCalled();
+  });
+
+  test('should freeze only the application\'s outstanding allocation', async () => {
+    const escrow = makeEscrow();
+    EscrowAllocation.findOne.mockResolvedValue({ amount: '400.00', releasedAmount: '150.00' });
+
+    const dispute = await disputeService.openDispute({
+      escrow,
+      campaign: { id: 'campaign-1', brandId: 'brand-1' },
+      application: { id: 'application-1', influencerId: 'influencer-1' },
+      openedBy: { id: 'brand-1', role: 'brand' },
+      disputeType: 'content_quality'
+    });
+
+    expect(dispute.frozenAmount).toBe(250);
+    expect(ledgerService.recordDisputeHold).toHaveBeenCalledWith(escrow, expect.objectContaining({ amount: 250 }), mockTransaction);
+    expect(escrow.status).toBe('funded');
+  });
+
+  test('should freeze at most the negotiated rate when the application has no allocation', async () => {
+    // 300 of the escrow is unallocated, but this application was only ever worth 120 of it
+    const dispute = await disputeService.openDispute({
+      escrow: makeEscrow(),
+      campaign: { id: 'campaign-1', brandId: 'brand-1' },
+      application: { id: 'application-1', influencerId: 'influencer-1', negotiatedRate: '120.00' },
+      openedBy: { id: 'brand-1', role: 'brand' },
+      disputeType: 'content_quality'
+    });
+
+    expect(dispute.frozenAmount).toBe(120);
+    expect(ledgerService.recordDisputeHold).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ amount: 120 }), mockTransaction);
+  });
+
+  test('should not open a dispute without an allocation or a negotiated rate', async () => {
+    await expect(disputeService.openDispute({
+      escrow: makeEscrow(),
+      campaign: { id: 'campaign-1', brandId: 'brand-1' },
+      application: { id: 'application-1', influencerId: 'influencer-1', negotiatedRate: null },
+      openedBy: { id: 'brand-1', role: 'brand' },
+      disputeType: 'content_quality'
+    })).rejects.toThrow('No escrow balance available to dispute');
+    expect(Dispute.create).not.toHaveBeenCalled();
+  });
+});
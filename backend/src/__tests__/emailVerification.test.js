@@ -0,0 +1,42 @@
+/**
+ * Email verification service tests (JSON transport, no SMTP needed)
+ */
+
+const { emailVerificationService } = require('../services/emailVerification');
+
+describe('EmailVerificationService', () => {
+  const user = { id: 'user-1', name: 'Test Brand', email: 'brand@example.com' };
+
+  test('should use a JSON transport in the test environment', () => {
+    expect(emailVerificationService.transporter.options.jsonTransport).toBe(true);
+  });
+
+  test('should round-trip a verification token', async () => {
+    const { jwtToken } = await emailVerificationService.generateVerificationToken(user.id, user.email);
+    const result = await emailVerificationService.verifyToken(jwtToken, 'email_verification');
+
+    expect(result.valid).toBe(true);
+    expect(result.userId).toBe(user.id);
+    expect(result.email).toBe(user.email);
+  });
+
+  test('should reject a token of the wrong type', async () => {
+    const { jwtToken } = await emailVerificationService.generateVerificationToken(
+      user.id, user.email, 'password_reset', { pwd: 'abc' }
+    );
+
+    expect((await emailVerificationService.verifyToken(jwtToken, 'email_verification')).valid).toBe(false);
+    expect((await emailVerificationService.verifyToken(jwtToken, 'password_reset')).claims.pwd).toBe('abc');
+  });
+
+  test('should render the verification link into the sent message', async () => {
+    const sendMail = jest.spyOn(emailVerificationService.transporter, 'sendMail');
+
+    await emailVerificationService.sendVerificationEmail(user, 'tok123', 'http://localhost:3002');
+
+    const message = sendMail.mock.calls[0][0];
+    expect(message.to).toBe(user.email);
+    expect(message.text).toContain('http://localhost:3002/verify-email?token=tok123');
+    sendMail.mockRestore();
+  });
+});
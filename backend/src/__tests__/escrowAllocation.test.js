@@ -0,0 +1,182 @@
+/**
+ * Escrow allocation and milestone release tests
+ */
+
+jest.mock('../config/database', () => require('./helpers/mocks').mockDatabase());
+
+jest.mock('../models', () => ({
+  Dispute: { findOpen: jest.fn() },
+  Escrow: {},
+  CampaignApplication: { findByPk: jest.fn() },
+  EscrowAllocation: { findAll: jest.fn(), findOne: jest.fn(), findByPk: jest.fn(), create: jest.fn() },
+  EscrowMilestone: { bulkCreate: jest.fn(async (rows) => rows), update: jest.fn() },
+  ApplicationHistory: { bulkCreate: jest.fn() }
+}));
+
+jest.mock('../services/escrowService', () => ({
+  captureEscrow: jest.fn(async () => ({ success: true, capturedAmount: 500 }))
+}));
+
+jest.mock('../services/ledgerService', () => ({
+  recordRelease: jest.fn(async (escrow, { grossAmount, platformFee }) => ({
+    payout: { id: 'payout-1', amount: grossAmount - platformFee, status: 'pending' }
+  })),
+  recordProcessorFee: jest.fn(),
+  logReconciliationGap: jest.fn()
+}));
+
+jest.mock('../services/feeService', () => ({
+  calculateFees: jest.fn(async (amount) => ({ platformFee: Math.round(amount * 10) / 100, waivedFee: 0, waiver: null })),
+  calculateProcessorFee: jest.fn(async () => 14.8)
+}));
+
+jest.mock('../services/subscriptionService', () => ({
+  getTier: jest.fn(async () => null)
+}));
+
+jest.mock('../services/payoutService', () => ({
+  dispatchPayout: jest.fn()
+}));
+
+const { Dispute, EscrowAllocation, EscrowMilestone, CampaignApplication } = require('../models');
+const escrowService = require('../services/escrowService');
+const ledgerService = require('../services/ledgerService');
+const escrowAllocationService = require('../services/escrowAllocationService');
+const { mockTransaction, withUpdate } = require('./helpers/mocks');
+
+const escrow = {
+  id: 'escrow-1',
+  campaignId: 'campaign-1',
+  paymentIntentId: 'pi_123',
+  currency: 'USD',
+  heldBalance: '500.00',
+  status: 'funded'
+};
+
+const application = { id: 'application-1', campaignId: 'campaign-1', influencerId: 'influencer-1', status: 'approved' };
+
+describe('EscrowAllocationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    EscrowAllocation.findOne.mockResolvedValue(null);
+    EscrowAllocation.findAll.mockResolvedValue([]);
+    Dispute.findOpen.mockResolvedValue([]);
+    EscrowAllocation.create.mockImplementation(async (values) => ({ id: 'allocation-1', ...values }));
+  });
+
+  test('should split an allocation into percentage milestones with the remainder last', async () => {
+    await escrowAllocationService.createAllocation(escrow, application, {
+      amount: 100,
+      milestones: [
+        { title: 'Draft approved', percentage: 33.33, trigger: 'content_approved' },
+        { title: 'Post live 7 days', trigger: 'content_approved', releaseDelayDays: 7 }
+      ]
+    });
+
+    const rows = EscrowMilestone.bulkCreate.mock.calls[0][0];
+    expect(rows.map(row => row.amount)).toEqual([33.33, 66.67]);
+    expect(rows[1].releaseDelayDays).toBe(7);
+  });
+
+  test('should not allocate more than the unallocated escrow balance', async () => {
+    EscrowAllocation.findAll.mockResolvedValue([{ amount: '450.00', releasedAmount: '0.00' }]);
+
+    await expect(escrowAllocationService.createAllocation(escrow, application, { amount: 100 }))
+      .rejects.toThrow('exceeds unallocated escrow balance of 50');
+    expect(EscrowAllocation.create).not.toHaveBeenCalled();
+  });
+
+  test('should leave funds frozen by a dispute out of the unallocated balance', async () => {
+    EscrowAllocation.findAll.mockResolvedValue([{ applicationId: 'application-2', amount: '200.00', releasedAmount: '50.00' }]);
+    Dispute.findOpen.mockResolvedValue([
+      { applicationId: 'application-2', frozenAmount: '150.00' },
+      { applicationId: 'application-3', frozenAmount: '100.00' }
+    ]);
+
+    expect(await escrowAllocationService.getUnallocatedBalance(escrow)).toBe(250);
+  });
+
+  test('should allocate exactly the rate agreed through an offer', async () => {
+    const agreed = { ...application, negotiatedRate: '250.00', rateAgreedAt: new Date() };
+
+    await expect(escrowAllocationService.createAllocation(escrow, agreed, { amount: 300 }))
+      .rejects.toThrow('Allocation must match the agreed rate of 250.00');
+
+    const allocation = await escrowAllocationService.createAllocation(escrow, agreed, {});
+    expect(allocation.amount).toBe(250);
+  });
+
+  test('should hold a delayed milestone until it becomes releasable', async () => {
+    const milestone = withUpdate({ id: 'milestone-1', status: 'pending', releaseDelayDays: 7 });
+
+    const result = await escrowAllocationService.approveMilestone(milestone);
+
+    expect(result.released).toBe(false);
+    expect(milestone.status).toBe('approved');
+    expect(milestone.releasableAt.getTime()).toBeGreaterThan(Date.now());
+    expect(escrowService.captureEscrow).not.toHaveBeenCalled();
+  });
+
+  test('should release one milestone without closing the rest of the allocation', async () => {
+    const allocation = withUpdate({
+      id: 'allocation-1',
+      applicationId: 'application-1',
+      influencerId: 'influencer-1',
+      amount: '300.00',
+      releasedAmount: '0.00',
+      escrow
+    });
+    const paidApplication = withUpdate({ ...application, paidAmount: null, paymentStatus: 'pending' });
+    EscrowAllocation.findByPk.mockResolvedValue(allocation);
+    CampaignApplication.findByPk.mockResolvedValue(paidApplication);
+    EscrowMilestone.update.mockResolvedValue([1]);
+    const milestone = withUpdate({ id: 'milestone-1', allocationId: 'allocation-1', title: 'Draft approved', amount: '100.00', status: 'pending', releaseDelayDays: 0 });
+
+    const result = await escrowAllocationService.approveMilestone(milestone);
+
+    expect(result.released).toBe(true);
+    expect(ledgerService.recordRelease).toHaveBeenCalledWith(escrow, expect.objectContaining({
+      grossAmount: 100,
+      platformFee: 10
+    }), mockTransaction);
+    expect(allocation.releasedAmount).toBe(100);
+    expect(allocation.status).toBe('active');
+    expect(paidApplication.paidAmount).toBe(90);
+    expect(paidApplication.status).toBe('approved');
+  });
+
+  test('should not release a milestone of a disputed application', async () => {
+    EscrowAllocation.findByPk.mockResolvedValue(withUpdate({ id: 'allocation-1', applicationId: 'application-1', escrow, application }));
+    Dispute.findOpen.mockResolvedValue([{ id: 'dispute-1' }]);
+
+    await expect(escrowAllocationService.releaseMilestone({ id: 'milestone-1', amount: '100.00', title: 'Draft approved' }))
+      .rejects.toThrow('while the application is disputed');
+    expect(escrowService.captureEscrow).not.toHaveBeenCalled();
+  });
+
+  test('should record a release against the allocation as re-read under a lock', async () => {
+    // Another milestone of the allocation was released after it was first loaded
+    EscrowAllocation.findByPk
+      .mockResolvedValueOnce(withUpdate({ id: 'allocation-1', applicationId: 'application-1', amount: '300.00', releasedAmount: '0.00', escrow }))
+      .mockResolvedValueOnce(withUpdate({ id: 'allocation-1', amount: '300.00', releasedAmount: '200.00' }));
+    CampaignApplication.findByPk.mockResolvedValue(withUpdate({ ...application, paidAmount: '180.00', paymentStatus: 'processing' }));
+    EscrowMilestone.update.mockResolvedValue([1]);
+
+    const { allocation } = await escrowAllocationService.releaseMilestone(
+      withUpdate({ id: 'milestone-3', allocationId: 'allocation-1', amount: '100.00', title: 'Post live' })
+    );
+
+    expect(EscrowAllocation.findByPk).toHaveBeenLastCalledWith('allocation-1', expect.objectContaining({ lock: 'UPDATE' }));
+    expect(allocation.releasedAmount).toBe(300);
+    expect(allocation.status).toBe('released');
+  });
+
+  test('should not release a milestone another request already claimed', async () => {
+    EscrowAllocation.findByPk.mockResolvedValue(withUpdate({ id: 'allocation-1', escrow, application }));
+    EscrowMilestone.update.mockResolvedValue([0]);
+
+    await expect(escrowAllocationService.releaseMilestone({ id: 'milestone-1', amount: '100.00', title: 'Draft approved' }))
+      .rejects.toThrow('already been released');
+    expect(ledgerService.recordRelease).not.toHaveBeenCalled();
+  });
+});
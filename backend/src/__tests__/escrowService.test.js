@@ -0,0 +1,68 @@
+/**
+ * Escrow processor tests (Stripe mocked)
+ */
+
+const mockStripe = {
+  paymentIntents: { retrieve: jest.fn(), cancel: jest.fn(), capture: jest.fn() },
+  refunds: { create: jest.fn() }
+};
+
+jest.mock('stripe', () => () => mockStripe);
+
+const escrowService = require('../services/escrowService');
+
+const paymentIntent = (status) => ({ id: 'pi_123', status, amount: 50000 });
+
+describe('Escrow refunds', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should cancel an unconfirmed payment so the brand cannot pay it later', async () => {
+    mockStripe.paymentIntents.retrieve.mockResolvedValue(paymentIntent('requires_payment_method'));
+
+    const result = await escrowService.refundToBrand('pi_123', 500);
+
+    expect(result.success).toBe(true);
+    expect(mockStripe.paymentIntents.cancel).toHaveBeenCalledWith('pi_123');
+    expect(mockStripe.refunds.create).not.toHaveBeenCalled();
+  });
+
+  test('should release only the refunded part of an uncaptured hold', async () => {
+    mockStripe.paymentIntents.retrieve.mockResolvedValue(paymentIntent('requires_capture'));
+
+    await escrowService.refundToBrand('pi_123', 200);
+
+    expect(mockStripe.paymentIntents.capture).toHaveBeenCalledWith('pi_123', { amount_to_capture: 30000 });
+    expect(mockStripe.paymentIntents.cancel).not.toHaveBeenCalled();
+  });
+
+  test('should fail on a payment it cannot refund', async () => {
+    mockStripe.paymentIntents.retrieve.mockResolvedValue(paymentIntent('processing'));
+
+    const result = await escrowService.refundToBrand('pi_123', 500);
+
+    expect(result).toEqual({ success: false, error: 'Payment cannot be refunded while processing' });
+    expect(mockStripe.paymentIntents.cancel).not.toHaveBeenCalled();
+  });
+});
+
+describe('Escrow capture', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should capture a funded hold once and confirm it on later calls', async () => {
+    mockStripe.paymentIntents.retrieve.mockResolvedValueOnce(paymentIntent('requires_capture'));
+    mockStripe.paymentIntents.capture.mockResolvedValueOnce({ amount_received: 50000, currency: 'usd' });
+
+    const first = await escrowService.captureEscrow('pi_123');
+
+    mockStripe.paymentIntents.retrieve.mockResolvedValueOnce({ ...paymentIntent('succeeded'), amount_received: 50000 });
+    const second = await escrowService.captureEscrow('pi_123');
+
+    expect(first).toEqual(expect.objectContaining({ success: true, capturedAmount: 500, alreadyCaptured: false }));
+    expect(second).toEqual(expect.objectContaining({ success: true, capturedAmount: 500, alreadyCaptured: true }));
+    expect(mockStripe.paymentIntents.capture).toHaveBeenCalledTimes(1);
+  });
+});
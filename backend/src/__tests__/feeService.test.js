@@ -0,0 +1,76 @@
+/**
+ * Fee engine tests (settings table and subscription tiers mocked)
+ */
+
+jest.mock('../models', () => ({
+  SystemSetting: { getValues: jest.fn(), upsert: jest.fn() }
+}));
+
+jest.mock('../services/paymentService', () => ({
+  paymentService: {
+    getSubscriptionTiers: () => ({
+      basic: { name: 'Basic', commissionRate: 0.10 },
+      pro: { name: 'Pro', commissionRate: 0.08 }
+    })
+  }
+}));
+
+const { SystemSetting } = require('../models');
+const feeService = require('../services/feeService');
+
+describe('FeeService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    feeService.clearCache();
+    SystemSetting.getValues.mockResolvedValue({
+      platform_commission_rate: 0.12,
+      tier_commission_rates: { basic: 0.09 },
+      processor_fees: {
+        default: { percent: 0.029, fixed: 0.30 },
+        EUR: { percent: 0.015, fixed: 0.25 }
+      },
+      fee_waivers: []
+    });
+  });
+
+  test('should use the platform rate without a tier and the tier rate with one', async () => {
+    expect((await feeService.calculateFees(100)).platformFee).toBe(12);
+    expect((await feeService.calculateFees(100, { tier: 'pro' })).platformFee).toBe(8);
+    // system_settings override the tier definition
+    expect((await feeService.calculateFees(100, { tier: 'basic' })).platformFee).toBe(9);
+  });
+
+  test('should charge the processor fee for the charge currency', async () => {
+    const usd = await feeService.calculateFees(100, { currency: 'usd' });
+    const eur = await feeService.calculateFees(100, { currency: 'EUR' });
+
+    expect(usd.processorFee).toBe(3.2);
+    expect(eur.processorFee).toBe(1.75);
+    expect(usd.netToInfluencer).toBe(88);
+  });
+
+  test('should apply only active waivers that match the brand', async () => {
+    SystemSetting.getValues.mockResolvedValue({
+      platform_commission_rate: 0.10,
+      fee_waivers: [
+        { id: 'launch', discount: 1, brandIds: ['brand-1'], endsAt: '2099-01-01T00:00:00Z' },
+        { id: 'expired', discount: 0.5, endsAt: '2020-01-01T00:00:00Z' }
+      ]
+    });
+
+    const waived = await feeService.calculateFees(200, { brandId: 'brand-1' });
+    const charged = await feeService.calculateFees(200, { brandId: 'brand-2' });
+
+    expect(waived).toEqual(expect.objectContaining({ grossPlatformFee: 20, waivedFee: 20, platformFee: 0 }));
+    expect(waived.waiver.id).toBe('launch');
+    expect(charged).toEqual(expect.objectContaining({ waivedFee: 0, platformFee: 20, waiver: null }));
+  });
+
+  test('should reject invalid settings before storing them', async () => {
+    await expect(feeService.updateSetting('tier_commission_rates', { gold: 0.05 }, 'admin-1'))
+      .rejects.toThrow('Unknown subscription tier: gold');
+    await expect(feeService.updateSetting('platform_commission_rate', 1.5, 'admin-1'))
+      .rejects.toThrow('between 0 and 1');
+    expect(SystemSetting.upsert).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * FX conversion tests (fixture rate provider, snapshot table mocked)
+ */
+
+jest.mock('../models', () => ({
+  FxRateSnapshot: { findOrCreate: jest.fn() }
+}));
+
+const { FxRateSnapshot } = require('../models');
+const { FixtureFxProvider } = require('../services/fxProviders');
+const fxService = require('../services/fxService');
+
+describe('FxService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fxService.setProvider(new FixtureFxProvider());
+  });
+
+  test('should convert between two non-base currencies through the base', async () => {
+    expect(await fxService.convert(100, 'USD', 'USD')).toBe(100);
+    expect(await fxService.convert(100, 'USD', 'EUR')).toBe(92);
+    expect(await fxService.convert(79, 'GBP', 'EUR')).toBe(92);
+  });
+
+  test('should reject currencies the provider has no rate for', async () => {
+    await expect(fxService.convert(10, 'USD', 'XYZ')).rejects.toThrow('No FX rate between USD and XYZ');
+  });
+
+  test('should sum mixed currencies, using snapshotted rates where given', async () => {
+    const fundedRates = { USD: 1, EUR: 0.8 };
+
+    const total = await fxService.sumInCurrency([
+      { amount: '100.00', currency: 'USD' },
+      { amount: '92.00', currency: 'EUR' },
+      { amount: '80.00', currency: 'EUR', rates: fundedRates }
+    ], 'USD');
+
+    expect(total).toBe(300);
+  });
+
+  test('should keep serving cached rates when the provider fails', async () => {
+    const provider = new FixtureFxProvider();
+    fxService.setProvider(provider);
+    await fxService.getRates();
+
+    fxService.cachedAt = 0;
+    provider.getRates = jest.fn().mockRejectedValue(new Error('rate API down'));
+
+    expect(await fxService.convert(100, 'USD', 'EUR')).toBe(92);
+    expect(provider.getRates).toHaveBeenCalled();
+  });
+
+  test('should store one snapshot per rate set and not throw when rates are unavailable', async () => {
+    FxRateSnapshot.findOrCreate.mockResolvedValue([{ id: 'fx-1' }]);
+
+    expect(await fxService.snapshotRates()).toEqual({ id: 'fx-1' });
+    expect(FxRateSnapshot.findOrCreate).toHaveBeenCalledWith(expect.objectContaining({
+      where: { provider: 'fixture', baseCurrency: 'USD', ratesAsOf: new Date('2026-01-01T00:00:00.000Z') }
+    }));
+
+    fxService.setProvider({ name: 'broken', getRates: jest.fn().mockRejectedValue(new Error('timeout')) });
+    expect(await fxService.snapshotRates()).toBeNull();
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * Shared fixtures for unit tests that mock the models
+ */
+
+// Transaction every sequelize.transaction callback receives (row locks included)
+const mockTransaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+/**
+ * Stand-in for config/database whose sequelize.transaction runs the callback with
+ * mockTransaction; extra sequelize members (literal, escape, ...) can be passed in.
+ * jest.mock('../config/database', () => require('./helpers/mocks').mockDatabase());
+ */
+const mockDatabase = (sequelize = {}) => ({
+  sequelize: { transaction: (callback) => callback(mockTransaction), ...sequelize }
+});
+
+/**
+ * Plain record whose update() assigns the values, like a model instance
+ */
+const withUpdate = (record) => ({
+  ...record,
+  update: jest.fn(async function(values) { return Object.assign(this, values); })
+});
+
+module.exports = {
+  mockTransaction,
+  mockDatabase,
+  withUpdate
+};
@@ -0,0 +1,116 @@
+/**
+ * Campaign invitation tests
+ */
+
+jest.mock('../config/database', () => require('./helpers/mocks').mockDatabase());
+
+jest.mock('../models', () => ({
+  Campaign: { findByPk: jest.fn() },
+  CampaignApplication: { findAll: jest.fn(), findOne: jest.fn(), create: jest.fn() },
+  CampaignInvitation: { update: jest.fn(), findAll: jest.fn(), bulkCreate: jest.fn(async (rows) => rows) },
+  ApplicationOffer: { create: jest.fn() },
+  ApplicationHistory: { bulkCreate: jest.fn() },
+  User: { findAll: jest.fn() }
+}));
+
+jest.mock('../services/trackedLinkService', () => ({
+  createForApplication: jest.fn()
+}));
+
+jest.mock('../services/conversionService', () => ({
+  createForApplication: jest.fn()
+}));
+
+jest.mock('../utils/monitoring', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const { Campaign, CampaignApplication, CampaignInvitation, ApplicationOffer, ApplicationHistory, User } = require('../models');
+const invitationService = require('../services/invitationService');
+const { mockTransaction, withUpdate } = require('./helpers/mocks');
+
+const campaign = { id: 'campaign-1', brandId: 'brand-1', status: 'active', currency: 'EUR', applicationDeadline: null };
+const brand = { id: 'brand-1', role: 'brand' };
+const influencer = { id: 'influencer-1', role: 'influencer' };
+
+const makeInvitation = (overrides = {}) => withUpdate({
+  id: 'invitation-1',
+  campaignId: 'campaign-1',
+  brandId: 'brand-1',
+  influencerId: 'influencer-1',
+  message: 'We love your content',
+  offeredRate: '300.00',
+  currency: 'EUR',
+  status: 'pending',
+  expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  campaign,
+  isExpired() {
+    return this.status === 'pending' && this.expiresAt <= new Date();
+  },
+  ...overrides
+});
+
+describe('InvitationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    CampaignInvitation.update.mockResolvedValue([0]);
+    Campaign.findByPk.mockResolvedValue(campaign);
+  });
+
+  test('should skip influencers who cannot be invited and invite the rest', async () => {
+    User.findAll.mockResolvedValue([{ id: 'influencer-1' }, { id: 'influencer-2' }, { id: 'influencer-3' }]);
+    CampaignApplication.findAll.mockResolvedValue([{ influencerId: 'influencer-2' }]);
+    CampaignInvitation.findAll.mockResolvedValue([{ influencerId: 'influencer-3' }]);
+
+    const { invitations, skipped } = await invitationService.invite(campaign, brand,
+      ['influencer-1', 'influencer-2', 'influencer-3', 'brand-2', 'influencer-1'],
+      { offeredRate: 250, message: 'Hi!' });
+
+    expect(invitations).toEqual([expect.objectContaining({
+      influencerId: 'influencer-1',
+      offeredRate: 250,
+      currency: 'EUR'
+    })]);
+    expect(skipped).toEqual([
+      { influencerId: 'influencer-2', reason: 'Already applied to this campaign' },
+      { influencerId: 'influencer-3', reason: 'Already invited to this campaign' },
+      { influencerId: 'brand-2', reason: 'Not an active influencer' }
+    ]);
+  });
+
+  test('should accept into an approved application with the offered rate agreed', async () => {
+    const invitation = makeInvitation();
+    const application = withUpdate({ id: 'application-1', campaignId: 'campaign-1', status: 'pending' });
+    CampaignApplication.findOne.mockResolvedValue(null);
+    CampaignApplication.create.mockImplementation(async (values) => Object.assign(application, values));
+
+    expect(await invitationService.getAcceptError(invitation, influencer)).toBeNull();
+    await invitationService.accept(invitation, influencer, { appliedPlatforms: ['instagram'] });
+
+    expect(CampaignApplication.create).toHaveBeenCalledWith(expect.objectContaining({
+      negotiatedRate: '300.00',
+      currency: 'EUR',
+      rateAgreedAt: expect.any(Date)
+    }), { transaction: mockTransaction });
+    expect(ApplicationOffer.create).toHaveBeenCalledWith(expect.objectContaining({
+      proposerRole: 'brand',
+      status: 'accepted',
+      respondedBy: 'influencer-1'
+    }), { transaction: mockTransaction });
+    expect(application.status).toBe('approved');
+    expect(ApplicationHistory.bulkCreate).toHaveBeenCalledWith([
+      expect.objectContaining({ field: 'status', toValue: 'approved', actorId: 'brand-1' })
+    ], { transaction: mockTransaction });
+    expect(invitation.status).toBe('accepted');
+    expect(invitation.applicationId).toBe('application-1');
+  });
+
+  test('should not let an invitation be answered after it expires or by someone else', async () => {
+    const expired = makeInvitation({ expiresAt: new Date(Date.now() - 1000) });
+    expect(await invitationService.getAcceptError(expired, influencer)).toBe('This invitation is expired');
+    expect(expired.update).toHaveBeenCalledWith({ status: 'expired' });
+
+    expect(await invitationService.getResponseError(makeInvitation(), { id: 'influencer-2' }))
+      .toBe('This invitation was sent to someone else');
+  });
+});
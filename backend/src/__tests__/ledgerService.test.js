@@ -0,0 +1,173 @@
+/**
+ * Escrow ledger double-entry tests
+ */
+
+jest.mock('../config/database', () => require('./helpers/mocks').mockDatabase());
+
+jest.mock('../models', () => ({
+  Campaign: { update: jest.fn(async () => [1]) },
+  Escrow: { create: jest.fn(), findByPk: jest.fn() },
+  EscrowTransaction: { bulkCreate: jest.fn(async (rows) => rows), update: jest.fn(), findAll: jest.fn() },
+  Payout: { create: jest.fn(async (values) => ({ id: 'payout-1', ...values })) },
+  EscrowAllocation: { findAll: jest.fn(async () => []), update: jest.fn() },
+  EscrowMilestone: { update: jest.fn() }
+}));
+
+jest.mock('../services/fxService', () => ({
+  snapshotRates: jest.fn(async () => ({ id: 'fx-snapshot-1' }))
+}));
+
+const { Campaign, Escrow, EscrowTransaction } = require('../models');
+const fxService = require('../services/fxService');
+const ledgerService = require('../services/ledgerService');
+const { mockTransaction } = require('./helpers/mocks');
+
+const makeEscrow = (overrides = {}) => ({
+  id: 'escrow-1',
+  campaignId: 'campaign-1',
+  brandId: 'brand-1',
+  paymentIntentId: 'pi_123',
+  currency: 'USD',
+  heldBalance: '100.00',
+  releasedAmount: '0.00',
+  refundedAmount: '0.00',
+  status: 'funded',
+  update: jest.fn(async function(values) { return Object.assign(this, values); }),
+  ...overrides
+});
+
+describe('LedgerService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should reject unbalanced entries', async () => {
+    await expect(ledgerService.postEntry(makeEscrow(), {
+      type: 'payment',
+      lines: [
+        { account: 'escrow_liability', direction: 'debit', amount: 10 },
+        { account: 'influencer_payable', direction: 'credit', amount: 9.99 }
+      ]
+    })).rejects.toThrow('Unbalanced ledger entry');
+    expect(EscrowTransaction.bulkCreate).not.toHaveBeenCalled();
+  });
+
+  test('should split a release into payable and commission legs', async () => {
+    const escrow = makeEscrow();
+    Escrow.findByPk.mockResolvedValue(escrow);
+
+    await ledgerService.recordRelease(escrow, {
+      influencerId: 'influencer-1',
+      grossAmount: 100,
+      platformFee: 10,
+      reason: 'campaign_completed'
+    });
+
+    const rows = EscrowTransaction.bulkCreate.mock.calls[0][0];
+    expect(rows).toHaveLength(3);
+    expect(new Set(rows.map(row => row.entryId)).size).toBe(1);
+    expect(rows.find(row => row.account === 'influencer_payable').amount).toBe(90);
+    expect(rows.find(row => row.account === 'platform_revenue').type).toBe('commission');
+    expect(escrow.status).toBe('released');
+    expect(escrow.heldBalance).toBe(0);
+    expect(Campaign.update).toHaveBeenCalledWith(
+      { paymentStatus: 'released' },
+      { where: { id: 'campaign-1', paymentStatus: 'funded' }, transaction: mockTransaction }
+    );
+  });
+
+  test('should keep the campaign funded after a partial release', async () => {
+    const escrow = makeEscrow();
+    Escrow.findByPk.mockResolvedValue(escrow);
+
+    await ledgerService.recordRelease(escrow, {
+      influencerId: 'influencer-1',
+      grossAmount: 40,
+      platformFee: 4,
+      reason: 'milestone_released'
+    });
+
+    expect(escrow.status).toBe('partially_released');
+    expect(Campaign.update).not.toHaveBeenCalled();
+  });
+
+  test('should book a waived commission and hand it back to the influencer', async () => {
+    Escrow.findByPk.mockResolvedValue(makeEscrow());
+    await ledgerService.recordRelease(makeEscrow(), {
+      influencerId: 'influencer-1',
+      grossAmount: 100,
+      platformFee: 5,
+      waivedFee: 5,
+      waiverId: 'launch-promo',
+      reason: 'campaign_completed'
+    });
+
+    const rows = EscrowTransaction.bulkCreate.mock.calls[0][0];
+    const total = (direction) => rows
+      .filter(row => row.direction === direction)
+      .reduce((sum, row) => sum + row.amount, 0);
+    expect(total('debit')).toBe(total('credit'));
+    expect(rows.find(row => row.type === 'commission').amount).toBe(10);
+    expect(rows.filter(row => row.type === 'fee_waiver').map(row => row.amount)).toEqual([5, 5]);
+    expect(rows[0].description).toContain('fee waiver launch-promo');
+  });
+
+  test('should settle a dispute from its frozen share and leave the rest of the escrow open', async () => {
+    // Another application's release brought the balance down from 800 since the dispute was loaded
+    const escrow = makeEscrow({ heldBalance: '700.00' });
+    Escrow.findByPk.mockResolvedValue(escrow);
+
+    await ledgerService.recordDisputeResolution(makeEscrow({ heldBalance: '800.00' }), {
+      disputeId: 'dispute-1',
+      frozenAmount: '250.00',
+      refundAmount: 200
+    }, mockTransaction);
+
+    const entries = EscrowTransaction.bulkCreate.mock.calls.map(([rows]) => rows);
+    expect(entries).toHaveLength(2);
+    expect(entries[1].find(row => row.account === 'escrow_liability').amount).toBe(50);
+    expect(escrow.heldBalance).toBe(500);
+    expect(escrow.refundedAmount).toBe(200);
+    expect(escrow.status).toBe('funded');
+    expect(escrow.closedAt).toBeNull();
+  });
+
+  test('should snapshot FX rates when an escrow is first funded', async () => {
+    EscrowTransaction.findAll.mockResolvedValue([
+      { direction: 'debit', amount: '100.00' },
+      { direction: 'credit', amount: '100.00' }
+    ]);
+    const escrow = makeEscrow({ status: 'pending', heldBalance: '0.00', fundingFxSnapshotId: null });
+
+    await ledgerService.recordFunding(escrow, { amount: 100 });
+
+    expect(escrow.status).toBe('funded');
+    expect(escrow.fundingFxSnapshotId).toBe('fx-snapshot-1');
+
+    await ledgerService.recordFunding(escrow, { amount: 100 });
+    expect(fxService.snapshotRates).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not release more than the held balance', async () => {
+    // The balance is checked as re-read under a lock, not as the caller last saw it
+    Escrow.findByPk.mockResolvedValue(makeEscrow({ heldBalance: '50.00', status: 'partially_released' }));
+
+    await expect(ledgerService.recordRelease(makeEscrow(), {
+      influencerId: 'influencer-1',
+      grossAmount: 100,
+      platformFee: 10,
+      reason: 'campaign_completed'
+    })).rejects.toThrow('exceeds escrow balance');
+    expect(Escrow.findByPk).toHaveBeenCalledWith('escrow-1', expect.objectContaining({ lock: 'UPDATE' }));
+    expect(EscrowTransaction.bulkCreate).not.toHaveBeenCalled();
+  });
+
+  test('should cap refunds at the held balance', async () => {
+    const escrow = makeEscrow({ heldBalance: '40.00' });
+
+    const { refundAmount } = await ledgerService.recordRefund(escrow, { amount: 100, reason: 'campaign_cancelled' });
+
+    expect(refundAmount).toBe(40);
+    expect(escrow.status).toBe('refunded');
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Campaign matching tests
+ */
+
+jest.mock('../models', () => ({
+  AiModel: { findOne: jest.fn(), findOrCreate: jest.fn() },
+  Campaign: { findAll: jest.fn() },
+  CampaignApplication: { findAll: jest.fn() },
+  CampaignInvitation: { findAll: jest.fn() },
+  SocialMediaAccount: { findAll: jest.fn() },
+  User: { findAll: jest.fn(), findByPk: jest.fn() }
+}));
+
+const { Op } = require('sequelize');
+const { AiModel, CampaignApplication, CampaignInvitation, User } = require('../models');
+const matchingService = require('../services/matchingService');
+
+const campaign = {
+  id: 'campaign-1',
+  targetNiches: ['beauty', 'skincare'],
+  targetFollowerRange: { min: 5000, max: 50000 },
+  targetEngagementRate: '4.00',
+  targetAudience: { locations: ['US', 'CA'] },
+  eligibility: { platforms: ['instagram', 'tiktok'] }
+};
+
+const influencer = (id, values = {}) => ({
+  id,
+  niches: ['beauty'],
+  country: 'US',
+  socialAccounts: [{ platform: 'instagram', followersCount: 12000, engagementRate: '5.10' }],
+  toJSON() { return { id }; },
+  ...values
+});
+
+const weights = matchingService.getWeights({ parameters: null });
+
+describe('MatchingService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    AiModel.findOne.mockResolvedValue({ name: 'campaign_matching', version: 'rules-2', parameters: { weights: { trackRecord: 0 } } });
+    CampaignApplication.findAll.mockResolvedValue([]);
+    CampaignInvitation.findAll.mockResolvedValue([]);
+  });
+
+  test('should explain each factor of the score', () => {
+    const candidate = influencer('a');
+    const result = matchingService.score(campaign, candidate, candidate.socialAccounts, { completed: 3, cancelled: 1 }, weights);
+
+    expect(result.explanation).toEqual([
+      { factor: 'niches', score: 50, weight: 0.3, reason: 'Covers beauty (1 of 2 target niches)' },
+      { factor: 'followers', score: 100, weight: 0.2, reason: '12,000 followers, within the target range' },
+      { factor: 'engagement', score: 100, weight: 0.2, reason: '5.1% engagement meets the 4% target' },
+      { factor: 'audience', score: 100, weight: 0.15, reason: 'Based in US' },
+      { factor: 'trackRecord', score: 67, weight: 0.15, reason: 'Completed 3 of 4 past campaigns' }
+    ]);
+    expect(result.score).toBe(80);
+  });
+
+  test('should leave out factors the campaign sets no target for', () => {
+    const candidate = influencer('a', { socialAccounts: [{ platform: 'tiktok', followersCount: 100000, engagementRate: '2' }] });
+    const result = matchingService.score({ id: 'campaign-2', targetFollowerRange: { max: 50000 } }, candidate,
+      candidate.socialAccounts, undefined, weights);
+
+    expect(result.explanation.map(factor => factor.factor)).toEqual(['followers', 'trackRecord']);
+    expect(result.explanation[0]).toEqual(expect.objectContaining({ score: 50, reason: '100,000 followers, above the 50,000 maximum' }));
+    expect(result.score).toBe(50);
+  });
+
+  test('should rank eligible influencers who have not applied, with the active model weights', async () => {
+    CampaignApplication.findAll.mockResolvedValueOnce([{ influencerId: 'applied' }]);
+    User.findAll.mockResolvedValue([
+      influencer('partial', { niches: ['fitness'] }),
+      influencer('youtube-only', { socialAccounts: [{ platform: 'youtube', followersCount: 20000, engagementRate: '6' }] }),
+      influencer('best', { niches: ['beauty', 'skincare'] })
+    ]);
+
+    const { model, recommendations } = await matchingService.recommendInfluencers(campaign, { limit: 5 });
+
+    expect(User.findAll.mock.calls[0][0].where.id).toEqual({ [Op.notIn]: ['applied'] });
+    expect(model).toEqual({ name: 'campaign_matching', version: 'rules-2' });
+    expect(recommendations.map(match => match.influencer.id)).toEqual(['best', 'partial']);
+    expect(recommendations[0].score).toBe(100);
+    expect(recommendations[0].explanation.map(factor => factor.factor)).not.toContain('trackRecord');
+  });
+
+  test('should register the built-in version when no model is active', async () => {
+    AiModel.findOne.mockResolvedValue(null);
+    AiModel.findOrCreate.mockResolvedValue([{ name: 'campaign_matching', version: 'rules-1' }, true]);
+
+    const model = await matchingService.getActiveModel();
+
+    expect(model.version).toBe('rules-1');
+    expect(AiModel.findOrCreate).toHaveBeenCalledWith(expect.objectContaining({
+      where: { name: 'campaign_matching', version: 'rules-1' },
+      defaults: expect.objectContaining({ status: 'active' })
+    }));
+  });
+});
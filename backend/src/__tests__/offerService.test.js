@@ -0,0 +1,122 @@
+/**
+ * Rate negotiation tests
+ */
+
+jest.mock('../config/database', () => require('./helpers/mocks').mockDatabase());
+
+jest.mock('../models', () => ({
+  ApplicationOffer: { update: jest.fn(), findOne: jest.fn(), create: jest.fn(async (values) => ({ id: 'offer-new', ...values })) },
+  Campaign: { findByPk: jest.fn() },
+  Escrow: { findByPaymentIntent: jest.fn() },
+  EscrowAllocation: { findOne: jest.fn() },
+  User: {}
+}));
+
+jest.mock('../services/escrowAllocationService', () => ({
+  createAllocation: jest.fn()
+}));
+
+jest.mock('../utils/monitoring', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const { ApplicationOffer, Escrow, EscrowAllocation } = require('../models');
+const escrowAllocationService = require('../services/escrowAllocationService');
+const offerService = require('../services/offerService');
+const { withUpdate } = require('./helpers/mocks');
+
+const makeApplication = (overrides = {}) => withUpdate({
+  id: 'application-1',
+  campaignId: 'campaign-1',
+  influencerId: 'influencer-1',
+  status: 'pending',
+  currency: 'USD',
+  negotiatedRate: null,
+  rateAgreedAt: null,
+  campaign: { id: 'campaign-1', brandId: 'brand-1', escrowId: 'pi_123' },
+  ...overrides
+});
+
+const makeOffer = (overrides = {}) => withUpdate({
+  id: 'offer-1',
+  applicationId: 'application-1',
+  proposedBy: 'influencer-1',
+  proposerRole: 'influencer',
+  rate: '500.00',
+  currency: 'USD',
+  deliverables: null,
+  timeline: null,
+  status: 'active',
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  isExpired() {
+    return this.status === 'active' && this.expiresAt <= new Date();
+  },
+  ...overrides
+});
+
+const influencer = { id: 'influencer-1', role: 'influencer' };
+const brand = { id: 'brand-1', role: 'brand' };
+
+describe('OfferService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ApplicationOffer.update.mockResolvedValue([0]);
+    EscrowAllocation.findOne.mockResolvedValue(null);
+  });
+
+  test('should counter the other party\'s active offer', async () => {
+    const activeOffer = makeOffer();
+    ApplicationOffer.findOne.mockResolvedValue(activeOffer);
+
+    const offer = await offerService.createOffer(makeApplication(), brand, { rate: 400, expiresInHours: 24 });
+
+    expect(activeOffer.status).toBe('countered');
+    expect(activeOffer.respondedBy).toBe('brand-1');
+    expect(offer).toEqual(expect.objectContaining({
+      previousOfferId: 'offer-1',
+      proposerRole: 'brand',
+      rate: 400,
+      currency: 'USD'
+    }));
+    expect(offer.expiresAt.getTime()).toBeGreaterThan(Date.now() + 23 * 60 * 60 * 1000);
+  });
+
+  test('should not let a party make a second offer while their first is open', async () => {
+    ApplicationOffer.findOne.mockResolvedValue(makeOffer());
+
+    expect(await offerService.getOfferError(makeApplication(), influencer))
+      .toBe('Your previous offer is still waiting for an answer; withdraw it before making a new one');
+    expect(await offerService.getOfferError(makeApplication(), brand)).toBeNull();
+    expect(await offerService.getOfferError(makeApplication({ rateAgreedAt: new Date() }), brand))
+      .toBe('The rate for this application has already been agreed');
+  });
+
+  test('should lock the agreed terms and allocate escrow for an approved application', async () => {
+    const application = makeApplication({ status: 'approved' });
+    const offer = makeOffer({ rate: '450.00', timeline: { postBy: '2026-11-01' } });
+    const escrow = { id: 'escrow-1', status: 'funded' };
+    Escrow.findByPaymentIntent.mockResolvedValue(escrow);
+    escrowAllocationService.createAllocation.mockResolvedValue({ id: 'allocation-1' });
+
+    expect(await offerService.getResponseError(application, offer, influencer, 'accept'))
+      .toBe('You cannot accept your own offer');
+    expect(await offerService.getResponseError(application, offer, brand, 'accept')).toBeNull();
+
+    const { allocation } = await offerService.acceptOffer(application, offer, brand);
+
+    expect(offer.status).toBe('accepted');
+    expect(application.negotiatedRate).toBe('450.00');
+    expect(application.proposedTimeline).toEqual({ postBy: '2026-11-01' });
+    expect(application.rateAgreedAt).toBeInstanceOf(Date);
+    expect(escrowAllocationService.createAllocation).toHaveBeenCalledWith(escrow, application, {});
+    expect(allocation).toEqual({ id: 'allocation-1' });
+  });
+
+  test('should expire an offer instead of accepting it after its deadline', async () => {
+    const offer = makeOffer({ expiresAt: new Date(Date.now() - 1000) });
+
+    expect(await offerService.getResponseError(makeApplication(), offer, brand, 'accept'))
+      .toBe('This offer is expired');
+    expect(offer.update).toHaveBeenCalledWith({ status: 'expired' });
+  });
+});
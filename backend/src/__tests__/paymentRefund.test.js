@@ -0,0 +1,136 @@
+/**
+ * Brand refund tests (models, processor and ledger mocked)
+ */
+
+jest.mock('../config/database', () => require('./helpers/mocks').mockDatabase());
+
+jest.mock('../models', () => ({
+  Campaign: { findOne: jest.fn() },
+  Escrow: { findByPaymentIntent: jest.fn() }
+}));
+
+jest.mock('../services/escrowService', () => ({
+  refundToBrand: jest.fn(async (escrowId, refundAmount) => ({ success: true, refundAmount, status: 'succeeded' }))
+}));
+
+jest.mock('../services/ledgerService', () => ({
+  recordRefund: jest.fn(async (escrow, { amount }) => {
+    if (escrow.status === 'pending_payment') {
+      escrow.status = 'cancelled';
+      return { refundAmount: 0 };
+    }
+    const heldBalance = parseFloat(escrow.heldBalance) - amount;
+    Object.assign(escrow, { heldBalance, status: heldBalance > 0 ? escrow.status : 'refunded' });
+    return { refundAmount: amount };
+  }),
+  logReconciliationGap: jest.fn()
+}));
+
+jest.mock('../services/escrowAllocationService', () => ({
+  getUnallocatedBalance: jest.fn()
+}));
+
+const { Campaign, Escrow } = require('../models');
+const escrowService = require('../services/escrowService');
+const escrowAllocationService = require('../services/escrowAllocationService');
+const { processRefund } = require('../controllers/paymentController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const makeCampaign = () => ({
+  id: 'campaign-1',
+  escrowId: 'pi_123',
+  status: 'active',
+  paymentStatus: 'funded',
+  update: jest.fn(async function(values) { return Object.assign(this, values); })
+});
+
+const makeEscrow = (heldBalance, status = 'funded') => ({
+  id: 'escrow-1',
+  amount: '500.00',
+  heldBalance,
+  refundedAmount: '0.00',
+  status,
+  reload: jest.fn(async () => {})
+});
+
+const refundRequest = (body = {}) => ({
+  user: { id: 'brand-1' },
+  body: { campaignId: 'campaign-1', ...body }
+});
+
+describe('Brand refund', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should not refund funds allocated to applications', async () => {
+    Campaign.findOne.mockResolvedValue(makeCampaign());
+    Escrow.findByPaymentIntent.mockResolvedValue(makeEscrow('500.00'));
+    escrowAllocationService.getUnallocatedBalance.mockResolvedValue(200);
+    const res = mockResponse();
+
+    await processRefund(refundRequest({ refundAmount: 300 }), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(escrowService.refundToBrand).not.toHaveBeenCalled();
+  });
+
+  test('should refund the unallocated balance and keep the campaign running', async () => {
+    const campaign = makeCampaign();
+    Campaign.findOne.mockResolvedValue(campaign);
+    Escrow.findByPaymentIntent.mockResolvedValue(makeEscrow('500.00'));
+    escrowAllocationService.getUnallocatedBalance.mockResolvedValue(200);
+    const res = mockResponse();
+
+    await processRefund(refundRequest(), res);
+
+    expect(escrowService.refundToBrand).toHaveBeenCalledWith('pi_123', 200, 'campaign_cancelled');
+    expect(campaign.update).not.toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0].data).toEqual(expect.objectContaining({ fullyRefunded: false, remainingBalance: 300 }));
+  });
+
+  test('should cancel the campaign once the escrow is fully refunded', async () => {
+    const campaign = makeCampaign();
+    Campaign.findOne.mockResolvedValue(campaign);
+    Escrow.findByPaymentIntent.mockResolvedValue(makeEscrow('500.00'));
+    escrowAllocationService.getUnallocatedBalance.mockResolvedValue(500);
+
+    await processRefund(refundRequest(), mockResponse());
+
+    expect(campaign.status).toBe('cancelled');
+    expect(campaign.paymentStatus).toBe('refunded');
+  });
+
+  test('should cancel an unpaid escrow as a whole and the campaign with it', async () => {
+    const campaign = makeCampaign();
+    Campaign.findOne.mockResolvedValue(campaign);
+    Escrow.findByPaymentIntent.mockResolvedValue(makeEscrow('0.00', 'pending_payment'));
+    const res = mockResponse();
+
+    await processRefund(refundRequest({ refundAmount: 100 }), res);
+
+    expect(escrowAllocationService.getUnallocatedBalance).not.toHaveBeenCalled();
+    expect(escrowService.refundToBrand).toHaveBeenCalledWith('pi_123', 500, 'campaign_cancelled');
+    expect(campaign.status).toBe('cancelled');
+    expect(res.json.mock.calls[0][0].data).toEqual(expect.objectContaining({ refundAmount: 0, fullyRefunded: true }));
+  });
+
+  test('should not touch the ledger when the processor refuses the refund', async () => {
+    const campaign = makeCampaign();
+    Campaign.findOne.mockResolvedValue(campaign);
+    Escrow.findByPaymentIntent.mockResolvedValue(makeEscrow('0.00', 'pending_payment'));
+    escrowService.refundToBrand.mockResolvedValueOnce({ success: false, error: 'Payment cannot be refunded while processing' });
+    const res = mockResponse();
+
+    await processRefund(refundRequest(), res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(campaign.update).not.toHaveBeenCalled();
+  });
+});
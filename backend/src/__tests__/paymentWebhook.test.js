@@ -0,0 +1,252 @@
+/**
+ * Stripe webhook endpoint tests, direct and over HTTP (models and ledger mocked)
+ */
+
+jest.mock('../config/database', () => require('./helpers/mocks').mockDatabase());
+
+jest.mock('../models', () => ({
+  Campaign: { findOne: jest.fn() },
+  CampaignApplication: { findAll: jest.fn(async () => []) },
+  ApplicationHistory: { bulkCreate: jest.fn() },
+  Dispute: { findOpen: jest.fn(async () => []) },
+  User: {},
+  Escrow: { findByPaymentIntent: jest.fn() },
+  Payout: {},
+  WebhookEvent: { claim: jest.fn() }
+}));
+
+jest.mock('../models/User', () => ({}));
+
+jest.mock('../services/ledgerService', () => ({
+  recordFunding: jest.fn(async (escrow) => Object.assign(escrow, { status: 'funded' })),
+  recordFundingFailure: jest.fn(),
+  recordRefund: jest.fn(),
+  syncCampaignPaymentStatus: jest.fn(),
+  logReconciliationGap: jest.fn()
+}));
+
+jest.mock('../services/escrowService', () => ({
+  captureEscrow: jest.fn(async () => ({ success: true }))
+}));
+
+const express = require('express');
+const request = require('supertest');
+const Stripe = require('stripe');
+const { Campaign, CampaignApplication, ApplicationHistory, Escrow, WebhookEvent } = require('../models');
+const ledgerService = require('../services/ledgerService');
+const escrowService = require('../services/escrowService');
+const { handleWebhook } = require('../controllers/paymentController');
+const { bodyParsers } = require('../middleware/bodyParsers');
+
+const WEBHOOK_SECRET = 'whsec_test_secret';
+
+const signedRequest = (event) => {
+  const payload = JSON.stringify(event);
+  return {
+    body: Buffer.from(payload),
+    headers: {
+      'stripe-signature': Stripe.webhooks.generateTestHeaderString({ payload, secret: WEBHOOK_SECRET })
+    }
+  };
+};
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const mockRecord = () => ({ markProcessed: jest.fn(async () => {}), markFailed: jest.fn(async () => {}) });
+
+const makeCampaign = (overrides = {}) => ({
+  id: 'campaign-1',
+  status: 'active',
+  paymentStatus: 'funded',
+  fundedAt: new Date(),
+  refundedAt: null,
+  update: jest.fn(async function(values) { return Object.assign(this, values); }),
+  ...overrides
+});
+
+describe('Stripe webhook', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+  });
+
+  test('should reject requests with an invalid signature', async () => {
+    const req = signedRequest({ id: 'evt_1', type: 'charge.refunded', data: { object: {} } });
+    req.headers['stripe-signature'] = 't=1,v1=invalid';
+    const res = mockResponse();
+
+    await handleWebhook(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(WebhookEvent.claim).not.toHaveBeenCalled();
+  });
+
+  test('should acknowledge replayed events without processing them again', async () => {
+    WebhookEvent.claim.mockResolvedValue({ record: mockRecord(), duplicate: true });
+    const res = mockResponse();
+
+    await handleWebhook(signedRequest({
+      id: 'evt_2',
+      type: 'payment_intent.canceled',
+      data: { object: { id: 'pi_123', amount: 10000 } }
+    }), res);
+
+    expect(res.json).toHaveBeenCalledWith({ received: true, duplicate: true });
+    expect(Campaign.findOne).not.toHaveBeenCalled();
+  });
+
+  test('should mark a campaign funded when its escrow hold is authorized', async () => {
+    const record = mockRecord();
+    const campaign = makeCampaign({ status: 'draft', paymentStatus: 'pending', fundedAt: null });
+    const escrow = { id: 'escrow-1', status: 'pending_payment' };
+    WebhookEvent.claim.mockResolvedValue({ record, duplicate: false });
+    Campaign.findOne.mockResolvedValue(campaign);
+    Escrow.findByPaymentIntent.mockResolvedValue(escrow);
+
+    await handleWebhook(signedRequest({
+      id: 'evt_3',
+      type: 'payment_intent.amount_capturable_updated',
+      data: { object: { id: 'pi_123', status: 'requires_capture', amount_capturable: 25000 } }
+    }), mockResponse());
+
+    expect(ledgerService.recordFunding).toHaveBeenCalledWith(escrow, expect.objectContaining({ amount: 250 }));
+    expect(campaign.paymentStatus).toBe('funded');
+    expect(campaign.status).toBe('active');
+    expect(campaign.fundedAt).toBeInstanceOf(Date);
+    expect(escrowService.captureEscrow).toHaveBeenCalledWith('pi_123');
+    expect(record.markProcessed).toHaveBeenCalled();
+  });
+
+  test('should fail the authorization event so it is retried when the capture fails', async () => {
+    const record = mockRecord();
+    WebhookEvent.claim.mockResolvedValue({ record, duplicate: false });
+    Campaign.findOne.mockResolvedValue(makeCampaign());
+    Escrow.findByPaymentIntent.mockResolvedValue({ id: 'escrow-1', status: 'funded' });
+    escrowService.captureEscrow.mockResolvedValueOnce({ success: false, error: 'card_declined' });
+    const res = mockResponse();
+
+    await handleWebhook(signedRequest({
+      id: 'evt_8',
+      type: 'payment_intent.amount_capturable_updated',
+      data: { object: { id: 'pi_123', status: 'requires_capture', amount_capturable: 25000 } }
+    }), res);
+
+    expect(ledgerService.recordFunding).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(record.markFailed).toHaveBeenCalled();
+  });
+
+  test('should leave the campaign funded when a capture releases only part of the escrow', async () => {
+    const campaign = makeCampaign();
+    const escrow = { id: 'escrow-1', status: 'partially_released' };
+    WebhookEvent.claim.mockResolvedValue({ record: mockRecord(), duplicate: false });
+    Campaign.findOne.mockResolvedValue(campaign);
+    Escrow.findByPaymentIntent.mockResolvedValue(escrow);
+
+    await handleWebhook(signedRequest({
+      id: 'evt_7',
+      type: 'payment_intent.succeeded',
+      data: { object: { id: 'pi_123', amount: 25000, currency: 'usd' } }
+    }), mockResponse());
+
+    expect(ledgerService.syncCampaignPaymentStatus).toHaveBeenCalledWith(escrow);
+    expect(campaign.update).not.toHaveBeenCalled();
+    expect(campaign.paymentStatus).toBe('funded');
+  });
+
+  test('should record only the refund the ledger has not seen and fail unpaid applications', async () => {
+    const campaign = makeCampaign();
+    const escrow = { id: 'escrow-1', status: 'partially_released', refundedAmount: '40.00' };
+    WebhookEvent.claim.mockResolvedValue({ record: mockRecord(), duplicate: false });
+    Campaign.findOne.mockResolvedValue(campaign);
+    Escrow.findByPaymentIntent.mockResolvedValue(escrow);
+    const application = {
+      id: 'application-1',
+      status: 'approved',
+      paymentStatus: 'pending',
+      update: jest.fn(async function(values) { return Object.assign(this, values); })
+    };
+    CampaignApplication.findAll.mockResolvedValue([application]);
+
+    await handleWebhook(signedRequest({
+      id: 'evt_4',
+      type: 'charge.refunded',
+      data: { object: { id: 'ch_1', payment_intent: 'pi_123', amount_refunded: 10000, refunded: true } }
+    }), mockResponse());
+
+    expect(ledgerService.recordRefund).toHaveBeenCalledWith(escrow, expect.objectContaining({ amount: 60 }));
+    expect(campaign.paymentStatus).toBe('refunded');
+    expect(campaign.refundedAt).toBeInstanceOf(Date);
+    expect(CampaignApplication.findAll).toHaveBeenCalledWith({
+      where: expect.objectContaining({ campaignId: 'campaign-1', paymentStatus: 'pending' })
+    });
+    expect(application.paymentStatus).toBe('failed');
+    expect(ApplicationHistory.bulkCreate).toHaveBeenCalledWith([
+      expect.objectContaining({ applicationId: 'application-1', field: 'paymentStatus', fromValue: 'pending', toValue: 'failed', actorRole: 'system' })
+    ], { transaction: null });
+  });
+
+  test('should mark the event failed so Stripe retries when processing throws', async () => {
+    const record = mockRecord();
+    WebhookEvent.claim.mockResolvedValue({ record, duplicate: false });
+    Campaign.findOne.mockRejectedValue(new Error('database unavailable'));
+    const res = mockResponse();
+
+    await handleWebhook(signedRequest({
+      id: 'evt_5',
+      type: 'payment_intent.succeeded',
+      data: { object: { id: 'pi_123', amount: 10000, currency: 'usd' } }
+    }), res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(record.markFailed).toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/payments/webhook', () => {
+  const app = express();
+  app.use(bodyParsers);
+  app.use('/api/payments', require('../routes/payments'));
+
+  // Pretty-printed, so a body parsed and re-serialized on the way in would no longer match its signature
+  const payload = JSON.stringify({
+    id: 'evt_6',
+    type: 'payment_intent.canceled',
+    data: { object: { id: 'pi_123', amount: 10000 } }
+  }, null, 2);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+  });
+
+  test('should verify the signature against the raw request body', async () => {
+    WebhookEvent.claim.mockResolvedValue({ record: mockRecord(), duplicate: true });
+
+    const response = await request(app)
+      .post('/api/payments/webhook')
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', Stripe.webhooks.generateTestHeaderString({ payload, secret: WEBHOOK_SECRET }))
+      .send(payload)
+      .expect(200);
+
+    expect(response.body).toEqual({ received: true, duplicate: true });
+    expect(WebhookEvent.claim).toHaveBeenCalled();
+  });
+
+  test('should reject a body that differs from the signed bytes', async () => {
+    await request(app)
+      .post('/api/payments/webhook')
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', Stripe.webhooks.generateTestHeaderString({ payload, secret: WEBHOOK_SECRET }))
+      .send(JSON.stringify(JSON.parse(payload)))
+      .expect(400);
+
+    expect(WebhookEvent.claim).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Influencer payout transfer tests (models mocked, Stripe API mocked locally)
+ */
+
+jest.mock('../models', () => ({
+  Payout: { update: jest.fn(), findAll: jest.fn() },
+  User: { findByPk: jest.fn() }
+}));
+
+jest.mock('../services/paymentService', () => ({
+  paymentService: {
+    createConnectedAccount: jest.fn(async () => ({ id: 'acct_new' })),
+    createAccountLink: jest.fn(async () => ({ url: 'https://connect.stripe.test/onboarding', expiresAt: new Date() })),
+    findTransferByGroup: jest.fn(),
+    createConnectedAccountTransfer: jest.fn()
+  }
+}));
+
+jest.mock('../services/ledgerService', () => ({
+  recordPayoutPaid: jest.fn(async () => ({ alreadyRecorded: false })),
+  syncApplicationPaymentStatus: jest.fn(),
+  logReconciliationGap: jest.fn()
+}));
+
+const { Payout, User } = require('../models');
+const { paymentService } = require('../services/paymentService');
+const ledgerService = require('../services/ledgerService');
+const payoutService = require('../services/payoutService');
+
+const onboardedInfluencer = { id: 'influencer-1', stripeAccountId: 'acct_123', payoutsEnabled: true };
+
+const makePayout = (overrides = {}) => ({
+  id: 'payout-1',
+  escrowId: 'escrow-1',
+  applicationId: 'application-1',
+  influencerId: 'influencer-1',
+  amount: '90.00',
+  currency: 'USD',
+  status: 'pending',
+  attempts: 0,
+  ...overrides
+});
+
+describe('PayoutService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.findByPk.mockResolvedValue(onboardedInfluencer);
+    Payout.update.mockResolvedValue([1]);
+    paymentService.findTransferByGroup.mockResolvedValue(null);
+    paymentService.createConnectedAccountTransfer.mockResolvedValue({ id: 'tr_1', amount: 90, currency: 'usd' });
+  });
+
+  test('should keep a payout pending until the influencer finishes onboarding', async () => {
+    User.findByPk.mockResolvedValue({ id: 'influencer-1', stripeAccountId: 'acct_123', payoutsEnabled: false });
+
+    const result = await payoutService.processPayout(makePayout());
+
+    expect(result).toEqual(expect.objectContaining({ sent: false, reason: 'onboarding_incomplete' }));
+    expect(Payout.update).not.toHaveBeenCalled();
+    expect(paymentService.createConnectedAccountTransfer).not.toHaveBeenCalled();
+  });
+
+  test('should transfer the net amount and record the payout as paid', async () => {
+    const payout = makePayout();
+
+    const result = await payoutService.processPayout(payout);
+
+    expect(result.sent).toBe(true);
+    expect(paymentService.createConnectedAccountTransfer).toHaveBeenCalledWith(
+      'acct_123',
+      90,
+      'USD',
+      expect.objectContaining({ payout_id: 'payout-1', application_id: 'application-1' }),
+      { transferGroup: 'payout_payout-1', idempotencyKey: 'payout_payout-1_1' }
+    );
+    expect(ledgerService.recordPayoutPaid).toHaveBeenCalledWith(payout, { transferId: 'tr_1' });
+  });
+
+  test('should reuse a transfer an earlier attempt already made', async () => {
+    paymentService.findTransferByGroup.mockResolvedValue({ id: 'tr_earlier', reversed: false });
+
+    await payoutService.processPayout(makePayout({ status: 'processing', attempts: 1 }));
+
+    expect(paymentService.createConnectedAccountTransfer).not.toHaveBeenCalled();
+    expect(ledgerService.recordPayoutPaid).toHaveBeenCalledWith(expect.anything(), { transferId: 'tr_earlier' });
+  });
+
+  test('should schedule a retry with backoff when the transfer fails', async () => {
+    paymentService.createConnectedAccountTransfer.mockRejectedValue(new Error('Transfer creation failed: insufficient funds'));
+    const before = Date.now();
+
+    const result = await payoutService.processPayout(makePayout({ status: 'failed', attempts: 1 }));
+
+    expect(result.reason).toBe('transfer_failed');
+    const [values, options] = Payout.update.mock.calls[1];
+    expect(values.status).toBe('failed');
+    expect(values.nextAttemptAt.getTime() - before).toBeGreaterThanOrEqual(30 * 60 * 1000);
+    expect(options.where).toEqual({ id: 'payout-1', status: 'processing' });
+    expect(ledgerService.syncApplicationPaymentStatus).not.toHaveBeenCalled();
+  });
+
+  test('should stop retrying and fail the application payment after the last attempt', async () => {
+    paymentService.createConnectedAccountTransfer.mockRejectedValue(new Error('Transfer creation failed: account closed'));
+
+    await payoutService.processPayout(makePayout({ status: 'failed', attempts: 4 }));
+
+    const [values] = Payout.update.mock.calls[1];
+    expect(values.nextAttemptAt).toBeNull();
+    expect(ledgerService.syncApplicationPaymentStatus).toHaveBeenCalledWith('application-1');
+  });
+
+  test('should not transfer a payout another worker has already claimed', async () => {
+    Payout.update.mockResolvedValue([0]);
+
+    const result = await payoutService.processPayout(makePayout());
+
+    expect(result.reason).toBe('already_processing');
+    expect(paymentService.createConnectedAccountTransfer).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Saved search alert tests (models, search and email mocked)
+ */
+
+jest.mock('../config/database', () => ({
+  sequelize: { escape: (value) => `'${value}'`, query: jest.fn() }
+}));
+
+jest.mock('../models', () => ({
+  SavedSearch: { build: jest.fn(), findOne: jest.fn(), findAll: jest.fn() },
+  User: { findByPk: jest.fn() }
+}));
+
+jest.mock('../services/searchService', () => {
+  const searchService = jest.requireActual('../services/searchService');
+  searchService.searchInfluencers = jest.fn();
+  searchService.searchCampaigns = jest.fn();
+  return searchService;
+});
+
+jest.mock('../services/subscriptionService', () => ({
+  getPlan: jest.fn(async () => ({ tier: 'free', limits: { searchResultDepth: 50 } }))
+}));
+
+jest.mock('../services/emailVerification', () => ({
+  emailVerificationService: { sendSavedSearchAlert: jest.fn() }
+}));
+
+jest.mock('../utils/monitoring', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const { SavedSearch, User } = require('../models');
+const searchService = require('../services/searchService');
+const { emailVerificationService } = require('../services/emailVerification');
+const savedSearchService = require('../services/savedSearchService');
+
+const brand = { id: 'brand-1', role: 'brand', status: 'active', name: 'Acme', email: 'acme@example.com' };
+const now = new Date('2026-10-19T12:00:00Z');
+
+const influencers = (...ids) => ({ influencers: ids.map(id => ({ id, name: `Influencer ${id}` })) });
+
+const makeSavedSearch = (values = {}) => ({
+  id: 'search-1',
+  userId: 'brand-1',
+  type: 'influencers',
+  name: 'Beauty on TikTok',
+  filters: { platforms: 'tiktok', niches: 'beauty' },
+  seenIds: ['a', 'b'],
+  unsubscribeToken: 'f'.repeat(48),
+  save: jest.fn(function() { return this; }),
+  update: jest.fn(),
+  ...values
+});
+
+describe('SavedSearchService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should store only filter parameters and baseline the current matches', async () => {
+    SavedSearch.build.mockImplementation(values => makeSavedSearch({ ...values, seenIds: [] }));
+    searchService.searchInfluencers.mockResolvedValue(influencers('a', 'b'));
+
+    const savedSearch = await savedSearchService.create(brand, {
+      name: 'Beauty on TikTok',
+      type: 'influencers',
+      filters: { platforms: 'tiktok', min_followers: '10000', page: '3', sort_by: 'name', password: 'x' }
+    }, now);
+
+    expect(savedSearch.filters).toEqual({ platforms: 'tiktok', min_followers: '10000' });
+    expect(savedSearch.seenIds).toEqual(['a', 'b']);
+    expect(savedSearch.lastRunAt).toBe(now);
+    expect(savedSearch.unsubscribeToken).toMatch(/^[0-9a-f]{48}$/);
+
+    const [filters, pagination] = searchService.searchInfluencers.mock.calls[0];
+    expect(filters).toEqual(expect.objectContaining({ platforms: ['tiktok'], minFollowers: 10000, sortBy: 'created_at' }));
+    expect(pagination).toEqual(expect.objectContaining({ page: 1, maxResults: 50 }));
+  });
+
+  test('should email only matches that were not in the previous run', async () => {
+    const savedSearch = makeSavedSearch();
+    User.findByPk.mockResolvedValue(brand);
+    searchService.searchInfluencers.mockResolvedValue(influencers('c', 'a', 'b'));
+
+    expect(await savedSearchService.runAlert(savedSearch, now)).toBe(1);
+
+    expect(emailVerificationService.sendSavedSearchAlert).toHaveBeenCalledWith(brand, expect.objectContaining({
+      matches: [{ id: 'c', title: 'Influencer c' }],
+      totalNew: 1,
+      searchUrl: expect.stringContaining('/app/influencers?platforms=tiktok&niches=beauty'),
+      oneClickUnsubscribeUrl: expect.stringContaining(`/api/saved-searches/unsubscribe/${'f'.repeat(48)}`)
+    }));
+    expect(savedSearch.update).toHaveBeenCalledWith({ seenIds: ['c', 'a', 'b'], lastRunAt: now, lastNotifiedAt: now });
+  });
+
+  test('should keep the previous run when the alert email fails', async () => {
+    const savedSearch = makeSavedSearch();
+    User.findByPk.mockResolvedValue(brand);
+    searchService.searchInfluencers.mockResolvedValue(influencers('c'));
+    emailVerificationService.sendSavedSearchAlert.mockRejectedValueOnce(new Error('SMTP down'));
+    SavedSearch.findAll.mockResolvedValue([savedSearch]);
+
+    expect(await savedSearchService.runDue(now)).toEqual({ ran: 1, alerted: 0 });
+    expect(savedSearch.update).not.toHaveBeenCalled();
+  });
+
+  test('should turn alerts off from the unsubscribe token', async () => {
+    const savedSearch = makeSavedSearch();
+    SavedSearch.findOne.mockResolvedValueOnce(savedSearch).mockResolvedValueOnce(null);
+
+    await savedSearchService.unsubscribe('f'.repeat(48));
+    expect(savedSearch.update).toHaveBeenCalledWith({ frequency: 'off' });
+    expect(await savedSearchService.unsubscribe('0'.repeat(48))).toBeNull();
+  });
+});
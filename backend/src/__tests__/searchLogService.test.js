@@ -0,0 +1,91 @@
+/**
+ * Search log tests
+ */
+
+jest.mock('../config/database', () => ({
+  sequelize: { escape: (value) => `'${String(value).replace(/'/g, "''")}'` }
+}));
+
+jest.mock('../models', () => ({
+  SearchLog: { create: jest.fn(), findAll: jest.fn(), findByPk: jest.fn() }
+}));
+
+jest.mock('../utils/monitoring', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const { Op } = require('sequelize');
+const { SearchLog } = require('../models');
+const searchLogService = require('../services/searchLogService');
+
+const now = new Date('2026-10-19T12:00:00Z');
+
+describe('SearchLogService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should log searches anonymously with a normalized query and never fail the search', async () => {
+    SearchLog.create.mockResolvedValueOnce({ id: 'log-1' });
+
+    const searchId = await searchLogService.logSearch({
+      type: 'influencers',
+      query: '  Vegan   BAKING ',
+      filters: { platforms: 'tiktok' },
+      resultCount: 0
+    });
+
+    expect(searchId).toBe('log-1');
+    expect(SearchLog.create).toHaveBeenCalledWith({
+      type: 'influencers',
+      query: 'Vegan   BAKING',
+      normalizedQuery: 'vegan baking',
+      filters: { platforms: 'tiktok' },
+      resultCount: 0
+    });
+
+    SearchLog.create.mockRejectedValueOnce(new Error('connection lost'));
+    expect(await searchLogService.logSearch({ type: 'campaigns', query: 'x' })).toBeNull();
+  });
+
+  test('should count terms in the window against the window before it', async () => {
+    SearchLog.findAll.mockResolvedValue([
+      { term: 'skincare', count: '40', previousCount: '38' },
+      { term: 'air fryer', count: '12', previousCount: '2' },
+      { term: 'halloween', count: '9', previousCount: '0' },
+      { term: 'yoga', count: '5', previousCount: '11' }
+    ]);
+
+    const trending = await searchLogService.getTrending({ window: '24h', limit: 3 }, now);
+
+    const options = SearchLog.findAll.mock.calls[0][0];
+    expect(options.where.createdAt[Op.gte]).toEqual(new Date('2026-10-17T12:00:00Z'));
+    expect(options.attributes[1][0].val).toContain(`"created_at" >= '2026-10-18T12:00:00.000Z'`);
+    expect(options.where.resultCount).toEqual({ [Op.gt]: 0 });
+
+    expect(trending.terms.map(term => term.term)).toEqual(['skincare', 'air fryer', 'halloween']);
+    expect(trending.terms[1]).toEqual({ term: 'air fryer', count: 12, previousCount: 2, change: 500 });
+    expect(trending.terms[2].change).toBeNull();
+    expect(trending.rising.map(term => term.term)).toEqual(['air fryer', 'halloween', 'skincare']);
+  });
+
+  test('should complete prefixes from past queries with LIKE wildcards escaped', async () => {
+    SearchLog.findAll.mockResolvedValue([{ term: '100% cotton tees', score: '7' }]);
+
+    const completions = await searchLogService.getPopularCompletions('100% ', 'campaigns', {}, now);
+
+    const { where } = SearchLog.findAll.mock.calls[0][0];
+    expect(where.normalizedQuery).toEqual({ [Op.like]: '100\\%%', [Op.ne]: '100%' });
+    expect(where.type).toEqual({ [Op.in]: ['campaigns', 'global'] });
+    expect(completions).toEqual([{ text: '100% cotton tees', score: 7 }]);
+  });
+
+  test('should keep the first clicked result of a search', async () => {
+    const searchLog = { clickedResultId: null, update: jest.fn() };
+    SearchLog.findByPk.mockResolvedValueOnce(searchLog).mockResolvedValueOnce(null);
+
+    await searchLogService.recordClick('log-1', { resultId: 'user-7', position: 2 }, now);
+    expect(searchLog.update).toHaveBeenCalledWith({ clickedResultId: 'user-7', clickedPosition: 2, clickedAt: now });
+    expect(await searchLogService.recordClick('missing', { resultId: 'user-7' })).toBeNull();
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Full-text search tests
+ */
+
+jest.mock('../config/database', () => ({
+  sequelize: {
+    escape: (value) => `'${String(value).replace(/'/g, "''")}'`,
+    getDialect: jest.fn(() => 'postgres')
+  }
+}));
+
+jest.mock('../models', () => ({
+  Campaign: { name: 'Campaign', findAndCountAll: jest.fn(), findAll: jest.fn() },
+  User: { name: 'User', findAndCountAll: jest.fn(), findAll: jest.fn() },
+  CampaignApplication: {},
+  SocialMediaAccount: {}
+}));
+
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Campaign, User } = require('../models');
+const searchService = require('../services/searchService');
+
+describe('SearchService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Campaign.findAndCountAll.mockResolvedValue({ count: 0, rows: [] });
+    User.findAndCountAll.mockResolvedValue({ count: 0, rows: [] });
+  });
+
+  test('should match campaigns on the weighted vector or a close title and sort by relevance', async () => {
+    await searchService.searchCampaigns({ query: "vegan snacks' --" });
+
+    const options = Campaign.findAndCountAll.mock.calls[0][0];
+    const [match] = options.where[Op.and];
+    expect(match.val).toContain(`"Campaign"."search_vector" @@ websearch_to_tsquery('english', 'vegan snacks'' --')`);
+    expect(match.val).toContain(`'vegan snacks'' --' <% "Campaign"."title"`);
+    expect(options.attributes.include[0][1]).toBe('relevance');
+    expect(options.order[0][0].val).toBe('relevance');
+    expect(options.where).toEqual(expect.objectContaining({ visibility: 'public' }));
+  });
+
+  test('should keep column sorts, and not rank searches without a query', async () => {
+    await searchService.searchCampaigns({ query: 'yoga', sortBy: 'budget', sortOrder: 'asc' });
+    expect(Campaign.findAndCountAll.mock.calls[0][0].order).toEqual([['budget', 'ASC']]);
+
+    await searchService.searchInfluencers({ sortBy: 'relevance' });
+    const options = User.findAndCountAll.mock.calls[0][0];
+    expect(options.where[Op.and]).toEqual([]);
+    expect(options.attributes.include).toEqual([]);
+    expect(options.order).toEqual([['created_at', 'DESC']]);
+  });
+
+  test('should match influencers on their social handles too', () => {
+    const match = searchService.influencerMatch('janefit').val;
+    expect(match).toContain(`"User"."search_vector" @@ websearch_to_tsquery('english', 'janefit')`);
+    expect(match).toContain(`account.search_vector @@ websearch_to_tsquery('simple', 'janefit')`);
+    expect(match).toContain(`'janefit' <% account.username`);
+  });
+
+  test('should fall back to substring matching without Postgres full-text search', async () => {
+    sequelize.getDialect.mockReturnValue('sqlite');
+
+    const match = searchService.influencerMatch('50%_off').val;
+    expect(match).toContain(`"User"."name" LIKE '%50\\%\\_off%' ESCAPE '\\'`);
+    expect(match).toContain(`account.username LIKE '%50\\%\\_off%' ESCAPE '\\'`);
+    expect(match).not.toContain('tsquery');
+    expect(searchService.nicheMatch('"User"."niches"', ['beauty']).val).toBe(`("User"."niches" LIKE '%"beauty"%' ESCAPE '\\')`);
+    expect(searchService.headline('"User"."bio"', '"User"."name"', 'x').val).toBe(`coalesce(nullif("User"."bio", ''), "User"."name")`);
+
+    sequelize.getDialect.mockReturnValue('postgres');
+  });
+
+  test('should count each influencer facet without its own filter', async () => {
+    User.findAll.mockResolvedValue([{ bucket0: '4', bucket1: '2' }]);
+
+    const facets = await searchService.getInfluencerFacets({ platforms: ['tiktok'], minFollowers: 10000, niches: ['beauty'] });
+
+    expect(facets.platforms[0]).toEqual({ value: 'instagram', count: 4 });
+    expect(facets.followers[1]).toEqual({ min: 1000, max: 5000, count: 2 });
+    expect(facets.followers[facets.followers.length - 1]).toEqual({ min: 1000000, max: null, count: 0 });
+
+    const [platformQuery, followerQuery] = User.findAll.mock.calls.map(([options]) => options);
+    expect(platformQuery.include[0].where).toEqual({ followersCount: { [Op.gte]: 10000 } });
+    expect(platformQuery.attributes[1][0].val)
+      .toBe(`COUNT(DISTINCT "User"."id") FILTER (WHERE "socialAccounts"."platform" = 'tiktok')`);
+    expect(followerQuery.include[0].where).toEqual({ platform: { [Op.in]: ['tiktok'] } });
+    expect(followerQuery.where[Op.and][0].val).toBe(`("User"."niches"::jsonb @> '["beauty"]')`);
+  });
+
+  test('should escape snippets except for the highlight marks', () => {
+    expect(searchService.presentSnippet('Plant <b>based</b> <mark>snacks</mark> & "more"'))
+      .toBe('Plant &lt;b&gt;based&lt;/b&gt; <mark>snacks</mark> &amp; &quot;more&quot;');
+    expect(searchService.presentSnippet(null)).toBeNull();
+  });
+});
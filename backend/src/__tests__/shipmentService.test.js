@@ -0,0 +1,110 @@
+/**
+ * Product seeding and shipment tracking tests
+ */
+
+jest.mock('../config/database', () => require('./helpers/mocks').mockDatabase());
+
+jest.mock('../models', () => ({
+  Campaign: { findByPk: jest.fn() },
+  CampaignApplication: { update: jest.fn() },
+  Shipment: { create: jest.fn(), update: jest.fn(), findAll: jest.fn() }
+}));
+
+jest.mock('../utils/monitoring', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const { Campaign, CampaignApplication, Shipment } = require('../models');
+const { StubCarrierAdapter } = require('../services/carrierAdapters');
+const shipmentService = require('../services/shipmentService');
+const { mockTransaction } = require('./helpers/mocks');
+
+const shippedAt = new Date('2026-10-15T08:00:00Z');
+const hoursLater = (hours) => new Date(shippedAt.getTime() + hours * 60 * 60 * 1000);
+
+const product = {
+  id: 'product-1',
+  campaignId: 'campaign-1',
+  variants: [{ sku: 'TEE-M', name: 'Medium' }],
+  findVariant: (sku) => product.variants.find(variant => variant.sku === sku) || null
+};
+
+const makeShipment = (values = {}) => ({
+  id: 'shipment-1',
+  campaignId: 'campaign-1',
+  applicationId: 'application-1',
+  influencerId: 'influencer-1',
+  shippingAddress: { name: 'Jane Doe', line1: '1 Main St', city: 'Austin', postalCode: '78701', country: 'US' },
+  update: jest.fn(),
+  reload: jest.fn(function() { return this; }),
+  toJSON() { return { id: this.id, shippingAddress: this.shippingAddress }; },
+  ...values
+});
+
+describe('ShipmentService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should move stub shipments through carrier milestones', async () => {
+    const adapter = new StubCarrierAdapter();
+
+    expect((await adapter.track({ trackingNumber: '1Z999', shippedAt }, hoursLater(1))).status).toBe('shipped');
+    expect((await adapter.track({ trackingNumber: '1Z999', shippedAt }, hoursLater(20))).status).toBe('in_transit');
+
+    const delivered = await adapter.track({ trackingNumber: '1Z999', shippedAt }, hoursLater(72));
+    expect(delivered.status).toBe('delivered');
+    expect(delivered.deliveredAt).toEqual(hoursLater(60));
+    expect(delivered.events).toHaveLength(5);
+
+    expect((await adapter.track({ trackingNumber: 'EXCEPTION-1', shippedAt }, hoursLater(72))).status).toBe('exception');
+  });
+
+  test('should only collect addresses from accepted influencers for a listed variant', () => {
+    const accepted = { status: 'approved', campaignId: 'campaign-1' };
+
+    expect(shipmentService.getRequestError({ ...accepted, status: 'pending' }, product, 'TEE-M'))
+      .toBe('Shipping addresses are collected once the application is accepted');
+    expect(shipmentService.getRequestError(accepted, product, 'TEE-XXL')).toBe('Choose one of the product variants');
+    expect(shipmentService.getRequestError(accepted, { ...product, campaignId: 'campaign-2' }, 'TEE-M'))
+      .toBe('This product is not part of the campaign');
+    expect(shipmentService.getRequestError(accepted, product, 'TEE-M', { status: 'shipped' }))
+      .toBe('This product has already been shipped');
+    expect(shipmentService.getRequestError(accepted, product, 'TEE-M')).toBeNull();
+  });
+
+  test('should start the content deadline from the delivery date once', async () => {
+    const shipment = makeShipment({ status: 'in_transit' });
+    Shipment.update.mockResolvedValueOnce([1]).mockResolvedValueOnce([0]);
+    Campaign.findByPk.mockResolvedValue({ id: 'campaign-1', contentDueDays: 14 });
+
+    await shipmentService.applyTracking(shipment, {
+      status: 'delivered',
+      deliveredAt: hoursLater(60),
+      events: []
+    }, hoursLater(72));
+
+    expect(Shipment.update).toHaveBeenCalledWith(
+      { status: 'delivered', deliveredAt: hoursLater(60) },
+      expect.objectContaining({ transaction: mockTransaction })
+    );
+    expect(CampaignApplication.update).toHaveBeenCalledWith(
+      { contentDueAt: new Date('2026-10-31T20:00:00Z') },
+      expect.objectContaining({ transaction: mockTransaction })
+    );
+
+    // Confirming again (or a later sweep) doesn't move the deadline
+    await shipmentService.markDelivered(shipment, hoursLater(90));
+    expect(CampaignApplication.update).toHaveBeenCalledTimes(1);
+  });
+
+  test('should hide the address from the brand unless the application is accepted', () => {
+    const shipment = makeShipment();
+    const brand = { id: 'brand-1', role: 'brand' };
+
+    expect(shipmentService.present(shipment, brand, { status: 'approved' }).shippingAddress.line1).toBe('1 Main St');
+    expect(shipmentService.present(shipment, brand, { status: 'cancelled' }).shippingAddress).toEqual({ country: 'US' });
+    expect(shipmentService.present(shipment, { id: 'influencer-1', role: 'influencer' }, { status: 'cancelled' }).shippingAddress.city)
+      .toBe('Austin');
+  });
+});
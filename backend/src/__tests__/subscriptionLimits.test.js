@@ -0,0 +1,116 @@
+/**
+ * Subscription tier limit middleware tests (subscription service mocked)
+ */
+
+jest.mock('../services/subscriptionService', () => ({
+  getPlan: jest.fn(),
+  countCampaignsThisMonth: jest.fn(),
+  countInvitationsThisMonth: jest.fn()
+}));
+
+const subscriptionService = require('../services/subscriptionService');
+const { enforceCampaignLimit, enforceInvitationLimit, limitSearchDepth, limitAnalyticsHistory } = require('../middleware/subscription');
+
+const FREE_PLAN = {
+  tier: 'free',
+  limits: { campaignsPerMonth: 2, searchResultDepth: 50, analyticsHistoryDays: 30, invitationsPerMonth: 10 },
+  subscription: null
+};
+const ENTERPRISE_PLAN = {
+  tier: 'enterprise',
+  limits: { campaignsPerMonth: null, searchResultDepth: null, analyticsHistoryDays: null, invitationsPerMonth: null },
+  subscription: { id: 'subscription-1' }
+};
+
+const makeRes = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const brand = { id: 'brand-1', role: 'brand' };
+
+describe('Subscription limit middleware', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    subscriptionService.getPlan.mockResolvedValue(FREE_PLAN);
+  });
+
+  test('should block campaign creation once the monthly limit is used', async () => {
+    subscriptionService.countCampaignsThisMonth.mockResolvedValue(2);
+    const res = makeRes();
+    const next = jest.fn();
+
+    await enforceCampaignLimit({ user: brand, query: {} }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ tier: 'free', upgradeRequired: true }));
+  });
+
+  test('should not count campaigns on an unlimited plan', async () => {
+    subscriptionService.getPlan.mockResolvedValue(ENTERPRISE_PLAN);
+    const next = jest.fn();
+
+    await enforceCampaignLimit({ user: brand, query: {} }, makeRes(), next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(subscriptionService.countCampaignsThisMonth).not.toHaveBeenCalled();
+  });
+
+  test('should count every influencer of a bulk invite against the monthly invitations', async () => {
+    subscriptionService.countInvitationsThisMonth.mockResolvedValue(7);
+    const influencerIds = (count) => Array.from({ length: count }, (_, index) => `influencer-${index}`);
+
+    const overLimit = makeRes();
+    await enforceInvitationLimit({ user: brand, body: { influencerIds: influencerIds(4) } }, overLimit, jest.fn());
+    expect(overLimit.status).toHaveBeenCalledWith(403);
+    expect(overLimit.json).toHaveBeenCalledWith(expect.objectContaining({
+      message: 'Your plan allows 10 invitations per month and 3 are left. Upgrade to invite more.'
+    }));
+
+    const next = jest.fn();
+    await enforceInvitationLimit({ user: brand, body: { influencerIds: influencerIds(3) } }, makeRes(), next);
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test('should reject search pages past the plan depth and pass the depth on', async () => {
+    const middleware = limitSearchDepth('page', 10);
+
+    const pastDepth = makeRes();
+    await middleware({ user: brand, query: { page: '6', limit: '10' } }, pastDepth, jest.fn());
+    expect(pastDepth.status).toHaveBeenCalledWith(403);
+
+    const req = { user: brand, query: { page: '5', limit: '10' } };
+    const next = jest.fn();
+    await middleware(req, makeRes(), next);
+    expect(next).toHaveBeenCalledWith();
+    expect(req.searchDepth).toBe(50);
+  });
+
+  test('should apply the free plan to anonymous search and skip non-brands', async () => {
+    const middleware = limitSearchDepth('offset', 20);
+
+    const anonymous = { query: { offset: '0' } };
+    await middleware(anonymous, makeRes(), jest.fn());
+    expect(subscriptionService.getPlan).toHaveBeenCalledWith(null);
+    expect(anonymous.searchDepth).toBe(50);
+
+    const influencer = { user: { id: 'influencer-1', role: 'influencer' }, query: { offset: '500' } };
+    const next = jest.fn();
+    await middleware(influencer, makeRes(), next);
+    expect(next).toHaveBeenCalledWith();
+    expect(influencer.searchDepth).toBeNull();
+  });
+
+  test('should limit analytics history to the plan window', async () => {
+    const req = { user: brand, query: {} };
+    const before = Date.now();
+
+    await limitAnalyticsHistory(req, makeRes(), jest.fn());
+
+    const expected = before - 30 * 24 * 60 * 60 * 1000;
+    expect(Math.abs(req.analyticsHistoryStart.getTime() - expected)).toBeLessThan(1000);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Tracked link tests
+ */
+
+jest.mock('../config/database', () => require('./helpers/mocks').mockDatabase());
+
+jest.mock('../models', () => ({
+  Analytics: { findOrCreate: jest.fn() },
+  AnalyticsEvent: { create: jest.fn() },
+  Campaign: { findByPk: jest.fn() },
+  TrackedLink: { create: jest.fn(async (values) => values), findOne: jest.fn(), findAll: jest.fn() },
+  TrackedLinkVisit: { claim: jest.fn() }
+}));
+
+jest.mock('../utils/monitoring', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+}));
+
+const { Analytics, AnalyticsEvent, TrackedLink, TrackedLinkVisit } = require('../models');
+const trackedLinkService = require('../services/trackedLinkService');
+const { mockTransaction } = require('./helpers/mocks');
+
+const browser = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Safari/604.1';
+const now = new Date('2026-10-19T12:00:00Z');
+
+const makeLink = () => ({
+  id: 'link-1',
+  code: 'abcd2345',
+  campaignId: 'campaign-1',
+  applicationId: 'application-1',
+  influencerId: 'influencer-1',
+  platform: 'instagram',
+  increment: jest.fn(),
+  update: jest.fn()
+});
+
+describe('TrackedLinkService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should create a UTM-tagged link for an approved application', async () => {
+    TrackedLink.findOne.mockResolvedValue(null);
+
+    const link = await trackedLinkService.createForApplication(
+      { id: 'application-1', influencerId: 'influencer-1', appliedPlatforms: ['tiktok'] },
+      { campaign: { id: 'campaign-1', customLandingPage: 'https://shop.example.com/summer?ref=1', utmParameters: { utm_campaign: 'summer' } } }
+    );
+
+    const url = new URL(link.destinationUrl);
+    expect(link.platform).toBe('tiktok');
+    expect(link.code).toMatch(/^[A-Za-z0-9]{8}$/);
+    expect(url.searchParams.get('ref')).toBe('1');
+    expect(url.searchParams.get('utm_campaign')).toBe('summer');
+    expect(url.searchParams.get('utm_content')).toBe('influencer-1');
+  });
+
+  test('should skip campaigns without a landing page', async () => {
+    TrackedLink.findOne.mockResolvedValue(null);
+
+    const link = await trackedLinkService.createForApplication(
+      { id: 'application-1', appliedPlatforms: ['tiktok'] },
+      { campaign: { id: 'campaign-1', customLandingPage: null } }
+    );
+
+    expect(link).toBeNull();
+    expect(TrackedLink.create).not.toHaveBeenCalled();
+  });
+
+  test('should count a first click and roll it into application and campaign metrics', async () => {
+    const link = makeLink();
+    const metric = { increment: jest.fn() };
+    TrackedLinkVisit.claim.mockResolvedValue(true);
+    Analytics.findOrCreate.mockResolvedValue([metric, true]);
+
+    const result = await trackedLinkService.recordClick(link, { ipAddress: '203.0.113.7', userAgent: browser }, now);
+
+    expect(result).toEqual({ counted: true, bot: false, repeat: false });
+    expect(TrackedLinkVisit.claim).toHaveBeenCalledWith({
+      linkId: 'link-1',
+      visitorId: trackedLinkService.getVisitorId(link, '203.0.113.7', browser),
+      windowStart: new Date('2026-10-19T12:00:00Z')
+    }, mockTransaction);
+    expect(AnalyticsEvent.create).toHaveBeenCalledWith(expect.objectContaining({ ipAddress: '203.0.113.0' }), { transaction: mockTransaction });
+    expect(link.increment).toHaveBeenCalledWith('clickCount', { transaction: mockTransaction });
+    expect(Analytics.findOrCreate).toHaveBeenCalledTimes(2);
+    expect(Analytics.findOrCreate.mock.calls.map(([options]) => options.where.entityType)).toEqual(['application', 'campaign']);
+    expect(metric.increment).toHaveBeenCalledWith('value', { by: 1, transaction: mockTransaction });
+  });
+
+  test('should record repeat and bot clicks without counting them', async () => {
+    const link = makeLink();
+    // A concurrent or earlier click from the same visitor already claimed the window
+    TrackedLinkVisit.claim.mockResolvedValue(false);
+
+    expect(await trackedLinkService.recordClick(link, { ipAddress: '203.0.113.7', userAgent: browser }, now))
+      .toEqual({ counted: false, bot: false, repeat: true });
+
+    expect(await trackedLinkService.recordClick(link, { ipAddress: '66.249.66.1', userAgent: 'Googlebot/2.1' }, now))
+      .toEqual({ counted: false, bot: true, repeat: false });
+
+    expect(AnalyticsEvent.create).toHaveBeenCalledTimes(2);
+    expect(link.increment).toHaveBeenCalledTimes(1);
+    expect(link.increment).toHaveBeenCalledWith('botClickCount', { transaction: mockTransaction });
+    expect(Analytics.findOrCreate).not.toHaveBeenCalled();
+    expect(TrackedLinkVisit.claim).toHaveBeenCalledTimes(1);
+  });
+
+  test('should store click IP addresses without their host part', () => {
+    expect(trackedLinkService.truncateIp('203.0.113.7')).toBe('203.0.113.0');
+    expect(trackedLinkService.truncateIp('::ffff:198.51.100.23')).toBe('198.51.100.0');
+    expect(trackedLinkService.truncateIp('2001:db8:85a3:8d3:1319:8a2e:370:7348')).toBe('2001:db8:85a3::');
+    expect(trackedLinkService.truncateIp('2001:db8::1')).toBe('2001:db8:0::');
+    expect(trackedLinkService.truncateIp('unknown')).toBeNull();
+  });
+
+  test('should count one click per visitor window', () => {
+    expect(trackedLinkService.getClickWindowStart(new Date('2026-10-19T12:29:59Z'))).toEqual(new Date('2026-10-19T12:00:00Z'));
+    expect(trackedLinkService.getClickWindowStart(new Date('2026-10-19T12:30:00Z'))).toEqual(new Date('2026-10-19T12:30:00Z'));
+  });
+});
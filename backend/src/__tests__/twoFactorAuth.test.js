@@ -0,0 +1,36 @@
+/**
+ * Two-factor authentication service tests
+ */
+
+const speakeasy = require('speakeasy');
+const TwoFactorAuthService = require('../services/twoFactorAuth');
+
+describe('TwoFactorAuthService', () => {
+  test('should verify a TOTP code generated from the secret', () => {
+    const { secret } = TwoFactorAuthService.generateSecret('brand@example.com');
+    const token = speakeasy.totp({ secret, encoding: 'base32' });
+
+    expect(TwoFactorAuthService.verifyToken(secret, token)).toBe(true);
+    expect(TwoFactorAuthService.verifyToken(secret, 'abcdef')).toBe(false);
+  });
+
+  test('should generate well-formed unique backup codes', () => {
+    const codes = TwoFactorAuthService.generateBackupCodes();
+
+    expect(codes).toHaveLength(8);
+    expect(new Set(codes).size).toBe(8);
+    codes.forEach(code => expect(TwoFactorAuthService.isValidBackupCodeFormat(code)).toBe(true));
+  });
+
+  test('should consume a backup code only once', () => {
+    const codes = TwoFactorAuthService.generateBackupCodes(3);
+    const hashes = codes.map(code => TwoFactorAuthService.hashBackupCode(code));
+
+    expect(hashes).not.toContain(codes[0]);
+
+    const remaining = TwoFactorAuthService.consumeBackupCode(hashes, codes[1].toLowerCase());
+    expect(remaining).toHaveLength(2);
+    expect(TwoFactorAuthService.consumeBackupCode(remaining, codes[1])).toBeNull();
+    expect(TwoFactorAuthService.consumeBackupCode(remaining, 'ZZZZZZZZ')).toBeNull();
+  });
+});
@@ -2,9 +2,49 @@ const Analytics = require('../models/Analytics');
 const Campaign = require('../models/Campaign');
 const SocialMediaAccount = require('../models/SocialMediaAccount');
 const CampaignApplication = require('../models/CampaignApplication');
+const Escrow = require('../models/Escrow');
+const Payout = require('../models/Payout');
+const fxService = require('../services/fxService');
+const conversionService = require('../services/conversionService');
 const { validationResult } = require('express-validator');
 const { Op } = require('sequelize');
 
+// Metric types recorded as money in the campaign's currency
+const MONETARY_METRICS = ['cpm', 'cpc'];
+
+/**
+ * Scale aggregated money metrics (from Analytics.aggregateMetrics) by an FX rate
+ */
+const convertMonetaryMetrics = (aggregated, rate) => {
+  Object.values(aggregated)
+    .filter(metric => MONETARY_METRICS.includes(metric.metricType))
+    .forEach(metric => {
+      metric.values.forEach(entry => { entry.value *= rate; });
+      metric.total *= rate;
+      metric.average *= rate;
+      if (metric.latest) {
+        metric.latest.value *= rate;
+      }
+    });
+  return aggregated;
+};
+
+/**
+ * Scale the money figures of a conversion summary (from conversionService.summarize) by an FX rate
+ */
+const convertConversionSummary = (summary, rate) => {
+  const convertRow = (row) => ({
+    ...row,
+    revenue: Math.round(row.revenue * rate * 100) / 100,
+    cost: Math.round(row.cost * rate * 100) / 100,
+    cpc: row.cpc === null ? null : row.cpc * rate
+  });
+  return {
+    totals: convertRow(summary.totals),
+    influencers: summary.influencers.map(convertRow)
+  };
+};
+
 /**
  * Get dashboard analytics for the authenticated user
  */
@@ -12,6 +52,7 @@ const getDashboardStats = async (req, res) => {
   try {
     const userId = req.user.id;
     const userRole = req.user.role;
+    const currency = req.user.preferredCurrency || 'USD';
     
     let stats = {};
 
@@ -27,10 +68,16 @@ const getDashboardStats = async (req, res) => {
       const completedCampaigns = campaigns.filter(c => c.status === 'completed').length;
       const totalApplications = campaigns.reduce((sum, c) => sum + c.totalApplications, 0);
       const approvedInfluencers = campaigns.reduce((sum, c) => sum + c.approvedInfluencers, 0);
-      const totalBudget = campaigns.reduce((sum, c) => sum + parseFloat(c.budget || 0), 0);
 
-      // Get recent analytics
+      // Funded budgets are valued at the rates snapshotted when they were funded
       const campaignIds = campaigns.map(c => c.id);
+      const fundingRates = await Escrow.getFundingRatesByCampaign(campaignIds);
+      const totalBudget = await fxService.sumInCurrency(
+        campaigns.map(c => ({ amount: c.budget, currency: c.currency, rates: fundingRates[c.id] })),
+        currency
+      );
+
+      // Get recent analytics
       const recentMetrics = await Analytics.findAll({
         where: {
           entityType: 'campaign',
@@ -87,9 +134,12 @@ const getDashboardStats = async (req, res) => {
       const pendingApplications = applications.filter(a => a.status === 'pending').length;
 
       // Calculate potential earnings
-      const potentialEarnings = applications
-        .filter(a => ['approved', 'completed'].includes(a.status))
-        .reduce((sum, a) => sum + parseFloat(a.negotiatedRate || 0), 0);
+      const potentialEarnings = await fxService.sumInCurrency(
+        applications
+          .filter(a => ['approved', 'completed'].includes(a.status))
+          .map(a => ({ amount: a.negotiatedRate, currency: a.currency })),
+        currency
+      );
 
       // Get recent performance metrics
       const recentMetrics = await Analytics.findAll({
@@ -127,6 +177,8 @@ const getDashboardStats = async (req, res) => {
       };
     }
 
+    stats.currency = currency;
+
     res.json({ stats });
   } catch (error) {
     console.error('Get dashboard stats error:', error);
@@ -160,7 +212,18 @@ const getCampaignAnalytics = async (req, res) => {
       });
     }
 
-    const metrics = await Analytics.getCampaignMetrics(campaignId, startDate, endDate);
+    // Brands only see as much history as their plan allows
+    let fromDate = startDate;
+    let toDate = endDate;
+    if (req.analyticsHistoryStart && (!fromDate || new Date(fromDate) < req.analyticsHistoryStart)) {
+      fromDate = req.analyticsHistoryStart;
+      toDate = toDate || new Date();
+    }
+
+    const currency = req.user.preferredCurrency || 'USD';
+    const rate = await fxService.getRate(campaign.currency || 'USD', currency);
+    const metrics = convertMonetaryMetrics(await Analytics.getCampaignMetrics(campaignId, fromDate, toDate), rate);
+    const fundingRates = await Escrow.getFundingRatesByCampaign([campaign.id]);
     
     // Get campaign applications
     const applications = await CampaignApplication.findAll({
@@ -178,13 +241,20 @@ const getCampaignAnalytics = async (req, res) => {
         status: campaign.status,
         budget: campaign.budget,
         currency: campaign.currency,
+        convertedBudget: await fxService.convert(campaign.budget, campaign.currency || 'USD', currency, fundingRates[campaign.id]),
         totalApplications: campaign.totalApplications,
         approvedInfluencers: campaign.approvedInfluencers
       },
+      currency,
       metrics,
       applications: applications.length,
       approvedApplications: applications.filter(a => a.status === 'approved').length,
       completedApplications: applications.filter(a => a.status === 'completed').length,
+      historyStart: req.analyticsHistoryStart || null,
+      // Attributed orders and revenue for conversions campaigns
+      conversions: campaign.goal === 'conversions'
+        ? convertConversionSummary(await conversionService.summarize(campaign), rate)
+        : null,
       performanceByPlatform: {}
     };
 
@@ -236,15 +306,34 @@ const getInfluencerAnalytics = async (req, res) => {
       }]
     });
 
+    // Paid payouts are valued at the rates snapshotted when they were transferred
+    const currency = req.user.preferredCurrency || 'USD';
+    const paidPayouts = await Payout.findAll({
+      where: { influencerId: req.user.id, status: 'paid' },
+      include: [{ association: 'fxSnapshot', attributes: ['rates'] }]
+    });
+
     const analytics = {
       metrics,
       socialAccounts,
+      currency,
       totalApplications: applications.length,
       approvedApplications: applications.filter(a => a.status === 'approved').length,
       completedApplications: applications.filter(a => a.status === 'completed').length,
-      totalEarnings: applications
-        .filter(a => a.status === 'completed')
-        .reduce((sum, a) => sum + parseFloat(a.negotiatedRate || 0), 0),
+      totalEarnings: await fxService.sumInCurrency(
+        applications
+          .filter(a => a.status === 'completed')
+          .map(a => ({ amount: a.negotiatedRate, currency: a.currency })),
+        currency
+      ),
+      totalPaidOut: await fxService.sumInCurrency(
+        paidPayouts.map(payout => ({
+          amount: payout.amount,
+          currency: payout.currency,
+          rates: payout.fxSnapshot ? payout.fxSnapshot.rates : null
+        })),
+        currency
+      ),
       performanceByPlatform: {}
     };
 
@@ -369,6 +458,10 @@ const getPerformanceComparison = async (req, res) => {
         break;
     }
 
+    if (req.analyticsHistoryStart && !(dateFilter[Op.gte] >= req.analyticsHistoryStart)) {
+      dateFilter = { [Op.gte]: req.analyticsHistoryStart };
+    }
+
     const whereConditions = {
       entityType: req.user.role === 'brand' ? 'campaign' : 'influencer',
       dateRecorded: dateFilter
@@ -383,13 +476,16 @@ const getPerformanceComparison = async (req, res) => {
     }
 
     // Add entity ownership filter
+    const currency = req.user.preferredCurrency || 'USD';
+    const campaignCurrencies = {};
     if (req.user.role === 'brand') {
-      const campaignIds = await Campaign.findAll({
+      const campaigns = await Campaign.findAll({
         where: { brandId: req.user.id },
-        attributes: ['id']
-      }).then(campaigns => campaigns.map(c => c.id));
+        attributes: ['id', 'currency']
+      });
+      campaigns.forEach(c => { campaignCurrencies[c.id] = c.currency || 'USD'; });
       
-      whereConditions.entityId = { [Op.in]: campaignIds };
+      whereConditions.entityId = { [Op.in]: Object.keys(campaignCurrencies) };
     } else {
       whereConditions.entityId = req.user.id;
     }
@@ -399,11 +495,22 @@ const getPerformanceComparison = async (req, res) => {
       order: [['dateRecorded', 'DESC']]
     });
 
-    const comparison = Analytics.aggregateMetrics(metrics);
+    // Campaigns may be in different currencies: convert money metrics row by row before aggregating
+    const rows = [];
+    for (const metric of metrics) {
+      const sourceCurrency = campaignCurrencies[metric.entityId];
+      rows.push(MONETARY_METRICS.includes(metric.metricType) && sourceCurrency
+        ? { ...metric.get(), value: parseFloat(metric.value) * await fxService.getRate(sourceCurrency, currency) }
+        : metric);
+    }
+
+    const comparison = Analytics.aggregateMetrics(rows);
 
     res.json({ 
       comparison,
       timeframe,
+      currency,
+      historyStart: req.analyticsHistoryStart || null,
       totalMetrics: metrics.length
     });
   } catch (error) {
@@ -1,6 +1,13 @@
 const CampaignApplication = require('../models/CampaignApplication');
 const Campaign = require('../models/Campaign');
 const User = require('../models/User');
+const escrowAllocationService = require('../services/escrowAllocationService');
+const applicationStateService = require('../services/applicationStateService');
+const deliverableService = require('../services/deliverableService');
+const Deliverable = require('../models/Deliverable');
+const ApplicationOffer = require('../models/ApplicationOffer');
+const offerService = require('../services/offerService');
+const campaignAccessService = require('../services/campaignAccessService');
 const { validationResult } = require('express-validator');
 const { Op } = require('sequelize');
 
@@ -39,6 +46,9 @@ const getApplications = async (req, res) => {
 
     const offset = (page - 1) * limit;
 
+    // Offers past their expiry show as expired in the thread
+    await offerService.expireStale();
+
     const { count, rows: applications } = await CampaignApplication.findAndCountAll({
       where: whereClause,
       include: [
@@ -55,6 +65,12 @@ const getApplications = async (req, res) => {
           model: User,
           as: 'influencer',
           attributes: ['id', 'name', 'email']
+        },
+        {
+          model: ApplicationOffer,
+          as: 'offers',
+          separate: true,
+          order: [['created_at', 'ASC']]
         }
       ],
       order: [[sortBy, sortOrder.toUpperCase()]],
@@ -104,7 +120,7 @@ const applyToCampaign = async (req, res) => {
     }
 
     const { campaignId } = req.params;
-    const { message, proposedContent, portfolioUrls, appliedPlatforms } = req.body;
+    const { message, proposedContent, portfolioUrls, appliedPlatforms, proposedRate } = req.body;
 
     // Check if campaign exists and is active
     const campaign = await Campaign.findByPk(campaignId);
@@ -122,6 +138,22 @@ const applyToCampaign = async (req, res) => {
       });
     }
 
+    if (campaign.applicationsClosedAt || (campaign.applicationDeadline && new Date(campaign.applicationDeadline) <= new Date())) {
+      return res.status(400).json({
+        error: 'Campaign not available',
+        message: 'The application deadline for this campaign has passed'
+      });
+    }
+
+    // Invite-only campaigns and eligibility requirements are enforced here, not just in the UI
+    const accessError = await campaignAccessService.getApplyError(campaign, req.user.id);
+    if (accessError) {
+      return res.status(403).json({
+        error: 'Not eligible',
+        message: accessError
+      });
+    }
+
     // Check if already applied
     const existingApplication = await CampaignApplication.findOne({
       where: {
@@ -148,6 +180,11 @@ const applyToCampaign = async (req, res) => {
       status: 'pending'
     });
 
+    // A proposed rate opens the negotiation thread
+    if (proposedRate) {
+      await offerService.createOffer(application, req.user, { rate: proposedRate });
+    }
+
     // Fetch the created application with includes
     const fullApplication = await CampaignApplication.findByPk(application.id, {
       include: [
@@ -164,6 +201,12 @@ const applyToCampaign = async (req, res) => {
           model: User,
           as: 'influencer',
           attributes: ['id', 'name', 'email']
+        },
+        {
+          model: ApplicationOffer,
+          as: 'offers',
+          separate: true,
+          order: [['created_at', 'ASC']]
         }
       ]
     });
@@ -184,6 +227,7 @@ const applyToCampaign = async (req, res) => {
 
 /**
  * Update application status (brands only)
+ * in_progress is set by content submission; the transition table decides the rest.
  */
 const updateApplicationStatus = async (req, res) => {
   try {
@@ -221,12 +265,21 @@ const updateApplicationStatus = async (req, res) => {
       });
     }
 
-    // Update application
-    await application.update({
+    const changes = {
       status,
-      brandResponse: brandResponse || application.brandResponse,
-      approvedAt: status === 'approved' ? new Date() : application.approvedAt,
-      rejectedAt: status === 'rejected' ? new Date() : application.rejectedAt
+      brandResponse: brandResponse || application.brandResponse
+    };
+    const transitionError = await applicationStateService.getTransitionError(application, changes);
+    if (transitionError) {
+      return res.status(400).json({
+        error: 'Invalid status change',
+        message: transitionError
+      });
+    }
+
+    await applicationStateService.transition(application, changes, {
+      actor: req.user,
+      note: brandResponse || null
     });
 
     // Fetch updated application with includes
@@ -265,6 +318,8 @@ const updateApplicationStatus = async (req, res) => {
 
 /**
  * Submit content for approved application (influencers only)
+ * Kept for single-deliverable clients: a first submission creates a deliverable,
+ * later ones become new versions of the most recent one.
  */
 const submitContent = async (req, res) => {
   try {
@@ -297,23 +352,33 @@ const submitContent = async (req, res) => {
       });
     }
 
-    if (application.status !== 'approved') {
+    const deliverable = await Deliverable.findOne({
+      where: { applicationId: application.id },
+      order: [['created_at', 'DESC']]
+    });
+    const assets = submittedContent.assets || [];
+    const submissionError = await deliverableService.getSubmissionError(application, deliverable) ||
+      deliverableService.getAssetError(assets, req.user.id);
+    if (submissionError) {
       return res.status(400).json({
-        error: 'Application not approved',
-        message: 'You can only submit content for approved applications'
+        error: 'Cannot submit content',
+        message: submissionError
       });
     }
 
-    // Update application with submitted content
-    await application.update({
-      submittedContent: JSON.stringify(submittedContent),
-      contentApprovalStatus: 'pending',
-      status: 'in_progress'
+    const { version } = await deliverableService.submitVersion(application, req.user, {
+      deliverable,
+      platform: submittedContent.platform || application.appliedPlatforms[0],
+      contentType: submittedContent.contentType || 'post',
+      caption: submittedContent.caption || submittedContent.description || null,
+      contentUrl: submittedContent.url || submittedContent.contentUrl || null,
+      assets
     });
 
     res.json({
       message: 'Content submitted successfully',
-      application
+      application,
+      version
     });
 
   } catch (error) {
@@ -325,6 +390,154 @@ const submitContent = async (req, res) => {
   }
 };
 
+/**
+ * Review submitted content (brands only)
+ * Applies the decision to the latest version of every deliverable awaiting review.
+ * Approving content also approves escrow milestones triggered by content approval.
+ */
+const reviewContent = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid content review data',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { contentApprovalStatus, revisionNotes } = req.body;
+
+    const application = await CampaignApplication.findByPk(id, {
+      include: [{
+        model: Campaign,
+        as: 'campaign'
+      }]
+    });
+
+    if (!application) {
+      return res.status(404).json({
+        error: 'Application not found',
+        message: 'The requested application does not exist'
+      });
+    }
+
+    if (application.campaign.brandId !== req.user.id) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only review content for your own campaigns'
+      });
+    }
+
+    if (application.status !== 'in_progress') {
+      return res.status(400).json({
+        error: 'No content to review',
+        message: 'Content can only be reviewed after it has been submitted'
+      });
+    }
+
+    const awaitingReview = await deliverableService.getVersionsAwaitingReview(application.id);
+    if (!awaitingReview.length) {
+      return res.status(400).json({
+        error: 'No content to review',
+        message: 'There is no submitted content waiting for review'
+      });
+    }
+
+    for (const { deliverable, version } of awaitingReview) {
+      const reviewError = await deliverableService.getReviewError(deliverable, version, contentApprovalStatus);
+      if (reviewError) {
+        return res.status(400).json({
+          error: 'Invalid content review',
+          message: reviewError
+        });
+      }
+    }
+
+    let contentApproved = false;
+    for (const { deliverable, version } of awaitingReview) {
+      const result = await deliverableService.reviewVersion(application, deliverable, version, req.user, {
+        decision: contentApprovalStatus,
+        summary: contentApprovalStatus === 'needs_revision' ? revisionNotes : null
+      });
+      contentApproved = contentApproved || result.contentApproved;
+    }
+
+    let milestones = [];
+    if (contentApproved) {
+      milestones = await escrowAllocationService.handleContentApproval(application);
+    }
+
+    res.json({
+      message: 'Content reviewed successfully',
+      application,
+      milestones: milestones.map(result => ({
+        id: result.milestone.id,
+        status: result.milestone.status,
+        releasableAt: result.milestone.releasableAt,
+        released: result.released
+      }))
+    });
+
+  } catch (error) {
+    console.error('Review content error:', error);
+    res.status(500).json({
+      error: 'Failed to review content',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get the recorded status, content approval and payment changes of an application
+ */
+const getApplicationHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const application = await CampaignApplication.findByPk(id, {
+      include: [{
+        model: Campaign,
+        as: 'campaign',
+        attributes: ['id', 'brandId']
+      }]
+    });
+
+    if (!application) {
+      return res.status(404).json({
+        error: 'Application not found',
+        message: 'The requested application does not exist'
+      });
+    }
+
+    const isParty = application.influencerId === req.user.id || application.campaign.brandId === req.user.id;
+    if (!isParty && req.user.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only view the history of your own applications'
+      });
+    }
+
+    const history = await applicationStateService.getHistory(application.id);
+
+    res.json({
+      applicationId: application.id,
+      status: application.status,
+      contentApprovalStatus: application.contentApprovalStatus,
+      paymentStatus: application.paymentStatus,
+      history
+    });
+
+  } catch (error) {
+    console.error('Get application history error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch application history',
+      message: 'Internal server error'
+    });
+  }
+};
+
 /**
  * Get application statistics
  */
@@ -424,5 +637,7 @@ module.exports = {
   applyToCampaign,
   updateApplicationStatus,
   submitContent,
+  reviewContent,
+  getApplicationHistory,
   getApplicationStats
 };
\ No newline at end of file
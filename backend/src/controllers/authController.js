@@ -1,11 +1,16 @@
 const User = require('../models/User');
 const RefreshToken = require('../models/RefreshToken');
+const TwoFactorAuthService = require('../services/twoFactorAuth');
+const { emailVerificationService } = require('../services/emailVerification');
 const { 
   generateTokenPair, 
   verifyRefreshToken, 
   generateTokenHash, 
   getTokenExpirationDate, 
-  REFRESH_TOKEN_EXPIRES_IN 
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
+  REFRESH_TOKEN_EXPIRES_IN,
+  TWO_FACTOR_CHALLENGE_EXPIRES_IN
 } = require('../utils/jwt');
 const { validationResult } = require('express-validator');
 
@@ -63,6 +68,74 @@ const createAndStoreRefreshToken = async (user, refreshToken, req) => {
   return { tokenHash, jti: decoded.jti };
 };
 
+/**
+ * Base URL of the web app used in email links
+ */
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3002';
+
+/**
+ * Short fingerprint of the current password hash.
+ * Embedded in reset tokens so a token stops working once the password changes.
+ */
+const getPasswordFingerprint = (user) => generateTokenHash(user.passwordHash || user.id).slice(0, 16);
+
+/**
+ * Send an email verification link; failures are logged, not surfaced
+ */
+const sendVerificationLink = async (user) => {
+  try {
+    const { jwtToken } = await emailVerificationService.generateVerificationToken(user.id, user.email);
+    await emailVerificationService.sendVerificationEmail(user, jwtToken, getFrontendUrl());
+    return true;
+  } catch (error) {
+    console.error('Failed to send verification email:', error);
+    return false;
+  }
+};
+
+/**
+ * Send the welcome email after verification; failures are logged, not raised
+ */
+const sendWelcomeMessage = async (user) => {
+  try {
+    await emailVerificationService.sendWelcomeEmail(user, `${getFrontendUrl()}/app`);
+    return true;
+  } catch (error) {
+    console.error('Failed to send welcome email:', error);
+    return false;
+  }
+};
+
+/**
+ * Build the response returned instead of a token pair when 2FA is enabled
+ */
+const twoFactorChallengeResponse = (user) => ({
+  message: 'Two-factor authentication required',
+  twoFactorRequired: true,
+  challengeToken: generateTwoFactorChallengeToken(user),
+  challengeExpiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN
+});
+
+/**
+ * Check a TOTP code or backup code against the user's 2FA settings.
+ * A matching backup code is removed so it cannot be reused.
+ */
+const verifySecondFactor = async (user, { token, backupCode }) => {
+  if (token) {
+    return { valid: TwoFactorAuthService.verifyToken(user.twoFactorSecret, token), usedBackupCode: false };
+  }
+
+  if (backupCode) {
+    const remaining = TwoFactorAuthService.consumeBackupCode(user.twoFactorBackupCodes, backupCode);
+    if (remaining) {
+      await user.update({ twoFactorBackupCodes: remaining });
+      return { valid: true, usedBackupCode: true };
+    }
+  }
+
+  return { valid: false, usedBackupCode: false };
+};
+
 /**
  * Register a new user
  */
@@ -114,9 +187,12 @@ const register = async (req, res) => {
     // Update last login
     await user.update({ lastLoginAt: new Date() });
 
+    const verificationEmailSent = await sendVerificationLink(user);
+
     res.status(201).json({
       message: 'User registered successfully',
       user: user.toJSON(),
+      verificationEmailSent,
       accessToken: tokens.accessToken,
       accessTokenExpiresIn: tokens.accessTokenExpiresIn
       // Note: refreshToken is not sent in response, only in httpOnly cookie
@@ -174,6 +250,11 @@ const login = async (req, res) => {
       });
     }
 
+    // Second factor required: hand back a short-lived challenge instead of tokens
+    if (user.twoFactorEnabled) {
+      return res.json(twoFactorChallengeResponse(user));
+    }
+
     // Generate JWT tokens
     const tokens = generateTokenPair(user);
 
@@ -508,7 +589,8 @@ const googleLogin = async (req, res) => {
         profilePicture: googleUser.picture,
         role,
         status: 'active',
-        authProvider: 'google'
+        authProvider: 'google',
+        emailVerified: googleUser.email_verified === true
       });
     } else {
       // Update existing user with Google info if missing
@@ -516,6 +598,7 @@ const googleLogin = async (req, res) => {
       if (!user.googleId) updateData.googleId = googleUser.sub || googleUser.id;
       if (!user.profilePicture && googleUser.picture) updateData.profilePicture = googleUser.picture;
       if (!user.authProvider) updateData.authProvider = 'google';
+      if (!user.emailVerified && googleUser.email_verified === true) updateData.emailVerified = true;
       
       if (Object.keys(updateData).length > 0) {
         await user.update(updateData);
@@ -530,6 +613,10 @@ const googleLogin = async (req, res) => {
       });
     }
 
+    if (user.twoFactorEnabled) {
+      return res.json(twoFactorChallengeResponse(user));
+    }
+
     // Generate JWT tokens
     const tokens = generateTokenPair(user);
 
@@ -559,6 +646,461 @@ const googleLogin = async (req, res) => {
   }
 };
 
+/**
+ * Complete login with a 2FA challenge token and a TOTP or backup code
+ */
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid input data',
+        details: errors.array()
+      });
+    }
+
+    const { challengeToken, token, backupCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyTwoFactorChallengeToken(challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: error.message
+      });
+    }
+
+    const user = await User.findByPk(decoded.id);
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Invalid challenge token'
+      });
+    }
+
+    if (user.status !== 'active') {
+      return res.status(403).json({
+        error: 'Account access denied',
+        message: 'Your account is not active. Please contact support.'
+      });
+    }
+
+    try {
+      await TwoFactorAuthService.checkRateLimit(user.id, '2fa_login');
+    } catch (error) {
+      return res.status(429).json({
+        error: 'Too many attempts',
+        message: error.message
+      });
+    }
+
+    const { valid, usedBackupCode } = await verifySecondFactor(user, { token, backupCode });
+    if (!valid) {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Invalid two-factor authentication code'
+      });
+    }
+
+    TwoFactorAuthService.clearRateLimit(user.id, '2fa_login');
+
+    // Generate JWT tokens
+    const tokens = generateTokenPair(user);
+
+    // Store refresh token in database
+    await createAndStoreRefreshToken(user, tokens.refreshToken, req);
+
+    // Set httpOnly cookie for refresh token
+    setRefreshTokenCookie(res, tokens.refreshToken);
+
+    // Update last login
+    await user.update({ lastLoginAt: new Date() });
+
+    const response = {
+      message: 'Login successful',
+      user: user.toJSON(),
+      accessToken: tokens.accessToken,
+      accessTokenExpiresIn: tokens.accessTokenExpiresIn
+    };
+    if (usedBackupCode) {
+      response.backupCodesRemaining = user.twoFactorBackupCodes.length;
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({
+      error: 'Login failed',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Start 2FA enrollment by generating a TOTP secret and QR code
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        error: '2FA setup failed',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { secret, otpauthUrl, manualEntryKey } = TwoFactorAuthService.generateSecret(user.email);
+    const qrCode = await TwoFactorAuthService.generateQRCode(otpauthUrl);
+
+    // Secret is stored but not trusted until the user confirms a code
+    await user.update({ twoFactorSecret: secret });
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then verify a code to finish setup',
+      qrCode,
+      otpauthUrl,
+      manualEntryKey
+    });
+
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      error: '2FA setup failed',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Confirm 2FA enrollment with a TOTP code and issue backup codes
+ */
+const verifyTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid input data',
+        details: errors.array()
+      });
+    }
+
+    const { token } = req.body;
+    const user = req.user;
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        error: '2FA verification failed',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        error: '2FA verification failed',
+        message: 'Start two-factor setup before verifying a code'
+      });
+    }
+
+    try {
+      await TwoFactorAuthService.checkRateLimit(user.id, '2fa_verify');
+    } catch (error) {
+      return res.status(429).json({
+        error: 'Too many attempts',
+        message: error.message
+      });
+    }
+
+    if (!TwoFactorAuthService.verifyToken(user.twoFactorSecret, token)) {
+      return res.status(400).json({
+        error: '2FA verification failed',
+        message: 'Invalid two-factor authentication code'
+      });
+    }
+
+    TwoFactorAuthService.clearRateLimit(user.id, '2fa_verify');
+
+    // Backup codes are shown once; only their hashes are stored
+    const backupCodes = TwoFactorAuthService.generateBackupCodes();
+    await user.update({
+      twoFactorEnabled: true,
+      twoFactorBackupCodes: backupCodes.map(code => TwoFactorAuthService.hashBackupCode(code))
+    });
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      backupCodes,
+      user: user.toJSON()
+    });
+
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({
+      error: '2FA verification failed',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Disable 2FA after re-checking the password and a current code
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid input data',
+        details: errors.array()
+      });
+    }
+
+    const { password, token, backupCode } = req.body;
+    const user = req.user;
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        error: '2FA disable failed',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    // Google-only accounts have no password to re-check
+    if (user.passwordHash) {
+      const isValidPassword = password && await user.validatePassword(password);
+      if (!isValidPassword) {
+        return res.status(400).json({
+          error: '2FA disable failed',
+          message: 'Password is incorrect'
+        });
+      }
+    }
+
+    try {
+      await TwoFactorAuthService.checkRateLimit(user.id, '2fa_disable');
+    } catch (error) {
+      return res.status(429).json({
+        error: 'Too many attempts',
+        message: error.message
+      });
+    }
+
+    const { valid } = await verifySecondFactor(user, { token, backupCode });
+    if (!valid) {
+      return res.status(400).json({
+        error: '2FA disable failed',
+        message: 'Invalid two-factor authentication code'
+      });
+    }
+
+    TwoFactorAuthService.clearRateLimit(user.id, '2fa_disable');
+
+    await user.update({
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorBackupCodes: null
+    });
+
+    res.json({
+      message: 'Two-factor authentication disabled',
+      user: user.toJSON()
+    });
+
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      error: '2FA disable failed',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Verify email address from the link sent at registration
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid input data',
+        details: errors.array()
+      });
+    }
+
+    const result = await emailVerificationService.verifyToken(req.body.token, 'email_verification');
+    if (!result.valid) {
+      return res.status(400).json({
+        error: 'Email verification failed',
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    const user = await User.findByPk(result.userId);
+    if (!user || user.email !== result.email) {
+      return res.status(400).json({
+        error: 'Email verification failed',
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    if (!user.emailVerified) {
+      await user.update({ emailVerified: true });
+      await sendWelcomeMessage(user);
+    }
+
+    res.json({
+      message: 'Email verified successfully',
+      user: user.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      error: 'Email verification failed',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Resend the verification email for the current user or a given address
+ */
+const resendVerification = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid input data',
+        details: errors.array()
+      });
+    }
+
+    const user = req.user || await User.findOne({ where: { email: req.body.email || '' } });
+
+    if (req.user && user.emailVerified) {
+      return res.status(400).json({
+        error: 'Already verified',
+        message: 'Your email address is already verified'
+      });
+    }
+
+    // Same response whether or not the address exists to avoid account enumeration
+    if (user && !user.emailVerified) {
+      await sendVerificationLink(user);
+    }
+
+    res.json({
+      message: 'If the account exists and is unverified, a verification email has been sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      error: 'Failed to resend verification',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Send a password reset link
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid input data',
+        details: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ where: { email: req.body.email } });
+
+    if (user && user.status === 'active') {
+      try {
+        const { jwtToken } = await emailVerificationService.generateVerificationToken(
+          user.id,
+          user.email,
+          'password_reset',
+          { pwd: getPasswordFingerprint(user) }
+        );
+        await emailVerificationService.sendPasswordResetEmail(user, jwtToken, getFrontendUrl());
+      } catch (error) {
+        console.error('Failed to send password reset email:', error);
+      }
+    }
+
+    // Same response whether or not the address exists to avoid account enumeration
+    res.json({
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      error: 'Failed to request password reset',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Reset password using a token from the reset email
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Invalid input data',
+        details: errors.array()
+      });
+    }
+
+    const { token, newPassword } = req.body;
+
+    const result = await emailVerificationService.verifyToken(token, 'password_reset');
+    const user = result.valid ? await User.findByPk(result.userId) : null;
+
+    // Token is single-use: the fingerprint changes as soon as the password does
+    if (!user || user.email !== result.email || result.claims.pwd !== getPasswordFingerprint(user)) {
+      return res.status(400).json({
+        error: 'Password reset failed',
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    // Completing a reset proves ownership of the mailbox
+    await user.update({ password: newPassword, emailVerified: true });
+
+    // Sign out every existing session
+    await RefreshToken.revokeAllUserTokens(user.id, getClientIp(req));
+    clearRefreshTokenCookie(res);
+
+    res.json({
+      message: 'Password reset successfully. Please sign in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      error: 'Password reset failed',
+      message: 'Internal server error'
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
@@ -567,5 +1109,13 @@ module.exports = {
   getProfile,
   updateProfile,
   changePassword,
-  googleLogin
+  googleLogin,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword
 };
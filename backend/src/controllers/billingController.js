@@ -0,0 +1,176 @@
+const subscriptionService = require('../services/subscriptionService');
+const { paymentService } = require('../services/paymentService');
+const { logger } = require('../utils/monitoring');
+
+/**
+ * Send a JSON 500 and log the failure
+ */
+const sendServerError = (res, action, error, context = {}) => {
+  logger.error(`Error ${action}`, { error: error.message, ...context });
+
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: error.message
+  });
+};
+
+/**
+ * Public view of the paid tiers (Stripe price IDs stay server-side)
+ */
+const getTiers = (req, res) => {
+  const tiers = paymentService.getSubscriptionTiers();
+
+  res.json({
+    success: true,
+    data: {
+      tiers: Object.entries(tiers).map(([id, tier]) => ({
+        id,
+        name: tier.name,
+        price: tier.price,
+        currency: tier.currency,
+        interval: tier.interval,
+        commissionRate: tier.commissionRate,
+        limits: tier.limits,
+        features: tier.features,
+        available: Boolean(tier.priceId)
+      }))
+    }
+  });
+};
+
+/**
+ * Get the brand's current plan, limits and usage this month
+ */
+const getSubscription = async (req, res) => {
+  try {
+    const plan = await subscriptionService.getPlan(req.user.id);
+    const campaignsThisMonth = await subscriptionService.countCampaignsThisMonth(req.user.id);
+    const invitationsThisMonth = await subscriptionService.countInvitationsThisMonth(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        tier: plan.tier,
+        limits: plan.limits,
+        subscription: plan.subscription,
+        usage: { campaignsThisMonth, invitationsThisMonth }
+      }
+    });
+
+  } catch (error) {
+    sendServerError(res, 'getting subscription', error, { userId: req.user?.id });
+  }
+};
+
+/**
+ * Subscribe to a paid tier
+ */
+const subscribe = async (req, res) => {
+  try {
+    let result;
+    try {
+      result = await subscriptionService.subscribe(req.user, req.body.tier);
+    } catch (subscribeError) {
+      return res.status(400).json({
+        success: false,
+        message: subscribeError.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Subscription created, confirm the payment to activate it',
+      data: result
+    });
+
+  } catch (error) {
+    sendServerError(res, 'subscribing', error, { userId: req.user?.id });
+  }
+};
+
+/**
+ * Change the brand's subscription to another tier
+ */
+const upgrade = async (req, res) => {
+  try {
+    let subscription;
+    try {
+      subscription = await subscriptionService.changeTier(req.user, req.body.tier);
+    } catch (changeError) {
+      return res.status(400).json({
+        success: false,
+        message: changeError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Subscription plan changed',
+      data: { subscription }
+    });
+
+  } catch (error) {
+    sendServerError(res, 'changing subscription', error, { userId: req.user?.id });
+  }
+};
+
+/**
+ * Cancel the brand's subscription at the end of the billing period
+ */
+const cancel = async (req, res) => {
+  try {
+    let subscription;
+    try {
+      subscription = await subscriptionService.cancel(req.user, req.body.reason);
+    } catch (cancelError) {
+      return res.status(400).json({
+        success: false,
+        message: cancelError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Subscription will end at the close of the current billing period',
+      data: { subscription }
+    });
+
+  } catch (error) {
+    sendServerError(res, 'cancelling subscription', error, { userId: req.user?.id });
+  }
+};
+
+/**
+ * Get a Stripe billing portal link
+ */
+const createPortalSession = async (req, res) => {
+  try {
+    let session;
+    try {
+      session = await subscriptionService.createPortalSession(req.user);
+    } catch (portalError) {
+      return res.status(400).json({
+        success: false,
+        message: portalError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: session
+    });
+
+  } catch (error) {
+    sendServerError(res, 'opening billing portal', error, { userId: req.user?.id });
+  }
+};
+
+module.exports = {
+  getTiers,
+  getSubscription,
+  subscribe,
+  upgrade,
+  cancel,
+  createPortalSession
+};
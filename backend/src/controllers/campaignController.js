@@ -1,5 +1,8 @@
 const Campaign = require('../models/Campaign');
 const User = require('../models/User');
+const campaignAccessService = require('../services/campaignAccessService');
+const campaignLifecycleService = require('../services/campaignLifecycleService');
+const campaignTemplateService = require('../services/campaignTemplateService');
 const { validationResult } = require('express-validator');
 const { Op, sequelize } = require('sequelize');
 const { sequelize: dbInstance } = require('../config/database');
@@ -36,6 +39,14 @@ const getCampaigns = async (req, res) => {
       whereClause.brandId = req.user.id;
     } else if (req.user.role === 'influencer') {
       whereClause.status = 'active';
+      // Public campaigns, plus invite-only ones the influencer was invited to
+      const invitedIds = await campaignAccessService.getInvitedCampaignIds(req.user.id);
+      whereClause[Op.and] = [{
+        [Op.or]: [
+          campaignAccessService.listedWhere(),
+          { visibility: 'invite_only', id: { [Op.in]: invitedIds } }
+        ]
+      }];
     }
     
     // Search functionality
@@ -65,7 +76,7 @@ const getCampaigns = async (req, res) => {
     });
 
     res.json({
-      campaigns,
+      campaigns: await campaignAccessService.presentAll(campaigns, req.user),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -115,7 +126,16 @@ const getCampaign = async (req, res) => {
       });
     }
 
-    res.json({ campaign });
+    // Invite-only campaigns don't reveal that they exist to uninvited influencers
+    if (!await campaignAccessService.canView(campaign, req.user)) {
+      return res.status(404).json({
+        error: 'Campaign not found',
+        message: 'The requested campaign does not exist'
+      });
+    }
+
+    const [presented] = await campaignAccessService.presentAll([campaign], req.user);
+    res.json({ campaign: presented });
 
   } catch (error) {
     console.error('Get campaign error:', error);
@@ -214,9 +234,16 @@ const updateCampaign = async (req, res) => {
       });
     }
 
-    // Don't allow updating brandId
+    // Don't allow updating brandId, scheduler-managed fields or the conversion secret (rotated separately)
     const updateData = { ...req.body };
     delete updateData.brandId;
+    delete updateData.applicationsClosedAt;
+    delete updateData.conversionSecret;
+
+    // Moving the deadline back into the future reopens applications
+    if (updateData.applicationDeadline && new Date(updateData.applicationDeadline) > new Date()) {
+      updateData.applicationsClosedAt = null;
+    }
 
     await campaign.update(updateData);
 
@@ -245,6 +272,45 @@ const updateCampaign = async (req, res) => {
   }
 };
 
+/**
+ * Duplicate a campaign into a new draft, optionally shifting its timeline to a new start date
+ */
+const duplicateCampaign = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { title, campaignStartDate } = req.body;
+
+    const campaign = await Campaign.findByPk(id);
+    if (!campaign) {
+      return res.status(404).json({
+        error: 'Campaign not found',
+        message: 'The requested campaign does not exist'
+      });
+    }
+
+    if (campaign.brandId !== req.user.id) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only duplicate your own campaigns'
+      });
+    }
+
+    const duplicate = await campaignTemplateService.duplicate(campaign, req.user.id, { title, campaignStartDate });
+
+    res.status(201).json({
+      message: 'Campaign duplicated successfully',
+      campaign: duplicate
+    });
+
+  } catch (error) {
+    console.error('Duplicate campaign error:', error);
+    res.status(500).json({
+      error: 'Failed to duplicate campaign',
+      message: 'Internal server error'
+    });
+  }
+};
+
 /**
  * Delete campaign
  */
@@ -283,6 +349,41 @@ const deleteCampaign = async (req, res) => {
   }
 };
 
+/**
+ * Get the automated lifecycle actions taken on a campaign
+ */
+const getCampaignLifecycle = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const campaign = await Campaign.findByPk(id);
+    if (!campaign) {
+      return res.status(404).json({
+        error: 'Campaign not found',
+        message: 'The requested campaign does not exist'
+      });
+    }
+
+    if (campaign.brandId !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only view the lifecycle of your own campaigns'
+      });
+    }
+
+    const events = await campaignLifecycleService.getEvents(id);
+
+    res.json({ events });
+
+  } catch (error) {
+    console.error('Get campaign lifecycle error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch campaign lifecycle',
+      message: 'Internal server error'
+    });
+  }
+};
+
 /**
  * Get campaign statistics
  */
@@ -295,6 +396,14 @@ const getCampaignStats = async (req, res) => {
       whereClause.brandId = req.user.id;
     } else if (req.user.role === 'influencer') {
       whereClause.status = 'active';
+      // Public campaigns, plus invite-only ones the influencer was invited to
+      const invitedIds = await campaignAccessService.getInvitedCampaignIds(req.user.id);
+      whereClause[Op.and] = [{
+        [Op.or]: [
+          campaignAccessService.listedWhere(),
+          { visibility: 'invite_only', id: { [Op.in]: invitedIds } }
+        ]
+      }];
     }
 
     const stats = await Campaign.findAll({
@@ -334,6 +443,8 @@ module.exports = {
   getCampaign,
   createCampaign,
   updateCampaign,
+  duplicateCampaign,
   deleteCampaign,
+  getCampaignLifecycle,
   getCampaignStats
 };
\ No newline at end of file
@@ -0,0 +1,187 @@
+const Campaign = require('../models/Campaign');
+const CampaignProduct = require('../models/CampaignProduct');
+const Shipment = require('../models/Shipment');
+const campaignAccessService = require('../services/campaignAccessService');
+const shipmentService = require('../services/shipmentService');
+
+const PRODUCT_FIELDS = ['name', 'description', 'imageUrl', 'retailValue', 'currency'];
+
+/**
+ * Load a campaign the user manages (brand owner or admin)
+ */
+const loadManagedCampaign = async (req, res) => {
+  const campaign = await Campaign.findByPk(req.params.id);
+  if (!campaign) {
+    res.status(404).json({
+      error: 'Campaign not found',
+      message: 'The requested campaign does not exist'
+    });
+    return null;
+  }
+
+  if (!campaignAccessService.isManager(campaign, req.user)) {
+    res.status(403).json({
+      error: 'Access denied',
+      message: 'You can only manage products of your own campaigns'
+    });
+    return null;
+  }
+
+  return campaign;
+};
+
+/**
+ * Load one of the campaign's products
+ */
+const loadProduct = async (req, res, campaign) => {
+  const product = await CampaignProduct.findOne({ where: { id: req.params.productId, campaignId: campaign.id } });
+  if (!product) {
+    res.status(404).json({
+      error: 'Product not found',
+      message: 'The requested product does not exist'
+    });
+    return null;
+  }
+  return product;
+};
+
+/**
+ * Product values from the request body
+ */
+const pickProductValues = (body) => ({
+  ...Object.fromEntries(PRODUCT_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])),
+  ...(body.variants !== undefined && { variants: shipmentService.normalizeVariants(body.variants) })
+});
+
+/**
+ * List the products a campaign seeds to influencers
+ */
+const getProducts = async (req, res) => {
+  try {
+    const campaign = await Campaign.findByPk(req.params.id);
+    if (!campaign || !await campaignAccessService.canView(campaign, req.user)) {
+      return res.status(404).json({
+        error: 'Campaign not found',
+        message: 'The requested campaign does not exist'
+      });
+    }
+
+    const products = await CampaignProduct.findAll({
+      where: { campaignId: campaign.id },
+      order: [['created_at', 'ASC']]
+    });
+
+    res.json({ products });
+
+  } catch (error) {
+    console.error('Get campaign products error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch products',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Add a product to the campaign
+ */
+const createProduct = async (req, res) => {
+  try {
+    const campaign = await loadManagedCampaign(req, res);
+    if (!campaign) return;
+
+    const product = await CampaignProduct.create({
+      currency: campaign.currency || 'USD',
+      ...pickProductValues(req.body),
+      campaignId: campaign.id
+    });
+
+    res.status(201).json({
+      message: 'Product added',
+      product
+    });
+
+  } catch (error) {
+    console.error('Create campaign product error:', error);
+    res.status(500).json({
+      error: 'Failed to add product',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Update a product. Variants already requested by influencers can't be removed.
+ */
+const updateProduct = async (req, res) => {
+  try {
+    const campaign = await loadManagedCampaign(req, res);
+    if (!campaign) return;
+    const product = await loadProduct(req, res, campaign);
+    if (!product) return;
+
+    const values = pickProductValues(req.body);
+    if (values.variants) {
+      const skus = values.variants.map(variant => variant.sku);
+      const requested = await Shipment.count({ where: { productId: product.id } });
+      const removed = product.variants.filter(variant => !skus.includes(variant.sku));
+      if (requested && removed.length) {
+        return res.status(400).json({
+          error: 'Variants in use',
+          message: 'Variants can only be added once influencers have requested this product'
+        });
+      }
+    }
+
+    await product.update(values);
+
+    res.json({
+      message: 'Product updated',
+      product
+    });
+
+  } catch (error) {
+    console.error('Update campaign product error:', error);
+    res.status(500).json({
+      error: 'Failed to update product',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Remove a product nobody has requested yet
+ */
+const deleteProduct = async (req, res) => {
+  try {
+    const campaign = await loadManagedCampaign(req, res);
+    if (!campaign) return;
+    const product = await loadProduct(req, res, campaign);
+    if (!product) return;
+
+    if (await Shipment.count({ where: { productId: product.id } })) {
+      return res.status(400).json({
+        error: 'Product in use',
+        message: 'Products with shipments cannot be removed'
+      });
+    }
+
+    await product.destroy();
+
+    res.json({ message: 'Product removed' });
+
+  } catch (error) {
+    console.error('Delete campaign product error:', error);
+    res.status(500).json({
+      error: 'Failed to remove product',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getProducts,
+  createProduct,
+  updateProduct,
+  deleteProduct
+};
@@ -0,0 +1,129 @@
+const Campaign = require('../models/Campaign');
+const campaignTemplateService = require('../services/campaignTemplateService');
+
+/**
+ * Load one of the brand's templates
+ */
+const loadTemplate = async (req, res) => {
+  const template = await campaignTemplateService.findForBrand(req.params.templateId, req.user.id);
+
+  if (!template) {
+    res.status(404).json({
+      error: 'Template not found',
+      message: 'The requested campaign template does not exist'
+    });
+    return null;
+  }
+
+  return template;
+};
+
+/**
+ * List the brand's saved campaign templates
+ */
+const getTemplates = async (req, res) => {
+  try {
+    const templates = await campaignTemplateService.list(req.user.id);
+
+    res.json({ templates });
+
+  } catch (error) {
+    console.error('Get campaign templates error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch campaign templates',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Save a template from one of the brand's campaigns or from the create form values
+ */
+const createTemplate = async (req, res) => {
+  try {
+    const { name, description, campaignId, values } = req.body;
+
+    let campaign = null;
+    if (campaignId) {
+      campaign = await Campaign.findOne({ where: { id: campaignId, brandId: req.user.id } });
+      if (!campaign) {
+        return res.status(404).json({
+          error: 'Campaign not found',
+          message: 'You can only save templates from your own campaigns'
+        });
+      }
+    }
+
+    const template = await campaignTemplateService.createTemplate(req.user.id, {
+      name,
+      description,
+      campaign,
+      values
+    });
+
+    res.status(201).json({
+      message: 'Campaign template saved',
+      template
+    });
+
+  } catch (error) {
+    console.error('Create campaign template error:', error);
+    res.status(500).json({
+      error: 'Failed to save campaign template',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Campaign values from a template, with the timeline shifted to a new start date
+ */
+const applyTemplate = async (req, res) => {
+  try {
+    const template = await loadTemplate(req, res);
+    if (!template) return;
+
+    res.json({
+      campaign: campaignTemplateService.applyTemplate(template, {
+        campaignStartDate: req.body.campaignStartDate
+      })
+    });
+
+  } catch (error) {
+    console.error('Apply campaign template error:', error);
+    res.status(500).json({
+      error: 'Failed to apply campaign template',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Delete one of the brand's templates
+ */
+const deleteTemplate = async (req, res) => {
+  try {
+    const template = await loadTemplate(req, res);
+    if (!template) return;
+
+    await template.destroy();
+
+    res.json({
+      message: 'Campaign template deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete campaign template error:', error);
+    res.status(500).json({
+      error: 'Failed to delete campaign template',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getTemplates,
+  createTemplate,
+  applyTemplate,
+  deleteTemplate
+};
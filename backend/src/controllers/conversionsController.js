@@ -0,0 +1,228 @@
+const CampaignApplication = require('../models/CampaignApplication');
+const Campaign = require('../models/Campaign');
+const conversionService = require('../services/conversionService');
+
+const PROMO_CODE_APPLICATION_STATUSES = ['approved', 'in_progress', 'completed'];
+
+/**
+ * Load one of the brand's campaigns (admins can load any)
+ */
+const loadOwnCampaign = async (req, res) => {
+  const campaign = await Campaign.findByPk(req.params.id);
+  if (!campaign) {
+    res.status(404).json({
+      error: 'Campaign not found',
+      message: 'The requested campaign does not exist'
+    });
+    return null;
+  }
+
+  if (campaign.brandId !== req.user.id && req.user.role !== 'admin') {
+    res.status(403).json({
+      error: 'Access denied',
+      message: 'You can only manage conversions of your own campaigns'
+    });
+    return null;
+  }
+
+  return campaign;
+};
+
+/**
+ * Receive orders from the brand's store, signed with the campaign's conversion secret
+ */
+const receiveWebhook = async (req, res) => {
+  try {
+    const campaign = await Campaign.findByPk(req.params.campaignId);
+    const signed = campaign && conversionService.verifySignature(campaign.conversionSecret, {
+      timestamp: req.get('X-Conversion-Timestamp'),
+      signature: req.get('X-Conversion-Signature'),
+      payload: req.rawBody && req.rawBody.toString('utf8')
+    });
+
+    if (!signed) {
+      return res.status(401).json({
+        error: 'Invalid signature',
+        message: 'The payload signature could not be verified'
+      });
+    }
+
+    const orders = Array.isArray(req.body.orders) ? req.body.orders : [req.body];
+    const ingestError = conversionService.getIngestError(orders);
+    if (ingestError) {
+      return res.status(400).json({
+        error: 'Invalid payload',
+        message: ingestError
+      });
+    }
+
+    const result = await conversionService.ingest(campaign, orders, 'webhook');
+
+    res.json({ result });
+
+  } catch (error) {
+    console.error('Receive conversions webhook error:', error);
+    res.status(500).json({
+      error: 'Failed to record conversions',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Import orders from a CSV export of the brand's store
+ */
+const importConversions = async (req, res) => {
+  try {
+    const campaign = await loadOwnCampaign(req, res);
+    if (!campaign) return;
+
+    if (typeof req.body !== 'string') {
+      return res.status(400).json({
+        error: 'Invalid file',
+        message: 'Send the order export as text/csv'
+      });
+    }
+
+    const orders = conversionService.parseCsv(req.body);
+    const ingestError = conversionService.getIngestError(orders);
+    if (ingestError) {
+      return res.status(400).json({
+        error: 'Invalid file',
+        message: ingestError
+      });
+    }
+
+    const result = await conversionService.ingest(campaign, orders, 'csv');
+
+    res.json({
+      message: `${result.imported} conversion${result.imported === 1 ? '' : 's'} imported`,
+      result
+    });
+
+  } catch (error) {
+    console.error('Import conversions error:', error);
+    res.status(500).json({
+      error: 'Failed to import conversions',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get revenue, ROI, conversion rate and cost per click per influencer
+ */
+const getCampaignConversions = async (req, res) => {
+  try {
+    const campaign = await loadOwnCampaign(req, res);
+    if (!campaign) return;
+
+    const summary = await conversionService.summarize(campaign);
+
+    res.json({
+      ...summary,
+      webhookConfigured: Boolean(campaign.conversionSecret)
+    });
+
+  } catch (error) {
+    console.error('Get campaign conversions error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch conversions',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Issue a new conversion webhook secret. It is only shown in this response.
+ */
+const rotateConversionSecret = async (req, res) => {
+  try {
+    const campaign = await loadOwnCampaign(req, res);
+    if (!campaign) return;
+
+    if (campaign.goal !== 'conversions') {
+      return res.status(400).json({
+        error: 'Not a conversions campaign',
+        message: 'Conversion tracking is only available for campaigns with a conversions goal'
+      });
+    }
+
+    const secret = await conversionService.rotateSecret(campaign);
+
+    res.json({
+      message: 'Conversion secret generated',
+      secret,
+      webhookUrl: `${req.protocol}://${req.get('host')}/api/conversions/webhook/${campaign.id}`
+    });
+
+  } catch (error) {
+    console.error('Rotate conversion secret error:', error);
+    res.status(500).json({
+      error: 'Failed to generate conversion secret',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get (creating on first use) the promo code of an approved application
+ */
+const getApplicationPromoCode = async (req, res) => {
+  try {
+    const application = await CampaignApplication.findByPk(req.params.id, {
+      include: [{
+        model: Campaign,
+        as: 'campaign',
+        attributes: ['id', 'brandId', 'goal']
+      }]
+    });
+
+    if (!application) {
+      return res.status(404).json({
+        error: 'Application not found',
+        message: 'The requested application does not exist'
+      });
+    }
+
+    const isParty = application.influencerId === req.user.id || application.campaign.brandId === req.user.id;
+    if (!isParty && req.user.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only view promo codes of your own applications'
+      });
+    }
+
+    if (!PROMO_CODE_APPLICATION_STATUSES.includes(application.status)) {
+      return res.status(400).json({
+        error: 'Promo code not available',
+        message: 'Promo codes are issued once an application is approved'
+      });
+    }
+
+    const promoCode = await conversionService.createForApplication(application);
+    if (!promoCode) {
+      return res.status(400).json({
+        error: 'Promo code not available',
+        message: 'Promo codes are only issued for campaigns with a conversions goal'
+      });
+    }
+
+    res.json({ promoCode: conversionService.present(promoCode) });
+
+  } catch (error) {
+    console.error('Get application promo code error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch promo code',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  receiveWebhook,
+  importConversions,
+  getCampaignConversions,
+  rotateConversionSecret,
+  getApplicationPromoCode
+};
@@ -0,0 +1,360 @@
+const CampaignApplication = require('../models/CampaignApplication');
+const Campaign = require('../models/Campaign');
+const Deliverable = require('../models/Deliverable');
+const DeliverableVersion = require('../models/DeliverableVersion');
+const deliverableService = require('../services/deliverableService');
+const escrowAllocationService = require('../services/escrowAllocationService');
+const { getDownloadUrl } = require('../services/uploadService');
+
+/**
+ * Load an application with its campaign and check the user is a party to it
+ */
+const loadApplication = async (applicationId, user, res) => {
+  const application = await CampaignApplication.findByPk(applicationId, {
+    include: [{
+      model: Campaign,
+      as: 'campaign',
+      attributes: ['id', 'brandId', 'maxRevisions', 'applicationDeadline']
+    }]
+  });
+
+  if (!application) {
+    res.status(404).json({
+      error: 'Application not found',
+      message: 'The requested application does not exist'
+    });
+    return null;
+  }
+
+  const isParty = application.influencerId === user.id || application.campaign.brandId === user.id;
+  if (!isParty && user.role !== 'admin') {
+    res.status(403).json({
+      error: 'Access denied',
+      message: 'You can only access deliverables of your own applications'
+    });
+    return null;
+  }
+
+  return application;
+};
+
+/**
+ * Load a deliverable, its application and (optionally) one of its versions
+ */
+const loadDeliverable = async (req, res, versionNumber = null) => {
+  const deliverable = await Deliverable.findByPk(req.params.id);
+  if (!deliverable) {
+    res.status(404).json({
+      error: 'Deliverable not found',
+      message: 'The requested deliverable does not exist'
+    });
+    return {};
+  }
+
+  const application = await loadApplication(deliverable.applicationId, req.user, res);
+  if (!application) {
+    return {};
+  }
+
+  let version = null;
+  if (versionNumber !== null) {
+    version = await DeliverableVersion.findOne({
+      where: { deliverableId: deliverable.id, version: versionNumber }
+    });
+    if (!version) {
+      res.status(404).json({
+        error: 'Version not found',
+        message: `Deliverable has no version ${versionNumber}`
+      });
+      return {};
+    }
+  }
+
+  return { deliverable, application, version };
+};
+
+/**
+ * Short-lived download links so both parties can view the files of a version
+ */
+const withAssetUrls = async (version) => {
+  const json = version.toJSON();
+  json.assets = await Promise.all((json.assets || []).map(async (asset) => {
+    const { downloadUrl } = await getDownloadUrl(asset.uploadKey, 3600);
+    return { ...asset, downloadUrl };
+  }));
+  return json;
+};
+
+/**
+ * List an application's deliverables with every version and its comments
+ */
+const getDeliverables = async (req, res) => {
+  try {
+    const application = await loadApplication(req.params.id, req.user, res);
+    if (!application) {
+      return;
+    }
+
+    const deliverables = await deliverableService.getDeliverables(application.id);
+    const result = await Promise.all(deliverables.map(async (deliverable) => ({
+      ...deliverable.toJSON(),
+      versions: await Promise.all(deliverable.versions.map(withAssetUrls))
+    })));
+
+    res.json({
+      applicationId: application.id,
+      campaignId: application.campaignId,
+      contentApprovalStatus: application.contentApprovalStatus,
+      maxRevisions: application.campaign.maxRevisions,
+      deliverables: result
+    });
+
+  } catch (error) {
+    console.error('Get deliverables error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch deliverables',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Submit the first version of a new deliverable (influencers only)
+ */
+const createDeliverable = async (req, res) => {
+  try {
+    const application = await loadApplication(req.params.id, req.user, res);
+    if (!application) {
+      return;
+    }
+
+    if (application.influencerId !== req.user.id) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only submit content for your own applications'
+      });
+    }
+
+    const { platform, contentType, title, caption, contentUrl, assets = [], notes } = req.body;
+    const submissionError = await deliverableService.getSubmissionError(application) ||
+      deliverableService.getAssetError(assets, req.user.id);
+    if (submissionError) {
+      return res.status(400).json({
+        error: 'Cannot submit content',
+        message: submissionError
+      });
+    }
+
+    const result = await deliverableService.submitVersion(application, req.user, {
+      platform, contentType, title, caption, contentUrl, assets, notes
+    });
+
+    res.status(201).json({
+      message: 'Deliverable submitted successfully',
+      deliverable: result.deliverable,
+      version: result.version
+    });
+
+  } catch (error) {
+    console.error('Create deliverable error:', error);
+    res.status(500).json({
+      error: 'Failed to submit deliverable',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Submit a new version after the brand requested changes (influencers only)
+ */
+const submitRevision = async (req, res) => {
+  try {
+    const { deliverable, application } = await loadDeliverable(req, res);
+    if (!deliverable) {
+      return;
+    }
+
+    if (deliverable.influencerId !== req.user.id) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only revise your own deliverables'
+      });
+    }
+
+    const { caption, contentUrl, assets = [], notes } = req.body;
+    const submissionError = await deliverableService.getSubmissionError(application, deliverable) ||
+      deliverableService.getAssetError(assets, req.user.id);
+    if (submissionError) {
+      return res.status(400).json({
+        error: 'Cannot submit revision',
+        message: submissionError
+      });
+    }
+
+    const result = await deliverableService.submitVersion(application, req.user, {
+      deliverable, caption, contentUrl, assets, notes
+    });
+
+    res.status(201).json({
+      message: 'Revision submitted successfully',
+      deliverable: result.deliverable,
+      version: result.version
+    });
+
+  } catch (error) {
+    console.error('Submit revision error:', error);
+    res.status(500).json({
+      error: 'Failed to submit revision',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Approve, reject or request changes to the latest version (brands only)
+ * Approving the last outstanding deliverable approves the application's content.
+ */
+const reviewVersion = async (req, res) => {
+  try {
+    const { deliverable, application, version } = await loadDeliverable(req, res, parseInt(req.params.version));
+    if (!deliverable) {
+      return;
+    }
+
+    if (application.campaign.brandId !== req.user.id) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only review content for your own campaigns'
+      });
+    }
+
+    const { decision, summary } = req.body;
+    const reviewError = await deliverableService.getReviewError(deliverable, version, decision);
+    if (reviewError) {
+      return res.status(400).json({
+        error: 'Cannot review version',
+        message: reviewError
+      });
+    }
+
+    const result = await deliverableService.reviewVersion(application, deliverable, version, req.user, {
+      decision,
+      summary
+    });
+
+    let milestones = [];
+    if (result.contentApproved) {
+      milestones = await escrowAllocationService.handleContentApproval(application);
+    }
+
+    res.json({
+      message: 'Version reviewed successfully',
+      deliverable: result.deliverable,
+      version: result.version,
+      contentApprovalStatus: result.contentApprovalStatus,
+      milestones: milestones.map(item => ({
+        id: item.milestone.id,
+        status: item.milestone.status,
+        releasableAt: item.milestone.releasableAt,
+        released: item.released
+      }))
+    });
+
+  } catch (error) {
+    console.error('Review version error:', error);
+    res.status(500).json({
+      error: 'Failed to review version',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Comment on a version, optionally anchored to one of its files or a video timestamp
+ */
+const addComment = async (req, res) => {
+  try {
+    const { deliverable, version } = await loadDeliverable(req, res, parseInt(req.params.version));
+    if (!deliverable) {
+      return;
+    }
+
+    const { body, assetId = null } = req.body;
+    const timestampSeconds = req.body.timestampSeconds ?? null;
+    const commentError = deliverableService.getCommentError(version, { assetId, timestampSeconds });
+    if (commentError) {
+      return res.status(400).json({
+        error: 'Invalid comment',
+        message: commentError
+      });
+    }
+
+    const comment = await deliverableService.addComment(deliverable, version, req.user, {
+      body,
+      assetId,
+      timestampSeconds
+    });
+
+    res.status(201).json({
+      message: 'Comment added successfully',
+      comment
+    });
+
+  } catch (error) {
+    console.error('Add deliverable comment error:', error);
+    res.status(500).json({
+      error: 'Failed to add comment',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Compare two versions of a deliverable (defaults to the latest against the one before)
+ */
+const compareVersions = async (req, res) => {
+  try {
+    const { deliverable } = await loadDeliverable(req, res);
+    if (!deliverable) {
+      return;
+    }
+
+    const to = parseInt(req.query.to) || deliverable.currentVersion;
+    const from = parseInt(req.query.from) || Math.max(1, to - 1);
+
+    const versions = await DeliverableVersion.findAll({
+      where: { deliverableId: deliverable.id, version: [from, to] }
+    });
+    const fromVersion = versions.find(item => item.version === from);
+    const toVersion = versions.find(item => item.version === to);
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({
+        error: 'Version not found',
+        message: 'Both versions must exist to compare them'
+      });
+    }
+
+    res.json({
+      deliverableId: deliverable.id,
+      from: await withAssetUrls(fromVersion),
+      to: await withAssetUrls(toVersion),
+      changes: deliverableService.compareVersions(fromVersion, toVersion)
+    });
+
+  } catch (error) {
+    console.error('Compare deliverable versions error:', error);
+    res.status(500).json({
+      error: 'Failed to compare versions',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getDeliverables,
+  createDeliverable,
+  submitRevision,
+  reviewVersion,
+  addComment,
+  compareVersions
+};
@@ -0,0 +1,308 @@
+const disputeService = require('../services/disputeService');
+const { getDownloadUrl } = require('../services/uploadService');
+const { Dispute, DisputeEvidence, DisputeMessage, Escrow, Campaign, User } = require('../models');
+const { logger } = require('../utils/monitoring');
+
+/**
+ * Load a dispute the current user may see (a party to it, or an admin)
+ */
+const findAccessibleDispute = async (disputeId, user, include = []) => {
+  const dispute = await Dispute.findByPk(disputeId, { include });
+
+  if (!dispute || (user.role !== 'admin' && !dispute.isParty(user.id))) {
+    return null;
+  }
+  return dispute;
+};
+
+/**
+ * Send a JSON 500 and log the failure
+ */
+const sendServerError = (res, action, error, context = {}) => {
+  logger.error(`Error ${action}`, { error: error.message, ...context });
+
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: error.message
+  });
+};
+
+/**
+ * List disputes for the current user (admins see every dispute)
+ */
+const getDisputes = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const where = {};
+
+    if (req.user.role !== 'admin') {
+      where[req.user.role === 'brand' ? 'brandId' : 'influencerId'] = req.user.id;
+    }
+    if (status) {
+      where.status = status;
+    }
+
+    const { count, rows } = await Dispute.findAndCountAll({
+      where,
+      include: [{ model: Campaign, as: 'campaign', attributes: ['id', 'title'] }],
+      order: [['created_at', 'DESC']],
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        disputes: rows,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(count / parseInt(limit)),
+          totalItems: count
+        }
+      }
+    });
+
+  } catch (error) {
+    sendServerError(res, 'listing disputes', error, { userId: req.user?.id });
+  }
+};
+
+/**
+ * Get one dispute with its evidence and message thread
+ */
+const getDispute = async (req, res) => {
+  try {
+    const dispute = await findAccessibleDispute(req.params.id, req.user, [
+      { model: Campaign, as: 'campaign', attributes: ['id', 'title'] },
+      { model: User, as: 'brand', attributes: ['id', 'name'] },
+      { model: User, as: 'influencer', attributes: ['id', 'name'] },
+      { model: DisputeEvidence, as: 'evidence' },
+      {
+        model: DisputeMessage,
+        as: 'messages',
+        include: [{ model: User, as: 'sender', attributes: ['id', 'name'] }]
+      }
+    ]);
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found or access denied'
+      });
+    }
+
+    dispute.messages.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+    res.json({
+      success: true,
+      data: { dispute }
+    });
+
+  } catch (error) {
+    sendServerError(res, 'getting dispute', error, { userId: req.user?.id, disputeId: req.params.id });
+  }
+};
+
+/**
+ * Post a message to the dispute thread
+ */
+const addMessage = async (req, res) => {
+  try {
+    const dispute = await findAccessibleDispute(req.params.id, req.user);
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found or access denied'
+      });
+    }
+
+    if (!dispute.isOpen()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dispute has already been resolved'
+      });
+    }
+
+    const message = await disputeService.addMessage(dispute, req.user, req.body.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent',
+      data: { message }
+    });
+
+  } catch (error) {
+    sendServerError(res, 'adding dispute message', error, { userId: req.user?.id, disputeId: req.params.id });
+  }
+};
+
+/**
+ * Attach evidence to an open dispute
+ */
+const addEvidence = async (req, res) => {
+  try {
+    const dispute = await findAccessibleDispute(req.params.id, req.user);
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found or access denied'
+      });
+    }
+
+    let evidence;
+    try {
+      evidence = await disputeService.addEvidence(dispute, req.user, req.body);
+    } catch (evidenceError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to add evidence',
+        error: evidenceError.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Evidence added',
+      data: { evidence }
+    });
+
+  } catch (error) {
+    sendServerError(res, 'adding dispute evidence', error, { userId: req.user?.id, disputeId: req.params.id });
+  }
+};
+
+/**
+ * Get a temporary download URL for an evidence file
+ */
+const getEvidenceDownloadUrl = async (req, res) => {
+  try {
+    const dispute = await findAccessibleDispute(req.params.id, req.user);
+    const evidence = dispute && await DisputeEvidence.findOne({
+      where: { id: req.params.evidenceId, disputeId: dispute.id }
+    });
+
+    if (!evidence || !evidence.uploadKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Evidence file not found or access denied'
+      });
+    }
+
+    const downloadData = await getDownloadUrl(evidence.uploadKey, 900);
+
+    res.json({
+      success: true,
+      data: {
+        fileName: evidence.fileName,
+        ...downloadData
+      }
+    });
+
+  } catch (error) {
+    sendServerError(res, 'getting evidence download URL', error, { userId: req.user?.id, disputeId: req.params.id });
+  }
+};
+
+/**
+ * Move a dispute to a new workflow status (admin only)
+ */
+const transitionDispute = (status) => async (req, res) => {
+  try {
+    const dispute = await Dispute.findByPk(req.params.id);
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found'
+      });
+    }
+
+    try {
+      await disputeService.transition(dispute, req.user, status, {
+        note: req.body.note,
+        evidenceDueInDays: req.body.dueInDays
+      });
+    } catch (transitionError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to update dispute',
+        error: transitionError.message
+      });
+    }
+
+    logger.info('Dispute status changed', {
+      disputeId: dispute.id,
+      status,
+      adminId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: `Dispute moved to ${status}`,
+      data: { dispute }
+    });
+
+  } catch (error) {
+    sendServerError(res, 'updating dispute status', error, { userId: req.user?.id, disputeId: req.params.id });
+  }
+};
+
+/**
+ * Resolve a dispute under review (admin only)
+ */
+const resolveDispute = async (req, res) => {
+  try {
+    const dispute = await Dispute.findByPk(req.params.id, {
+      include: [{ model: Escrow, as: 'escrow' }]
+    });
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found'
+      });
+    }
+
+    let result;
+    try {
+      result = await disputeService.resolve(dispute, req.user, req.body);
+    } catch (resolveError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to resolve dispute',
+        error: resolveError.message
+      });
+    }
+    await dispute.escrow.reload();
+
+    res.json({
+      success: true,
+      message: 'Dispute resolved',
+      data: {
+        dispute: result.dispute,
+        payoutId: result.payout?.id || null,
+        escrow: {
+          status: dispute.escrow.status,
+          remainingBalance: parseFloat(dispute.escrow.heldBalance)
+        }
+      }
+    });
+
+  } catch (error) {
+    sendServerError(res, 'resolving dispute', error, { userId: req.user?.id, disputeId: req.params.id });
+  }
+};
+
+module.exports = {
+  getDisputes,
+  getDispute,
+  addMessage,
+  addEvidence,
+  getEvidenceDownloadUrl,
+  requestEvidence: transitionDispute('evidence_requested'),
+  startReview: transitionDispute('under_review'),
+  resolveDispute
+};
@@ -4,6 +4,7 @@ const CampaignApplication = require('../models/CampaignApplication');
 const Analytics = require('../models/Analytics');
 const { validationResult } = require('express-validator');
 const { Op, fn, col, literal } = require('sequelize');
+const searchService = require('../services/searchService');
 
 /**
  * Search and discover influencers
@@ -38,11 +39,9 @@ const searchInfluencers = async (req, res) => {
       };
     }
 
+    // Full-text search across name, niches, bio and social handles
     if (search) {
-      userWhereConditions[Op.or] = [
-        { name: { [Op.iLike]: `%${search}%` } },
-        { bio: { [Op.iLike]: `%${search}%` } }
-      ];
+      userWhereConditions[Op.and] = [searchService.influencerMatch(search)];
     }
 
     // Build where conditions for social media accounts
@@ -77,6 +76,11 @@ const searchInfluencers = async (req, res) => {
     }
 
     // Find influencers with their social media accounts
+    // Plan limit on how deep into the results a brand can page
+    const pageLimit = req.searchDepth
+      ? Math.min(parseInt(limit), req.searchDepth - parseInt(offset))
+      : parseInt(limit);
+
     const influencers = await User.findAndCountAll({
       where: userWhereConditions,
       include: [{
@@ -85,13 +89,16 @@ const searchInfluencers = async (req, res) => {
         where: socialWhereConditions,
         required: true
       }],
-      limit: parseInt(limit),
+      ...(search && { attributes: { include: [[searchService.influencerRank(search), 'relevance']] } }),
+      limit: pageLimit,
       offset: parseInt(offset),
-      order: [[
-        { model: SocialMediaAccount, as: 'socialMediaAccounts' },
-        sortBy,
-        sortOrder
-      ]],
+      order: search && sortBy === 'relevance'
+        ? [[literal('relevance'), 'DESC']]
+        : [[
+          { model: SocialMediaAccount, as: 'socialMediaAccounts' },
+          sortBy === 'relevance' ? 'followersCount' : sortBy,
+          sortOrder
+        ]],
       distinct: true
     });
 
@@ -186,9 +193,10 @@ const searchInfluencers = async (req, res) => {
       influencers: enhancedInfluencers,
       pagination: {
         total: influencers.count,
-        limit: parseInt(limit),
+        limit: pageLimit,
         offset: parseInt(offset),
-        hasMore: parseInt(offset) + parseInt(limit) < influencers.count
+        hasMore: parseInt(offset) + pageLimit < (req.searchDepth ? Math.min(influencers.count, req.searchDepth) : influencers.count),
+        maxResults: req.searchDepth || null
       },
       filters: {
         platform,
@@ -0,0 +1,224 @@
+const Campaign = require('../models/Campaign');
+const CampaignInvitation = require('../models/CampaignInvitation');
+const invitationService = require('../services/invitationService');
+
+/**
+ * Load an invitation with its campaign
+ */
+const loadInvitation = async (req, res) => {
+  const invitation = await CampaignInvitation.findByPk(req.params.id, {
+    include: [{
+      model: Campaign,
+      as: 'campaign',
+      attributes: ['id', 'title', 'brandId', 'status', 'applicationDeadline']
+    }]
+  });
+
+  if (!invitation) {
+    res.status(404).json({
+      error: 'Invitation not found',
+      message: 'The requested invitation does not exist'
+    });
+    return null;
+  }
+
+  return invitation;
+};
+
+/**
+ * List the influencer's invitation inbox, or the invitations a brand has sent
+ */
+const getInvitations = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, campaignId } = req.query;
+
+    const { count, rows: invitations } = await invitationService.list(req.user, {
+      status,
+      campaignId,
+      limit: parseInt(limit),
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      invitations,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch invitations',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Invite one or more influencers to a campaign (brands only)
+ */
+const createInvitations = async (req, res) => {
+  try {
+    const { campaignId, influencerIds, message, offeredRate, currency, expiresInDays } = req.body;
+
+    const campaign = await Campaign.findOne({
+      where: { id: campaignId, brandId: req.user.id }
+    });
+    if (!campaign) {
+      return res.status(404).json({
+        error: 'Campaign not found',
+        message: 'Campaign not found or you do not have permission to invite to it'
+      });
+    }
+
+    const campaignError = invitationService.getCampaignError(campaign);
+    if (campaignError) {
+      return res.status(400).json({
+        error: 'Cannot send invitations',
+        message: campaignError
+      });
+    }
+
+    const { invitations, skipped } = await invitationService.invite(campaign, req.user, influencerIds, {
+      message,
+      offeredRate,
+      currency,
+      ...(expiresInDays ? { expiresInDays: parseInt(expiresInDays) } : {})
+    });
+
+    res.status(invitations.length ? 201 : 200).json({
+      message: `${invitations.length} invitation${invitations.length === 1 ? '' : 's'} sent`,
+      invitations,
+      skipped
+    });
+
+  } catch (error) {
+    console.error('Create invitations error:', error);
+    res.status(500).json({
+      error: 'Failed to send invitations',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Accept an invitation, creating an approved application (influencers only)
+ */
+const acceptInvitation = async (req, res) => {
+  try {
+    const invitation = await loadInvitation(req, res);
+    if (!invitation) {
+      return;
+    }
+
+    const acceptError = await invitationService.getAcceptError(invitation, req.user);
+    if (acceptError) {
+      return res.status(400).json({
+        error: 'Cannot accept invitation',
+        message: acceptError
+      });
+    }
+
+    const { appliedPlatforms, message } = req.body;
+    const application = await invitationService.accept(invitation, req.user, { appliedPlatforms, message });
+
+    res.status(201).json({
+      message: 'Invitation accepted successfully',
+      invitation,
+      application
+    });
+
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      error: 'Failed to accept invitation',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Decline an invitation (influencers only)
+ */
+const declineInvitation = async (req, res) => {
+  try {
+    const invitation = await loadInvitation(req, res);
+    if (!invitation) {
+      return;
+    }
+
+    const responseError = await invitationService.getResponseError(invitation, req.user);
+    if (responseError) {
+      return res.status(400).json({
+        error: 'Cannot decline invitation',
+        message: responseError
+      });
+    }
+
+    await invitationService.decline(invitation, req.body.reason);
+
+    res.json({
+      message: 'Invitation declined successfully',
+      invitation
+    });
+
+  } catch (error) {
+    console.error('Decline invitation error:', error);
+    res.status(500).json({
+      error: 'Failed to decline invitation',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Withdraw an unanswered invitation (brands only)
+ */
+const withdrawInvitation = async (req, res) => {
+  try {
+    const invitation = await loadInvitation(req, res);
+    if (!invitation) {
+      return;
+    }
+
+    if (invitation.brandId !== req.user.id) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only withdraw your own invitations'
+      });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({
+        error: 'Cannot withdraw invitation',
+        message: `This invitation is ${invitation.status}`
+      });
+    }
+
+    await invitationService.withdraw(invitation);
+
+    res.json({
+      message: 'Invitation withdrawn successfully',
+      invitation
+    });
+
+  } catch (error) {
+    console.error('Withdraw invitation error:', error);
+    res.status(500).json({
+      error: 'Failed to withdraw invitation',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getInvitations,
+  createInvitations,
+  acceptInvitation,
+  declineInvitation,
+  withdrawInvitation
+};
@@ -0,0 +1,186 @@
+const CampaignApplication = require('../models/CampaignApplication');
+const Campaign = require('../models/Campaign');
+const ApplicationOffer = require('../models/ApplicationOffer');
+const offerService = require('../services/offerService');
+
+/**
+ * Load an application with its campaign and check the user negotiates on it
+ * (admins can read the thread but not make or answer offers)
+ */
+const loadApplication = async (req, res, { allowAdmin = false } = {}) => {
+  const application = await CampaignApplication.findByPk(req.params.id, {
+    include: [{
+      model: Campaign,
+      as: 'campaign',
+      attributes: ['id', 'brandId', 'escrowId']
+    }]
+  });
+
+  if (!application) {
+    res.status(404).json({
+      error: 'Application not found',
+      message: 'The requested application does not exist'
+    });
+    return null;
+  }
+
+  const isParty = offerService.getPartyRole(application, req.user) !== null;
+  if (!isParty && !(allowAdmin && req.user.role === 'admin')) {
+    res.status(403).json({
+      error: 'Access denied',
+      message: 'You can only negotiate on your own applications'
+    });
+    return null;
+  }
+
+  return application;
+};
+
+/**
+ * Load an offer of the application in the URL
+ */
+const loadOffer = async (req, res, application) => {
+  const offer = await ApplicationOffer.findOne({
+    where: { id: req.params.offerId, applicationId: application.id }
+  });
+
+  if (!offer) {
+    res.status(404).json({
+      error: 'Offer not found',
+      message: 'The requested offer does not exist'
+    });
+    return null;
+  }
+
+  return offer;
+};
+
+/**
+ * Get the offer thread of an application
+ */
+const getOffers = async (req, res) => {
+  try {
+    const application = await loadApplication(req, res, { allowAdmin: true });
+    if (!application) {
+      return;
+    }
+
+    const offers = await offerService.getOffers(application.id);
+
+    res.json({
+      applicationId: application.id,
+      negotiatedRate: application.negotiatedRate,
+      currency: application.currency,
+      rateAgreedAt: application.rateAgreedAt,
+      activeOffer: offers.find(offer => offer.status === 'active') || null,
+      offers
+    });
+
+  } catch (error) {
+    console.error('Get offers error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch offers',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Make an offer, or counter the other party's active offer
+ */
+const createOffer = async (req, res) => {
+  try {
+    const application = await loadApplication(req, res);
+    if (!application) {
+      return;
+    }
+
+    const offerError = await offerService.getOfferError(application, req.user);
+    if (offerError) {
+      return res.status(400).json({
+        error: 'Cannot make offer',
+        message: offerError
+      });
+    }
+
+    const { rate, currency, deliverables, timeline, message, expiresInHours } = req.body;
+    const offer = await offerService.createOffer(application, req.user, {
+      rate,
+      currency,
+      deliverables,
+      timeline,
+      message,
+      ...(expiresInHours ? { expiresInHours: parseInt(expiresInHours) } : {})
+    });
+
+    res.status(201).json({
+      message: offer.previousOfferId ? 'Counter-offer sent successfully' : 'Offer sent successfully',
+      offer
+    });
+
+  } catch (error) {
+    console.error('Create offer error:', error);
+    res.status(500).json({
+      error: 'Failed to send offer',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Accept, decline or withdraw an active offer
+ */
+const respondToOffer = (action) => async (req, res) => {
+  try {
+    const application = await loadApplication(req, res);
+    if (!application) {
+      return;
+    }
+
+    const offer = await loadOffer(req, res, application);
+    if (!offer) {
+      return;
+    }
+
+    const responseError = await offerService.getResponseError(application, offer, req.user, action);
+    if (responseError) {
+      return res.status(400).json({
+        error: `Cannot ${action} offer`,
+        message: responseError
+      });
+    }
+
+    if (action === 'accept') {
+      const { allocation } = await offerService.acceptOffer(application, offer, req.user);
+      return res.json({
+        message: 'Offer accepted successfully',
+        offer,
+        negotiatedRate: application.negotiatedRate,
+        currency: application.currency,
+        rateAgreedAt: application.rateAgreedAt,
+        allocation
+      });
+    }
+
+    await offerService.closeOffer(offer, req.user, action === 'decline' ? 'declined' : 'withdrawn');
+    res.json({
+      message: action === 'decline' ? 'Offer declined successfully' : 'Offer withdrawn successfully',
+      offer
+    });
+
+  } catch (error) {
+    console.error(`Offer ${action} error:`, error);
+    res.status(500).json({
+      error: `Failed to ${action} offer`,
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getOffers,
+  createOffer,
+  acceptOffer: respondToOffer('accept'),
+  declineOffer: respondToOffer('decline'),
+  withdrawOffer: respondToOffer('withdraw')
+};
@@ -1,7 +1,26 @@
 const escrowService = require('../services/escrowService');
-const { Campaign, CampaignApplication: Application, User } = require('../models');
+const ledgerService = require('../services/ledgerService');
+const escrowAllocationService = require('../services/escrowAllocationService');
+const disputeService = require('../services/disputeService');
+const payoutService = require('../services/payoutService');
+const feeService = require('../services/feeService');
+const subscriptionService = require('../services/subscriptionService');
+const { paymentService } = require('../services/paymentService');
+const {
+  Campaign,
+  CampaignApplication: Application,
+  User,
+  Escrow,
+  Payout,
+  WebhookEvent,
+  EscrowAllocation,
+  EscrowMilestone
+} = require('../models');
 const { logger } = require('../utils/monitoring');
 
+// Applications whose work was accepted, so escrowed money is at stake
+const DISPUTABLE_APPLICATION_STATUSES = ['approved', 'in_progress', 'completed'];
+
 /**
  * Create escrow account for campaign funding
  */
@@ -11,7 +30,7 @@ const createEscrow = async (req, res) => {
     const brandId = req.user.id;
 
     // Verify user is a brand and owns the campaign
-    if (req.user.userType !== 'brand') {
+    if (req.user.role !== 'brand') {
       return res.status(403).json({
         success: false,
         message: 'Only brands can create escrow accounts'
@@ -49,11 +68,20 @@ const createEscrow = async (req, res) => {
       });
     }
 
+    // Open the ledger with a pending hold for the committed amount
+    const escrow = await ledgerService.openEscrow({
+      campaignId,
+      brandId,
+      paymentIntentId: escrowResult.escrowId,
+      amount,
+      currency
+    });
+
     // Update campaign with escrow information
     await campaign.update({
       escrowId: escrowResult.escrowId,
       budget: amount,
-      status: 'funded'
+      paymentStatus: 'pending'
     });
 
     logger.info('Escrow account created for campaign', {
@@ -68,6 +96,7 @@ const createEscrow = async (req, res) => {
       message: 'Escrow account created successfully',
       data: {
         escrowId: escrowResult.escrowId,
+        ledgerId: escrow.id,
         clientSecret: escrowResult.clientSecret,
         amount,
         currency,
@@ -106,17 +135,27 @@ const fundEscrow = async (req, res) => {
       }
     });
 
-    if (!campaign) {
+    const escrow = campaign && await Escrow.findByPaymentIntent(escrowId);
+
+    if (!campaign || !escrow) {
       return res.status(404).json({
         success: false,
         message: 'Escrow account not found or access denied'
       });
     }
 
+    if (escrow.status !== 'pending_payment') {
+      return res.status(400).json({
+        success: false,
+        message: 'Escrow account has already been funded or closed'
+      });
+    }
+
     // Fund the escrow
     const fundingResult = await escrowService.fundEscrow(escrowId, paymentMethodId);
 
     if (!fundingResult.success) {
+      await ledgerService.recordFundingFailure(escrow, fundingResult.error);
       return res.status(400).json({
         success: false,
         message: 'Failed to fund escrow account',
@@ -124,9 +163,30 @@ const fundEscrow = async (req, res) => {
       });
     }
 
+    try {
+      // The authorization webhook may have recorded the funding already
+      await escrow.reload();
+      if (escrow.status === 'pending_payment') {
+        await ledgerService.recordFunding(escrow, { amount: fundingResult.amount });
+      }
+    } catch (ledgerError) {
+      ledgerService.logReconciliationGap('fund', escrow.id, ledgerError);
+      throw ledgerError;
+    }
+
+    // Capture now, before the authorization can expire; the authorization webhook retries a failure
+    const captureResult = await escrowService.captureEscrow(escrowId);
+    if (!captureResult.success) {
+      logger.warn('Escrow capture after funding failed', {
+        escrowId,
+        error: captureResult.error
+      });
+    }
+
     // Update campaign status
     await campaign.update({
       status: 'active',
+      paymentStatus: 'funded',
       fundedAt: new Date()
     });
 
@@ -163,7 +223,7 @@ const fundEscrow = async (req, res) => {
 };
 
 /**
- * Release funds to influencer (after content approval)
+ * Release an application's remaining escrow milestones (after content approval)
  */
 const releaseFunds = async (req, res) => {
   try {
@@ -176,12 +236,14 @@ const releaseFunds = async (req, res) => {
       include: [
         {
           model: Campaign,
+          as: 'campaign',
           where: { brandId: brandId },
           attributes: ['id', 'escrowId', 'budget', 'title']
         },
         {
           model: User,
-          attributes: ['id', 'username', 'email']
+          as: 'influencer',
+          attributes: ['id', 'name', 'email']
         }
       ]
     });
@@ -193,54 +255,104 @@ const releaseFunds = async (req, res) => {
       });
     }
 
-    if (!application.Campaign.escrowId) {
+    const escrow = application.campaign.escrowId &&
+      await Escrow.findByPaymentIntent(application.campaign.escrowId);
+
+    if (!escrow) {
       return res.status(400).json({
         success: false,
         message: 'No escrow account found for this campaign'
       });
     }
 
-    // Release funds
-    const releaseResult = await escrowService.releaseFunds(
-      application.Campaign.escrowId,
-      application.influencerId,
-      releaseAmount || application.Campaign.budget,
-      reason
-    );
-
-    if (!releaseResult.success) {
+    if (!['funded', 'partially_released'].includes(escrow.status)) {
       return res.status(400).json({
         success: false,
-        message: 'Failed to release funds',
-        error: releaseResult.error
+        message: `Funds cannot be released while escrow is ${escrow.status}`
       });
     }
 
-    // Update application status
-    await application.update({
-      status: 'completed',
-      paymentStatus: 'paid',
-      completedAt: new Date(),
-      paidAmount: releaseResult.influencerAmount
+    let allocation = await EscrowAllocation.findOne({
+      where: { applicationId },
+      include: [{ model: EscrowMilestone, as: 'milestones' }],
+      order: [[{ model: EscrowMilestone, as: 'milestones' }, 'sortOrder', 'ASC']]
     });
 
+    // No milestone plan yet: allocate the requested amount as a single milestone
+    if (!allocation) {
+      try {
+        allocation = await escrowAllocationService.createAllocation(escrow, application, {
+          amount: releaseAmount || (application.rateAgreedAt
+            ? application.negotiatedRate
+            : await escrowAllocationService.getUnallocatedBalance(escrow)),
+          milestones: [{ title: reason, trigger: 'manual' }]
+        });
+      } catch (allocationError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Failed to release funds',
+          error: allocationError.message
+        });
+      }
+    }
+
+    const openMilestones = allocation.milestones.filter(milestone => ['pending', 'approved'].includes(milestone.status));
+
+    if (!openMilestones.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing left to release for this application'
+      });
+    }
+
+    // Release every remaining milestone in order
+    const payouts = [];
+    for (const milestone of openMilestones) {
+      try {
+        const { payout } = await escrowAllocationService.releaseMilestone(milestone);
+        payouts.push(payout);
+      } catch (releaseError) {
+        if (!payouts.length) {
+          return res.status(400).json({
+            success: false,
+            message: 'Failed to release funds',
+            error: releaseError.message
+          });
+        }
+        logger.error('Partial release: a later milestone failed', {
+          applicationId,
+          milestoneId: milestone.id,
+          error: releaseError.message
+        });
+        break;
+      }
+    }
+
+    const influencerAmount = payouts.reduce((total, payout) => total + parseFloat(payout.amount), 0);
+    const platformFee = payouts.reduce((total, payout) => total + parseFloat(payout.platformFee), 0);
+    await escrow.reload();
+
     logger.info('Funds released to influencer', {
       brandId,
       applicationId,
       influencerId: application.influencerId,
-      escrowId: application.Campaign.escrowId,
-      amount: releaseResult.influencerAmount,
-      platformFee: releaseResult.platformFee
+      escrowId: application.campaign.escrowId,
+      payoutIds: payouts.map(payout => payout.id),
+      amount: influencerAmount,
+      platformFee
     });
 
     res.json({
       success: true,
-      message: 'Funds released successfully',
+      message: payouts.length === openMilestones.length
+        ? 'Funds released successfully'
+        : 'Some milestones were released; the rest could not be released',
       data: {
-        influencerAmount: releaseResult.influencerAmount,
-        platformFee: releaseResult.platformFee,
-        transferId: releaseResult.transferId,
-        status: releaseResult.status
+        influencerAmount: Math.round(influencerAmount * 100) / 100,
+        platformFee: Math.round(platformFee * 100) / 100,
+        payouts: payouts.map(payout => ({ id: payout.id, status: payout.status, amount: parseFloat(payout.amount) })),
+        remainingBalance: parseFloat(escrow.heldBalance),
+        status: escrow.status
       }
     });
 
@@ -260,7 +372,148 @@ const releaseFunds = async (req, res) => {
 };
 
 /**
- * Process refund to brand
+ * Reserve part of a campaign escrow for one application, split into milestones
+ */
+const createAllocation = async (req, res) => {
+  try {
+    const { applicationId, amount, milestones } = req.body;
+    const brandId = req.user.id;
+
+    const application = await Application.findOne({
+      where: { id: applicationId },
+      include: [{
+        model: Campaign,
+        as: 'campaign',
+        where: { brandId: brandId },
+        attributes: ['id', 'escrowId']
+      }]
+    });
+
+    const escrow = application && application.campaign.escrowId &&
+      await Escrow.findByPaymentIntent(application.campaign.escrowId);
+
+    if (!escrow) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application or escrow account not found or access denied'
+      });
+    }
+
+    let allocation;
+    try {
+      allocation = await escrowAllocationService.createAllocation(escrow, application, { amount, milestones });
+    } catch (allocationError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to create escrow allocation',
+        error: allocationError.message
+      });
+    }
+
+    logger.info('Escrow allocation created', {
+      brandId,
+      applicationId,
+      escrowId: escrow.id,
+      allocationId: allocation.id,
+      amount: allocation.amount,
+      milestones: allocation.milestones.length
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Escrow allocation created successfully',
+      data: {
+        allocation,
+        unallocatedBalance: await escrowAllocationService.getUnallocatedBalance(escrow)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error creating escrow allocation', {
+      error: error.message,
+      userId: req.user?.id,
+      body: req.body
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Approve an escrow milestone; its share is released now or after its delay
+ */
+const approveMilestone = async (req, res) => {
+  try {
+    const { milestoneId } = req.params;
+    const brandId = req.user.id;
+
+    const milestone = await EscrowMilestone.findByPk(milestoneId, {
+      include: [{
+        model: EscrowAllocation,
+        as: 'allocation',
+        include: [{ model: Escrow, as: 'escrow', attributes: ['id', 'brandId'] }]
+      }]
+    });
+
+    if (!milestone || milestone.allocation.escrow.brandId !== brandId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found or access denied'
+      });
+    }
+
+    if (milestone.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Milestone is already ${milestone.status}`
+      });
+    }
+
+    const result = await escrowAllocationService.approveMilestone(milestone);
+
+    logger.info('Escrow milestone approved', {
+      brandId,
+      milestoneId,
+      released: result.released,
+      releasableAt: milestone.releasableAt
+    });
+
+    res.json({
+      success: true,
+      message: result.released
+        ? 'Milestone approved and funds released'
+        : 'Milestone approved; funds will be released when it becomes due',
+      data: {
+        milestoneId,
+        status: milestone.status,
+        releasableAt: milestone.releasableAt,
+        payoutId: result.payout?.id || null,
+        error: result.error
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error approving milestone', {
+      error: error.message,
+      userId: req.user?.id,
+      milestoneId: req.params.milestoneId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Process refund to brand. Only the unallocated balance can be refunded; funds
+ * allocated to applications stay in escrow for their milestones.
  */
 const processRefund = async (req, res) => {
   try {
@@ -275,19 +528,38 @@ const processRefund = async (req, res) => {
       }
     });
 
-    if (!campaign || !campaign.escrowId) {
+    const escrow = campaign && campaign.escrowId && await Escrow.findByPaymentIntent(campaign.escrowId);
+
+    if (!escrow) {
       return res.status(404).json({
         success: false,
         message: 'Campaign or escrow account not found'
       });
     }
 
+    if (['released', 'refunded', 'cancelled', 'disputed'].includes(escrow.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Escrow cannot be refunded while ${escrow.status}`
+      });
+    }
+
+    // An unpaid escrow is cancelled as a whole; a funded one refunds at most what isn't allocated
+    const unpaid = escrow.status === 'pending_payment';
+    const unallocatedBalance = unpaid ? 0 : await escrowAllocationService.getUnallocatedBalance(escrow);
+    const amount = unpaid ? parseFloat(escrow.amount) : (refundAmount ? parseFloat(refundAmount) : unallocatedBalance);
+
+    if (!unpaid && (amount <= 0 || amount > unallocatedBalance)) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund must be positive and at most the unallocated escrow balance of ${unallocatedBalance}`
+      });
+    }
+
+    const refundedBefore = parseFloat(escrow.refundedAmount);
+
     // Process refund
-    const refundResult = await escrowService.refundToBrand(
-      campaign.escrowId,
-      refundAmount || campaign.budget,
-      reason
-    );
+    const refundResult = await escrowService.refundToBrand(campaign.escrowId, amount, reason);
 
     if (!refundResult.success) {
       return res.status(400).json({
@@ -297,18 +569,39 @@ const processRefund = async (req, res) => {
       });
     }
 
-    // Update campaign status
-    await campaign.update({
-      status: 'cancelled',
-      paymentStatus: 'refunded',
-      refundedAt: new Date()
-    });
+    let ledgerResult;
+    try {
+      // The refund webhook may have recorded this refund already
+      await escrow.reload();
+      const recordedByWebhook = parseFloat(escrow.refundedAmount) - refundedBefore;
+
+      ledgerResult = ['refunded', 'cancelled'].includes(escrow.status) || recordedByWebhook > 0
+        ? { refundAmount: recordedByWebhook }
+        : await ledgerService.recordRefund(escrow, {
+          amount: refundResult.refundAmount,
+          reason
+        });
+    } catch (ledgerError) {
+      ledgerService.logReconciliationGap('refund', escrow.id, ledgerError);
+      throw ledgerError;
+    }
+
+    // Only a full refund ends the campaign; a partial one leaves the rest in escrow
+    const fullyRefunded = ['refunded', 'cancelled'].includes(escrow.status);
+    if (fullyRefunded) {
+      await campaign.update({
+        status: 'cancelled',
+        paymentStatus: 'refunded',
+        refundedAt: new Date()
+      });
+    }
 
     logger.info('Refund processed for campaign', {
       brandId,
       campaignId,
       escrowId: campaign.escrowId,
-      refundAmount: refundResult.refundAmount,
+      refundAmount: ledgerResult.refundAmount,
+      fullyRefunded,
       reason
     });
 
@@ -316,8 +609,10 @@ const processRefund = async (req, res) => {
       success: true,
       message: 'Refund processed successfully',
       data: {
-        refundAmount: refundResult.refundAmount,
-        status: refundResult.status
+        refundAmount: ledgerResult.refundAmount,
+        status: refundResult.status,
+        fullyRefunded,
+        remainingBalance: parseFloat(escrow.heldBalance)
       }
     });
 
@@ -337,11 +632,11 @@ const processRefund = async (req, res) => {
 };
 
 /**
- * Handle payment disputes
+ * Open a payment dispute (freezes the application's share of the escrow until an admin resolves it)
  */
 const handleDispute = async (req, res) => {
   try {
-    const { escrowId, disputeType, evidence = {} } = req.body;
+    const { escrowId, applicationId, disputeType, description, evidence = [] } = req.body;
     const userId = req.user.id;
 
     // Verify user has access to this escrow (brand or influencer involved)
@@ -349,50 +644,69 @@ const handleDispute = async (req, res) => {
       where: { escrowId: escrowId },
       include: [{
         model: Application,
-        where: { 
-          $or: [
-            { '$Campaign.brandId$': userId },
-            { influencerId: userId }
-          ]
-        }
+        as: 'applications',
+        attributes: ['id', 'influencerId', 'campaignId', 'status', 'negotiatedRate'],
+        required: false
       }]
     });
 
-    if (!campaign) {
+    const hasAccess = campaign && (campaign.brandId === userId ||
+      campaign.applications.some(app => app.influencerId === userId));
+    const escrow = hasAccess && await Escrow.findByPaymentIntent(escrowId);
+
+    if (!escrow) {
       return res.status(404).json({
         success: false,
         message: 'Escrow account not found or access denied'
       });
     }
 
-    // Handle dispute
-    const disputeResult = await escrowService.handleDispute(
-      escrowId,
-      disputeType,
-      { ...evidence, reportedBy: userId, reportedAt: new Date() }
-    );
+    // Influencers dispute their own application; brands name the application
+    const application = campaign.brandId === userId
+      ? campaign.applications.find(app => app.id === applicationId)
+      : campaign.applications.find(app => app.influencerId === userId);
 
-    if (!disputeResult.success) {
+    if (!application) {
       return res.status(400).json({
         success: false,
-        message: 'Failed to handle dispute',
-        error: disputeResult.error
+        message: 'A dispute must concern an application on this campaign'
       });
     }
 
-    logger.info('Dispute initiated', {
-      userId,
-      escrowId,
-      disputeType,
-      disputeId: disputeResult.disputeId
-    });
+    // Only work that was accepted has escrowed money to dispute
+    if (!DISPUTABLE_APPLICATION_STATUSES.includes(application.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only approved, in-progress or completed applications can be disputed'
+      });
+    }
 
-    res.json({
+    let dispute;
+    try {
+      dispute = await disputeService.openDispute({
+        escrow,
+        campaign,
+        application,
+        openedBy: req.user,
+        disputeType,
+        description,
+        evidence
+      });
+    } catch (disputeError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to open dispute',
+        error: disputeError.message
+      });
+    }
+
+    res.status(201).json({
       success: true,
-      message: 'Dispute has been initiated and is under review',
+      message: 'Dispute has been opened and the disputed funds are frozen pending review',
       data: {
-        disputeId: disputeResult.disputeId,
-        status: disputeResult.status
+        disputeId: dispute.id,
+        status: dispute.status,
+        frozenAmount: parseFloat(dispute.frozenAmount)
       }
     });
 
@@ -424,6 +738,7 @@ const getEscrowStatus = async (req, res) => {
       where: { escrowId: escrowId },
       include: [{
         model: Application,
+        as: 'applications',
         required: false
       }]
     });
@@ -437,7 +752,7 @@ const getEscrowStatus = async (req, res) => {
 
     // Check if user has access (brand owner or applied influencer)
     const hasAccess = campaign.brandId === userId || 
-      campaign.Applications?.some(app => app.influencerId === userId);
+      campaign.applications?.some(app => app.influencerId === userId);
 
     if (!hasAccess) {
       return res.status(403).json({
@@ -457,6 +772,24 @@ const getEscrowStatus = async (req, res) => {
       });
     }
 
+    const escrow = await Escrow.findByPaymentIntent(escrowId, {
+      include: [
+        { model: Payout, as: 'payouts' },
+        {
+          model: EscrowAllocation,
+          as: 'allocations',
+          include: [{ model: EscrowMilestone, as: 'milestones' }]
+        }
+      ],
+      order: [
+        [{ model: EscrowAllocation, as: 'allocations' }, 'created_at', 'ASC'],
+        [{ model: EscrowAllocation, as: 'allocations' }, { model: EscrowMilestone, as: 'milestones' }, 'sortOrder', 'ASC']
+      ]
+    });
+
+    // Influencers only see their own share of the escrow
+    const isVisible = (record) => campaign.brandId === userId || record.influencerId === userId;
+
     res.json({
       success: true,
       data: {
@@ -466,7 +799,28 @@ const getEscrowStatus = async (req, res) => {
           title: campaign.title,
           brandId: campaign.brandId
         },
-        ...statusResult
+        ...statusResult,
+        ledger: escrow ? {
+          id: escrow.id,
+          status: escrow.status,
+          heldBalance: parseFloat(escrow.heldBalance),
+          releasedAmount: parseFloat(escrow.releasedAmount),
+          refundedAmount: parseFloat(escrow.refundedAmount),
+          remainingBalance: parseFloat(escrow.heldBalance),
+          unallocatedBalance: await escrowAllocationService.getUnallocatedBalance(escrow),
+          balances: await ledgerService.getEscrowBalances(escrow.id),
+          allocations: escrow.allocations.filter(isVisible).map(allocation => ({
+            id: allocation.id,
+            applicationId: allocation.applicationId,
+            influencerId: allocation.influencerId,
+            amount: parseFloat(allocation.amount),
+            releasedAmount: parseFloat(allocation.releasedAmount),
+            remainingAmount: allocation.getRemainingAmount(),
+            status: allocation.status,
+            milestones: allocation.milestones
+          })),
+          payouts: escrow.payouts.filter(isVisible)
+        } : null
       }
     });
 
@@ -490,7 +844,7 @@ const getEscrowStatus = async (req, res) => {
  */
 const calculateFees = async (req, res) => {
   try {
-    const { amount } = req.query;
+    const { amount, currency = 'USD' } = req.query;
 
     if (!amount || isNaN(amount)) {
       return res.status(400).json({
@@ -499,11 +853,21 @@ const calculateFees = async (req, res) => {
       });
     }
 
-    const fees = escrowService.calculateFees(parseFloat(amount));
+    // Same engine that prices releases, so brands see the fee they will be charged
+    const isBrand = req.user.role === 'brand';
+    const fees = await feeService.calculateFees(parseFloat(amount), {
+      currency,
+      tier: isBrand ? await subscriptionService.getTier(req.user.id) : null,
+      brandId: isBrand ? req.user.id : null
+    });
 
     res.json({
       success: true,
-      data: fees
+      data: {
+        ...fees,
+        // The same breakdown in the user's preferred currency
+        converted: await feeService.convertFees(fees, req.user.preferredCurrency || 'USD')
+      }
     });
 
   } catch (error) {
@@ -520,12 +884,333 @@ const calculateFees = async (req, res) => {
   }
 };
 
+/**
+ * Get the fee engine settings (admin only)
+ */
+const getFeeSettings = async (req, res) => {
+  try {
+    const settings = await feeService.getSettings();
+
+    res.json({
+      success: true,
+      data: { settings }
+    });
+
+  } catch (error) {
+    logger.error('Error getting fee settings', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update one fee engine setting (admin only)
+ */
+const updateFeeSetting = async (req, res) => {
+  try {
+    let setting;
+    try {
+      setting = await feeService.updateSetting(req.params.key, req.body.value, req.user.id);
+    } catch (settingError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid fee setting',
+        error: settingError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Fee setting updated',
+      data: { setting }
+    });
+
+  } catch (error) {
+    logger.error('Error updating fee setting', {
+      error: error.message,
+      key: req.params.key,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Start (or resume) Stripe Connect onboarding for payouts
+ */
+const startPayoutOnboarding = async (req, res) => {
+  try {
+    if (req.user.role !== 'influencer') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only influencers can set up payouts'
+      });
+    }
+
+    const link = await payoutService.startOnboarding(req.user, { country: req.body.country });
+
+    res.json({
+      success: true,
+      message: 'Continue onboarding on Stripe',
+      data: link
+    });
+
+  } catch (error) {
+    logger.error('Error starting payout onboarding', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the influencer's payout account status (refreshed from Stripe)
+ */
+const getPayoutAccount = async (req, res) => {
+  try {
+    if (req.user.role !== 'influencer') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only influencers have payout accounts'
+      });
+    }
+
+    const account = await payoutService.refreshAccountStatus(req.user);
+
+    res.json({
+      success: true,
+      data: { account }
+    });
+
+  } catch (error) {
+    logger.error('Error getting payout account', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List payouts (influencers see their own, admins see all)
+ */
+const getPayouts = async (req, res) => {
+  try {
+    const { status, influencerId, page = 1, limit = 20 } = req.query;
+
+    if (!['influencer', 'admin'].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const where = {};
+    if (req.user.role === 'influencer') {
+      where.influencerId = req.user.id;
+    } else if (influencerId) {
+      where.influencerId = influencerId;
+    }
+    if (status) {
+      where.status = status;
+    }
+
+    const { count, rows } = await Payout.findAndCountAll({
+      where,
+      include: [{
+        model: Application,
+        as: 'application',
+        attributes: ['id', 'campaignId'],
+        include: [{ model: Campaign, as: 'campaign', attributes: ['id', 'title'] }]
+      }],
+      order: [['created_at', 'DESC']],
+      limit: parseInt(limit),
+      offset: (parseInt(page) - 1) * parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        payouts: rows,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(count / parseInt(limit)),
+          totalItems: count
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error listing payouts', {
+      error: error.message,
+      userId: req.user?.id
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Retry a failed payout transfer now (admin only)
+ */
+const retryPayout = async (req, res) => {
+  try {
+    const payout = await Payout.findByPk(req.params.payoutId);
+
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout not found'
+      });
+    }
+
+    let result;
+    try {
+      result = await payoutService.retryPayout(payout);
+    } catch (retryError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to retry payout',
+        error: retryError.message
+      });
+    }
+
+    logger.info('Payout retried by admin', {
+      payoutId: payout.id,
+      adminId: req.user.id,
+      sent: result.sent
+    });
+
+    res.json({
+      success: true,
+      message: result.sent ? 'Payout transferred' : 'Payout was not transferred',
+      data: {
+        sent: result.sent,
+        reason: result.reason || null,
+        error: result.error || null,
+        transferId: result.transferId || null
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error retrying payout', {
+      error: error.message,
+      payoutId: req.params.payoutId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Receive Stripe webhook events
+ */
+const handleWebhook = async (req, res) => {
+  const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
+
+  if (!endpointSecret) {
+    logger.error('Stripe webhook received but STRIPE_WEBHOOK_SECRET is not configured');
+    return res.status(500).json({
+      success: false,
+      message: 'Webhook endpoint is not configured'
+    });
+  }
+
+  let event;
+  try {
+    event = paymentService.verifyWebhookSignature(req.body, req.headers['stripe-signature'], endpointSecret);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid webhook signature',
+      error: error.message
+    });
+  }
+
+  let record;
+  try {
+    const claim = await WebhookEvent.claim(event);
+
+    if (claim.duplicate) {
+      logger.info('Duplicate webhook event ignored', {
+        eventId: event.id,
+        eventType: event.type
+      });
+      return res.json({ received: true, duplicate: true });
+    }
+
+    record = claim.record;
+    await paymentService.processWebhookEvent(event);
+    await record.markProcessed();
+
+    res.json({ received: true });
+
+  } catch (error) {
+    logger.error('Error handling webhook event', {
+      error: error.message,
+      eventId: event.id,
+      eventType: event.type
+    });
+
+    if (record) {
+      await record.markFailed(error).catch(() => {});
+    }
+
+    // A non-2xx response makes Stripe retry the delivery
+    res.status(500).json({
+      success: false,
+      message: 'Webhook processing failed',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
+  handleWebhook,
   createEscrow,
   fundEscrow,
   releaseFunds,
+  createAllocation,
+  approveMilestone,
   processRefund,
   handleDispute,
   getEscrowStatus,
-  calculateFees
+  calculateFees,
+  getFeeSettings,
+  updateFeeSetting,
+  startPayoutOnboarding,
+  getPayoutAccount,
+  getPayouts,
+  retryPayout
 };
\ No newline at end of file
@@ -3,6 +3,8 @@ const Campaign = require('../models/Campaign');
 const CampaignApplication = require('../models/CampaignApplication');
 const SocialMediaAccount = require('../models/SocialMediaAccount');
 const Analytics = require('../models/Analytics');
+const Escrow = require('../models/Escrow');
+const fxService = require('../services/fxService');
 const { validationResult } = require('express-validator');
 const { Op } = require('sequelize');
 const bcrypt = require('bcryptjs');
@@ -24,12 +26,15 @@ const getProfile = async (req, res) => {
       status: user.status,
       profilePicture: user.profilePicture,
       bio: user.bio,
+      niches: user.niches || [],
       location: user.location,
       website: user.website,
       phone: user.phone,
+      country: user.country,
       createdAt: user.createdAt,
       lastLoginAt: user.lastLoginAt,
       preferences: user.preferences || {},
+      preferredCurrency: user.preferredCurrency,
       statistics: {}
     };
 
@@ -47,15 +52,22 @@ const getProfile = async (req, res) => {
         }]
       });
 
+      // Budgets in the user's currency, funded ones at their funding rates
+      const fundingRates = await Escrow.getFundingRatesByCampaign(campaigns.map(c => c.id));
+      const totalBudget = await fxService.sumInCurrency(
+        campaigns.map(c => ({ amount: c.budget, currency: c.currency, rates: fundingRates[c.id] })),
+        user.preferredCurrency
+      );
+
       profile.statistics = {
         totalCampaigns: campaigns.length,
         activeCampaigns: campaigns.filter(c => c.status === 'active').length,
         completedCampaigns: campaigns.filter(c => c.status === 'completed').length,
         draftCampaigns: campaigns.filter(c => c.status === 'draft').length,
-        totalBudget: campaigns.reduce((sum, c) => sum + parseFloat(c.budget || 0), 0),
+        totalBudget,
         totalApplications,
         averageCampaignBudget: campaigns.length > 0 
-          ? campaigns.reduce((sum, c) => sum + parseFloat(c.budget || 0), 0) / campaigns.length 
+          ? Math.round(totalBudget / campaigns.length * 100) / 100
           : 0,
         recentCampaigns: campaigns
           .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
@@ -95,9 +107,12 @@ const getProfile = async (req, res) => {
         ? socialAccounts.reduce((sum, acc) => sum + parseFloat(acc.engagementRate), 0) / socialAccounts.length 
         : 0;
 
-      const totalEarnings = applications
-        .filter(a => a.status === 'completed')
-        .reduce((sum, a) => sum + parseFloat(a.negotiatedRate || 0), 0);
+      const totalEarnings = await fxService.sumInCurrency(
+        applications
+          .filter(a => a.status === 'completed')
+          .map(a => ({ amount: a.negotiatedRate, currency: a.currency })),
+        user.preferredCurrency
+      );
 
       profile.statistics = {
         totalFollowers,
@@ -153,11 +168,14 @@ const updateProfile = async (req, res) => {
     const {
       name,
       bio,
+      niches,
       location,
       website,
       phone,
+      country,
       profilePicture,
-      preferences
+      preferences,
+      preferredCurrency
     } = req.body;
 
     const user = req.user;
@@ -165,11 +183,23 @@ const updateProfile = async (req, res) => {
     const updateData = {};
     if (name !== undefined) updateData.name = name;
     if (bio !== undefined) updateData.bio = bio;
+    if (niches !== undefined) updateData.niches = niches;
     if (location !== undefined) updateData.location = location;
     if (website !== undefined) updateData.website = website;
     if (phone !== undefined) updateData.phone = phone;
+    if (country !== undefined) updateData.country = country ? country.toUpperCase() : null;
     if (profilePicture !== undefined) updateData.profilePicture = profilePicture;
     if (preferences !== undefined) updateData.preferences = preferences;
+    if (preferredCurrency !== undefined) {
+      const supported = await fxService.getSupportedCurrencies();
+      if (!supported.includes(preferredCurrency)) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: `Unsupported currency. Supported currencies: ${supported.join(', ')}`
+        });
+      }
+      updateData.preferredCurrency = preferredCurrency;
+    }
 
     await user.update(updateData);
 
@@ -181,11 +211,14 @@ const updateProfile = async (req, res) => {
         email: user.email,
         role: user.role,
         bio: user.bio,
+        niches: user.niches || [],
         location: user.location,
         website: user.website,
         phone: user.phone,
+        country: user.country,
         profilePicture: user.profilePicture,
-        preferences: user.preferences
+        preferences: user.preferences,
+        preferredCurrency: user.preferredCurrency
       }
     });
 
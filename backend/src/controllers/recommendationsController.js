@@ -0,0 +1,63 @@
+const Campaign = require('../models/Campaign');
+const matchingService = require('../services/matchingService');
+const campaignAccessService = require('../services/campaignAccessService');
+
+/**
+ * Get the influencers that best match a campaign, with the reasons for each score
+ */
+const getRecommendedInfluencers = async (req, res) => {
+  try {
+    const campaign = await Campaign.findByPk(req.params.id);
+    if (!campaign) {
+      return res.status(404).json({
+        error: 'Campaign not found',
+        message: 'The requested campaign does not exist'
+      });
+    }
+
+    if (!campaignAccessService.isManager(campaign, req.user)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only get recommendations for your own campaigns'
+      });
+    }
+
+    const { model, recommendations } = await matchingService.recommendInfluencers(campaign, {
+      limit: req.query.limit ? parseInt(req.query.limit) : 20
+    });
+
+    res.json({ model, recommendations });
+
+  } catch (error) {
+    console.error('Get recommended influencers error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch recommended influencers',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get the open campaigns that best match the signed-in influencer, with the reasons for each score
+ */
+const getRecommendedCampaigns = async (req, res) => {
+  try {
+    const { model, recommendations } = await matchingService.recommendCampaigns(req.user.id, {
+      limit: req.query.limit ? parseInt(req.query.limit) : 20
+    });
+
+    res.json({ model, recommendations });
+
+  } catch (error) {
+    console.error('Get recommended campaigns error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch recommended campaigns',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getRecommendedInfluencers,
+  getRecommendedCampaigns
+};
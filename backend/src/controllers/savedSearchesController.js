@@ -0,0 +1,155 @@
+const SavedSearch = require('../models/SavedSearch');
+const savedSearchService = require('../services/savedSearchService');
+
+/**
+ * Load one of the user's saved searches
+ */
+const loadSavedSearch = async (req, res) => {
+  const savedSearch = await SavedSearch.findOne({ where: { id: req.params.id, userId: req.user.id } });
+
+  if (!savedSearch) {
+    res.status(404).json({
+      error: 'Saved search not found',
+      message: 'The requested saved search does not exist'
+    });
+    return null;
+  }
+
+  return savedSearch;
+};
+
+/**
+ * List the user's saved searches
+ */
+const getSavedSearches = async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.findAll({
+      where: {
+        userId: req.user.id,
+        ...(req.query.type && { type: req.query.type })
+      },
+      order: [['created_at', 'DESC']]
+    });
+
+    res.json({ savedSearches });
+
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch saved searches',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Save the filters of an influencer or campaign search
+ */
+const createSavedSearch = async (req, res) => {
+  try {
+    const savedCount = await SavedSearch.count({ where: { userId: req.user.id } });
+    const createError = savedSearchService.getCreateError(savedCount);
+    if (createError) {
+      return res.status(400).json({
+        error: 'Too many saved searches',
+        message: createError
+      });
+    }
+
+    const { name, type, filters, frequency } = req.body;
+    const savedSearch = await savedSearchService.create(req.user, { name, type, filters, frequency });
+
+    res.status(201).json({
+      message: 'Search saved',
+      savedSearch
+    });
+
+  } catch (error) {
+    console.error('Create saved search error:', error);
+    res.status(500).json({
+      error: 'Failed to save search',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Rename a saved search, change its alert frequency or its filters
+ */
+const updateSavedSearch = async (req, res) => {
+  try {
+    const savedSearch = await loadSavedSearch(req, res);
+    if (!savedSearch) return;
+
+    const { name, frequency, filters } = req.body;
+    await savedSearchService.update(savedSearch, req.user, { name, frequency, filters });
+
+    res.json({
+      message: 'Saved search updated',
+      savedSearch
+    });
+
+  } catch (error) {
+    console.error('Update saved search error:', error);
+    res.status(500).json({
+      error: 'Failed to update saved search',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Delete a saved search
+ */
+const deleteSavedSearch = async (req, res) => {
+  try {
+    const savedSearch = await loadSavedSearch(req, res);
+    if (!savedSearch) return;
+
+    await savedSearch.destroy();
+
+    res.json({ message: 'Saved search deleted' });
+
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    res.status(500).json({
+      error: 'Failed to delete saved search',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Turn off a saved search's alerts from the link or one-click header in its email
+ */
+const unsubscribe = async (req, res) => {
+  try {
+    const savedSearch = await savedSearchService.unsubscribe(req.params.token);
+    if (!savedSearch) {
+      return res.status(404).json({
+        error: 'Saved search not found',
+        message: 'This unsubscribe link is no longer valid'
+      });
+    }
+
+    res.json({
+      message: `You will no longer get alerts for "${savedSearch.name}"`,
+      savedSearch: { name: savedSearch.name, frequency: savedSearch.frequency }
+    });
+
+  } catch (error) {
+    console.error('Unsubscribe saved search error:', error);
+    res.status(500).json({
+      error: 'Failed to unsubscribe',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  unsubscribe
+};
@@ -1,54 +1,40 @@
 const searchService = require('../services/searchService');
+const searchLogService = require('../services/searchLogService');
+const campaignAccessService = require('../services/campaignAccessService');
 const { logger } = require('../utils/monitoring');
 
+/**
+ * Log a search anonymously and return its id for click attribution. Only the first
+ * page is logged, so paging through results isn't counted as more searches.
+ */
+const logSearch = async (type, params, resultCount) => {
+  if (params.page && parseInt(params.page) > 1) {
+    return null;
+  }
+
+  const { q: query, ...filters } = type === 'global' ? { q: params.q } : searchService.pickFilterParams(type, params);
+  return searchLogService.logSearch({ type, query, filters, resultCount });
+};
+
 /**
  * Search campaigns with advanced filtering
  */
 const searchCampaigns = async (req, res) => {
   try {
-    const {
-      q: query,
-      goal,
-      status,
-      min_budget: minBudget,
-      max_budget: maxBudget,
-      currency,
-      brand_id: brandId,
-      has_applications: hasApplications,
-      is_verified: isVerified,
-      platforms,
-      sort_by: sortBy,
-      sort_order: sortOrder,
-      page,
-      limit
-    } = req.query;
-
-    // Parse platforms array if provided
-    const platformsArray = platforms ? 
-      (Array.isArray(platforms) ? platforms : platforms.split(',')) : 
-      undefined;
-
-    const filters = {
-      query,
-      goal,
-      status,
-      minBudget: minBudget ? parseFloat(minBudget) : undefined,
-      maxBudget: maxBudget ? parseFloat(maxBudget) : undefined,
-      currency,
-      brandId,
-      hasApplications: hasApplications === 'true' ? true : hasApplications === 'false' ? false : undefined,
-      isVerified: isVerified === 'true',
-      platforms: platformsArray,
-      sortBy,
-      sortOrder
-    };
+    const { page, limit } = req.query;
+    const filters = searchService.parseCampaignFilters(req.query);
 
     const pagination = {
       page: page ? parseInt(page) : 1,
       limit: limit ? parseInt(limit) : 10
     };
 
-    const results = await searchService.searchCampaigns(filters, pagination);
+    const [results, facets] = await Promise.all([
+      searchService.searchCampaigns(filters, pagination, req.user),
+      searchService.getCampaignFacets(filters, req.user)
+    ]);
+    results.campaigns = await campaignAccessService.presentAll(results.campaigns, req.user);
+    const searchId = await logSearch('campaigns', req.query, results.pagination.totalItems);
 
     logger.info('Campaign search executed', {
       userId: req.user?.id,
@@ -59,7 +45,7 @@ const searchCampaigns = async (req, res) => {
 
     res.json({
       success: true,
-      data: results
+      data: { ...results, facets, searchId }
     });
 
   } catch (error) {
@@ -82,57 +68,20 @@ const searchCampaigns = async (req, res) => {
  */
 const searchInfluencers = async (req, res) => {
   try {
-    const {
-      q: query,
-      min_followers: minFollowers,
-      max_followers: maxFollowers,
-      min_engagement: minEngagement,
-      max_engagement: maxEngagement,
-      platforms,
-      is_verified: isVerified,
-      has_portfolio: hasPortfolio,
-      location,
-      languages,
-      niches,
-      sort_by: sortBy,
-      sort_order: sortOrder,
-      page,
-      limit
-    } = req.query;
-
-    // Parse arrays if provided
-    const platformsArray = platforms ? 
-      (Array.isArray(platforms) ? platforms : platforms.split(',')) : 
-      undefined;
-    const languagesArray = languages ? 
-      (Array.isArray(languages) ? languages : languages.split(',')) : 
-      undefined;
-    const nichesArray = niches ? 
-      (Array.isArray(niches) ? niches : niches.split(',')) : 
-      undefined;
-
-    const filters = {
-      query,
-      minFollowers: minFollowers ? parseInt(minFollowers) : undefined,
-      maxFollowers: maxFollowers ? parseInt(maxFollowers) : undefined,
-      minEngagement: minEngagement ? parseFloat(minEngagement) : undefined,
-      maxEngagement: maxEngagement ? parseFloat(maxEngagement) : undefined,
-      platforms: platformsArray,
-      isVerified: isVerified === 'true',
-      hasPortfolio: hasPortfolio === 'true',
-      location,
-      languages: languagesArray,
-      niches: nichesArray,
-      sortBy,
-      sortOrder
-    };
+    const { page, limit } = req.query;
+    const filters = searchService.parseInfluencerFilters(req.query);
 
     const pagination = {
       page: page ? parseInt(page) : 1,
-      limit: limit ? parseInt(limit) : 10
+      limit: limit ? parseInt(limit) : 10,
+      maxResults: req.searchDepth || null
     };
 
-    const results = await searchService.searchInfluencers(filters, pagination);
+    const [results, facets] = await Promise.all([
+      searchService.searchInfluencers(filters, pagination),
+      searchService.getInfluencerFacets(filters)
+    ]);
+    const searchId = await logSearch('influencers', req.query, results.pagination.totalItems);
 
     logger.info('Influencer search executed', {
       userId: req.user?.id,
@@ -143,7 +92,7 @@ const searchInfluencers = async (req, res) => {
 
     res.json({
       success: true,
-      data: results
+      data: { ...results, facets, searchId }
     });
 
   } catch (error) {
@@ -202,7 +151,8 @@ const getSearchSuggestions = async (req, res) => {
  */
 const getTrendingSearches = async (req, res) => {
   try {
-    const trending = await searchService.getTrendingSearches();
+    const { window = '24h', type } = req.query;
+    const trending = await searchService.getTrendingSearches({ window, type });
 
     res.json({
       success: true,
@@ -267,12 +217,15 @@ const globalSearch = async (req, res) => {
 
     const pagination = { page: parseInt(page), limit: parseInt(limit) };
 
-    // Search both campaigns and influencers
+    // Search both campaigns and influencers, most relevant first
     const [campaignResults, influencerResults] = await Promise.all([
-      searchService.searchCampaigns({ query }, pagination),
-      searchService.searchInfluencers({ query }, pagination)
+      searchService.searchCampaigns({ query, highlight: true }, pagination),
+      searchService.searchInfluencers({ query, highlight: true }, pagination)
     ]);
 
+    const searchId = await logSearch('global', req.query,
+      campaignResults.pagination.totalItems + influencerResults.pagination.totalItems);
+
     logger.info('Global search executed', {
       userId: req.user?.id,
       query,
@@ -283,13 +236,20 @@ const globalSearch = async (req, res) => {
     res.json({
       success: true,
       data: {
-        campaigns: campaignResults.campaigns,
-        influencers: influencerResults.influencers,
+        campaigns: campaignResults.campaigns.map(campaign => ({
+          ...campaign.toJSON(),
+          snippet: searchService.presentSnippet(campaign.get('snippet'))
+        })),
+        influencers: influencerResults.influencers.map(influencer => ({
+          ...influencer,
+          snippet: searchService.presentSnippet(influencer.snippet)
+        })),
         pagination: {
           campaigns: campaignResults.pagination,
           influencers: influencerResults.pagination
         },
-        query
+        query,
+        searchId
       }
     });
 
@@ -308,11 +268,74 @@ const globalSearch = async (req, res) => {
   }
 };
 
+/**
+ * Record which result of a logged search was clicked
+ */
+const recordSearchClick = async (req, res) => {
+  try {
+    const { resultId, position } = req.body;
+    const searchLog = await searchLogService.recordClick(req.params.searchId, { resultId, position });
+
+    if (!searchLog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Search not found'
+      });
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    logger.error('Failed to record search click', {
+      error: error.message,
+      searchId: req.params.searchId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record search click',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the queries that found nothing, most searched first
+ */
+const getZeroResultSearches = async (req, res) => {
+  try {
+    const { window = '7d', type, limit } = req.query;
+    const report = await searchLogService.getZeroResultQueries({
+      window,
+      type,
+      limit: limit ? parseInt(limit) : 25
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    logger.error('Failed to get zero-result searches', {
+      error: error.message
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get zero-result searches',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   searchCampaigns,
   searchInfluencers,
   getSearchSuggestions,
   getTrendingSearches,
   getFilterOptions,
-  globalSearch
+  globalSearch,
+  recordSearchClick,
+  getZeroResultSearches
 };
\ No newline at end of file
@@ -0,0 +1,313 @@
+const Campaign = require('../models/Campaign');
+const CampaignApplication = require('../models/CampaignApplication');
+const CampaignProduct = require('../models/CampaignProduct');
+const Shipment = require('../models/Shipment');
+const campaignAccessService = require('../services/campaignAccessService');
+const shipmentService = require('../services/shipmentService');
+
+/**
+ * Load an application with its campaign, for its influencer, the campaign brand or an admin
+ */
+const loadApplication = async (req, res) => {
+  const application = await CampaignApplication.findByPk(req.params.id, {
+    include: [{
+      model: Campaign,
+      as: 'campaign',
+      attributes: ['id', 'brandId']
+    }]
+  });
+
+  if (!application) {
+    res.status(404).json({
+      error: 'Application not found',
+      message: 'The requested application does not exist'
+    });
+    return null;
+  }
+
+  const isParty = application.influencerId === req.user.id || application.campaign.brandId === req.user.id;
+  if (!isParty && req.user.role !== 'admin') {
+    res.status(403).json({
+      error: 'Access denied',
+      message: 'You can only view shipments of your own applications'
+    });
+    return null;
+  }
+
+  return application;
+};
+
+/**
+ * Load a shipment with its application and campaign, for the parties or an admin
+ */
+const loadShipment = async (req, res) => {
+  const shipment = await Shipment.findByPk(req.params.id, {
+    include: [
+      { model: CampaignApplication, as: 'application', attributes: ['id', 'status', 'influencerId'] },
+      { model: Campaign, as: 'campaign', attributes: ['id', 'brandId'] }
+    ]
+  });
+
+  if (!shipment) {
+    res.status(404).json({
+      error: 'Shipment not found',
+      message: 'The requested shipment does not exist'
+    });
+    return null;
+  }
+
+  const isParty = shipment.influencerId === req.user.id || shipment.campaign.brandId === req.user.id;
+  if (!isParty && req.user.role !== 'admin') {
+    res.status(403).json({
+      error: 'Access denied',
+      message: 'You can only manage shipments of your own campaigns'
+    });
+    return null;
+  }
+
+  return shipment;
+};
+
+/**
+ * List an application's shipments
+ */
+const getApplicationShipments = async (req, res) => {
+  try {
+    const application = await loadApplication(req, res);
+    if (!application) return;
+
+    const shipments = await Shipment.findAll({
+      where: { applicationId: application.id },
+      include: [{ model: CampaignProduct, as: 'product' }],
+      order: [['created_at', 'ASC']]
+    });
+
+    res.json({
+      shipments: shipments.map(shipment => shipmentService.present(shipment, req.user, application)),
+      contentDueAt: application.contentDueAt
+    });
+
+  } catch (error) {
+    console.error('Get application shipments error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch shipments',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Request a campaign product with a shipping address (accepted influencers only).
+ * Repeating the request updates the variant and address until the product ships.
+ */
+const requestShipment = async (req, res) => {
+  try {
+    const application = await loadApplication(req, res);
+    if (!application) return;
+
+    if (application.influencerId !== req.user.id) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Only the influencer can request products'
+      });
+    }
+
+    const { productId, variantSku, quantity, shippingAddress } = req.body;
+    const product = await CampaignProduct.findByPk(productId);
+    const existing = await Shipment.findOne({ where: { applicationId: application.id, productId } });
+
+    const requestError = shipmentService.getRequestError(application, product, variantSku, existing);
+    if (requestError) {
+      return res.status(400).json({
+        error: 'Cannot request product',
+        message: requestError
+      });
+    }
+
+    const shipment = await shipmentService.requestShipment(application, product, {
+      variantSku,
+      quantity,
+      shippingAddress
+    }, existing);
+
+    res.status(existing ? 200 : 201).json({
+      message: existing ? 'Shipping details updated' : 'Product requested',
+      shipment: shipmentService.present(shipment, req.user, application)
+    });
+
+  } catch (error) {
+    console.error('Request shipment error:', error);
+    res.status(500).json({
+      error: 'Failed to request product',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * List a campaign's shipments
+ */
+const getCampaignShipments = async (req, res) => {
+  try {
+    const campaign = await Campaign.findByPk(req.params.id, { attributes: ['id', 'brandId'] });
+    if (!campaign) {
+      return res.status(404).json({
+        error: 'Campaign not found',
+        message: 'The requested campaign does not exist'
+      });
+    }
+
+    if (!campaignAccessService.isManager(campaign, req.user)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only view shipments of your own campaigns'
+      });
+    }
+
+    const shipments = await Shipment.findAll({
+      where: { campaignId: campaign.id },
+      include: [
+        { model: CampaignProduct, as: 'product', attributes: ['id', 'name', 'variants'] },
+        { model: CampaignApplication, as: 'application', attributes: ['id', 'status', 'contentDueAt'] }
+      ],
+      order: [['created_at', 'ASC']]
+    });
+
+    res.json({
+      shipments: shipments.map(shipment => shipmentService.present(shipment, req.user, shipment.application))
+    });
+
+  } catch (error) {
+    console.error('Get campaign shipments error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch shipments',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Record the carrier and tracking number of a shipment (campaign brand)
+ */
+const markShipped = async (req, res) => {
+  try {
+    const shipment = await loadShipment(req, res);
+    if (!shipment) return;
+
+    if (!campaignAccessService.isManager(shipment.campaign, req.user)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Only the campaign brand can ship products'
+      });
+    }
+
+    if (!shipmentService.isAccepted(shipment.application)) {
+      return res.status(400).json({
+        error: 'Cannot ship product',
+        message: 'The application is no longer accepted'
+      });
+    }
+
+    const updated = await shipmentService.markShipped(shipment, {
+      carrier: req.body.carrier,
+      trackingNumber: req.body.trackingNumber
+    });
+    if (!updated) {
+      return res.status(400).json({
+        error: 'Cannot ship product',
+        message: 'Tracking can no longer be changed once the carrier has picked up the parcel'
+      });
+    }
+
+    res.json({
+      message: 'Shipment marked as shipped',
+      shipment: shipmentService.present(updated, req.user, shipment.application)
+    });
+
+  } catch (error) {
+    console.error('Mark shipped error:', error);
+    res.status(500).json({
+      error: 'Failed to update shipment',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Fetch the latest tracking from the carrier
+ */
+const refreshTracking = async (req, res) => {
+  try {
+    const shipment = await loadShipment(req, res);
+    if (!shipment) return;
+
+    if (!shipment.trackingNumber) {
+      return res.status(400).json({
+        error: 'Not shipped',
+        message: 'This shipment has no tracking number yet'
+      });
+    }
+
+    if (shipment.status !== 'delivered') {
+      await shipmentService.refreshTracking(shipment);
+    }
+
+    res.json({ shipment: shipmentService.present(shipment, req.user, shipment.application) });
+
+  } catch (error) {
+    console.error('Refresh tracking error:', error);
+    res.status(500).json({
+      error: 'Failed to refresh tracking',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Confirm receipt of a shipped product (influencer), starting the content deadline
+ */
+const confirmDelivery = async (req, res) => {
+  try {
+    const shipment = await loadShipment(req, res);
+    if (!shipment) return;
+
+    if (shipment.influencerId !== req.user.id) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Only the influencer can confirm delivery'
+      });
+    }
+
+    if (shipment.status === 'awaiting_shipment') {
+      return res.status(400).json({
+        error: 'Not shipped',
+        message: 'This product has not been shipped yet'
+      });
+    }
+
+    const updated = shipment.status === 'delivered'
+      ? shipment
+      : await shipmentService.markDelivered(shipment);
+
+    res.json({
+      message: 'Delivery confirmed',
+      shipment: shipmentService.present(updated, req.user, shipment.application)
+    });
+
+  } catch (error) {
+    console.error('Confirm delivery error:', error);
+    res.status(500).json({
+      error: 'Failed to confirm delivery',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getApplicationShipments,
+  requestShipment,
+  getCampaignShipments,
+  markShipped,
+  refreshTracking,
+  confirmDelivery
+};
@@ -0,0 +1,135 @@
+const CampaignApplication = require('../models/CampaignApplication');
+const Campaign = require('../models/Campaign');
+const TrackedLink = require('../models/TrackedLink');
+const trackedLinkService = require('../services/trackedLinkService');
+const { logger } = require('../utils/monitoring');
+
+const LINKED_APPLICATION_STATUSES = ['approved', 'in_progress', 'completed'];
+
+/**
+ * Follow a short link: record the click, then redirect to the tagged landing page.
+ * A failed click write never blocks the redirect.
+ */
+const followLink = async (req, res) => {
+  try {
+    const link = await TrackedLink.findOne({ where: { code: req.params.code } });
+    if (!link) {
+      return res.status(404).json({
+        error: 'Link not found',
+        message: 'This link does not exist'
+      });
+    }
+
+    try {
+      await trackedLinkService.recordClick(link, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent') || null,
+        referer: req.get('Referer') || null
+      });
+    } catch (error) {
+      logger.error('Failed to record link click', { code: link.code, error: error.message });
+    }
+
+    res.redirect(302, link.destinationUrl);
+
+  } catch (error) {
+    console.error('Follow link error:', error);
+    res.status(500).json({
+      error: 'Failed to follow link',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get (creating on first use) the tracked link of an approved application
+ */
+const getApplicationLink = async (req, res) => {
+  try {
+    const application = await CampaignApplication.findByPk(req.params.id, {
+      include: [{
+        model: Campaign,
+        as: 'campaign',
+        attributes: ['id', 'brandId', 'customLandingPage', 'utmParameters']
+      }]
+    });
+
+    if (!application) {
+      return res.status(404).json({
+        error: 'Application not found',
+        message: 'The requested application does not exist'
+      });
+    }
+
+    const isParty = application.influencerId === req.user.id || application.campaign.brandId === req.user.id;
+    if (!isParty && req.user.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only view links of your own applications'
+      });
+    }
+
+    if (!LINKED_APPLICATION_STATUSES.includes(application.status)) {
+      return res.status(400).json({
+        error: 'Link not available',
+        message: 'Tracked links are issued once an application is approved'
+      });
+    }
+
+    const link = await trackedLinkService.createForApplication(application);
+    if (!link) {
+      return res.status(400).json({
+        error: 'Link not available',
+        message: 'The campaign has no landing page to link to yet'
+      });
+    }
+
+    res.json({ link: trackedLinkService.present(link) });
+
+  } catch (error) {
+    console.error('Get application link error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch tracked link',
+      message: 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get the tracked links of a campaign with their click counts
+ */
+const getCampaignLinks = async (req, res) => {
+  try {
+    const campaign = await Campaign.findByPk(req.params.id, { attributes: ['id', 'brandId'] });
+    if (!campaign) {
+      return res.status(404).json({
+        error: 'Campaign not found',
+        message: 'The requested campaign does not exist'
+      });
+    }
+
+    if (campaign.brandId !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only view links of your own campaigns'
+      });
+    }
+
+    const links = await trackedLinkService.getCampaignLinks(campaign.id);
+
+    res.json({ links });
+
+  } catch (error) {
+    console.error('Get campaign links error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch tracked links',
+      message: 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  followLink,
+  getApplicationLink,
+  getCampaignLinks
+};
@@ -9,6 +9,7 @@ const cookieParser = require('cookie-parser');
 // Import security and monitoring modules
 const { initSentry, requestHandler, tracingHandler, errorHandler: sentryErrorHandler, performanceMiddleware } = require('./utils/sentry');
 const { generalLimiter, authLimiter, securityHeaders, sanitizeRequest } = require('./middleware/security');
+const { bodyParsers } = require('./middleware/bodyParsers');
 const { logger, metricsMiddleware, healthCheck, errorHandler: monitoringErrorHandler, register } = require('./utils/monitoring');
 
 // Import database and models
@@ -53,14 +54,8 @@ app.use(sanitizeRequest);
 // Cookie parsing middleware
 app.use(cookieParser());
 
-// Body parsing middleware with size limits
-app.use(express.json({ 
-  limit: '1mb',
-  verify: (req, res, buf) => {
-    req.rawBody = buf;
-  }
-}));
-app.use(express.urlencoded({ extended: true, limit: '1mb' }));
+// Body parsing middleware with size limits (raw body for the Stripe webhook)
+app.use(bodyParsers);
 
 // Logging middleware (structured logging for production)
 if (process.env.NODE_ENV === 'production') {
@@ -125,7 +120,15 @@ app.get('/', (req, res) => {
       search: '/api/search',
       profile: '/api/profile',
       influencers: '/api/influencers',
-      payments: '/api/payments'
+      payments: '/api/payments',
+      disputes: '/api/disputes',
+      billing: '/api/billing',
+      deliverables: '/api/deliverables',
+      invitations: '/api/invitations',
+      conversions: '/api/conversions',
+      shipments: '/api/shipments',
+      savedSearches: '/api/saved-searches',
+      shortLinks: '/r/:code'
     },
     documentation: 'API documentation available at /api-docs (when implemented)'
   });
@@ -141,8 +144,18 @@ app.use('/api/search', require('./routes/search'));
 app.use('/api/profile', require('./routes/profile'));
 app.use('/api/influencers', require('./routes/influencers'));
 app.use('/api/payments', require('./routes/payments'));
+app.use('/api/disputes', require('./routes/disputes'));
+app.use('/api/billing', require('./routes/billing'));
+app.use('/api/deliverables', require('./routes/deliverables'));
+app.use('/api/invitations', require('./routes/invitations'));
+app.use('/api/conversions', require('./routes/conversions'));
+app.use('/api/shipments', require('./routes/shipments'));
+app.use('/api/saved-searches', require('./routes/savedSearches'));
 app.use('/api/uploads', require('./routes/uploads'));
 
+// Tracked short links handed out to influencers
+app.use('/r', require('./routes/redirect'));
+
 // 404 handler
 app.use('*', (req, res) => {
   logger.warn('Route not found', {
@@ -167,6 +180,11 @@ app.use(monitoringErrorHandler);
 
 // Initialize virus scan worker
 const { initializeVirusScanWorker } = require('./workers/virusScanWorker');
+const { initializeMilestoneReleaseWorker } = require('./workers/milestoneReleaseWorker');
+const { initializePayoutWorker } = require('./workers/payoutWorker');
+const { initializeCampaignLifecycleWorker } = require('./workers/campaignLifecycleWorker');
+const { initializeShipmentTrackingWorker } = require('./workers/shipmentTrackingWorker');
+const { initializeSavedSearchAlertWorker } = require('./workers/savedSearchAlertWorker');
 
 // Initialize database and start server
 const startServer = async () => {
@@ -182,13 +200,39 @@ const startServer = async () => {
     
     // Sync database models (create tables if they don't exist)
     // Use force: true to recreate tables with new schema during development
-    await sequelize.sync({ force: process.env.NODE_ENV !== 'production', alter: process.env.NODE_ENV === 'production' });
+    // Never drop columns in production: the search_vector columns from migrations aren't on the models
+    await sequelize.sync({ force: process.env.NODE_ENV !== 'production', alter: process.env.NODE_ENV === 'production' && { drop: false } });
     logger.info('Database models synchronized successfully');
     
     // Initialize virus scan worker
     if (process.env.ENABLE_VIRUS_SCANNER !== 'false') {
       initializeVirusScanWorker();
     }
+
+    // Initialize delayed escrow milestone releases
+    if (process.env.ENABLE_MILESTONE_WORKER !== 'false') {
+      await initializeMilestoneReleaseWorker();
+    }
+
+    // Initialize influencer payout transfers and retries
+    if (process.env.ENABLE_PAYOUT_WORKER !== 'false') {
+      await initializePayoutWorker();
+    }
+
+    // Initialize timeline-driven campaign lifecycle changes
+    if (process.env.ENABLE_LIFECYCLE_WORKER !== 'false') {
+      await initializeCampaignLifecycleWorker();
+    }
+
+    // Follow seeded product shipments with the carrier
+    if (process.env.ENABLE_SHIPMENT_WORKER !== 'false') {
+      await initializeShipmentTrackingWorker();
+    }
+
+    // Email new matches of saved searches
+    if (process.env.ENABLE_SAVED_SEARCH_WORKER !== 'false') {
+      await initializeSavedSearchAlertWorker();
+    }
     
     // Start server
     const server = app.listen(PORT, () => {
@@ -76,6 +76,27 @@ const authorize = (roles = []) => {
   };
 };
 
+/**
+ * Email verification middleware - blocks actions until the user has verified their email
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'Please authenticate first'
+    });
+  }
+
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      error: 'Email not verified',
+      message: 'Please verify your email address before continuing'
+    });
+  }
+
+  next();
+};
+
 /**
  * Optional authentication - attaches user if token is valid, but doesn't require it
  */
@@ -103,5 +124,6 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   authenticate,
   authorize,
+  requireVerifiedEmail,
   optionalAuth
 };
\ No newline at end of file
@@ -0,0 +1,20 @@
+const express = require('express');
+
+/**
+ * Request body parsing with size limits
+ */
+const bodyParsers = express.Router();
+
+// Stripe signs the exact request bytes, so the webhook keeps its raw body
+// (express.json below skips requests whose body is already parsed)
+bodyParsers.use('/api/payments/webhook', express.raw({ type: 'application/json', limit: '1mb' }));
+
+bodyParsers.use(express.json({
+  limit: '1mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+bodyParsers.use(express.urlencoded({ extended: true, limit: '1mb' }));
+
+module.exports = { bodyParsers };
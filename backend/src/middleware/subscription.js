@@ -0,0 +1,128 @@
+const subscriptionService = require('../services/subscriptionService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Load the brand's plan onto req.plan. Only brands are gated; other roles get null.
+ * Anonymous requests (public search) get the free plan.
+ */
+const loadPlan = async (req) => {
+  if (req.plan === undefined) {
+    if (req.user && req.user.role !== 'brand') {
+      req.plan = null;
+    } else {
+      req.plan = await subscriptionService.getPlan(req.user ? req.user.id : null);
+    }
+  }
+  return req.plan;
+};
+
+const limitReached = (res, plan, message) => res.status(403).json({
+  error: 'Plan limit reached',
+  message,
+  tier: plan.tier,
+  upgradeRequired: true
+});
+
+/**
+ * Block campaign creation once the brand has used its plan's campaigns for the month
+ */
+const enforceCampaignLimit = async (req, res, next) => {
+  try {
+    const plan = await loadPlan(req);
+    const limit = plan && plan.limits.campaignsPerMonth;
+
+    if (limit === null || limit === undefined) {
+      return next();
+    }
+
+    const used = await subscriptionService.countCampaignsThisMonth(req.user.id);
+    if (used >= limit) {
+      return limitReached(res, plan, `Your plan allows ${limit} new campaign${limit === 1 ? '' : 's'} per month. Upgrade to create more.`);
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Block invitations that would take the brand past its plan's invitations for the month.
+ * A bulk invite counts every influencer in req.body.influencerIds.
+ */
+const enforceInvitationLimit = async (req, res, next) => {
+  try {
+    const plan = await loadPlan(req);
+    const limit = plan && plan.limits.invitationsPerMonth;
+
+    if (limit === null || limit === undefined) {
+      return next();
+    }
+
+    const requested = Array.isArray(req.body.influencerIds) ? req.body.influencerIds.length : 1;
+    const used = await subscriptionService.countInvitationsThisMonth(req.user.id);
+    if (used + requested > limit) {
+      const remaining = Math.max(0, limit - used);
+      return limitReached(res, plan, `Your plan allows ${limit} invitations per month and ${remaining} ${remaining === 1 ? 'is' : 'are'} left. Upgrade to invite more.`);
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cap how deep into influencer search results a brand can page.
+ * Sets req.searchDepth (max result position, or null for unlimited); pass
+ * 'offset' for offset-paginated routes and 'page' for page-paginated ones.
+ */
+const limitSearchDepth = (pagination = 'page', defaultLimit = 10) => {
+  return async (req, res, next) => {
+    try {
+      const plan = await loadPlan(req);
+      const depth = plan ? plan.limits.searchResultDepth : null;
+      req.searchDepth = depth === undefined ? null : depth;
+
+      if (req.searchDepth === null) {
+        return next();
+      }
+
+      const limit = parseInt(req.query.limit) || defaultLimit;
+      const offset = pagination === 'offset'
+        ? parseInt(req.query.offset) || 0
+        : ((parseInt(req.query.page) || 1) - 1) * limit;
+
+      if (offset >= req.searchDepth) {
+        return limitReached(res, plan, `Your plan shows the top ${req.searchDepth} search results. Upgrade to see more.`);
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Set req.analyticsHistoryStart to the earliest date the brand's plan can see (null for unlimited)
+ */
+const limitAnalyticsHistory = async (req, res, next) => {
+  try {
+    const plan = await loadPlan(req);
+    const days = plan ? plan.limits.analyticsHistoryDays : null;
+
+    req.analyticsHistoryStart = days ? new Date(Date.now() - days * DAY_MS) : null;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  enforceCampaignLimit,
+  enforceInvitationLimit,
+  limitSearchDepth,
+  limitAnalyticsHistory
+};
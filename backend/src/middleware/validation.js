@@ -104,6 +104,105 @@ const validatePasswordChange = [
     })
 ];
 
+/**
+ * Validation rules for email-only requests (forgot password, resend verification)
+ */
+const validateEmail = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail()
+    .toLowerCase()
+];
+
+/**
+ * Validation rules for email verification
+ */
+const validateEmailVerification = [
+  body('token')
+    .notEmpty()
+    .withMessage('Verification token is required')
+];
+
+/**
+ * Validation rules for resending verification (email only needed when signed out)
+ */
+const validateResendVerification = [
+  body('email')
+    .if((value, { req }) => !req.user)
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail()
+    .toLowerCase()
+];
+
+/**
+ * Validation rules for password reset
+ */
+const validatePasswordReset = [
+  body('token')
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('New password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  
+  body('confirmPassword')
+    .optional()
+    .custom((value, { req }) => {
+      if (value !== req.body.newPassword) {
+        throw new Error('Password confirmation does not match new password');
+      }
+      return true;
+    })
+];
+
+/**
+ * Validation rules for TOTP code confirmation
+ */
+const validateTwoFactorToken = [
+  body('token')
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits')
+];
+
+/**
+ * Validation rules for endpoints accepting a TOTP code or a backup code
+ */
+const validateTwoFactorCode = [
+  body('token')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+  
+  body('backupCode')
+    .optional()
+    .isLength({ min: 8, max: 9 })
+    .withMessage('Backup code must be 8 characters'),
+  
+  body()
+    .custom((value) => {
+      if (!value.token && !value.backupCode) {
+        throw new Error('An authentication code or backup code is required');
+      }
+      return true;
+    })
+];
+
+/**
+ * Validation rules for the second step of a 2FA login
+ */
+const validateTwoFactorLogin = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  
+  ...validateTwoFactorCode
+];
+
 /**
  * Validation rules for campaign creation
  */
@@ -169,6 +268,64 @@ const validateCampaignCreate = [
     .optional()
     .isISO8601()
     .withMessage('Content submission deadline must be a valid date'),
+
+  body('contentDueDays')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Content due days must be between 1 and 365'),
+
+  body('maxRevisions')
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage('Max revisions must be between 0 and 10'),
+
+  body('customLandingPage')
+    .optional({ checkFalsy: true })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Landing page must be a full http(s) URL'),
+
+  body('utmParameters')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('UTM parameters must be an object'),
+
+  body('visibility')
+    .optional()
+    .isIn(['public', 'unlisted', 'invite_only'])
+    .withMessage('Visibility must be public, unlisted or invite_only'),
+
+  body('eligibility')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('Eligibility must be an object'),
+
+  body('eligibility.minFollowers')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Minimum followers must be a positive integer'),
+
+  body('eligibility.minEngagementRate')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Minimum engagement rate must be between 0 and 100'),
+
+  body('eligibility.platforms')
+    .optional()
+    .isArray()
+    .withMessage('Eligible platforms must be an array'),
+
+  body('eligibility.platforms.*')
+    .isIn(['instagram', 'tiktok', 'youtube', 'twitter', 'facebook', 'linkedin', 'snapchat', 'pinterest', 'twitch'])
+    .withMessage('Invalid eligible platform'),
+
+  body('eligibility.regions')
+    .optional()
+    .isArray()
+    .withMessage('Eligible regions must be an array'),
+
+  body('eligibility.regions.*')
+    .isISO31661Alpha2()
+    .withMessage('Eligible regions must be ISO 3166-1 alpha-2 country codes'),
   
   body('campaignStartDate')
     .optional()
@@ -245,6 +402,13 @@ module.exports = {
   validateLogin,
   validateProfileUpdate,
   validatePasswordChange,
+  validateEmail,
+  validateEmailVerification,
+  validateResendVerification,
+  validatePasswordReset,
+  validateTwoFactorToken,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
   validateCampaignCreate,
   validateCampaignUpdate,
   validateUUIDParam,
@@ -0,0 +1,58 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Versioned scoring model (influence_score, fraud_detection, campaign_matching).
+ * parameters holds what the version scores with, e.g. the matching factor weights;
+ * the newest active version of a name is the one in use.
+ */
+const AiModel = sequelize.define('AiModel', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  version: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  modelPath: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'model_path',
+    comment: 'S3 or local path of trained weights; null for rule-based versions'
+  },
+  parameters: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  metrics: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('training', 'testing', 'active', 'deprecated'),
+    allowNull: false,
+    defaultValue: 'training'
+  }
+}, {
+  tableName: 'ai_models',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['name', 'version']
+    },
+    {
+      fields: ['name', 'status']
+    }
+  ]
+});
+
+module.exports = AiModel;
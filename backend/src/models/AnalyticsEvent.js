@@ -0,0 +1,102 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Raw tracking event (link clicks, views...). sessionId holds a visitor
+ * fingerprint so repeat events from the same visitor can be recognised.
+ */
+const AnalyticsEvent = sequelize.define('AnalyticsEvent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  eventType: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    field: 'event_type'
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'user_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  campaignId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'campaign_id',
+    references: {
+      model: 'campaigns',
+      key: 'id'
+    }
+  },
+  deliverableId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'deliverable_id',
+    references: {
+      model: 'campaign_deliverables',
+      key: 'id'
+    }
+  },
+  eventData: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    field: 'event_data'
+  },
+  sessionId: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'session_id'
+  },
+  ipAddress: {
+    type: DataTypes.INET,
+    allowNull: true,
+    field: 'ip_address'
+  },
+  userAgent: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'user_agent'
+  },
+  referer: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  timestamp: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'analytics_events',
+  timestamps: false,
+  indexes: [
+    {
+      fields: ['event_type']
+    },
+    {
+      fields: ['user_id']
+    },
+    {
+      fields: ['timestamp']
+    },
+    {
+      fields: ['event_type', 'session_id', 'timestamp']
+    }
+  ]
+});
+
+// Class methods
+AnalyticsEvent.associate = (models) => {
+  AnalyticsEvent.belongsTo(models.Campaign, {
+    foreignKey: 'campaignId',
+    as: 'campaign'
+  });
+};
+
+module.exports = AnalyticsEvent;
@@ -0,0 +1,81 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * One recorded change of an application's status, contentApprovalStatus or
+ * paymentStatus. actorId is null for changes made by the platform itself.
+ */
+const ApplicationHistory = sequelize.define('ApplicationHistory', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  applicationId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'application_id',
+    references: {
+      model: 'campaign_applications',
+      key: 'id'
+    }
+  },
+  field: {
+    type: DataTypes.ENUM('status', 'contentApprovalStatus', 'paymentStatus'),
+    allowNull: false
+  },
+  fromValue: {
+    type: DataTypes.STRING(32),
+    allowNull: true,
+    field: 'from_value'
+  },
+  toValue: {
+    type: DataTypes.STRING(32),
+    allowNull: false,
+    field: 'to_value'
+  },
+  actorId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'actor_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  actorRole: {
+    type: DataTypes.ENUM('brand', 'influencer', 'admin', 'system'),
+    allowNull: false,
+    defaultValue: 'system',
+    field: 'actor_role'
+  },
+  note: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'application_history',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['application_id', 'created_at']
+    }
+  ]
+});
+
+// Class methods
+ApplicationHistory.associate = (models) => {
+  ApplicationHistory.belongsTo(models.CampaignApplication, {
+    foreignKey: 'applicationId',
+    as: 'application'
+  });
+
+  ApplicationHistory.belongsTo(models.User, {
+    foreignKey: 'actorId',
+    as: 'actor'
+  });
+};
+
+module.exports = ApplicationHistory;
@@ -0,0 +1,135 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * One proposal in the rate negotiation of an application. At most one offer per
+ * application is active; a counter-offer closes the one it answers.
+ */
+const ApplicationOffer = sequelize.define('ApplicationOffer', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  applicationId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'application_id',
+    references: {
+      model: 'campaign_applications',
+      key: 'id'
+    }
+  },
+  previousOfferId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'previous_offer_id',
+    references: {
+      model: 'application_offers',
+      key: 'id'
+    },
+    comment: 'Offer this one counters'
+  },
+  proposedBy: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'proposed_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  proposerRole: {
+    type: DataTypes.ENUM('brand', 'influencer'),
+    allowNull: false,
+    field: 'proposer_role'
+  },
+  rate: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'USD'
+  },
+  deliverables: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Proposed deliverables; null keeps the current ones'
+  },
+  timeline: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Proposed timeline; null keeps the current one'
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'accepted', 'declined', 'countered', 'withdrawn', 'expired'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'expires_at'
+  },
+  respondedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'responded_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  respondedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'responded_at'
+  }
+}, {
+  tableName: 'application_offers',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['application_id', 'created_at']
+    },
+    {
+      fields: ['status', 'expires_at']
+    }
+  ]
+});
+
+// Instance methods
+ApplicationOffer.prototype.isExpired = function(at = new Date()) {
+  return this.status === 'active' && new Date(this.expiresAt) <= at;
+};
+
+// Class methods
+ApplicationOffer.associate = (models) => {
+  ApplicationOffer.belongsTo(models.CampaignApplication, {
+    foreignKey: 'applicationId',
+    as: 'application'
+  });
+
+  ApplicationOffer.belongsTo(models.User, {
+    foreignKey: 'proposedBy',
+    as: 'proposer'
+  });
+
+  ApplicationOffer.belongsTo(models.User, {
+    foreignKey: 'respondedBy',
+    as: 'responder'
+  });
+};
+
+module.exports = ApplicationOffer;
@@ -88,6 +88,19 @@ const Campaign = sequelize.define('Campaign', {
     allowNull: true,
     field: 'target_niches'
   },
+
+  // Who can find and apply to the campaign
+  visibility: {
+    type: DataTypes.ENUM('public', 'unlisted', 'invite_only'),
+    allowNull: false,
+    defaultValue: 'public',
+    comment: 'public: listed and searchable; unlisted: direct link only; invite_only: invited influencers only'
+  },
+  eligibility: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Hard requirements to apply: { minFollowers, minEngagementRate, platforms, regions }'
+  },
   
   // Content requirements
   contentRequirements: {
@@ -122,6 +135,27 @@ const Campaign = sequelize.define('Campaign', {
     allowNull: true,
     field: 'content_submission_deadline'
   },
+  contentDueDays: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'content_due_days',
+    validate: {
+      min: 1,
+      max: 365
+    },
+    comment: 'Gifted campaigns: days after product delivery to submit content (replaces the fixed deadline)'
+  },
+  maxRevisions: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 2,
+    field: 'max_revisions',
+    validate: {
+      min: 0,
+      max: 10
+    },
+    comment: 'Revision rounds a brand may request per deliverable'
+  },
   campaignStartDate: {
     type: DataTypes.DATE,
     allowNull: true,
@@ -132,6 +166,12 @@ const Campaign = sequelize.define('Campaign', {
     allowNull: true,
     field: 'campaign_end_date'
   },
+  applicationsClosedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'applications_closed_at',
+    comment: 'When the lifecycle scheduler closed applications at the deadline'
+  },
   
   // Analytics tracking
   utmParameters: {
@@ -149,6 +189,12 @@ const Campaign = sequelize.define('Campaign', {
     allowNull: true,
     field: 'custom_landing_page'
   },
+  conversionSecret: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    field: 'conversion_secret',
+    comment: 'HMAC secret the brand store signs conversion payloads with'
+  },
   
   // Payment and escrow fields
   escrowId: {
@@ -187,6 +233,12 @@ const Campaign = sequelize.define('Campaign', {
     {
       fields: ['status']
     },
+    {
+      fields: ['status', 'campaign_end_date']
+    },
+    {
+      fields: ['visibility', 'status']
+    },
     {
       fields: ['goal']
     },
@@ -202,6 +254,7 @@ const Campaign = sequelize.define('Campaign', {
 // Instance methods
 Campaign.prototype.toJSON = function() {
   const values = Object.assign({}, this.get());
+  delete values.conversionSecret;
   return values;
 };
 
@@ -220,6 +273,34 @@ Campaign.associate = (models) => {
       as: 'applications'
     });
   }
+
+  if (models.CampaignInvitation) {
+    Campaign.hasMany(models.CampaignInvitation, {
+      foreignKey: 'campaignId',
+      as: 'invitations'
+    });
+  }
+
+  if (models.CampaignProduct) {
+    Campaign.hasMany(models.CampaignProduct, {
+      foreignKey: 'campaignId',
+      as: 'products'
+    });
+  }
+
+  if (models.PromoCode) {
+    Campaign.hasMany(models.PromoCode, {
+      foreignKey: 'campaignId',
+      as: 'promoCodes'
+    });
+  }
+
+  if (models.CampaignLifecycleEvent) {
+    Campaign.hasMany(models.CampaignLifecycleEvent, {
+      foreignKey: 'campaignId',
+      as: 'lifecycleEvents'
+    });
+  }
 };
 
 // Hooks
@@ -63,6 +63,12 @@ const CampaignApplication = sequelize.define('CampaignApplication', {
     allowNull: true,
     field: 'negotiated_rate'
   },
+  rateAgreedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'rate_agreed_at',
+    comment: 'Set when an offer is accepted; negotiatedRate is final from then on'
+  },
   currency: {
     type: DataTypes.STRING(3),
     defaultValue: 'USD'
@@ -128,6 +134,18 @@ const CampaignApplication = sequelize.define('CampaignApplication', {
     allowNull: true,
     field: 'rejected_at'
   },
+  lateFlaggedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'late_flagged_at',
+    comment: 'Set when no content was submitted by the campaign submission deadline'
+  },
+  contentDueAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'content_due_at',
+    comment: 'Content deadline counted from product delivery (gifted campaigns)'
+  },
   rejectionReason: {
     type: DataTypes.TEXT,
     allowNull: true,
@@ -177,33 +195,7 @@ const CampaignApplication = sequelize.define('CampaignApplication', {
 });
 
 // Instance methods
-CampaignApplication.prototype.approve = async function(brandResponse) {
-  this.status = 'approved';
-  this.brandResponse = brandResponse;
-  this.approvedAt = new Date();
-  return this.save();
-};
-
-CampaignApplication.prototype.reject = async function(rejectionReason) {
-  this.status = 'rejected';
-  this.rejectionReason = rejectionReason;
-  this.rejectedAt = new Date();
-  return this.save();
-};
-
-CampaignApplication.prototype.complete = async function() {
-  this.status = 'completed';
-  this.completedAt = new Date();
-  return this.save();
-};
-
-CampaignApplication.prototype.submitContent = async function(content) {
-  this.submittedContent = { ...this.submittedContent, ...content };
-  this.contentApprovalStatus = 'pending';
-  this.status = 'in_progress';
-  return this.save();
-};
-
+// Lifecycle changes go through applicationStateService so they are checked and recorded
 CampaignApplication.prototype.updatePerformanceMetrics = async function(metrics) {
   this.performanceMetrics = { ...this.performanceMetrics, ...metrics };
   return this.save();
@@ -220,6 +212,34 @@ CampaignApplication.associate = (models) => {
     foreignKey: 'influencerId',
     as: 'influencer'
   });
+
+  if (models.ApplicationHistory) {
+    CampaignApplication.hasMany(models.ApplicationHistory, {
+      foreignKey: 'applicationId',
+      as: 'history'
+    });
+  }
+
+  if (models.ApplicationOffer) {
+    CampaignApplication.hasMany(models.ApplicationOffer, {
+      foreignKey: 'applicationId',
+      as: 'offers'
+    });
+  }
+
+  if (models.EscrowAllocation) {
+    CampaignApplication.hasOne(models.EscrowAllocation, {
+      foreignKey: 'applicationId',
+      as: 'escrowAllocation'
+    });
+  }
+
+  if (models.Shipment) {
+    CampaignApplication.hasMany(models.Shipment, {
+      foreignKey: 'applicationId',
+      as: 'shipments'
+    });
+  }
 };
 
 module.exports = CampaignApplication;
\ No newline at end of file
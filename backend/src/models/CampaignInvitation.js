@@ -0,0 +1,137 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * A brand's invitation for one influencer to join a campaign at an offered rate.
+ * Accepting it creates an approved application (applicationId).
+ */
+const CampaignInvitation = sequelize.define('CampaignInvitation', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  campaignId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'campaign_id',
+    references: {
+      model: 'campaigns',
+      key: 'id'
+    }
+  },
+  brandId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'brand_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  influencerId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'influencer_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Personal message from brand to influencer'
+  },
+  offeredRate: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    field: 'offered_rate',
+    validate: {
+      min: 0
+    }
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'USD'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'accepted', 'declined', 'withdrawn', 'expired'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'expires_at'
+  },
+  respondedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'responded_at'
+  },
+  declineReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'decline_reason'
+  },
+  applicationId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'application_id',
+    references: {
+      model: 'campaign_applications',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'campaign_invitations',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['influencer_id', 'status']
+    },
+    {
+      fields: ['campaign_id', 'influencer_id']
+    },
+    {
+      fields: ['brand_id', 'created_at']
+    },
+    {
+      fields: ['status', 'expires_at']
+    }
+  ]
+});
+
+// Instance methods
+CampaignInvitation.prototype.isExpired = function(at = new Date()) {
+  return this.status === 'pending' && new Date(this.expiresAt) <= at;
+};
+
+// Class methods
+CampaignInvitation.associate = (models) => {
+  CampaignInvitation.belongsTo(models.Campaign, {
+    foreignKey: 'campaignId',
+    as: 'campaign'
+  });
+
+  CampaignInvitation.belongsTo(models.User, {
+    foreignKey: 'brandId',
+    as: 'brand'
+  });
+
+  CampaignInvitation.belongsTo(models.User, {
+    foreignKey: 'influencerId',
+    as: 'influencer'
+  });
+
+  CampaignInvitation.belongsTo(models.CampaignApplication, {
+    foreignKey: 'applicationId',
+    as: 'application'
+  });
+};
+
+module.exports = CampaignInvitation;
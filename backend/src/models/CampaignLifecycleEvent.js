@@ -0,0 +1,73 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * One action the lifecycle scheduler took on a campaign (or one of its
+ * applications) when a timeline date passed.
+ */
+const CampaignLifecycleEvent = sequelize.define('CampaignLifecycleEvent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  campaignId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'campaign_id',
+    references: {
+      model: 'campaigns',
+      key: 'id'
+    }
+  },
+  applicationId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'application_id',
+    references: {
+      model: 'campaign_applications',
+      key: 'id'
+    }
+  },
+  action: {
+    type: DataTypes.ENUM(
+      'applications_closed',
+      'application_rejected',
+      'activated',
+      'submission_late',
+      'completed',
+      'unallocated_refunded',
+      'refund_failed'
+    ),
+    allowNull: false
+  },
+  details: {
+    type: DataTypes.JSON,
+    allowNull: true
+  }
+}, {
+  tableName: 'campaign_lifecycle_events',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['campaign_id', 'created_at']
+    }
+  ]
+});
+
+// Class methods
+CampaignLifecycleEvent.associate = (models) => {
+  CampaignLifecycleEvent.belongsTo(models.Campaign, {
+    foreignKey: 'campaignId',
+    as: 'campaign'
+  });
+
+  CampaignLifecycleEvent.belongsTo(models.CampaignApplication, {
+    foreignKey: 'applicationId',
+    as: 'application'
+  });
+};
+
+module.exports = CampaignLifecycleEvent;
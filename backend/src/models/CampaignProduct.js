@@ -0,0 +1,88 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * A physical product a campaign seeds to influencers (gifted or part-paid in product).
+ * Variants are `{ sku, name }` entries; influencers pick one when requesting a shipment.
+ */
+const CampaignProduct = sequelize.define('CampaignProduct', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  campaignId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'campaign_id',
+    references: {
+      model: 'campaigns',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING(200),
+    allowNull: false,
+    validate: {
+      len: [1, 200]
+    }
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  imageUrl: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'image_url'
+  },
+  retailValue: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    field: 'retail_value',
+    comment: 'Value of one unit, counted towards the influencer compensation'
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'USD'
+  },
+  variants: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Array of { sku, name }, e.g. sizes or colours'
+  }
+}, {
+  tableName: 'campaign_products',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['campaign_id']
+    }
+  ]
+});
+
+// Instance methods
+CampaignProduct.prototype.findVariant = function(sku) {
+  return (this.variants || []).find(variant => variant.sku === sku) || null;
+};
+
+// Class methods
+CampaignProduct.associate = (models) => {
+  CampaignProduct.belongsTo(models.Campaign, {
+    foreignKey: 'campaignId',
+    as: 'campaign'
+  });
+
+  if (models.Shipment) {
+    CampaignProduct.hasMany(models.Shipment, {
+      foreignKey: 'productId',
+      as: 'shipments'
+    });
+  }
+};
+
+module.exports = CampaignProduct;
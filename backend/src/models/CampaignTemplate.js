@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * A brand's saved campaign setup (brief, guidelines, prohibited content, UTM
+ * parameters, niches...) reused for recurring campaigns. Timeline dates are kept
+ * as day offsets from the start date so they can be laid on any new start date.
+ */
+const CampaignTemplate = sequelize.define('CampaignTemplate', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  brandId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'brand_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  sourceCampaignId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'source_campaign_id',
+    references: {
+      model: 'campaigns',
+      key: 'id'
+    },
+    comment: 'Campaign the template was saved from, if any'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: [1, 100]
+    }
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  settings: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Campaign field values copied into new campaigns'
+  },
+  timelineOffsets: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    field: 'timeline_offsets',
+    comment: 'Days from the start date: { applicationDeadline, contentSubmissionDeadline, campaignEndDate }'
+  }
+}, {
+  tableName: 'campaign_templates',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['brand_id', 'name']
+    }
+  ]
+});
+
+// Class methods
+CampaignTemplate.associate = (models) => {
+  CampaignTemplate.belongsTo(models.User, {
+    foreignKey: 'brandId',
+    as: 'brand'
+  });
+
+  CampaignTemplate.belongsTo(models.Campaign, {
+    foreignKey: 'sourceCampaignId',
+    as: 'sourceCampaign'
+  });
+};
+
+module.exports = CampaignTemplate;
@@ -0,0 +1,104 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * An order from the brand's store attributed to a promo code, received signed
+ * from the store or imported from an order export. Order ids are unique per campaign.
+ */
+const Conversion = sequelize.define('Conversion', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  campaignId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'campaign_id',
+    references: {
+      model: 'campaigns',
+      key: 'id'
+    }
+  },
+  promoCodeId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'promo_code_id',
+    references: {
+      model: 'promo_codes',
+      key: 'id'
+    }
+  },
+  applicationId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'application_id',
+    references: {
+      model: 'campaign_applications',
+      key: 'id'
+    }
+  },
+  orderId: {
+    type: DataTypes.STRING(128),
+    allowNull: false,
+    field: 'order_id'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    comment: 'Order value in the store currency'
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  campaignAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    field: 'campaign_amount',
+    comment: 'Order value converted to the campaign currency'
+  },
+  source: {
+    type: DataTypes.ENUM('webhook', 'csv'),
+    allowNull: false
+  },
+  occurredAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'occurred_at'
+  }
+}, {
+  tableName: 'conversions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['campaign_id', 'order_id']
+    },
+    {
+      fields: ['application_id']
+    }
+  ]
+});
+
+// Class methods
+Conversion.associate = (models) => {
+  Conversion.belongsTo(models.Campaign, {
+    foreignKey: 'campaignId',
+    as: 'campaign'
+  });
+
+  Conversion.belongsTo(models.PromoCode, {
+    foreignKey: 'promoCodeId',
+    as: 'promoCode'
+  });
+
+  Conversion.belongsTo(models.CampaignApplication, {
+    foreignKey: 'applicationId',
+    as: 'application'
+  });
+};
+
+module.exports = Conversion;
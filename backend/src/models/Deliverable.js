@@ -0,0 +1,131 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * A piece of content an influencer owes on an application (one post, reel, video...).
+ * Each submission round is kept as a DeliverableVersion; status follows the latest one.
+ */
+const Deliverable = sequelize.define('Deliverable', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  campaignId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'campaign_id',
+    references: {
+      model: 'campaigns',
+      key: 'id'
+    }
+  },
+  influencerId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'influencer_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  applicationId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'application_id',
+    references: {
+      model: 'campaign_applications',
+      key: 'id'
+    }
+  },
+  title: {
+    type: DataTypes.STRING(200),
+    allowNull: true
+  },
+  platform: {
+    type: DataTypes.ENUM('instagram', 'tiktok', 'youtube', 'twitter', 'facebook', 'linkedin', 'snapchat', 'pinterest', 'twitch'),
+    allowNull: false
+  },
+  contentType: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    field: 'content_type',
+    comment: 'post, story, reel, video...'
+  },
+  status: {
+    type: DataTypes.ENUM('submitted', 'needs_revision', 'approved', 'rejected', 'published'),
+    allowNull: false,
+    defaultValue: 'submitted'
+  },
+  currentVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    field: 'current_version'
+  },
+  contentUrl: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    field: 'content_url',
+    comment: 'URL of the published content'
+  },
+  approvalDate: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'approval_date'
+  },
+  publishDate: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'publish_date'
+  }
+}, {
+  tableName: 'campaign_deliverables',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['application_id']
+    },
+    {
+      fields: ['campaign_id']
+    },
+    {
+      fields: ['influencer_id']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+// Class methods
+Deliverable.associate = (models) => {
+  Deliverable.belongsTo(models.CampaignApplication, {
+    foreignKey: 'applicationId',
+    as: 'application'
+  });
+
+  Deliverable.belongsTo(models.Campaign, {
+    foreignKey: 'campaignId',
+    as: 'campaign'
+  });
+
+  Deliverable.belongsTo(models.User, {
+    foreignKey: 'influencerId',
+    as: 'influencer'
+  });
+
+  Deliverable.hasMany(models.DeliverableVersion, {
+    foreignKey: 'deliverableId',
+    as: 'versions'
+  });
+
+  Deliverable.hasMany(models.DeliverableComment, {
+    foreignKey: 'deliverableId',
+    as: 'comments'
+  });
+};
+
+module.exports = Deliverable;
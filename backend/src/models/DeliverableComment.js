@@ -0,0 +1,103 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Review feedback on a deliverable version, optionally anchored to one of its
+ * assets and, for video, to a moment in it
+ */
+const DeliverableComment = sequelize.define('DeliverableComment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  deliverableId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'deliverable_id',
+    references: {
+      model: 'campaign_deliverables',
+      key: 'id'
+    }
+  },
+  versionId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'version_id',
+    references: {
+      model: 'deliverable_versions',
+      key: 'id'
+    }
+  },
+  authorId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'author_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  authorRole: {
+    type: DataTypes.ENUM('brand', 'influencer', 'admin'),
+    allowNull: false,
+    field: 'author_role'
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      len: [1, 2000]
+    }
+  },
+  assetId: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    field: 'asset_id',
+    comment: 'id of an asset in the version, null for feedback on the whole version'
+  },
+  timestampSeconds: {
+    type: DataTypes.DECIMAL(10, 3),
+    allowNull: true,
+    field: 'timestamp_seconds',
+    comment: 'Position in a video asset the comment refers to'
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'resolved_at'
+  }
+}, {
+  tableName: 'deliverable_comments',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['version_id', 'created_at']
+    },
+    {
+      fields: ['deliverable_id']
+    }
+  ]
+});
+
+// Class methods
+DeliverableComment.associate = (models) => {
+  DeliverableComment.belongsTo(models.Deliverable, {
+    foreignKey: 'deliverableId',
+    as: 'deliverable'
+  });
+
+  DeliverableComment.belongsTo(models.DeliverableVersion, {
+    foreignKey: 'versionId',
+    as: 'version'
+  });
+
+  DeliverableComment.belongsTo(models.User, {
+    foreignKey: 'authorId',
+    as: 'author'
+  });
+};
+
+module.exports = DeliverableComment;
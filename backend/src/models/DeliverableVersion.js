@@ -0,0 +1,117 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * One submission round of a deliverable. Versions are never edited after
+ * submission apart from the brand's review, so earlier drafts stay comparable.
+ */
+const DeliverableVersion = sequelize.define('DeliverableVersion', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  deliverableId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'deliverable_id',
+    references: {
+      model: 'campaign_deliverables',
+      key: 'id'
+    }
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  caption: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  contentUrl: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    field: 'content_url',
+    comment: 'Draft or preview link, if the content is hosted elsewhere'
+  },
+  assets: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: '[{ id, uploadKey, fileName, contentType }] uploaded through /api/uploads'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Influencer notes on what changed in this round'
+  },
+  submittedBy: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'submitted_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('submitted', 'approved', 'needs_revision', 'rejected'),
+    allowNull: false,
+    defaultValue: 'submitted'
+  },
+  reviewSummary: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'review_summary'
+  },
+  reviewedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'reviewed_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'reviewed_at'
+  }
+}, {
+  tableName: 'deliverable_versions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['deliverable_id', 'version']
+    }
+  ]
+});
+
+// Instance methods
+DeliverableVersion.prototype.findAsset = function(assetId) {
+  return (this.assets || []).find(asset => asset.id === assetId) || null;
+};
+
+// Class methods
+DeliverableVersion.associate = (models) => {
+  DeliverableVersion.belongsTo(models.Deliverable, {
+    foreignKey: 'deliverableId',
+    as: 'deliverable'
+  });
+
+  DeliverableVersion.belongsTo(models.User, {
+    foreignKey: 'submittedBy',
+    as: 'submitter'
+  });
+
+  DeliverableVersion.hasMany(models.DeliverableComment, {
+    foreignKey: 'versionId',
+    as: 'comments'
+  });
+};
+
+module.exports = DeliverableVersion;
@@ -0,0 +1,235 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const DISPUTE_TYPES = [
+  'content_not_delivered',
+  'content_quality',
+  'payment_delay',
+  'breach_of_contract',
+  'other'
+];
+
+const RESOLVED_STATUSES = ['resolved_refund', 'resolved_release', 'split'];
+
+/**
+ * Allowed status changes:
+ * opened -> evidence_requested -> under_review -> resolved_refund | resolved_release | split
+ * (admins may skip straight to review, or ask for more evidence during review)
+ */
+const DISPUTE_TRANSITIONS = {
+  opened: ['evidence_requested', 'under_review'],
+  evidence_requested: ['under_review'],
+  under_review: ['evidence_requested', ...RESOLVED_STATUSES]
+};
+
+const Dispute = sequelize.define('Dispute', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  escrowId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'escrow_id',
+    references: {
+      model: 'escrows',
+      key: 'id'
+    }
+  },
+  campaignId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'campaign_id',
+    references: {
+      model: 'campaigns',
+      key: 'id'
+    }
+  },
+  applicationId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'application_id',
+    references: {
+      model: 'campaign_applications',
+      key: 'id'
+    }
+  },
+  brandId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'brand_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  influencerId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'influencer_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  openedBy: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'opened_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  disputeType: {
+    type: DataTypes.ENUM(...DISPUTE_TYPES),
+    allowNull: false,
+    field: 'dispute_type'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('opened', 'evidence_requested', 'under_review', ...RESOLVED_STATUSES),
+    allowNull: false,
+    defaultValue: 'opened'
+  },
+  frozenAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    field: 'frozen_amount',
+    comment: 'Outstanding allocation of the disputed application (or the unallocated balance) moved to dispute_hold when the dispute was opened'
+  },
+  holdEntryId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'hold_entry_id',
+    comment: 'Ledger entry that froze the disputed funds'
+  },
+  evidenceRequestNote: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'evidence_request_note'
+  },
+  evidenceDueAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'evidence_due_at'
+  },
+  refundAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    field: 'refund_amount'
+  },
+  releaseAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    field: 'release_amount'
+  },
+  resolutionNotes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'resolution_notes'
+  },
+  resolvedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'resolved_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'resolved_at'
+  }
+}, {
+  tableName: 'disputes',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['escrow_id']
+    },
+    {
+      fields: ['application_id']
+    },
+    {
+      fields: ['brand_id']
+    },
+    {
+      fields: ['influencer_id']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+// Instance methods
+Dispute.prototype.isOpen = function() {
+  return !RESOLVED_STATUSES.includes(this.status);
+};
+
+Dispute.prototype.canTransitionTo = function(status) {
+  return (DISPUTE_TRANSITIONS[this.status] || []).includes(status);
+};
+
+Dispute.prototype.isParty = function(userId) {
+  return this.brandId === userId || this.influencerId === userId;
+};
+
+// Class methods
+Dispute.associate = (models) => {
+  Dispute.belongsTo(models.Escrow, {
+    foreignKey: 'escrowId',
+    as: 'escrow'
+  });
+
+  Dispute.belongsTo(models.Campaign, {
+    foreignKey: 'campaignId',
+    as: 'campaign'
+  });
+
+  Dispute.belongsTo(models.CampaignApplication, {
+    foreignKey: 'applicationId',
+    as: 'application'
+  });
+
+  Dispute.belongsTo(models.User, {
+    foreignKey: 'brandId',
+    as: 'brand'
+  });
+
+  Dispute.belongsTo(models.User, {
+    foreignKey: 'influencerId',
+    as: 'influencer'
+  });
+
+  Dispute.hasMany(models.DisputeEvidence, {
+    foreignKey: 'disputeId',
+    as: 'evidence'
+  });
+
+  Dispute.hasMany(models.DisputeMessage, {
+    foreignKey: 'disputeId',
+    as: 'messages'
+  });
+};
+
+/**
+ * Disputes not yet resolved, e.g. findOpen({ escrowId }) or findOpen({ applicationId })
+ */
+Dispute.findOpen = async function(where, options = {}) {
+  return this.findAll({ where: { ...where, status: { [Op.notIn]: RESOLVED_STATUSES } }, ...options });
+};
+
+Dispute.DISPUTE_TYPES = DISPUTE_TYPES;
+Dispute.RESOLVED_STATUSES = RESOLVED_STATUSES;
+
+module.exports = Dispute;
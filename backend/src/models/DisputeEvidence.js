@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const DisputeEvidence = sequelize.define('DisputeEvidence', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  disputeId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'dispute_id',
+    references: {
+      model: 'disputes',
+      key: 'id'
+    }
+  },
+  submittedBy: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'submitted_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  uploadKey: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    field: 'upload_key',
+    comment: 'S3 key of a file uploaded through /api/uploads'
+  },
+  fileName: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    field: 'file_name'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'dispute_evidence',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['dispute_id']
+    }
+  ]
+});
+
+// Class methods
+DisputeEvidence.associate = (models) => {
+  DisputeEvidence.belongsTo(models.Dispute, {
+    foreignKey: 'disputeId',
+    as: 'dispute'
+  });
+
+  DisputeEvidence.belongsTo(models.User, {
+    foreignKey: 'submittedBy',
+    as: 'submitter'
+  });
+};
+
+module.exports = DisputeEvidence;
@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const DisputeMessage = sequelize.define('DisputeMessage', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  disputeId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'dispute_id',
+    references: {
+      model: 'disputes',
+      key: 'id'
+    }
+  },
+  senderId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'sender_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  senderRole: {
+    type: DataTypes.ENUM('brand', 'influencer', 'admin'),
+    allowNull: false,
+    field: 'sender_role'
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      len: [1, 5000]
+    }
+  },
+  isSystem: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'is_system',
+    comment: 'Status change notices posted by the platform'
+  }
+}, {
+  tableName: 'dispute_messages',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['dispute_id', 'created_at']
+    }
+  ]
+});
+
+// Class methods
+DisputeMessage.associate = (models) => {
+  DisputeMessage.belongsTo(models.Dispute, {
+    foreignKey: 'disputeId',
+    as: 'dispute'
+  });
+
+  DisputeMessage.belongsTo(models.User, {
+    foreignKey: 'senderId',
+    as: 'sender'
+  });
+};
+
+module.exports = DisputeMessage;
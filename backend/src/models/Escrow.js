@@ -0,0 +1,180 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Escrow = sequelize.define('Escrow', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  campaignId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'campaign_id',
+    references: {
+      model: 'campaigns',
+      key: 'id'
+    }
+  },
+  brandId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'brand_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  paymentIntentId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    field: 'payment_intent_id',
+    comment: 'Stripe Payment Intent ID (the escrowId exposed to clients)'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'Amount the brand committed to the escrow'
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'USD'
+  },
+  // Running balances, mirroring wallets.balance / wallets.escrow_balance
+  heldBalance: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'held_balance',
+    comment: 'Funded amount still held for the campaign'
+  },
+  releasedAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'released_amount'
+  },
+  refundedAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'refunded_amount'
+  },
+  status: {
+    type: DataTypes.ENUM('pending_payment', 'funded', 'partially_released', 'released', 'refunded', 'disputed', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'pending_payment'
+  },
+  fundedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'funded_at'
+  },
+  fundingFxSnapshotId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'funding_fx_snapshot_id',
+    references: {
+      model: 'fx_rate_snapshots',
+      key: 'id'
+    },
+    comment: 'FX rates in force when the escrow was funded'
+  },
+  closedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'closed_at'
+  }
+}, {
+  tableName: 'escrows',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['campaign_id']
+    },
+    {
+      fields: ['brand_id']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+// Class methods
+Escrow.associate = (models) => {
+  Escrow.belongsTo(models.Campaign, {
+    foreignKey: 'campaignId',
+    as: 'campaign'
+  });
+
+  Escrow.belongsTo(models.User, {
+    foreignKey: 'brandId',
+    as: 'brand'
+  });
+
+  if (models.FxRateSnapshot) {
+    Escrow.belongsTo(models.FxRateSnapshot, {
+      foreignKey: 'fundingFxSnapshotId',
+      as: 'fundingFxSnapshot'
+    });
+  }
+
+  if (models.EscrowTransaction) {
+    Escrow.hasMany(models.EscrowTransaction, {
+      foreignKey: 'escrowId',
+      as: 'transactions'
+    });
+  }
+
+  if (models.Payout) {
+    Escrow.hasMany(models.Payout, {
+      foreignKey: 'escrowId',
+      as: 'payouts'
+    });
+  }
+
+  if (models.EscrowAllocation) {
+    Escrow.hasMany(models.EscrowAllocation, {
+      foreignKey: 'escrowId',
+      as: 'allocations'
+    });
+  }
+
+  if (models.Dispute) {
+    Escrow.hasMany(models.Dispute, {
+      foreignKey: 'escrowId',
+      as: 'disputes'
+    });
+  }
+};
+
+Escrow.findByPaymentIntent = async function(paymentIntentId, options = {}) {
+  return this.findOne({ where: { paymentIntentId }, ...options });
+};
+
+/**
+ * FX rates snapshotted at funding, keyed by campaign ID (campaigns without a funded escrow are left out)
+ */
+Escrow.getFundingRatesByCampaign = async function(campaignIds) {
+  if (!campaignIds.length) {
+    return {};
+  }
+
+  const escrows = await this.findAll({
+    where: { campaignId: campaignIds },
+    include: [{ association: 'fundingFxSnapshot', required: true, attributes: ['rates'] }],
+    attributes: ['campaignId']
+  });
+
+  return escrows.reduce((ratesByCampaign, escrow) => {
+    ratesByCampaign[escrow.campaignId] = escrow.fundingFxSnapshot.rates;
+    return ratesByCampaign;
+  }, {});
+};
+
+module.exports = Escrow;
@@ -0,0 +1,112 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const EscrowAllocation = sequelize.define('EscrowAllocation', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  escrowId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'escrow_id',
+    references: {
+      model: 'escrows',
+      key: 'id'
+    }
+  },
+  applicationId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true,
+    field: 'application_id',
+    references: {
+      model: 'campaign_applications',
+      key: 'id'
+    }
+  },
+  influencerId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'influencer_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    },
+    comment: 'Share of the escrow reserved for this application'
+  },
+  releasedAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'released_amount'
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'USD'
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'released', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'active'
+  }
+}, {
+  tableName: 'escrow_allocations',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['escrow_id']
+    },
+    {
+      unique: true,
+      fields: ['application_id']
+    },
+    {
+      fields: ['influencer_id']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+// Instance methods
+EscrowAllocation.prototype.getRemainingAmount = function() {
+  return Math.round((parseFloat(this.amount) - parseFloat(this.releasedAmount)) * 100) / 100;
+};
+
+// Class methods
+EscrowAllocation.associate = (models) => {
+  EscrowAllocation.belongsTo(models.Escrow, {
+    foreignKey: 'escrowId',
+    as: 'escrow'
+  });
+
+  EscrowAllocation.belongsTo(models.CampaignApplication, {
+    foreignKey: 'applicationId',
+    as: 'application'
+  });
+
+  EscrowAllocation.belongsTo(models.User, {
+    foreignKey: 'influencerId',
+    as: 'influencer'
+  });
+
+  EscrowAllocation.hasMany(models.EscrowMilestone, {
+    foreignKey: 'allocationId',
+    as: 'milestones'
+  });
+};
+
+module.exports = EscrowAllocation;
@@ -0,0 +1,122 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Milestone triggers:
+ * - manual: released when the brand approves the milestone
+ * - content_approved: approved when the application's contentApprovalStatus becomes approved
+ * Either can wait releaseDelayDays after approval (e.g. "post live 7 days").
+ */
+const MILESTONE_TRIGGERS = ['manual', 'content_approved'];
+
+const EscrowMilestone = sequelize.define('EscrowMilestone', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  allocationId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'allocation_id',
+    references: {
+      model: 'escrow_allocations',
+      key: 'id'
+    }
+  },
+  title: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    validate: {
+      len: [1, 255]
+    }
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    }
+  },
+  sortOrder: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'sort_order'
+  },
+  trigger: {
+    type: DataTypes.ENUM(...MILESTONE_TRIGGERS),
+    allowNull: false,
+    defaultValue: 'manual'
+  },
+  releaseDelayDays: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'release_delay_days',
+    validate: {
+      min: 0,
+      max: 90
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'approved', 'released', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  approvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'approved_at'
+  },
+  releasableAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'releasable_at',
+    comment: 'Approval time plus the release delay'
+  },
+  releasedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'released_at'
+  },
+  payoutId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'payout_id',
+    references: {
+      model: 'payouts',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'escrow_milestones',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['allocation_id']
+    },
+    {
+      fields: ['status', 'releasable_at']
+    }
+  ]
+});
+
+// Class methods
+EscrowMilestone.associate = (models) => {
+  EscrowMilestone.belongsTo(models.EscrowAllocation, {
+    foreignKey: 'allocationId',
+    as: 'allocation'
+  });
+
+  EscrowMilestone.belongsTo(models.Payout, {
+    foreignKey: 'payoutId',
+    as: 'payout'
+  });
+};
+
+EscrowMilestone.TRIGGERS = MILESTONE_TRIGGERS;
+
+module.exports = EscrowMilestone;
@@ -0,0 +1,179 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Ledger accounts (platform books):
+ * - processor_clearing: cash held at the payment processor (asset)
+ * - escrow_liability: funds held on behalf of a campaign (liability)
+ * - dispute_hold: escrowed funds frozen by a dispute (liability)
+ * - influencer_payable: released funds owed to an influencer (liability)
+ * - platform_revenue: platform commission earned (income)
+ */
+const LEDGER_ACCOUNTS = [
+  'processor_clearing',
+  'escrow_liability',
+  'dispute_hold',
+  'influencer_payable',
+  'platform_revenue'
+];
+
+const EscrowTransaction = sequelize.define('EscrowTransaction', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  escrowId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'escrow_id',
+    references: {
+      model: 'escrows',
+      key: 'id'
+    }
+  },
+  entryId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'entry_id',
+    comment: 'Groups the debit and credit legs of one balanced journal entry'
+  },
+  account: {
+    type: DataTypes.ENUM(...LEDGER_ACCOUNTS),
+    allowNull: false
+  },
+  direction: {
+    type: DataTypes.ENUM('debit', 'credit'),
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0.01
+    }
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'USD'
+  },
+  type: {
+    type: DataTypes.ENUM(
+      'deposit',
+      'withdrawal',
+      'escrow_hold',
+      'escrow_release',
+      'payment',
+      'refund',
+      'commission',
+      'processor_fee',
+      'fee_waiver',
+      'dispute_hold',
+      'dispute_release'
+    ),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'completed', 'failed', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'user_id',
+    comment: 'Counterparty (brand or influencer) the leg relates to'
+  },
+  referenceId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'reference_id',
+    comment: 'campaign_id, application_id, payout_id, etc.'
+  },
+  referenceType: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'reference_type'
+  },
+  paymentGateway: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    defaultValue: 'stripe',
+    field: 'payment_gateway'
+  },
+  gatewayTransactionId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'gateway_transaction_id'
+  },
+  gatewayResponse: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    field: 'gateway_response'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'escrow_transactions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['escrow_id']
+    },
+    {
+      fields: ['entry_id']
+    },
+    {
+      fields: ['account']
+    },
+    {
+      fields: ['type']
+    },
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['created_at']
+    }
+  ]
+});
+
+// Class methods
+EscrowTransaction.associate = (models) => {
+  EscrowTransaction.belongsTo(models.Escrow, {
+    foreignKey: 'escrowId',
+    as: 'escrow'
+  });
+
+  EscrowTransaction.belongsTo(models.User, {
+    foreignKey: 'userId',
+    as: 'user'
+  });
+};
+
+/**
+ * Balance of a ledger account from completed legs (debits positive)
+ */
+EscrowTransaction.getAccountBalance = async function(account, where = {}) {
+  const rows = await this.findAll({
+    where: { ...where, account, status: 'completed' },
+    attributes: ['direction', 'amount'],
+    raw: true
+  });
+
+  const cents = rows.reduce((total, row) => {
+    const value = Math.round(parseFloat(row.amount) * 100);
+    return row.direction === 'debit' ? total + value : total - value;
+  }, 0);
+
+  return cents / 100;
+};
+
+EscrowTransaction.LEDGER_ACCOUNTS = LEDGER_ACCOUNTS;
+
+module.exports = EscrowTransaction;
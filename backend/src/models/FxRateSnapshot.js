@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * A set of FX rates as fetched from the provider, kept so amounts can later be
+ * converted at the rates in force when an escrow was funded or a payout was made
+ */
+const FxRateSnapshot = sequelize.define('FxRateSnapshot', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  provider: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  baseCurrency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    field: 'base_currency'
+  },
+  rates: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: 'Units of each currency per one unit of the base currency'
+  },
+  ratesAsOf: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'rates_as_of'
+  }
+}, {
+  tableName: 'fx_rate_snapshots',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['provider', 'base_currency', 'rates_as_of']
+    }
+  ]
+});
+
+module.exports = FxRateSnapshot;
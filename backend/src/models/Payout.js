@@ -0,0 +1,162 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Payout = sequelize.define('Payout', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  escrowId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'escrow_id',
+    references: {
+      model: 'escrows',
+      key: 'id'
+    }
+  },
+  applicationId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'application_id',
+    references: {
+      model: 'campaign_applications',
+      key: 'id'
+    }
+  },
+  influencerId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'influencer_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  grossAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    field: 'gross_amount',
+    comment: 'Amount released from escrow before platform fees'
+  },
+  platformFee: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'platform_fee'
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'Net amount owed to the influencer'
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'USD'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'processing', 'paid', 'failed', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  reason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  paymentGateway: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    defaultValue: 'stripe',
+    field: 'payment_gateway'
+  },
+  gatewayTransferId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'gateway_transfer_id'
+  },
+  failureReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'failure_reason'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Transfer attempts made so far'
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'next_attempt_at',
+    comment: 'When a failed transfer is retried; null once retries are exhausted'
+  },
+  paidAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'paid_at'
+  },
+  fxSnapshotId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'fx_snapshot_id',
+    references: {
+      model: 'fx_rate_snapshots',
+      key: 'id'
+    },
+    comment: 'FX rates in force when the payout was transferred'
+  }
+}, {
+  tableName: 'payouts',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['escrow_id']
+    },
+    {
+      fields: ['influencer_id']
+    },
+    {
+      fields: ['application_id']
+    },
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['status', 'next_attempt_at']
+    }
+  ]
+});
+
+// Class methods
+Payout.associate = (models) => {
+  Payout.belongsTo(models.Escrow, {
+    foreignKey: 'escrowId',
+    as: 'escrow'
+  });
+
+  Payout.belongsTo(models.User, {
+    foreignKey: 'influencerId',
+    as: 'influencer'
+  });
+
+  if (models.FxRateSnapshot) {
+    Payout.belongsTo(models.FxRateSnapshot, {
+      foreignKey: 'fxSnapshotId',
+      as: 'fxSnapshot'
+    });
+  }
+
+  if (models.CampaignApplication) {
+    Payout.belongsTo(models.CampaignApplication, {
+      foreignKey: 'applicationId',
+      as: 'application'
+    });
+  }
+};
+
+module.exports = Payout;
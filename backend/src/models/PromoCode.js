@@ -0,0 +1,105 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * A discount code handed to one approved application of a conversions campaign.
+ * Orders placed with the code are attributed to the influencer.
+ */
+const PromoCode = sequelize.define('PromoCode', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  code: {
+    type: DataTypes.STRING(32),
+    allowNull: false,
+    comment: 'Upper-case, unique within the campaign'
+  },
+  campaignId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'campaign_id',
+    references: {
+      model: 'campaigns',
+      key: 'id'
+    }
+  },
+  applicationId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true,
+    field: 'application_id',
+    references: {
+      model: 'campaign_applications',
+      key: 'id'
+    }
+  },
+  influencerId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'influencer_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  conversionCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'conversion_count'
+  },
+  revenue: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Attributed order value in the campaign currency'
+  },
+  lastConversionAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_conversion_at'
+  }
+}, {
+  tableName: 'promo_codes',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['campaign_id', 'code']
+    },
+    {
+      fields: ['influencer_id']
+    }
+  ]
+});
+
+// Class methods
+PromoCode.associate = (models) => {
+  PromoCode.belongsTo(models.Campaign, {
+    foreignKey: 'campaignId',
+    as: 'campaign'
+  });
+
+  PromoCode.belongsTo(models.CampaignApplication, {
+    foreignKey: 'applicationId',
+    as: 'application'
+  });
+
+  PromoCode.belongsTo(models.User, {
+    foreignKey: 'influencerId',
+    as: 'influencer'
+  });
+
+  if (models.Conversion) {
+    PromoCode.hasMany(models.Conversion, {
+      foreignKey: 'promoCodeId',
+      as: 'conversions'
+    });
+  }
+};
+
+module.exports = PromoCode;
@@ -0,0 +1,95 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * A user's saved influencer or campaign search. The alert job re-runs it at the
+ * chosen frequency and emails the matches that weren't in the previous run.
+ */
+const SavedSearch = sequelize.define('SavedSearch', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'user_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('influencers', 'campaigns'),
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  filters: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Filter query parameters as accepted by /api/search/influencers or /api/search/campaigns'
+  },
+  frequency: {
+    type: DataTypes.ENUM('daily', 'weekly', 'off'),
+    allowNull: false,
+    defaultValue: 'weekly'
+  },
+  seenIds: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    field: 'seen_ids',
+    comment: 'Result ids of the last run; anything else matching next time is new'
+  },
+  lastRunAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_run_at'
+  },
+  lastNotifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_notified_at'
+  },
+  unsubscribeToken: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true,
+    field: 'unsubscribe_token'
+  }
+}, {
+  tableName: 'saved_searches',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['user_id']
+    },
+    {
+      fields: ['frequency', 'last_run_at']
+    }
+  ]
+});
+
+SavedSearch.prototype.toJSON = function() {
+  const values = Object.assign({}, this.get());
+  delete values.seenIds;
+  delete values.unsubscribeToken;
+  return values;
+};
+
+// Class methods
+SavedSearch.associate = (models) => {
+  SavedSearch.belongsTo(models.User, {
+    foreignKey: 'userId',
+    as: 'user'
+  });
+};
+
+module.exports = SavedSearch;
@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * One search request, logged anonymously (no user, IP or session) for trending
+ * terms, zero-result reports and learned suggestions.
+ */
+const SearchLog = sequelize.define('SearchLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  type: {
+    type: DataTypes.ENUM('campaigns', 'influencers', 'global'),
+    allowNull: false
+  },
+  query: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Query as typed'
+  },
+  normalizedQuery: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'normalized_query',
+    comment: 'Lowercased, whitespace-collapsed query that trending and suggestions group on'
+  },
+  filters: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: {}
+  },
+  resultCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'result_count'
+  },
+  clickedResultId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'clicked_result_id'
+  },
+  clickedPosition: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'clicked_position',
+    comment: '1-based position of the clicked result'
+  },
+  clickedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'clicked_at'
+  }
+}, {
+  tableName: 'search_logs',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['created_at']
+    },
+    {
+      // Prefix (LIKE 'abc%') lookups for suggestions
+      fields: [{ name: 'normalized_query', operator: 'text_pattern_ops' }]
+    }
+  ]
+});
+
+module.exports = SearchLog;
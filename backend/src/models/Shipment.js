@@ -0,0 +1,148 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * A campaign product sent to an accepted influencer. The address is collected
+ * once the application is accepted; the status follows the carrier's tracking.
+ */
+const Shipment = sequelize.define('Shipment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  campaignId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'campaign_id',
+    references: {
+      model: 'campaigns',
+      key: 'id'
+    }
+  },
+  applicationId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'application_id',
+    references: {
+      model: 'campaign_applications',
+      key: 'id'
+    }
+  },
+  influencerId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'influencer_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  productId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'product_id',
+    references: {
+      model: 'campaign_products',
+      key: 'id'
+    }
+  },
+  variantSku: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    field: 'variant_sku'
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: 1
+    }
+  },
+  shippingAddress: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    field: 'shipping_address',
+    comment: '{ name, line1, line2, city, region, postalCode, country, phone }'
+  },
+  status: {
+    type: DataTypes.ENUM('awaiting_shipment', 'shipped', 'in_transit', 'out_for_delivery', 'delivered', 'exception', 'returned'),
+    allowNull: false,
+    defaultValue: 'awaiting_shipment'
+  },
+  carrier: {
+    type: DataTypes.STRING(32),
+    allowNull: true
+  },
+  trackingNumber: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    field: 'tracking_number'
+  },
+  trackingEvents: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    field: 'tracking_events',
+    comment: 'Carrier scan events, oldest first: { status, description, location, occurredAt }'
+  },
+  shippedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'shipped_at'
+  },
+  deliveredAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'delivered_at'
+  },
+  lastCheckedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_checked_at',
+    comment: 'Last time the carrier adapter was asked for tracking'
+  }
+}, {
+  tableName: 'shipments',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['application_id', 'product_id']
+    },
+    {
+      fields: ['campaign_id']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+// Class methods
+Shipment.associate = (models) => {
+  Shipment.belongsTo(models.Campaign, {
+    foreignKey: 'campaignId',
+    as: 'campaign'
+  });
+
+  Shipment.belongsTo(models.CampaignApplication, {
+    foreignKey: 'applicationId',
+    as: 'application'
+  });
+
+  Shipment.belongsTo(models.CampaignProduct, {
+    foreignKey: 'productId',
+    as: 'product'
+  });
+
+  Shipment.belongsTo(models.User, {
+    foreignKey: 'influencerId',
+    as: 'influencer'
+  });
+};
+
+module.exports = Shipment;
@@ -0,0 +1,123 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Stripe statuses that still grant the tier's features
+const ENTITLED_STATUSES = ['trialing', 'active', 'past_due'];
+
+/**
+ * A brand's Stripe subscription to a paid tier, kept in sync by webhooks
+ */
+const Subscription = sequelize.define('Subscription', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'user_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  tier: {
+    type: DataTypes.ENUM('basic', 'pro', 'enterprise'),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('incomplete', 'incomplete_expired', 'trialing', 'active', 'past_due', 'canceled', 'unpaid'),
+    allowNull: false,
+    defaultValue: 'incomplete'
+  },
+  stripeSubscriptionId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true,
+    field: 'stripe_subscription_id'
+  },
+  stripeCustomerId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'stripe_customer_id'
+  },
+  stripePriceId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'stripe_price_id'
+  },
+  currentPeriodStart: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'current_period_start'
+  },
+  currentPeriodEnd: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'current_period_end'
+  },
+  cancelAtPeriodEnd: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'cancel_at_period_end'
+  },
+  canceledAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'canceled_at'
+  },
+  cancellationReason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'cancellation_reason'
+  }
+}, {
+  tableName: 'subscriptions',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['user_id']
+    },
+    {
+      unique: true,
+      fields: ['stripe_subscription_id']
+    },
+    {
+      fields: ['stripe_customer_id']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+Subscription.ENTITLED_STATUSES = ENTITLED_STATUSES;
+
+// Instance methods
+Subscription.prototype.isEntitled = function() {
+  return ENTITLED_STATUSES.includes(this.status);
+};
+
+// Class methods
+/**
+ * The user's most recent subscription that still grants tier features
+ */
+Subscription.findEntitled = function(userId) {
+  return this.findOne({
+    where: { userId, status: { [Op.in]: ENTITLED_STATUSES } },
+    order: [['created_at', 'DESC']]
+  });
+};
+
+Subscription.associate = (models) => {
+  Subscription.belongsTo(models.User, {
+    foreignKey: 'userId',
+    as: 'user'
+  });
+};
+
+module.exports = Subscription;
@@ -0,0 +1,44 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Platform-wide settings stored as JSON values by key (fee rates, thresholds, etc.)
+ */
+const SystemSetting = sequelize.define('SystemSetting', {
+  key: {
+    type: DataTypes.STRING,
+    primaryKey: true
+  },
+  value: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  updatedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'updated_by',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'system_settings',
+  timestamps: true,
+  createdAt: false,
+  updatedAt: 'updated_at'
+});
+
+/**
+ * Get the values of several settings as a { key: value } map
+ */
+SystemSetting.getValues = async function(keys) {
+  const settings = await this.findAll({ where: { key: keys } });
+  return Object.fromEntries(settings.map(setting => [setting.key, setting.value]));
+};
+
+module.exports = SystemSetting;
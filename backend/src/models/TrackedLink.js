@@ -0,0 +1,109 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * A short link (/r/:code) handed to one approved application. It redirects to the
+ * campaign landing page tagged with UTM parameters identifying the influencer.
+ */
+const TrackedLink = sequelize.define('TrackedLink', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  code: {
+    type: DataTypes.STRING(16),
+    allowNull: false,
+    unique: true
+  },
+  campaignId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'campaign_id',
+    references: {
+      model: 'campaigns',
+      key: 'id'
+    }
+  },
+  applicationId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true,
+    field: 'application_id',
+    references: {
+      model: 'campaign_applications',
+      key: 'id'
+    }
+  },
+  influencerId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'influencer_id',
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  platform: {
+    type: DataTypes.ENUM('instagram', 'tiktok', 'youtube', 'twitter', 'facebook', 'linkedin', 'snapchat', 'pinterest', 'twitch'),
+    allowNull: false,
+    comment: 'Platform click metrics are attributed to in Analytics'
+  },
+  destinationUrl: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    field: 'destination_url',
+    comment: 'Landing page with UTM parameters'
+  },
+  clickCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'click_count',
+    comment: 'Human clicks, repeat clicks from the same visitor counted once per window'
+  },
+  botClickCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'bot_click_count'
+  },
+  lastClickedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_clicked_at'
+  }
+}, {
+  tableName: 'tracked_links',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['campaign_id']
+    },
+    {
+      fields: ['influencer_id']
+    }
+  ]
+});
+
+// Class methods
+TrackedLink.associate = (models) => {
+  TrackedLink.belongsTo(models.Campaign, {
+    foreignKey: 'campaignId',
+    as: 'campaign'
+  });
+
+  TrackedLink.belongsTo(models.CampaignApplication, {
+    foreignKey: 'applicationId',
+    as: 'application'
+  });
+
+  TrackedLink.belongsTo(models.User, {
+    foreignKey: 'influencerId',
+    as: 'influencer'
+  });
+};
+
+module.exports = TrackedLink;
@@ -0,0 +1,74 @@
+const { DataTypes, UniqueConstraintError } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * The counted click of one visitor on a tracked link in one repeat-click window.
+ * Its unique key decides which of several concurrent clicks is counted.
+ */
+const TrackedLinkVisit = sequelize.define('TrackedLinkVisit', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  linkId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'link_id',
+    references: {
+      model: 'tracked_links',
+      key: 'id'
+    }
+  },
+  visitorId: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    field: 'visitor_id',
+    comment: 'Hash of the link, IP address and user agent'
+  },
+  windowStart: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'window_start'
+  }
+}, {
+  tableName: 'tracked_link_visits',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['link_id', 'visitor_id', 'window_start']
+    }
+  ]
+});
+
+/**
+ * Claim a visitor's window on a link. True for the first click in the window only.
+ */
+TrackedLinkVisit.claim = async function({ linkId, visitorId, windowStart }, transaction = null) {
+  try {
+    const [, created] = await this.findOrCreate({
+      where: { linkId, visitorId, windowStart },
+      transaction
+    });
+    return created;
+  } catch (error) {
+    // A concurrent click from the same visitor won the insert
+    if (error instanceof UniqueConstraintError) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Class methods
+TrackedLinkVisit.associate = (models) => {
+  TrackedLinkVisit.belongsTo(models.TrackedLink, {
+    foreignKey: 'linkId',
+    as: 'link'
+  });
+};
+
+module.exports = TrackedLinkVisit;
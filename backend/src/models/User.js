@@ -71,6 +71,15 @@ const User = sequelize.define('User', {
     allowNull: true,
     field: 'avatar_url'
   },
+  // Profile text ranked by influencer search (name > niches > bio)
+  bio: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  niches: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
   status: {
     type: DataTypes.ENUM('active', 'inactive', 'suspended', 'pending'),
     defaultValue: 'pending'
@@ -79,6 +88,61 @@ const User = sequelize.define('User', {
     type: DataTypes.DATE,
     allowNull: true,
     field: 'last_login_at'
+  },
+  twoFactorEnabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    field: 'two_factor_enabled'
+  },
+  // Base32 TOTP secret; set during setup, only trusted once twoFactorEnabled is true
+  twoFactorSecret: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'two_factor_secret'
+  },
+  // SHA-256 hashes of unused backup codes
+  twoFactorBackupCodes: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'two_factor_backup_codes',
+    get() {
+      const value = this.getDataValue('twoFactorBackupCodes');
+      return value ? JSON.parse(value) : [];
+    },
+    set(value) {
+      this.setDataValue('twoFactorBackupCodes', value ? JSON.stringify(value) : null);
+    }
+  },
+  // Stripe Connect express account that receives influencer payouts
+  stripeAccountId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    unique: true,
+    field: 'stripe_account_id'
+  },
+  payoutsEnabled: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    field: 'payouts_enabled'
+  },
+  // Currency analytics and fee amounts are reported in
+  preferredCurrency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'USD',
+    field: 'preferred_currency'
+  },
+  // ISO 3166-1 alpha-2 country, matched against campaign region requirements
+  country: {
+    type: DataTypes.STRING(2),
+    allowNull: true
+  },
+  // Stripe customer billed for brand subscriptions
+  stripeCustomerId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    unique: true,
+    field: 'stripe_customer_id'
   }
 }, {
   tableName: 'users',
@@ -107,6 +171,8 @@ User.prototype.validatePassword = async function(password) {
 User.prototype.toJSON = function() {
   const values = Object.assign({}, this.get());
   delete values.passwordHash;
+  delete values.twoFactorSecret;
+  delete values.twoFactorBackupCodes;
   return values;
 };
 
@@ -151,6 +217,21 @@ User.associate = (models) => {
       as: 'refreshTokens'
     });
   }
+
+  // Brand users have subscriptions to paid tiers
+  if (models.Subscription) {
+    User.hasMany(models.Subscription, {
+      foreignKey: 'userId',
+      as: 'subscriptions'
+    });
+  }
+
+  if (models.SavedSearch) {
+    User.hasMany(models.SavedSearch, {
+      foreignKey: 'userId',
+      as: 'savedSearches'
+    });
+  }
 };
 
 module.exports = User;
\ No newline at end of file
@@ -0,0 +1,117 @@
+const { DataTypes, UniqueConstraintError } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A delivery still marked processing after this long is assumed to have crashed
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+const WebhookEvent = sequelize.define('WebhookEvent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  provider: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: 'stripe'
+  },
+  eventId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'event_id',
+    comment: 'Provider event id, used to ignore replayed deliveries'
+  },
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('processing', 'processed', 'failed'),
+    allowNull: false,
+    defaultValue: 'processing'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'last_error'
+  },
+  processedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'processed_at'
+  }
+}, {
+  tableName: 'webhook_events',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['provider', 'event_id']
+    },
+    {
+      fields: ['type']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+/**
+ * Claim an incoming event for processing.
+ * Returns { record, duplicate }; failed or stalled deliveries may be claimed again.
+ */
+WebhookEvent.claim = async function(event, provider = 'stripe') {
+  let record;
+  let created;
+
+  try {
+    [record, created] = await this.findOrCreate({
+      where: { provider, eventId: event.id },
+      defaults: { type: event.type }
+    });
+  } catch (error) {
+    // Concurrent delivery of the same event won the insert
+    if (error instanceof UniqueConstraintError) {
+      return { record: null, duplicate: true };
+    }
+    throw error;
+  }
+
+  if (created) {
+    return { record, duplicate: false };
+  }
+
+  const stalled = record.status === 'processing' &&
+    Date.now() - new Date(record.updated_at).getTime() > STALE_PROCESSING_MS;
+
+  if (record.status === 'failed' || stalled) {
+    await record.update({ status: 'processing', attempts: record.attempts + 1 });
+    return { record, duplicate: false };
+  }
+
+  return { record, duplicate: true };
+};
+
+/**
+ * Mark a claimed event as handled
+ */
+WebhookEvent.prototype.markProcessed = function() {
+  return this.update({ status: 'processed', processedAt: new Date(), lastError: null });
+};
+
+/**
+ * Mark a claimed event as failed so the provider's retry is processed
+ */
+WebhookEvent.prototype.markFailed = function(error) {
+  return this.update({ status: 'failed', lastError: error.message });
+};
+
+module.exports = WebhookEvent;
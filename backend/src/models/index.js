@@ -4,6 +4,36 @@ const CampaignApplication = require('./CampaignApplication');
 const SocialMediaAccount = require('./SocialMediaAccount');
 const Analytics = require('./Analytics');
 const RefreshToken = require('./RefreshToken');
+const Escrow = require('./Escrow');
+const EscrowTransaction = require('./EscrowTransaction');
+const Payout = require('./Payout');
+const WebhookEvent = require('./WebhookEvent');
+const EscrowAllocation = require('./EscrowAllocation');
+const EscrowMilestone = require('./EscrowMilestone');
+const Dispute = require('./Dispute');
+const DisputeEvidence = require('./DisputeEvidence');
+const DisputeMessage = require('./DisputeMessage');
+const SystemSetting = require('./SystemSetting');
+const Subscription = require('./Subscription');
+const FxRateSnapshot = require('./FxRateSnapshot');
+const ApplicationHistory = require('./ApplicationHistory');
+const Deliverable = require('./Deliverable');
+const DeliverableVersion = require('./DeliverableVersion');
+const DeliverableComment = require('./DeliverableComment');
+const ApplicationOffer = require('./ApplicationOffer');
+const CampaignInvitation = require('./CampaignInvitation');
+const CampaignLifecycleEvent = require('./CampaignLifecycleEvent');
+const CampaignTemplate = require('./CampaignTemplate');
+const TrackedLink = require('./TrackedLink');
+const TrackedLinkVisit = require('./TrackedLinkVisit');
+const AnalyticsEvent = require('./AnalyticsEvent');
+const PromoCode = require('./PromoCode');
+const Conversion = require('./Conversion');
+const CampaignProduct = require('./CampaignProduct');
+const Shipment = require('./Shipment');
+const SavedSearch = require('./SavedSearch');
+const SearchLog = require('./SearchLog');
+const AiModel = require('./AiModel');
 
 // Set up model associations
 const models = {
@@ -12,7 +42,37 @@ const models = {
   CampaignApplication,
   SocialMediaAccount,
   Analytics,
-  RefreshToken
+  RefreshToken,
+  Escrow,
+  EscrowTransaction,
+  Payout,
+  WebhookEvent,
+  EscrowAllocation,
+  EscrowMilestone,
+  Dispute,
+  DisputeEvidence,
+  DisputeMessage,
+  SystemSetting,
+  Subscription,
+  FxRateSnapshot,
+  ApplicationHistory,
+  Deliverable,
+  DeliverableVersion,
+  DeliverableComment,
+  ApplicationOffer,
+  CampaignInvitation,
+  CampaignLifecycleEvent,
+  CampaignTemplate,
+  TrackedLink,
+  TrackedLinkVisit,
+  AnalyticsEvent,
+  PromoCode,
+  Conversion,
+  CampaignProduct,
+  Shipment,
+  SavedSearch,
+  SearchLog,
+  AiModel
 };
 
 // Initialize associations
@@ -1,6 +1,7 @@
 const express = require('express');
 const { body } = require('express-validator');
 const { authenticate } = require('../middleware/auth');
+const { limitAnalyticsHistory } = require('../middleware/subscription');
 const {
   getDashboardStats,
   getCampaignAnalytics,
@@ -35,9 +36,9 @@ const validateAnalytics = [
 
 // Routes
 router.get('/dashboard', getDashboardStats);
-router.get('/campaigns/:campaignId', getCampaignAnalytics);
+router.get('/campaigns/:campaignId', limitAnalyticsHistory, getCampaignAnalytics);
 router.get('/influencer', getInfluencerAnalytics);
-router.get('/comparison', getPerformanceComparison);
+router.get('/comparison', limitAnalyticsHistory, getPerformanceComparison);
 router.post('/', validateAnalytics, addAnalytics);
 
 module.exports = router;
\ No newline at end of file
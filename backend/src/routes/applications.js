@@ -2,7 +2,13 @@ const express = require('express');
 const router = express.Router();
 
 const applicationsController = require('../controllers/applicationsController');
-const { authenticate } = require('../middleware/auth');
+const deliverablesController = require('../controllers/deliverablesController');
+const offersController = require('../controllers/offersController');
+const trackedLinksController = require('../controllers/trackedLinksController');
+const conversionsController = require('../controllers/conversionsController');
+const shipmentsController = require('../controllers/shipmentsController');
+const { authenticate, authorize, requireVerifiedEmail } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
 const { body } = require('express-validator');
 
 /**
@@ -28,6 +34,11 @@ const validateApplication = [
   body('appliedPlatforms')
     .isArray({ min: 1 })
     .withMessage('At least one platform must be selected'),
+
+  body('proposedRate')
+    .optional()
+    .isFloat({ min: 0.01, max: 1000000 })
+    .withMessage('Proposed rate must be a positive amount'),
 ];
 
 /**
@@ -35,7 +46,7 @@ const validateApplication = [
  */
 const validateStatusUpdate = [
   body('status')
-    .isIn(['pending', 'approved', 'rejected', 'completed', 'cancelled', 'in_progress'])
+    .isIn(['approved', 'rejected', 'completed', 'cancelled'])
     .withMessage('Invalid status'),
   
   body('brandResponse')
@@ -55,6 +66,131 @@ const validateContentSubmission = [
     .withMessage('Submitted content must be an object'),
 ];
 
+/**
+ * Validation for the first version of a deliverable
+ */
+const validateDeliverable = [
+  body('platform')
+    .isIn(['instagram', 'tiktok', 'youtube', 'twitter', 'facebook', 'linkedin', 'snapchat', 'pinterest', 'twitch'])
+    .withMessage('Invalid platform'),
+
+  body('contentType')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Content type is required (post, story, reel, video...)'),
+
+  body('title')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Title must be less than 200 characters'),
+
+  body('caption')
+    .optional()
+    .isLength({ max: 5000 })
+    .withMessage('Caption must be less than 5000 characters'),
+
+  body('contentUrl')
+    .optional()
+    .isURL()
+    .withMessage('Content URL must be a valid URL'),
+
+  body('assets')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Assets must be an array of at most 10 files'),
+
+  body('assets.*.uploadKey')
+    .isString()
+    .withMessage('Each asset needs the upload key of a file uploaded through /api/uploads'),
+];
+
+/**
+ * Validation for a product request with the shipping address
+ */
+const validateShipmentRequest = [
+  body('productId')
+    .isUUID()
+    .withMessage('Invalid product'),
+
+  body('variantSku')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Variant SKU must be a string'),
+
+  body('quantity')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Quantity must be between 1 and 10'),
+
+  body('shippingAddress')
+    .isObject()
+    .withMessage('Shipping address is required'),
+
+  body(['shippingAddress.name', 'shippingAddress.line1', 'shippingAddress.city', 'shippingAddress.postalCode'])
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Name, address line, city and postal code are required'),
+
+  body('shippingAddress.country')
+    .isISO31661Alpha2()
+    .withMessage('Country must be a 2-letter country code'),
+
+  body('shippingAddress.phone')
+    .optional({ checkFalsy: true })
+    .isLength({ max: 30 })
+    .withMessage('Phone number is too long'),
+];
+
+/**
+ * Validation for an offer or counter-offer
+ */
+const validateOffer = [
+  body('rate')
+    .isFloat({ min: 0.01, max: 1000000 })
+    .withMessage('Rate must be a positive amount'),
+
+  body('currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Currency must be a valid ISO 4217 code'),
+
+  body('deliverables')
+    .optional()
+    .isObject()
+    .withMessage('Deliverables must be an object'),
+
+  body('timeline')
+    .optional()
+    .isObject()
+    .withMessage('Timeline must be an object'),
+
+  body('message')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Message must be less than 2000 characters'),
+
+  body('expiresInHours')
+    .optional()
+    .isInt({ min: 1, max: 336 })
+    .withMessage('Offers can stay open between 1 hour and 14 days'),
+];
+
+/**
+ * Validation for content review
+ */
+const validateContentReview = [
+  body('contentApprovalStatus')
+    .isIn(['approved', 'needs_revision', 'rejected'])
+    .withMessage('Invalid content approval status'),
+
+  body('revisionNotes')
+    .if(body('contentApprovalStatus').equals('needs_revision'))
+    .notEmpty()
+    .withMessage('Revision notes are required when requesting changes')
+    .isLength({ max: 2000 })
+    .withMessage('Revision notes must be less than 2000 characters'),
+];
+
 /**
  * @route   GET /api/applications
  * @desc    Get all applications for current user
@@ -76,10 +212,113 @@ router.get('/stats', authenticate, applicationsController.getApplicationStats);
  */
 router.post('/campaigns/:campaignId', 
   authenticate,
+  requireVerifiedEmail,
   validateApplication,
   applicationsController.applyToCampaign
 );
 
+/**
+ * @route   GET /api/applications/:id/history
+ * @desc    Get the status, content approval and payment history of an application
+ * @access  Private (Application parties and admins)
+ */
+router.get('/:id/history', authenticate, applicationsController.getApplicationHistory);
+
+/**
+ * @route   GET /api/applications/:id/deliverables
+ * @desc    Get the deliverables of an application with every version and comment
+ * @access  Private (Application parties and admins)
+ */
+router.get('/:id/deliverables', authenticate, deliverablesController.getDeliverables);
+
+/**
+ * @route   POST /api/applications/:id/deliverables
+ * @desc    Submit the first version of a new deliverable
+ * @access  Private (Application owner only)
+ */
+router.post('/:id/deliverables',
+  authenticate,
+  authorize('influencer'),
+  validateDeliverable,
+  validateRequest,
+  deliverablesController.createDeliverable
+);
+
+/**
+ * @route   GET /api/applications/:id/link
+ * @desc    Get the tracked short link of an approved application
+ * @access  Private (Influencer or campaign brand)
+ */
+router.get('/:id/link', authenticate, trackedLinksController.getApplicationLink);
+
+/**
+ * @route   GET /api/applications/:id/shipments
+ * @desc    Get the application's product shipments and content deadline
+ * @access  Private (Influencer or campaign brand)
+ */
+router.get('/:id/shipments', authenticate, shipmentsController.getApplicationShipments);
+
+/**
+ * @route   POST /api/applications/:id/shipments
+ * @desc    Request a campaign product with a shipping address (accepted applications only)
+ * @access  Private (Influencer)
+ */
+router.post('/:id/shipments',
+  authenticate,
+  authorize('influencer'),
+  validateShipmentRequest,
+  validateRequest,
+  shipmentsController.requestShipment
+);
+
+/**
+ * @route   GET /api/applications/:id/promo-code
+ * @desc    Get the promo code of an approved application on a conversions campaign
+ * @access  Private (Influencer or campaign brand)
+ */
+router.get('/:id/promo-code', authenticate, conversionsController.getApplicationPromoCode);
+
+/**
+ * @route   GET /api/applications/:id/offers
+ * @desc    Get the rate negotiation thread of an application
+ * @access  Private (Application parties and admins)
+ */
+router.get('/:id/offers', authenticate, offersController.getOffers);
+
+/**
+ * @route   POST /api/applications/:id/offers
+ * @desc    Propose a rate, deliverables and timeline, countering the other party's active offer
+ * @access  Private (Application parties only)
+ */
+router.post('/:id/offers',
+  authenticate,
+  authorize(['brand', 'influencer']),
+  validateOffer,
+  validateRequest,
+  offersController.createOffer
+);
+
+/**
+ * @route   POST /api/applications/:id/offers/:offerId/accept
+ * @desc    Accept the other party's offer, locking the negotiated rate
+ * @access  Private (Application parties only)
+ */
+router.post('/:id/offers/:offerId/accept', authenticate, offersController.acceptOffer);
+
+/**
+ * @route   POST /api/applications/:id/offers/:offerId/decline
+ * @desc    Decline the other party's offer
+ * @access  Private (Application parties only)
+ */
+router.post('/:id/offers/:offerId/decline', authenticate, offersController.declineOffer);
+
+/**
+ * @route   POST /api/applications/:id/offers/:offerId/withdraw
+ * @desc    Withdraw your own offer before it is answered
+ * @access  Private (Application parties only)
+ */
+router.post('/:id/offers/:offerId/withdraw', authenticate, offersController.withdrawOffer);
+
 /**
  * @route   PUT /api/applications/:id/status
  * @desc    Update application status
@@ -102,4 +341,15 @@ router.put('/:id/content',
   applicationsController.submitContent
 );
 
+/**
+ * @route   PUT /api/applications/:id/content/review
+ * @desc    Approve, reject or request changes to submitted content
+ * @access  Private (Brand owners only)
+ */
+router.put('/:id/content/review',
+  authenticate,
+  validateContentReview,
+  applicationsController.reviewContent
+);
+
 module.exports = router;
\ No newline at end of file
@@ -2,12 +2,19 @@ const express = require('express');
 const router = express.Router();
 
 const authController = require('../controllers/authController');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, optionalAuth } = require('../middleware/auth');
 const {
   validateRegister,
   validateLogin,
   validateProfileUpdate,
-  validatePasswordChange
+  validatePasswordChange,
+  validateEmail,
+  validateEmailVerification,
+  validateResendVerification,
+  validatePasswordReset,
+  validateTwoFactorToken,
+  validateTwoFactorCode,
+  validateTwoFactorLogin
 } = require('../middleware/validation');
 
 /**
@@ -24,6 +31,13 @@ router.post('/register', validateRegister, authController.register);
  */
 router.post('/login', validateLogin, authController.login);
 
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Complete login with a 2FA challenge token and TOTP or backup code
+ * @access  Public
+ */
+router.post('/login/2fa', validateTwoFactorLogin, authController.verifyTwoFactorLogin);
+
 /**
  * @route   POST /api/auth/refresh
  * @desc    Refresh access token
@@ -66,4 +80,53 @@ router.put('/change-password', authenticate, validatePasswordChange, authControl
  */
 router.post('/google', authController.googleLogin);
 
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Verify email address with the token from the verification email
+ * @access  Public
+ */
+router.post('/verify-email', validateEmailVerification, authController.verifyEmail);
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Resend verification email (current user, or by email when signed out)
+ * @access  Public
+ */
+router.post('/resend-verification', optionalAuth, validateResendVerification, authController.resendVerification);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Send password reset email
+ * @access  Public
+ */
+router.post('/forgot-password', validateEmail, authController.forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Reset password with the token from the reset email
+ * @access  Public
+ */
+router.post('/reset-password', validatePasswordReset, authController.resetPassword);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Generate a TOTP secret and QR code for 2FA enrollment
+ * @access  Private
+ */
+router.post('/2fa/setup', authenticate, authController.setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Confirm 2FA enrollment with a TOTP code and receive backup codes
+ * @access  Private
+ */
+router.post('/2fa/verify', authenticate, validateTwoFactorToken, authController.verifyTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable 2FA (requires password and a TOTP or backup code)
+ * @access  Private
+ */
+router.post('/2fa/disable', authenticate, validateTwoFactorCode, authController.disableTwoFactor);
+
 module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const billingController = require('../controllers/billingController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const { body } = require('express-validator');
+
+const validateTier = [
+  body('tier').isIn(['basic', 'pro', 'enterprise']).withMessage('Invalid subscription tier')
+];
+
+/**
+ * @route GET /api/billing/tiers
+ * @desc Get subscription tiers with prices, limits and features
+ * @access Public
+ */
+router.get('/tiers', billingController.getTiers);
+
+// Everything else is for brands managing their own subscription
+router.use(authenticate, authorize('brand'));
+
+/**
+ * @route GET /api/billing/subscription
+ * @desc Get the current plan, its limits and this month's usage
+ * @access Private (Brand only)
+ */
+router.get('/subscription', billingController.getSubscription);
+
+/**
+ * @route POST /api/billing/subscribe
+ * @desc Subscribe to a paid tier
+ * @access Private (Brand only)
+ */
+router.post('/subscribe', validateTier, validateRequest, billingController.subscribe);
+
+/**
+ * @route POST /api/billing/upgrade
+ * @desc Move the subscription to another tier (prorated)
+ * @access Private (Brand only)
+ */
+router.post('/upgrade', validateTier, validateRequest, billingController.upgrade);
+
+/**
+ * @route POST /api/billing/cancel
+ * @desc Cancel the subscription at the end of the billing period
+ * @access Private (Brand only)
+ */
+router.post(
+  '/cancel',
+  [
+    body('reason').optional().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters')
+  ],
+  validateRequest,
+  billingController.cancel
+);
+
+/**
+ * @route POST /api/billing/portal
+ * @desc Get a Stripe billing portal link for payment methods and invoices
+ * @access Private (Brand only)
+ */
+router.post('/portal', billingController.createPortalSession);
+
+module.exports = router;
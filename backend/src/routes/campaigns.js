@@ -1,16 +1,69 @@
 const express = require('express');
 const router = express.Router();
 
+const { body, query } = require('express-validator');
 const campaignController = require('../controllers/campaignController');
-const { authenticate, authorize } = require('../middleware/auth');
+const campaignTemplatesController = require('../controllers/campaignTemplatesController');
+const trackedLinksController = require('../controllers/trackedLinksController');
+const conversionsController = require('../controllers/conversionsController');
+const campaignProductsController = require('../controllers/campaignProductsController');
+const shipmentsController = require('../controllers/shipmentsController');
+const recommendationsController = require('../controllers/recommendationsController');
+const { authenticate, authorize, requireVerifiedEmail } = require('../middleware/auth');
+const { enforceCampaignLimit } = require('../middleware/subscription');
 const {
   validateCampaignCreate,
   validateCampaignUpdate,
   validateUUIDParam,
   validatePagination,
-  validateSearch
+  validateSearch,
+  validateRequest
 } = require('../middleware/validation');
 
+const validateStartDate = body('campaignStartDate')
+  .optional()
+  .isISO8601()
+  .withMessage('Campaign start date must be a valid date');
+
+// Product rules; updates pass `body('name').optional()` so a partial update skips the name
+const validateProduct = (nameRule = body('name')) => [
+  nameRule
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Product name is required (max 200 characters)'),
+  body('description')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Description must be less than 2000 characters'),
+  body('imageUrl')
+    .optional({ checkFalsy: true })
+    .isURL()
+    .withMessage('Image URL must be a valid URL'),
+  body('retailValue')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Retail value must be a positive number'),
+  body('currency')
+    .optional()
+    .isLength({ min: 3, max: 3 })
+    .withMessage('Currency must be a 3-letter code'),
+  body('variants')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Variants must be an array of at most 50 entries')
+    .custom(variants => new Set(variants.map(variant => variant && variant.sku)).size === variants.length)
+    .withMessage('Variant SKUs must be unique'),
+  body('variants.*.sku')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('Each variant needs a SKU of at most 64 characters'),
+  body('variants.*.name')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Variant names must be less than 100 characters')
+];
+
 /**
  * @route   GET /api/campaigns
  * @desc    Get all campaigns with filtering and pagination
@@ -32,6 +85,60 @@ router.get('/search', authenticate, validateSearch, campaignController.getCampai
  */
 router.get('/stats', authenticate, campaignController.getCampaignStats);
 
+/**
+ * @route   GET /api/campaigns/templates
+ * @desc    Get the brand's saved campaign templates
+ * @access  Private (Brands only)
+ */
+router.get('/templates', authenticate, authorize('brand'), campaignTemplatesController.getTemplates);
+
+/**
+ * @route   POST /api/campaigns/templates
+ * @desc    Save a campaign template from an existing campaign or from campaign values
+ * @access  Private (Brands only)
+ */
+router.post('/templates',
+  authenticate,
+  authorize('brand'),
+  [
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Template name must be 1-100 characters'),
+    body('description').optional().isLength({ max: 1000 }).withMessage('Description must be less than 1000 characters'),
+    body('campaignId').optional().isUUID().withMessage('Campaign ID must be a valid UUID'),
+    body('values').optional().isObject().withMessage('Values must be an object'),
+    body().custom(({ campaignId, values }) => Boolean(campaignId || values))
+      .withMessage('Provide a campaignId or campaign values to save')
+  ],
+  validateRequest,
+  campaignTemplatesController.createTemplate
+);
+
+/**
+ * @route   POST /api/campaigns/templates/:templateId/apply
+ * @desc    Get campaign values from a template with the timeline shifted to a new start date
+ * @access  Private (Brands only)
+ */
+router.post('/templates/:templateId/apply',
+  authenticate,
+  authorize('brand'),
+  validateUUIDParam('templateId'),
+  validateStartDate,
+  validateRequest,
+  campaignTemplatesController.applyTemplate
+);
+
+/**
+ * @route   DELETE /api/campaigns/templates/:templateId
+ * @desc    Delete a saved campaign template
+ * @access  Private (Brands only)
+ */
+router.delete('/templates/:templateId',
+  authenticate,
+  authorize('brand'),
+  validateUUIDParam('templateId'),
+  validateRequest,
+  campaignTemplatesController.deleteTemplate
+);
+
 /**
  * @route   GET /api/campaigns/:id
  * @desc    Get single campaign by ID
@@ -39,18 +146,157 @@ router.get('/stats', authenticate, campaignController.getCampaignStats);
  */
 router.get('/:id', authenticate, validateUUIDParam('id'), campaignController.getCampaign);
 
+/**
+ * @route   GET /api/campaigns/:id/lifecycle
+ * @desc    Get the scheduler's automated actions on a campaign (deadlines, activation, completion, refunds)
+ * @access  Private (Campaign owner or admin)
+ */
+router.get('/:id/lifecycle', authenticate, validateUUIDParam('id'), campaignController.getCampaignLifecycle);
+
+/**
+ * @route   GET /api/campaigns/:id/links
+ * @desc    Get the campaign's tracked short links with click counts
+ * @access  Private (Campaign owner or admin)
+ */
+router.get('/:id/links', authenticate, validateUUIDParam('id'), validateRequest, trackedLinksController.getCampaignLinks);
+
+/**
+ * @route   GET /api/campaigns/:id/recommended-influencers
+ * @desc    Get eligible influencers ranked by match score, each with a per-factor explanation
+ * @access  Private (Campaign owner or admin)
+ */
+router.get('/:id/recommended-influencers',
+  authenticate,
+  validateUUIDParam('id'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be 1-50'),
+  validateRequest,
+  recommendationsController.getRecommendedInfluencers
+);
+
+/**
+ * @route   GET /api/campaigns/:id/products
+ * @desc    Get the products the campaign seeds to influencers
+ * @access  Private
+ */
+router.get('/:id/products', authenticate, validateUUIDParam('id'), validateRequest, campaignProductsController.getProducts);
+
+/**
+ * @route   POST /api/campaigns/:id/products
+ * @desc    Add a product (with variants) to the campaign
+ * @access  Private (Campaign owner)
+ */
+router.post('/:id/products',
+  authenticate,
+  authorize('brand'),
+  validateUUIDParam('id'),
+  validateProduct(),
+  validateRequest,
+  campaignProductsController.createProduct
+);
+
+/**
+ * @route   PUT /api/campaigns/:id/products/:productId
+ * @desc    Update a campaign product
+ * @access  Private (Campaign owner)
+ */
+router.put('/:id/products/:productId',
+  authenticate,
+  authorize('brand'),
+  validateUUIDParam('id'),
+  validateUUIDParam('productId'),
+  validateProduct(body('name').optional()),
+  validateRequest,
+  campaignProductsController.updateProduct
+);
+
+/**
+ * @route   DELETE /api/campaigns/:id/products/:productId
+ * @desc    Remove a product nobody has requested
+ * @access  Private (Campaign owner)
+ */
+router.delete('/:id/products/:productId',
+  authenticate,
+  authorize('brand'),
+  validateUUIDParam('id'),
+  validateUUIDParam('productId'),
+  validateRequest,
+  campaignProductsController.deleteProduct
+);
+
+/**
+ * @route   GET /api/campaigns/:id/shipments
+ * @desc    Get the campaign's product shipments with tracking
+ * @access  Private (Campaign owner or admin)
+ */
+router.get('/:id/shipments', authenticate, validateUUIDParam('id'), validateRequest, shipmentsController.getCampaignShipments);
+
+/**
+ * @route   GET /api/campaigns/:id/conversions
+ * @desc    Get attributed orders, revenue, ROI, conversion rate and cost per click per influencer
+ * @access  Private (Campaign owner or admin)
+ */
+router.get('/:id/conversions', authenticate, validateUUIDParam('id'), validateRequest, conversionsController.getCampaignConversions);
+
+/**
+ * @route   POST /api/campaigns/:id/conversions/import
+ * @desc    Import orders from a store CSV export (text/csv body)
+ * @access  Private (Campaign owner)
+ */
+router.post('/:id/conversions/import',
+  authenticate,
+  authorize('brand'),
+  validateUUIDParam('id'),
+  validateRequest,
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  conversionsController.importConversions
+);
+
+/**
+ * @route   POST /api/campaigns/:id/conversions/secret
+ * @desc    Generate a new secret for signing store conversion webhooks
+ * @access  Private (Campaign owner)
+ */
+router.post('/:id/conversions/secret',
+  authenticate,
+  authorize('brand'),
+  validateUUIDParam('id'),
+  validateRequest,
+  conversionsController.rotateConversionSecret
+);
+
 /**
  * @route   POST /api/campaigns
- * @desc    Create new campaign
+ * @desc    Create new campaign (limited per month by the brand's plan)
  * @access  Private (Brands only)
  */
 router.post('/', 
   authenticate, 
   authorize('brand'), 
+  requireVerifiedEmail,
   validateCampaignCreate, 
+  enforceCampaignLimit,
   campaignController.createCampaign
 );
 
+/**
+ * @route   POST /api/campaigns/:id/duplicate
+ * @desc    Copy a campaign into a new draft, shifting its timeline to campaignStartDate if given
+ * @access  Private (Campaign owner only, counts toward the plan's campaign limit)
+ */
+router.post('/:id/duplicate',
+  authenticate,
+  authorize('brand'),
+  requireVerifiedEmail,
+  validateUUIDParam('id'),
+  [
+    body('title').optional().trim().isLength({ min: 3, max: 200 }).withMessage('Title must be between 3 and 200 characters'),
+    validateStartDate
+  ],
+  validateRequest,
+  enforceCampaignLimit,
+  campaignController.duplicateCampaign
+);
+
 /**
  * @route   PUT /api/campaigns/:id
  * @desc    Update campaign
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const conversionsController = require('../controllers/conversionsController');
+const { validateUUIDParam, validateRequest } = require('../middleware/validation');
+
+/**
+ * @route POST /api/conversions/webhook/:campaignId
+ * @desc Receive orders from the brand's store (HMAC-signed with the campaign's conversion secret)
+ * @access Public (signature verified)
+ */
+router.post('/webhook/:campaignId', validateUUIDParam('campaignId'), validateRequest, conversionsController.receiveWebhook);
+
+module.exports = router;
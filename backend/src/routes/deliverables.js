@@ -0,0 +1,97 @@
+const express = require('express');
+const router = express.Router();
+const deliverablesController = require('../controllers/deliverablesController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const { body, param, query } = require('express-validator');
+
+// All deliverable routes require authentication
+router.use(authenticate);
+
+const validateDeliverableId = [
+  param('id').isUUID().withMessage('Deliverable ID must be a valid UUID')
+];
+
+const validateVersionParam = [
+  ...validateDeliverableId,
+  param('version').isInt({ min: 1 }).withMessage('Version must be a positive integer')
+];
+
+const validateVersionContent = [
+  body('caption').optional().isLength({ max: 5000 }).withMessage('Caption must be less than 5000 characters'),
+  body('contentUrl').optional().isURL().withMessage('Content URL must be a valid URL'),
+  body('notes').optional().isLength({ max: 2000 }).withMessage('Notes must be less than 2000 characters'),
+  body('assets').optional().isArray({ max: 10 }).withMessage('Assets must be an array of at most 10 files'),
+  body('assets.*.uploadKey').isString().withMessage('Each asset needs the upload key of a file uploaded through /api/uploads'),
+  body('assets.*.fileName').optional().isString().isLength({ max: 255 }),
+  body('assets.*.contentType').optional().isString().isLength({ max: 100 })
+];
+
+/**
+ * @route GET /api/deliverables/:id/compare
+ * @desc Compare two versions of a deliverable (defaults to the latest against the previous)
+ * @access Private (Application parties and admins)
+ */
+router.get(
+  '/:id/compare',
+  [
+    ...validateDeliverableId,
+    query('from').optional().isInt({ min: 1 }).withMessage('From must be a positive integer'),
+    query('to').optional().isInt({ min: 1 }).withMessage('To must be a positive integer')
+  ],
+  validateRequest,
+  deliverablesController.compareVersions
+);
+
+/**
+ * @route POST /api/deliverables/:id/versions
+ * @desc Submit a new version after the brand requested changes
+ * @access Private (Influencer who owns the deliverable)
+ */
+router.post(
+  '/:id/versions',
+  authorize('influencer'),
+  [...validateDeliverableId, ...validateVersionContent],
+  validateRequest,
+  deliverablesController.submitRevision
+);
+
+/**
+ * @route PUT /api/deliverables/:id/versions/:version/review
+ * @desc Approve, reject or request changes to the latest version
+ * @access Private (Brand owners only)
+ */
+router.put(
+  '/:id/versions/:version/review',
+  authorize('brand'),
+  [
+    ...validateVersionParam,
+    body('decision').isIn(['approved', 'needs_revision', 'rejected']).withMessage('Invalid review decision'),
+    body('summary')
+      .if(body('decision').equals('needs_revision'))
+      .notEmpty()
+      .withMessage('A summary is required when requesting changes'),
+    body('summary').optional().isLength({ max: 2000 }).withMessage('Summary must be less than 2000 characters')
+  ],
+  validateRequest,
+  deliverablesController.reviewVersion
+);
+
+/**
+ * @route POST /api/deliverables/:id/versions/:version/comments
+ * @desc Comment on a version, optionally anchored to a file or a video timestamp
+ * @access Private (Application parties and admins)
+ */
+router.post(
+  '/:id/versions/:version/comments',
+  [
+    ...validateVersionParam,
+    body('body').trim().isLength({ min: 1, max: 2000 }).withMessage('Comment must be 1-2000 characters'),
+    body('assetId').optional({ nullable: true }).isString().isLength({ max: 64 }).withMessage('Invalid asset ID'),
+    body('timestampSeconds').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Timestamp must be a positive number of seconds')
+  ],
+  validateRequest,
+  deliverablesController.addComment
+);
+
+module.exports = router;
@@ -0,0 +1,144 @@
+const express = require('express');
+const router = express.Router();
+const disputeController = require('../controllers/disputeController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const { body, param, query } = require('express-validator');
+
+// All dispute routes require authentication
+router.use(authenticate);
+
+const validateDisputeId = [
+  param('id').isUUID().withMessage('Dispute ID must be a valid UUID')
+];
+
+/**
+ * @route GET /api/disputes
+ * @desc List disputes the user is a party to (admins see all)
+ * @access Private
+ */
+router.get(
+  '/',
+  [
+    query('status').optional().isIn([
+      'opened',
+      'evidence_requested',
+      'under_review',
+      'resolved_refund',
+      'resolved_release',
+      'split'
+    ]).withMessage('Invalid dispute status'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  validateRequest,
+  disputeController.getDisputes
+);
+
+/**
+ * @route GET /api/disputes/:id
+ * @desc Get a dispute with its evidence and message thread
+ * @access Private (Parties and admins)
+ */
+router.get('/:id', validateDisputeId, validateRequest, disputeController.getDispute);
+
+/**
+ * @route POST /api/disputes/:id/messages
+ * @desc Post a message to the dispute thread
+ * @access Private (Parties and admins)
+ */
+router.post(
+  '/:id/messages',
+  [
+    ...validateDisputeId,
+    body('body').trim().isLength({ min: 1, max: 5000 }).withMessage('Message must be 1-5000 characters')
+  ],
+  validateRequest,
+  disputeController.addMessage
+);
+
+/**
+ * @route POST /api/disputes/:id/evidence
+ * @desc Attach an uploaded file (key from /api/uploads) and/or a statement
+ * @access Private (Parties and admins)
+ */
+router.post(
+  '/:id/evidence',
+  [
+    ...validateDisputeId,
+    body('uploadKey').optional().isString().isLength({ max: 500 }).withMessage('Upload key must be a string'),
+    body('fileName').optional().isLength({ max: 255 }).withMessage('File name must be less than 255 characters'),
+    body('description').optional().isLength({ max: 2000 }).withMessage('Description must be less than 2000 characters')
+  ],
+  validateRequest,
+  disputeController.addEvidence
+);
+
+/**
+ * @route GET /api/disputes/:id/evidence/:evidenceId/download
+ * @desc Get a temporary download URL for an evidence file
+ * @access Private (Parties and admins)
+ */
+router.get(
+  '/:id/evidence/:evidenceId/download',
+  [
+    ...validateDisputeId,
+    param('evidenceId').isUUID().withMessage('Evidence ID must be a valid UUID')
+  ],
+  validateRequest,
+  disputeController.getEvidenceDownloadUrl
+);
+
+/**
+ * @route POST /api/disputes/:id/request-evidence
+ * @desc Ask the parties for more evidence
+ * @access Private (Admin only)
+ */
+router.post(
+  '/:id/request-evidence',
+  authorize(['admin']),
+  [
+    ...validateDisputeId,
+    body('note').trim().isLength({ min: 1, max: 2000 }).withMessage('Note must be 1-2000 characters'),
+    body('dueInDays').optional().isInt({ min: 1, max: 30 }).withMessage('Due date must be 1-30 days away')
+  ],
+  validateRequest,
+  disputeController.requestEvidence
+);
+
+/**
+ * @route POST /api/disputes/:id/review
+ * @desc Start admin review of a dispute
+ * @access Private (Admin only)
+ */
+router.post(
+  '/:id/review',
+  authorize(['admin']),
+  [
+    ...validateDisputeId,
+    body('note').optional().isLength({ max: 2000 }).withMessage('Note must be less than 2000 characters')
+  ],
+  validateRequest,
+  disputeController.startReview
+);
+
+/**
+ * @route POST /api/disputes/:id/resolve
+ * @desc Resolve a dispute under review by refunding, releasing or splitting the frozen funds
+ * @access Private (Admin only)
+ */
+router.post(
+  '/:id/resolve',
+  authorize(['admin']),
+  [
+    ...validateDisputeId,
+    body('outcome').isIn(['refund', 'release', 'split']).withMessage('Outcome must be refund, release or split'),
+    body('refundAmount').optional().isFloat({ min: 0.01 }).withMessage('Refund amount must be positive'),
+    body('releaseAmount').optional().isFloat({ min: 0.01 }).withMessage('Release amount must be positive'),
+    body('notes').optional().isLength({ max: 2000 }).withMessage('Notes must be less than 2000 characters')
+  ],
+  validateRequest,
+  disputeController.resolveDispute
+);
+
+module.exports = router;
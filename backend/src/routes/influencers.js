@@ -1,5 +1,8 @@
 const express = require('express');
-const { authenticate } = require('../middleware/auth');
+const { query } = require('express-validator');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const { limitSearchDepth } = require('../middleware/subscription');
 const {
   searchInfluencers,
   getInfluencerById,
@@ -7,6 +10,7 @@ const {
   getPlatformStats,
   getTrendingInfluencers
 } = require('../controllers/influencersController');
+const { getRecommendedCampaigns } = require('../controllers/recommendationsController');
 
 const router = express.Router();
 
@@ -19,9 +23,9 @@ router.use(authenticate);
  * @access  Private
  * @params  platform, minFollowers, maxFollowers, minEngagementRate, 
  *          maxEngagementRate, location, verified, category, search,
- *          sortBy, sortOrder, limit, offset
+ *          sortBy (an account field, or relevance with search), sortOrder, limit, offset
  */
-router.get('/search', searchInfluencers);
+router.get('/search', limitSearchDepth('offset', 20), searchInfluencers);
 
 /**
  * @route   GET /api/influencers/trending
@@ -45,6 +49,18 @@ router.get('/categories', getInfluencerCategories);
  */
 router.get('/platform-stats', getPlatformStats);
 
+/**
+ * @route   GET /api/influencers/me/recommended-campaigns
+ * @desc    Get open campaigns the influencer is eligible for, ranked by match score with a per-factor explanation
+ * @access  Private (Influencers only)
+ */
+router.get('/me/recommended-campaigns',
+  authorize('influencer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be 1-50'),
+  validateRequest,
+  getRecommendedCampaigns
+);
+
 /**
  * @route   GET /api/influencers/:id
  * @desc    Get influencer profile by ID
@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const invitationsController = require('../controllers/invitationsController');
+const { authenticate, authorize, requireVerifiedEmail } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const { enforceInvitationLimit } = require('../middleware/subscription');
+const { body, param, query } = require('express-validator');
+
+// All invitation routes require authentication
+router.use(authenticate);
+
+const validateInvitationId = [
+  param('id').isUUID().withMessage('Invitation ID must be a valid UUID')
+];
+
+/**
+ * @route GET /api/invitations
+ * @desc Influencers get their invitation inbox; brands get the invitations they sent
+ * @access Private (Brands and influencers)
+ */
+router.get(
+  '/',
+  authorize(['brand', 'influencer']),
+  [
+    query('status').optional().isIn(['pending', 'accepted', 'declined', 'withdrawn', 'expired']).withMessage('Invalid invitation status'),
+    query('campaignId').optional().isUUID().withMessage('Campaign ID must be a valid UUID'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  validateRequest,
+  invitationsController.getInvitations
+);
+
+/**
+ * @route POST /api/invitations
+ * @desc Invite one influencer, or many at once from search results, to a campaign
+ * @access Private (Brand only, counts against the plan's monthly invitations)
+ */
+router.post(
+  '/',
+  authorize('brand'),
+  requireVerifiedEmail,
+  [
+    body('campaignId').isUUID().withMessage('Campaign ID must be a valid UUID'),
+    body('influencerIds').isArray({ min: 1, max: 50 }).withMessage('Invite between 1 and 50 influencers at a time'),
+    body('influencerIds.*').isUUID().withMessage('Influencer IDs must be valid UUIDs'),
+    body('message').optional().isLength({ max: 2000 }).withMessage('Message must be less than 2000 characters'),
+    body('offeredRate').isFloat({ min: 0.01, max: 1000000 }).withMessage('Offered rate must be a positive amount'),
+    body('currency').optional().isISO4217().withMessage('Currency must be a valid ISO 4217 code'),
+    body('expiresInDays').optional().isInt({ min: 1, max: 60 }).withMessage('Invitations can stay open between 1 and 60 days')
+  ],
+  validateRequest,
+  enforceInvitationLimit,
+  invitationsController.createInvitations
+);
+
+/**
+ * @route POST /api/invitations/:id/accept
+ * @desc Accept an invitation; creates an approved application at the offered rate
+ * @access Private (Invited influencer only)
+ */
+router.post(
+  '/:id/accept',
+  authorize('influencer'),
+  [
+    ...validateInvitationId,
+    body('appliedPlatforms').optional().isArray().withMessage('Applied platforms must be an array'),
+    body('message').optional().isLength({ max: 1000 }).withMessage('Message must be less than 1000 characters')
+  ],
+  validateRequest,
+  invitationsController.acceptInvitation
+);
+
+/**
+ * @route POST /api/invitations/:id/decline
+ * @desc Decline an invitation
+ * @access Private (Invited influencer only)
+ */
+router.post(
+  '/:id/decline',
+  authorize('influencer'),
+  [
+    ...validateInvitationId,
+    body('reason').optional().isLength({ max: 1000 }).withMessage('Reason must be less than 1000 characters')
+  ],
+  validateRequest,
+  invitationsController.declineInvitation
+);
+
+/**
+ * @route POST /api/invitations/:id/withdraw
+ * @desc Withdraw an invitation the influencer has not answered
+ * @access Private (Brand only)
+ */
+router.post(
+  '/:id/withdraw',
+  authorize('brand'),
+  validateInvitationId,
+  validateRequest,
+  invitationsController.withdrawInvitation
+);
+
+module.exports = router;
@@ -1,11 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const paymentController = require('../controllers/paymentController');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, authorize } = require('../middleware/auth');
 const { validateRequest } = require('../middleware/validation');
 const { body, param, query } = require('express-validator');
 
-// All payment routes require authentication
+/**
+ * @route POST /api/payments/webhook
+ * @desc Receive Stripe webhook events (raw body, verified by signature)
+ * @access Public (Stripe only)
+ */
+router.post('/webhook', paymentController.handleWebhook);
+
+// All other payment routes require authentication
 router.use(authenticate);
 
 /**
@@ -16,7 +23,7 @@ router.use(authenticate);
 router.post(
   '/escrow/create',
   [
-    body('campaignId').isInt().withMessage('Campaign ID must be an integer'),
+    body('campaignId').isUUID().withMessage('Campaign ID must be a valid UUID'),
     body('amount').isFloat({ min: 1 }).withMessage('Amount must be a positive number'),
     body('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters')
   ],
@@ -41,13 +48,14 @@ router.post(
 
 /**
  * @route POST /api/payments/funds/release
- * @desc Release funds to influencer after content approval
+ * @desc Release all remaining milestones of an application (creates a single-milestone
+ *       allocation of releaseAmount, or the unallocated balance, when none exists)
  * @access Private (Brand only)
  */
 router.post(
   '/funds/release',
   [
-    body('applicationId').isInt().withMessage('Application ID must be an integer'),
+    body('applicationId').isUUID().withMessage('Application ID must be a valid UUID'),
     body('releaseAmount').optional().isFloat({ min: 0 }).withMessage('Release amount must be positive'),
     body('reason').optional().isLength({ min: 1, max: 500 }).withMessage('Reason must be 1-500 characters')
   ],
@@ -55,6 +63,42 @@ router.post(
   paymentController.releaseFunds
 );
 
+/**
+ * @route POST /api/payments/escrow/allocations
+ * @desc Reserve part of the escrow for an application, split into release milestones
+ *       (amount defaults to the rate agreed through an offer)
+ * @access Private (Brand only)
+ */
+router.post(
+  '/escrow/allocations',
+  [
+    body('applicationId').isUUID().withMessage('Application ID must be a valid UUID'),
+    body('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be a positive number'),
+    body('milestones').optional().isArray({ max: 10 }).withMessage('Milestones must be an array of at most 10 items'),
+    body('milestones.*.title').isLength({ min: 1, max: 255 }).withMessage('Milestone title must be 1-255 characters'),
+    body('milestones.*.amount').optional().isFloat({ min: 0.01 }).withMessage('Milestone amount must be positive'),
+    body('milestones.*.percentage').optional().isFloat({ min: 0.01, max: 100 }).withMessage('Milestone percentage must be between 0 and 100'),
+    body('milestones.*.trigger').optional().isIn(['manual', 'content_approved']).withMessage('Invalid milestone trigger'),
+    body('milestones.*.releaseDelayDays').optional().isInt({ min: 0, max: 90 }).withMessage('Release delay must be 0-90 days')
+  ],
+  validateRequest,
+  paymentController.createAllocation
+);
+
+/**
+ * @route POST /api/payments/milestones/:milestoneId/approve
+ * @desc Approve an escrow milestone and release its share (immediately or after its delay)
+ * @access Private (Brand only)
+ */
+router.post(
+  '/milestones/:milestoneId/approve',
+  [
+    param('milestoneId').isUUID().withMessage('Milestone ID must be a valid UUID')
+  ],
+  validateRequest,
+  paymentController.approveMilestone
+);
+
 /**
  * @route POST /api/payments/refund
  * @desc Process refund to brand
@@ -63,7 +107,7 @@ router.post(
 router.post(
   '/refund',
   [
-    body('campaignId').isInt().withMessage('Campaign ID must be an integer'),
+    body('campaignId').isUUID().withMessage('Campaign ID must be a valid UUID'),
     body('refundAmount').optional().isFloat({ min: 0 }).withMessage('Refund amount must be positive'),
     body('reason').optional().isLength({ min: 1, max: 500 }).withMessage('Reason must be 1-500 characters')
   ],
@@ -73,13 +117,14 @@ router.post(
 
 /**
  * @route POST /api/payments/dispute
- * @desc Handle payment disputes
+ * @desc Open a dispute and freeze the application's share of the escrow (see /api/disputes for the thread and resolution)
  * @access Private (Brand or Influencer involved)
  */
 router.post(
   '/dispute',
   [
     body('escrowId').notEmpty().withMessage('Escrow ID is required'),
+    body('applicationId').optional().isUUID().withMessage('Application ID must be a valid UUID'),
     body('disputeType').isIn([
       'content_not_delivered',
       'content_quality',
@@ -87,7 +132,10 @@ router.post(
       'breach_of_contract',
       'other'
     ]).withMessage('Invalid dispute type'),
-    body('evidence').optional().isObject().withMessage('Evidence must be an object')
+    body('description').optional().isLength({ min: 1, max: 5000 }).withMessage('Description must be 1-5000 characters'),
+    body('evidence').optional().isArray({ max: 20 }).withMessage('Evidence must be an array of at most 20 items'),
+    body('evidence.*.uploadKey').optional().isString().withMessage('Upload key must be a string'),
+    body('evidence.*.description').optional().isLength({ max: 2000 }).withMessage('Evidence description must be less than 2000 characters')
   ],
   validateRequest,
   paymentController.handleDispute
@@ -115,10 +163,88 @@ router.get(
 router.get(
   '/fees/calculate',
   [
-    query('amount').isFloat({ min: 0 }).withMessage('Amount must be a positive number')
+    query('amount').isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
+    query('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters')
   ],
   validateRequest,
   paymentController.calculateFees
 );
 
+/**
+ * @route GET /api/payments/fees/settings
+ * @desc Get fee engine settings (commission rates, processor fees, waivers)
+ * @access Private (Admin only)
+ */
+router.get('/fees/settings', authorize(['admin']), paymentController.getFeeSettings);
+
+/**
+ * @route PUT /api/payments/fees/settings/:key
+ * @desc Update one fee engine setting
+ * @access Private (Admin only)
+ */
+router.put(
+  '/fees/settings/:key',
+  authorize(['admin']),
+  [
+    param('key').isIn(['platform_commission_rate', 'tier_commission_rates', 'processor_fees', 'fee_waivers'])
+      .withMessage('Unknown fee setting'),
+    body('value').exists().withMessage('Value is required')
+  ],
+  validateRequest,
+  paymentController.updateFeeSetting
+);
+
+/**
+ * @route POST /api/payments/payouts/onboarding
+ * @desc Start Stripe Connect onboarding and get an onboarding link
+ * @access Private (Influencer only)
+ */
+router.post(
+  '/payouts/onboarding',
+  [
+    body('country').optional().isLength({ min: 2, max: 2 }).withMessage('Country must be a 2-letter code')
+  ],
+  validateRequest,
+  paymentController.startPayoutOnboarding
+);
+
+/**
+ * @route GET /api/payments/payouts/account
+ * @desc Get payout account onboarding status
+ * @access Private (Influencer only)
+ */
+router.get('/payouts/account', paymentController.getPayoutAccount);
+
+/**
+ * @route GET /api/payments/payouts
+ * @desc List payouts and their transfer status
+ * @access Private (Influencer or Admin)
+ */
+router.get(
+  '/payouts',
+  [
+    query('status').optional().isIn(['pending', 'processing', 'paid', 'failed', 'cancelled']).withMessage('Invalid payout status'),
+    query('influencerId').optional().isUUID().withMessage('Influencer ID must be a valid UUID'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  validateRequest,
+  paymentController.getPayouts
+);
+
+/**
+ * @route POST /api/payments/payouts/:payoutId/retry
+ * @desc Retry a failed payout transfer immediately
+ * @access Private (Admin only)
+ */
+router.post(
+  '/payouts/:payoutId/retry',
+  authorize(['admin']),
+  [
+    param('payoutId').isUUID().withMessage('Payout ID must be a valid UUID')
+  ],
+  validateRequest,
+  paymentController.retryPayout
+);
+
 module.exports = router;
\ No newline at end of file
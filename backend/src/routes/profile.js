@@ -26,6 +26,15 @@ const validateProfileUpdate = [
     .trim()
     .isLength({ max: 500 })
     .withMessage('Bio must be less than 500 characters'),
+  body('niches')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Niches must be an array of at most 10 items'),
+  body('niches.*')
+    .trim()
+    .toLowerCase()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each niche must be 1-50 characters'),
   body('location')
     .optional()
     .trim()
@@ -40,7 +49,15 @@ const validateProfileUpdate = [
     .optional()
     .trim()
     .isMobilePhone()
-    .withMessage('Phone must be a valid phone number')
+    .withMessage('Phone must be a valid phone number'),
+  body('country')
+    .optional({ checkFalsy: true })
+    .isISO31661Alpha2()
+    .withMessage('Country must be an ISO 3166-1 alpha-2 code (e.g., US, IN)'),
+  body('preferredCurrency')
+    .optional()
+    .isISO4217()
+    .withMessage('Preferred currency must be an ISO 4217 code (e.g., USD, EUR)')
 ];
 
 const validatePasswordChange = [
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const trackedLinksController = require('../controllers/trackedLinksController');
+
+/**
+ * @route GET /r/:code
+ * @desc Follow a tracked short link (records the click, redirects to the campaign landing page)
+ * @access Public
+ */
+router.get('/:code', trackedLinksController.followLink);
+
+module.exports = router;
@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router();
+
+const { body, param, query } = require('express-validator');
+const savedSearchesController = require('../controllers/savedSearchesController');
+const { authenticate } = require('../middleware/auth');
+const { validateUUIDParam, validateRequest } = require('../middleware/validation');
+
+/**
+ * Validation for the saved search name, alert frequency and filter payload
+ */
+const validateSavedSearch = (nameRule = body('name')) => [
+  nameRule
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+
+  body('frequency')
+    .optional()
+    .isIn(['daily', 'weekly', 'off'])
+    .withMessage('Frequency must be daily, weekly or off'),
+
+  body('filters')
+    .optional()
+    .isObject()
+    .withMessage('Filters must be an object of search parameters'),
+];
+
+const validateUnsubscribeToken = [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 48, max: 48 })
+    .withMessage('Invalid unsubscribe token'),
+];
+
+/**
+ * @route   POST /api/saved-searches/unsubscribe/:token
+ * @desc    Turn off a saved search's alerts (one-click unsubscribe from the alert email)
+ * @access  Public (token)
+ */
+router.post('/unsubscribe/:token', validateUnsubscribeToken, validateRequest, savedSearchesController.unsubscribe);
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/saved-searches
+ * @desc    List the user's saved searches
+ * @access  Private
+ */
+router.get('/',
+  query('type').optional().isIn(['influencers', 'campaigns']).withMessage('Type must be influencers or campaigns'),
+  validateRequest,
+  savedSearchesController.getSavedSearches
+);
+
+/**
+ * @route   POST /api/saved-searches
+ * @desc    Save the filters of /api/search/influencers or /api/search/campaigns for alerts
+ * @access  Private
+ */
+router.post('/',
+  body('type').isIn(['influencers', 'campaigns']).withMessage('Type must be influencers or campaigns'),
+  validateSavedSearch(),
+  validateRequest,
+  savedSearchesController.createSavedSearch
+);
+
+/**
+ * @route   PUT /api/saved-searches/:id
+ * @desc    Rename a saved search or change its frequency or filters
+ * @access  Private
+ */
+router.put('/:id',
+  validateUUIDParam('id'),
+  validateSavedSearch(body('name').optional()),
+  validateRequest,
+  savedSearchesController.updateSavedSearch
+);
+
+/**
+ * @route   DELETE /api/saved-searches/:id
+ * @desc    Delete a saved search
+ * @access  Private
+ */
+router.delete('/:id', validateUUIDParam('id'), validateRequest, savedSearchesController.deleteSavedSearch);
+
+module.exports = router;
@@ -1,13 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const searchController = require('../controllers/searchController');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, authorize, optionalAuth } = require('../middleware/auth');
+const { limitSearchDepth } = require('../middleware/subscription');
 const { validateRequest } = require('../middleware/validation');
-const { query } = require('express-validator');
+const { body, param, query } = require('express-validator');
+
+const TRENDING_WINDOWS = ['1h', '24h', '7d'];
+const SEARCH_TYPES = ['campaigns', 'influencers', 'global'];
 
 /**
  * @route GET /api/search/campaigns
- * @desc Search campaigns with advanced filtering
+ * @desc Search public campaigns with advanced filtering (admins and the owning brand also see their unlisted and invite-only ones).
+ *       Text searches are sorted by relevance unless sort_by is given. Facet counts for the active filters are included.
  * @access Public (some filters may require auth)
  */
 router.get(
@@ -19,16 +24,20 @@ router.get(
     query('min_budget').optional().isFloat({ min: 0 }).withMessage('Minimum budget must be positive'),
     query('max_budget').optional().isFloat({ min: 0 }).withMessage('Maximum budget must be positive'),
     query('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters'),
+    query('sort_by').optional().isIn(['relevance', 'created_at', 'budget', 'title']).withMessage('Invalid sort field'),
+    query('sort_order').optional().isIn(['asc', 'desc', 'ASC', 'DESC']).withMessage('Sort order must be asc or desc'),
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive integer'),
     query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be 1-50')
   ],
   validateRequest,
+  optionalAuth,
   searchController.searchCampaigns
 );
 
 /**
  * @route GET /api/search/influencers
- * @desc Search influencers with advanced filtering
+ * @desc Search influencers with advanced filtering (result depth limited by the brand's plan), with facet counts
+ *       and follower/engagement histograms for the active filters
  * @access Public
  */
 router.get(
@@ -39,16 +48,20 @@ router.get(
     query('max_followers').optional().isInt({ min: 0 }).withMessage('Max followers must be positive'),
     query('min_engagement').optional().isFloat({ min: 0, max: 100 }).withMessage('Min engagement must be 0-100%'),
     query('max_engagement').optional().isFloat({ min: 0, max: 100 }).withMessage('Max engagement must be 0-100%'),
+    query('sort_by').optional().isIn(['relevance', 'created_at', 'name']).withMessage('Invalid sort field'),
+    query('sort_order').optional().isIn(['asc', 'desc', 'ASC', 'DESC']).withMessage('Sort order must be asc or desc'),
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive integer'),
     query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be 1-50')
   ],
   validateRequest,
+  optionalAuth,
+  limitSearchDepth('page', 10),
   searchController.searchInfluencers
 );
 
 /**
  * @route GET /api/search/suggestions
- * @desc Get search suggestions for autocomplete
+ * @desc Get search suggestions for autocomplete: popular past queries completing the input, then matching campaigns or influencers
  * @access Public
  */
 router.get(
@@ -63,10 +76,52 @@ router.get(
 
 /**
  * @route GET /api/search/trending
- * @desc Get trending searches and popular categories
+ * @desc Get the most searched and rising terms of a sliding window (1h, 24h or 7d), and popular categories
+ * @access Public
+ */
+router.get(
+  '/trending',
+  [
+    query('window').optional().isIn(TRENDING_WINDOWS).withMessage('Window must be 1h, 24h or 7d'),
+    query('type').optional().isIn(SEARCH_TYPES).withMessage('Type must be campaigns, influencers or global')
+  ],
+  validateRequest,
+  searchController.getTrendingSearches
+);
+
+/**
+ * @route GET /api/search/zero-results
+ * @desc Get the queries that found nothing within a window, most searched first
+ * @access Private (Admin only)
+ */
+router.get(
+  '/zero-results',
+  authenticate,
+  authorize(['admin']),
+  [
+    query('window').optional().isIn(TRENDING_WINDOWS).withMessage('Window must be 1h, 24h or 7d'),
+    query('type').optional().isIn(SEARCH_TYPES).withMessage('Type must be campaigns, influencers or global'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100')
+  ],
+  validateRequest,
+  searchController.getZeroResultSearches
+);
+
+/**
+ * @route POST /api/search/:searchId/click
+ * @desc Record which result of a search was clicked (searchId comes with the search response)
  * @access Public
  */
-router.get('/trending', searchController.getTrendingSearches);
+router.post(
+  '/:searchId/click',
+  [
+    param('searchId').isUUID().withMessage('Invalid search ID'),
+    body('resultId').isUUID().withMessage('Invalid result ID'),
+    body('position').optional().isInt({ min: 1 }).withMessage('Position must be a positive integer').toInt()
+  ],
+  validateRequest,
+  searchController.recordSearchClick
+);
 
 /**
  * @route GET /api/search/filters
@@ -77,7 +132,7 @@ router.get('/filters', searchController.getFilterOptions);
 
 /**
  * @route GET /api/search/global
- * @desc Global search across all content types
+ * @desc Global search across all content types, with highlighted snippets
  * @access Public
  */
 router.get(
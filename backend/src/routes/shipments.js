@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+
+const { body } = require('express-validator');
+const shipmentsController = require('../controllers/shipmentsController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateUUIDParam, validateRequest } = require('../middleware/validation');
+
+/**
+ * Validation for the carrier and tracking number
+ */
+const validateTracking = [
+  body('carrier')
+    .isIn(['ups', 'fedex', 'usps', 'dhl', 'royal_mail', 'canada_post', 'australia_post', 'other'])
+    .withMessage('Invalid carrier'),
+
+  body('trackingNumber')
+    .trim()
+    .isLength({ min: 4, max: 64 })
+    .withMessage('Tracking number must be between 4 and 64 characters'),
+];
+
+router.use(authenticate);
+
+/**
+ * @route   POST /api/shipments/:id/ship
+ * @desc    Record the carrier and tracking number
+ * @access  Private (Campaign brand)
+ */
+router.post('/:id/ship',
+  authorize('brand'),
+  validateUUIDParam('id'),
+  validateTracking,
+  validateRequest,
+  shipmentsController.markShipped
+);
+
+/**
+ * @route   POST /api/shipments/:id/refresh
+ * @desc    Fetch the latest tracking from the carrier
+ * @access  Private (Influencer or campaign brand)
+ */
+router.post('/:id/refresh', validateUUIDParam('id'), validateRequest, shipmentsController.refreshTracking);
+
+/**
+ * @route   POST /api/shipments/:id/confirm-delivery
+ * @desc    Confirm the product arrived (starts the content deadline on gifted campaigns)
+ * @access  Private (Influencer)
+ */
+router.post('/:id/confirm-delivery',
+  authorize('influencer'),
+  validateUUIDParam('id'),
+  validateRequest,
+  shipmentsController.confirmDelivery
+);
+
+module.exports = router;
@@ -0,0 +1,161 @@
+const { Campaign, ApplicationHistory, User } = require('../models');
+const trackedLinkService = require('./trackedLinkService');
+const conversionService = require('./conversionService');
+
+/**
+ * Allowed changes for each lifecycle field (values not listed are terminal).
+ * status: pending -> approved -> in_progress -> completed, with rejected/cancelled exits
+ * contentApprovalStatus: pending -> approved | needs_revision | rejected; a revision is resubmitted as pending
+ * paymentStatus: pending -> processing -> paid | failed; later payouts and retries move it back to processing,
+ * a reversed transfer fails a paid application
+ */
+const TRANSITIONS = {
+  status: {
+    pending: ['approved', 'rejected', 'cancelled'],
+    approved: ['in_progress', 'cancelled'],
+    in_progress: ['completed', 'cancelled']
+  },
+  contentApprovalStatus: {
+    pending: ['approved', 'needs_revision', 'rejected'],
+    needs_revision: ['pending']
+  },
+  paymentStatus: {
+    pending: ['processing', 'failed'],
+    processing: ['paid', 'failed'],
+    paid: ['processing', 'failed'],
+    failed: ['processing', 'paid']
+  }
+};
+
+const TRACKED_FIELDS = Object.keys(TRANSITIONS);
+
+// Timestamps set when an application enters a status
+const STATUS_TIMESTAMPS = {
+  approved: 'approvedAt',
+  rejected: 'rejectedAt',
+  completed: 'completedAt'
+};
+
+const FIELD_LABELS = {
+  status: 'application',
+  contentApprovalStatus: 'content',
+  paymentStatus: 'payment'
+};
+
+/**
+ * Application state service
+ * Every change to an application's status, contentApprovalStatus or paymentStatus
+ * is checked against the transition table and guards, then recorded in its history.
+ */
+class ApplicationStateService {
+  /**
+   * Whether a single field may move from its current value to `to`
+   */
+  canTransition(application, field, to) {
+    return (TRANSITIONS[field][application[field]] || []).includes(to);
+  }
+
+  /**
+   * Tracked fields in `changes` that differ from the application's current values
+   */
+  getFieldChanges(application, changes) {
+    return TRACKED_FIELDS
+      .filter(field => changes[field] !== undefined && changes[field] !== application[field])
+      .map(field => ({ field, from: application[field], to: changes[field] }));
+  }
+
+  /**
+   * Why the changes are not allowed, or null if they are
+   */
+  async getTransitionError(application, changes, { transaction = null, at = new Date() } = {}) {
+    const fieldChanges = this.getFieldChanges(application, changes);
+
+    const invalid = fieldChanges.find(({ field, to }) => !this.canTransition(application, field, to));
+    if (invalid) {
+      return `Cannot move ${FIELD_LABELS[invalid.field]} from ${invalid.from} to ${invalid.to}`;
+    }
+
+    const next = {
+      status: application.status,
+      contentApprovalStatus: application.contentApprovalStatus,
+      ...changes
+    };
+    const statusChange = fieldChanges.find(change => change.field === 'status');
+    const contentChange = fieldChanges.find(change => change.field === 'contentApprovalStatus');
+
+    if (statusChange?.to === 'approved') {
+      const campaign = application.campaign || await Campaign.findByPk(application.campaignId, { transaction });
+      if (campaign?.applicationDeadline && at > new Date(campaign.applicationDeadline)) {
+        return 'Applications cannot be approved after the campaign application deadline';
+      }
+    }
+
+    if (statusChange?.to === 'completed' && next.contentApprovalStatus !== 'approved') {
+      return 'An application cannot be completed before its content is approved';
+    }
+
+    if (contentChange && contentChange.to !== 'pending' && next.status !== 'in_progress') {
+      return 'Content can only be reviewed after it has been submitted';
+    }
+
+    return null;
+  }
+
+  /**
+   * Apply changes to an application (tracked fields plus any other attributes)
+   * and record each lifecycle change. actor is null for platform-driven changes.
+   */
+  async transition(application, changes, { actor = null, note = null, transaction = null } = {}) {
+    const error = await this.getTransitionError(application, changes, { transaction });
+    if (error) {
+      throw new Error(error);
+    }
+
+    const fieldChanges = this.getFieldChanges(application, changes);
+    const values = { ...changes };
+    const statusChange = fieldChanges.find(change => change.field === 'status');
+    const timestampField = statusChange && STATUS_TIMESTAMPS[statusChange.to];
+    if (timestampField && values[timestampField] === undefined) {
+      values[timestampField] = new Date();
+    }
+
+    await application.update(values, { transaction });
+
+    // Approved influencers get their tracked short link (and promo code on conversions campaigns) straight away
+    if (statusChange && statusChange.to === 'approved') {
+      await trackedLinkService.createForApplication(application, { transaction });
+      await conversionService.createForApplication(application, { transaction });
+    }
+
+    if (fieldChanges.length) {
+      await ApplicationHistory.bulkCreate(fieldChanges.map(({ field, from, to }) => ({
+        applicationId: application.id,
+        field,
+        fromValue: from,
+        toValue: to,
+        actorId: actor ? actor.id : null,
+        actorRole: actor ? actor.role : 'system',
+        note
+      })), { transaction });
+    }
+
+    return application;
+  }
+
+  /**
+   * Recorded changes for an application, oldest first
+   */
+  async getHistory(applicationId) {
+    return ApplicationHistory.findAll({
+      where: { applicationId },
+      include: [{
+        model: User,
+        as: 'actor',
+        attributes: ['id', 'name', 'role']
+      }],
+      order: [['created_at', 'ASC']]
+    });
+  }
+}
+
+module.exports = new ApplicationStateService();
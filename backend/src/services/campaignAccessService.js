@@ -0,0 +1,173 @@
+const { Op } = require('sequelize');
+const { CampaignApplication, CampaignInvitation, SocialMediaAccount, User } = require('../models');
+
+// Campaign fields an ineligible influencer still sees in a preview
+const PREVIEW_FIELDS = [
+  'id',
+  'brandId',
+  'brand',
+  'title',
+  'goal',
+  'status',
+  'visibility',
+  'currency',
+  'eligibility',
+  'applicationDeadline',
+  'campaignStartDate',
+  'campaignEndDate',
+  'created_at'
+];
+
+/**
+ * Campaign access service
+ * Decides who can find, view and apply to a campaign from its visibility
+ * (public, unlisted, invite_only) and its eligibility requirements.
+ */
+class CampaignAccessService {
+  /**
+   * Whether the user owns the campaign or administers the platform
+   */
+  isManager(campaign, user) {
+    return Boolean(user) && (user.role === 'admin' || campaign.brandId === user.id);
+  }
+
+  /**
+   * Where clause for campaigns listed to everyone (search, suggestions, trending)
+   */
+  listedWhere() {
+    return { visibility: 'public' };
+  }
+
+  /**
+   * Whether the user may open the campaign. Unlisted campaigns open from a direct
+   * link; invite-only ones only for influencers invited to or already on them.
+   */
+  async canView(campaign, user) {
+    if (this.isManager(campaign, user)) {
+      return true;
+    }
+    if (user && user.role === 'brand') {
+      return false;
+    }
+    if (campaign.visibility !== 'invite_only') {
+      return true;
+    }
+    if (!user) {
+      return false;
+    }
+
+    const [invitation, application] = await Promise.all([
+      CampaignInvitation.findOne({ where: { campaignId: campaign.id, influencerId: user.id }, attributes: ['id'] }),
+      CampaignApplication.findOne({ where: { campaignId: campaign.id, influencerId: user.id }, attributes: ['id'] })
+    ]);
+    return Boolean(invitation || application);
+  }
+
+  /**
+   * The influencer's reach used for eligibility: active accounts and country
+   */
+  async getInfluencerProfile(influencerId) {
+    const [user, accounts] = await Promise.all([
+      User.findByPk(influencerId, { attributes: ['id', 'country'] }),
+      SocialMediaAccount.findAll({
+        where: { userId: influencerId, isActive: true },
+        attributes: ['platform', 'followersCount', 'engagementRate']
+      })
+    ]);
+
+    return { country: user ? user.country : null, accounts };
+  }
+
+  /**
+   * Requirements of the campaign the influencer does not meet (empty when eligible).
+   * Follower and engagement minimums must be met by one account on an allowed platform.
+   */
+  getIneligibilityReasons(campaign, profile) {
+    const { minFollowers, minEngagementRate, platforms, regions } = campaign.eligibility || {};
+    const reasons = [];
+
+    const accounts = platforms && platforms.length
+      ? profile.accounts.filter(account => platforms.includes(account.platform))
+      : profile.accounts;
+
+    if (platforms && platforms.length && !accounts.length) {
+      reasons.push(`Requires an account on ${platforms.join(', ')}`);
+    }
+    if (minFollowers && !accounts.some(account => (account.followersCount || 0) >= minFollowers)) {
+      reasons.push(`Requires at least ${minFollowers} followers on one account`);
+    }
+    if (minEngagementRate && !accounts.some(account => parseFloat(account.engagementRate || 0) >= minEngagementRate)) {
+      reasons.push(`Requires an engagement rate of at least ${minEngagementRate}%`);
+    }
+    if (regions && regions.length && !regions.includes(profile.country)) {
+      reasons.push(`Open to influencers in ${regions.join(', ')}`);
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Eligibility of an influencer for each campaign, keyed by campaign id
+   */
+  async getEligibility(campaigns, influencerId) {
+    const profile = await this.getInfluencerProfile(influencerId);
+    return new Map(campaigns.map(campaign => {
+      const reasons = this.getIneligibilityReasons(campaign, profile);
+      return [campaign.id, { eligible: reasons.length === 0, reasons }];
+    }));
+  }
+
+  /**
+   * Why the influencer cannot apply directly, or null if they can
+   */
+  async getApplyError(campaign, influencerId) {
+    if (campaign.visibility === 'invite_only') {
+      return 'This campaign is invite-only';
+    }
+
+    const [eligibility] = (await this.getEligibility([campaign], influencerId)).values();
+    return eligibility.eligible ? null : `You do not meet this campaign's requirements: ${eligibility.reasons.join('; ')}`;
+  }
+
+  /**
+   * Campaign as shown to an influencer: full details when eligible, otherwise a
+   * preview without the brief (the web app blurs the rest)
+   */
+  present(campaign, eligibility) {
+    const json = campaign.toJSON();
+    if (eligibility.eligible) {
+      return { ...json, viewerEligibility: eligibility };
+    }
+
+    const preview = Object.fromEntries(PREVIEW_FIELDS
+      .filter(field => json[field] !== undefined)
+      .map(field => [field, json[field]]));
+    return { ...preview, preview: true, viewerEligibility: eligibility };
+  }
+
+  /**
+   * Present campaigns to a viewer: influencers get eligibility and previews,
+   * brands and admins get campaigns unchanged
+   */
+  async presentAll(campaigns, user) {
+    if (!user || user.role !== 'influencer') {
+      return campaigns;
+    }
+
+    const eligibility = await this.getEligibility(campaigns, user.id);
+    return campaigns.map(campaign => this.present(campaign, eligibility.get(campaign.id)));
+  }
+
+  /**
+   * Ids of invite-only campaigns the influencer was invited to
+   */
+  async getInvitedCampaignIds(influencerId) {
+    const invitations = await CampaignInvitation.findAll({
+      where: { influencerId, status: { [Op.in]: ['pending', 'accepted'] } },
+      attributes: ['campaignId']
+    });
+    return invitations.map(invitation => invitation.campaignId);
+  }
+}
+
+module.exports = new CampaignAccessService();
@@ -0,0 +1,302 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Campaign, CampaignApplication, CampaignInvitation, CampaignLifecycleEvent, Escrow } = require('../models');
+const escrowService = require('./escrowService');
+const escrowAllocationService = require('./escrowAllocationService');
+const ledgerService = require('./ledgerService');
+const applicationStateService = require('./applicationStateService');
+const { logger } = require('../utils/monitoring');
+
+const OPEN_CAMPAIGN_STATUSES = ['draft', 'active', 'paused'];
+const REFUNDABLE_ESCROW_STATUSES = ['funded', 'partially_released'];
+
+// Failed unallocated refunds are retried an hour after the last attempt, doubling up to a day
+const REFUND_RETRY_BASE_MS = 60 * 60 * 1000;
+const REFUND_RETRY_MAX_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Campaign lifecycle service
+ * Acts on campaign timeline dates: closes applications at the deadline, activates
+ * funded campaigns at their start date, flags approved applications with no content
+ * by the submission deadline, and completes campaigns at their end date, refunding
+ * escrow nobody was allocated. Each step is keyed on database state, so a sweep
+ * can be re-run after a crash or restart without repeating an action.
+ */
+class CampaignLifecycleService {
+  /**
+   * Record an automated action in the campaign's lifecycle log
+   */
+  async record(campaign, action, { applicationId = null, details = null, transaction = null } = {}) {
+    logger.info('Campaign lifecycle action', { campaignId: campaign.id, action, applicationId, ...details });
+    return CampaignLifecycleEvent.create({ campaignId: campaign.id, applicationId, action, details }, { transaction });
+  }
+
+  /**
+   * Run a step for each item, logging failures so one bad campaign does not stop the sweep
+   */
+  async forEach(items, step, label) {
+    let done = 0;
+    for (const item of items) {
+      try {
+        if (await step(item)) {
+          done++;
+        }
+      } catch (error) {
+        logger.error(`Campaign lifecycle ${label} failed`, { id: item.id, error: error.message });
+      }
+    }
+    return done;
+  }
+
+  /**
+   * Activate funded draft campaigns whose start date has arrived
+   */
+  async activateStarted(now = new Date()) {
+    const campaigns = await Campaign.findAll({
+      where: { status: 'draft', paymentStatus: 'funded', campaignStartDate: { [Op.lte]: now } }
+    });
+
+    return this.forEach(campaigns, campaign => sequelize.transaction(async (transaction) => {
+      const [updated] = await Campaign.update(
+        { status: 'active' },
+        { where: { id: campaign.id, status: 'draft' }, transaction }
+      );
+      if (updated) {
+        await this.record(campaign, 'activated', { details: { startDate: campaign.campaignStartDate }, transaction });
+      }
+      return updated > 0;
+    }), 'activation');
+  }
+
+  /**
+   * Close applications on campaigns past their deadline: pending applications are
+   * rejected (they can no longer be approved) and pending invitations expire
+   */
+  async closeApplications(now = new Date()) {
+    const campaigns = await Campaign.findAll({
+      where: {
+        status: { [Op.in]: OPEN_CAMPAIGN_STATUSES },
+        applicationDeadline: { [Op.lte]: now },
+        applicationsClosedAt: null
+      }
+    });
+
+    return this.forEach(campaigns, campaign => sequelize.transaction(async (transaction) => {
+      const [claimed] = await Campaign.update(
+        { applicationsClosedAt: now },
+        { where: { id: campaign.id, applicationsClosedAt: null }, transaction }
+      );
+      if (!claimed) {
+        return false;
+      }
+
+      const pending = await CampaignApplication.findAll({
+        where: { campaignId: campaign.id, status: 'pending' },
+        transaction
+      });
+      for (const application of pending) {
+        await applicationStateService.transition(application, {
+          status: 'rejected',
+          rejectionReason: 'The application deadline passed before this application was reviewed'
+        }, { note: 'Closed at the application deadline', transaction });
+        await this.record(campaign, 'application_rejected', { applicationId: application.id, transaction });
+      }
+
+      const [expiredInvitations] = await CampaignInvitation.update(
+        { status: 'expired' },
+        { where: { campaignId: campaign.id, status: 'pending' }, transaction }
+      );
+
+      await this.record(campaign, 'applications_closed', {
+        details: { deadline: campaign.applicationDeadline, rejected: pending.length, expiredInvitations },
+        transaction
+      });
+      return true;
+    }), 'application close');
+  }
+
+  /**
+   * Flag approved applications that still have no content once the submission deadline passed
+   * (on gifted campaigns, the application's deadline counted from delivery)
+   */
+  async flagLateSubmissions(now = new Date()) {
+    const applications = await CampaignApplication.findAll({
+      where: {
+        status: 'approved',
+        lateFlaggedAt: null,
+        [Op.or]: [
+          // Gifted campaigns count the deadline from each influencer's product delivery
+          { contentDueAt: { [Op.lte]: now } },
+          {
+            contentDueAt: null,
+            '$campaign.content_due_days$': null,
+            '$campaign.content_submission_deadline$': { [Op.lte]: now }
+          }
+        ]
+      },
+      include: [{
+        model: Campaign,
+        as: 'campaign',
+        attributes: ['id', 'contentSubmissionDeadline', 'contentDueDays']
+      }]
+    });
+
+    return this.forEach(applications, application => sequelize.transaction(async (transaction) => {
+      const [flagged] = await CampaignApplication.update(
+        { lateFlaggedAt: now },
+        { where: { id: application.id, lateFlaggedAt: null }, transaction }
+      );
+      if (flagged) {
+        await this.record(application.campaign, 'submission_late', {
+          applicationId: application.id,
+          details: {
+            influencerId: application.influencerId,
+            deadline: application.contentDueAt || application.campaign.contentSubmissionDeadline
+          },
+          transaction
+        });
+      }
+      return flagged > 0;
+    }), 'late submission flag');
+  }
+
+  /**
+   * Complete active and paused campaigns whose end date has passed
+   */
+  async completeEnded(now = new Date()) {
+    const campaigns = await Campaign.findAll({
+      where: { status: { [Op.in]: ['active', 'paused'] }, campaignEndDate: { [Op.lte]: now } }
+    });
+
+    return this.forEach(campaigns, campaign => sequelize.transaction(async (transaction) => {
+      const [updated] = await Campaign.update(
+        { status: 'completed' },
+        { where: { id: campaign.id, status: { [Op.in]: ['active', 'paused'] } }, transaction }
+      );
+      if (updated) {
+        await this.record(campaign, 'completed', { details: { endDate: campaign.campaignEndDate }, transaction });
+      }
+      return updated > 0;
+    }), 'completion');
+  }
+
+  /**
+   * When a failed unallocated refund may be tried again (backing off from its last attempt)
+   */
+  refundRetryAt(failure) {
+    const { attempts = 1, lastAttemptAt } = failure.details || {};
+    const delay = Math.min(REFUND_RETRY_BASE_MS * 2 ** (attempts - 1), REFUND_RETRY_MAX_MS);
+    return new Date(new Date(lastAttemptAt || failure.createdAt).getTime() + delay);
+  }
+
+  /**
+   * Log a failed unallocated refund. The same error again only counts another attempt
+   * on the last failure, so a refund that keeps failing doesn't fill the campaign log.
+   */
+  async recordRefundFailure(campaign, lastFailure, { amount, error }, now) {
+    if (lastFailure && lastFailure.details?.error === error) {
+      const attempts = (lastFailure.details.attempts || 1) + 1;
+      logger.warn('Campaign unallocated refund failed again', { campaignId: campaign.id, amount, error, attempts });
+      return lastFailure.update({ details: { ...lastFailure.details, amount, attempts, lastAttemptAt: now } });
+    }
+    return this.record(campaign, 'refund_failed', { details: { amount, error, attempts: 1, lastAttemptAt: now } });
+  }
+
+  /**
+   * Refund the escrow no application was allocated once a completed campaign has ended.
+   * Campaigns stay eligible until a refund is recorded, so a failed refund is retried (with
+   * backoff) and a balance that is still allocated (or frozen by a dispute) is refunded
+   * once it frees up.
+   */
+  async refundUnallocated(campaign, now = new Date()) {
+    const lastFailure = await CampaignLifecycleEvent.findOne({
+      where: { campaignId: campaign.id, action: 'refund_failed' },
+      order: [['created_at', 'DESC']]
+    });
+    if (lastFailure && this.refundRetryAt(lastFailure) > now) {
+      return false;
+    }
+
+    const escrow = campaign.escrowId && await Escrow.findByPaymentIntent(campaign.escrowId);
+    const amount = escrow && REFUNDABLE_ESCROW_STATUSES.includes(escrow.status)
+      ? await escrowAllocationService.getUnallocatedBalance(escrow)
+      : 0;
+
+    if (amount <= 0) {
+      return false;
+    }
+
+    const refundedBefore = parseFloat(escrow.refundedAmount);
+    const refundResult = await escrowService.refundToBrand(campaign.escrowId, amount, 'campaign_completed');
+    if (!refundResult.success) {
+      await this.recordRefundFailure(campaign, lastFailure, { amount, error: refundResult.error }, now);
+      return false;
+    }
+
+    try {
+      // The refund webhook may have recorded this refund already
+      await escrow.reload();
+      if (parseFloat(escrow.refundedAmount) - refundedBefore <= 0) {
+        await ledgerService.recordRefund(escrow, { amount, reason: 'campaign_completed' });
+      }
+    } catch (ledgerError) {
+      ledgerService.logReconciliationGap('refund', escrow.id, ledgerError);
+      throw ledgerError;
+    }
+
+    await this.record(campaign, 'unallocated_refunded', { details: { amount, currency: escrow.currency } });
+    return true;
+  }
+
+  /**
+   * Ended, completed campaigns whose escrow still holds funds and whose unallocated
+   * balance has not been refunded yet
+   */
+  async getRefundCandidates(now = new Date()) {
+    const refundableStatuses = REFUNDABLE_ESCROW_STATUSES.map(status => `'${status}'`).join(', ');
+
+    return Campaign.findAll({
+      where: {
+        status: 'completed',
+        escrowId: {
+          [Op.in]: sequelize.literal(`(SELECT payment_intent_id FROM escrows WHERE status IN (${refundableStatuses}))`)
+        },
+        campaignEndDate: { [Op.lte]: now },
+        id: {
+          [Op.notIn]: sequelize.literal(
+            '(SELECT campaign_id FROM campaign_lifecycle_events WHERE action = \'unallocated_refunded\')'
+          )
+        }
+      }
+    });
+  }
+
+  /**
+   * Run every lifecycle step once
+   */
+  async runSweep(now = new Date()) {
+    const activated = await this.activateStarted(now);
+    const applicationsClosed = await this.closeApplications(now);
+    const lateFlagged = await this.flagLateSubmissions(now);
+    const completed = await this.completeEnded(now);
+    const refunded = await this.forEach(
+      await this.getRefundCandidates(now),
+      campaign => this.refundUnallocated(campaign, now),
+      'unallocated refund'
+    );
+
+    return { activated, applicationsClosed, lateFlagged, completed, refunded };
+  }
+
+  /**
+   * Lifecycle log for a campaign, oldest first
+   */
+  async getEvents(campaignId) {
+    return CampaignLifecycleEvent.findAll({
+      where: { campaignId },
+      order: [['created_at', 'ASC']]
+    });
+  }
+}
+
+module.exports = new CampaignLifecycleService();
@@ -0,0 +1,144 @@
+const { Campaign, CampaignTemplate } = require('../models');
+
+// Campaign fields carried over by duplication and templates
+const COPYABLE_FIELDS = [
+  'title',
+  'description',
+  'goal',
+  'budget',
+  'budgetPerInfluencer',
+  'currency',
+  'targetAudience',
+  'targetFollowerRange',
+  'targetEngagementRate',
+  'targetNiches',
+  'visibility',
+  'eligibility',
+  'contentRequirements',
+  'contentGuidelines',
+  'sampleContentUrls',
+  'prohibitedContent',
+  'maxRevisions',
+  'contentDueDays',
+  'utmParameters',
+  'trackingPixels',
+  'customLandingPage'
+];
+
+// Timeline dates kept relative to campaignStartDate
+const TIMELINE_FIELDS = ['applicationDeadline', 'contentSubmissionDeadline', 'campaignEndDate'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Campaign template service
+ * Copies a campaign's setup into a new draft or a saved template, and lays the
+ * timeline back out from a new start date.
+ */
+class CampaignTemplateService {
+  /**
+   * Copyable field values from a campaign or plain object (missing fields are left out)
+   */
+  pickSettings(source) {
+    return Object.fromEntries(COPYABLE_FIELDS
+      .filter(field => source[field] !== undefined && source[field] !== null)
+      .map(field => [field, source[field]]));
+  }
+
+  /**
+   * Days from the start date to each timeline date, or null without a start date
+   */
+  getTimelineOffsets(source) {
+    if (!source.campaignStartDate) {
+      return null;
+    }
+
+    const start = new Date(source.campaignStartDate).getTime();
+    return Object.fromEntries(TIMELINE_FIELDS
+      .filter(field => source[field])
+      .map(field => [field, (new Date(source[field]).getTime() - start) / DAY_MS]));
+  }
+
+  /**
+   * Timeline dates for a new start date, keeping each date's distance from the start
+   */
+  shiftTimeline(offsets, campaignStartDate) {
+    const start = new Date(campaignStartDate);
+    return {
+      campaignStartDate: start,
+      ...Object.fromEntries(Object.entries(offsets || {})
+        .map(([field, days]) => [field, new Date(start.getTime() + days * DAY_MS)]))
+    };
+  }
+
+  /**
+   * Campaign values from settings, with the timeline only when a start date is given
+   * (old dates would already be in the past)
+   */
+  buildCampaignValues(settings, offsets, campaignStartDate) {
+    return {
+      ...settings,
+      ...(campaignStartDate && this.shiftTimeline(offsets, campaignStartDate))
+    };
+  }
+
+  /**
+   * Create a draft copy of a campaign for the brand. Funding, applications and
+   * scheduler state are not copied.
+   */
+  async duplicate(campaign, brandId, { title, campaignStartDate } = {}) {
+    const values = this.buildCampaignValues(
+      this.pickSettings(campaign),
+      this.getTimelineOffsets(campaign),
+      campaignStartDate
+    );
+
+    return Campaign.create({
+      ...values,
+      title: title || `${campaign.title} (copy)`.slice(0, 200),
+      brandId,
+      status: 'draft'
+    });
+  }
+
+  /**
+   * Save a template from one of the brand's campaigns or from raw campaign values
+   */
+  async createTemplate(brandId, { name, description, campaign = null, values = {} }) {
+    const source = campaign || values;
+    return CampaignTemplate.create({
+      brandId,
+      sourceCampaignId: campaign ? campaign.id : null,
+      name,
+      description,
+      settings: this.pickSettings(source),
+      timelineOffsets: this.getTimelineOffsets(source)
+    });
+  }
+
+  /**
+   * Campaign values from a template, ready to prefill the create form
+   */
+  applyTemplate(template, { campaignStartDate } = {}) {
+    return this.buildCampaignValues(template.settings, template.timelineOffsets, campaignStartDate);
+  }
+
+  /**
+   * A brand's templates, most recently updated first
+   */
+  async list(brandId) {
+    return CampaignTemplate.findAll({
+      where: { brandId },
+      order: [['updated_at', 'DESC']]
+    });
+  }
+
+  /**
+   * One of the brand's templates, or null
+   */
+  async findForBrand(templateId, brandId) {
+    return CampaignTemplate.findOne({ where: { id: templateId, brandId } });
+  }
+}
+
+module.exports = new CampaignTemplateService();
@@ -0,0 +1,28 @@
+const StubCarrierAdapter = require('./stubCarrierAdapter');
+
+/**
+ * Carrier tracking adapters by name. An adapter has a `name` and
+ * `async track({ carrier, trackingNumber, shippedAt })` resolving to
+ * `{ status, deliveredAt, events: [{ status, description, location, occurredAt }] }`
+ * where status is one of the Shipment statuses from `shipped` on.
+ */
+const adapters = {
+  stub: () => new StubCarrierAdapter({
+    hoursScale: parseFloat(process.env.STUB_CARRIER_HOURS_SCALE) || 1
+  })
+};
+
+/**
+ * Create the adapter named in CARRIER_ADAPTER (the local stub until a real carrier is plugged in)
+ */
+const createAdapter = (name = process.env.CARRIER_ADAPTER || 'stub') => {
+  if (!adapters[name]) {
+    throw new Error(`Unknown carrier adapter: ${name}`);
+  }
+  return adapters[name]();
+};
+
+module.exports = {
+  StubCarrierAdapter,
+  createAdapter
+};
@@ -0,0 +1,49 @@
+const HOUR_MS = 60 * 60 * 1000;
+
+// Scan events every stub shipment goes through, in hours after it was shipped
+const MILESTONES = [
+  { after: 0, status: 'shipped', description: 'Shipping label created', location: 'Origin facility' },
+  { after: 12, status: 'in_transit', description: 'Departed origin facility', location: 'Origin facility' },
+  { after: 36, status: 'in_transit', description: 'Arrived at destination hub', location: 'Destination hub' },
+  { after: 48, status: 'out_for_delivery', description: 'Out for delivery', location: 'Local depot' },
+  { after: 60, status: 'delivered', description: 'Delivered', location: 'Recipient address' }
+];
+
+// Tracking numbers with this prefix stall with a delivery exception (for testing the unhappy path)
+const EXCEPTION_PREFIX = 'EXCEPTION';
+
+/**
+ * Local carrier adapter with no network calls (tests and development).
+ * Shipments move through fixed milestones based on the time since they shipped.
+ */
+class StubCarrierAdapter {
+  constructor({ hoursScale = 1 } = {}) {
+    this.name = 'stub';
+    this.hoursScale = hoursScale;
+  }
+
+  async track({ trackingNumber, shippedAt }, now = new Date()) {
+    const elapsedHours = (now.getTime() - new Date(shippedAt).getTime()) / HOUR_MS / this.hoursScale;
+    const milestones = String(trackingNumber).toUpperCase().startsWith(EXCEPTION_PREFIX)
+      ? [...MILESTONES.slice(0, 2), { after: 24, status: 'exception', description: 'Delivery exception: address could not be found', location: 'Destination hub' }]
+      : MILESTONES;
+
+    const events = milestones
+      .filter(milestone => elapsedHours >= milestone.after)
+      .map(({ after, status, description, location }) => ({
+        status,
+        description,
+        location,
+        occurredAt: new Date(new Date(shippedAt).getTime() + after * this.hoursScale * HOUR_MS)
+      }));
+    const latest = events[events.length - 1] || { status: 'shipped' };
+
+    return {
+      status: latest.status,
+      deliveredAt: latest.status === 'delivered' ? latest.occurredAt : null,
+      events
+    };
+  }
+}
+
+module.exports = StubCarrierAdapter;
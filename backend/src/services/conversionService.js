@@ -0,0 +1,409 @@
+const crypto = require('crypto');
+const { sequelize } = require('../config/database');
+const { Analytics, Campaign, CampaignApplication, Conversion, PromoCode, TrackedLink, User } = require('../models');
+const fxService = require('./fxService');
+const { logger } = require('../utils/monitoring');
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_SUFFIX_LENGTH = 4;
+
+// Signed payloads older (or newer) than this are rejected as replays
+const SIGNATURE_TOLERANCE_SECONDS = parseInt(process.env.CONVERSION_SIGNATURE_TOLERANCE_SECONDS || '300', 10);
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Order fields and the column names store exports use for them (compared lower-case, alphanumerics only)
+const ORDER_FIELD_ALIASES = {
+  orderId: ['orderid', 'order', 'ordernumber', 'name', 'id'],
+  code: ['code', 'promocode', 'discountcode', 'couponcode', 'coupon'],
+  amount: ['amount', 'total', 'ordertotal', 'totalprice', 'revenue'],
+  currency: ['currency'],
+  occurredAt: ['occurredat', 'createdat', 'orderdate', 'processedat', 'date']
+};
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Conversion service
+ * Issues promo codes to approved applications of conversions campaigns, ingests
+ * orders from the brand's store (signed webhook or CSV export) and writes ROI,
+ * conversion rate and cost per click into Analytics per influencer.
+ */
+class ConversionService {
+  /**
+   * Promo code for an influencer: up to six letters of their name plus a random suffix
+   */
+  generateCode(influencer = null) {
+    const prefix = ((influencer && influencer.name) || 'NANO').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 6) || 'NANO';
+    const suffix = Array.from(crypto.randomBytes(CODE_SUFFIX_LENGTH), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    return `${prefix}${suffix}`;
+  }
+
+  /**
+   * The application's promo code, created on first use. Null unless the campaign's goal is conversions.
+   */
+  async createForApplication(application, { campaign = null, transaction = null } = {}) {
+    const existing = await PromoCode.findOne({ where: { applicationId: application.id }, transaction });
+    if (existing) {
+      return existing;
+    }
+
+    const target = campaign || application.campaign || await Campaign.findByPk(application.campaignId, { transaction });
+    if (!target || target.goal !== 'conversions') {
+      return null;
+    }
+
+    const influencer = await User.findByPk(application.influencerId, { attributes: ['id', 'name'], transaction });
+    return PromoCode.create({
+      code: this.generateCode(influencer),
+      campaignId: target.id,
+      applicationId: application.id,
+      influencerId: application.influencerId
+    }, { transaction });
+  }
+
+  /**
+   * New random secret for the campaign's store webhook (the old one stops working)
+   */
+  async rotateSecret(campaign) {
+    const secret = crypto.randomBytes(32).toString('hex');
+    await campaign.update({ conversionSecret: secret });
+    return secret;
+  }
+
+  /**
+   * Hex HMAC-SHA256 of `<timestamp>.<payload>`
+   */
+  sign(secret, timestamp, payload) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  }
+
+  /**
+   * Whether a payload was signed with the campaign secret within the tolerance window
+   */
+  verifySignature(secret, { timestamp, signature, payload }, now = new Date()) {
+    if (!secret || !timestamp || !signature || !payload) {
+      return false;
+    }
+
+    const sentAt = parseInt(timestamp, 10);
+    if (!Number.isFinite(sentAt) || Math.abs(now.getTime() / 1000 - sentAt) > SIGNATURE_TOLERANCE_SECONDS) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(secret, timestamp, payload), 'hex');
+    const given = Buffer.from(String(signature).replace(/^sha256=/, ''), 'hex');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  /**
+   * Rows of a CSV export as objects keyed by the header row (quoted fields supported)
+   */
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    if (field || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    const [header = [], ...records] = rows.filter(cells => cells.some(cell => cell.trim()));
+    return records.map(cells => Object.fromEntries(header.map((name, index) => [name.trim(), cells[index]])));
+  }
+
+  /**
+   * Order fields from a webhook order or CSV row, whatever the store calls them
+   */
+  normalizeOrder(raw, defaultCurrency) {
+    const values = {};
+    Object.entries(raw || {}).forEach(([key, value]) => {
+      values[key.toLowerCase().replace(/[^a-z0-9]/g, '')] = value;
+    });
+    const pick = (field) => {
+      const alias = ORDER_FIELD_ALIASES[field].find(name => values[name] !== undefined && values[name] !== null && String(values[name]).trim() !== '');
+      return alias ? String(values[alias]).trim() : null;
+    };
+
+    const amount = pick('amount');
+    const occurredAt = pick('occurredAt');
+    return {
+      orderId: pick('orderId'),
+      code: pick('code') && pick('code').toUpperCase(),
+      amount: amount === null ? NaN : parseFloat(amount.replace(/[^0-9.-]/g, '')),
+      currency: (pick('currency') || defaultCurrency || 'USD').toUpperCase(),
+      occurredAt: occurredAt ? new Date(occurredAt) : null
+    };
+  }
+
+  /**
+   * Whether a normalized order can be recorded
+   */
+  isValidOrder(order) {
+    return Boolean(order.orderId) && order.orderId.length <= 128
+      && Boolean(order.code)
+      && Number.isFinite(order.amount) && order.amount >= 0
+      && /^[A-Z]{3}$/.test(order.currency)
+      && (!order.occurredAt || !isNaN(order.occurredAt.getTime()));
+  }
+
+  /**
+   * Why a batch of orders can't be ingested, or null
+   */
+  getIngestError(orders) {
+    if (!orders.length) {
+      return 'No orders found';
+    }
+    if (orders.length > MAX_IMPORT_ROWS) {
+      return `At most ${MAX_IMPORT_ROWS} orders can be recorded at once`;
+    }
+    return null;
+  }
+
+  /**
+   * Record orders against the campaign's promo codes. Orders already recorded,
+   * repeated in the batch, without a known code or malformed are counted and skipped.
+   */
+  async ingest(campaign, orders, source, now = new Date()) {
+    const result = { imported: 0, duplicates: 0, unmatched: 0, invalid: 0 };
+    const campaignCurrency = campaign.currency || 'USD';
+    const promoCodes = await PromoCode.findAll({ where: { campaignId: campaign.id } });
+    const byCode = new Map(promoCodes.map(promoCode => [promoCode.code, promoCode]));
+    const seen = new Set();
+
+    for (const raw of orders) {
+      const order = this.normalizeOrder(raw, campaignCurrency);
+      // Line-item exports repeat the order on every row
+      if (order.orderId && seen.has(order.orderId)) {
+        result.duplicates++;
+        continue;
+      }
+      if (!this.isValidOrder(order)) {
+        result.invalid++;
+        continue;
+      }
+      seen.add(order.orderId);
+
+      const promoCode = byCode.get(order.code);
+      if (!promoCode) {
+        result.unmatched++;
+        continue;
+      }
+
+      let campaignAmount;
+      try {
+        campaignAmount = await fxService.convert(order.amount, order.currency, campaignCurrency);
+      } catch (error) {
+        logger.warn('Conversion currency could not be converted', { campaignId: campaign.id, orderId: order.orderId, error: error.message });
+        result.invalid++;
+        continue;
+      }
+
+      const occurredAt = order.occurredAt || now;
+      const created = await sequelize.transaction(async (transaction) => {
+        const [, wasCreated] = await Conversion.findOrCreate({
+          where: { campaignId: campaign.id, orderId: order.orderId },
+          defaults: {
+            promoCodeId: promoCode.id,
+            applicationId: promoCode.applicationId,
+            amount: order.amount,
+            currency: order.currency,
+            campaignAmount,
+            source,
+            occurredAt
+          },
+          transaction
+        });
+
+        if (wasCreated) {
+          await promoCode.increment({ conversionCount: 1, revenue: campaignAmount }, { transaction });
+          if (!promoCode.lastConversionAt || occurredAt > promoCode.lastConversionAt) {
+            await promoCode.update({ lastConversionAt: occurredAt }, { transaction });
+          }
+        }
+        return wasCreated;
+      });
+
+      result[created ? 'imported' : 'duplicates']++;
+    }
+
+    if (result.imported) {
+      await this.refreshMetrics(campaign, now);
+    }
+
+    logger.info('Conversions recorded', { campaignId: campaign.id, source, ...result });
+    return result;
+  }
+
+  /**
+   * ROI and conversion rate (percent) and cost per click, null where undefined
+   */
+  computeRates({ orders, revenue, clicks, cost }) {
+    return {
+      roi: cost > 0 ? round4((revenue - cost) / cost * 100) : null,
+      conversionRate: clicks > 0 ? round4(orders / clicks * 100) : null,
+      cpc: clicks > 0 ? round4(cost / clicks) : null
+    };
+  }
+
+  /**
+   * Orders, revenue, clicks and cost per influencer and for the whole campaign,
+   * with money in the campaign currency. Cost is the agreed rate.
+   */
+  async summarize(campaign) {
+    const campaignCurrency = campaign.currency || 'USD';
+    const [promoCodes, links] = await Promise.all([
+      PromoCode.findAll({
+        where: { campaignId: campaign.id },
+        include: [{
+          model: CampaignApplication,
+          as: 'application',
+          attributes: ['id', 'influencerId', 'negotiatedRate', 'currency', 'appliedPlatforms']
+        }],
+        order: [['revenue', 'DESC']]
+      }),
+      TrackedLink.findAll({ where: { campaignId: campaign.id } })
+    ]);
+    const linksByApplication = new Map(links.map(link => [link.applicationId, link]));
+
+    const influencers = [];
+    for (const promoCode of promoCodes) {
+      const application = promoCode.application;
+      const link = linksByApplication.get(promoCode.applicationId);
+      const stats = {
+        orders: promoCode.conversionCount,
+        revenue: round2(parseFloat(promoCode.revenue)),
+        clicks: link ? link.clickCount : 0,
+        cost: application.negotiatedRate
+          ? await fxService.convert(application.negotiatedRate, application.currency || campaignCurrency, campaignCurrency)
+          : 0
+      };
+
+      influencers.push({
+        applicationId: promoCode.applicationId,
+        influencerId: promoCode.influencerId,
+        code: promoCode.code,
+        // Same platform attribution as click metrics
+        platform: link ? link.platform : application.appliedPlatforms[0],
+        ...stats,
+        ...this.computeRates(stats)
+      });
+    }
+
+    const totals = influencers.reduce((sum, row) => ({
+      orders: sum.orders + row.orders,
+      revenue: round2(sum.revenue + row.revenue),
+      clicks: sum.clicks + row.clicks,
+      cost: round2(sum.cost + row.cost)
+    }), { orders: 0, revenue: 0, clicks: 0, cost: 0 });
+
+    return {
+      currency: campaignCurrency,
+      totals: { ...totals, ...this.computeRates(totals) },
+      influencers
+    };
+  }
+
+  /**
+   * Write today's roi, conversion_rate and cpc metrics for each application and,
+   * per platform, for the campaign
+   */
+  async refreshMetrics(campaign, now = new Date()) {
+    const summary = await this.summarize(campaign);
+    const dateRecorded = now.toISOString().slice(0, 10);
+
+    const byPlatform = {};
+    for (const row of summary.influencers) {
+      await this.writeMetrics('application', row.applicationId, row.platform, row, dateRecorded, summary.currency);
+
+      const platformTotals = byPlatform[row.platform] || { orders: 0, revenue: 0, clicks: 0, cost: 0 };
+      ['orders', 'revenue', 'clicks', 'cost'].forEach(key => { platformTotals[key] += row[key]; });
+      byPlatform[row.platform] = platformTotals;
+    }
+
+    for (const [platform, stats] of Object.entries(byPlatform)) {
+      await this.writeMetrics('campaign', campaign.id, platform, stats, dateRecorded, summary.currency);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Upsert one day's rate metrics for an entity, with the underlying figures in additionalData
+   */
+  async writeMetrics(entityType, entityId, platform, stats, dateRecorded, currency) {
+    const rates = this.computeRates(stats);
+    const additionalData = {
+      orders: stats.orders,
+      revenue: round2(stats.revenue),
+      clicks: stats.clicks,
+      cost: round2(stats.cost)
+    };
+    const metrics = [['roi', rates.roi], ['conversion_rate', rates.conversionRate], ['cpc', rates.cpc]]
+      .filter(([, value]) => value !== null);
+
+    for (const [metricType, value] of metrics) {
+      const [metric, created] = await Analytics.findOrCreate({
+        where: { entityType, entityId, platform, metricType, dateRecorded, contentUrl: null },
+        defaults: {
+          value,
+          currency: metricType === 'cpc' ? currency : null,
+          additionalData,
+          source: 'third_party',
+          isVerified: true
+        }
+      });
+      if (!created) {
+        await metric.update({ value, additionalData });
+      }
+    }
+  }
+
+  /**
+   * Promo code as returned by the API
+   */
+  present(promoCode) {
+    return {
+      id: promoCode.id,
+      code: promoCode.code,
+      applicationId: promoCode.applicationId,
+      influencerId: promoCode.influencerId,
+      conversionCount: promoCode.conversionCount,
+      revenue: parseFloat(promoCode.revenue),
+      lastConversionAt: promoCode.lastConversionAt
+    };
+  }
+}
+
+module.exports = new ConversionService();
@@ -0,0 +1,313 @@
+const crypto = require('crypto');
+const path = require('path');
+const { sequelize } = require('../config/database');
+const { Campaign, Deliverable, DeliverableVersion, DeliverableComment, User } = require('../models');
+const applicationStateService = require('./applicationStateService');
+
+const MAX_ASSETS_PER_VERSION = 10;
+const SUBMITTABLE_APPLICATION_STATUSES = ['approved', 'in_progress'];
+const REVIEW_DECISIONS = ['approved', 'needs_revision', 'rejected'];
+
+/**
+ * Deliverable service
+ * Influencers submit each deliverable in numbered versions; brands review the latest
+ * version and leave comments anchored to its assets. The application's
+ * contentApprovalStatus follows the latest round of all its deliverables.
+ */
+class DeliverableService {
+  /**
+   * Asset keys must point at the submitter's own uploads
+   */
+  isOwnUploadKey(uploadKey, userId) {
+    return typeof uploadKey === 'string' &&
+      uploadKey.startsWith(`uploads/${userId}/`) &&
+      !uploadKey.includes('..');
+  }
+
+  /**
+   * Why the submitted files are not acceptable, or null if they are
+   */
+  getAssetError(assets, userId) {
+    if (assets.length > MAX_ASSETS_PER_VERSION) {
+      return `A version can have at most ${MAX_ASSETS_PER_VERSION} files`;
+    }
+    if (assets.some(asset => !this.isOwnUploadKey(asset.uploadKey, userId))) {
+      return 'Deliverable files must be your own uploads';
+    }
+    return null;
+  }
+
+  /**
+   * Validate submitted assets and give each an id comments can anchor to
+   */
+  prepareAssets(assets, userId) {
+    const assetError = this.getAssetError(assets, userId);
+    if (assetError) {
+      throw new Error(assetError);
+    }
+
+    return assets.map(asset => ({
+      id: crypto.randomUUID(),
+      uploadKey: asset.uploadKey,
+      fileName: asset.fileName || path.basename(asset.uploadKey),
+      contentType: asset.contentType || null
+    }));
+  }
+
+  /**
+   * The content approval status implied by the deliverables' latest rounds
+   */
+  getContentApprovalStatus(deliverables) {
+    const statuses = deliverables.map(deliverable => deliverable.status);
+    if (statuses.includes('rejected')) {
+      return 'rejected';
+    }
+    if (statuses.includes('needs_revision')) {
+      return 'needs_revision';
+    }
+    if (statuses.includes('submitted')) {
+      return 'pending';
+    }
+    return 'approved';
+  }
+
+  /**
+   * Why a new version cannot be submitted, or null if it can.
+   * deliverable is null for the first version of a new deliverable.
+   */
+  async getSubmissionError(application, deliverable = null) {
+    if (!SUBMITTABLE_APPLICATION_STATUSES.includes(application.status)) {
+      return 'You can only submit content for approved applications';
+    }
+
+    if (deliverable) {
+      return deliverable.status === 'needs_revision'
+        ? null
+        : 'A new version can only be submitted after the brand requests changes';
+    }
+
+    return applicationStateService.getTransitionError(application, {
+      status: 'in_progress',
+      contentApprovalStatus: 'pending'
+    });
+  }
+
+  /**
+   * Submit a version: the first one creates the deliverable, later ones answer a revision request
+   */
+  async submitVersion(application, influencer, { deliverable = null, platform, contentType, title, caption, contentUrl, assets = [], notes }) {
+    const preparedAssets = this.prepareAssets(assets, influencer.id);
+
+    return sequelize.transaction(async (transaction) => {
+      if (deliverable) {
+        await deliverable.update({
+          currentVersion: deliverable.currentVersion + 1,
+          status: 'submitted'
+        }, { transaction });
+      } else {
+        deliverable = await Deliverable.create({
+          campaignId: application.campaignId,
+          influencerId: influencer.id,
+          applicationId: application.id,
+          title,
+          platform,
+          contentType,
+          currentVersion: 1,
+          status: 'submitted'
+        }, { transaction });
+      }
+
+      const version = await DeliverableVersion.create({
+        deliverableId: deliverable.id,
+        version: deliverable.currentVersion,
+        caption,
+        contentUrl,
+        assets: preparedAssets,
+        notes,
+        submittedBy: influencer.id,
+        status: 'submitted'
+      }, { transaction });
+
+      await this.syncApplication(application, influencer, {
+        note: `${deliverable.title || deliverable.contentType} v${version.version} submitted`,
+        changes: {
+          status: 'in_progress',
+          submittedContent: { deliverableId: deliverable.id, version: version.version, caption, contentUrl, assets: preparedAssets }
+        },
+        transaction
+      });
+
+      return { deliverable, version };
+    });
+  }
+
+  /**
+   * Latest version of each deliverable of an application that is waiting for review
+   */
+  async getVersionsAwaitingReview(applicationId) {
+    const deliverables = await Deliverable.findAll({
+      where: { applicationId, status: 'submitted' },
+      order: [['created_at', 'ASC']]
+    });
+
+    return Promise.all(deliverables.map(async (deliverable) => ({
+      deliverable,
+      version: await DeliverableVersion.findOne({
+        where: { deliverableId: deliverable.id, version: deliverable.currentVersion }
+      })
+    })));
+  }
+
+  /**
+   * Why a version cannot be reviewed with this decision, or null if it can
+   */
+  async getReviewError(deliverable, version, decision) {
+    if (!REVIEW_DECISIONS.includes(decision)) {
+      return `Unknown review decision: ${decision}`;
+    }
+
+    if (version.version !== deliverable.currentVersion || version.status !== 'submitted') {
+      return 'Only the latest submitted version can be reviewed';
+    }
+
+    if (decision === 'needs_revision') {
+      const campaign = await Campaign.findByPk(deliverable.campaignId, { attributes: ['id', 'maxRevisions'] });
+      const revisionsUsed = deliverable.currentVersion - 1;
+      if (campaign && revisionsUsed >= campaign.maxRevisions) {
+        return `This campaign allows ${campaign.maxRevisions} revision round(s) per deliverable; approve or reject this version`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Record the brand's decision on the latest version and update the application.
+   * Returns whether this review approved the application's content as a whole.
+   */
+  async reviewVersion(application, deliverable, version, reviewer, { decision, summary = null }) {
+    const previousContentStatus = application.contentApprovalStatus;
+
+    const contentApprovalStatus = await sequelize.transaction(async (transaction) => {
+      await version.update({
+        status: decision,
+        reviewSummary: summary,
+        reviewedBy: reviewer.id,
+        reviewedAt: new Date()
+      }, { transaction });
+
+      await deliverable.update({
+        status: decision,
+        ...(decision === 'approved' ? { approvalDate: new Date() } : {})
+      }, { transaction });
+
+      return this.syncApplication(application, reviewer, {
+        note: summary || `${deliverable.title || deliverable.contentType} v${version.version} ${decision.replace('_', ' ')}`,
+        changes: decision === 'needs_revision' ? { revisionNotes: summary } : {},
+        transaction
+      });
+    });
+
+    return {
+      deliverable,
+      version,
+      contentApprovalStatus,
+      contentApproved: contentApprovalStatus === 'approved' && previousContentStatus !== 'approved'
+    };
+  }
+
+  /**
+   * Move the application's contentApprovalStatus to match its deliverables
+   */
+  async syncApplication(application, actor, { note = null, changes = {}, transaction = null } = {}) {
+    const deliverables = await Deliverable.findAll({
+      where: { applicationId: application.id },
+      attributes: ['id', 'status'],
+      transaction
+    });
+    const contentApprovalStatus = this.getContentApprovalStatus(deliverables);
+
+    await applicationStateService.transition(application, { ...changes, contentApprovalStatus }, {
+      actor,
+      note,
+      transaction
+    });
+    return contentApprovalStatus;
+  }
+
+  /**
+   * Why a comment cannot be left on a version, or null if it can
+   */
+  getCommentError(version, { assetId = null, timestampSeconds = null }) {
+    const asset = assetId ? version.findAsset(assetId) : null;
+    if (assetId && !asset) {
+      return 'The comment refers to a file that is not part of this version';
+    }
+
+    if (timestampSeconds !== null && timestampSeconds !== undefined) {
+      if (!asset || !(asset.contentType || '').startsWith('video/')) {
+        return 'Timestamps can only be attached to a video file';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Leave feedback on a version, optionally anchored to an asset (and a moment in a video)
+   */
+  async addComment(deliverable, version, author, { body, assetId = null, timestampSeconds = null }) {
+    return DeliverableComment.create({
+      deliverableId: deliverable.id,
+      versionId: version.id,
+      authorId: author.id,
+      authorRole: author.role,
+      body,
+      assetId,
+      timestampSeconds
+    });
+  }
+
+  /**
+   * All deliverables of an application with every version and its comments
+   */
+  async getDeliverables(applicationId) {
+    return Deliverable.findAll({
+      where: { applicationId },
+      include: [{
+        model: DeliverableVersion,
+        as: 'versions',
+        include: [{
+          model: DeliverableComment,
+          as: 'comments',
+          include: [{ model: User, as: 'author', attributes: ['id', 'name', 'role'] }]
+        }]
+      }],
+      order: [
+        ['created_at', 'ASC'],
+        [{ model: DeliverableVersion, as: 'versions' }, 'version', 'ASC'],
+        [{ model: DeliverableVersion, as: 'versions' }, { model: DeliverableComment, as: 'comments' }, 'created_at', 'ASC']
+      ]
+    });
+  }
+
+  /**
+   * What changed between two versions; files are matched by upload key
+   */
+  compareVersions(fromVersion, toVersion) {
+    const fromKeys = new Set(fromVersion.assets.map(asset => asset.uploadKey));
+    const toKeys = new Set(toVersion.assets.map(asset => asset.uploadKey));
+
+    return {
+      captionChanged: (fromVersion.caption || '') !== (toVersion.caption || ''),
+      contentUrlChanged: (fromVersion.contentUrl || '') !== (toVersion.contentUrl || ''),
+      assets: {
+        added: toVersion.assets.filter(asset => !fromKeys.has(asset.uploadKey)),
+        removed: fromVersion.assets.filter(asset => !toKeys.has(asset.uploadKey)),
+        unchanged: toVersion.assets.filter(asset => fromKeys.has(asset.uploadKey))
+      }
+    };
+  }
+}
+
+module.exports = new DeliverableService();
@@ -0,0 +1,379 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const {
+  Dispute,
+  DisputeEvidence,
+  DisputeMessage,
+  EscrowAllocation,
+  EscrowMilestone,
+  CampaignApplication
+} = require('../models');
+const escrowService = require('./escrowService');
+const ledgerService = require('./ledgerService');
+const payoutService = require('./payoutService');
+const feeService = require('./feeService');
+const subscriptionService = require('./subscriptionService');
+const applicationStateService = require('./applicationStateService');
+const escrowAllocationService = require('./escrowAllocationService');
+const { logger } = require('../utils/monitoring');
+
+const DISPUTABLE_ESCROW_STATUSES = ['funded', 'partially_released'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const OUTCOME_STATUSES = {
+  refund: 'resolved_refund',
+  release: 'resolved_release',
+  split: 'split'
+};
+
+/**
+ * Convert a decimal amount to integer cents
+ */
+const toCents = (amount) => Math.round(parseFloat(amount || 0) * 100);
+
+/**
+ * Dispute service
+ * Opening a dispute freezes the disputed application's share of the campaign
+ * escrow on the ledger; an admin resolution refunds, releases or splits the
+ * frozen funds. Other applications keep releasing their allocations meanwhile.
+ */
+class DisputeService {
+  /**
+   * Evidence keys must point at the submitter's own uploads
+   */
+  isOwnUploadKey(uploadKey, userId) {
+    return typeof uploadKey === 'string' &&
+      uploadKey.startsWith(`uploads/${userId}/`) &&
+      !uploadKey.includes('..');
+  }
+
+  /**
+   * Escrow at stake for an application: its outstanding allocation or, without one,
+   * its negotiated rate out of the unallocated balance (nothing if no rate is set),
+   * so one dispute never freezes funds meant for other applications
+   */
+  async getDisputableAmount(escrow, application, transaction) {
+    const allocation = await EscrowAllocation.findOne({
+      where: { applicationId: application.id, status: 'active' },
+      transaction
+    });
+    if (allocation) {
+      return (toCents(allocation.amount) - toCents(allocation.releasedAmount)) / 100;
+    }
+    if (!application.negotiatedRate) {
+      return 0;
+    }
+    const unallocatedBalance = await escrowAllocationService.getUnallocatedBalance(escrow, transaction);
+    return Math.min(toCents(application.negotiatedRate), toCents(unallocatedBalance)) / 100;
+  }
+
+  /**
+   * Open a dispute for one application and freeze its share of the escrow
+   */
+  async openDispute({ escrow, campaign, application, openedBy, disputeType, description = null, evidence = [] }) {
+    if (!DISPUTABLE_ESCROW_STATUSES.includes(escrow.status)) {
+      throw new Error(`Escrow cannot be disputed while ${escrow.status}`);
+    }
+
+    const invalidEvidence = evidence.find(item => item.uploadKey && !this.isOwnUploadKey(item.uploadKey, openedBy.id));
+    if (invalidEvidence) {
+      throw new Error('Evidence files must be your own uploads');
+    }
+
+    return sequelize.transaction(async (transaction) => {
+      const openDispute = await Dispute.findOne({
+        where: { applicationId: application.id, status: { [Op.notIn]: Dispute.RESOLVED_STATUSES } },
+        transaction
+      });
+      if (openDispute) {
+        throw new Error('This application already has an open dispute');
+      }
+
+      const frozenAmount = await this.getDisputableAmount(escrow, application, transaction);
+      if (toCents(frozenAmount) <= 0) {
+        throw new Error('No escrow balance available to dispute');
+      }
+
+      const dispute = await Dispute.create({
+        escrowId: escrow.id,
+        campaignId: campaign.id,
+        applicationId: application.id,
+        brandId: campaign.brandId,
+        influencerId: application.influencerId,
+        openedBy: openedBy.id,
+        disputeType,
+        description,
+        frozenAmount
+      }, { transaction });
+
+      const { entryId } = await ledgerService.recordDisputeHold(escrow, {
+        disputeId: dispute.id,
+        amount: frozenAmount,
+        reportedBy: openedBy.id,
+        disputeType
+      }, transaction);
+      await dispute.update({ holdEntryId: entryId }, { transaction });
+
+      if (evidence.length) {
+        await DisputeEvidence.bulkCreate(evidence.map(item => ({
+          disputeId: dispute.id,
+          submittedBy: openedBy.id,
+          uploadKey: item.uploadKey || null,
+          fileName: item.fileName || null,
+          description: item.description || null
+        })), { transaction });
+      }
+
+      if (description) {
+        await DisputeMessage.create({
+          disputeId: dispute.id,
+          senderId: openedBy.id,
+          senderRole: openedBy.role,
+          body: description
+        }, { transaction });
+      }
+
+      logger.info('Dispute opened and escrow share frozen', {
+        disputeId: dispute.id,
+        escrowId: escrow.id,
+        applicationId: application.id,
+        openedBy: openedBy.id,
+        disputeType,
+        frozenAmount
+      });
+
+      return dispute;
+    });
+  }
+
+  /**
+   * Add a message to the dispute thread
+   */
+  async addMessage(dispute, sender, body) {
+    if (!dispute.isOpen()) {
+      throw new Error('Dispute has already been resolved');
+    }
+
+    return DisputeMessage.create({
+      disputeId: dispute.id,
+      senderId: sender.id,
+      senderRole: sender.role,
+      body
+    });
+  }
+
+  /**
+   * Attach evidence (an uploaded file and/or a statement) to an open dispute
+   */
+  async addEvidence(dispute, user, { uploadKey = null, fileName = null, description = null }) {
+    if (!dispute.isOpen()) {
+      throw new Error('Dispute has already been resolved');
+    }
+    if (!uploadKey && !description) {
+      throw new Error('Evidence needs a file or a description');
+    }
+    if (uploadKey && !this.isOwnUploadKey(uploadKey, user.id)) {
+      throw new Error('Evidence files must be your own uploads');
+    }
+
+    return DisputeEvidence.create({
+      disputeId: dispute.id,
+      submittedBy: user.id,
+      uploadKey,
+      fileName,
+      description
+    });
+  }
+
+  /**
+   * Move a dispute along its workflow (admin only), noting the change in the thread
+   */
+  async transition(dispute, admin, status, { note = null, evidenceDueInDays = null } = {}) {
+    if (!dispute.canTransitionTo(status)) {
+      throw new Error(`Cannot move dispute from ${dispute.status} to ${status}`);
+    }
+
+    return sequelize.transaction(async (transaction) => {
+      await dispute.update({
+        status,
+        ...(status === 'evidence_requested' ? {
+          evidenceRequestNote: note,
+          evidenceDueAt: evidenceDueInDays ? new Date(Date.now() + evidenceDueInDays * DAY_MS) : null
+        } : {})
+      }, { transaction });
+
+      await DisputeMessage.create({
+        disputeId: dispute.id,
+        senderId: admin.id,
+        senderRole: 'admin',
+        body: note ? `Status changed to ${status}: ${note}` : `Status changed to ${status}`,
+        isSystem: true
+      }, { transaction });
+
+      return dispute;
+    });
+  }
+
+  /**
+   * Work out refund/release amounts for an outcome. Both default to, and may not
+   * exceed, the disputed application's outstanding allocation within the frozen funds.
+   */
+  async getResolutionAmounts(dispute, { outcome, refundAmount, releaseAmount }) {
+    let capCents = toCents(dispute.frozenAmount);
+    const allocation = await EscrowAllocation.findOne({ where: { applicationId: dispute.applicationId, status: 'active' } });
+    if (allocation) {
+      capCents = Math.min(capCents, toCents(allocation.amount) - toCents(allocation.releasedAmount));
+    }
+
+    let amounts;
+    if (outcome === 'refund') {
+      amounts = { refundCents: refundAmount ? toCents(refundAmount) : capCents, releaseCents: 0 };
+    } else if (outcome === 'release') {
+      amounts = { refundCents: 0, releaseCents: releaseAmount ? toCents(releaseAmount) : capCents };
+    } else if (!refundAmount || !releaseAmount) {
+      throw new Error('A split needs both a refund and a release amount');
+    } else {
+      amounts = { refundCents: toCents(refundAmount), releaseCents: toCents(releaseAmount) };
+    }
+
+    if (amounts.refundCents + amounts.releaseCents > capCents) {
+      throw new Error(`Resolution amounts exceed the disputed balance of ${capCents / 100}`);
+    }
+    return amounts;
+  }
+
+  /**
+   * Resolve a dispute under review: move money, settle the application's
+   * allocation and unfreeze whatever is left of the frozen funds
+   */
+  async resolve(dispute, admin, { outcome, refundAmount = null, releaseAmount = null, notes = null }) {
+    const status = OUTCOME_STATUSES[outcome];
+    if (!status || !dispute.canTransitionTo(status)) {
+      throw new Error(`Cannot resolve a dispute that is ${dispute.status}`);
+    }
+
+    const escrow = dispute.escrow;
+    const { refundCents, releaseCents } = await this.getResolutionAmounts(dispute, { outcome, refundAmount, releaseAmount });
+
+    if (refundCents + releaseCents <= 0) {
+      throw new Error('Resolution must refund or release a positive amount');
+    }
+
+    // Processor first: refund part of the payment and capture what is released
+    if (refundCents > 0) {
+      const refundResult = await escrowService.refundToBrand(escrow.paymentIntentId, refundCents / 100, 'dispute_resolution');
+      if (!refundResult.success) {
+        throw new Error(refundResult.error);
+      }
+    }
+    let captureResult = null;
+    let fees = { platformFee: 0, waivedFee: 0 };
+    if (releaseCents > 0) {
+      captureResult = await escrowService.captureEscrow(escrow.paymentIntentId);
+      if (!captureResult.success) {
+        throw new Error(captureResult.error);
+      }
+      fees = await feeService.calculateFees(releaseCents / 100, {
+        currency: escrow.currency,
+        tier: await subscriptionService.getTier(escrow.brandId),
+        brandId: escrow.brandId
+      });
+    }
+
+    let result;
+    try {
+      result = await sequelize.transaction(async (transaction) => {
+        if (captureResult) {
+          await ledgerService.recordProcessorFee(escrow, {
+            chargeAmount: captureResult.capturedAmount,
+            processorFee: await feeService.calculateProcessorFee(captureResult.capturedAmount, escrow.currency)
+          }, transaction);
+        }
+
+        const { payout } = await ledgerService.recordDisputeResolution(escrow, {
+          disputeId: dispute.id,
+          frozenAmount: dispute.frozenAmount,
+          refundAmount: refundCents / 100,
+          releaseAmount: releaseCents / 100,
+          platformFee: fees.platformFee,
+          waivedFee: fees.waivedFee,
+          applicationId: dispute.applicationId,
+          influencerId: dispute.influencerId
+        }, transaction);
+
+        await this.settleAllocation(dispute, releaseCents, payout, transaction);
+
+        await dispute.update({
+          status,
+          refundAmount: refundCents / 100,
+          releaseAmount: releaseCents / 100,
+          resolutionNotes: notes,
+          resolvedBy: admin.id,
+          resolvedAt: new Date()
+        }, { transaction });
+
+        await DisputeMessage.create({
+          disputeId: dispute.id,
+          senderId: admin.id,
+          senderRole: 'admin',
+          body: `Dispute resolved (${outcome}): refunded ${refundCents / 100}, released ${releaseCents / 100}` +
+            (notes ? ` - ${notes}` : ''),
+          isSystem: true
+        }, { transaction });
+
+        logger.info('Dispute resolved', {
+          disputeId: dispute.id,
+          escrowId: escrow.id,
+          outcome,
+          refundAmount: refundCents / 100,
+          releaseAmount: releaseCents / 100,
+          resolvedBy: admin.id
+        });
+
+        return { dispute, payout };
+      });
+    } catch (error) {
+      ledgerService.logReconciliationGap('dispute_resolution', escrow.id, error);
+      throw error;
+    }
+
+    if (result.payout) {
+      payoutService.dispatchPayout(result.payout);
+    }
+    return result;
+  }
+
+  /**
+   * The dispute outcome replaces the application's milestone plan
+   */
+  async settleAllocation(dispute, releaseCents, payout, transaction) {
+    const allocation = await EscrowAllocation.findOne({
+      where: { applicationId: dispute.applicationId, status: 'active' },
+      transaction
+    });
+
+    if (allocation) {
+      await EscrowMilestone.update(
+        { status: 'cancelled' },
+        { where: { allocationId: allocation.id, status: ['pending', 'approved'] }, transaction }
+      );
+      await allocation.update({
+        releasedAmount: (toCents(allocation.releasedAmount) + releaseCents) / 100,
+        status: releaseCents > 0 ? 'released' : 'cancelled'
+      }, { transaction });
+    }
+
+    const application = await CampaignApplication.findByPk(dispute.applicationId, { transaction });
+    const note = `Dispute ${dispute.id} resolved`;
+    if (payout) {
+      await applicationStateService.transition(application, {
+        paymentStatus: 'processing',
+        paidAmount: (toCents(application.paidAmount) + toCents(payout.amount)) / 100
+      }, { transaction, note });
+    } else if (application.paymentStatus === 'pending') {
+      await applicationStateService.transition(application, { paymentStatus: 'failed' }, { transaction, note });
+    }
+  }
+}
+
+module.exports = new DisputeService();
@@ -4,6 +4,11 @@ const jwt = require('jsonwebtoken');
 const { logger } = require('../utils/monitoring');
 const { getSecrets } = require('../utils/secrets');
 
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// User-provided text (search names, campaign titles) placed in HTML emails
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
 /**
  * Email Verification Service
  * Handles email verification tokens, sending verification emails, and email validation
@@ -19,9 +24,13 @@ class EmailVerificationService {
    */
   async initializeTransporter() {
     try {
-      // In development, use Mailhog or test account
-      if (process.env.NODE_ENV === 'development') {
-        this.transporter = nodemailer.createTransporter({
+      // JSON transport captures messages without sending (tests, CI)
+      if (process.env.EMAIL_TRANSPORT === 'json' ||
+          (process.env.NODE_ENV === 'test' && !process.env.EMAIL_TRANSPORT)) {
+        this.transporter = nodemailer.createTransport({ jsonTransport: true });
+      } else if (process.env.NODE_ENV === 'development') {
+        // In development, use Mailhog or another local SMTP catcher
+        this.transporter = nodemailer.createTransport({
           host: process.env.SMTP_HOST || 'localhost',
           port: process.env.SMTP_PORT || 1025,
           secure: false,
@@ -32,7 +41,7 @@ class EmailVerificationService {
         });
       } else {
         // Production email configuration
-        this.transporter = nodemailer.createTransporter({
+        this.transporter = nodemailer.createTransport({
           host: process.env.SMTP_HOST,
           port: process.env.SMTP_PORT || 587,
           secure: process.env.SMTP_SECURE === 'true',
@@ -47,7 +56,7 @@ class EmailVerificationService {
       }
 
       // Verify transporter configuration
-      if (process.env.NODE_ENV !== 'test') {
+      if (process.env.NODE_ENV !== 'test' && !this.transporter.options.jsonTransport) {
         await this.transporter.verify();
         logger.info('Email transporter initialized successfully');
       }
@@ -58,22 +67,35 @@ class EmailVerificationService {
     }
   }
 
+  /**
+   * Replace the transporter (e.g. with a capturing transport in tests)
+   */
+  setTransporter(transporter) {
+    this.transporter = transporter;
+  }
+
   /**
    * Generate email verification token
    */
-  async generateVerificationToken(userId, email, type = 'email_verification') {
+  async generateVerificationToken(userId, email, type = 'email_verification', claims = {}) {
     try {
       const jwtSecret = await getSecrets.jwt.getSecret();
       
       const payload = {
+        ...claims,
         userId,
         email,
         type,
         timestamp: Date.now()
       };
 
+      // Reset links are more sensitive than verification links
+      const expiresIn = type === 'password_reset'
+        ? process.env.PASSWORD_RESET_EXPIRES || '1h'
+        : process.env.EMAIL_VERIFICATION_EXPIRES || '24h';
+
       const token = jwt.sign(payload, jwtSecret, {
-        expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES || '24h',
+        expiresIn,
         issuer: 'nanoinfluencer-marketplace',
         audience: 'email-verification'
       });
@@ -84,7 +106,7 @@ class EmailVerificationService {
       return {
         jwtToken: token,
         simpleToken: simpleToken,
-        expiresAt: new Date(Date.now() + (24 * 60 * 60 * 1000)) // 24 hours
+        expiresAt: new Date(jwt.decode(token).exp * 1000)
       };
     } catch (error) {
       logger.error('Failed to generate verification token', {
@@ -116,7 +138,8 @@ class EmailVerificationService {
         userId: decoded.userId,
         email: decoded.email,
         type: decoded.type,
-        timestamp: decoded.timestamp
+        timestamp: decoded.timestamp,
+        claims: decoded
       };
     } catch (error) {
       logger.error('Token verification failed', {
@@ -272,6 +295,50 @@ class EmailVerificationService {
     }
   }
 
+  /**
+   * Send a saved search alert listing new matches, with one-click unsubscribe headers
+   */
+  async sendSavedSearchAlert(user, { searchName, matches, totalNew, searchUrl, unsubscribeUrl, oneClickUnsubscribeUrl }) {
+    try {
+      const alert = { searchName, matches, totalNew, searchUrl, unsubscribeUrl };
+
+      const mailOptions = {
+        from: {
+          name: process.env.FROM_NAME || 'NanoInfluencer Marketplace',
+          address: process.env.FROM_EMAIL || 'noreply@nanoinfluencer.com'
+        },
+        to: user.email,
+        subject: `${totalNew} new match${totalNew === 1 ? '' : 'es'} for "${searchName}" - NanoInfluencer Marketplace`,
+        html: this.getSavedSearchAlertTemplate(user.name, alert),
+        text: this.getSavedSearchAlertText(user.name, alert),
+        headers: {
+          'List-Unsubscribe': `<${oneClickUnsubscribeUrl}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+
+      logger.info('Saved search alert sent successfully', {
+        userId: user.id,
+        email: user.email,
+        messageId: result.messageId
+      });
+
+      return {
+        success: true,
+        messageId: result.messageId
+      };
+    } catch (error) {
+      logger.error('Failed to send saved search alert', {
+        error: error.message,
+        userId: user.id,
+        email: user.email
+      });
+      throw new Error('Failed to send saved search alert');
+    }
+  }
+
   /**
    * Email verification HTML template
    */
@@ -521,6 +588,66 @@ class EmailVerificationService {
     `;
   }
 
+  /**
+   * Saved search alert HTML template
+   */
+  getSavedSearchAlertTemplate(userName, { searchName, matches, totalNew, searchUrl, unsubscribeUrl }) {
+    const items = matches.map(match => `<li>${escapeHtml(match.title)}</li>`).join('');
+    const more = totalNew > matches.length ? `<p>…and ${totalNew - matches.length} more.</p>` : '';
+
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>New matches for your saved search</title>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 8px; }
+            .button { display: inline-block; padding: 15px 30px; background: #4facfe; color: white; text-decoration: none; border-radius: 5px; font-weight: bold; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee; color: #666; font-size: 14px; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="content">
+                <p>Hi ${escapeHtml(userName)},</p>
+                <p>Your saved search <strong>${escapeHtml(searchName)}</strong> has ${totalNew} new match${totalNew === 1 ? '' : 'es'}:</p>
+                <ul>${items}</ul>
+                ${more}
+                <a href="${searchUrl}" class="button">See all results</a>
+            </div>
+            <div class="footer">
+                <p>You get this email because you saved this search. <a href="${unsubscribeUrl}">Unsubscribe from these alerts</a></p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+  }
+
+  /**
+   * Saved search alert plain text template
+   */
+  getSavedSearchAlertText(userName, { searchName, matches, totalNew, searchUrl, unsubscribeUrl }) {
+    const items = matches.map(match => `    - ${match.title}`).join('\n');
+    const more = totalNew > matches.length ? `\n    ...and ${totalNew - matches.length} more.` : '';
+
+    return `
+    Hi ${userName},
+
+    Your saved search "${searchName}" has ${totalNew} new match${totalNew === 1 ? '' : 'es'}:
+
+${items}${more}
+
+    See all results: ${searchUrl}
+
+    Unsubscribe from these alerts: ${unsubscribeUrl}
+    `;
+  }
+
   /**
    * Validate email format
    */
@@ -0,0 +1,342 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Dispute, Escrow, EscrowAllocation, EscrowMilestone, CampaignApplication } = require('../models');
+const escrowService = require('./escrowService');
+const ledgerService = require('./ledgerService');
+const payoutService = require('./payoutService');
+const feeService = require('./feeService');
+const subscriptionService = require('./subscriptionService');
+const applicationStateService = require('./applicationStateService');
+const { logger } = require('../utils/monitoring');
+
+const RELEASABLE_ESCROW_STATUSES = ['funded', 'partially_released'];
+const ALLOCATABLE_APPLICATION_STATUSES = ['approved', 'in_progress', 'completed'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Convert a decimal amount to integer cents
+ */
+const toCents = (amount) => Math.round(parseFloat(amount || 0) * 100);
+
+/**
+ * Split an allocation into milestone amounts (in cents).
+ * Each milestone gives an amount or a percentage; the last may omit both to take the remainder.
+ */
+const splitMilestoneAmounts = (allocationCents, milestones) => {
+  let remainingCents = allocationCents;
+
+  const amounts = milestones.map((milestone, index) => {
+    let cents;
+    if (milestone.amount !== undefined && milestone.amount !== null) {
+      cents = toCents(milestone.amount);
+    } else if (index === milestones.length - 1) {
+      cents = remainingCents;
+    } else if (milestone.percentage === undefined || milestone.percentage === null) {
+      throw new Error('Each milestone except the last needs an amount or percentage');
+    } else {
+      cents = Math.round(allocationCents * parseFloat(milestone.percentage) / 100);
+    }
+    remainingCents -= cents;
+    return cents;
+  });
+
+  if (amounts.some(cents => cents <= 0)) {
+    throw new Error('Every milestone must release a positive amount');
+  }
+  if (remainingCents !== 0) {
+    throw new Error('Milestone amounts must add up to the allocation amount');
+  }
+
+  return amounts;
+};
+
+/**
+ * Escrow allocation service
+ * Splits a campaign escrow into per-application allocations whose milestones
+ * release their share independently.
+ */
+class EscrowAllocationService {
+  /**
+   * Escrow balance not yet promised to any application (nor frozen by a dispute of
+   * an application without an allocation)
+   */
+  async getUnallocatedBalance(escrow, transaction) {
+    const allocations = await EscrowAllocation.findAll({
+      where: { escrowId: escrow.id, status: 'active' },
+      attributes: ['applicationId', 'amount', 'releasedAmount'],
+      transaction
+    });
+    const openDisputes = await Dispute.findOpen({ escrowId: escrow.id }, {
+      attributes: ['applicationId', 'frozenAmount'],
+      transaction
+    });
+
+    const allocatedApplicationIds = new Set(allocations.map(allocation => allocation.applicationId));
+    const outstandingCents = allocations
+      .reduce((total, allocation) => total + toCents(allocation.amount) - toCents(allocation.releasedAmount), 0);
+    const frozenCents = openDisputes
+      .filter(dispute => !allocatedApplicationIds.has(dispute.applicationId))
+      .reduce((total, dispute) => total + toCents(dispute.frozenAmount), 0);
+
+    return Math.max(0, toCents(escrow.heldBalance) - outstandingCents - frozenCents) / 100;
+  }
+
+  /**
+   * Reserve part of the escrow for an application, with its release milestones.
+   * Once a rate is agreed through an offer the allocation must be for that rate.
+   */
+  async createAllocation(escrow, application, { amount, milestones }) {
+    if (!RELEASABLE_ESCROW_STATUSES.includes(escrow.status)) {
+      throw new Error(`Escrow cannot be allocated while ${escrow.status}`);
+    }
+    if (application.campaignId !== escrow.campaignId) {
+      throw new Error('Application does not belong to this campaign');
+    }
+    if (!ALLOCATABLE_APPLICATION_STATUSES.includes(application.status)) {
+      throw new Error('Only approved applications can receive an escrow allocation');
+    }
+
+    if (application.rateAgreedAt) {
+      if (amount === undefined || amount === null) {
+        amount = application.negotiatedRate;
+      } else if (toCents(amount) !== toCents(application.negotiatedRate)) {
+        throw new Error(`Allocation must match the agreed rate of ${application.negotiatedRate}`);
+      }
+    } else if (amount === undefined || amount === null) {
+      throw new Error('An allocation amount is required until a rate is agreed');
+    }
+
+    const plannedMilestones = milestones && milestones.length
+      ? milestones
+      : [{ title: 'Campaign completed', trigger: 'manual' }];
+    const amountCents = toCents(amount);
+    const milestoneCents = splitMilestoneAmounts(amountCents, plannedMilestones);
+
+    return sequelize.transaction(async (transaction) => {
+      const existing = await EscrowAllocation.findOne({
+        where: { applicationId: application.id },
+        transaction
+      });
+      if (existing) {
+        throw new Error('Application already has an escrow allocation');
+      }
+      if ((await Dispute.findOpen({ applicationId: application.id }, { attributes: ['id'], transaction })).length) {
+        throw new Error('Application has an open dispute');
+      }
+
+      const unallocatedCents = toCents(await this.getUnallocatedBalance(escrow, transaction));
+      if (amountCents > unallocatedCents) {
+        throw new Error(`Allocation exceeds unallocated escrow balance of ${unallocatedCents / 100}`);
+      }
+
+      const allocation = await EscrowAllocation.create({
+        escrowId: escrow.id,
+        applicationId: application.id,
+        influencerId: application.influencerId,
+        amount: amountCents / 100,
+        currency: escrow.currency
+      }, { transaction });
+
+      allocation.milestones = await EscrowMilestone.bulkCreate(plannedMilestones.map((milestone, index) => ({
+        allocationId: allocation.id,
+        title: milestone.title,
+        amount: milestoneCents[index] / 100,
+        sortOrder: index,
+        trigger: milestone.trigger || 'manual',
+        releaseDelayDays: milestone.releaseDelayDays || 0
+      })), { transaction });
+
+      return allocation;
+    });
+  }
+
+  /**
+   * Approve a milestone; it is released now or once its delay has passed.
+   * A failed release leaves the milestone approved so the release worker retries it.
+   */
+  async approveMilestone(milestone, approvedAt = new Date()) {
+    if (milestone.status !== 'pending') {
+      throw new Error(`Milestone is already ${milestone.status}`);
+    }
+
+    await milestone.update({
+      status: 'approved',
+      approvedAt,
+      releasableAt: new Date(approvedAt.getTime() + milestone.releaseDelayDays * DAY_MS)
+    });
+
+    if (milestone.releasableAt > new Date()) {
+      return { milestone, released: false };
+    }
+
+    try {
+      return { ...(await this.releaseMilestone(milestone)), released: true };
+    } catch (error) {
+      logger.error('Milestone release failed, will retry', {
+        milestoneId: milestone.id,
+        error: error.message
+      });
+      return { milestone, released: false, error: error.message };
+    }
+  }
+
+  /**
+   * Pay out one milestone's share of the escrow
+   */
+  async releaseMilestone(milestone) {
+    const allocation = await EscrowAllocation.findByPk(milestone.allocationId, {
+      include: [{ model: Escrow, as: 'escrow' }]
+    });
+    const { escrow } = allocation;
+
+    if (!RELEASABLE_ESCROW_STATUSES.includes(escrow.status)) {
+      throw new Error(`Funds cannot be released while escrow is ${escrow.status}`);
+    }
+    // A dispute freezes only this application's share; other allocations keep releasing
+    if ((await Dispute.findOpen({ applicationId: allocation.applicationId }, { attributes: ['id'] })).length) {
+      throw new Error('Funds cannot be released while the application is disputed');
+    }
+
+    const captureResult = await escrowService.captureEscrow(escrow.paymentIntentId);
+    if (!captureResult.success) {
+      throw new Error(captureResult.error);
+    }
+
+    const grossAmount = parseFloat(milestone.amount);
+    const fees = await feeService.calculateFees(grossAmount, {
+      currency: escrow.currency,
+      tier: await subscriptionService.getTier(escrow.brandId),
+      brandId: escrow.brandId
+    });
+    const processorFee = await feeService.calculateProcessorFee(captureResult.capturedAmount, escrow.currency);
+
+    let result;
+    try {
+      result = await sequelize.transaction(async (transaction) => {
+        // Claim the milestone first so concurrent approvals cannot release it twice
+        const [claimed] = await EscrowMilestone.update(
+          { status: 'released', releasedAt: new Date() },
+          { where: { id: milestone.id, status: { [Op.in]: ['pending', 'approved'] } }, transaction }
+        );
+        if (!claimed) {
+          throw new Error('Milestone has already been released');
+        }
+
+        await ledgerService.recordProcessorFee(escrow, {
+          chargeAmount: captureResult.capturedAmount,
+          processorFee
+        }, transaction);
+
+        const { payout } = await ledgerService.recordRelease(escrow, {
+          applicationId: allocation.applicationId,
+          influencerId: allocation.influencerId,
+          grossAmount,
+          platformFee: fees.platformFee,
+          waivedFee: fees.waivedFee,
+          waiverId: fees.waiver?.id,
+          reason: `milestone: ${milestone.title}`
+        }, transaction);
+
+        await milestone.update({ status: 'released', payoutId: payout.id }, { transaction });
+
+        // Re-read under row locks so concurrent releases of sibling milestones add up
+        const lockedAllocation = await EscrowAllocation.findByPk(allocation.id, { transaction, lock: transaction.LOCK.UPDATE });
+        const application = await CampaignApplication.findByPk(allocation.applicationId, {
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
+
+        const releasedCents = toCents(lockedAllocation.releasedAmount) + toCents(grossAmount);
+        const fullyReleased = releasedCents >= toCents(lockedAllocation.amount);
+        await lockedAllocation.update({
+          releasedAmount: releasedCents / 100,
+          status: fullyReleased ? 'released' : 'active'
+        }, { transaction });
+
+        // The final release completes the application once its content is approved
+        const completes = fullyReleased &&
+          !(await applicationStateService.getTransitionError(application, { status: 'completed' }, { transaction }));
+        await applicationStateService.transition(application, {
+          paymentStatus: 'processing',
+          paidAmount: (toCents(application.paidAmount) + toCents(payout.amount)) / 100,
+          ...(completes ? { status: 'completed' } : {})
+        }, { transaction, note: `Milestone released: ${milestone.title}` });
+
+        logger.info('Escrow milestone released', {
+          milestoneId: milestone.id,
+          allocationId: allocation.id,
+          escrowId: escrow.id,
+          payoutId: payout.id,
+          grossAmount,
+          platformFee: fees.platformFee,
+          waivedFee: fees.waivedFee
+        });
+
+        return { milestone, allocation: lockedAllocation, payout };
+      });
+    } catch (error) {
+      // Capture is idempotent, so only a failed ledger write after capture needs attention
+      if (error.message !== 'Milestone has already been released') {
+        ledgerService.logReconciliationGap('milestone_release', escrow.id, error);
+      }
+      throw error;
+    }
+
+    payoutService.dispatchPayout(result.payout);
+    return result;
+  }
+
+  /**
+   * Approve milestones triggered by the brand approving an application's content
+   */
+  async handleContentApproval(application) {
+    const allocation = await EscrowAllocation.findOne({
+      where: { applicationId: application.id, status: 'active' },
+      include: [{
+        model: EscrowMilestone,
+        as: 'milestones',
+        where: { trigger: 'content_approved', status: 'pending' },
+        required: false
+      }]
+    });
+    if (!allocation) {
+      return [];
+    }
+
+    const results = [];
+    for (const milestone of allocation.milestones) {
+      results.push(await this.approveMilestone(milestone));
+    }
+    return results;
+  }
+
+  /**
+   * Release every approved milestone whose delay has passed
+   */
+  async releaseDueMilestones(now = new Date()) {
+    const dueMilestones = await EscrowMilestone.findAll({
+      where: {
+        status: 'approved',
+        releasableAt: { [Op.lte]: now }
+      },
+      order: [['releasableAt', 'ASC']]
+    });
+
+    let released = 0;
+    for (const milestone of dueMilestones) {
+      try {
+        await this.releaseMilestone(milestone);
+        released++;
+      } catch (error) {
+        logger.error('Scheduled milestone release failed', {
+          milestoneId: milestone.id,
+          error: error.message
+        });
+      }
+    }
+
+    return { due: dueMilestones.length, released };
+  }
+}
+
+module.exports = new EscrowAllocationService();
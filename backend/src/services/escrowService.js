@@ -1,11 +1,10 @@
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const { logger } = require('../utils/monitoring');
 
-class EscrowService {
-  constructor() {
-    this.platformCommission = 0.1; // 10% platform fee
-  }
+// PaymentIntent statuses before the brand's payment is confirmed
+const UNCONFIRMED_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action'];
 
+class EscrowService {
   /**
    * Create escrow account for a campaign
    */
@@ -98,56 +97,46 @@ class EscrowService {
   }
 
   /**
-   * Release funds to influencer (after content approval)
+   * Capture the escrow hold. Holds are captured as soon as the escrow is funded: the
+   * processor voids an uncaptured authorization after about 7 days, long before later
+   * milestones fall due. The funds stay on the escrow ledger until they are released;
+   * releases and dispute resolutions call this again to confirm the capture. Safe to repeat.
    */
-  async releaseFunds(escrowId, influencerId, releaseAmount, reason = 'campaign_completed') {
+  async captureEscrow(escrowId) {
     try {
-      // Get the payment intent
       const paymentIntent = await stripe.paymentIntents.retrieve(escrowId);
-      
+
+      if (paymentIntent.status === 'succeeded') {
+        return {
+          success: true,
+          capturedAmount: paymentIntent.amount_received / 100,
+          currency: paymentIntent.currency,
+          alreadyCaptured: true
+        };
+      }
+
       if (paymentIntent.status !== 'requires_capture') {
         throw new Error('Funds cannot be released - payment not properly authorized');
       }
 
-      // Calculate amounts
-      const totalAmount = paymentIntent.amount / 100;
-      const platformFee = totalAmount * this.platformCommission;
-      const influencerAmount = totalAmount - platformFee;
-
-      // Capture the full payment
-      await stripe.paymentIntents.capture(escrowId);
+      const captured = await stripe.paymentIntents.capture(escrowId);
 
-      // Create transfer to influencer (requires Stripe Connect)
-      // For now, we'll create a record of the transaction
-      const transfer = await this.createTransferRecord(
-        influencerId,
-        influencerAmount,
-        paymentIntent.currency,
-        reason
-      );
-
-      logger.info('Funds released from escrow', {
+      logger.info('Escrow hold captured', {
         escrowId,
-        influencerId,
-        totalAmount,
-        influencerAmount,
-        platformFee,
-        reason
+        capturedAmount: captured.amount_received / 100
       });
 
       return {
         success: true,
-        influencerAmount,
-        platformFee,
-        transferId: transfer.id,
-        status: 'released'
+        capturedAmount: captured.amount_received / 100,
+        currency: captured.currency,
+        alreadyCaptured: false
       };
 
     } catch (error) {
-      logger.error('Failed to release funds', {
+      logger.error('Failed to capture escrow', {
         error: error.message,
-        escrowId,
-        influencerId
+        escrowId
       });
 
       return {
@@ -164,9 +153,20 @@ class EscrowService {
     try {
       const paymentIntent = await stripe.paymentIntents.retrieve(escrowId);
       
-      if (paymentIntent.status === 'requires_capture') {
-        // Cancel the payment intent (releases hold)
+      if (UNCONFIRMED_STATUSES.includes(paymentIntent.status)) {
+        // Not paid yet: cancel it so the brand can no longer confirm the payment
         await stripe.paymentIntents.cancel(escrowId);
+      } else if (paymentIntent.status === 'requires_capture') {
+        const refundCents = Math.round(refundAmount * 100);
+        if (refundCents >= paymentIntent.amount) {
+          // Cancel the payment intent (releases hold)
+          await stripe.paymentIntents.cancel(escrowId);
+        } else {
+          // Partial refund of a hold: capture only what stays in escrow, the rest is released
+          await stripe.paymentIntents.capture(escrowId, {
+            amount_to_capture: paymentIntent.amount - refundCents
+          });
+        }
       } else if (paymentIntent.status === 'succeeded') {
         // Create refund for captured payment
         await stripe.refunds.create({
@@ -177,6 +177,8 @@ class EscrowService {
             refund_reason: reason
           }
         });
+      } else if (paymentIntent.status !== 'canceled') {
+        throw new Error(`Payment cannot be refunded while ${paymentIntent.status}`);
       }
 
       logger.info('Refund processed', {
@@ -205,51 +207,6 @@ class EscrowService {
     }
   }
 
-  /**
-   * Handle disputes
-   */
-  async handleDispute(escrowId, disputeType, evidence = {}) {
-    try {
-      // Put funds on hold during dispute
-      const paymentIntent = await stripe.paymentIntents.retrieve(escrowId);
-      
-      const disputeRecord = {
-        escrowId,
-        disputeType,
-        status: 'under_review',
-        evidence,
-        createdAt: new Date(),
-        paymentStatus: paymentIntent.status
-      };
-
-      // In production, integrate with dispute resolution system
-      logger.info('Dispute initiated', {
-        escrowId,
-        disputeType,
-        evidence
-      });
-
-      return {
-        success: true,
-        disputeId: `dispute_${Date.now()}`,
-        status: 'under_review',
-        message: 'Dispute has been logged and is under review'
-      };
-
-    } catch (error) {
-      logger.error('Failed to handle dispute', {
-        error: error.message,
-        escrowId,
-        disputeType
-      });
-
-      return {
-        success: false,
-        error: error.message
-      };
-    }
-  }
-
   /**
    * Get escrow account status
    */
@@ -291,46 +248,12 @@ class EscrowService {
       'requires_action': 'pending_payment',
       'processing': 'processing',
       'requires_capture': 'funded', // Money is held in escrow
-      'succeeded': 'released',
+      'succeeded': 'captured', // Releases out of captured funds are tracked on the ledger
       'canceled': 'cancelled'
     };
 
     return statusMap[stripeStatus] || 'unknown';
   }
-
-  /**
-   * Create transfer record for influencer payment
-   */
-  async createTransferRecord(influencerId, amount, currency, reason) {
-    // In production, integrate with Stripe Connect for actual transfers
-    // For now, create a record for tracking
-    return {
-      id: `transfer_${Date.now()}`,
-      influencerId,
-      amount,
-      currency,
-      reason,
-      status: 'pending_bank_transfer',
-      createdAt: new Date()
-    };
-  }
-
-  /**
-   * Calculate platform fees
-   */
-  calculateFees(amount) {
-    const platformFee = amount * this.platformCommission;
-    const stripeFee = (amount * 0.029) + 0.30; // Stripe's typical fee
-    const influencerAmount = amount - platformFee - stripeFee;
-
-    return {
-      totalAmount: amount,
-      influencerAmount: Math.max(0, influencerAmount),
-      platformFee,
-      stripeFee,
-      netToInfluencer: Math.max(0, influencerAmount)
-    };
-  }
 }
 
 module.exports = new EscrowService();
\ No newline at end of file
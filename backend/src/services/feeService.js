@@ -0,0 +1,231 @@
+const { SystemSetting } = require('../models');
+const { paymentService } = require('./paymentService');
+const fxService = require('./fxService');
+const { logger } = require('../utils/monitoring');
+
+const FEE_SETTING_KEYS = ['platform_commission_rate', 'tier_commission_rates', 'processor_fees', 'fee_waivers'];
+const SETTINGS_CACHE_MS = 60 * 1000;
+
+// Used when a setting is missing from system_settings
+const DEFAULT_SETTINGS = {
+  platform_commission_rate: 0.10,
+  tier_commission_rates: {},
+  processor_fees: {
+    default: { percent: 0.029, fixed: 0.30 }
+  },
+  fee_waivers: []
+};
+
+/**
+ * Convert a decimal amount to integer cents
+ */
+const toCents = (amount) => Math.round(parseFloat(amount || 0) * 100);
+
+// calculateFees amounts that are money in the fee currency
+const FEE_AMOUNT_KEYS = ['totalAmount', 'grossPlatformFee', 'waivedFee', 'platformFee', 'processorFee', 'platformNetRevenue', 'netToInfluencer'];
+
+const isRate = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+
+/**
+ * Fee engine
+ * The single source of platform commission and processor fee calculations,
+ * configured from the system_settings table.
+ */
+class FeeService {
+  constructor() {
+    this.cachedSettings = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Fee settings, cached briefly so every release does not hit the database
+   */
+  async getSettings() {
+    if (this.cachedSettings && Date.now() - this.cachedAt < SETTINGS_CACHE_MS) {
+      return this.cachedSettings;
+    }
+
+    try {
+      const stored = await SystemSetting.getValues(FEE_SETTING_KEYS);
+      this.cachedSettings = { ...DEFAULT_SETTINGS, ...stored };
+      this.cachedAt = Date.now();
+    } catch (error) {
+      if (!this.cachedSettings) {
+        throw error;
+      }
+      logger.error('Failed to refresh fee settings, using cached values', { error: error.message });
+    }
+
+    return this.cachedSettings;
+  }
+
+  /**
+   * Drop cached settings after an update
+   */
+  clearCache() {
+    this.cachedSettings = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Validate and store one fee setting (admin only)
+   */
+  async updateSetting(key, value, adminId) {
+    const error = this.validateSetting(key, value);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const [setting] = await SystemSetting.upsert({ key, value, updatedBy: adminId });
+    this.clearCache();
+
+    logger.info('Fee setting updated', { key, adminId });
+    return setting;
+  }
+
+  /**
+   * Return an error message for an invalid fee setting value, or null
+   */
+  validateSetting(key, value) {
+    const tiers = Object.keys(paymentService.getSubscriptionTiers());
+
+    switch (key) {
+      case 'platform_commission_rate':
+        return isRate(value) ? null : 'Commission rate must be a number between 0 and 1';
+
+      case 'tier_commission_rates':
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          return 'Tier commission rates must be an object of tier to rate';
+        }
+        for (const [tier, rate] of Object.entries(value)) {
+          if (!tiers.includes(tier)) {
+            return `Unknown subscription tier: ${tier}`;
+          }
+          if (!isRate(rate)) {
+            return `Commission rate for ${tier} must be a number between 0 and 1`;
+          }
+        }
+        return null;
+
+      case 'processor_fees':
+        if (!value || !value.default) {
+          return 'Processor fees need a default entry';
+        }
+        for (const [currency, fee] of Object.entries(value)) {
+          if (!fee || !isRate(fee.percent) || typeof fee.fixed !== 'number' || fee.fixed < 0) {
+            return `Processor fee for ${currency} needs a percent between 0 and 1 and a non-negative fixed amount`;
+          }
+        }
+        return null;
+
+      case 'fee_waivers':
+        if (!Array.isArray(value)) {
+          return 'Fee waivers must be an array';
+        }
+        for (const waiver of value) {
+          if (!waiver.id || !(waiver.discount > 0 && waiver.discount <= 1)) {
+            return 'Each fee waiver needs an id and a discount between 0 (exclusive) and 1';
+          }
+        }
+        return null;
+
+      default:
+        return `Unknown fee setting: ${key}`;
+    }
+  }
+
+  /**
+   * Commission rate for a subscription tier: system setting override, then the
+   * tier definition, then the platform rate
+   */
+  getCommissionRate(settings, tier) {
+    if (tier) {
+      if (isRate(settings.tier_commission_rates[tier])) {
+        return settings.tier_commission_rates[tier];
+      }
+      const tierDefinition = paymentService.getSubscriptionTiers()[tier];
+      if (tierDefinition && isRate(tierDefinition.commissionRate)) {
+        return tierDefinition.commissionRate;
+      }
+    }
+    return settings.platform_commission_rate;
+  }
+
+  /**
+   * The best active promotional waiver matching the brand, tier and currency
+   */
+  findWaiver(settings, { brandId, tier, currency, at }) {
+    const matches = settings.fee_waivers.filter(waiver =>
+      (!waiver.startsAt || new Date(waiver.startsAt) <= at) &&
+      (!waiver.endsAt || new Date(waiver.endsAt) > at) &&
+      (!waiver.brandIds || waiver.brandIds.includes(brandId)) &&
+      (!waiver.tiers || waiver.tiers.includes(tier)) &&
+      (!waiver.currencies || waiver.currencies.includes(currency))
+    );
+
+    return matches.reduce((best, waiver) => (!best || waiver.discount > best.discount ? waiver : best), null);
+  }
+
+  /**
+   * Processor fee in cents for a charge of amountCents
+   */
+  getProcessorFeeCents(settings, amountCents, currency) {
+    const processor = settings.processor_fees[currency] || settings.processor_fees.default;
+    return amountCents > 0 ? Math.round(amountCents * processor.percent) + toCents(processor.fixed) : 0;
+  }
+
+  /**
+   * Processor fee for a captured charge
+   */
+  async calculateProcessorFee(amount, currency = 'USD') {
+    const settings = await this.getSettings();
+    return this.getProcessorFeeCents(settings, toCents(amount), currency.toUpperCase()) / 100;
+  }
+
+  /**
+   * Break an amount into platform commission (after waivers), processor fee and
+   * the influencer's share. The processor fee comes out of the platform's commission.
+   */
+  async calculateFees(amount, { currency = 'USD', tier = null, brandId = null, at = new Date() } = {}) {
+    const settings = await this.getSettings();
+    const normalizedCurrency = currency.toUpperCase();
+    const amountCents = toCents(amount);
+
+    const commissionRate = this.getCommissionRate(settings, tier);
+    const waiver = this.findWaiver(settings, { brandId, tier, currency: normalizedCurrency, at });
+    const grossFeeCents = Math.round(amountCents * commissionRate);
+    const waivedCents = waiver ? Math.round(grossFeeCents * waiver.discount) : 0;
+    const platformFeeCents = grossFeeCents - waivedCents;
+
+    const processorFeeCents = this.getProcessorFeeCents(settings, amountCents, normalizedCurrency);
+
+    return {
+      totalAmount: amountCents / 100,
+      currency: normalizedCurrency,
+      tier,
+      commissionRate,
+      grossPlatformFee: grossFeeCents / 100,
+      waivedFee: waivedCents / 100,
+      waiver: waiver ? { id: waiver.id, description: waiver.description || null, discount: waiver.discount } : null,
+      platformFee: platformFeeCents / 100,
+      processorFee: processorFeeCents / 100,
+      platformNetRevenue: (platformFeeCents - processorFeeCents) / 100,
+      netToInfluencer: (amountCents - platformFeeCents) / 100
+    };
+  }
+
+  /**
+   * The money amounts of a calculateFees result converted to another currency at current rates
+   */
+  async convertFees(fees, currency) {
+    const rate = await fxService.getRate(fees.currency, currency);
+    const converted = { currency: currency.toUpperCase(), rate };
+
+    for (const key of FEE_AMOUNT_KEYS) {
+      converted[key] = Math.round(fees[key] * rate * 100) / 100;
+    }
+    return converted;
+  }
+}
+
+module.exports = new FeeService();
@@ -0,0 +1,28 @@
+const fixtureRates = require('../../config/fxFixtureRates.json');
+
+/**
+ * FX provider serving fixed rates from a local fixture (tests and offline development).
+ * Rates are rebased so any fixture currency can be the base.
+ */
+class FixtureFxProvider {
+  constructor(fixture = fixtureRates) {
+    this.name = 'fixture';
+    this.fixture = fixture;
+  }
+
+  async getRates(base) {
+    const baseRate = this.fixture.rates[base];
+    if (!baseRate) {
+      throw new Error(`Fixture has no rate for ${base}`);
+    }
+
+    const rates = {};
+    for (const [currency, rate] of Object.entries(this.fixture.rates)) {
+      rates[currency] = rate / baseRate;
+    }
+
+    return { base, rates, asOf: new Date(this.fixture.asOf) };
+  }
+}
+
+module.exports = FixtureFxProvider;
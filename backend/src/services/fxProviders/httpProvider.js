@@ -0,0 +1,35 @@
+const axios = require('axios');
+
+/**
+ * FX provider for JSON rate APIs answering `GET <url>?from=<base>` with
+ * `{ base, date, rates }` (Frankfurter / ECB reference rates by default)
+ */
+class HttpFxProvider {
+  constructor({ url = 'https://api.frankfurter.app/latest', apiKey = null, timeout = 5000 } = {}) {
+    this.name = 'http';
+    this.url = url;
+    this.apiKey = apiKey;
+    this.timeout = timeout;
+  }
+
+  async getRates(base) {
+    const response = await axios.get(this.url, {
+      params: { from: base },
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      timeout: this.timeout
+    });
+
+    const { rates, date } = response.data;
+    if (!rates || typeof rates !== 'object') {
+      throw new Error('FX rate response has no rates');
+    }
+
+    return {
+      base,
+      rates: { ...rates, [base]: 1 },
+      asOf: date ? new Date(date) : new Date()
+    };
+  }
+}
+
+module.exports = HttpFxProvider;
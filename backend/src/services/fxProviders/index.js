@@ -0,0 +1,30 @@
+const FixtureFxProvider = require('./fixtureProvider');
+const HttpFxProvider = require('./httpProvider');
+
+/**
+ * FX rate providers by name. A provider has a `name` and
+ * `async getRates(base)` resolving to `{ base, rates: { CUR: units per base }, asOf }`.
+ */
+const providers = {
+  fixture: () => new FixtureFxProvider(),
+  http: () => new HttpFxProvider({
+    url: process.env.FX_API_URL || undefined,
+    apiKey: process.env.FX_API_KEY || null
+  })
+};
+
+/**
+ * Create the provider named in FX_PROVIDER (live rates in production, the fixture elsewhere)
+ */
+const createProvider = (name = process.env.FX_PROVIDER || (process.env.NODE_ENV === 'production' ? 'http' : 'fixture')) => {
+  if (!providers[name]) {
+    throw new Error(`Unknown FX provider: ${name}`);
+  }
+  return providers[name]();
+};
+
+module.exports = {
+  FixtureFxProvider,
+  HttpFxProvider,
+  createProvider
+};
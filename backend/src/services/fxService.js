@@ -0,0 +1,128 @@
+const { FxRateSnapshot } = require('../models');
+const { createProvider } = require('./fxProviders');
+const { logger } = require('../utils/monitoring');
+
+const BASE_CURRENCY = (process.env.FX_BASE_CURRENCY || 'USD').toUpperCase();
+const RATES_CACHE_MS = parseInt(process.env.FX_CACHE_TTL_MS) || 60 * 60 * 1000;
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * FX service
+ * Converts amounts between currencies with rates from a pluggable provider and
+ * snapshots the rates used for funding and payouts.
+ */
+class FxService {
+  constructor() {
+    this.provider = null;
+    this.cachedRates = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * The active rate provider, created from FX_PROVIDER on first use
+   */
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createProvider();
+    }
+    return this.provider;
+  }
+
+  /**
+   * Swap the rate provider (and drop rates cached from the previous one)
+   */
+  setProvider(provider) {
+    this.provider = provider;
+    this.cachedRates = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Current rates against the base currency, cached; stale rates are used if a refresh fails
+   */
+  async getRates() {
+    if (this.cachedRates && Date.now() - this.cachedAt < RATES_CACHE_MS) {
+      return this.cachedRates;
+    }
+
+    try {
+      const provider = this.getProvider();
+      const result = await provider.getRates(BASE_CURRENCY);
+      this.cachedRates = { provider: provider.name, ...result };
+      this.cachedAt = Date.now();
+    } catch (error) {
+      if (!this.cachedRates) {
+        throw error;
+      }
+      logger.error('Failed to refresh FX rates, using cached rates', { error: error.message });
+    }
+
+    return this.cachedRates;
+  }
+
+  /**
+   * Currencies the provider has rates for
+   */
+  async getSupportedCurrencies() {
+    const { rates } = await this.getRates();
+    return Object.keys(rates).sort();
+  }
+
+  /**
+   * Units of `to` per unit of `from`, from the given rates (or current ones)
+   */
+  async getRate(from, to, rates = null) {
+    const source = from.toUpperCase();
+    const target = to.toUpperCase();
+    if (source === target) {
+      return 1;
+    }
+
+    const table = rates || (await this.getRates()).rates;
+    if (!table[source] || !table[target]) {
+      throw new Error(`No FX rate between ${source} and ${target}`);
+    }
+    return table[target] / table[source];
+  }
+
+  /**
+   * Convert an amount, rounded to cents. Pass a snapshot's rates to convert at historical rates.
+   */
+  async convert(amount, from, to, rates = null) {
+    const rate = await this.getRate(from, to, rates);
+    return round2(parseFloat(amount || 0) * rate);
+  }
+
+  /**
+   * Sum amounts in mixed currencies into one currency.
+   * Items are `{ amount, currency, rates }`; rates (optional) is a snapshot to convert at.
+   */
+  async sumInCurrency(items, to) {
+    let total = 0;
+    for (const item of items) {
+      total += await this.convert(item.amount, item.currency || BASE_CURRENCY, to, item.rates);
+    }
+    return round2(total);
+  }
+
+  /**
+   * Store the current rates as a snapshot (one row per provider rate set).
+   * Returns null if rates are unavailable so money movements are never blocked on FX.
+   */
+  async snapshotRates() {
+    try {
+      const { provider, base, rates, asOf } = await this.getRates();
+      const [snapshot] = await FxRateSnapshot.findOrCreate({
+        where: { provider, baseCurrency: base, ratesAsOf: asOf },
+        defaults: { rates }
+      });
+      return snapshot;
+    } catch (error) {
+      logger.error('Failed to snapshot FX rates', { error: error.message });
+      return null;
+    }
+  }
+}
+
+module.exports = new FxService();
@@ -0,0 +1,246 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const {
+  Campaign,
+  CampaignApplication,
+  CampaignInvitation,
+  ApplicationOffer,
+  User
+} = require('../models');
+const applicationStateService = require('./applicationStateService');
+const { logger } = require('../utils/monitoring');
+
+const DEFAULT_EXPIRY_DAYS = parseInt(process.env.INVITATION_EXPIRY_DAYS) || 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INACTIVE_USER_STATUSES = ['inactive', 'suspended'];
+
+/**
+ * Invitation service
+ * Brands invite influencers to a campaign at an offered rate; an influencer who
+ * accepts joins through an approved application with that rate already agreed.
+ */
+class InvitationService {
+  /**
+   * Mark pending invitations past their expiry as expired
+   */
+  async expireStale(where = {}, now = new Date()) {
+    const [count] = await CampaignInvitation.update({ status: 'expired' }, {
+      where: {
+        ...where,
+        status: 'pending',
+        expiresAt: { [Op.lte]: now }
+      }
+    });
+    return count;
+  }
+
+  /**
+   * Why the brand cannot invite to this campaign, or null if it can
+   */
+  getCampaignError(campaign) {
+    if (campaign.status !== 'active') {
+      return 'Invitations can only be sent for active campaigns';
+    }
+    if (campaign.applicationDeadline && new Date(campaign.applicationDeadline) <= new Date()) {
+      return 'The application deadline for this campaign has passed';
+    }
+    return null;
+  }
+
+  /**
+   * Invite influencers to a campaign. Influencers who cannot be invited are
+   * skipped with a reason rather than failing the whole batch.
+   */
+  async invite(campaign, brand, influencerIds, { message = null, offeredRate, currency, expiresInDays = DEFAULT_EXPIRY_DAYS }) {
+    const uniqueIds = [...new Set(influencerIds)];
+    await this.expireStale({ campaignId: campaign.id });
+
+    const [influencers, applications, pendingInvitations] = await Promise.all([
+      User.findAll({
+        where: {
+          id: uniqueIds,
+          role: 'influencer',
+          status: { [Op.notIn]: INACTIVE_USER_STATUSES }
+        },
+        attributes: ['id']
+      }),
+      CampaignApplication.findAll({
+        where: { campaignId: campaign.id, influencerId: uniqueIds },
+        attributes: ['influencerId']
+      }),
+      CampaignInvitation.findAll({
+        where: { campaignId: campaign.id, influencerId: uniqueIds, status: 'pending' },
+        attributes: ['influencerId']
+      })
+    ]);
+
+    const invitable = new Set(influencers.map(user => user.id));
+    const applied = new Set(applications.map(application => application.influencerId));
+    const invited = new Set(pendingInvitations.map(invitation => invitation.influencerId));
+
+    const skipped = [];
+    const toInvite = uniqueIds.filter(influencerId => {
+      const reason = !invitable.has(influencerId) ? 'Not an active influencer'
+        : applied.has(influencerId) ? 'Already applied to this campaign'
+          : invited.has(influencerId) ? 'Already invited to this campaign'
+            : null;
+      if (reason) {
+        skipped.push({ influencerId, reason });
+      }
+      return !reason;
+    });
+
+    const expiresAt = new Date(Date.now() + expiresInDays * DAY_MS);
+    const invitations = await CampaignInvitation.bulkCreate(toInvite.map(influencerId => ({
+      campaignId: campaign.id,
+      brandId: brand.id,
+      influencerId,
+      message,
+      offeredRate,
+      currency: currency || campaign.currency,
+      expiresAt
+    })));
+
+    logger.info('Campaign invitations sent', {
+      campaignId: campaign.id,
+      brandId: brand.id,
+      invited: invitations.length,
+      skipped: skipped.length
+    });
+
+    return { invitations, skipped };
+  }
+
+  /**
+   * Why the influencer cannot accept or decline the invitation, or null if they can
+   */
+  async getResponseError(invitation, user) {
+    if (invitation.influencerId !== user.id) {
+      return 'This invitation was sent to someone else';
+    }
+    if (invitation.isExpired()) {
+      await invitation.update({ status: 'expired' });
+    }
+    if (invitation.status !== 'pending') {
+      return `This invitation is ${invitation.status}`;
+    }
+    return null;
+  }
+
+  /**
+   * Why the invitation cannot be accepted, or null if it can
+   */
+  async getAcceptError(invitation, user) {
+    const responseError = await this.getResponseError(invitation, user);
+    if (responseError) {
+      return responseError;
+    }
+
+    const campaignError = this.getCampaignError(invitation.campaign);
+    if (campaignError) {
+      return campaignError;
+    }
+
+    const existing = await CampaignApplication.findOne({
+      where: { campaignId: invitation.campaignId, influencerId: user.id },
+      attributes: ['id']
+    });
+    return existing ? 'You have already applied to this campaign' : null;
+  }
+
+  /**
+   * Accept an invitation: create the application, approve it and agree the offered rate
+   */
+  async accept(invitation, influencer, { appliedPlatforms = [], message = null } = {}) {
+    const acceptedAt = new Date();
+
+    return sequelize.transaction(async (transaction) => {
+      const application = await CampaignApplication.create({
+        campaignId: invitation.campaignId,
+        influencerId: influencer.id,
+        message: message || invitation.message,
+        appliedPlatforms,
+        negotiatedRate: invitation.offeredRate,
+        currency: invitation.currency,
+        rateAgreedAt: acceptedAt,
+        status: 'pending'
+      }, { transaction });
+
+      // Keep the agreed rate in the application's offer thread
+      await ApplicationOffer.create({
+        applicationId: application.id,
+        proposedBy: invitation.brandId,
+        proposerRole: 'brand',
+        rate: invitation.offeredRate,
+        currency: invitation.currency,
+        message: invitation.message,
+        status: 'accepted',
+        expiresAt: invitation.expiresAt,
+        respondedBy: influencer.id,
+        respondedAt: acceptedAt
+      }, { transaction });
+
+      // The invitation is the brand's approval given in advance
+      await applicationStateService.transition(application, { status: 'approved' }, {
+        actor: { id: invitation.brandId, role: 'brand' },
+        note: 'Pre-approved by campaign invitation',
+        transaction
+      });
+
+      await invitation.update({
+        status: 'accepted',
+        respondedAt: acceptedAt,
+        applicationId: application.id
+      }, { transaction });
+
+      return application;
+    });
+  }
+
+  /**
+   * Decline an invitation, optionally saying why
+   */
+  async decline(invitation, reason = null) {
+    return invitation.update({
+      status: 'declined',
+      respondedAt: new Date(),
+      declineReason: reason
+    });
+  }
+
+  /**
+   * Withdraw an invitation the influencer has not answered yet
+   */
+  async withdraw(invitation) {
+    return invitation.update({ status: 'withdrawn' });
+  }
+
+  /**
+   * Invitations sent to an influencer, or sent by a brand (optionally for one campaign)
+   */
+  async list(user, { status, campaignId, limit = 20, offset = 0 } = {}) {
+    const where = user.role === 'brand' ? { brandId: user.id } : { influencerId: user.id };
+    await this.expireStale(where);
+
+    if (status) where.status = status;
+    if (campaignId) where.campaignId = campaignId;
+
+    return CampaignInvitation.findAndCountAll({
+      where,
+      include: [
+        {
+          model: Campaign,
+          as: 'campaign',
+          attributes: ['id', 'title', 'status', 'budgetPerInfluencer', 'currency', 'applicationDeadline', 'campaignStartDate', 'campaignEndDate']
+        },
+        { model: User, as: 'brand', attributes: ['id', 'name'] },
+        { model: User, as: 'influencer', attributes: ['id', 'name'] }
+      ],
+      order: [['created_at', 'DESC']],
+      limit,
+      offset
+    });
+  }
+}
+
+module.exports = new InvitationService();
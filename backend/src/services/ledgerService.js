@@ -0,0 +1,619 @@
+const crypto = require('crypto');
+const { sequelize } = require('../config/database');
+const { Campaign, Escrow, EscrowTransaction, Payout, EscrowAllocation, EscrowMilestone, CampaignApplication } = require('../models');
+const fxService = require('./fxService');
+const applicationStateService = require('./applicationStateService');
+const { logger } = require('../utils/monitoring');
+
+/**
+ * Convert a decimal amount to integer cents
+ */
+const toCents = (amount) => Math.round(parseFloat(amount || 0) * 100);
+
+/**
+ * Convert integer cents back to a decimal amount
+ */
+const fromCents = (cents) => cents / 100;
+
+/**
+ * Payable and commission legs for a release of grossCents. A waived fee is booked as
+ * commission and then handed back to the influencer, so the waiver shows on the ledger.
+ */
+const releaseLines = (influencerId, grossCents, feeCents, waivedCents) => [
+  { account: 'influencer_payable', direction: 'credit', amount: fromCents(grossCents - feeCents - waivedCents), userId: influencerId },
+  { account: 'platform_revenue', direction: 'credit', amount: fromCents(feeCents + waivedCents), type: 'commission' },
+  { account: 'platform_revenue', direction: 'debit', amount: fromCents(waivedCents), type: 'fee_waiver' },
+  { account: 'influencer_payable', direction: 'credit', amount: fromCents(waivedCents), userId: influencerId, type: 'fee_waiver' }
+];
+
+/**
+ * Escrow ledger service
+ * Records every escrow money movement as balanced double-entry journal rows
+ * so balances can be reconciled without calling Stripe.
+ */
+class LedgerService {
+  /**
+   * Write one balanced journal entry.
+   * Each line is { account, direction, amount, userId?, type? }; debits must equal credits.
+   */
+  async postEntry(escrow, { type, lines, status = 'completed', referenceId = null, referenceType = null,
+    gatewayTransactionId = null, gatewayResponse = null, description = null }, transaction) {
+    const postedLines = lines.filter(line => toCents(line.amount) > 0);
+    if (!postedLines.length) {
+      throw new Error('Ledger entry has no non-zero lines');
+    }
+
+    const debits = postedLines
+      .filter(line => line.direction === 'debit')
+      .reduce((total, line) => total + toCents(line.amount), 0);
+    const credits = postedLines
+      .filter(line => line.direction === 'credit')
+      .reduce((total, line) => total + toCents(line.amount), 0);
+
+    if (debits !== credits) {
+      throw new Error(`Unbalanced ledger entry: debits ${fromCents(debits)} != credits ${fromCents(credits)}`);
+    }
+
+    const entryId = crypto.randomUUID();
+    const rows = await EscrowTransaction.bulkCreate(postedLines.map(line => ({
+      escrowId: escrow.id,
+      entryId,
+      account: line.account,
+      direction: line.direction,
+      amount: fromCents(toCents(line.amount)),
+      currency: escrow.currency,
+      type: line.type || type,
+      status,
+      userId: line.userId || null,
+      referenceId,
+      referenceType,
+      gatewayTransactionId,
+      gatewayResponse,
+      description
+    })), { transaction });
+
+    return { entryId, rows };
+  }
+
+  /**
+   * Open the ledger for a new escrow with a pending hold for the committed amount
+   */
+  async openEscrow({ campaignId, brandId, paymentIntentId, amount, currency }) {
+    return sequelize.transaction(async (transaction) => {
+      const escrow = await Escrow.create({
+        campaignId,
+        brandId,
+        paymentIntentId,
+        amount,
+        currency: currency.toUpperCase()
+      }, { transaction });
+
+      await this.postEntry(escrow, {
+        type: 'escrow_hold',
+        status: 'pending',
+        referenceId: campaignId,
+        referenceType: 'campaign',
+        gatewayTransactionId: paymentIntentId,
+        description: 'Escrow hold awaiting brand payment',
+        lines: [
+          { account: 'processor_clearing', direction: 'debit', amount, userId: brandId },
+          { account: 'escrow_liability', direction: 'credit', amount, userId: brandId }
+        ]
+      }, transaction);
+
+      return escrow;
+    });
+  }
+
+  /**
+   * Complete the pending hold once the brand's payment is authorized
+   */
+  async recordFunding(escrow, { amount, gatewayResponse = null }) {
+    // Rates at funding time, so reports can value the budget as it was funded
+    const fxSnapshot = escrow.fundingFxSnapshotId ? null : await fxService.snapshotRates();
+
+    return sequelize.transaction(async (transaction) => {
+      const pendingLegs = await EscrowTransaction.findAll({
+        where: { escrowId: escrow.id, type: 'escrow_hold', status: 'pending' },
+        transaction
+      });
+      const pendingCents = pendingLegs
+        .filter(leg => leg.direction === 'debit')
+        .reduce((total, leg) => total + toCents(leg.amount), 0);
+
+      if (pendingCents === toCents(amount)) {
+        await EscrowTransaction.update(
+          { status: 'completed', gatewayResponse },
+          { where: { escrowId: escrow.id, type: 'escrow_hold', status: 'pending' }, transaction }
+        );
+      } else {
+        // Authorized amount differs from the commitment: cancel and post what was actually held
+        await EscrowTransaction.update(
+          { status: 'cancelled' },
+          { where: { escrowId: escrow.id, type: 'escrow_hold', status: 'pending' }, transaction }
+        );
+        await this.postEntry(escrow, {
+          type: 'escrow_hold',
+          referenceId: escrow.campaignId,
+          referenceType: 'campaign',
+          gatewayTransactionId: escrow.paymentIntentId,
+          gatewayResponse,
+          description: 'Escrow hold for authorized payment',
+          lines: [
+            { account: 'processor_clearing', direction: 'debit', amount, userId: escrow.brandId },
+            { account: 'escrow_liability', direction: 'credit', amount, userId: escrow.brandId }
+          ]
+        }, transaction);
+      }
+
+      return escrow.update({
+        heldBalance: amount,
+        status: 'funded',
+        fundedAt: new Date(),
+        ...(fxSnapshot && { fundingFxSnapshotId: fxSnapshot.id })
+      }, { transaction });
+    });
+  }
+
+  /**
+   * Mark a pending hold as failed (payment could not be authorized)
+   */
+  async recordFundingFailure(escrow, reason) {
+    await EscrowTransaction.update(
+      { status: 'failed', description: `Funding failed: ${reason}` },
+      { where: { escrowId: escrow.id, type: 'escrow_hold', status: 'pending' } }
+    );
+  }
+
+  /**
+   * Release escrowed funds to an influencer, splitting out the platform commission
+   * (platformFee is the fee charged after any waivedFee). Creates a pending payout
+   * for the net amount. Joins the caller's transaction when given.
+   */
+  async recordRelease(escrow, { applicationId = null, influencerId, grossAmount, platformFee, waivedFee = 0,
+    waiverId = null, reason }, outerTransaction = null) {
+    const grossCents = toCents(grossAmount);
+    const feeCents = toCents(platformFee);
+    const waivedCents = toCents(waivedFee);
+    const netCents = grossCents - feeCents;
+
+    const release = async (transaction) => {
+      // Re-read the balance under a row lock so concurrent releases cannot overdraw it
+      const lockedEscrow = await Escrow.findByPk(escrow.id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!['funded', 'partially_released'].includes(lockedEscrow.status)) {
+        throw new Error(`Funds cannot be released while escrow is ${lockedEscrow.status}`);
+      }
+      if (grossCents > toCents(lockedEscrow.heldBalance)) {
+        throw new Error('Release amount exceeds escrow balance');
+      }
+
+      const payout = await Payout.create({
+        escrowId: lockedEscrow.id,
+        applicationId,
+        influencerId,
+        grossAmount: fromCents(grossCents),
+        platformFee: fromCents(feeCents),
+        amount: fromCents(netCents),
+        currency: lockedEscrow.currency,
+        reason
+      }, { transaction });
+
+      const { entryId } = await this.postEntry(lockedEscrow, {
+        type: 'escrow_release',
+        referenceId: payout.id,
+        referenceType: 'payout',
+        gatewayTransactionId: lockedEscrow.paymentIntentId,
+        description: `Escrow release: ${reason}${waiverId ? ` (fee waiver ${waiverId})` : ''}`,
+        lines: [
+          { account: 'escrow_liability', direction: 'debit', amount: fromCents(grossCents), userId: lockedEscrow.brandId },
+          ...releaseLines(influencerId, grossCents, feeCents, waivedCents)
+        ]
+      }, transaction);
+
+      const heldCents = toCents(lockedEscrow.heldBalance) - grossCents;
+      await lockedEscrow.update({
+        heldBalance: fromCents(heldCents),
+        releasedAmount: fromCents(toCents(lockedEscrow.releasedAmount) + grossCents),
+        status: heldCents > 0 ? 'partially_released' : 'released',
+        closedAt: heldCents > 0 ? null : new Date()
+      }, { transaction });
+      await this.syncCampaignPaymentStatus(lockedEscrow, transaction);
+
+      return { payout, entryId, escrow: lockedEscrow };
+    };
+
+    return outerTransaction ? release(outerTransaction) : sequelize.transaction(release);
+  }
+
+  /**
+   * Book the processor's fee on the captured escrow charge against platform revenue.
+   * Recorded once per escrow, so it is safe to call on every release.
+   */
+  async recordProcessorFee(escrow, { chargeAmount, processorFee }, transaction) {
+    const existing = await EscrowTransaction.findOne({
+      where: { escrowId: escrow.id, type: 'processor_fee' },
+      attributes: ['id'],
+      transaction
+    });
+    if (existing || toCents(processorFee) <= 0) {
+      return { alreadyRecorded: Boolean(existing) };
+    }
+
+    const { entryId } = await this.postEntry(escrow, {
+      type: 'processor_fee',
+      gatewayTransactionId: escrow.paymentIntentId,
+      description: `Processor fee on ${fromCents(toCents(chargeAmount))} ${escrow.currency} charge`,
+      lines: [
+        { account: 'platform_revenue', direction: 'debit', amount: processorFee },
+        { account: 'processor_clearing', direction: 'credit', amount: processorFee }
+      ]
+    }, transaction);
+
+    return { alreadyRecorded: false, entryId };
+  }
+
+  /**
+   * Return held funds to the brand
+   */
+  async recordRefund(escrow, { amount, reason, gatewayResponse = null }) {
+    return sequelize.transaction(async (transaction) => {
+      // Never funded: the pending hold is simply cancelled
+      if (escrow.status === 'pending_payment') {
+        await EscrowTransaction.update(
+          { status: 'cancelled' },
+          { where: { escrowId: escrow.id, type: 'escrow_hold', status: 'pending' }, transaction }
+        );
+        await escrow.update({ status: 'cancelled', closedAt: new Date() }, { transaction });
+        return { entryId: null, refundAmount: 0 };
+      }
+
+      const refundCents = Math.min(toCents(amount), toCents(escrow.heldBalance));
+      if (refundCents <= 0) {
+        throw new Error('No escrow balance available to refund');
+      }
+
+      const { entryId } = await this.postEntry(escrow, {
+        type: 'refund',
+        referenceId: escrow.campaignId,
+        referenceType: 'campaign',
+        gatewayTransactionId: escrow.paymentIntentId,
+        gatewayResponse,
+        description: `Refund to brand: ${reason}`,
+        lines: [
+          { account: 'escrow_liability', direction: 'debit', amount: fromCents(refundCents), userId: escrow.brandId },
+          { account: 'processor_clearing', direction: 'credit', amount: fromCents(refundCents), userId: escrow.brandId }
+        ]
+      }, transaction);
+
+      const heldCents = toCents(escrow.heldBalance) - refundCents;
+      await escrow.update({
+        heldBalance: fromCents(heldCents),
+        refundedAmount: fromCents(toCents(escrow.refundedAmount) + refundCents),
+        status: heldCents > 0 ? escrow.status : 'refunded',
+        closedAt: heldCents > 0 ? null : new Date()
+      }, { transaction });
+
+      if (heldCents <= 0) {
+        await this.cancelOpenAllocations(escrow, transaction);
+      }
+
+      return { entryId, refundAmount: fromCents(refundCents) };
+    });
+  }
+
+  /**
+   * Cancel unreleased milestones once nothing is left in escrow to pay them from
+   */
+  async cancelOpenAllocations(escrow, transaction) {
+    const allocations = await EscrowAllocation.findAll({
+      where: { escrowId: escrow.id, status: 'active' },
+      attributes: ['id'],
+      transaction
+    });
+    if (!allocations.length) {
+      return;
+    }
+
+    const allocationIds = allocations.map(allocation => allocation.id);
+    await EscrowMilestone.update(
+      { status: 'cancelled' },
+      { where: { allocationId: allocationIds, status: ['pending', 'approved'] }, transaction }
+    );
+    await EscrowAllocation.update(
+      { status: 'cancelled' },
+      { where: { id: allocationIds }, transaction }
+    );
+  }
+
+  /**
+   * Freeze the disputed share of the escrow while a dispute is open. The escrow stays
+   * releasable for other applications; heldBalance still includes the frozen funds.
+   */
+  async recordDisputeHold(escrow, { disputeId, amount, reportedBy, disputeType }, outerTransaction = null) {
+    const holdCents = toCents(amount);
+    if (holdCents <= 0 || holdCents > toCents(escrow.heldBalance)) {
+      throw new Error('No escrow balance available to dispute');
+    }
+
+    const hold = async (transaction) => this.postEntry(escrow, {
+      type: 'dispute_hold',
+      referenceId: disputeId,
+      referenceType: 'dispute',
+      gatewayTransactionId: escrow.paymentIntentId,
+      description: `Dispute hold: ${disputeType}`,
+      lines: [
+        { account: 'escrow_liability', direction: 'debit', amount: fromCents(holdCents), userId: reportedBy },
+        { account: 'dispute_hold', direction: 'credit', amount: fromCents(holdCents), userId: reportedBy }
+      ]
+    }, transaction);
+
+    return outerTransaction ? hold(outerTransaction) : sequelize.transaction(hold);
+  }
+
+  /**
+   * Settle frozen dispute funds: refund part to the brand, release part to the influencer
+   * (net of commission) and return anything left to the escrow. Joins the caller's transaction.
+   */
+  async recordDisputeResolution(escrow, { disputeId, frozenAmount, refundAmount = 0, releaseAmount = 0,
+    platformFee = 0, waivedFee = 0, applicationId = null, influencerId = null }, transaction) {
+    const frozenCents = toCents(frozenAmount);
+    const refundCents = toCents(refundAmount);
+    const releaseCents = toCents(releaseAmount);
+    const feeCents = toCents(platformFee);
+    const waivedCents = toCents(waivedFee);
+    const remainingCents = frozenCents - refundCents - releaseCents;
+
+    if (remainingCents < 0) {
+      throw new Error('Resolution amounts exceed the frozen balance');
+    }
+
+    // Other applications keep releasing during a dispute, so settle against the locked row
+    const lockedEscrow = await Escrow.findByPk(escrow.id, { transaction, lock: transaction.LOCK.UPDATE });
+
+    const common = {
+      referenceId: disputeId,
+      referenceType: 'dispute',
+      gatewayTransactionId: escrow.paymentIntentId
+    };
+    let payout = null;
+
+    if (refundCents > 0) {
+      await this.postEntry(escrow, {
+        ...common,
+        type: 'refund',
+        description: 'Dispute resolved: refund to brand',
+        lines: [
+          { account: 'dispute_hold', direction: 'debit', amount: fromCents(refundCents), userId: escrow.brandId },
+          { account: 'processor_clearing', direction: 'credit', amount: fromCents(refundCents), userId: escrow.brandId }
+        ]
+      }, transaction);
+    }
+
+    if (releaseCents > 0) {
+      payout = await Payout.create({
+        escrowId: escrow.id,
+        applicationId,
+        influencerId,
+        grossAmount: fromCents(releaseCents),
+        platformFee: fromCents(feeCents),
+        amount: fromCents(releaseCents - feeCents),
+        currency: escrow.currency,
+        reason: 'dispute_resolution'
+      }, { transaction });
+
+      await this.postEntry(escrow, {
+        ...common,
+        type: 'escrow_release',
+        description: 'Dispute resolved: release to influencer',
+        lines: [
+          { account: 'dispute_hold', direction: 'debit', amount: fromCents(releaseCents), userId: influencerId },
+          ...releaseLines(influencerId, releaseCents, feeCents, waivedCents)
+        ]
+      }, transaction);
+    }
+
+    if (remainingCents > 0) {
+      await this.postEntry(escrow, {
+        ...common,
+        type: 'dispute_release',
+        description: 'Dispute resolved: remaining funds returned to escrow',
+        lines: [
+          { account: 'dispute_hold', direction: 'debit', amount: fromCents(remainingCents) },
+          { account: 'escrow_liability', direction: 'credit', amount: fromCents(remainingCents) }
+        ]
+      }, transaction);
+    }
+
+    const heldCents = toCents(lockedEscrow.heldBalance) - refundCents - releaseCents;
+    const releasedCents = toCents(lockedEscrow.releasedAmount) + releaseCents;
+    let status;
+    if (heldCents > 0) {
+      status = releasedCents > 0 ? 'partially_released' : 'funded';
+    } else {
+      status = releasedCents > 0 ? 'released' : 'refunded';
+    }
+
+    await lockedEscrow.update({
+      heldBalance: fromCents(heldCents),
+      releasedAmount: fromCents(releasedCents),
+      refundedAmount: fromCents(toCents(lockedEscrow.refundedAmount) + refundCents),
+      status,
+      closedAt: heldCents > 0 ? null : new Date()
+    }, { transaction });
+    await this.syncCampaignPaymentStatus(lockedEscrow, transaction);
+
+    if (heldCents <= 0) {
+      await this.cancelOpenAllocations(escrow, transaction);
+    }
+
+    return { payout };
+  }
+
+  /**
+   * Record a payout the processor has transferred to the influencer's connected account.
+   * Safe to call from both the transfer API response and the transfer webhook.
+   * The FX rates at transfer time are snapshotted on the payout.
+   */
+  async recordPayoutPaid(payout, { transferId, gatewayResponse = null }) {
+    const fxSnapshot = await fxService.snapshotRates();
+
+    return sequelize.transaction(async (transaction) => {
+      const [claimed] = await Payout.update(
+        {
+          status: 'paid',
+          gatewayTransferId: transferId,
+          paidAt: new Date(),
+          nextAttemptAt: null,
+          failureReason: null,
+          fxSnapshotId: fxSnapshot ? fxSnapshot.id : null
+        },
+        { where: { id: payout.id, status: ['pending', 'processing', 'failed'] }, transaction }
+      );
+      if (!claimed) {
+        return { alreadyRecorded: true };
+      }
+
+      const escrow = await Escrow.findByPk(payout.escrowId, { transaction });
+      const { entryId } = await this.postEntry(escrow, {
+        type: 'withdrawal',
+        referenceId: payout.id,
+        referenceType: 'payout',
+        gatewayTransactionId: transferId,
+        gatewayResponse,
+        description: 'Payout transferred to connected account',
+        lines: [
+          { account: 'influencer_payable', direction: 'debit', amount: payout.amount, userId: payout.influencerId },
+          { account: 'processor_clearing', direction: 'credit', amount: payout.amount }
+        ]
+      }, transaction);
+
+      if (payout.applicationId) {
+        await this.syncApplicationPaymentStatus(payout.applicationId, transaction);
+      }
+
+      return { alreadyRecorded: false, entryId };
+    });
+  }
+
+  /**
+   * Put a reversed transfer back on the influencer payable balance.
+   * The payout is left failed without a retry date so an admin decides what happens next.
+   */
+  async recordPayoutReversal(payout, { transferId, reason }) {
+    return sequelize.transaction(async (transaction) => {
+      const [claimed] = await Payout.update(
+        { status: 'failed', failureReason: reason, nextAttemptAt: null },
+        { where: { id: payout.id, status: 'paid' }, transaction }
+      );
+      if (!claimed) {
+        return { alreadyRecorded: true };
+      }
+
+      const escrow = await Escrow.findByPk(payout.escrowId, { transaction });
+      const { entryId } = await this.postEntry(escrow, {
+        type: 'deposit',
+        referenceId: payout.id,
+        referenceType: 'payout',
+        gatewayTransactionId: transferId,
+        description: `Payout transfer reversed: ${reason}`,
+        lines: [
+          { account: 'processor_clearing', direction: 'debit', amount: payout.amount },
+          { account: 'influencer_payable', direction: 'credit', amount: payout.amount, userId: payout.influencerId }
+        ]
+      }, transaction);
+
+      if (payout.applicationId) {
+        await this.syncApplicationPaymentStatus(payout.applicationId, transaction);
+      }
+
+      return { alreadyRecorded: false, entryId };
+    });
+  }
+
+  /**
+   * Derive an application's payment status from its payouts: paid once every payout
+   * has been transferred, failed if one has run out of retries
+   */
+  async syncApplicationPaymentStatus(applicationId, transaction = null) {
+    const payouts = await Payout.findAll({
+      where: { applicationId, status: ['pending', 'processing', 'paid', 'failed'] },
+      attributes: ['status', 'nextAttemptAt'],
+      transaction
+    });
+    if (!payouts.length) {
+      return null;
+    }
+
+    let paymentStatus = 'paid';
+    if (payouts.some(payout => payout.status === 'failed' && !payout.nextAttemptAt)) {
+      paymentStatus = 'failed';
+    } else if (payouts.some(payout => payout.status !== 'paid')) {
+      paymentStatus = 'processing';
+    }
+
+    const application = await CampaignApplication.findByPk(applicationId, { transaction });
+    const transitionError = await applicationStateService.getTransitionError(application, { paymentStatus }, { transaction });
+    if (transitionError) {
+      // Never roll back a recorded money movement over a status the payouts no longer support
+      logger.warn('Application payment status not synced', { applicationId, paymentStatus, reason: transitionError });
+      return application.paymentStatus;
+    }
+
+    await applicationStateService.transition(application, { paymentStatus }, { transaction });
+    return paymentStatus;
+  }
+
+  /**
+   * Derive the campaign's payment status from its escrow: released once every held
+   * dollar has been released, funded until then (captures and partial releases included)
+   */
+  async syncCampaignPaymentStatus(escrow, transaction = null) {
+    if (escrow.status !== 'released') {
+      return false;
+    }
+
+    const [updated] = await Campaign.update(
+      { paymentStatus: 'released' },
+      { where: { id: escrow.campaignId, paymentStatus: 'funded' }, transaction }
+    );
+    return updated > 0;
+  }
+
+  /**
+   * Per-account balances for one escrow, from completed legs.
+   * Liability and income accounts are reported as positive credit balances.
+   */
+  async getEscrowBalances(escrowId) {
+    const legs = await EscrowTransaction.findAll({
+      where: { escrowId, status: 'completed' },
+      attributes: ['account', 'direction', 'amount'],
+      raw: true
+    });
+
+    const balances = EscrowTransaction.LEDGER_ACCOUNTS.reduce((acc, account) => ({ ...acc, [account]: 0 }), {});
+    legs.forEach(leg => {
+      const cents = toCents(leg.amount);
+      balances[leg.account] += leg.direction === 'credit' ? cents : -cents;
+    });
+
+    // processor_clearing is an asset, so flip it back to a debit balance
+    balances.processor_clearing = -balances.processor_clearing;
+
+    return Object.fromEntries(
+      Object.entries(balances).map(([account, cents]) => [account, fromCents(cents)])
+    );
+  }
+
+  /**
+   * Log a ledger failure that happened after the processor call succeeded
+   */
+  logReconciliationGap(action, escrowId, error) {
+    logger.error('Ledger write failed after processor call - manual reconciliation required', {
+      action,
+      escrowId,
+      error: error.message
+    });
+  }
+}
+
+module.exports = new LedgerService();
@@ -0,0 +1,325 @@
+const { Op, fn, col } = require('sequelize');
+const { AiModel, Campaign, CampaignApplication, CampaignInvitation, SocialMediaAccount, User } = require('../models');
+const campaignAccessService = require('./campaignAccessService');
+
+const MODEL_NAME = 'campaign_matching';
+
+// Used until ai_models has an active campaign_matching version (also seeded by migration 20261019000027)
+const DEFAULT_MODEL = {
+  version: 'rules-1',
+  parameters: {
+    weights: { niches: 0.3, followers: 0.2, engagement: 0.2, audience: 0.15, trackRecord: 0.15 }
+  }
+};
+
+// Candidates scored per request (newest first); the best scoring ones are returned
+const CANDIDATE_LIMIT = 500;
+
+const ACCOUNT_ATTRIBUTES = ['platform', 'username', 'followersCount', 'engagementRate', 'isVerified'];
+
+const formatCount = (count) => Number(count).toLocaleString('en-US');
+
+/**
+ * Matching service
+ * Scores how well an influencer fits a campaign from the campaign's targets (niches,
+ * follower range, engagement rate, audience) and the influencer's accounts, niches,
+ * country and past campaigns. Each score comes with a per-factor explanation. The
+ * factor weights are the parameters of the active campaign_matching model version.
+ */
+class MatchingService {
+  /**
+   * The campaign_matching version in use (the newest active one)
+   */
+  async getActiveModel() {
+    const model = await AiModel.findOne({
+      where: { name: MODEL_NAME, status: 'active' },
+      order: [['created_at', 'DESC']]
+    });
+    if (model) {
+      return model;
+    }
+
+    const [defaultModel] = await AiModel.findOrCreate({
+      where: { name: MODEL_NAME, version: DEFAULT_MODEL.version },
+      defaults: { parameters: DEFAULT_MODEL.parameters, status: 'active' }
+    });
+    return defaultModel;
+  }
+
+  /**
+   * Factor weights of a model version (factors it leaves out keep the default weight)
+   */
+  getWeights(model) {
+    return { ...DEFAULT_MODEL.parameters.weights, ...((model.parameters && model.parameters.weights) || {}) };
+  }
+
+  /**
+   * Platforms the campaign targets (audience first, then eligibility), or null for any
+   */
+  getTargetPlatforms(campaign) {
+    const platforms = (campaign.targetAudience && campaign.targetAudience.platforms)
+      || (campaign.eligibility && campaign.eligibility.platforms);
+    return platforms && platforms.length ? platforms : null;
+  }
+
+  /**
+   * Accounts on the campaign's target platforms (all accounts if none are on them)
+   */
+  getRelevantAccounts(campaign, accounts) {
+    const platforms = this.getTargetPlatforms(campaign);
+    const onTarget = platforms ? accounts.filter(account => platforms.includes(account.platform)) : [];
+    return onTarget.length ? onTarget : accounts;
+  }
+
+  /**
+   * Share of the campaign's target niches the influencer covers
+   */
+  scoreNiches(campaign, influencer) {
+    const targets = (campaign.targetNiches || []).map(niche => String(niche).toLowerCase());
+    if (!targets.length) {
+      return null;
+    }
+
+    const niches = new Set((influencer.niches || []).map(niche => String(niche).toLowerCase()));
+    const shared = targets.filter(niche => niches.has(niche));
+    return {
+      score: shared.length / targets.length,
+      reason: shared.length
+        ? `Covers ${shared.join(', ')} (${shared.length} of ${targets.length} target niches)`
+        : `None of the target niches (${targets.join(', ')})`
+    };
+  }
+
+  /**
+   * Largest relevant account against the target follower range; the score falls off
+   * proportionally below the minimum and above the maximum
+   */
+  scoreFollowers(campaign, accounts) {
+    const { min, max } = campaign.targetFollowerRange || {};
+    if (!min && !max) {
+      return null;
+    }
+
+    const followers = Math.max(0, ...accounts.map(account => account.followersCount || 0));
+    if (min && followers < min) {
+      return { score: followers / min, reason: `${formatCount(followers)} followers, below the ${formatCount(min)} minimum` };
+    }
+    if (max && followers > max) {
+      return { score: max / followers, reason: `${formatCount(followers)} followers, above the ${formatCount(max)} maximum` };
+    }
+    return { score: 1, reason: `${formatCount(followers)} followers, within the target range` };
+  }
+
+  /**
+   * Best relevant engagement rate against the target rate
+   */
+  scoreEngagement(campaign, accounts) {
+    const target = parseFloat(campaign.targetEngagementRate);
+    if (!target) {
+      return null;
+    }
+
+    const rate = Math.max(0, ...accounts.map(account => parseFloat(account.engagementRate || 0)));
+    return {
+      score: Math.min(1, rate / target),
+      reason: rate >= target
+        ? `${rate}% engagement meets the ${target}% target`
+        : `${rate}% engagement, below the ${target}% target`
+    };
+  }
+
+  /**
+   * Target audience: { locations: ['US', ...], platforms: ['tiktok', ...] } against
+   * the influencer's country and accounts
+   */
+  scoreAudience(campaign, influencer, accounts) {
+    const locations = (campaign.targetAudience && campaign.targetAudience.locations) || [];
+    const platforms = (campaign.targetAudience && campaign.targetAudience.platforms) || [];
+    const parts = [];
+
+    if (locations.length) {
+      const local = locations.includes(influencer.country);
+      parts.push({
+        score: local ? 1 : 0,
+        reason: local ? `Based in ${influencer.country}` : `Not based in ${locations.join(', ')}`
+      });
+    }
+    if (platforms.length) {
+      const active = new Set(accounts.map(account => account.platform));
+      const covered = platforms.filter(platform => active.has(platform));
+      parts.push({
+        score: covered.length / platforms.length,
+        reason: covered.length ? `Active on ${covered.join(', ')}` : `Not active on ${platforms.join(', ')}`
+      });
+    }
+
+    if (!parts.length) {
+      return null;
+    }
+    return {
+      score: parts.reduce((sum, part) => sum + part.score, 0) / parts.length,
+      reason: parts.map(part => part.reason).join('; ')
+    };
+  }
+
+  /**
+   * Past campaigns completed versus cancelled (smoothed, so no history scores 0.5)
+   */
+  scoreTrackRecord(history = { completed: 0, cancelled: 0 }) {
+    const { completed, cancelled } = history;
+    const finished = completed + cancelled;
+    return {
+      score: (completed + 1) / (finished + 2),
+      reason: finished ? `Completed ${completed} of ${finished} past campaigns` : 'No finished campaigns yet'
+    };
+  }
+
+  /**
+   * 0-100 match score of an influencer for a campaign with its explanation. Factors
+   * the campaign sets no target for are left out and the others reweighted.
+   */
+  score(campaign, influencer, accounts, history, weights) {
+    const relevantAccounts = this.getRelevantAccounts(campaign, accounts);
+    const factors = {
+      niches: this.scoreNiches(campaign, influencer),
+      followers: this.scoreFollowers(campaign, relevantAccounts),
+      engagement: this.scoreEngagement(campaign, relevantAccounts),
+      audience: this.scoreAudience(campaign, influencer, accounts),
+      trackRecord: this.scoreTrackRecord(history)
+    };
+
+    let total = 0;
+    let totalWeight = 0;
+    const explanation = [];
+
+    Object.entries(factors).forEach(([factor, result]) => {
+      if (!result || !weights[factor]) {
+        return;
+      }
+      total += weights[factor] * result.score;
+      totalWeight += weights[factor];
+      explanation.push({ factor, score: Math.round(result.score * 100), weight: weights[factor], reason: result.reason });
+    });
+
+    return {
+      score: totalWeight ? Math.round((total / totalWeight) * 100) : 0,
+      explanation
+    };
+  }
+
+  /**
+   * Completed and cancelled application counts per influencer
+   */
+  async getHistories(influencerIds) {
+    const histories = new Map(influencerIds.map(id => [id, { completed: 0, cancelled: 0 }]));
+    if (!influencerIds.length) {
+      return histories;
+    }
+
+    const rows = await CampaignApplication.findAll({
+      attributes: ['influencerId', 'status', [fn('COUNT', col('id')), 'count']],
+      where: { influencerId: influencerIds, status: ['completed', 'cancelled'] },
+      group: ['influencer_id', 'status'],
+      raw: true
+    });
+
+    rows.forEach(row => {
+      histories.get(row.influencerId)[row.status] = parseInt(row.count, 10);
+    });
+    return histories;
+  }
+
+  /**
+   * Eligible influencers for a campaign, best match first. Influencers who already
+   * applied or were invited are left out.
+   */
+  async recommendInfluencers(campaign, { limit = 20 } = {}) {
+    const [model, applications, invitations] = await Promise.all([
+      this.getActiveModel(),
+      CampaignApplication.findAll({ where: { campaignId: campaign.id }, attributes: ['influencerId'] }),
+      CampaignInvitation.findAll({ where: { campaignId: campaign.id }, attributes: ['influencerId'] })
+    ]);
+    const excludedIds = [...applications, ...invitations].map(record => record.influencerId);
+
+    const candidates = await User.findAll({
+      where: {
+        role: 'influencer',
+        status: 'active',
+        ...(excludedIds.length && { id: { [Op.notIn]: excludedIds } })
+      },
+      attributes: ['id', 'name', 'avatarUrl', 'bio', 'niches', 'country'],
+      include: [{
+        model: SocialMediaAccount,
+        as: 'socialAccounts',
+        where: { isActive: true },
+        attributes: ACCOUNT_ATTRIBUTES
+      }],
+      order: [['created_at', 'DESC']],
+      limit: CANDIDATE_LIMIT
+    });
+
+    const histories = await this.getHistories(candidates.map(influencer => influencer.id));
+    const weights = this.getWeights(model);
+
+    const recommendations = candidates
+      .filter(influencer => !campaignAccessService.getIneligibilityReasons(campaign, {
+        country: influencer.country,
+        accounts: influencer.socialAccounts
+      }).length)
+      .map(influencer => ({
+        influencer: influencer.toJSON(),
+        ...this.score(campaign, influencer, influencer.socialAccounts, histories.get(influencer.id), weights)
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    return { model: { name: model.name, version: model.version }, recommendations };
+  }
+
+  /**
+   * Open campaigns (public or invited) the influencer is eligible for and hasn't
+   * applied to, best match first
+   */
+  async recommendCampaigns(influencerId, { limit = 20 } = {}, now = new Date()) {
+    const [model, influencer, accounts, applications, invitedIds, histories] = await Promise.all([
+      this.getActiveModel(),
+      User.findByPk(influencerId, { attributes: ['id', 'niches', 'country'] }),
+      SocialMediaAccount.findAll({ where: { userId: influencerId, isActive: true }, attributes: ACCOUNT_ATTRIBUTES }),
+      CampaignApplication.findAll({ where: { influencerId }, attributes: ['campaignId'] }),
+      campaignAccessService.getInvitedCampaignIds(influencerId),
+      this.getHistories([influencerId])
+    ]);
+    const appliedIds = applications.map(application => application.campaignId);
+
+    const campaigns = await Campaign.findAll({
+      where: {
+        status: 'active',
+        applicationsClosedAt: null,
+        [Op.and]: [
+          { [Op.or]: [campaignAccessService.listedWhere(), { id: invitedIds }] },
+          { [Op.or]: [{ applicationDeadline: null }, { applicationDeadline: { [Op.gt]: now } }] },
+          ...(appliedIds.length ? [{ id: { [Op.notIn]: appliedIds } }] : [])
+        ]
+      },
+      include: [{ model: User, as: 'brand', attributes: ['id', 'name', 'avatarUrl'] }],
+      order: [['created_at', 'DESC']],
+      limit: CANDIDATE_LIMIT
+    });
+
+    const weights = this.getWeights(model);
+    const profile = { country: influencer ? influencer.country : null, accounts };
+
+    const recommendations = campaigns
+      .filter(campaign => !campaignAccessService.getIneligibilityReasons(campaign, profile).length)
+      .map(campaign => ({
+        campaign: campaign.toJSON(),
+        ...this.score(campaign, influencer || {}, accounts, histories.get(influencerId), weights)
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    return { model: { name: model.name, version: model.version }, recommendations };
+  }
+}
+
+module.exports = new MatchingService();
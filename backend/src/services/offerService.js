@@ -0,0 +1,223 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { ApplicationOffer, Campaign, Escrow, EscrowAllocation, User } = require('../models');
+const escrowAllocationService = require('./escrowAllocationService');
+const { logger } = require('../utils/monitoring');
+
+const NEGOTIABLE_APPLICATION_STATUSES = ['pending', 'approved'];
+const DEFAULT_EXPIRY_HOURS = parseInt(process.env.OFFER_EXPIRY_HOURS) || 72;
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Offer service
+ * Brand and influencer negotiate an application's rate, deliverables and timeline
+ * by trading offers. Only one offer is active at a time; answering it with a new
+ * one counters it. Accepting an offer fixes negotiatedRate and the escrow allocation.
+ */
+class OfferService {
+  /**
+   * The party (brand or influencer) a user acts as on this application, or null
+   */
+  getPartyRole(application, user) {
+    if (application.influencerId === user.id) {
+      return 'influencer';
+    }
+    if (application.campaign && application.campaign.brandId === user.id) {
+      return 'brand';
+    }
+    return null;
+  }
+
+  /**
+   * Mark active offers past their expiry as expired
+   */
+  async expireStale(where = {}, now = new Date()) {
+    const [count] = await ApplicationOffer.update({ status: 'expired' }, {
+      where: {
+        ...where,
+        status: 'active',
+        expiresAt: { [Op.lte]: now }
+      }
+    });
+    return count;
+  }
+
+  /**
+   * The offer currently waiting for an answer, if any
+   */
+  async getActiveOffer(applicationId, transaction = null) {
+    await this.expireStale({ applicationId });
+    return ApplicationOffer.findOne({
+      where: { applicationId, status: 'active' },
+      transaction
+    });
+  }
+
+  /**
+   * Why the application cannot be negotiated, or null if it can
+   */
+  async getNegotiationError(application) {
+    if (application.rateAgreedAt) {
+      return 'The rate for this application has already been agreed';
+    }
+    if (!NEGOTIABLE_APPLICATION_STATUSES.includes(application.status)) {
+      return `Offers cannot be made on a ${application.status} application`;
+    }
+
+    const allocation = await EscrowAllocation.findOne({
+      where: { applicationId: application.id },
+      attributes: ['id']
+    });
+    if (allocation) {
+      return 'Escrow has already been allocated for this application';
+    }
+    return null;
+  }
+
+  /**
+   * Why this user cannot make an offer now, or null if they can
+   */
+  async getOfferError(application, user) {
+    const negotiationError = await this.getNegotiationError(application);
+    if (negotiationError) {
+      return negotiationError;
+    }
+
+    const activeOffer = await this.getActiveOffer(application.id);
+    if (activeOffer && activeOffer.proposedBy === user.id) {
+      return 'Your previous offer is still waiting for an answer; withdraw it before making a new one';
+    }
+    return null;
+  }
+
+  /**
+   * Propose terms; an active offer from the other party is countered by this one
+   */
+  async createOffer(application, user, { rate, currency, deliverables = null, timeline = null, message = null, expiresInHours = DEFAULT_EXPIRY_HOURS }) {
+    return sequelize.transaction(async (transaction) => {
+      const activeOffer = await this.getActiveOffer(application.id, transaction);
+      if (activeOffer) {
+        await activeOffer.update({
+          status: 'countered',
+          respondedBy: user.id,
+          respondedAt: new Date()
+        }, { transaction });
+      }
+
+      return ApplicationOffer.create({
+        applicationId: application.id,
+        previousOfferId: activeOffer ? activeOffer.id : null,
+        proposedBy: user.id,
+        proposerRole: this.getPartyRole(application, user),
+        rate,
+        currency: currency || application.currency,
+        deliverables,
+        timeline,
+        message,
+        expiresAt: new Date(Date.now() + expiresInHours * HOUR_MS)
+      }, { transaction });
+    });
+  }
+
+  /**
+   * Why this user cannot accept, decline or withdraw the offer, or null if they can
+   */
+  async getResponseError(application, offer, user, action) {
+    if (offer.isExpired()) {
+      await offer.update({ status: 'expired' });
+    }
+    if (offer.status !== 'active') {
+      return `This offer is ${offer.status}`;
+    }
+
+    const isProposer = offer.proposedBy === user.id;
+    if (action === 'withdraw') {
+      return isProposer ? null : 'Only the party who made an offer can withdraw it';
+    }
+    if (isProposer) {
+      return `You cannot ${action} your own offer`;
+    }
+
+    return action === 'accept' ? this.getNegotiationError(application) : null;
+  }
+
+  /**
+   * Close an offer without agreement (declined by the other party or withdrawn by its proposer)
+   */
+  async closeOffer(offer, user, status) {
+    return offer.update({
+      status,
+      respondedBy: user.id,
+      respondedAt: new Date()
+    });
+  }
+
+  /**
+   * Accept an offer: its terms become the application's and the rate is locked.
+   * An approved application on a funded campaign gets its escrow allocation right away.
+   */
+  async acceptOffer(application, offer, user) {
+    const acceptedAt = new Date();
+
+    await sequelize.transaction(async (transaction) => {
+      await offer.update({
+        status: 'accepted',
+        respondedBy: user.id,
+        respondedAt: acceptedAt
+      }, { transaction });
+
+      await application.update({
+        negotiatedRate: offer.rate,
+        currency: offer.currency,
+        rateAgreedAt: acceptedAt,
+        ...(offer.deliverables ? { deliverables: offer.deliverables } : {}),
+        ...(offer.timeline ? { proposedTimeline: offer.timeline } : {})
+      }, { transaction });
+    });
+
+    const allocation = await this.allocateAgreedRate(application);
+    return { offer, application, allocation };
+  }
+
+  /**
+   * Reserve the agreed rate in the campaign escrow when it can already be done.
+   * Otherwise the allocation is created later and must match the agreed rate.
+   */
+  async allocateAgreedRate(application) {
+    if (application.status !== 'approved') {
+      return null;
+    }
+
+    const campaign = application.campaign || await Campaign.findByPk(application.campaignId, {
+      attributes: ['id', 'escrowId']
+    });
+    const escrow = campaign && campaign.escrowId && await Escrow.findByPaymentIntent(campaign.escrowId);
+    if (!escrow) {
+      return null;
+    }
+
+    try {
+      return await escrowAllocationService.createAllocation(escrow, application, {});
+    } catch (error) {
+      logger.warn('Agreed rate could not be allocated yet', {
+        applicationId: application.id,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Every offer made on an application, oldest first
+   */
+  async getOffers(applicationId) {
+    await this.expireStale({ applicationId });
+    return ApplicationOffer.findAll({
+      where: { applicationId },
+      include: [{ model: User, as: 'proposer', attributes: ['id', 'name', 'role'] }],
+      order: [['created_at', 'ASC']]
+    });
+  }
+}
+
+module.exports = new OfferService();
@@ -1,6 +1,10 @@
 const stripe = require('stripe');
 const { logger } = require('../utils/monitoring');
 const { getSecrets } = require('../utils/secrets');
+const { Campaign, CampaignApplication, Dispute, Escrow, Payout, Subscription, User } = require('../models');
+const ledgerService = require('./ledgerService');
+const escrowService = require('./escrowService');
+const applicationStateService = require('./applicationStateService');
 
 /**
  * Payment Processing Service using Stripe
@@ -164,8 +168,10 @@ class PaymentService {
 
       return {
         subscriptionId: subscription.id,
-        clientSecret: subscription.latest_invoice.payment_intent.client_secret,
-        status: subscription.status
+        clientSecret: subscription.latest_invoice.payment_intent?.client_secret || null,
+        status: subscription.status,
+        currentPeriodStart: new Date(subscription.current_period_start * 1000),
+        currentPeriodEnd: new Date(subscription.current_period_end * 1000)
       };
     } catch (error) {
       logger.error('Failed to create subscription', {
@@ -177,6 +183,62 @@ class PaymentService {
     }
   }
 
+  /**
+   * Move a subscription to another price, prorating the difference.
+   * Also undoes a pending cancellation.
+   */
+  async changeSubscriptionPrice(subscriptionId, priceId, metadata = {}) {
+    try {
+      const current = await this.stripeClient.subscriptions.retrieve(subscriptionId);
+
+      const subscription = await this.stripeClient.subscriptions.update(subscriptionId, {
+        items: [{ id: current.items.data[0].id, price: priceId }],
+        proration_behavior: 'create_prorations',
+        cancel_at_period_end: false,
+        metadata
+      });
+
+      logger.info('Subscription price changed', {
+        subscriptionId,
+        priceId,
+        status: subscription.status
+      });
+
+      return {
+        id: subscription.id,
+        status: subscription.status,
+        currentPeriodEnd: new Date(subscription.current_period_end * 1000)
+      };
+    } catch (error) {
+      logger.error('Failed to change subscription price', {
+        error: error.message,
+        subscriptionId,
+        priceId
+      });
+      throw new Error(`Subscription update failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a Stripe billing portal session for managing payment methods and invoices
+   */
+  async createBillingPortalSession(customerId, returnUrl) {
+    try {
+      const session = await this.stripeClient.billingPortal.sessions.create({
+        customer: customerId,
+        return_url: returnUrl
+      });
+
+      return { url: session.url };
+    } catch (error) {
+      logger.error('Failed to create billing portal session', {
+        error: error.message,
+        customerId
+      });
+      throw new Error(`Billing portal session failed: ${error.message}`);
+    }
+  }
+
   /**
    * Cancel a subscription
    */
@@ -211,19 +273,25 @@ class PaymentService {
   }
 
   /**
-   * Process platform fee (for taking commission from campaigns)
+   * Transfer an influencer payout to their connected account.
+   * transferGroup ties the transfer to our payout; idempotencyKey guards against retried requests.
    */
-  async createConnectedAccountTransfer(connectedAccountId, amount, currency, metadata = {}) {
+  async createConnectedAccountTransfer(connectedAccountId, amount, currency, metadata = {}, { transferGroup = null, idempotencyKey = null } = {}) {
     try {
+      if (!this.stripeClient) {
+        await this.initializeStripe();
+      }
+
       const transfer = await this.stripeClient.transfers.create({
         amount: Math.round(amount * 100), // Convert to cents
         currency: currency.toLowerCase(),
         destination: connectedAccountId,
+        ...(transferGroup ? { transfer_group: transferGroup } : {}),
         metadata: {
           ...metadata,
           transfer_type: 'campaign_payment'
         }
-      });
+      }, idempotencyKey ? { idempotencyKey } : undefined);
 
       logger.info('Connected account transfer created', {
         transferId: transfer.id,
@@ -249,6 +317,37 @@ class PaymentService {
     }
   }
 
+  /**
+   * Find a transfer already made for a transfer group, if any
+   */
+  async findTransferByGroup(transferGroup) {
+    try {
+      if (!this.stripeClient) {
+        await this.initializeStripe();
+      }
+
+      const transfers = await this.stripeClient.transfers.list({
+        transfer_group: transferGroup,
+        limit: 1
+      });
+      const transfer = transfers.data[0];
+
+      return transfer ? {
+        id: transfer.id,
+        amount: transfer.amount / 100,
+        currency: transfer.currency,
+        destination: transfer.destination,
+        reversed: transfer.reversed
+      } : null;
+    } catch (error) {
+      logger.error('Failed to look up transfer', {
+        error: error.message,
+        transferGroup
+      });
+      throw new Error(`Transfer lookup failed: ${error.message}`);
+    }
+  }
+
   /**
    * Create a refund
    */
@@ -389,12 +488,40 @@ class PaymentService {
     }
   }
 
+  /**
+   * Get a connected account's onboarding and payout status
+   */
+  async getConnectedAccount(accountId) {
+    try {
+      if (!this.stripeClient) {
+        await this.initializeStripe();
+      }
+
+      const account = await this.stripeClient.accounts.retrieve(accountId);
+
+      return {
+        id: account.id,
+        detailsSubmitted: account.details_submitted,
+        payoutsEnabled: account.payouts_enabled,
+        requirementsDue: account.requirements?.currently_due || []
+      };
+    } catch (error) {
+      logger.error('Failed to get connected account', {
+        error: error.message,
+        accountId
+      });
+      throw new Error(`Failed to retrieve connected account: ${error.message}`);
+    }
+  }
+
   /**
    * Verify webhook signature
    */
   verifyWebhookSignature(payload, signature, endpointSecret) {
     try {
-      const event = this.stripeClient.webhooks.constructEvent(
+      // Signature checks need no API key, so don't wait for client initialization
+      const webhooks = this.stripeClient ? this.stripeClient.webhooks : stripe.webhooks;
+      const event = webhooks.constructEvent(
         payload,
         signature,
         endpointSecret
@@ -433,6 +560,30 @@ class PaymentService {
           await this.handlePaymentFailed(event.data.object);
           break;
 
+        case 'payment_intent.amount_capturable_updated':
+          await this.handlePaymentAuthorized(event.data.object);
+          break;
+
+        case 'payment_intent.canceled':
+          await this.handlePaymentCanceled(event.data.object);
+          break;
+
+        case 'charge.refunded':
+          await this.handleChargeRefunded(event.data.object);
+          break;
+
+        case 'account.updated':
+          await this.handleAccountUpdated(event.data.object);
+          break;
+
+        case 'transfer.created':
+          await this.handleTransferCreated(event.data.object);
+          break;
+
+        case 'transfer.reversed':
+          await this.handleTransferReversed(event.data.object);
+          break;
+
         case 'customer.subscription.created':
           await this.handleSubscriptionCreated(event.data.object);
           break;
@@ -480,8 +631,64 @@ class PaymentService {
       currency: paymentIntent.currency
     });
 
-    // Update campaign payment status, send notifications, etc.
-    // This would integrate with your campaign/order management system
+    const target = await this.findEscrowCampaign(paymentIntent.id);
+    if (!target) {
+      return;
+    }
+
+    // Holds are captured at funding, so a capture doesn't pay the campaign out;
+    // its payment status follows the escrow's ledger state
+    if (target.escrow) {
+      await ledgerService.syncCampaignPaymentStatus(target.escrow);
+    }
+  }
+
+  /**
+   * Handle an authorized (held) payment, whether confirmed through our API or elsewhere
+   */
+  async handlePaymentAuthorized(paymentIntent) {
+    if (paymentIntent.status !== 'requires_capture') {
+      return;
+    }
+
+    const target = await this.findEscrowCampaign(paymentIntent.id);
+    if (!target) {
+      return;
+    }
+
+    const { campaign, escrow } = target;
+
+    if (escrow && escrow.status === 'pending_payment') {
+      await ledgerService.recordFunding(escrow, {
+        amount: paymentIntent.amount_capturable / 100,
+        gatewayResponse: { paymentIntentId: paymentIntent.id, status: paymentIntent.status }
+      });
+    }
+
+    if (campaign.paymentStatus === 'pending') {
+      // Campaigns with a future start date are activated by the lifecycle scheduler
+      const startsLater = campaign.campaignStartDate && new Date(campaign.campaignStartDate) > new Date();
+      await campaign.update({
+        status: campaign.status === 'draft' && !startsLater ? 'active' : campaign.status,
+        paymentStatus: 'funded',
+        fundedAt: campaign.fundedAt || new Date()
+      });
+    }
+
+    // Capture the funded hold before the authorization can expire (see escrowService.captureEscrow);
+    // throwing lets the processor retry the event
+    if (escrow && ['funded', 'partially_released'].includes(escrow.status)) {
+      const captureResult = await escrowService.captureEscrow(paymentIntent.id);
+      if (!captureResult.success) {
+        throw new Error(captureResult.error);
+      }
+    }
+
+    logger.info('Escrow payment authorized', {
+      paymentIntentId: paymentIntent.id,
+      campaignId: campaign.id,
+      amount: paymentIntent.amount_capturable / 100
+    });
   }
 
   /**
@@ -495,7 +702,193 @@ class PaymentService {
       lastPaymentError: paymentIntent.last_payment_error
     });
 
-    // Handle payment failure - notify user, retry logic, etc.
+    const target = await this.findEscrowCampaign(paymentIntent.id);
+    if (target?.escrow?.status === 'pending_payment') {
+      await ledgerService.recordFundingFailure(
+        target.escrow,
+        paymentIntent.last_payment_error?.message || 'payment_failed'
+      );
+    }
+  }
+
+  /**
+   * Handle a cancelled payment intent (an uncaptured escrow hold was released to the brand)
+   */
+  async handlePaymentCanceled(paymentIntent) {
+    const target = await this.findEscrowCampaign(paymentIntent.id);
+    if (!target) {
+      return;
+    }
+
+    await this.syncEscrowRefund(
+      target,
+      paymentIntent.amount / 100,
+      paymentIntent.cancellation_reason || 'payment_intent_canceled'
+    );
+    await this.markCampaignRefunded(target.campaign);
+
+    logger.info('Escrow payment intent canceled', {
+      paymentIntentId: paymentIntent.id,
+      campaignId: target.campaign.id
+    });
+  }
+
+  /**
+   * Handle a refunded charge (full or partial refund of a captured escrow)
+   */
+  async handleChargeRefunded(charge) {
+    const target = charge.payment_intent && await this.findEscrowCampaign(charge.payment_intent);
+    if (!target) {
+      return;
+    }
+
+    await this.syncEscrowRefund(target, charge.amount_refunded / 100, 'charge_refunded');
+
+    if (charge.refunded) {
+      await this.markCampaignRefunded(target.campaign);
+    }
+
+    logger.info('Escrow charge refunded', {
+      chargeId: charge.id,
+      paymentIntentId: charge.payment_intent,
+      campaignId: target.campaign.id,
+      amountRefunded: charge.amount_refunded / 100,
+      fullyRefunded: charge.refunded
+    });
+  }
+
+  /**
+   * Find the campaign (and its ledger escrow) funded by a payment intent
+   */
+  async findEscrowCampaign(paymentIntentId) {
+    const campaign = await Campaign.findOne({ where: { escrowId: paymentIntentId } });
+    if (!campaign) {
+      return null;
+    }
+
+    const escrow = await Escrow.findByPaymentIntent(paymentIntentId);
+    return { campaign, escrow };
+  }
+
+  /**
+   * Post any refund the processor reports that the ledger has not recorded yet
+   */
+  async syncEscrowRefund({ campaign, escrow }, processorRefunded, reason) {
+    if (!escrow || ['refunded', 'cancelled'].includes(escrow.status)) {
+      return;
+    }
+
+    if (escrow.status === 'pending_payment') {
+      await ledgerService.recordRefund(escrow, { amount: 0, reason });
+      return;
+    }
+
+    const outstandingCents = Math.round(processorRefunded * 100) - Math.round(parseFloat(escrow.refundedAmount) * 100);
+    if (outstandingCents <= 0) {
+      return;
+    }
+
+    if (escrow.status === 'disputed' || (await Dispute.findOpen({ escrowId: escrow.id }, { attributes: ['id'] })).length) {
+      // Frozen funds sit in dispute_hold; a refund there has to be reconciled by an admin
+      ledgerService.logReconciliationGap('refund', escrow.id, new Error('Refund received while escrow is disputed'));
+      return;
+    }
+
+    await ledgerService.recordRefund(escrow, { amount: outstandingCents / 100, reason });
+
+    logger.info('Escrow refund recorded from processor event', {
+      campaignId: campaign.id,
+      escrowId: escrow.id,
+      amount: outstandingCents / 100
+    });
+  }
+
+  /**
+   * Mark a funded campaign refunded and fail payments that will no longer happen
+   */
+  async markCampaignRefunded(campaign) {
+    if (!['funded', 'released'].includes(campaign.paymentStatus)) {
+      return;
+    }
+
+    await campaign.update({
+      paymentStatus: 'refunded',
+      refundedAt: campaign.refundedAt || new Date()
+    });
+
+    const unpaidApplications = await CampaignApplication.findAll({
+      where: {
+        campaignId: campaign.id,
+        status: ['approved', 'in_progress'],
+        paymentStatus: 'pending'
+      }
+    });
+    for (const application of unpaidApplications) {
+      await applicationStateService.transition(application, { paymentStatus: 'failed' }, {
+        note: 'Campaign payment refunded'
+      });
+    }
+  }
+
+  /**
+   * Keep an influencer's payout eligibility in sync with their connected account.
+   * Payouts waiting on onboarding are picked up by the payout worker.
+   */
+  async handleAccountUpdated(account) {
+    const user = await User.findOne({ where: { stripeAccountId: account.id } });
+    if (!user || user.payoutsEnabled === Boolean(account.payouts_enabled)) {
+      return;
+    }
+
+    await user.update({ payoutsEnabled: Boolean(account.payouts_enabled) });
+
+    logger.info('Connected account payout status changed', {
+      userId: user.id,
+      accountId: account.id,
+      payoutsEnabled: user.payoutsEnabled
+    });
+  }
+
+  /**
+   * Confirm a payout transfer (covers a lost API response after the transfer was made)
+   */
+  async handleTransferCreated(transfer) {
+    const payout = transfer.metadata?.payout_id && await Payout.findByPk(transfer.metadata.payout_id);
+    if (!payout || payout.status === 'paid') {
+      return;
+    }
+
+    await ledgerService.recordPayoutPaid(payout, { transferId: transfer.id });
+
+    logger.info('Payout confirmed by transfer event', {
+      payoutId: payout.id,
+      transferId: transfer.id
+    });
+  }
+
+  /**
+   * Return a reversed payout transfer to the influencer payable balance
+   */
+  async handleTransferReversed(transfer) {
+    const payout = transfer.metadata?.payout_id && await Payout.findByPk(transfer.metadata.payout_id);
+    if (!payout) {
+      return;
+    }
+
+    if (transfer.amount_reversed < transfer.amount) {
+      ledgerService.logReconciliationGap('payout_reversal', payout.escrowId, new Error('Partial transfer reversal'));
+      return;
+    }
+
+    await ledgerService.recordPayoutReversal(payout, {
+      transferId: transfer.id,
+      reason: 'Transfer reversed'
+    });
+
+    logger.warn('Payout transfer reversed', {
+      payoutId: payout.id,
+      transferId: transfer.id
+    });
   }
 
   /**
@@ -508,7 +901,7 @@ class PaymentService {
       status: subscription.status
     });
 
-    // Update user subscription status in database
+    await this.syncSubscription(subscription);
   }
 
   /**
@@ -521,7 +914,7 @@ class PaymentService {
       status: subscription.status
     });
 
-    // Update user subscription status in database
+    await this.syncSubscription(subscription);
   }
 
   /**
@@ -533,7 +926,53 @@ class PaymentService {
       customerId: subscription.customer
     });
 
-    // Update user subscription status in database
+    await this.syncSubscription({ ...subscription, status: 'canceled' });
+  }
+
+  /**
+   * Mirror a Stripe subscription onto the local Subscription row.
+   * The tier follows the subscribed price, so portal plan changes are picked up too.
+   */
+  async syncSubscription(subscription) {
+    const priceId = subscription.items?.data?.[0]?.price?.id;
+    const tier = this.getTierForPrice(priceId) || subscription.metadata?.tier;
+
+    const values = {
+      status: subscription.status,
+      stripeCustomerId: subscription.customer,
+      stripePriceId: priceId || null,
+      currentPeriodStart: subscription.current_period_start ? new Date(subscription.current_period_start * 1000) : null,
+      currentPeriodEnd: subscription.current_period_end ? new Date(subscription.current_period_end * 1000) : null,
+      cancelAtPeriodEnd: Boolean(subscription.cancel_at_period_end),
+      canceledAt: subscription.canceled_at ? new Date(subscription.canceled_at * 1000) : null,
+      ...(tier && { tier })
+    };
+
+    const existing = await Subscription.findOne({ where: { stripeSubscriptionId: subscription.id } });
+    if (existing) {
+      await existing.update(values);
+      return existing;
+    }
+
+    // Created outside our subscribe flow (or the webhook beat it): find the brand by customer
+    const user = subscription.metadata?.user_id
+      ? await User.findByPk(subscription.metadata.user_id)
+      : await User.findOne({ where: { stripeCustomerId: subscription.customer } });
+
+    if (!user || !tier) {
+      logger.warn('Subscription webhook for unknown brand or price', {
+        subscriptionId: subscription.id,
+        customerId: subscription.customer,
+        priceId
+      });
+      return null;
+    }
+
+    return Subscription.create({
+      ...values,
+      userId: user.id,
+      stripeSubscriptionId: subscription.id
+    });
   }
 
   /**
@@ -564,21 +1003,6 @@ class PaymentService {
     // Handle failed subscription payment - notify user, retry logic, etc.
   }
 
-  /**
-   * Calculate platform fee
-   */
-  calculatePlatformFee(amount, feePercentage = 5) {
-    const fee = (amount * feePercentage) / 100;
-    const influencerAmount = amount - fee;
-    
-    return {
-      totalAmount: amount,
-      platformFee: fee,
-      influencerAmount: influencerAmount,
-      feePercentage
-    };
-  }
-
   /**
    * Get supported payment methods
    */
@@ -593,7 +1017,20 @@ class PaymentService {
   }
 
   /**
-   * Get subscription pricing tiers
+   * Tier whose Stripe price is priceId, or null
+   */
+  getTierForPrice(priceId) {
+    if (!priceId) {
+      return null;
+    }
+    const tiers = this.getSubscriptionTiers();
+    return Object.keys(tiers).find(tier => tiers[tier].priceId === priceId) || null;
+  }
+
+  /**
+   * Get subscription pricing tiers.
+   * commissionRate is the tier's default platform commission (overridable in system_settings);
+   * a null limit means unlimited.
    */
   getSubscriptionTiers() {
     return {
@@ -603,8 +1040,16 @@ class PaymentService {
         price: 9.99,
         currency: 'usd',
         interval: 'month',
+        commissionRate: 0.10,
+        limits: {
+          campaignsPerMonth: 5,
+          searchResultDepth: 100,
+          analyticsHistoryDays: 90,
+          invitationsPerMonth: 50
+        },
         features: [
           'Up to 5 active campaigns',
+          'Up to 50 influencer invitations a month',
           'Basic analytics',
           'Email support'
         ]
@@ -615,8 +1060,16 @@ class PaymentService {
         price: 29.99,
         currency: 'usd',
         interval: 'month',
+        commissionRate: 0.08,
+        limits: {
+          campaignsPerMonth: null,
+          searchResultDepth: 500,
+          analyticsHistoryDays: 365,
+          invitationsPerMonth: 250
+        },
         features: [
           'Unlimited campaigns',
+          'Up to 250 influencer invitations a month',
           'Advanced analytics',
           'Priority support',
           'Custom branding'
@@ -628,8 +1081,16 @@ class PaymentService {
         price: 99.99,
         currency: 'usd',
         interval: 'month',
+        commissionRate: 0.06,
+        limits: {
+          campaignsPerMonth: null,
+          searchResultDepth: null,
+          analyticsHistoryDays: null,
+          invitationsPerMonth: null
+        },
         features: [
           'All Pro features',
+          'Unlimited influencer invitations',
           'Dedicated account manager',
           'API access',
           'Custom integrations'
@@ -0,0 +1,224 @@
+const { Op } = require('sequelize');
+const { Payout, User } = require('../models');
+const { paymentService } = require('./paymentService');
+const ledgerService = require('./ledgerService');
+const { logger } = require('../utils/monitoring');
+
+const MAX_ATTEMPTS = parseInt(process.env.PAYOUT_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = 15 * 60 * 1000;
+// A payout stuck in processing this long (e.g. the process died mid-transfer) is picked up again
+const PROCESSING_LEASE_MS = 60 * 60 * 1000;
+const SWEEP_BATCH_SIZE = 50;
+
+/**
+ * Delay before the next transfer attempt: 15 minutes, doubling per attempt
+ */
+const getRetryDelay = (attempts) => RETRY_BASE_MS * Math.pow(2, Math.max(0, attempts - 1));
+
+/**
+ * Payout service
+ * Onboards influencers to Stripe Connect and turns released escrow payouts
+ * into transfers to their connected accounts, retrying failed transfers.
+ */
+class PayoutService {
+  /**
+   * Create the influencer's connected account if needed and return an onboarding link
+   */
+  async startOnboarding(user, { country = 'US' } = {}) {
+    if (!user.stripeAccountId) {
+      const account = await paymentService.createConnectedAccount(user.email, country);
+      await user.update({ stripeAccountId: account.id });
+    }
+
+    const baseUrl = `${process.env.FRONTEND_URL || 'http://localhost:3002'}/app/profile?tab=payouts`;
+    const link = await paymentService.createAccountLink(
+      user.stripeAccountId,
+      `${baseUrl}&onboarding=refresh`,
+      `${baseUrl}&onboarding=complete`
+    );
+
+    return { accountId: user.stripeAccountId, ...link };
+  }
+
+  /**
+   * Refresh the influencer's payout eligibility from Stripe and send any
+   * payouts that were waiting on onboarding
+   */
+  async refreshAccountStatus(user) {
+    if (!user.stripeAccountId) {
+      return { connected: false, payoutsEnabled: false, detailsSubmitted: false, requirementsDue: [] };
+    }
+
+    const account = await paymentService.getConnectedAccount(user.stripeAccountId);
+    const newlyEnabled = account.payoutsEnabled && !user.payoutsEnabled;
+
+    if (Boolean(account.payoutsEnabled) !== Boolean(user.payoutsEnabled)) {
+      await user.update({ payoutsEnabled: Boolean(account.payoutsEnabled) });
+    }
+
+    if (newlyEnabled) {
+      const waiting = await Payout.findAll({ where: { influencerId: user.id, status: 'pending' } });
+      waiting.forEach(payout => this.dispatchPayout(payout));
+    }
+
+    return {
+      connected: true,
+      payoutsEnabled: Boolean(account.payoutsEnabled),
+      detailsSubmitted: Boolean(account.detailsSubmitted),
+      requirementsDue: account.requirementsDue
+    };
+  }
+
+  /**
+   * Send a payout in the background; failures are retried by the payout worker
+   */
+  dispatchPayout(payout) {
+    this.processPayout(payout).catch(error => {
+      logger.error('Payout dispatch failed', {
+        payoutId: payout.id,
+        error: error.message
+      });
+    });
+  }
+
+  /**
+   * Transfer one payout to the influencer's connected account.
+   * Payouts stay pending until the influencer has finished onboarding.
+   */
+  async processPayout(payout) {
+    const influencer = payout.influencer || await User.findByPk(payout.influencerId);
+    if (!influencer || !influencer.stripeAccountId || !influencer.payoutsEnabled) {
+      return { payout, sent: false, reason: 'onboarding_incomplete' };
+    }
+
+    // Claim the payout for this attempt; the lease lets the worker recover it if we never finish
+    const attempts = payout.attempts + 1;
+    const [claimed] = await Payout.update(
+      { status: 'processing', attempts, nextAttemptAt: new Date(Date.now() + PROCESSING_LEASE_MS) },
+      { where: { id: payout.id, status: payout.status, attempts: payout.attempts } }
+    );
+    if (!claimed) {
+      return { payout, sent: false, reason: 'already_processing' };
+    }
+
+    const transferGroup = `payout_${payout.id}`;
+
+    try {
+      // An earlier attempt may have transferred before its response was lost
+      const existing = await paymentService.findTransferByGroup(transferGroup);
+      const transfer = existing && !existing.reversed
+        ? existing
+        : await paymentService.createConnectedAccountTransfer(
+          influencer.stripeAccountId,
+          parseFloat(payout.amount),
+          payout.currency,
+          {
+            payout_id: payout.id,
+            application_id: payout.applicationId,
+            escrow_id: payout.escrowId
+          },
+          { transferGroup, idempotencyKey: `${transferGroup}_${attempts}` }
+        );
+
+      try {
+        await ledgerService.recordPayoutPaid(payout, { transferId: transfer.id });
+      } catch (error) {
+        // The transfer.created webhook records it again
+        ledgerService.logReconciliationGap('payout_paid', payout.escrowId, error);
+      }
+
+      logger.info('Payout transferred', {
+        payoutId: payout.id,
+        transferId: transfer.id,
+        influencerId: payout.influencerId,
+        amount: payout.amount,
+        attempts
+      });
+
+      return { payout, sent: true, transferId: transfer.id };
+    } catch (error) {
+      await this.recordFailedAttempt(payout, attempts, error);
+      return { payout, sent: false, reason: 'transfer_failed', error: error.message };
+    }
+  }
+
+  /**
+   * Mark a failed attempt and schedule the next one, or give up after MAX_ATTEMPTS
+   */
+  async recordFailedAttempt(payout, attempts, error) {
+    const exhausted = attempts >= MAX_ATTEMPTS;
+
+    // Only touch payouts still in our hands; a webhook may already have marked it paid
+    const [updated] = await Payout.update(
+      {
+        status: 'failed',
+        failureReason: error.message,
+        nextAttemptAt: exhausted ? null : new Date(Date.now() + getRetryDelay(attempts))
+      },
+      { where: { id: payout.id, status: 'processing' } }
+    );
+
+    if (updated && exhausted && payout.applicationId) {
+      await ledgerService.syncApplicationPaymentStatus(payout.applicationId);
+    }
+
+    logger.error(exhausted ? 'Payout failed, retries exhausted' : 'Payout failed, will retry', {
+      payoutId: payout.id,
+      attempts,
+      error: error.message
+    });
+  }
+
+  /**
+   * Retry a failed payout now (admin action), including one that ran out of retries.
+   * Attempts keep counting so every attempt gets a fresh idempotency key.
+   */
+  async retryPayout(payout) {
+    if (payout.status !== 'failed') {
+      throw new Error(`Only failed payouts can be retried (payout is ${payout.status})`);
+    }
+
+    return this.processPayout(payout);
+  }
+
+  /**
+   * Send pending payouts of onboarded influencers and retry failed or stalled ones that are due
+   */
+  async processDuePayouts(now = new Date()) {
+    const duePayouts = await Payout.findAll({
+      where: {
+        [Op.or]: [
+          { status: 'pending' },
+          { status: ['failed', 'processing'], nextAttemptAt: { [Op.lte]: now } }
+        ]
+      },
+      include: [{
+        model: User,
+        as: 'influencer',
+        where: { payoutsEnabled: true },
+        attributes: ['id', 'stripeAccountId', 'payoutsEnabled']
+      }],
+      order: [['created_at', 'ASC']],
+      limit: SWEEP_BATCH_SIZE
+    });
+
+    let sent = 0;
+    for (const payout of duePayouts) {
+      try {
+        const result = await this.processPayout(payout);
+        if (result.sent) {
+          sent++;
+        }
+      } catch (error) {
+        logger.error('Scheduled payout failed', {
+          payoutId: payout.id,
+          error: error.message
+        });
+      }
+    }
+
+    return { due: duePayouts.length, sent };
+  }
+}
+
+module.exports = new PayoutService();
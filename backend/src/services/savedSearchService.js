@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { SavedSearch, User } = require('../models');
+const searchService = require('./searchService');
+const subscriptionService = require('./subscriptionService');
+const { emailVerificationService } = require('./emailVerification');
+const { logger } = require('../utils/monitoring');
+
+const MAX_SAVED_SEARCHES = 20;
+
+// Newest matches looked at per run (and remembered for the next one)
+const MAX_RUN_RESULTS = 200;
+
+// New matches listed in one alert email
+const ALERT_MATCH_LIMIT = 5;
+
+const HOUR_MS = 60 * 60 * 1000;
+const FREQUENCY_INTERVALS = {
+  daily: 24 * HOUR_MS,
+  weekly: 7 * 24 * HOUR_MS
+};
+
+// Runs are due a little early so an hourly sweep doesn't push each run an hour later
+const DUE_SLACK_MS = 5 * 60 * 1000;
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3002';
+const API_BASE_URL = process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 3001}`;
+
+/**
+ * Saved search service
+ * Stores search filter payloads, re-runs them on a daily or weekly schedule and
+ * emails the matches that weren't there on the previous run.
+ */
+class SavedSearchService {
+  /**
+   * Why the user can't save another search, or null
+   */
+  getCreateError(savedCount) {
+    if (savedCount >= MAX_SAVED_SEARCHES) {
+      return `You can keep up to ${MAX_SAVED_SEARCHES} saved searches`;
+    }
+    return null;
+  }
+
+  /**
+   * Save a search. Its current matches are the baseline, so the first alert
+   * only lists matches that appear after saving.
+   */
+  async create(user, { name, type, filters = {}, frequency = 'weekly' }, now = new Date()) {
+    const savedSearch = SavedSearch.build({
+      userId: user.id,
+      type,
+      name,
+      filters: searchService.pickFilterParams(type, filters),
+      frequency,
+      unsubscribeToken: crypto.randomBytes(24).toString('hex')
+    });
+
+    await this.resetBaseline(savedSearch, user, now);
+    return savedSearch.save();
+  }
+
+  /**
+   * Rename, change the frequency or change the filters (which resets the baseline)
+   */
+  async update(savedSearch, user, { name, frequency, filters }, now = new Date()) {
+    if (name !== undefined) savedSearch.name = name;
+    if (frequency !== undefined) savedSearch.frequency = frequency;
+    if (filters !== undefined) {
+      savedSearch.filters = searchService.pickFilterParams(savedSearch.type, filters);
+      await this.resetBaseline(savedSearch, user, now);
+    }
+    return savedSearch.save();
+  }
+
+  /**
+   * Remember the current matches as already seen
+   */
+  async resetBaseline(savedSearch, user, now = new Date()) {
+    const matches = await this.runSearch(savedSearch, user);
+    savedSearch.seenIds = matches.map(match => match.id);
+    savedSearch.lastRunAt = now;
+  }
+
+  /**
+   * Newest matches of a saved search as { id, title }, within the brand's plan search depth
+   */
+  async runSearch(savedSearch, user) {
+    const sort = { sortBy: 'created_at', sortOrder: 'DESC' };
+
+    if (savedSearch.type === 'influencers') {
+      const plan = user.role === 'brand' ? await subscriptionService.getPlan(user.id) : null;
+      const filters = { ...searchService.parseInfluencerFilters(savedSearch.filters), ...sort };
+      const { influencers } = await searchService.searchInfluencers(filters, {
+        page: 1,
+        limit: MAX_RUN_RESULTS,
+        maxResults: (plan && plan.limits.searchResultDepth) || null
+      });
+      return influencers.map(influencer => ({ id: influencer.id, title: influencer.name }));
+    }
+
+    const filters = { ...searchService.parseCampaignFilters(savedSearch.filters), ...sort };
+    const { campaigns } = await searchService.searchCampaigns(filters, { page: 1, limit: MAX_RUN_RESULTS }, user);
+    return campaigns.map(campaign => ({ id: campaign.id, title: campaign.title }));
+  }
+
+  /**
+   * Matches that weren't in the previous run
+   */
+  findNewMatches(savedSearch, matches) {
+    const seen = new Set(savedSearch.seenIds || []);
+    return matches.filter(match => !seen.has(match.id));
+  }
+
+  /**
+   * Where conditions selecting searches due for a run
+   */
+  dueWhere(now = new Date()) {
+    return {
+      [Op.or]: Object.entries(FREQUENCY_INTERVALS).map(([frequency, interval]) => ({
+        frequency,
+        [Op.or]: [
+          { lastRunAt: null },
+          { lastRunAt: { [Op.lte]: new Date(now.getTime() - interval + DUE_SLACK_MS) } }
+        ]
+      }))
+    };
+  }
+
+  /**
+   * Re-run a saved search and email its new matches; returns how many were new. The
+   * run is only recorded once the email is out, so a failed send is retried next sweep.
+   */
+  async runAlert(savedSearch, now = new Date()) {
+    const user = await User.findByPk(savedSearch.userId);
+    if (!user || user.status !== 'active') {
+      await savedSearch.update({ lastRunAt: now });
+      return 0;
+    }
+
+    const matches = await this.runSearch(savedSearch, user);
+    const newMatches = this.findNewMatches(savedSearch, matches);
+
+    if (newMatches.length > 0) {
+      await emailVerificationService.sendSavedSearchAlert(user, {
+        searchName: savedSearch.name,
+        matches: newMatches.slice(0, ALERT_MATCH_LIMIT),
+        totalNew: newMatches.length,
+        searchUrl: this.getSearchUrl(savedSearch),
+        unsubscribeUrl: this.getUnsubscribeUrl(savedSearch),
+        oneClickUnsubscribeUrl: this.getOneClickUnsubscribeUrl(savedSearch)
+      });
+    }
+
+    await savedSearch.update({
+      seenIds: matches.map(match => match.id),
+      lastRunAt: now,
+      ...(newMatches.length > 0 && { lastNotifiedAt: now })
+    });
+    return newMatches.length;
+  }
+
+  /**
+   * Run every due saved search; failures are logged and retried next sweep
+   */
+  async runDue(now = new Date()) {
+    const savedSearches = await SavedSearch.findAll({ where: this.dueWhere(now) });
+
+    let alerted = 0;
+    for (const savedSearch of savedSearches) {
+      try {
+        if (await this.runAlert(savedSearch, now)) {
+          alerted++;
+        }
+      } catch (error) {
+        logger.error('Saved search alert failed', { savedSearchId: savedSearch.id, error: error.message });
+      }
+    }
+    return { ran: savedSearches.length, alerted };
+  }
+
+  /**
+   * Turn off alerts of the saved search holding the token; null for an unknown token
+   */
+  async unsubscribe(token) {
+    const savedSearch = await SavedSearch.findOne({ where: { unsubscribeToken: token } });
+    if (!savedSearch) {
+      return null;
+    }
+    return savedSearch.update({ frequency: 'off' });
+  }
+
+  /**
+   * App page showing the saved search's results
+   */
+  getSearchUrl(savedSearch) {
+    const params = new URLSearchParams(savedSearch.filters);
+    return `${FRONTEND_URL}/app/${savedSearch.type}${params.toString() ? `?${params}` : ''}`;
+  }
+
+  /**
+   * Page confirming the unsubscribe (linked from the email body)
+   */
+  getUnsubscribeUrl(savedSearch) {
+    return `${FRONTEND_URL}/unsubscribe/${savedSearch.unsubscribeToken}`;
+  }
+
+  /**
+   * RFC 8058 one-click unsubscribe endpoint (List-Unsubscribe header)
+   */
+  getOneClickUnsubscribeUrl(savedSearch) {
+    return `${API_BASE_URL}/api/saved-searches/unsubscribe/${savedSearch.unsubscribeToken}`;
+  }
+}
+
+module.exports = new SavedSearchService();
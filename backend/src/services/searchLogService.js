@@ -0,0 +1,195 @@
+const { Op, fn, col, literal } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { SearchLog } = require('../models');
+const { logger } = require('../utils/monitoring');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Sliding windows trending terms are counted over (each compared with the window before it)
+const TRENDING_WINDOWS = {
+  '1h': HOUR_MS,
+  '24h': 24 * HOUR_MS,
+  '7d': 7 * 24 * HOUR_MS
+};
+
+// Searches a term needs within the window to trend, so one-off queries don't show up
+const MIN_TRENDING_COUNT = 3;
+
+// Candidate terms ranked per window before the top ones are picked
+const TRENDING_CANDIDATES = 50;
+
+// How far back completions are learned from, and how often a query must have been searched
+const COMPLETION_WINDOW_MS = 30 * 24 * HOUR_MS;
+const MIN_COMPLETION_COUNT = 2;
+
+/**
+ * Search log service
+ * Logs search requests anonymously (query, filters, result count and the clicked
+ * result) and aggregates them into trending terms, zero-result reports and
+ * learned autocomplete suggestions.
+ */
+class SearchLogService {
+  /**
+   * Query as grouped for trending and suggestions (lowercased, whitespace collapsed), or null
+   */
+  normalizeQuery(query) {
+    if (typeof query !== 'string') {
+      return null;
+    }
+    const normalized = query.trim().toLowerCase().replace(/\s+/g, ' ').slice(0, 100);
+    return normalized || null;
+  }
+
+  /**
+   * Log a search and return its id (for click attribution). Logging never fails the
+   * search itself; errors are logged and null is returned.
+   */
+  async logSearch({ type, query = null, filters = {}, resultCount = 0 }) {
+    try {
+      const trimmed = typeof query === 'string' ? query.trim().slice(0, 100) : null;
+      const searchLog = await SearchLog.create({
+        type,
+        query: trimmed || null,
+        normalizedQuery: this.normalizeQuery(query),
+        filters,
+        resultCount
+      });
+      return searchLog.id;
+    } catch (error) {
+      logger.warn('Failed to log search', { type, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Record the result clicked from a logged search (the first click is kept); null for an unknown search
+   */
+  async recordClick(searchId, { resultId, position = null }, now = new Date()) {
+    const searchLog = await SearchLog.findByPk(searchId);
+    if (!searchLog) {
+      return null;
+    }
+
+    if (!searchLog.clickedResultId) {
+      await searchLog.update({ clickedResultId: resultId, clickedPosition: position, clickedAt: now });
+    }
+    return searchLog;
+  }
+
+  /**
+   * Most searched terms of the window, with their count in the previous window of the
+   * same length. Rising terms are those that gained the most on the previous window.
+   */
+  async getTrending({ window = '24h', type = null, limit = 10 } = {}, now = new Date()) {
+    const size = TRENDING_WINDOWS[window];
+    const windowStart = sequelize.escape(new Date(now.getTime() - size).toISOString());
+    const inWindow = `COUNT(*) FILTER (WHERE "created_at" >= ${windowStart})`;
+
+    const rows = await SearchLog.findAll({
+      attributes: [
+        ['normalized_query', 'term'],
+        [literal(inWindow), 'count'],
+        [literal(`COUNT(*) FILTER (WHERE "created_at" < ${windowStart})`), 'previousCount']
+      ],
+      where: {
+        normalizedQuery: { [Op.ne]: null },
+        resultCount: { [Op.gt]: 0 },
+        createdAt: { [Op.gte]: new Date(now.getTime() - 2 * size), [Op.lte]: now },
+        ...(type && { type })
+      },
+      group: ['normalized_query'],
+      having: literal(`${inWindow} >= ${MIN_TRENDING_COUNT}`),
+      order: [[literal('"count"'), 'DESC']],
+      limit: TRENDING_CANDIDATES,
+      raw: true
+    });
+
+    const terms = rows.map(row => {
+      const count = parseInt(row.count, 10);
+      const previousCount = parseInt(row.previousCount, 10);
+      return {
+        term: row.term,
+        count,
+        previousCount,
+        change: previousCount > 0 ? Math.round(((count - previousCount) / previousCount) * 100) : null
+      };
+    });
+
+    const rising = terms
+      .filter(term => term.count > term.previousCount)
+      .sort((a, b) => (b.count - b.previousCount) - (a.count - a.previousCount))
+      .slice(0, limit);
+
+    return { window, terms: terms.slice(0, limit), rising };
+  }
+
+  /**
+   * Queries that found nothing within the window, most searched first (for admins)
+   */
+  async getZeroResultQueries({ window = '7d', type = null, limit = 25 } = {}, now = new Date()) {
+    const rows = await SearchLog.findAll({
+      attributes: [
+        ['normalized_query', 'term'],
+        'type',
+        [fn('COUNT', col('id')), 'count'],
+        [fn('MAX', col('created_at')), 'lastSearchedAt']
+      ],
+      where: {
+        normalizedQuery: { [Op.ne]: null },
+        resultCount: 0,
+        createdAt: { [Op.gte]: new Date(now.getTime() - TRENDING_WINDOWS[window]) },
+        ...(type && { type })
+      },
+      group: ['normalized_query', 'type'],
+      order: [[literal('"count"'), 'DESC'], [literal('"lastSearchedAt"'), 'DESC']],
+      limit,
+      raw: true
+    });
+
+    return {
+      window,
+      queries: rows.map(row => ({
+        term: row.term,
+        type: row.type,
+        count: parseInt(row.count, 10),
+        lastSearchedAt: row.lastSearchedAt
+      }))
+    };
+  }
+
+  /**
+   * Popular past queries starting with the prefix. Searches that led to a click count
+   * double, so completions that found something useful rank first.
+   */
+  async getPopularCompletions(prefix, type, { limit = 5 } = {}, now = new Date()) {
+    const normalized = this.normalizeQuery(prefix);
+    if (!normalized) {
+      return [];
+    }
+
+    const pattern = `${normalized.replace(/[\\%_]/g, '\\$&')}%`;
+    const score = 'COUNT(*) + COUNT("clicked_result_id")';
+
+    const rows = await SearchLog.findAll({
+      attributes: [
+        ['normalized_query', 'term'],
+        [literal(score), 'score']
+      ],
+      where: {
+        normalizedQuery: { [Op.like]: pattern, [Op.ne]: normalized },
+        type: { [Op.in]: [type, 'global'] },
+        resultCount: { [Op.gt]: 0 },
+        createdAt: { [Op.gte]: new Date(now.getTime() - COMPLETION_WINDOW_MS) }
+      },
+      group: ['normalized_query'],
+      having: literal(`COUNT(*) >= ${MIN_COMPLETION_COUNT}`),
+      order: [[literal('"score"'), 'DESC']],
+      limit,
+      raw: true
+    });
+
+    return rows.map(row => ({ text: row.term, score: parseInt(row.score, 10) }));
+  }
+}
+
+module.exports = new SearchLogService();
@@ -1,34 +1,270 @@
-const { Op } = require('sequelize');
+const { Op, literal } = require('sequelize');
+const { sequelize } = require('../config/database');
 const { Campaign, User, CampaignApplication, SocialMediaAccount } = require('../models');
+const campaignAccessService = require('./campaignAccessService');
+const searchLogService = require('./searchLogService');
+
+// Text search configuration of the generated search_vector columns (social handles aren't stemmed)
+const TEXT_SEARCH_CONFIG = 'english';
+const HANDLE_SEARCH_CONFIG = 'simple';
+
+// Share of trigram similarity in relevance, so typo matches rank below exact ones
+const FUZZY_WEIGHT = 0.3;
+
+const HIGHLIGHT_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MinWords=10, MaxWords=30, MaxFragments=2';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const CAMPAIGN_GOALS = ['awareness', 'conversions', 'engagement', 'ugc', 'brand_mention'];
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD'];
+const PLATFORMS = ['instagram', 'tiktok', 'youtube', 'twitter', 'facebook', 'linkedin', 'snapchat', 'pinterest', 'twitch'];
+const NICHES = ['beauty', 'fashion', 'fitness', 'food', 'gaming', 'lifestyle', 'parenting', 'pets', 'tech', 'travel'];
+
+// Lower bounds of the facet histogram buckets (the last bucket is open-ended)
+const FOLLOWER_BUCKETS = [0, 1000, 5000, 10000, 50000, 100000, 500000, 1000000];
+const ENGAGEMENT_BUCKETS = [0, 1, 2, 3, 5, 10];
+const BUDGET_BUCKETS = [0, 100, 500, 1000, 5000];
+
+// Query parameters (as accepted by /api/search/*) that filter results, by search type
+const FILTER_PARAMS = {
+  campaigns: ['q', 'goal', 'status', 'min_budget', 'max_budget', 'currency', 'brand_id', 'has_applications', 'is_verified', 'platforms', 'niches'],
+  influencers: ['q', 'min_followers', 'max_followers', 'min_engagement', 'max_engagement', 'platforms', 'is_verified', 'has_portfolio', 'location', 'languages', 'niches']
+};
+
+// A comma-separated or repeated query parameter as an array
+const listParam = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  return Array.isArray(value) ? value : String(value).split(',');
+};
+
+const flagParam = (value) => value === true || value === 'true';
 
 class SearchService {
   /**
-   * Search campaigns with advanced filtering
+   * Whether the database has the full-text search columns (Postgres, created by
+   * migration 20261019000024). Elsewhere, e.g. the SQLite development database,
+   * searches match substrings instead.
+   */
+  hasFullTextSearch() {
+    return sequelize.getDialect() === 'postgres';
+  }
+
+  /**
+   * Escaped LIKE pattern for a substring (LIKE is case-insensitive on SQLite and MySQL)
+   */
+  likePattern(query) {
+    return sequelize.escape(`%${query.replace(/[\\%_]/g, '\\$&')}%`);
+  }
+
+  /**
+   * SQL condition: the column contains the query (substring fallback)
+   */
+  likeMatch(column, query) {
+    return `${column} LIKE ${this.likePattern(query)} ESCAPE '\\'`;
+  }
+
+  /**
+   * SQL for the parsed search query (quoted phrases, OR and -exclusions are supported)
+   */
+  tsQuery(query, config = TEXT_SEARCH_CONFIG) {
+    return `websearch_to_tsquery('${config}', ${sequelize.escape(query)})`;
+  }
+
+  /**
+   * Campaigns whose title, niches or description match the query, or whose title is a close (typo) match
+   */
+  campaignMatch(query) {
+    if (!this.hasFullTextSearch()) {
+      return literal(`(${this.likeMatch('"Campaign"."title"', query)} OR ${this.likeMatch('"Campaign"."description"', query)})`);
+    }
+    return literal(`("Campaign"."search_vector" @@ ${this.tsQuery(query)} OR ${sequelize.escape(query)} <% "Campaign"."title")`);
+  }
+
+  /**
+   * Campaign relevance: weighted text rank plus a share of title similarity
+   */
+  campaignRank(query) {
+    if (!this.hasFullTextSearch()) {
+      return literal(`CASE WHEN ${this.likeMatch('"Campaign"."title"', query)} THEN 1 ELSE 0 END`);
+    }
+    return literal(`ts_rank("Campaign"."search_vector", ${this.tsQuery(query)})
+      + ${FUZZY_WEIGHT} * word_similarity(${sequelize.escape(query)}, "Campaign"."title")`);
+  }
+
+  /**
+   * Influencers whose name, niches or bio match the query (or whose name is a close
+   * match), or who have a social account with a matching handle
+   */
+  influencerMatch(query) {
+    if (!this.hasFullTextSearch()) {
+      return literal(`(${this.likeMatch('"User"."name"', query)} OR ${this.likeMatch('"User"."bio"', query)} OR EXISTS (
+        SELECT 1 FROM social_media_accounts AS account
+        WHERE account.user_id = "User"."id" AND ${this.likeMatch('account.username', query)}
+      ))`);
+    }
+    const term = sequelize.escape(query);
+    return literal(`("User"."search_vector" @@ ${this.tsQuery(query)} OR ${term} <% "User"."name" OR EXISTS (
+      SELECT 1 FROM social_media_accounts AS account
+      WHERE account.user_id = "User"."id"
+        AND (account.search_vector @@ ${this.tsQuery(query, HANDLE_SEARCH_CONFIG)} OR ${term} <% account.username)
+    ))`);
+  }
+
+  /**
+   * Influencer relevance: profile rank plus the best matching social account
+   */
+  influencerRank(query) {
+    if (!this.hasFullTextSearch()) {
+      return literal(`CASE WHEN ${this.likeMatch('"User"."name"', query)} THEN 1 ELSE 0 END`);
+    }
+    const term = sequelize.escape(query);
+    return literal(`ts_rank("User"."search_vector", ${this.tsQuery(query)})
+      + ${FUZZY_WEIGHT} * word_similarity(${term}, "User"."name")
+      + COALESCE((
+        SELECT MAX(ts_rank(account.search_vector, ${this.tsQuery(query, HANDLE_SEARCH_CONFIG)})
+          + ${FUZZY_WEIGHT} * word_similarity(${term}, account.username))
+        FROM social_media_accounts AS account
+        WHERE account.user_id = "User"."id"
+      ), 0)`);
+  }
+
+  /**
+   * Highlighted excerpt of a text column (falling back to another when empty); the
+   * plain text without full-text search
+   */
+  headline(column, fallback, query) {
+    if (!this.hasFullTextSearch()) {
+      return literal(`coalesce(nullif(${column}, ''), ${fallback})`);
+    }
+    return literal(`ts_headline('${TEXT_SEARCH_CONFIG}', coalesce(nullif(${column}, ''), ${fallback}), ${this.tsQuery(query)}, '${HIGHLIGHT_OPTIONS}')`);
+  }
+
+  /**
+   * A ts_headline excerpt as safe HTML where only the <mark> highlights are markup
+   */
+  presentSnippet(snippet) {
+    if (!snippet) {
+      return null;
+    }
+    return snippet
+      .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+      .replace(/&lt;(\/?)mark&gt;/g, '<$1mark>');
+  }
+
+  /**
+   * Relevance ordering (the default for text searches) or a column sort
+   */
+  getOrder(query, sortBy, sortOrder = 'DESC') {
+    if (query && (!sortBy || sortBy === 'relevance')) {
+      return [[literal('relevance'), 'DESC']];
+    }
+    const column = !sortBy || sortBy === 'relevance' ? 'created_at' : sortBy;
+    return [[column, sortOrder.toUpperCase()]];
+  }
+
+  /**
+   * The filter parameters of a search type, without paging, sorting or unknown keys
+   */
+  pickFilterParams(type, params = {}) {
+    return Object.fromEntries(FILTER_PARAMS[type]
+      .filter(key => params[key] !== undefined && params[key] !== null && params[key] !== '')
+      .map(key => [key, params[key]]));
+  }
+
+  /**
+   * Campaign search filters from /api/search/campaigns query parameters
    */
-  async searchCampaigns(filters = {}, pagination = {}) {
+  parseCampaignFilters(params = {}) {
     const {
+      q: query,
+      goal,
+      status,
+      min_budget: minBudget,
+      max_budget: maxBudget,
+      currency,
+      brand_id: brandId,
+      has_applications: hasApplications,
+      is_verified: isVerified,
+      platforms,
+      niches,
+      sort_by: sortBy,
+      sort_order: sortOrder
+    } = params;
+
+    return {
       query,
       goal,
       status,
-      minBudget,
-      maxBudget,
+      minBudget: minBudget ? parseFloat(minBudget) : undefined,
+      maxBudget: maxBudget ? parseFloat(maxBudget) : undefined,
       currency,
       brandId,
-      hasApplications,
-      isVerified,
-      platforms,
-      sortBy = 'created_at',
-      sortOrder = 'DESC'
-    } = filters;
+      hasApplications: flagParam(hasApplications) ? true : String(hasApplications) === 'false' ? false : undefined,
+      isVerified: flagParam(isVerified),
+      platforms: listParam(platforms),
+      niches: listParam(niches),
+      sortBy,
+      sortOrder
+    };
+  }
 
+  /**
+   * Influencer search filters from /api/search/influencers query parameters
+   */
+  parseInfluencerFilters(params = {}) {
     const {
-      page = 1,
-      limit = 10
-    } = pagination;
+      q: query,
+      min_followers: minFollowers,
+      max_followers: maxFollowers,
+      min_engagement: minEngagement,
+      max_engagement: maxEngagement,
+      platforms,
+      is_verified: isVerified,
+      has_portfolio: hasPortfolio,
+      location,
+      languages,
+      niches,
+      sort_by: sortBy,
+      sort_order: sortOrder
+    } = params;
 
-    const offset = (page - 1) * limit;
+    return {
+      query,
+      minFollowers: minFollowers ? parseInt(minFollowers) : undefined,
+      maxFollowers: maxFollowers ? parseInt(maxFollowers) : undefined,
+      minEngagement: minEngagement ? parseFloat(minEngagement) : undefined,
+      maxEngagement: maxEngagement ? parseFloat(maxEngagement) : undefined,
+      platforms: listParam(platforms),
+      isVerified: flagParam(isVerified),
+      hasPortfolio: flagParam(hasPortfolio),
+      location,
+      languages: listParam(languages),
+      niches: listParam(niches),
+      sortBy,
+      sortOrder
+    };
+  }
+
+  /**
+   * SQL condition matching rows tagged with any of the niches (a JSON array column)
+   */
+  nicheMatch(column, niches) {
+    if (!this.hasFullTextSearch()) {
+      // JSON arrays are stored as text elsewhere; match the quoted niche
+      return literal(`(${niches.map(niche => this.likeMatch(column, JSON.stringify(niche))).join(' OR ')})`);
+    }
+    return literal(`(${niches.map(niche => `${column}::jsonb @> ${sequelize.escape(JSON.stringify([niche]))}`).join(' OR ')})`);
+  }
+
+  /**
+   * Campaign where conditions for a filter set. Only public campaigns are listed,
+   * except to admins and to a brand searching its own campaigns.
+   */
+  campaignWhere(filters = {}, viewer = null) {
+    const { query, goal, status, minBudget, maxBudget, currency, brandId, niches } = filters;
 
-    // Build where conditions
     const whereConditions = {
       ...(status && { status }),
       ...(goal && { goal }),
@@ -39,15 +275,110 @@ class SearchService {
         budget: minBudget ? 
           { [Op.between]: [minBudget, maxBudget] } :
           { [Op.lte]: maxBudget }
-      })
+      }),
+      [Op.and]: []
+    };
+
+    const ownCampaigns = viewer && (viewer.role === 'admin' || (brandId && brandId === viewer.id));
+    if (!ownCampaigns) {
+      Object.assign(whereConditions, campaignAccessService.listedWhere());
+    }
+
+    // Full-text search across title, niches and description
+    if (query) {
+      whereConditions[Op.and].push(this.campaignMatch(query));
+    }
+
+    if (niches && niches.length > 0) {
+      whereConditions[Op.and].push(this.nicheMatch('"Campaign"."target_niches"', niches));
+    }
+
+    return whereConditions;
+  }
+
+  /**
+   * Influencer (user) and social account where conditions for a filter set
+   */
+  influencerConditions(filters = {}) {
+    const {
+      query,
+      minFollowers,
+      maxFollowers,
+      minEngagement,
+      maxEngagement,
+      platforms,
+      isVerified,
+      niches
+    } = filters;
+
+    const userWhereConditions = {
+      role: 'influencer',
+      status: 'active',
+      ...(isVerified && { emailVerified: true }),
+      [Op.and]: []
     };
 
-    // Text search across title and description
+    // Full-text search across name, niches, bio and social handles
     if (query) {
-      whereConditions[Op.or] = [
-        { title: { [Op.like]: `%${query}%` } },
-        { description: { [Op.like]: `%${query}%` } }
-      ];
+      userWhereConditions[Op.and].push(this.influencerMatch(query));
+    }
+
+    if (niches && niches.length > 0) {
+      userWhereConditions[Op.and].push(this.nicheMatch('"User"."niches"', niches));
+    }
+
+    // Build social media account conditions
+    const socialMediaConditions = {};
+    
+    if (platforms && platforms.length > 0) {
+      socialMediaConditions.platform = { [Op.in]: platforms };
+    }
+
+    if (minFollowers || maxFollowers) {
+      const followerConditions = {};
+      if (minFollowers) followerConditions[Op.gte] = minFollowers;
+      if (maxFollowers) followerConditions[Op.lte] = maxFollowers;
+      socialMediaConditions.followersCount = followerConditions;
+    }
+
+    if (minEngagement || maxEngagement) {
+      const engagementConditions = {};
+      if (minEngagement) engagementConditions[Op.gte] = minEngagement;
+      if (maxEngagement) engagementConditions[Op.lte] = maxEngagement;
+      socialMediaConditions.engagementRate = engagementConditions;
+    }
+
+    return { userWhereConditions, socialMediaConditions };
+  }
+
+  /**
+   * Search campaigns with advanced filtering
+   */
+  async searchCampaigns(filters = {}, pagination = {}, viewer = null) {
+    const {
+      query,
+      hasApplications,
+      isVerified,
+      sortBy,
+      sortOrder = 'DESC',
+      highlight = false
+    } = filters;
+
+    const {
+      page = 1,
+      limit = 10
+    } = pagination;
+
+    const offset = (page - 1) * limit;
+
+    const whereConditions = this.campaignWhere(filters, viewer);
+
+    const relevanceAttributes = [];
+    if (query) {
+      relevanceAttributes.push([this.campaignRank(query), 'relevance']);
+      if (highlight) {
+        relevanceAttributes.push([this.headline('"Campaign"."description"', '"Campaign"."title"', query), 'snippet']);
+      }
     }
 
     // Build include conditions
@@ -76,7 +407,8 @@ class SearchService {
     const result = await Campaign.findAndCountAll({
       where: whereConditions,
       include: includeConditions,
-      order: [[sortBy, sortOrder.toUpperCase()]],
+      attributes: { include: relevanceAttributes },
+      order: this.getOrder(query, sortBy, sortOrder),
       limit: parseInt(limit),
       offset: parseInt(offset),
       distinct: true
@@ -107,61 +439,29 @@ class SearchService {
   async searchInfluencers(filters = {}, pagination = {}) {
     const {
       query,
-      minFollowers,
-      maxFollowers,
-      minEngagement,
-      maxEngagement,
-      platforms,
-      isVerified,
-      hasPortfolio,
-      location,
-      languages,
-      niches,
-      sortBy = 'created_at',
-      sortOrder = 'DESC'
+      sortBy,
+      sortOrder = 'DESC',
+      highlight = false
     } = filters;
 
     const {
       page = 1,
-      limit = 10
+      limit = 10,
+      maxResults = null
     } = pagination;
 
     const offset = (page - 1) * limit;
+    // Results past maxResults (the brand's plan depth) are not returned
+    const pageLimit = maxResults ? Math.max(0, Math.min(limit, maxResults - offset)) : limit;
 
-    // Build where conditions for users
-    const userWhereConditions = {
-      role: 'influencer',
-      status: 'active',
-      ...(isVerified && { emailVerified: true })
-    };
+    const { userWhereConditions, socialMediaConditions } = this.influencerConditions(filters);
 
-    // Text search across name and bio
+    const relevanceAttributes = [];
     if (query) {
-      userWhereConditions[Op.or] = [
-        { name: { [Op.like]: `%${query}%` } },
-        { bio: { [Op.like]: `%${query}%` } }
-      ];
-    }
-
-    // Build social media account conditions
-    const socialMediaConditions = {};
-    
-    if (platforms && platforms.length > 0) {
-      socialMediaConditions.platform = { [Op.in]: platforms };
-    }
-
-    if (minFollowers || maxFollowers) {
-      const followerConditions = {};
-      if (minFollowers) followerConditions[Op.gte] = minFollowers;
-      if (maxFollowers) followerConditions[Op.lte] = maxFollowers;
-      socialMediaConditions.followersCount = followerConditions;
-    }
-
-    if (minEngagement || maxEngagement) {
-      const engagementConditions = {};
-      if (minEngagement) engagementConditions[Op.gte] = minEngagement;
-      if (maxEngagement) engagementConditions[Op.lte] = maxEngagement;
-      socialMediaConditions.engagementRate = engagementConditions;
+      relevanceAttributes.push([this.influencerRank(query), 'relevance']);
+      if (highlight) {
+        relevanceAttributes.push([this.headline('"User"."bio"', '"User"."name"', query), 'snippet']);
+      }
     }
 
     // Build include conditions
@@ -186,14 +486,16 @@ class SearchService {
     const result = await User.findAndCountAll({
       where: userWhereConditions,
       include: includeConditions,
-      order: [[sortBy, sortOrder.toUpperCase()]],
-      limit: parseInt(limit),
+      attributes: { include: relevanceAttributes },
+      order: this.getOrder(query, sortBy, sortOrder),
+      limit: parseInt(pageLimit),
       offset: parseInt(offset),
       distinct: true
     });
 
     // Calculate pagination info
-    const totalPages = Math.ceil(result.count / limit);
+    const reachableCount = maxResults ? Math.min(result.count, maxResults) : result.count;
+    const totalPages = Math.ceil(reachableCount / limit);
     const hasNextPage = page < totalPages;
     const hasPrevPage = page > 1;
 
@@ -223,20 +525,156 @@ class SearchService {
         totalItems: result.count,
         itemsPerPage: parseInt(limit),
         hasNextPage,
-        hasPrevPage
+        hasPrevPage,
+        maxResults
       },
       filters: filters
     };
   }
 
   /**
-   * Get search suggestions based on partial query
+   * Histogram buckets of a numeric column as SQL conditions, keyed by position
+   */
+  rangeBuckets(column, bounds) {
+    return bounds.map((min, index) => {
+      const max = bounds[index + 1];
+      return max === undefined ? `${column} >= ${min}` : `${column} >= ${min} AND ${column} < ${max}`;
+    });
+  }
+
+  /**
+   * Count the distinct rows falling into each bucket (a SQL condition) in one query
+   */
+  async countBuckets(model, { where, include = [] }, buckets) {
+    const [counts = {}] = await model.findAll({
+      attributes: buckets.map((condition, index) => [
+        literal(`COUNT(DISTINCT "${model.name}"."id") FILTER (WHERE ${condition})`),
+        `bucket${index}`
+      ]),
+      where,
+      include,
+      subQuery: false,
+      raw: true
+    });
+    return buckets.map((condition, index) => parseInt(counts[`bucket${index}`]) || 0);
+  }
+
+  /**
+   * Facet values with their counts
+   */
+  valueFacet(values, counts) {
+    return values.map((value, index) => ({ value, count: counts[index] }));
+  }
+
+  /**
+   * Histogram ranges with their counts
+   */
+  rangeFacet(bounds, counts) {
+    return bounds.map((min, index) => ({ min, max: bounds[index + 1] ?? null, count: counts[index] }));
+  }
+
+  /**
+   * Campaign facet counts for the active filters. Each facet ignores its own filter,
+   * so the other values of a selected facet still show how many results they'd add.
+   */
+  async getCampaignFacets(filters = {}, viewer = null) {
+    const { hasApplications, isVerified } = filters;
+
+    const include = [];
+    if (isVerified) {
+      include.push({ model: User, as: 'brand', attributes: [], where: { emailVerified: true } });
+    }
+    if (hasApplications) {
+      include.push({ model: CampaignApplication, as: 'applications', attributes: [], required: true });
+    }
+
+    const facetQuery = (withoutFilter) => ({
+      where: this.campaignWhere({ ...filters, ...withoutFilter }, viewer),
+      include
+    });
+    const equals = (column, values) => values.map(value => `${column} = ${sequelize.escape(value)}`);
+
+    const [goals, currencies, nicheCounts, budget] = await Promise.all([
+      this.countBuckets(Campaign, facetQuery({ goal: undefined }), equals('"Campaign"."goal"', CAMPAIGN_GOALS)),
+      this.countBuckets(Campaign, facetQuery({ currency: undefined }), equals('"Campaign"."currency"', CURRENCIES)),
+      this.countBuckets(Campaign, facetQuery({ niches: undefined }),
+        NICHES.map(niche => this.nicheMatch('"Campaign"."target_niches"', [niche]).val)),
+      this.countBuckets(Campaign, facetQuery({ minBudget: undefined, maxBudget: undefined }),
+        this.rangeBuckets('"Campaign"."budget"', BUDGET_BUCKETS))
+    ]);
+
+    return {
+      goals: this.valueFacet(CAMPAIGN_GOALS, goals),
+      currencies: this.valueFacet(CURRENCIES, currencies),
+      niches: this.valueFacet(NICHES, nicheCounts),
+      budget: this.rangeFacet(BUDGET_BUCKETS, budget)
+    };
+  }
+
+  /**
+   * Influencer facet counts for the active filters, each ignoring its own filter.
+   * Follower and engagement histograms count influencers with an account in the range.
+   */
+  async getInfluencerFacets(filters = {}) {
+    const facetQuery = (withoutFilter) => {
+      const { userWhereConditions, socialMediaConditions } = this.influencerConditions({ ...filters, ...withoutFilter });
+      const filtersAccounts = Object.keys(socialMediaConditions).length > 0;
+      return {
+        where: userWhereConditions,
+        include: [{
+          model: SocialMediaAccount,
+          as: 'socialAccounts',
+          attributes: [],
+          where: filtersAccounts ? socialMediaConditions : undefined,
+          required: filtersAccounts
+        }]
+      };
+    };
+    const platformBuckets = PLATFORMS.map(platform => `"socialAccounts"."platform" = ${sequelize.escape(platform)}`);
+
+    const [platforms, followers, engagement, niches] = await Promise.all([
+      this.countBuckets(User, facetQuery({ platforms: undefined }), platformBuckets),
+      this.countBuckets(User, facetQuery({ minFollowers: undefined, maxFollowers: undefined }),
+        this.rangeBuckets('"socialAccounts"."followers_count"', FOLLOWER_BUCKETS)),
+      this.countBuckets(User, facetQuery({ minEngagement: undefined, maxEngagement: undefined }),
+        this.rangeBuckets('"socialAccounts"."engagement_rate"', ENGAGEMENT_BUCKETS)),
+      this.countBuckets(User, facetQuery({ niches: undefined }),
+        NICHES.map(niche => this.nicheMatch('"User"."niches"', [niche]).val))
+    ]);
+
+    return {
+      platforms: this.valueFacet(PLATFORMS, platforms),
+      followers: this.rangeFacet(FOLLOWER_BUCKETS, followers),
+      engagement: this.rangeFacet(ENGAGEMENT_BUCKETS, engagement),
+      niches: this.valueFacet(NICHES, niches)
+    };
+  }
+
+  /**
+   * Get search suggestions based on partial query: popular past queries completing
+   * it first, then matching campaigns or influencers
    */
   async getSearchSuggestions(query, type = 'campaigns') {
     if (!query || query.length < 2) {
       return [];
     }
 
+    const [completions, matches] = await Promise.all([
+      searchLogService.getPopularCompletions(query, type),
+      this.getMatchSuggestions(query, type)
+    ]);
+
+    const completed = new Set(completions.map(completion => completion.text));
+    return [
+      ...completions.map(completion => ({ text: completion.text, type: 'query' })),
+      ...matches.filter(match => !completed.has(String(match.text).toLowerCase()))
+    ];
+  }
+
+  /**
+   * Campaigns or influencers whose title or name contains the partial query
+   */
+  async getMatchSuggestions(query, type) {
     if (type === 'campaigns') {
       const campaigns = await Campaign.findAll({
         where: {
@@ -244,7 +682,8 @@ class SearchService {
             { title: { [Op.like]: `%${query}%` } },
             { description: { [Op.like]: `%${query}%` } }
           ],
-          status: { [Op.in]: ['active', 'draft'] }
+          status: { [Op.in]: ['active', 'draft'] },
+          ...campaignAccessService.listedWhere()
         },
         attributes: ['id', 'title', 'goal'],
         limit: 5
@@ -284,9 +723,11 @@ class SearchService {
   }
 
   /**
-   * Get popular search terms and trending topics
+   * Get trending search terms of a sliding window (from the search log) and popular categories
    */
-  async getTrendingSearches() {
+  async getTrendingSearches({ window = '24h', type = null } = {}) {
+    const trending = await searchLogService.getTrending({ window, type });
+
     // Get most common campaign goals
     const popularGoals = await Campaign.findAll({
       attributes: [
@@ -294,7 +735,8 @@ class SearchService {
         [Campaign.sequelize.fn('COUNT', Campaign.sequelize.col('goal')), 'count']
       ],
       where: {
-        status: { [Op.in]: ['active', 'completed'] }
+        status: { [Op.in]: ['active', 'completed'] },
+        ...campaignAccessService.listedWhere()
       },
       group: ['goal'],
       order: [[Campaign.sequelize.literal('count'), 'DESC']],
@@ -316,20 +758,23 @@ class SearchService {
     });
 
     return {
+      ...trending,
       popularGoals: popularGoals.map(g => ({ goal: g.goal, count: g.get('count') })),
       popularPlatforms: popularPlatforms.map(p => ({ platform: p.platform, count: p.get('count') }))
     };
   }
 
   /**
-   * Advanced filtering options for the UI
+   * Advanced filtering options for the UI (live counts for the active filters come
+   * with each search response as facets)
    */
   getFilterOptions() {
     return {
       campaigns: {
-        goals: ['awareness', 'conversions', 'engagement', 'ugc', 'brand_mention'],
+        goals: CAMPAIGN_GOALS,
         statuses: ['draft', 'active', 'paused', 'completed', 'cancelled'],
-        currencies: ['USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD'],
+        currencies: CURRENCIES,
+        niches: NICHES,
         budgetRanges: [
           { label: 'Under $100', min: 0, max: 100 },
           { label: '$100 - $500', min: 100, max: 500 },
@@ -339,7 +784,8 @@ class SearchService {
         ]
       },
       influencers: {
-        platforms: ['instagram', 'tiktok', 'youtube', 'twitter', 'facebook', 'linkedin', 'snapchat', 'pinterest', 'twitch'],
+        platforms: PLATFORMS,
+        niches: NICHES,
         followerRanges: [
           { label: 'Nano (1K-10K)', min: 1000, max: 10000 },
           { label: 'Micro (10K-100K)', min: 10000, max: 100000 },
@@ -0,0 +1,224 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Campaign, CampaignApplication, Shipment } = require('../models');
+const { createAdapter } = require('./carrierAdapters');
+const { logger } = require('../utils/monitoring');
+
+// Applications whose influencer has been accepted (and may share an address)
+const ACCEPTED_STATUSES = ['approved', 'in_progress', 'completed'];
+
+// Shipments the tracking sweep still asks the carrier about
+const IN_FLIGHT_STATUSES = ['shipped', 'in_transit', 'out_for_delivery', 'exception'];
+
+const ADDRESS_FIELDS = ['name', 'line1', 'line2', 'city', 'region', 'postalCode', 'country', 'phone'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Shipment service
+ * Collects shipping addresses from accepted influencers, records carrier and tracking
+ * numbers, follows delivery through the carrier adapter and starts the content
+ * deadline of gifted campaigns from the delivery date.
+ */
+class ShipmentService {
+  /**
+   * The active carrier adapter, created from CARRIER_ADAPTER on first use
+   */
+  getAdapter() {
+    if (!this.adapter) {
+      this.adapter = createAdapter();
+    }
+    return this.adapter;
+  }
+
+  /**
+   * Whether an application's influencer has been accepted
+   */
+  isAccepted(application) {
+    return ACCEPTED_STATUSES.includes(application.status);
+  }
+
+  /**
+   * Known address fields, trimmed, with the country upper-cased
+   */
+  normalizeAddress(address) {
+    const normalized = Object.fromEntries(ADDRESS_FIELDS
+      .filter(field => address[field] !== undefined && address[field] !== null && String(address[field]).trim())
+      .map(field => [field, String(address[field]).trim()]));
+    if (normalized.country) {
+      normalized.country = normalized.country.toUpperCase();
+    }
+    return normalized;
+  }
+
+  /**
+   * Variants with trimmed sku and name
+   */
+  normalizeVariants(variants = []) {
+    return variants.map(variant => ({
+      sku: String(variant.sku).trim(),
+      name: String(variant.name || variant.sku).trim()
+    }));
+  }
+
+  /**
+   * Why an influencer can't request (or change) a shipment of the product, or null
+   */
+  getRequestError(application, product, variantSku, existing = null) {
+    if (!this.isAccepted(application)) {
+      return 'Shipping addresses are collected once the application is accepted';
+    }
+    if (!product || product.campaignId !== application.campaignId) {
+      return 'This product is not part of the campaign';
+    }
+    if (product.variants.length && !product.findVariant(variantSku)) {
+      return 'Choose one of the product variants';
+    }
+    if (existing && existing.status !== 'awaiting_shipment') {
+      return 'This product has already been shipped';
+    }
+    return null;
+  }
+
+  /**
+   * Create the application's shipment of a product, or update the variant and
+   * address while it is still awaiting shipment
+   */
+  async requestShipment(application, product, { variantSku = null, quantity = 1, shippingAddress }, existing = null) {
+    const values = {
+      variantSku: product.variants.length ? variantSku : null,
+      quantity,
+      shippingAddress: this.normalizeAddress(shippingAddress)
+    };
+
+    if (existing) {
+      return existing.update(values);
+    }
+
+    return Shipment.create({
+      ...values,
+      campaignId: application.campaignId,
+      applicationId: application.id,
+      influencerId: application.influencerId,
+      productId: product.id
+    });
+  }
+
+  /**
+   * Record the carrier and tracking number (a shipped parcel's tracking can still be corrected)
+   */
+  async markShipped(shipment, { carrier, trackingNumber }, now = new Date()) {
+    const [updated] = await Shipment.update({
+      status: 'shipped',
+      carrier,
+      trackingNumber,
+      shippedAt: shipment.shippedAt || now,
+      trackingEvents: []
+    }, {
+      where: { id: shipment.id, status: { [Op.in]: ['awaiting_shipment', 'shipped'] } }
+    });
+
+    return updated > 0 ? shipment.reload() : null;
+  }
+
+  /**
+   * Ask the carrier for the latest tracking and apply it
+   */
+  async refreshTracking(shipment, now = new Date()) {
+    const result = await this.getAdapter().track({
+      carrier: shipment.carrier,
+      trackingNumber: shipment.trackingNumber,
+      shippedAt: shipment.shippedAt
+    }, now);
+
+    return this.applyTracking(shipment, result, now);
+  }
+
+  /**
+   * Store a carrier tracking result; delivery goes through markDelivered
+   */
+  async applyTracking(shipment, { status, deliveredAt, events }, now = new Date()) {
+    if (status === 'delivered') {
+      await shipment.update({ trackingEvents: events, lastCheckedAt: now });
+      return this.markDelivered(shipment, deliveredAt || now);
+    }
+
+    return shipment.update({ status, trackingEvents: events, lastCheckedAt: now });
+  }
+
+  /**
+   * Mark a shipment delivered once and start the content deadline from the delivery date
+   */
+  async markDelivered(shipment, deliveredAt = new Date()) {
+    await sequelize.transaction(async (transaction) => {
+      const [updated] = await Shipment.update(
+        { status: 'delivered', deliveredAt },
+        { where: { id: shipment.id, status: { [Op.ne]: 'delivered' } }, transaction }
+      );
+      if (updated) {
+        await this.startContentDeadline(shipment, deliveredAt, transaction);
+      }
+    });
+
+    return shipment.reload();
+  }
+
+  /**
+   * Set the application's content deadline to the delivery date plus the campaign's
+   * contentDueDays. With several products the last delivery sets the deadline.
+   */
+  async startContentDeadline(shipment, deliveredAt, transaction = null) {
+    const campaign = await Campaign.findByPk(shipment.campaignId, { attributes: ['id', 'contentDueDays'], transaction });
+    if (!campaign || !campaign.contentDueDays) {
+      return null;
+    }
+
+    const contentDueAt = new Date(new Date(deliveredAt).getTime() + campaign.contentDueDays * DAY_MS);
+    await CampaignApplication.update({ contentDueAt }, {
+      where: {
+        id: shipment.applicationId,
+        [Op.or]: [{ contentDueAt: null }, { contentDueAt: { [Op.lt]: contentDueAt } }]
+      },
+      transaction
+    });
+    return contentDueAt;
+  }
+
+  /**
+   * Refresh tracking of every shipment still in flight; failures are logged and retried next sweep
+   */
+  async refreshInFlight(now = new Date()) {
+    const shipments = await Shipment.findAll({
+      where: { status: { [Op.in]: IN_FLIGHT_STATUSES }, trackingNumber: { [Op.ne]: null } }
+    });
+
+    let refreshed = 0;
+    for (const shipment of shipments) {
+      try {
+        await this.refreshTracking(shipment, now);
+        refreshed++;
+      } catch (error) {
+        logger.error('Shipment tracking refresh failed', { shipmentId: shipment.id, error: error.message });
+      }
+    }
+    return refreshed;
+  }
+
+  /**
+   * Shipment as returned to a viewer. The address is hidden from the brand whenever
+   * the application is not (or no longer) accepted.
+   */
+  present(shipment, viewer, application) {
+    const json = shipment.toJSON();
+    const canSeeAddress = viewer.role === 'admin'
+      || viewer.id === shipment.influencerId
+      || this.isAccepted(application);
+
+    if (!canSeeAddress) {
+      json.shippingAddress = { country: shipment.shippingAddress.country };
+    }
+    return json;
+  }
+}
+
+module.exports = new ShipmentService();
@@ -0,0 +1,204 @@
+const { Op } = require('sequelize');
+const { Campaign, CampaignInvitation, Subscription } = require('../models');
+const { paymentService } = require('./paymentService');
+const { logger } = require('../utils/monitoring');
+
+// Brands without a paid subscription
+const FREE_TIER = 'free';
+const FREE_LIMITS = {
+  campaignsPerMonth: 2,
+  searchResultDepth: 50,
+  analyticsHistoryDays: 30,
+  invitationsPerMonth: 10
+};
+
+/**
+ * Start of the current calendar month (UTC)
+ */
+const startOfMonth = (now = new Date()) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+/**
+ * Subscription service
+ * Subscribes brands to paid tiers through Stripe and resolves the tier and
+ * feature limits that apply to a user.
+ */
+class SubscriptionService {
+  /**
+   * The brand's tier and limits, with the subscription granting them (if any).
+   * Anonymous visitors (no userId) get the free plan.
+   */
+  async getPlan(userId) {
+    const subscription = userId ? await Subscription.findEntitled(userId) : null;
+    if (!subscription) {
+      return { tier: FREE_TIER, limits: FREE_LIMITS, subscription: null };
+    }
+
+    const tierDefinition = paymentService.getSubscriptionTiers()[subscription.tier];
+    return {
+      tier: subscription.tier,
+      limits: tierDefinition ? tierDefinition.limits : FREE_LIMITS,
+      subscription
+    };
+  }
+
+  /**
+   * Paid tier of a brand for fee calculation, or null on the free plan
+   */
+  async getTier(userId) {
+    const subscription = await Subscription.findEntitled(userId);
+    return subscription ? subscription.tier : null;
+  }
+
+  /**
+   * Campaigns the brand has created this calendar month (cancelled ones don't count)
+   */
+  countCampaignsThisMonth(brandId, now = new Date()) {
+    return Campaign.count({
+      where: {
+        brandId,
+        status: { [Op.ne]: 'cancelled' },
+        created_at: { [Op.gte]: startOfMonth(now) }
+      }
+    });
+  }
+
+  /**
+   * Invitations the brand has sent this calendar month (withdrawn ones still count)
+   */
+  countInvitationsThisMonth(brandId, now = new Date()) {
+    return CampaignInvitation.count({
+      where: {
+        brandId,
+        created_at: { [Op.gte]: startOfMonth(now) }
+      }
+    });
+  }
+
+  /**
+   * Create the brand's Stripe customer on first use
+   */
+  async ensureCustomer(user) {
+    if (!user.stripeCustomerId) {
+      const customer = await paymentService.createCustomer(user.email, user.name, { user_id: user.id });
+      await user.update({ stripeCustomerId: customer.id });
+    }
+    return user.stripeCustomerId;
+  }
+
+  /**
+   * Subscribe a brand to a paid tier. Returns the client secret the web app
+   * uses to confirm the first invoice payment.
+   */
+  async subscribe(user, tier) {
+    const tierDefinition = this.getPaidTier(tier);
+
+    const current = await Subscription.findEntitled(user.id);
+    if (current) {
+      throw new Error(`You already have a ${current.tier} subscription; change plans instead`);
+    }
+
+    const customerId = await this.ensureCustomer(user);
+    const result = await paymentService.createSubscription(customerId, tierDefinition.priceId, {
+      user_id: user.id,
+      tier
+    });
+
+    // The subscription webhook may already have created the row
+    const [subscription] = await Subscription.findOrCreate({
+      where: { stripeSubscriptionId: result.subscriptionId },
+      defaults: {
+        userId: user.id,
+        tier,
+        status: result.status,
+        stripeCustomerId: customerId,
+        stripePriceId: tierDefinition.priceId,
+        currentPeriodStart: result.currentPeriodStart,
+        currentPeriodEnd: result.currentPeriodEnd
+      }
+    });
+
+    logger.info('Brand subscribed', { userId: user.id, tier, subscriptionId: result.subscriptionId });
+
+    return { subscription, clientSecret: result.clientSecret };
+  }
+
+  /**
+   * Move the brand's subscription to another paid tier (prorated)
+   */
+  async changeTier(user, tier) {
+    const tierDefinition = this.getPaidTier(tier);
+
+    const subscription = await Subscription.findEntitled(user.id);
+    if (!subscription) {
+      throw new Error('No active subscription to change');
+    }
+    if (subscription.tier === tier && !subscription.cancelAtPeriodEnd) {
+      throw new Error(`You are already on the ${tierDefinition.name} plan`);
+    }
+
+    const previousTier = subscription.tier;
+    await paymentService.changeSubscriptionPrice(subscription.stripeSubscriptionId, tierDefinition.priceId, {
+      user_id: user.id,
+      tier
+    });
+
+    await subscription.update({
+      tier,
+      stripePriceId: tierDefinition.priceId,
+      cancelAtPeriodEnd: false,
+      cancellationReason: null
+    });
+
+    logger.info('Brand subscription changed', { userId: user.id, from: previousTier, tier });
+
+    return subscription;
+  }
+
+  /**
+   * Cancel at the end of the current billing period
+   */
+  async cancel(user, reason = '') {
+    const subscription = await Subscription.findEntitled(user.id);
+    if (!subscription) {
+      throw new Error('No active subscription to cancel');
+    }
+
+    const result = await paymentService.cancelSubscription(subscription.stripeSubscriptionId, reason);
+
+    await subscription.update({
+      cancelAtPeriodEnd: result.cancelAtPeriodEnd,
+      currentPeriodEnd: result.currentPeriodEnd,
+      cancellationReason: reason || null
+    });
+
+    return subscription;
+  }
+
+  /**
+   * Stripe billing portal link for payment methods and invoices
+   */
+  async createPortalSession(user) {
+    if (!user.stripeCustomerId) {
+      throw new Error('No billing account yet; subscribe to a plan first');
+    }
+
+    const returnUrl = `${process.env.FRONTEND_URL || 'http://localhost:3002'}/app/billing`;
+    return paymentService.createBillingPortalSession(user.stripeCustomerId, returnUrl);
+  }
+
+  /**
+   * Paid tier definition with a configured Stripe price, or throw
+   */
+  getPaidTier(tier) {
+    const tierDefinition = paymentService.getSubscriptionTiers()[tier];
+    if (!tierDefinition) {
+      throw new Error(`Unknown subscription tier: ${tier}`);
+    }
+    if (!tierDefinition.priceId) {
+      throw new Error(`The ${tierDefinition.name} plan is not available`);
+    }
+    return tierDefinition;
+  }
+}
+
+module.exports = new SubscriptionService();
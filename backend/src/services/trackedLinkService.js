@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const net = require('net');
+const { sequelize } = require('../config/database');
+const { Analytics, AnalyticsEvent, Campaign, TrackedLink, TrackedLinkVisit } = require('../models');
+const { logger } = require('../utils/monitoring');
+
+const CLICK_EVENT = 'link_click';
+const CODE_ALPHABET = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+// Clicks from the same visitor on the same link within one window of this length count once
+const REPEAT_CLICK_WINDOW_MINUTES = parseInt(process.env.REPEAT_CLICK_WINDOW_MINUTES || '30', 10);
+const REPEAT_CLICK_WINDOW_MS = REPEAT_CLICK_WINDOW_MINUTES * 60 * 1000;
+
+// Crawlers, link unfurlers and scripted clients
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|facebookexternalhit|embedly|headless|curl|wget|python-requests|okhttp|go-http-client/i;
+
+const SHORT_LINK_BASE_URL = process.env.SHORT_LINK_BASE_URL || `http://localhost:${process.env.PORT || 3001}`;
+
+/**
+ * Tracked link service
+ * Issues one short link per approved application, records every click as an
+ * analytics event and rolls counted clicks into daily Analytics `clicks` metrics.
+ */
+class TrackedLinkService {
+  /**
+   * Random short code (ambiguous characters left out)
+   */
+  generateCode() {
+    return Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+  }
+
+  /**
+   * Public URL of a link
+   */
+  getShortUrl(link) {
+    return `${SHORT_LINK_BASE_URL}/r/${link.code}`;
+  }
+
+  /**
+   * Campaign landing page tagged with the campaign's UTM parameters and the influencer
+   */
+  buildDestinationUrl(campaign, application) {
+    const url = new URL(campaign.customLandingPage);
+    const params = {
+      utm_source: 'nanoinfluencer',
+      utm_medium: 'influencer',
+      utm_campaign: campaign.id,
+      ...(campaign.utmParameters || {}),
+      utm_content: application.influencerId
+    };
+
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+  }
+
+  /**
+   * The application's link, created on first use. Null while the campaign has no landing page.
+   */
+  async createForApplication(application, { campaign = null, transaction = null } = {}) {
+    const existing = await TrackedLink.findOne({ where: { applicationId: application.id }, transaction });
+    if (existing) {
+      return existing;
+    }
+
+    const target = campaign || application.campaign || await Campaign.findByPk(application.campaignId, { transaction });
+    if (!target || !target.customLandingPage) {
+      return null;
+    }
+
+    let destinationUrl;
+    try {
+      destinationUrl = this.buildDestinationUrl(target, application);
+    } catch (error) {
+      logger.warn('Campaign landing page is not a valid URL', { campaignId: target.id, error: error.message });
+      return null;
+    }
+
+    return TrackedLink.create({
+      code: this.generateCode(),
+      campaignId: target.id,
+      applicationId: application.id,
+      influencerId: application.influencerId,
+      // Clicks are attributed to the first platform the influencer applied with
+      platform: application.appliedPlatforms[0],
+      destinationUrl
+    }, { transaction });
+  }
+
+  /**
+   * Whether a user agent looks automated (missing agents count as bots)
+   */
+  isBot(userAgent) {
+    return !userAgent || BOT_PATTERN.test(userAgent);
+  }
+
+  /**
+   * Stable, non-reversible visitor id for one link
+   */
+  getVisitorId(link, ipAddress, userAgent) {
+    return crypto.createHash('sha256').update(`${link.id}|${ipAddress}|${userAgent}`).digest('hex');
+  }
+
+  /**
+   * IP address with the host part dropped (IPv4 /24, IPv6 /48), so stored click
+   * events still locate a visitor roughly but no longer identify them
+   */
+  truncateIp(ipAddress) {
+    if (!ipAddress) {
+      return null;
+    }
+    const ip = ipAddress.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+    if (net.isIPv4(ip)) {
+      return ip.replace(/\.\d+$/, '.0');
+    }
+    if (net.isIPv6(ip)) {
+      // Groups before a "::" are the leading ones; the compressed run that follows is zeros
+      const [head, tail] = ip.split('::');
+      const groups = head ? head.split(':') : [];
+      while (tail !== undefined && groups.length < 3) {
+        groups.push('0');
+      }
+      return `${groups.slice(0, 3).join(':')}::`;
+    }
+    return null;
+  }
+
+  /**
+   * Start of the repeat-click window a click falls into
+   */
+  getClickWindowStart(now) {
+    return new Date(Math.floor(now.getTime() / REPEAT_CLICK_WINDOW_MS) * REPEAT_CLICK_WINDOW_MS);
+  }
+
+  /**
+   * Record a click. Bot and repeat clicks are kept as events but not counted.
+   */
+  async recordClick(link, { ipAddress = null, userAgent = null, referer = null } = {}, now = new Date()) {
+    const sessionId = this.getVisitorId(link, ipAddress, userAgent);
+    const bot = this.isBot(userAgent);
+
+    return sequelize.transaction(async (transaction) => {
+      // The first click claims the visitor's window; the unique key settles concurrent clicks
+      const repeat = !bot && !(await TrackedLinkVisit.claim({
+        linkId: link.id,
+        visitorId: sessionId,
+        windowStart: this.getClickWindowStart(now)
+      }, transaction));
+      const counted = !bot && !repeat;
+
+      await AnalyticsEvent.create({
+        eventType: CLICK_EVENT,
+        campaignId: link.campaignId,
+        eventData: {
+          linkId: link.id,
+          code: link.code,
+          applicationId: link.applicationId,
+          influencerId: link.influencerId,
+          bot,
+          repeat
+        },
+        sessionId,
+        ipAddress: this.truncateIp(ipAddress),
+        userAgent,
+        referer,
+        timestamp: now
+      }, { transaction });
+
+      if (bot) {
+        await link.increment('botClickCount', { transaction });
+        return { counted, bot, repeat };
+      }
+
+      await link.update({ lastClickedAt: now }, { transaction });
+      if (counted) {
+        await link.increment('clickCount', { transaction });
+        await this.rollupClick(link, now, transaction);
+      }
+
+      return { counted, bot, repeat };
+    });
+  }
+
+  /**
+   * Add a counted click to the day's application and campaign click metrics
+   */
+  async rollupClick(link, now, transaction) {
+    const dateRecorded = now.toISOString().slice(0, 10);
+    const entities = [
+      { entityType: 'application', entityId: link.applicationId },
+      { entityType: 'campaign', entityId: link.campaignId }
+    ];
+
+    for (const entity of entities) {
+      const [metric] = await Analytics.findOrCreate({
+        where: {
+          ...entity,
+          platform: link.platform,
+          metricType: 'clicks',
+          dateRecorded,
+          contentUrl: this.getShortUrl(link)
+        },
+        defaults: { value: 0, source: 'api', isVerified: true },
+        transaction
+      });
+      await metric.increment('value', { by: 1, transaction });
+    }
+  }
+
+  /**
+   * Link as returned by the API
+   */
+  present(link) {
+    return {
+      id: link.id,
+      code: link.code,
+      applicationId: link.applicationId,
+      influencerId: link.influencerId,
+      platform: link.platform,
+      shortUrl: this.getShortUrl(link),
+      destinationUrl: link.destinationUrl,
+      clickCount: link.clickCount,
+      botClickCount: link.botClickCount,
+      lastClickedAt: link.lastClickedAt
+    };
+  }
+
+  /**
+   * Links of a campaign, most clicked first
+   */
+  async getCampaignLinks(campaignId) {
+    const links = await TrackedLink.findAll({
+      where: { campaignId },
+      order: [['clickCount', 'DESC']]
+    });
+    return links.map(link => this.present(link));
+  }
+}
+
+module.exports = new TrackedLinkService();
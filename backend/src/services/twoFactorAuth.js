@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const speakeasy = require('speakeasy');
 const QRCode = require('qrcode');
 const { logger } = require('../utils/monitoring');
@@ -89,12 +90,15 @@ class TwoFactorAuthService {
    */
   static generateBackupCodes(count = 8) {
     try {
+      const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
       const codes = [];
       
       for (let i = 0; i < count; i++) {
         // Generate 8-character alphanumeric code
-        const code = Math.random().toString(36).substr(2, 4).toUpperCase() + 
-                    Math.random().toString(36).substr(2, 4).toUpperCase();
+        let code = '';
+        for (let j = 0; j < 8; j++) {
+          code += alphabet[crypto.randomInt(alphabet.length)];
+        }
         codes.push(code);
       }
 
@@ -107,6 +111,34 @@ class TwoFactorAuthService {
     }
   }
 
+  /**
+   * Hash a backup code for storage
+   */
+  static hashBackupCode(code) {
+    return crypto
+      .createHash('sha256')
+      .update(String(code).toUpperCase().replace(/[^A-Z0-9]/g, ''))
+      .digest('hex');
+  }
+
+  /**
+   * Check a backup code against stored hashes.
+   * Returns the remaining hashes when the code matches, or null.
+   */
+  static consumeBackupCode(hashedCodes, code) {
+    const codeHash = this.hashBackupCode(code);
+    const index = (hashedCodes || []).findIndex(hash =>
+      hash.length === codeHash.length &&
+      crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(codeHash))
+    );
+
+    if (index === -1) {
+      return null;
+    }
+
+    return hashedCodes.filter((_, i) => i !== index);
+  }
+
   /**
    * Validate backup code format
    */
@@ -121,7 +153,7 @@ class TwoFactorAuthService {
   static generateRecoveryToken() {
     try {
       // Generate a secure random token
-      const token = require('crypto').randomBytes(32).toString('hex');
+      const token = crypto.randomBytes(32).toString('hex');
       return token;
     } catch (error) {
       logger.error('Failed to generate recovery token', { 
@@ -141,7 +173,7 @@ class TwoFactorAuthService {
     }
 
     // Check user's 2FA preference
-    if (!user.two_factor_enabled) {
+    if (!user.twoFactorEnabled) {
       return false;
     }
 
@@ -151,7 +183,7 @@ class TwoFactorAuthService {
       return riskFactors.requiresTwoFactor;
     }
 
-    return user.two_factor_enabled;
+    return user.twoFactorEnabled;
   }
 
   /**
@@ -190,7 +222,7 @@ class TwoFactorAuthService {
       // Determine if 2FA is required based on risk factors
       factors.requiresTwoFactor = factors.newDevice || 
                                   factors.unusualLocation || 
-                                  user.two_factor_enabled;
+                                  user.twoFactorEnabled;
 
       logger.debug('Risk assessment completed', {
         userId: user.id,
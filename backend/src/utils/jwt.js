@@ -6,6 +6,7 @@ const ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET || 'your-super-secre
 const REFRESH_TOKEN_SECRET = process.env.REFRESH_TOKEN_SECRET || 'your-super-secret-refresh-key-change-in-production-min-32-chars';
 const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m'; // Short-lived access tokens
 const REFRESH_TOKEN_EXPIRES_IN = process.env.REFRESH_TOKEN_EXPIRES_IN || '7d'; // Refresh tokens last longer
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m'; // Window to enter a 2FA code
 
 // Backward compatibility
 const JWT_SECRET = ACCESS_TOKEN_SECRET;
@@ -87,6 +88,39 @@ const verifyRefreshToken = (token) => {
   }
 };
 
+/**
+ * Generate 2FA challenge token issued after a correct password.
+ * Signed for a separate audience so it can never be used as an access token.
+ */
+const generateTwoFactorChallengeToken = (user) => {
+  return jwt.sign({ id: user.id, purpose: '2fa_challenge' }, ACCESS_TOKEN_SECRET, {
+    expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN,
+    issuer: 'nanoinfluencer-api',
+    audience: 'nanoinfluencer-2fa'
+  });
+};
+
+/**
+ * Verify 2FA challenge token
+ */
+const verifyTwoFactorChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, ACCESS_TOKEN_SECRET, {
+      issuer: 'nanoinfluencer-api',
+      audience: 'nanoinfluencer-2fa'
+    });
+    if (decoded.purpose !== '2fa_challenge') {
+      throw new Error('Invalid challenge token');
+    }
+    return decoded;
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new Error('Challenge token expired');
+    }
+    throw new Error('Invalid challenge token');
+  }
+};
+
 /**
  * Generate both access and refresh tokens
  */
@@ -154,10 +188,13 @@ module.exports = {
   verifyAccessToken,
   verifyRefreshToken,
   generateTokenPair,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
   extractTokenFromHeader,
   generateTokenHash,
   getTokenExpirationDate,
   parseDuration,
   ACCESS_TOKEN_EXPIRES_IN,
-  REFRESH_TOKEN_EXPIRES_IN
+  REFRESH_TOKEN_EXPIRES_IN,
+  TWO_FACTOR_CHALLENGE_EXPIRES_IN
 };
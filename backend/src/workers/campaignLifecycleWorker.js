@@ -0,0 +1,19 @@
+const campaignLifecycleService = require('../services/campaignLifecycleService');
+const { createSweepWorker } = require('./sweepWorker');
+
+// How often campaign timeline dates are checked
+const LIFECYCLE_CHECK_CRON = process.env.CAMPAIGN_LIFECYCLE_CRON || '*/5 * * * *';
+
+// Timeline-driven campaign lifecycle changes
+const {
+  queue: lifecycleQueue,
+  initialize: initializeCampaignLifecycleWorker,
+  processJob: processLifecycleJob
+} = createSweepWorker('campaign lifecycle', 'lifecycle-sweep', LIFECYCLE_CHECK_CRON,
+  () => campaignLifecycleService.runSweep());
+
+module.exports = {
+  lifecycleQueue,
+  initializeCampaignLifecycleWorker,
+  processLifecycleJob
+};
@@ -0,0 +1,19 @@
+const escrowAllocationService = require('../services/escrowAllocationService');
+const { createSweepWorker } = require('./sweepWorker');
+
+// How often approved milestones are checked for an elapsed release delay
+const RELEASE_CHECK_CRON = process.env.MILESTONE_RELEASE_CRON || '*/15 * * * *';
+
+// Delayed escrow milestone releases
+const {
+  queue: milestoneQueue,
+  initialize: initializeMilestoneReleaseWorker,
+  processJob: processMilestoneReleaseJob
+} = createSweepWorker('milestone release', 'release-due', RELEASE_CHECK_CRON,
+  () => escrowAllocationService.releaseDueMilestones());
+
+module.exports = {
+  milestoneQueue,
+  initializeMilestoneReleaseWorker,
+  processMilestoneReleaseJob
+};
@@ -0,0 +1,19 @@
+const payoutService = require('../services/payoutService');
+const { createSweepWorker } = require('./sweepWorker');
+
+// How often pending payouts are sent and failed transfers retried
+const PAYOUT_CHECK_CRON = process.env.PAYOUT_PROCESS_CRON || '*/10 * * * *';
+
+// Influencer payout transfers and their retries
+const {
+  queue: payoutQueue,
+  initialize: initializePayoutWorker,
+  processJob: processPayoutJob
+} = createSweepWorker('payout processing', 'process-due', PAYOUT_CHECK_CRON,
+  () => payoutService.processDuePayouts());
+
+module.exports = {
+  payoutQueue,
+  initializePayoutWorker,
+  processPayoutJob
+};
@@ -0,0 +1,19 @@
+const savedSearchService = require('../services/savedSearchService');
+const { createSweepWorker } = require('./sweepWorker');
+
+// How often due saved searches are re-run (each runs daily or weekly)
+const SAVED_SEARCH_ALERT_CRON = process.env.SAVED_SEARCH_ALERT_CRON || '0 * * * *';
+
+// Saved search alerts
+const {
+  queue: savedSearchAlertQueue,
+  initialize: initializeSavedSearchAlertWorker,
+  processJob: processAlertJob
+} = createSweepWorker('saved search alerts', 'alerts-sweep', SAVED_SEARCH_ALERT_CRON,
+  () => savedSearchService.runDue());
+
+module.exports = {
+  savedSearchAlertQueue,
+  initializeSavedSearchAlertWorker,
+  processAlertJob
+};
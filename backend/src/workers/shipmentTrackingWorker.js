@@ -0,0 +1,19 @@
+const shipmentService = require('../services/shipmentService');
+const { createSweepWorker } = require('./sweepWorker');
+
+// How often in-flight shipments are checked with the carrier
+const SHIPMENT_TRACKING_CRON = process.env.SHIPMENT_TRACKING_CRON || '*/30 * * * *';
+
+// Carrier tracking updates
+const {
+  queue: shipmentTrackingQueue,
+  initialize: initializeShipmentTrackingWorker,
+  processJob: processTrackingJob
+} = createSweepWorker('shipment tracking', 'tracking-sweep', SHIPMENT_TRACKING_CRON,
+  async () => ({ refreshed: await shipmentService.refreshInFlight() }));
+
+module.exports = {
+  shipmentTrackingQueue,
+  initializeShipmentTrackingWorker,
+  processTrackingJob
+};
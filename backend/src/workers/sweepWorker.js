@@ -0,0 +1,63 @@
+const Queue = require('bull');
+const { logger } = require('../utils/monitoring');
+
+/**
+ * Create a worker that runs one sweep on a repeatable cron job.
+ * name is the queue name (also used in log lines) and jobName the repeatable job's
+ * name, which keys it in Redis; handler runs the sweep and returns its counts,
+ * which are logged when any of them is non-zero.
+ */
+const createSweepWorker = (name, jobName, cron, handler) => {
+  const label = name.charAt(0).toUpperCase() + name.slice(1);
+
+  const queue = new Queue(name, {
+    redis: {
+      port: process.env.REDIS_PORT || 6379,
+      host: process.env.REDIS_HOST || 'localhost',
+      password: process.env.REDIS_PASSWORD || ''
+    }
+  });
+
+  /**
+   * Process a sweep job
+   */
+  const processJob = async () => {
+    const result = await handler();
+
+    if (Object.values(result).some(count => count > 0)) {
+      logger.info(`${label} sweep finished`, result);
+    }
+
+    return result;
+  };
+
+  /**
+   * Initialize the worker
+   */
+  const initialize = async () => {
+    logger.info(`Initializing ${name} worker...`);
+
+    queue.process(jobName, 1, processJob);
+
+    // One repeatable job; bull dedupes it across restarts by its repeat key
+    await queue.add(jobName, {}, {
+      repeat: { cron },
+      removeOnComplete: true,
+      removeOnFail: 100
+    });
+
+    // Handle job failure
+    queue.on('failed', (job, error) => {
+      logger.error(`${label} job failed`, {
+        jobId: job.id,
+        error: error.message
+      });
+    });
+
+    logger.info(`${label} worker initialized successfully`);
+  };
+
+  return { queue, processJob, initialize };
+};
+
+module.exports = { createSweepWorker };
@@ -330,7 +330,10 @@ CREATE TABLE system_settings (
 
 -- Insert default system settings
 INSERT INTO system_settings (key, value, description) VALUES
-  ('platform_commission_rate', '0.15', 'Platform commission percentage (15%)'),
+  ('platform_commission_rate', '0.10', 'Platform commission on released escrow funds (10%), used when no tier rate applies'),
+  ('tier_commission_rates', '{}', 'Commission rate overrides per subscription tier, e.g. {"pro": 0.08}'),
+  ('processor_fees', '{"default": {"percent": 0.029, "fixed": 0.30}, "EUR": {"percent": 0.015, "fixed": 0.25}, "GBP": {"percent": 0.015, "fixed": 0.20}}', 'Card processor fee per currency; absorbed by the platform'),
+  ('fee_waivers', '[]', 'Promotional commission waivers'),
   ('min_influence_score', '20', 'Minimum influence score required for campaigns'),
   ('max_campaign_duration_days', '90', 'Maximum campaign duration in days'),
   ('fraud_detection_threshold', '0.8', 'AI fraud detection confidence threshold');
@@ -7,11 +7,17 @@ import PrivateRoute from './components/PrivateRoute';
 import DemoBanner from './components/DemoBanner';
 import HomePage from './pages/HomePage';
 import AuthPage from './pages/AuthPage';
+import VerifyEmailPage from './pages/VerifyEmailPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
+import UnsubscribePage from './pages/UnsubscribePage';
 import DashboardPage from './pages/DashboardPage';
 import CampaignsPage from './pages/CampaignsPage';
 import InfluencersPage from './pages/InfluencersPage';
 import AnalyticsPage from './pages/AnalyticsPage';
 import ProfilePage from './pages/ProfilePage';
+import BillingPage from './pages/BillingPage';
+import DeliverablesPage from './pages/DeliverablesPage';
+import InvitationsPage from './pages/InvitationsPage';
 import NotFoundPage from './pages/NotFoundPage';
 
 // Import context providers
@@ -45,6 +51,9 @@ function App() {
           {/* Public routes */}
           <Route path="/" element={<HomePage />} />
           <Route path="/auth" element={<AuthPage />} />
+          <Route path="/verify-email" element={<VerifyEmailPage />} />
+          <Route path="/reset-password" element={<ResetPasswordPage />} />
+          <Route path="/unsubscribe/:token" element={<UnsubscribePage />} />
           
           {/* Protected routes wrapped in Layout and PrivateRoute */}
           <Route path="/app" element={
@@ -58,6 +67,9 @@ function App() {
             <Route path="influencers" element={<InfluencersPage />} />
             <Route path="analytics" element={<AnalyticsPage />} />
             <Route path="profile" element={<ProfilePage />} />
+            <Route path="billing" element={<BillingPage />} />
+            <Route path="invitations" element={<InvitationsPage />} />
+            <Route path="applications/:id/deliverables" element={<DeliverablesPage />} />
           </Route>
           
           {/* Redirect /dashboard to /app/dashboard for backward compatibility */}
@@ -59,7 +59,7 @@ const PaymentFormContent = ({
 
   const loadFees = async () => {
     try {
-      const result = await paymentService.calculateFees(amount);
+      const result = await paymentService.calculateFees(amount, campaign.currency);
       if (result.success) {
         setFees(result.data);
       }
@@ -161,12 +161,18 @@ const PaymentFormContent = ({
         {fees && (
           <>
             <div className="summary-row">
-              <span>Platform Fee ({(fees.platformFee / amount * 100).toFixed(1)}%):</span>
-              <span>{paymentService.formatAmount(fees.platformFee, campaign.currency)}</span>
+              <span>Platform Fee ({(fees.commissionRate * 100).toFixed(1)}%):</span>
+              <span>{paymentService.formatAmount(fees.grossPlatformFee, campaign.currency)}</span>
             </div>
+            {fees.waiver && (
+              <div className="summary-row">
+                <span>{fees.waiver.description || 'Fee waiver'}:</span>
+                <span>-{paymentService.formatAmount(fees.waivedFee, campaign.currency)}</span>
+              </div>
+            )}
             <div className="summary-row">
-              <span>Processing Fee:</span>
-              <span>{paymentService.formatAmount(fees.stripeFee, campaign.currency)}</span>
+              <span>Processing Fee (covered by the platform fee):</span>
+              <span>{paymentService.formatAmount(fees.processorFee, campaign.currency)}</span>
             </div>
             <div className="summary-row total">
               <span>Total:</span>
@@ -175,6 +181,14 @@ const PaymentFormContent = ({
             <div className="summary-note">
               <small>Influencer will receive: {paymentService.formatAmount(fees.netToInfluencer, campaign.currency)}</small>
             </div>
+            {fees.converted && fees.converted.currency !== fees.currency && (
+              <div className="summary-note">
+                <small>
+                  About {paymentService.formatAmount(fees.converted.totalAmount, fees.converted.currency)} at
+                  today's rate
+                </small>
+              </div>
+            )}
           </>
         )}
       </div>
@@ -0,0 +1,154 @@
+import React, { useState, useEffect } from 'react';
+import { BanknotesIcon } from '@heroicons/react/24/outline';
+import paymentService from '../services/paymentService';
+import { apiUtils } from '../services/api';
+import toast from 'react-hot-toast';
+
+const STATUS_CLASSES = {
+  pending: 'bg-gray-100 text-gray-700',
+  processing: 'bg-blue-100 text-blue-800',
+  paid: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-500'
+};
+
+const PayoutSettings = () => {
+  const [account, setAccount] = useState(null);
+  const [payouts, setPayouts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetchPayoutData();
+  }, []);
+
+  const fetchPayoutData = async () => {
+    try {
+      setLoading(true);
+      const [accountResponse, payoutsResponse] = await Promise.all([
+        paymentService.getPayoutAccount(),
+        paymentService.getPayouts()
+      ]);
+      setAccount(accountResponse.data.account);
+      setPayouts(payoutsResponse.data.payouts);
+    } catch (error) {
+      toast.error(apiUtils.handleApiError(error).error || 'Failed to load payouts');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleStartOnboarding = async () => {
+    try {
+      setSubmitting(true);
+      const response = await paymentService.startPayoutOnboarding();
+      window.location.assign(response.data.url);
+    } catch (error) {
+      toast.error(apiUtils.handleApiError(error).error || 'Failed to start payout setup');
+      setSubmitting(false);
+    }
+  };
+
+  const formatCurrency = (amount, currency = 'USD') => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: currency.toUpperCase()
+    }).format(amount || 0);
+  };
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6 flex justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center">
+            <BanknotesIcon className="h-5 w-5 text-gray-500 mr-2" />
+            <h3 className="text-lg font-medium text-gray-900">Payout Account</h3>
+          </div>
+          <span
+            className={`px-2 py-1 text-xs font-medium rounded-full ${
+              account?.payoutsEnabled ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+            }`}
+          >
+            {account?.payoutsEnabled ? 'Active' : 'Setup required'}
+          </span>
+        </div>
+
+        <p className="text-sm text-gray-600 mb-4">
+          {account?.payoutsEnabled
+            ? 'Released campaign payments are transferred to your Stripe account automatically.'
+            : 'Connect a Stripe account to receive campaign payments. Released payments wait here until setup is complete.'}
+        </p>
+
+        {account?.requirementsDue?.length > 0 && (
+          <p className="text-sm text-yellow-700 mb-4">
+            Stripe needs {account.requirementsDue.length} more detail{account.requirementsDue.length === 1 ? '' : 's'} to enable payouts.
+          </p>
+        )}
+
+        {!account?.payoutsEnabled && (
+          <button
+            onClick={handleStartOnboarding}
+            disabled={submitting}
+            className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            {account?.connected ? 'Continue Stripe Setup' : 'Set Up Payouts'}
+          </button>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6">
+        <h3 className="text-lg font-medium text-gray-900 mb-4">Payout History</h3>
+
+        {payouts.length === 0 ? (
+          <p className="text-sm text-gray-500">No payouts yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead>
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Campaign</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Amount</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {payouts.map((payout) => (
+                  <tr key={payout.id}>
+                    <td className="px-4 py-2 text-sm text-gray-900">
+                      {payout.application?.campaign?.title || payout.reason || '—'}
+                    </td>
+                    <td className="px-4 py-2 text-sm text-gray-900">
+                      {formatCurrency(payout.amount, payout.currency)}
+                    </td>
+                    <td className="px-4 py-2 text-sm">
+                      <span className={`px-2 py-1 text-xs font-medium rounded-full capitalize ${STATUS_CLASSES[payout.status]}`}>
+                        {payout.status}
+                      </span>
+                      {payout.status === 'failed' && payout.nextAttemptAt && (
+                        <span className="ml-2 text-xs text-gray-500">Retrying automatically</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 text-sm text-gray-500">
+                      {new Date(payout.paidAt || payout.created_at).toLocaleDateString()}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PayoutSettings;
@@ -1,27 +1,34 @@
 import React from 'react';
 import { NavLink } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
 import { 
   HomeIcon, 
   MegaphoneIcon, 
   UsersIcon, 
   ChartBarIcon, 
-  UserCircleIcon 
+  UserCircleIcon,
+  CreditCardIcon,
+  EnvelopeIcon
 } from '@heroicons/react/24/outline';
 
 const navigation = [
   { name: 'Dashboard', href: '/app/dashboard', icon: HomeIcon },
   { name: 'Campaigns', href: '/app/campaigns', icon: MegaphoneIcon },
   { name: 'Influencers', href: '/app/influencers', icon: UsersIcon },
+  { name: 'Invitations', href: '/app/invitations', icon: EnvelopeIcon, roles: ['brand', 'influencer'] },
   { name: 'Analytics', href: '/app/analytics', icon: ChartBarIcon },
+  { name: 'Billing', href: '/app/billing', icon: CreditCardIcon, roles: ['brand'] },
   { name: 'Profile', href: '/app/profile', icon: UserCircleIcon },
 ];
 
 const Sidebar = () => {
+  const { user } = useAuth();
+
   return (
     <aside className="w-64 bg-white shadow-sm border-r border-gray-200 min-h-screen">
       <nav className="mt-8 px-4">
         <ul className="space-y-2">
-          {navigation.map((item) => {
+          {navigation.filter((item) => !item.roles || item.roles.includes(user?.role)).map((item) => {
             const Icon = item.icon;
             return (
               <li key={item.name}>
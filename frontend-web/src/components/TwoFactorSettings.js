@@ -0,0 +1,207 @@
+import React, { useState } from 'react';
+import { ShieldCheckIcon } from '@heroicons/react/24/outline';
+import { authAPI, apiUtils } from '../services/api';
+import toast from 'react-hot-toast';
+
+const TwoFactorSettings = ({ enabled: initiallyEnabled = false }) => {
+  const [enabled, setEnabled] = useState(initiallyEnabled);
+  const [setupData, setSetupData] = useState(null);
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [showDisableForm, setShowDisableForm] = useState(false);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const resetForm = () => {
+    setCode('');
+    setPassword('');
+  };
+
+  const handleStartSetup = async () => {
+    try {
+      setSubmitting(true);
+      const data = await authAPI.setupTwoFactor();
+      setSetupData(data);
+      setBackupCodes(null);
+    } catch (error) {
+      toast.error(apiUtils.handleApiError(error).error || 'Failed to start two-factor setup');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      const data = await authAPI.verifyTwoFactor(code.trim());
+      setEnabled(true);
+      setSetupData(null);
+      setBackupCodes(data.backupCodes);
+      resetForm();
+      toast.success('Two-factor authentication enabled');
+    } catch (error) {
+      toast.error(apiUtils.handleApiError(error).error || 'Invalid authentication code');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    const trimmed = code.trim();
+    const payload = /^\d{6}$/.test(trimmed) ? { token: trimmed } : { backupCode: trimmed };
+    try {
+      setSubmitting(true);
+      await authAPI.disableTwoFactor({ password, ...payload });
+      setEnabled(false);
+      setShowDisableForm(false);
+      setBackupCodes(null);
+      resetForm();
+      toast.success('Two-factor authentication disabled');
+    } catch (error) {
+      toast.error(apiUtils.handleApiError(error).error || 'Failed to disable two-factor authentication');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center">
+          <ShieldCheckIcon className="h-5 w-5 text-gray-500 mr-2" />
+          <h3 className="text-lg font-medium text-gray-900">Two-Factor Authentication</h3>
+        </div>
+        <span
+          className={`px-2 py-1 text-xs font-medium rounded-full ${
+            enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'
+          }`}
+        >
+          {enabled ? 'Enabled' : 'Disabled'}
+        </span>
+      </div>
+
+      <p className="text-sm text-gray-600 mb-4">
+        Require a code from an authenticator app in addition to your password when signing in.
+      </p>
+
+      {backupCodes && (
+        <div className="mb-4 p-4 bg-yellow-50 border border-yellow-200 rounded-md">
+          <p className="text-sm font-medium text-yellow-800 mb-2">
+            Save these backup codes somewhere safe. Each code can be used once and they will not be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-900">
+            {backupCodes.map((backupCode) => (
+              <span key={backupCode}>{backupCode}</span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {!enabled && !setupData && (
+        <button
+          onClick={handleStartSetup}
+          disabled={submitting}
+          className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+        >
+          Enable Two-Factor Authentication
+        </button>
+      )}
+
+      {!enabled && setupData && (
+        <form onSubmit={handleVerify} className="space-y-4">
+          <div className="flex flex-col items-center">
+            <img src={setupData.qrCode} alt="Two-factor QR code" className="h-48 w-48" />
+            <p className="mt-2 text-xs text-gray-500">Can't scan? Enter this key manually:</p>
+            <code className="text-sm text-gray-900 break-all">{setupData.manualEntryKey}</code>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Authentication Code</label>
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+              placeholder="123456"
+            />
+          </div>
+
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={() => { setSetupData(null); resetForm(); }}
+              className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={submitting || !code.trim()}
+              className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+            >
+              Verify and Enable
+            </button>
+          </div>
+        </form>
+      )}
+
+      {enabled && !showDisableForm && (
+        <button
+          onClick={() => setShowDisableForm(true)}
+          className="px-4 py-2 border border-red-300 rounded-md text-sm font-medium text-red-700 hover:bg-red-50"
+        >
+          Disable Two-Factor Authentication
+        </button>
+      )}
+
+      {enabled && showDisableForm && (
+        <form onSubmit={handleDisable} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Current Password</label>
+            <input
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Authentication or Backup Code</label>
+            <input
+              type="text"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={() => { setShowDisableForm(false); resetForm(); }}
+              className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={submitting || !code.trim()}
+              className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+            >
+              Disable
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -1,12 +1,49 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { XMarkIcon } from '@heroicons/react/24/outline';
 // import { useAuth } from '../../contexts/AuthContext'; // Commented out as unused
 import { campaignsAPI } from '../../services/api';
 import toast from 'react-hot-toast';
 
+const VISIBILITY_OPTIONS = [
+  { value: 'public', label: 'Public - listed in search and open to eligible influencers' },
+  { value: 'unlisted', label: 'Unlisted - only people with the link' },
+  { value: 'invite_only', label: 'Invite-only - only influencers you invite' }
+];
+
+const ELIGIBLE_PLATFORMS = ['instagram', 'tiktok', 'youtube', 'twitter', 'facebook', 'linkedin'];
+
+const TIMELINE_FIELDS = ['applicationDeadline', 'contentSubmissionDeadline', 'campaignStartDate', 'campaignEndDate'];
+
+/**
+ * Turn campaign values from a template into form state (date inputs, eligibility inputs)
+ */
+const toFormValues = (values, { timelineOnly = false } = {}) => {
+  const dates = Object.fromEntries(TIMELINE_FIELDS
+    .filter(field => values[field])
+    .map(field => [field, values[field].slice(0, 10)]));
+  if (timelineOnly) return dates;
+
+  const { eligibility, budget, targetEngagementRate, ...rest } = values;
+  return {
+    ...rest,
+    ...dates,
+    ...(budget !== undefined && { budget: String(budget) }),
+    ...(targetEngagementRate !== undefined && { targetEngagementRate: String(targetEngagementRate) }),
+    eligibility: {
+      minFollowers: eligibility?.minFollowers ? String(eligibility.minFollowers) : '',
+      minEngagementRate: eligibility?.minEngagementRate ? String(eligibility.minEngagementRate) : '',
+      platforms: eligibility?.platforms || [],
+      regions: (eligibility?.regions || []).join(', ')
+    }
+  };
+};
+
 const CreateCampaignModal = ({ isOpen, onClose, onCampaignCreated }) => {
   // const { user } = useAuth(); // Commented out as unused
   const [loading, setLoading] = useState(false);
+  const [templates, setTemplates] = useState([]);
+  const [selectedTemplateId, setSelectedTemplateId] = useState('');
+  const [templateName, setTemplateName] = useState('');
   const [formData, setFormData] = useState({
     title: '',
     description: '',
@@ -21,9 +58,54 @@ const CreateCampaignModal = ({ isOpen, onClose, onCampaignCreated }) => {
     },
     applicationDeadline: '',
     campaignStartDate: '',
-    campaignEndDate: ''
+    campaignEndDate: '',
+    contentDueDays: '',
+    customLandingPage: '',
+    utmParameters: {},
+    visibility: 'public',
+    eligibility: { minFollowers: '', minEngagementRate: '', platforms: [], regions: '' }
   });
 
+  useEffect(() => {
+    if (!isOpen) return;
+
+    campaignsAPI.getTemplates()
+      .then(response => setTemplates(response.templates || []))
+      .catch(() => setTemplates([]));
+  }, [isOpen]);
+
+  const applyTemplate = async (templateId, campaignStartDate, options) => {
+    try {
+      const response = await campaignsAPI.applyTemplate(templateId, campaignStartDate);
+      setFormData(prev => ({ ...prev, ...toFormValues(response.campaign, options) }));
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load template');
+    }
+  };
+
+  const handleTemplateSelect = (templateId) => {
+    setSelectedTemplateId(templateId);
+    applyTemplate(templateId, formData.campaignStartDate);
+  };
+
+  const handleTemplateDelete = async (templateId) => {
+    try {
+      await campaignsAPI.deleteTemplate(templateId);
+      setTemplates(prev => prev.filter(template => template.id !== templateId));
+      if (selectedTemplateId === templateId) setSelectedTemplateId('');
+    } catch (error) {
+      toast.error('Failed to delete template');
+    }
+  };
+
+  // With a template picked, moving the start date moves the rest of its timeline too
+  const handleStartDateChange = (e) => {
+    handleInputChange(e);
+    if (selectedTemplateId && e.target.value) {
+      applyTemplate(selectedTemplateId, e.target.value, { timelineOnly: true });
+    }
+  };
+
   const handleInputChange = (e) => {
     const { name, value, type } = e.target;
     
@@ -44,6 +126,37 @@ const CreateCampaignModal = ({ isOpen, onClose, onCampaignCreated }) => {
     }
   };
 
+  const handleEligibilityChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, eligibility: { ...prev.eligibility, [name]: value } }));
+  };
+
+  const toggleEligiblePlatform = (platform) => {
+    setFormData(prev => {
+      const { platforms } = prev.eligibility;
+      return {
+        ...prev,
+        eligibility: {
+          ...prev.eligibility,
+          platforms: platforms.includes(platform) ? platforms.filter(item => item !== platform) : [...platforms, platform]
+        }
+      };
+    });
+  };
+
+  // Only send the requirements the brand actually filled in
+  const buildEligibility = ({ minFollowers, minEngagementRate, platforms, regions }) => {
+    const eligibility = {
+      ...(minFollowers && { minFollowers: parseInt(minFollowers, 10) }),
+      ...(minEngagementRate && { minEngagementRate: parseFloat(minEngagementRate) }),
+      ...(platforms.length && { platforms }),
+      ...(regions.trim() && {
+        regions: regions.split(',').map(region => region.trim().toUpperCase()).filter(Boolean)
+      })
+    };
+    return Object.keys(eligibility).length ? eligibility : null;
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -52,11 +165,25 @@ const CreateCampaignModal = ({ isOpen, onClose, onCampaignCreated }) => {
       const response = await campaignsAPI.create({
         ...formData,
         budget: parseFloat(formData.budget),
-        targetEngagementRate: formData.targetEngagementRate ? parseFloat(formData.targetEngagementRate) : null
+        targetEngagementRate: formData.targetEngagementRate ? parseFloat(formData.targetEngagementRate) : null,
+        contentDueDays: formData.contentDueDays ? parseInt(formData.contentDueDays, 10) : null,
+        eligibility: buildEligibility(formData.eligibility)
       });
 
       toast.success('Campaign created successfully!');
       onCampaignCreated && onCampaignCreated(response.campaign);
+
+      if (templateName.trim()) {
+        try {
+          const saved = await campaignsAPI.saveTemplate({ name: templateName.trim(), campaignId: response.campaign.id });
+          setTemplates(prev => [saved.template, ...prev]);
+          toast.success('Template saved');
+        } catch (error) {
+          toast.error('Campaign created, but the template could not be saved');
+        }
+      }
+      setSelectedTemplateId('');
+      setTemplateName('');
       onClose();
       
       // Reset form
@@ -74,7 +201,12 @@ const CreateCampaignModal = ({ isOpen, onClose, onCampaignCreated }) => {
         },
         applicationDeadline: '',
         campaignStartDate: '',
-        campaignEndDate: ''
+        campaignEndDate: '',
+        contentDueDays: '',
+        customLandingPage: '',
+        utmParameters: {},
+        visibility: 'public',
+        eligibility: { minFollowers: '', minEngagementRate: '', platforms: [], regions: '' }
       });
 
     } catch (error) {
@@ -106,6 +238,43 @@ const CreateCampaignModal = ({ isOpen, onClose, onCampaignCreated }) => {
           </div>
 
           <form onSubmit={handleSubmit} className="space-y-6">
+            {/* Template Gallery */}
+            {templates.length > 0 && (
+              <div>
+                <h4 className="text-md font-medium text-gray-900 mb-2">Start from a template</h4>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                  {templates.map(template => (
+                    <div
+                      key={template.id}
+                      className={`relative rounded-md border p-3 text-left ${
+                        selectedTemplateId === template.id ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:border-gray-300'
+                      }`}
+                    >
+                      <button type="button" onClick={() => handleTemplateSelect(template.id)} className="w-full text-left">
+                        <p className="text-sm font-medium text-gray-900">{template.name}</p>
+                        <p className="text-xs text-gray-500 line-clamp-2">
+                          {template.description || template.settings?.title || 'Saved campaign setup'}
+                        </p>
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleTemplateDelete(template.id)}
+                        className="absolute top-2 right-2 text-gray-400 hover:text-red-600"
+                        title="Delete template"
+                      >
+                        <XMarkIcon className="h-4 w-4" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                {selectedTemplateId && (
+                  <p className="mt-2 text-xs text-gray-500">
+                    Pick a start date below and the template&apos;s deadlines move with it.
+                  </p>
+                )}
+              </div>
+            )}
+
             {/* Basic Info */}
             <div className="grid grid-cols-1 gap-6">
               <div>
@@ -226,6 +395,121 @@ const CreateCampaignModal = ({ isOpen, onClose, onCampaignCreated }) => {
               </div>
             </div>
 
+            {/* Tracking */}
+            <div>
+              <h4 className="text-md font-medium text-gray-900 mb-4">Tracking</h4>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                  <label htmlFor="customLandingPage" className="block text-sm font-medium text-gray-700">
+                    Landing Page URL
+                  </label>
+                  <input
+                    type="url"
+                    name="customLandingPage"
+                    value={formData.customLandingPage}
+                    onChange={handleInputChange}
+                    className="input-field mt-1"
+                    placeholder="https://yourbrand.com/summer"
+                  />
+                  <p className="mt-1 text-xs text-gray-500">Each approved influencer gets a tracked short link to this page.</p>
+                </div>
+                <div>
+                  <label htmlFor="utmParameters.utm_campaign" className="block text-sm font-medium text-gray-700">
+                    UTM Campaign
+                  </label>
+                  <input
+                    type="text"
+                    name="utmParameters.utm_campaign"
+                    value={formData.utmParameters.utm_campaign || ''}
+                    onChange={handleInputChange}
+                    className="input-field mt-1"
+                    placeholder="summer_launch"
+                  />
+                </div>
+              </div>
+            </div>
+
+            {/* Visibility & Eligibility */}
+            <div>
+              <h4 className="text-md font-medium text-gray-900 mb-4">Visibility &amp; Eligibility</h4>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div className="md:col-span-2">
+                  <label htmlFor="visibility" className="block text-sm font-medium text-gray-700">
+                    Who can find this campaign
+                  </label>
+                  <select
+                    name="visibility"
+                    value={formData.visibility}
+                    onChange={handleInputChange}
+                    className="input-field mt-1"
+                  >
+                    {VISIBILITY_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="minFollowers" className="block text-sm font-medium text-gray-700">
+                    Required Followers
+                  </label>
+                  <input
+                    type="number"
+                    name="minFollowers"
+                    min="0"
+                    value={formData.eligibility.minFollowers}
+                    onChange={handleEligibilityChange}
+                    className="input-field mt-1"
+                    placeholder="No minimum"
+                  />
+                </div>
+                <div>
+                  <label htmlFor="minEngagementRate" className="block text-sm font-medium text-gray-700">
+                    Required Engagement Rate (%)
+                  </label>
+                  <input
+                    type="number"
+                    name="minEngagementRate"
+                    min="0"
+                    max="100"
+                    step="0.1"
+                    value={formData.eligibility.minEngagementRate}
+                    onChange={handleEligibilityChange}
+                    className="input-field mt-1"
+                    placeholder="No minimum"
+                  />
+                </div>
+                <div className="md:col-span-2">
+                  <p className="block text-sm font-medium text-gray-700">Required Platforms</p>
+                  <div className="mt-2 flex flex-wrap gap-3">
+                    {ELIGIBLE_PLATFORMS.map(platform => (
+                      <label key={platform} className="inline-flex items-center text-sm text-gray-700 capitalize">
+                        <input
+                          type="checkbox"
+                          checked={formData.eligibility.platforms.includes(platform)}
+                          onChange={() => toggleEligiblePlatform(platform)}
+                          className="mr-1 h-4 w-4 text-blue-600 border-gray-300 rounded"
+                        />
+                        {platform}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+                <div className="md:col-span-2">
+                  <label htmlFor="regions" className="block text-sm font-medium text-gray-700">
+                    Regions
+                  </label>
+                  <input
+                    type="text"
+                    name="regions"
+                    value={formData.eligibility.regions}
+                    onChange={handleEligibilityChange}
+                    className="input-field mt-1"
+                    placeholder="Country codes, e.g. US, GB, IN (leave empty for worldwide)"
+                  />
+                </div>
+              </div>
+            </div>
+
             {/* Timeline */}
             <div>
               <h4 className="text-md font-medium text-gray-900 mb-4">Campaign Timeline</h4>
@@ -250,13 +534,44 @@ const CreateCampaignModal = ({ isOpen, onClose, onCampaignCreated }) => {
                     type="date"
                     name="campaignStartDate"
                     value={formData.campaignStartDate}
+                    onChange={handleStartDateChange}
+                    className="input-field mt-1"
+                  />
+                </div>
+                <div>
+                  <label htmlFor="contentDueDays" className="block text-sm font-medium text-gray-700">
+                    Content Due (days after product delivery)
+                  </label>
+                  <input
+                    type="number"
+                    name="contentDueDays"
+                    min="1"
+                    max="365"
+                    value={formData.contentDueDays}
                     onChange={handleInputChange}
                     className="input-field mt-1"
+                    placeholder="Leave empty unless you ship products"
                   />
                 </div>
               </div>
             </div>
 
+            {/* Save as Template */}
+            <div>
+              <label htmlFor="templateName" className="block text-sm font-medium text-gray-700">
+                Save as template (optional)
+              </label>
+              <input
+                type="text"
+                id="templateName"
+                maxLength={100}
+                value={templateName}
+                onChange={(e) => setTemplateName(e.target.value)}
+                className="input-field mt-1"
+                placeholder="e.g. Seasonal summer push"
+              />
+            </div>
+
             {/* Form Actions */}
             <div className="flex justify-end space-x-4 pt-4">
               <button
@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import { campaignsAPI, invitationsAPI } from '../../services/api';
+import toast from 'react-hot-toast';
+
+const InviteInfluencersModal = ({ isOpen, onClose, influencers = [], onInvited }) => {
+  const [loading, setLoading] = useState(false);
+  const [campaigns, setCampaigns] = useState([]);
+  const [formData, setFormData] = useState({
+    campaignId: '',
+    offeredRate: '',
+    message: ''
+  });
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    campaignsAPI.getAll({ status: 'active', limit: 100 })
+      .then((response) => {
+        setCampaigns(response.campaigns || []);
+        setFormData(prev => ({
+          ...prev,
+          campaignId: prev.campaignId || response.campaigns?.[0]?.id || ''
+        }));
+      })
+      .catch(() => toast.error('Failed to load your campaigns'));
+  }, [isOpen]);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const selectedCampaign = campaigns.find(campaign => campaign.id === formData.campaignId);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await invitationsAPI.send({
+        campaignId: formData.campaignId,
+        influencerIds: influencers.map(influencer => influencer.id),
+        offeredRate: parseFloat(formData.offeredRate),
+        message: formData.message || undefined
+      });
+
+      toast.success(response.message);
+      response.skipped.forEach(({ influencerId, reason }) => {
+        const influencer = influencers.find(item => item.id === influencerId);
+        toast(`${influencer?.name || 'Influencer'}: ${reason}`);
+      });
+
+      onInvited && onInvited(response.invitations);
+      onClose();
+      setFormData(prev => ({ ...prev, offeredRate: '', message: '' }));
+
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to send invitations';
+      toast.error(errorMessage);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 text-center sm:block sm:p-0">
+        <div className="fixed inset-0 transition-opacity bg-gray-500 bg-opacity-75" onClick={onClose}></div>
+
+        <div className="inline-block w-full max-w-lg p-6 my-8 text-left align-middle transition-all transform bg-white shadow-xl rounded-lg">
+          <div className="flex items-center justify-between mb-6">
+            <h3 className="text-lg font-medium text-gray-900">
+              Invite {influencers.length === 1 ? influencers[0].name : `${influencers.length} influencers`}
+            </h3>
+            <button
+              onClick={onClose}
+              className="text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              <XMarkIcon className="h-6 w-6" />
+            </button>
+          </div>
+
+          {campaigns.length === 0 ? (
+            <p className="text-sm text-gray-600">
+              You need an active campaign before you can invite influencers.
+            </p>
+          ) : (
+            <form onSubmit={handleSubmit} className="space-y-6">
+              <div>
+                <label htmlFor="campaignId" className="block text-sm font-medium text-gray-700">
+                  Campaign *
+                </label>
+                <select
+                  id="campaignId"
+                  name="campaignId"
+                  required
+                  value={formData.campaignId}
+                  onChange={handleInputChange}
+                  className="input-field mt-1"
+                >
+                  {campaigns.map(campaign => (
+                    <option key={campaign.id} value={campaign.id}>{campaign.title}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label htmlFor="offeredRate" className="block text-sm font-medium text-gray-700">
+                  Offered Rate ({selectedCampaign?.currency || 'USD'}) *
+                </label>
+                <input
+                  type="number"
+                  id="offeredRate"
+                  name="offeredRate"
+                  required
+                  min="0.01"
+                  step="0.01"
+                  value={formData.offeredRate}
+                  onChange={handleInputChange}
+                  className="input-field mt-1"
+                  placeholder={selectedCampaign?.budgetPerInfluencer || '250'}
+                />
+              </div>
+
+              <div>
+                <label htmlFor="message" className="block text-sm font-medium text-gray-700">
+                  Personal Message
+                </label>
+                <textarea
+                  id="message"
+                  name="message"
+                  rows="4"
+                  maxLength={2000}
+                  value={formData.message}
+                  onChange={handleInputChange}
+                  className="input-field mt-1"
+                  placeholder="Tell them why they are a great fit for this campaign..."
+                />
+              </div>
+
+              <div className="flex justify-end space-x-3">
+                <button
+                  type="button"
+                  onClick={onClose}
+                  className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {loading ? 'Sending...' : 'Send Invitation'}
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InviteInfluencersModal;
@@ -55,6 +55,9 @@ export const AuthProvider = ({ children }) => {
     setLoading(true);
     try {
       const response = await authAPI.login({ email, password });
+      if (response.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: response.challengeToken };
+      }
       setUser(response.user);
       return { success: true, user: response.user };
     } catch (error) {
@@ -84,6 +87,22 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const verifyTwoFactorLogin = async (challengeToken, code) => {
+    setLoading(true);
+    try {
+      // Backup codes are alphanumeric, authenticator codes are 6 digits
+      const payload = /^\d{6}$/.test(code) ? { token: code } : { backupCode: code };
+      const response = await authAPI.verifyTwoFactorLogin({ challengeToken, ...payload });
+      setUser(response.user);
+      return { success: true, user: response.user, backupCodesRemaining: response.backupCodesRemaining };
+    } catch (error) {
+      const errorResult = apiUtils.handleApiError(error);
+      return { success: false, error: errorResult.error };
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const logout = async () => {
     try {
       await authAPI.logout();
@@ -99,6 +118,9 @@ export const AuthProvider = ({ children }) => {
     setLoading(true);
     try {
       const response = await authAPI.googleLogin({ credential, role: userType });
+      if (response.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: response.challengeToken };
+      }
       setUser(response.user);
       return { success: true, user: response.user };
     } catch (error) {
@@ -113,6 +135,7 @@ export const AuthProvider = ({ children }) => {
     user,
     loading,
     login,
+    verifyTwoFactorLogin,
     register,
     logout,
     googleLogin,
@@ -71,7 +71,7 @@ const AnalyticsPage = () => {
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD'
+      currency: dashboardStats?.currency || 'USD'
     }).format(amount || 0);
   };
 
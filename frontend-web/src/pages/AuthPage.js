@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { GoogleLogin, GoogleOAuthProvider } from '@react-oauth/google';
 import { useAuth } from '../contexts/AuthContext';
+import { authAPI, apiUtils } from '../services/api';
 import toast from 'react-hot-toast';
 
 const AuthPage = () => {
@@ -13,8 +14,10 @@ const AuthPage = () => {
     password: '',
     confirmPassword: ''
   });
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
   
-  const { login, register, loading, googleLogin } = useAuth();
+  const { login, register, loading, googleLogin, verifyTwoFactorLogin } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
   
@@ -43,7 +46,9 @@ const AuthPage = () => {
         result = await register(formData.name, formData.email, formData.password, userType);
       }
 
-      if (result.success) {
+      if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+      } else if (result.success) {
         toast.success(isLogin ? 'Welcome back!' : 'Account created successfully!');
         navigate(from, { replace: true });
       } else {
@@ -57,7 +62,9 @@ const AuthPage = () => {
   const handleGoogleSuccess = async (credentialResponse) => {
     try {
       const result = await googleLogin(credentialResponse.credential, userType);
-      if (result.success) {
+      if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+      } else if (result.success) {
         toast.success('Welcome! Signed in with Google successfully.');
         navigate(from, { replace: true });
       } else {
@@ -72,6 +79,97 @@ const AuthPage = () => {
     toast.error('Google sign-in was cancelled or failed');
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+
+    const result = await verifyTwoFactorLogin(challengeToken, twoFactorCode.trim());
+    if (result.success) {
+      if (result.backupCodesRemaining !== undefined) {
+        toast(`Backup code used. ${result.backupCodesRemaining} remaining.`);
+      }
+      toast.success('Welcome back!');
+      navigate(from, { replace: true });
+    } else {
+      toast.error(result.error || 'Invalid authentication code');
+    }
+  };
+
+  const handleForgotPassword = async () => {
+    if (!formData.email) {
+      toast.error('Enter your email address first');
+      return;
+    }
+
+    try {
+      const data = await authAPI.forgotPassword(formData.email);
+      toast.success(data.message);
+    } catch (error) {
+      toast.error(apiUtils.handleApiError(error).error);
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setChallengeToken(null);
+    setTwoFactorCode('');
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <Link to="/" className="flex justify-center">
+              <h1 className="text-3xl font-bold text-blue-600">NanoInfluencer</h1>
+            </Link>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+              Two-factor authentication
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              Enter the 6-digit code from your authenticator app, or one of your backup codes.
+            </p>
+          </div>
+
+          <form className="mt-8 space-y-6" onSubmit={handleTwoFactorSubmit}>
+            <div>
+              <label htmlFor="twoFactorCode" className="block text-sm font-medium text-gray-700">
+                Authentication Code
+              </label>
+              <input
+                id="twoFactorCode"
+                name="twoFactorCode"
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                required
+                autoFocus
+                value={twoFactorCode}
+                onChange={(e) => setTwoFactorCode(e.target.value)}
+                className="input-field mt-1 tracking-widest text-center"
+                placeholder="123456"
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading || !twoFactorCode.trim()}
+              className="w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+
+            <button
+              type="button"
+              onClick={cancelTwoFactor}
+              className="w-full text-sm font-medium text-blue-600 hover:text-blue-500"
+            >
+              Back to sign in
+            </button>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -207,7 +305,7 @@ const AuthPage = () => {
                 </label>
               </div>
               <div className="text-sm">
-                <button type="button" className="font-medium text-blue-600 hover:text-blue-500">
+                <button type="button" onClick={handleForgotPassword} className="font-medium text-blue-600 hover:text-blue-500">
                   Forgot your password?
                 </button>
               </div>
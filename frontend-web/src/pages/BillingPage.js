@@ -0,0 +1,299 @@
+import React, { useState, useEffect } from 'react';
+import { loadStripe } from '@stripe/stripe-js';
+import { Elements, CardElement, useStripe, useElements } from '@stripe/react-stripe-js';
+import { CheckCircleIcon, CreditCardIcon } from '@heroicons/react/24/outline';
+import paymentService from '../services/paymentService';
+import { apiUtils } from '../services/api';
+import toast from 'react-hot-toast';
+
+const stripePromise = loadStripe(process.env.REACT_APP_STRIPE_PUBLISHABLE_KEY);
+
+const LIMIT_LABELS = {
+  campaignsPerMonth: 'New campaigns per month',
+  searchResultDepth: 'Influencer search results',
+  analyticsHistoryDays: 'Analytics history (days)',
+  invitationsPerMonth: 'Influencer invitations per month'
+};
+
+// Limits shown against this month's usage
+const USAGE_KEYS = {
+  campaignsPerMonth: 'campaignsThisMonth',
+  invitationsPerMonth: 'invitationsThisMonth'
+};
+
+const formatLimit = (value) => (value === null || value === undefined ? 'Unlimited' : value);
+
+const formatPrice = (amount, currency = 'usd') => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: currency.toUpperCase()
+  }).format(amount || 0);
+};
+
+/**
+ * Card form that confirms the first invoice of a new subscription
+ */
+const SubscribeForm = ({ tier, onSubscribed, onCancel }) => {
+  const stripe = useStripe();
+  const elements = useElements();
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!stripe || !elements) {
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const response = await paymentService.subscribe(tier.id);
+
+      if (response.data.clientSecret) {
+        const { error } = await stripe.confirmCardPayment(response.data.clientSecret, {
+          payment_method: { card: elements.getElement(CardElement) }
+        });
+        if (error) {
+          throw error;
+        }
+      }
+
+      toast.success(`Subscribed to ${tier.name}`);
+      onSubscribed();
+    } catch (error) {
+      toast.error(error.response ? apiUtils.handleApiError(error).error : error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-6 space-y-4">
+      <h3 className="text-lg font-medium text-gray-900">
+        Subscribe to {tier.name} — {formatPrice(tier.price, tier.currency)}/{tier.interval}
+      </h3>
+      <div className="border border-gray-300 rounded-md p-3">
+        <CardElement />
+      </div>
+      <div className="flex space-x-3">
+        <button
+          type="submit"
+          disabled={!stripe || submitting}
+          className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+        >
+          {submitting ? 'Processing...' : 'Subscribe'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const BillingPage = () => {
+  const [loading, setLoading] = useState(true);
+  const [tiers, setTiers] = useState([]);
+  const [plan, setPlan] = useState(null);
+  const [selectedTier, setSelectedTier] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetchBilling();
+  }, []);
+
+  const fetchBilling = async () => {
+    try {
+      setLoading(true);
+      const [tiersResponse, planResponse] = await Promise.all([
+        paymentService.getSubscriptionTiers(),
+        paymentService.getSubscription()
+      ]);
+      setTiers(tiersResponse.data.tiers);
+      setPlan(planResponse.data);
+    } catch (error) {
+      toast.error(apiUtils.handleApiError(error).error || 'Failed to load billing');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubscribed = () => {
+    setSelectedTier(null);
+    fetchBilling();
+  };
+
+  const handleChangePlan = async (tier) => {
+    try {
+      setSubmitting(true);
+      await paymentService.changeSubscription(tier.id);
+      toast.success(`Switched to ${tier.name}`);
+      fetchBilling();
+    } catch (error) {
+      toast.error(apiUtils.handleApiError(error).error);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!window.confirm('Cancel your subscription at the end of the current billing period?')) {
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      await paymentService.cancelSubscription();
+      toast.success('Your subscription will end at the close of this billing period');
+      fetchBilling();
+    } catch (error) {
+      toast.error(apiUtils.handleApiError(error).error);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleOpenPortal = async () => {
+    try {
+      setSubmitting(true);
+      const response = await paymentService.openBillingPortal();
+      window.location.assign(response.data.url);
+    } catch (error) {
+      toast.error(apiUtils.handleApiError(error).error);
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  const subscription = plan?.subscription;
+  const currentTier = tiers.find(tier => tier.id === plan?.tier);
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Billing</h1>
+        <p className="text-gray-600">Choose the plan that fits your campaigns</p>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">
+              Current plan: {currentTier ? currentTier.name : 'Free'}
+            </h3>
+            {subscription?.cancelAtPeriodEnd && (
+              <p className="text-sm text-yellow-700">
+                Ends on {new Date(subscription.currentPeriodEnd).toLocaleDateString()}
+              </p>
+            )}
+            {subscription?.status === 'past_due' && (
+              <p className="text-sm text-red-700">Your last payment failed. Update your payment method to keep your plan.</p>
+            )}
+          </div>
+          {subscription && (
+            <div className="flex space-x-3">
+              <button
+                onClick={handleOpenPortal}
+                disabled={submitting}
+                className="flex items-center px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+              >
+                <CreditCardIcon className="h-4 w-4 mr-2" />
+                Manage Billing
+              </button>
+              {!subscription.cancelAtPeriodEnd && (
+                <button
+                  onClick={handleCancel}
+                  disabled={submitting}
+                  className="px-4 py-2 border border-red-300 rounded-md text-sm font-medium text-red-700 bg-white hover:bg-red-50 disabled:opacity-50"
+                >
+                  Cancel Plan
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+
+        <dl className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+          {Object.entries(LIMIT_LABELS).map(([key, label]) => (
+            <div key={key} className="bg-gray-50 rounded-lg p-4">
+              <dt className="text-sm text-gray-600">{label}</dt>
+              <dd className="text-xl font-semibold text-gray-900">
+                {USAGE_KEYS[key] && plan?.limits[key] !== null
+                  ? `${plan.usage[USAGE_KEYS[key]]} / ${plan.limits[key]}`
+                  : formatLimit(plan?.limits[key])}
+              </dd>
+            </div>
+          ))}
+        </dl>
+      </div>
+
+      {selectedTier && (
+        <Elements stripe={stripePromise}>
+          <SubscribeForm
+            tier={selectedTier}
+            onSubscribed={handleSubscribed}
+            onCancel={() => setSelectedTier(null)}
+          />
+        </Elements>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        {tiers.map((tier) => {
+          const isCurrent = tier.id === plan?.tier;
+
+          return (
+            <div
+              key={tier.id}
+              className={`bg-white rounded-lg shadow p-6 flex flex-col ${isCurrent ? 'ring-2 ring-blue-600' : ''}`}
+            >
+              <h3 className="text-lg font-medium text-gray-900">{tier.name}</h3>
+              <p className="mt-2 text-3xl font-bold text-gray-900">
+                {formatPrice(tier.price, tier.currency)}
+                <span className="text-sm font-normal text-gray-500">/{tier.interval}</span>
+              </p>
+              <p className="mt-1 text-sm text-gray-500">
+                {(tier.commissionRate * 100).toFixed(0)}% platform commission
+              </p>
+
+              <ul className="mt-4 space-y-2 flex-1">
+                {tier.features.map((feature) => (
+                  <li key={feature} className="flex items-start text-sm text-gray-700">
+                    <CheckCircleIcon className="h-5 w-5 text-green-500 mr-2 flex-shrink-0" />
+                    {feature}
+                  </li>
+                ))}
+                {Object.entries(LIMIT_LABELS).map(([key, label]) => (
+                  <li key={key} className="text-sm text-gray-500">
+                    {label}: {formatLimit(tier.limits[key])}
+                  </li>
+                ))}
+              </ul>
+
+              <button
+                onClick={() => (subscription ? handleChangePlan(tier) : setSelectedTier(tier))}
+                disabled={submitting || !tier.available || (isCurrent && !subscription?.cancelAtPeriodEnd)}
+                className="mt-6 px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+              >
+                {isCurrent
+                  ? (subscription?.cancelAtPeriodEnd ? 'Resume Plan' : 'Current Plan')
+                  : (subscription ? `Switch to ${tier.name}` : `Choose ${tier.name}`)}
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default BillingPage;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { 
   PlusIcon, 
   MagnifyingGlassIcon, 
@@ -6,6 +6,9 @@ import {
   EyeIcon,
   PencilIcon,
   TrashIcon,
+  DocumentDuplicateIcon,
+  ArrowUpTrayIcon,
+  GiftIcon,
   CalendarIcon,
   CurrencyDollarIcon,
   UsersIcon
@@ -71,6 +74,64 @@ const CampaignsPage = () => {
     }
   };
 
+  const handleDuplicateCampaign = async (campaign) => {
+    const startDate = window.prompt(
+      `New start date for a copy of "${campaign.title}" (YYYY-MM-DD). The timeline moves with it; leave empty to set dates later.`
+    );
+    if (startDate === null) return;
+
+    try {
+      const response = await campaignsAPI.duplicate(campaign.id, {
+        campaignStartDate: startDate.trim() || undefined
+      });
+      handleCampaignCreated(response.campaign);
+      toast.success('Campaign duplicated as a draft');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to duplicate campaign');
+    }
+  };
+
+  const handleAddProduct = async (campaign) => {
+    const name = window.prompt(`Product to send influencers of "${campaign.title}"`);
+    if (!name || !name.trim()) return;
+    const variantNames = window.prompt('Variants, comma separated (e.g. S, M, L). Leave empty if there are none.') || '';
+
+    const variants = variantNames.split(',')
+      .map(variant => variant.trim())
+      .filter(Boolean)
+      .map(variant => ({ sku: variant.toUpperCase().replace(/[^A-Z0-9]+/g, '-'), name: variant }));
+
+    try {
+      await campaignsAPI.addProduct(campaign.id, { name: name.trim(), variants });
+      toast.success('Product added. Accepted influencers can now request it.');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add product');
+    }
+  };
+
+  const importInputRef = useRef(null);
+  const [importCampaignId, setImportCampaignId] = useState(null);
+
+  const handleImportClick = (campaign) => {
+    setImportCampaignId(campaign.id);
+    importInputRef.current?.click();
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file || !importCampaignId) return;
+
+    try {
+      const { result } = await campaignsAPI.importConversions(importCampaignId, await file.text());
+      toast.success(
+        `${result.imported} orders imported (${result.duplicates} duplicate, ${result.unmatched} without a known code, ${result.invalid} invalid)`
+      );
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to import orders');
+    }
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'active': return 'bg-green-100 text-green-800';
@@ -224,14 +285,35 @@ const CampaignsPage = () => {
                     }`}>
                       {campaign.status.charAt(0).toUpperCase() + campaign.status.slice(1)}
                     </span>
+                    {campaign.visibility && campaign.visibility !== 'public' && (
+                      <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
+                        {campaign.visibility === 'invite_only' ? 'Invite-only' : 'Unlisted'}
+                      </span>
+                    )}
                   </div>
-                  <p className="text-gray-600 text-sm mb-3 line-clamp-2">
-                    {campaign.description}
-                  </p>
+                  {campaign.preview ? (
+                    <div className="mb-3">
+                      {/* Ineligible influencers only get a preview; the brief is never sent */}
+                      <p aria-hidden="true" className="text-gray-600 text-sm line-clamp-2 blur-sm select-none">
+                        This brief is only visible to influencers who meet the campaign requirements.
+                      </p>
+                      <ul className="mt-2 text-xs text-amber-700 list-disc list-inside">
+                        {campaign.viewerEligibility.reasons.map(reason => (
+                          <li key={reason}>{reason}</li>
+                        ))}
+                      </ul>
+                    </div>
+                  ) : (
+                    <p className="text-gray-600 text-sm mb-3 line-clamp-2">
+                      {campaign.description}
+                    </p>
+                  )}
                   <div className="flex flex-wrap gap-4 text-sm text-gray-500">
                     <div className="flex items-center">
                       <CurrencyDollarIcon className="h-4 w-4 mr-1" />
-                      {formatCurrency(campaign.budget, campaign.currency)}
+                      {campaign.preview
+                        ? <span className="blur-sm select-none">{formatCurrency(0, campaign.currency)}</span>
+                        : formatCurrency(campaign.budget, campaign.currency)}
                     </div>
                     <div className="flex items-center">
                       <UsersIcon className="h-4 w-4 mr-1" />
@@ -252,6 +334,29 @@ const CampaignsPage = () => {
                       <button className="p-2 text-gray-400 hover:text-green-600 transition-colors">
                         <PencilIcon className="h-5 w-5" />
                       </button>
+                      <button
+                        onClick={() => handleDuplicateCampaign(campaign)}
+                        title="Duplicate"
+                        className="p-2 text-gray-400 hover:text-purple-600 transition-colors"
+                      >
+                        <DocumentDuplicateIcon className="h-5 w-5" />
+                      </button>
+                      <button
+                        onClick={() => handleAddProduct(campaign)}
+                        title="Add product to send"
+                        className="p-2 text-gray-400 hover:text-pink-600 transition-colors"
+                      >
+                        <GiftIcon className="h-5 w-5" />
+                      </button>
+                      {campaign.goal === 'conversions' && (
+                        <button
+                          onClick={() => handleImportClick(campaign)}
+                          title="Import store orders (CSV)"
+                          className="p-2 text-gray-400 hover:text-indigo-600 transition-colors"
+                        >
+                          <ArrowUpTrayIcon className="h-5 w-5" />
+                        </button>
+                      )}
                       <button 
                         onClick={() => handleDeleteCampaign(campaign.id)}
                         className="p-2 text-gray-400 hover:text-red-600 transition-colors"
@@ -321,6 +426,14 @@ const CampaignsPage = () => {
         </div>
       )}
 
+      <input
+        ref={importInputRef}
+        type="file"
+        accept=".csv,text/csv"
+        className="hidden"
+        onChange={handleImportFile}
+      />
+
       {/* Create Campaign Modal */}
       <CreateCampaignModal 
         isOpen={showCreateModal}
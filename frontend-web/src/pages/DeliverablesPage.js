@@ -0,0 +1,693 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { applicationsAPI, campaignsAPI, deliverablesAPI, shipmentsAPI, apiUtils } from '../services/api';
+import { ChatBubbleLeftIcon, DocumentDuplicateIcon, LinkIcon, TagIcon, TruckIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+
+const STATUS_STYLES = {
+  submitted: 'bg-blue-100 text-blue-800',
+  needs_revision: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  published: 'bg-purple-100 text-purple-800'
+};
+
+const formatStatus = (status) => (status || '').replace('_', ' ');
+
+const formatTimestamp = (seconds) => {
+  const total = Math.floor(Number(seconds));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Line diff of two captions (longest common subsequence), as rows for each side
+ */
+const diffLines = (before = '', after = '') => {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const left = [];
+  const right = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      left.push({ text: a[i++], type: 'same' });
+      right.push({ text: b[j++], type: 'same' });
+    } else if (j < b.length && (i >= a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      right.push({ text: b[j++], type: 'added' });
+    } else {
+      left.push({ text: a[i++], type: 'removed' });
+    }
+  }
+  return { left, right };
+};
+
+const LINE_STYLES = {
+  same: 'text-gray-700',
+  added: 'bg-green-50 text-green-800',
+  removed: 'bg-red-50 text-red-800 line-through'
+};
+
+const ASSET_BADGES = {
+  added: 'bg-green-100 text-green-800',
+  removed: 'bg-red-100 text-red-800'
+};
+
+/**
+ * One side of the comparison: caption lines, files and the comments left on that version
+ */
+const VersionColumn = ({ version, lines, assetChanges, changeType }) => {
+  const changedKeys = new Set((assetChanges || []).map(asset => asset.uploadKey));
+  const assetName = (assetId) => version.assets.find(asset => asset.id === assetId)?.fileName || 'file';
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <h4 className="font-medium text-gray-900">Version {version.version}</h4>
+        <span className={`px-2 py-1 text-xs rounded-full capitalize ${STATUS_STYLES[version.status] || ''}`}>
+          {formatStatus(version.status)}
+        </span>
+      </div>
+
+      <div className="font-mono text-sm whitespace-pre-wrap">
+        {lines.map((line, index) => (
+          <div key={index} className={`px-2 ${LINE_STYLES[line.type]}`}>{line.text || ' '}</div>
+        ))}
+      </div>
+
+      {version.contentUrl && (
+        <a href={version.contentUrl} target="_blank" rel="noopener noreferrer" className="text-sm text-blue-600 hover:underline break-all">
+          {version.contentUrl}
+        </a>
+      )}
+
+      <div className="grid grid-cols-2 gap-2">
+        {version.assets.map(asset => (
+          <div key={asset.id} className="border border-gray-100 rounded p-2 text-xs">
+            {asset.contentType?.startsWith('image/') && asset.downloadUrl && (
+              <img src={asset.downloadUrl} alt={asset.fileName} className="w-full h-24 object-cover rounded mb-1" />
+            )}
+            {asset.contentType?.startsWith('video/') && asset.downloadUrl && (
+              <video src={asset.downloadUrl} controls className="w-full h-24 rounded mb-1" />
+            )}
+            <div className="flex items-center justify-between">
+              <span className="truncate">{asset.fileName}</span>
+              {changedKeys.has(asset.uploadKey) && (
+                <span className={`ml-1 px-1 rounded ${ASSET_BADGES[changeType]}`}>{changeType}</span>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {version.reviewSummary && (
+        <p className="text-sm text-gray-600 italic">Review: {version.reviewSummary}</p>
+      )}
+
+      <div className="space-y-2">
+        {(version.comments || []).map(comment => (
+          <div key={comment.id} className="text-sm bg-gray-50 rounded p-2">
+            <div className="text-xs text-gray-500">
+              {comment.author?.name || comment.authorRole}
+              {comment.assetId && ` on ${assetName(comment.assetId)}`}
+              {comment.timestampSeconds !== null && comment.timestampSeconds !== undefined && ` at ${formatTimestamp(comment.timestampSeconds)}`}
+            </div>
+            <div className="text-gray-800">{comment.body}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Comment form anchored to the whole version, one of its files or a moment in a video
+ */
+const CommentForm = ({ deliverable, version, onAdded }) => {
+  const [body, setBody] = useState('');
+  const [assetId, setAssetId] = useState('');
+  const [timestamp, setTimestamp] = useState('');
+  const selectedAsset = version.assets.find(asset => asset.id === assetId);
+  const isVideo = Boolean(selectedAsset?.contentType?.startsWith('video/'));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await deliverablesAPI.addComment(deliverable.id, version.version, {
+        body,
+        assetId: assetId || null,
+        timestampSeconds: isVideo && timestamp !== '' ? Number(timestamp) : null
+      });
+      setBody('');
+      setTimestamp('');
+      onAdded();
+    } catch (error) {
+      toast.error(apiUtils.handleApiError(error).error);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-wrap items-end gap-2">
+      <textarea
+        rows={2}
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        placeholder={`Comment on version ${version.version}...`}
+        className="flex-1 min-w-[12rem] border-gray-300 rounded-md shadow-sm text-sm"
+        required
+      />
+      <select
+        value={assetId}
+        onChange={(e) => setAssetId(e.target.value)}
+        className="border-gray-300 rounded-md text-sm"
+      >
+        <option value="">Whole version</option>
+        {version.assets.map(asset => (
+          <option key={asset.id} value={asset.id}>{asset.fileName}</option>
+        ))}
+      </select>
+      {isVideo && (
+        <input
+          type="number"
+          min="0"
+          step="0.1"
+          value={timestamp}
+          onChange={(e) => setTimestamp(e.target.value)}
+          placeholder="Seconds"
+          className="w-24 border-gray-300 rounded-md text-sm"
+        />
+      )}
+      <button type="submit" className="inline-flex items-center px-3 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700">
+        <ChatBubbleLeftIcon className="h-4 w-4 mr-1" />
+        Comment
+      </button>
+    </form>
+  );
+};
+
+/**
+ * Brand decision on the latest submitted version
+ */
+const ReviewForm = ({ deliverable, version, revisionsLeft, onReviewed }) => {
+  const [summary, setSummary] = useState('');
+
+  const review = async (decision) => {
+    try {
+      await deliverablesAPI.reviewVersion(deliverable.id, version.version, { decision, summary: summary || undefined });
+      toast.success(`Version ${version.version} ${formatStatus(decision)}`);
+      setSummary('');
+      onReviewed();
+    } catch (error) {
+      toast.error(apiUtils.handleApiError(error).error);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <textarea
+        rows={2}
+        value={summary}
+        onChange={(e) => setSummary(e.target.value)}
+        placeholder="Summary of your feedback (required when requesting changes)"
+        className="w-full border-gray-300 rounded-md shadow-sm text-sm"
+      />
+      <div className="flex space-x-2">
+        <button onClick={() => review('approved')} className="px-3 py-2 rounded-md text-sm font-medium text-white bg-green-600 hover:bg-green-700">
+          Approve
+        </button>
+        <button
+          onClick={() => review('needs_revision')}
+          disabled={revisionsLeft <= 0}
+          className="px-3 py-2 rounded-md text-sm font-medium text-white bg-yellow-500 hover:bg-yellow-600 disabled:opacity-50"
+        >
+          Request changes ({revisionsLeft} left)
+        </button>
+        <button onClick={() => review('rejected')} className="px-3 py-2 rounded-md text-sm font-medium text-white bg-red-600 hover:bg-red-700">
+          Reject
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Influencer resubmission after changes were requested; files are carried over from the last version
+ */
+const RevisionForm = ({ deliverable, latest, onSubmitted }) => {
+  const [caption, setCaption] = useState(latest.caption || '');
+  const [contentUrl, setContentUrl] = useState(latest.contentUrl || '');
+  const [notes, setNotes] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await deliverablesAPI.submitRevision(deliverable.id, {
+        caption,
+        contentUrl: contentUrl || undefined,
+        notes: notes || undefined,
+        assets: latest.assets.map(({ uploadKey, fileName, contentType }) => ({ uploadKey, fileName, contentType }))
+      });
+      toast.success('Revision submitted');
+      onSubmitted();
+    } catch (error) {
+      toast.error(apiUtils.handleApiError(error).error);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <textarea rows={4} value={caption} onChange={(e) => setCaption(e.target.value)} className="w-full border-gray-300 rounded-md shadow-sm text-sm" />
+      <input type="url" value={contentUrl} onChange={(e) => setContentUrl(e.target.value)} placeholder="Preview link" className="w-full border-gray-300 rounded-md shadow-sm text-sm" />
+      <input type="text" value={notes} onChange={(e) => setNotes(e.target.value)} placeholder="What changed in this version?" className="w-full border-gray-300 rounded-md shadow-sm text-sm" />
+      <button type="submit" className="px-3 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700">
+        Submit version {latest.version + 1}
+      </button>
+    </form>
+  );
+};
+
+const DeliverableCard = ({ deliverable, maxRevisions, role, onChange }) => {
+  const versions = deliverable.versions;
+  const latest = versions[versions.length - 1];
+  const [toVersion, setToVersion] = useState(latest.version);
+  const [fromVersion, setFromVersion] = useState(Math.max(1, latest.version - 1));
+  const [changes, setChanges] = useState(null);
+
+  const from = versions.find(version => version.version === fromVersion) || versions[0];
+  const to = versions.find(version => version.version === toVersion) || latest;
+  const comparing = from.version !== to.version;
+  const lines = comparing
+    ? diffLines(from.caption, to.caption)
+    : { right: (to.caption || '').split('\n').map(text => ({ text, type: 'same' })) };
+
+  useEffect(() => {
+    setToVersion(latest.version);
+    setFromVersion(Math.max(1, latest.version - 1));
+  }, [latest.version]);
+
+  useEffect(() => {
+    if (!comparing) {
+      setChanges(null);
+      return;
+    }
+    deliverablesAPI.compareVersions(deliverable.id, { from: from.version, to: to.version })
+      .then(data => setChanges(data.changes))
+      .catch(() => setChanges(null));
+  }, [deliverable.id, from.version, to.version, comparing]);
+
+  const revisionsLeft = maxRevisions - (latest.version - 1);
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">{deliverable.title || `${deliverable.platform} ${deliverable.contentType}`}</h3>
+          <p className="text-sm text-gray-500 capitalize">
+            {deliverable.platform} {deliverable.contentType} &middot; version {deliverable.currentVersion} &middot; {Math.max(revisionsLeft, 0)} revision round(s) left
+          </p>
+        </div>
+        <span className={`px-2 py-1 text-xs rounded-full capitalize ${STATUS_STYLES[deliverable.status] || ''}`}>
+          {formatStatus(deliverable.status)}
+        </span>
+      </div>
+
+      {versions.length > 1 && (
+        <div className="flex items-center space-x-2 text-sm">
+          <DocumentDuplicateIcon className="h-4 w-4 text-gray-400" />
+          <span>Compare</span>
+          <select value={from.version} onChange={(e) => setFromVersion(Number(e.target.value))} className="border-gray-300 rounded-md text-sm">
+            {versions.map(version => <option key={version.id} value={version.version}>v{version.version}</option>)}
+          </select>
+          <span>with</span>
+          <select value={to.version} onChange={(e) => setToVersion(Number(e.target.value))} className="border-gray-300 rounded-md text-sm">
+            {versions.map(version => <option key={version.id} value={version.version}>v{version.version}</option>)}
+          </select>
+        </div>
+      )}
+
+      <div className={`grid gap-4 ${comparing ? 'grid-cols-1 md:grid-cols-2' : 'grid-cols-1'}`}>
+        {comparing && (
+          <VersionColumn version={from} lines={lines.left} assetChanges={changes?.assets.removed} changeType="removed" />
+        )}
+        <VersionColumn version={to} lines={lines.right} assetChanges={changes?.assets.added} changeType="added" />
+      </div>
+
+      <CommentForm deliverable={deliverable} version={to} onAdded={onChange} />
+
+      {role === 'brand' && latest.status === 'submitted' && (
+        <ReviewForm deliverable={deliverable} version={latest} revisionsLeft={revisionsLeft} onReviewed={onChange} />
+      )}
+
+      {role === 'influencer' && deliverable.status === 'needs_revision' && (
+        <RevisionForm deliverable={deliverable} latest={latest} onSubmitted={onChange} />
+      )}
+    </div>
+  );
+};
+
+/**
+ * The application's tracked short link and its counted clicks
+ */
+const TrackedLinkCard = ({ applicationId }) => {
+  const [link, setLink] = useState(null);
+
+  useEffect(() => {
+    applicationsAPI.getLink(applicationId)
+      .then(response => setLink(response.link))
+      .catch(() => setLink(null));
+  }, [applicationId]);
+
+  if (!link) return null;
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(link.shortUrl);
+    toast.success('Link copied');
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 flex items-center justify-between">
+      <div className="flex items-center min-w-0">
+        <LinkIcon className="h-5 w-5 text-gray-400 mr-3 flex-shrink-0" />
+        <div className="min-w-0">
+          <p className="text-sm font-medium text-gray-900 truncate">{link.shortUrl}</p>
+          <p className="text-xs text-gray-500">
+            {link.clickCount} click{link.clickCount === 1 ? '' : 's'}
+            {link.lastClickedAt && ` · last ${new Date(link.lastClickedAt).toLocaleDateString()}`}
+          </p>
+        </div>
+      </div>
+      <button
+        onClick={handleCopy}
+        className="ml-4 px-3 py-1.5 rounded-md text-sm font-medium text-gray-700 border border-gray-300 hover:bg-gray-50"
+      >
+        Copy
+      </button>
+    </div>
+  );
+};
+
+/**
+ * The application's promo code and the orders attributed to it (conversions campaigns only)
+ */
+const PromoCodeCard = ({ applicationId }) => {
+  const [promoCode, setPromoCode] = useState(null);
+
+  useEffect(() => {
+    applicationsAPI.getPromoCode(applicationId)
+      .then(response => setPromoCode(response.promoCode))
+      .catch(() => setPromoCode(null));
+  }, [applicationId]);
+
+  if (!promoCode) return null;
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(promoCode.code);
+    toast.success('Code copied');
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 flex items-center justify-between">
+      <div className="flex items-center min-w-0">
+        <TagIcon className="h-5 w-5 text-gray-400 mr-3 flex-shrink-0" />
+        <div className="min-w-0">
+          <p className="text-sm font-medium text-gray-900 font-mono">{promoCode.code}</p>
+          <p className="text-xs text-gray-500">
+            {promoCode.conversionCount} order{promoCode.conversionCount === 1 ? '' : 's'} attributed
+          </p>
+        </div>
+      </div>
+      <button
+        onClick={handleCopy}
+        className="ml-4 px-3 py-1.5 rounded-md text-sm font-medium text-gray-700 border border-gray-300 hover:bg-gray-50"
+      >
+        Copy
+      </button>
+    </div>
+  );
+};
+
+const SHIPMENT_STATUS_STYLES = {
+  awaiting_shipment: 'bg-gray-100 text-gray-800',
+  shipped: 'bg-blue-100 text-blue-800',
+  in_transit: 'bg-blue-100 text-blue-800',
+  out_for_delivery: 'bg-indigo-100 text-indigo-800',
+  delivered: 'bg-green-100 text-green-800',
+  exception: 'bg-red-100 text-red-800',
+  returned: 'bg-yellow-100 text-yellow-800'
+};
+
+const EMPTY_ADDRESS = { name: '', line1: '', line2: '', city: '', region: '', postalCode: '', country: '', phone: '' };
+
+/**
+ * Request form for one campaign product: variant and shipping address
+ */
+const ProductRequestForm = ({ applicationId, product, onRequested }) => {
+  const [variantSku, setVariantSku] = useState(product.variants[0]?.sku || '');
+  const [address, setAddress] = useState(EMPTY_ADDRESS);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleChange = (e) => setAddress(prev => ({ ...prev, [e.target.name]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      await applicationsAPI.requestShipment(applicationId, {
+        productId: product.id,
+        variantSku: variantSku || null,
+        shippingAddress: address
+      });
+      toast.success('Product requested');
+      onRequested();
+    } catch (error) {
+      toast.error(apiUtils.handleApiError(error).error);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const field = (name, placeholder, required = false) => (
+    <input
+      name={name}
+      value={address[name]}
+      onChange={handleChange}
+      placeholder={placeholder}
+      required={required}
+      className="input-field"
+    />
+  );
+
+  return (
+    <form onSubmit={handleSubmit} className="border border-gray-200 rounded-md p-3 space-y-2">
+      <p className="text-sm font-medium text-gray-900">{product.name}</p>
+      {product.variants.length > 0 && (
+        <select value={variantSku} onChange={(e) => setVariantSku(e.target.value)} className="input-field">
+          {product.variants.map(variant => (
+            <option key={variant.sku} value={variant.sku}>{variant.name}</option>
+          ))}
+        </select>
+      )}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+        {field('name', 'Full name', true)}
+        {field('phone', 'Phone')}
+        {field('line1', 'Address line 1', true)}
+        {field('line2', 'Address line 2')}
+        {field('city', 'City', true)}
+        {field('region', 'State / region')}
+        {field('postalCode', 'Postal code', true)}
+        {field('country', 'Country code (e.g. US)', true)}
+      </div>
+      <p className="text-xs text-gray-500">Your address is only shared with the brand for this campaign.</p>
+      <button
+        type="submit"
+        disabled={submitting}
+        className="px-3 py-1.5 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+      >
+        Request product
+      </button>
+    </form>
+  );
+};
+
+/**
+ * Seeded products: requests, carrier tracking and the content deadline counted from delivery
+ */
+const ShipmentsCard = ({ applicationId, campaignId, role }) => {
+  const [shipments, setShipments] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [contentDueAt, setContentDueAt] = useState(null);
+
+  const fetchShipments = async () => {
+    try {
+      const [shipmentData, productData] = await Promise.all([
+        applicationsAPI.getShipments(applicationId),
+        campaignId ? campaignsAPI.getProducts(campaignId) : Promise.resolve({ products: [] })
+      ]);
+      setShipments(shipmentData.shipments);
+      setContentDueAt(shipmentData.contentDueAt);
+      setProducts(productData.products);
+    } catch (error) {
+      setShipments([]);
+      setProducts([]);
+    }
+  };
+
+  useEffect(() => {
+    fetchShipments();
+  }, [applicationId, campaignId]);
+
+  const runAction = async (action, successMessage) => {
+    try {
+      await action();
+      if (successMessage) toast.success(successMessage);
+      fetchShipments();
+    } catch (error) {
+      toast.error(apiUtils.handleApiError(error).error);
+    }
+  };
+
+  const handleShip = (shipment) => {
+    const carrier = window.prompt('Carrier (ups, fedex, usps, dhl, royal_mail, canada_post, australia_post, other)', shipment.carrier || 'ups');
+    if (!carrier) return;
+    const trackingNumber = window.prompt('Tracking number', shipment.trackingNumber || '');
+    if (!trackingNumber) return;
+    runAction(() => shipmentsAPI.ship(shipment.id, carrier.trim().toLowerCase(), trackingNumber.trim()), 'Tracking saved');
+  };
+
+  const requestedProductIds = shipments.map(shipment => shipment.productId);
+  const requestable = role === 'influencer' ? products.filter(product => !requestedProductIds.includes(product.id)) : [];
+
+  if (!shipments.length && !requestable.length) return null;
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <h2 className="text-sm font-medium text-gray-900 flex items-center">
+          <TruckIcon className="h-5 w-5 text-gray-400 mr-2" />
+          Products
+        </h2>
+        {contentDueAt && (
+          <span className="text-xs text-gray-500">Content due {new Date(contentDueAt).toLocaleDateString()}</span>
+        )}
+      </div>
+
+      {shipments.map(shipment => {
+        const product = products.find(item => item.id === shipment.productId) || shipment.product;
+        const variant = product?.variants?.find(item => item.sku === shipment.variantSku);
+        return (
+          <div key={shipment.id} className="flex items-center justify-between border-t border-gray-100 pt-3">
+            <div className="min-w-0">
+              <p className="text-sm text-gray-900">
+                {product?.name || 'Product'}{variant && ` · ${variant.name}`}
+              </p>
+              <p className="text-xs text-gray-500">
+                {shipment.trackingNumber
+                  ? `${shipment.carrier.toUpperCase()} ${shipment.trackingNumber}`
+                  : [shipment.shippingAddress.city, shipment.shippingAddress.country].filter(Boolean).join(', ')}
+                {shipment.deliveredAt && ` · delivered ${new Date(shipment.deliveredAt).toLocaleDateString()}`}
+              </p>
+            </div>
+            <div className="flex items-center gap-2 ml-4">
+              <span className={`px-2 py-0.5 rounded-full text-xs font-medium capitalize ${SHIPMENT_STATUS_STYLES[shipment.status]}`}>
+                {shipment.status.replace(/_/g, ' ')}
+              </span>
+              {role === 'brand' && ['awaiting_shipment', 'shipped'].includes(shipment.status) && (
+                <button onClick={() => handleShip(shipment)} className="text-xs text-blue-600 hover:text-blue-800">
+                  {shipment.trackingNumber ? 'Edit tracking' : 'Add tracking'}
+                </button>
+              )}
+              {shipment.trackingNumber && shipment.status !== 'delivered' && (
+                <button onClick={() => runAction(() => shipmentsAPI.refresh(shipment.id))} className="text-xs text-gray-600 hover:text-gray-800">
+                  Refresh
+                </button>
+              )}
+              {role === 'influencer' && shipment.trackingNumber && shipment.status !== 'delivered' && (
+                <button
+                  onClick={() => runAction(() => shipmentsAPI.confirmDelivery(shipment.id), 'Delivery confirmed')}
+                  className="text-xs text-green-600 hover:text-green-800"
+                >
+                  Confirm delivery
+                </button>
+              )}
+            </div>
+          </div>
+        );
+      })}
+
+      {requestable.map(product => (
+        <ProductRequestForm key={product.id} applicationId={applicationId} product={product} onRequested={fetchShipments} />
+      ))}
+    </div>
+  );
+};
+
+const DeliverablesPage = () => {
+  const { id } = useParams();
+  const { user } = useAuth();
+  const [loading, setLoading] = useState(true);
+  const [data, setData] = useState(null);
+
+  useEffect(() => {
+    fetchDeliverables();
+  }, [id]);
+
+  const fetchDeliverables = async () => {
+    try {
+      const response = await applicationsAPI.getDeliverables(id);
+      setData(response);
+    } catch (error) {
+      console.error('Failed to fetch deliverables:', error);
+      toast.error(apiUtils.handleApiError(error).error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Content Review</h1>
+        {data && (
+          <p className="text-sm text-gray-500 capitalize">Content status: {formatStatus(data.contentApprovalStatus)}</p>
+        )}
+      </div>
+
+      <TrackedLinkCard applicationId={id} />
+      <PromoCodeCard applicationId={id} />
+      {data && <ShipmentsCard applicationId={id} campaignId={data.campaignId} role={user?.role} />}
+
+      {data?.deliverables.length ? (
+        data.deliverables.map(deliverable => (
+          <DeliverableCard
+            key={deliverable.id}
+            deliverable={deliverable}
+            maxRevisions={data.maxRevisions}
+            role={user?.role}
+            onChange={fetchDeliverables}
+          />
+        ))
+      ) : (
+        <div className="bg-white rounded-lg shadow p-6 text-sm text-gray-500">No content has been submitted yet.</div>
+      )}
+    </div>
+  );
+};
+
+export default DeliverablesPage;
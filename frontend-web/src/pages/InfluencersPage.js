@@ -1,22 +1,100 @@
 import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { MagnifyingGlassIcon, FunnelIcon, UserGroupIcon, MapPinIcon, CheckBadgeIcon, TrendingUpIcon } from '@heroicons/react/24/outline';
+import { MagnifyingGlassIcon, FunnelIcon, UserGroupIcon, MapPinIcon, CheckBadgeIcon, TrendingUpIcon, BookmarkIcon, TrashIcon } from '@heroicons/react/24/outline';
 import { CheckBadgeIcon as CheckBadgeIconSolid } from '@heroicons/react/24/solid';
 import toast from 'react-hot-toast';
+import InviteInfluencersModal from '../components/modals/InviteInfluencersModal';
+import { searchAPI, savedSearchesAPI, apiUtils } from '../services/api';
+
+const PLATFORM_LABELS = {
+  instagram: 'Instagram',
+  tiktok: 'TikTok',
+  youtube: 'YouTube',
+  twitter: 'Twitter'
+};
+
+// Search result as shown on an influencer card
+const toCard = (influencer) => ({
+  id: influencer.id,
+  name: influencer.name,
+  bio: influencer.bio,
+  profilePicture: influencer.avatarUrl || influencer.profilePicture,
+  totalFollowers: influencer.metrics.totalFollowers,
+  averageEngagementRate: influencer.metrics.averageEngagement,
+  platformCount: influencer.metrics.platformCount,
+  verifiedAccounts: influencer.metrics.verifiedAccounts,
+  topPlatforms: (influencer.socialAccounts || []).map(account => ({
+    platform: account.platform,
+    isVerified: account.isVerified,
+    followers: account.followersCount
+  }))
+});
+
+// Range facets are half-open [min, max); the API's max filters are inclusive
+const rangeParams = (range, step) => ({
+  min: range?.min || undefined,
+  max: range?.max ? Number((range.max - step).toFixed(2)) : undefined
+});
+
+// Filter query parameters of /api/search/influencers (also what a saved search stores)
+const toSearchParams = (filters) => {
+  const followers = rangeParams(filters.followers, 1);
+  const engagement = rangeParams(filters.engagement, 0.01);
+  return {
+    q: filters.search || undefined,
+    platforms: filters.platform || undefined,
+    niches: filters.niche || undefined,
+    min_followers: followers.min,
+    max_followers: followers.max,
+    min_engagement: engagement.min,
+    max_engagement: engagement.max
+  };
+};
+
+const toRange = (min, max, step) => (min || max
+  ? { min: Number(min) || 0, max: max ? Number((Number(max) + step).toFixed(2)) : null }
+  : null);
+
+// Page filters from search parameters, e.g. the link in a saved search alert email
+const fromSearchParams = (params) => ({
+  search: params.q || '',
+  platform: params.platforms || '',
+  niche: params.niches || '',
+  followers: toRange(params.min_followers, params.max_followers, 1),
+  engagement: toRange(params.min_engagement, params.max_engagement, 0.01)
+});
+
+const FREQUENCY_LABELS = {
+  daily: 'Daily alerts',
+  weekly: 'Weekly alerts',
+  off: 'Alerts off'
+};
+
+const formatRange = (range, format, suffix = '') => (range.max === null
+  ? `${format(range.min)}${suffix}+`
+  : `${format(range.min)}–${format(range.max)}${suffix}`);
 
 const InfluencersPage = () => {
   const { user } = useAuth();
+  const [searchParams] = useSearchParams();
   const [loading, setLoading] = useState(false);
   const [influencers, setInfluencers] = useState([]);
   const [activeView, setActiveView] = useState('discover');
   const [showFilters, setShowFilters] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [inviteTargets, setInviteTargets] = useState([]);
+  const [facets, setFacets] = useState(null);
+  const [totalItems, setTotalItems] = useState(0);
+  const [demoMode, setDemoMode] = useState(false);
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [searchId, setSearchId] = useState(null);
+  const canInvite = user?.role === 'brand';
   
-  const [filters, setFilters] = useState({
-    search: '',
-    platform: '',
-    location: '',
-    sortBy: 'followersCount'
-  });
+  const [filters, setFilters] = useState(() => ({
+    ...fromSearchParams(Object.fromEntries(searchParams)),
+    sortBy: 'relevance'
+  }));
 
   // Mock data for demo purposes
   const mockInfluencers = [
@@ -80,10 +158,127 @@ const InfluencersPage = () => {
   ];
 
   useEffect(() => {
-    // Simulate API call
-    setInfluencers(mockInfluencers);
+    // Debounced so typing doesn't fire a search per key; counts refresh with the results
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const { data } = await searchAPI.influencers({
+          ...toSearchParams(filters),
+          sort_by: filters.sortBy === 'relevance' && !filters.search ? undefined : filters.sortBy,
+          limit: 20
+        });
+        setInfluencers(data.influencers.map(toCard));
+        setTotalItems(data.pagination.totalItems);
+        setFacets(data.facets);
+        setSearchId(data.searchId);
+        setDemoMode(false);
+      } catch (error) {
+        // Fall back to sample profiles when the search API isn't reachable
+        setInfluencers(mockInfluencers);
+        setTotalItems(mockInfluencers.length);
+        setFacets(null);
+        setSearchId(null);
+        setDemoMode(true);
+      } finally {
+        setLoading(false);
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
   }, [filters, activeView]);
 
+  useEffect(() => {
+    const loadSavedSearches = async () => {
+      try {
+        const data = await savedSearchesAPI.getAll({ type: 'influencers' });
+        setSavedSearches(data.savedSearches);
+      } catch (error) {
+        setSavedSearches([]);
+      }
+    };
+
+    loadSavedSearches();
+  }, []);
+
+  const handleSaveSearch = async () => {
+    const name = window.prompt('Name this search. We will email you when new influencers match it.');
+    if (!name || !name.trim()) return;
+
+    try {
+      const data = await savedSearchesAPI.create({
+        type: 'influencers',
+        name: name.trim(),
+        filters: toSearchParams(filters)
+      });
+      setSavedSearches(prev => [data.savedSearch, ...prev]);
+      toast.success(data.message);
+    } catch (error) {
+      toast.error(apiUtils.handleApiError(error).error);
+    }
+  };
+
+  const handleFrequencyChange = async (savedSearch, frequency) => {
+    try {
+      const data = await savedSearchesAPI.update(savedSearch.id, { frequency });
+      setSavedSearches(prev => prev.map(item => (item.id === savedSearch.id ? data.savedSearch : item)));
+    } catch (error) {
+      toast.error(apiUtils.handleApiError(error).error);
+    }
+  };
+
+  const handleDeleteSearch = async (savedSearch) => {
+    try {
+      await savedSearchesAPI.delete(savedSearch.id);
+      setSavedSearches(prev => prev.filter(item => item.id !== savedSearch.id));
+    } catch (error) {
+      toast.error(apiUtils.handleApiError(error).error);
+    }
+  };
+
+  const applySavedSearch = (savedSearch) => {
+    setFilters(prev => ({ ...fromSearchParams(savedSearch.filters), sortBy: prev.sortBy }));
+  };
+
+  const facetCount = (facet, value) => {
+    const entry = facets?.[facet]?.find(item => item.value === value);
+    return entry ? ` (${entry.count})` : '';
+  };
+
+  const toggleRange = (key, range) => {
+    setFilters(prev => ({
+      ...prev,
+      [key]: prev[key]?.min === range.min ? null : { min: range.min, max: range.max }
+    }));
+  };
+
+  const RangeFacet = ({ title, facetKey, format, suffix }) => {
+    const ranges = facets?.[facetKey] || [];
+    const maxCount = Math.max(1, ...ranges.map(range => range.count));
+    return (
+      <div>
+        <h4 className="text-sm font-medium text-gray-900 mb-2">{title}</h4>
+        <div className="space-y-1">
+          {ranges.map(range => (
+            <button
+              key={range.min}
+              onClick={() => toggleRange(facetKey, range)}
+              disabled={range.count === 0 && filters[facetKey]?.min !== range.min}
+              className={`w-full flex items-center text-left text-xs rounded px-2 py-1 disabled:opacity-40 ${
+                filters[facetKey]?.min === range.min ? 'bg-blue-100 text-blue-800' : 'hover:bg-gray-100 text-gray-700'
+              }`}
+            >
+              <span className="w-24 flex-shrink-0">{formatRange(range, format, suffix)}</span>
+              <span className="flex-1 mx-2 h-2 bg-gray-100 rounded">
+                <span className="block h-2 bg-blue-400 rounded" style={{ width: `${(range.count / maxCount) * 100}%` }} />
+              </span>
+              <span className="w-8 text-right">{range.count}</span>
+            </button>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
   const formatNumber = (num) => {
     if (num >= 1000000) {
       return (num / 1000000).toFixed(1) + 'M';
@@ -93,10 +288,36 @@ const InfluencersPage = () => {
     return num?.toString() || '0';
   };
 
+  // Tells search analytics which result was picked; failures don't matter to the user
+  const trackClick = (influencer) => {
+    if (!searchId) return;
+    const position = influencers.findIndex(item => item.id === influencer.id) + 1;
+    searchAPI.recordClick(searchId, influencer.id, position).catch(() => {});
+  };
+
+  const toggleSelected = (influencerId) => {
+    setSelectedIds(prev => (prev.includes(influencerId)
+      ? prev.filter(id => id !== influencerId)
+      : [...prev, influencerId]));
+  };
+
+  const handleInvited = () => {
+    setSelectedIds([]);
+  };
+
   const InfluencerCard = ({ influencer }) => (
     <div className="bg-white rounded-lg shadow-md overflow-hidden hover:shadow-lg transition-shadow duration-200">
       <div className="p-6">
         <div className="flex items-start space-x-4">
+          {canInvite && (
+            <input
+              type="checkbox"
+              checked={selectedIds.includes(influencer.id)}
+              onChange={() => toggleSelected(influencer.id)}
+              className="mt-1 h-4 w-4 text-blue-600 border-gray-300 rounded"
+              aria-label={`Select ${influencer.name}`}
+            />
+          )}
           <div className="relative flex-shrink-0">
             <div className="h-16 w-16 rounded-full bg-gray-300 flex items-center justify-center">
               {influencer.profilePicture ? (
@@ -119,9 +340,25 @@ const InfluencersPage = () => {
               <h3 className="text-lg font-medium text-gray-900 truncate">
                 {influencer.name}
               </h3>
-              <button className="text-blue-600 hover:text-blue-500 text-sm font-medium">
-                View Profile
-              </button>
+              <div className="flex items-center space-x-3">
+                {canInvite && (
+                  <button
+                    onClick={() => {
+                      trackClick(influencer);
+                      setInviteTargets([influencer]);
+                    }}
+                    className="text-green-600 hover:text-green-500 text-sm font-medium"
+                  >
+                    Invite
+                  </button>
+                )}
+                <button
+                  onClick={() => trackClick(influencer)}
+                  className="text-blue-600 hover:text-blue-500 text-sm font-medium"
+                >
+                  View Profile
+                </button>
+              </div>
             </div>
             
             {influencer.bio && (
@@ -220,22 +457,24 @@ const InfluencersPage = () => {
                 className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
               >
                 <option value="">All Platforms</option>
-                <option value="instagram">Instagram</option>
-                <option value="tiktok">TikTok</option>
-                <option value="youtube">YouTube</option>
-                <option value="twitter">Twitter</option>
+                {Object.entries(PLATFORM_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}{facetCount('platforms', value)}</option>
+                ))}
               </select>
             </div>
 
-            {/* Location Filter */}
+            {/* Niche Filter */}
             <div className="lg:w-48">
-              <input
-                type="text"
-                value={filters.location}
-                onChange={(e) => setFilters(prev => ({ ...prev, location: e.target.value }))}
-                className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
-                placeholder="Location"
-              />
+              <select
+                value={filters.niche}
+                onChange={(e) => setFilters(prev => ({ ...prev, niche: e.target.value }))}
+                className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 capitalize"
+              >
+                <option value="">All Niches</option>
+                {(facets?.niches || []).map(({ value }) => (
+                  <option key={value} value={value}>{value}{facetCount('niches', value)}</option>
+                ))}
+              </select>
             </div>
 
             {/* Sort */}
@@ -245,20 +484,90 @@ const InfluencersPage = () => {
                 onChange={(e) => setFilters(prev => ({ ...prev, sortBy: e.target.value }))}
                 className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
               >
-                <option value="followersCount">Sort by Followers</option>
-                <option value="engagementRate">Sort by Engagement</option>
-                <option value="createdAt">Sort by Recent</option>
+                <option value="relevance">Sort by Relevance</option>
+                <option value="created_at">Sort by Recent</option>
+                <option value="name">Sort by Name</option>
               </select>
             </div>
+
+            <button
+              onClick={() => setShowFilters(prev => !prev)}
+              className={`inline-flex items-center px-3 py-2 border rounded-md text-sm font-medium ${
+                showFilters ? 'border-blue-500 text-blue-700 bg-blue-50' : 'border-gray-300 text-gray-700 bg-white hover:bg-gray-50'
+              }`}
+            >
+              <FunnelIcon className="h-4 w-4 mr-1" />
+              Filters
+            </button>
+
+            {!demoMode && (
+              <button
+                onClick={handleSaveSearch}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+              >
+                <BookmarkIcon className="h-4 w-4 mr-1" />
+                Save search
+              </button>
+            )}
           </div>
+
+          {savedSearches.length > 0 && (
+            <div className="mt-4 flex flex-wrap gap-2">
+              {savedSearches.map(savedSearch => (
+                <div
+                  key={savedSearch.id}
+                  className="inline-flex items-center rounded-full border border-gray-200 bg-gray-50 pl-3 pr-1 py-1 text-xs"
+                >
+                  <button
+                    onClick={() => applySavedSearch(savedSearch)}
+                    className="font-medium text-gray-800 hover:text-blue-600"
+                  >
+                    {savedSearch.name}
+                  </button>
+                  <select
+                    value={savedSearch.frequency}
+                    onChange={(e) => handleFrequencyChange(savedSearch, e.target.value)}
+                    className="ml-2 border-0 bg-transparent py-0 pl-1 pr-6 text-xs text-gray-600 focus:ring-0"
+                    aria-label={`Alerts for ${savedSearch.name}`}
+                  >
+                    {Object.entries(FREQUENCY_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => handleDeleteSearch(savedSearch)}
+                    className="p-1 text-gray-400 hover:text-red-600"
+                    aria-label={`Delete ${savedSearch.name}`}
+                  >
+                    <TrashIcon className="h-3.5 w-3.5" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {showFilters && facets && (
+            <div className="mt-6 grid grid-cols-1 md:grid-cols-2 gap-6">
+              <RangeFacet title="Followers" facetKey="followers" format={formatNumber} />
+              <RangeFacet title="Engagement rate" facetKey="engagement" format={(value) => value} suffix="%" />
+            </div>
+          )}
         </div>
 
         {/* Results */}
         <div className="mb-6">
           <div className="flex items-center justify-between">
             <p className="text-sm text-gray-700">
-              {influencers.length} influencers found
+              {totalItems} influencers found
             </p>
+            {canInvite && selectedIds.length > 0 && (
+              <button
+                onClick={() => setInviteTargets(influencers.filter(influencer => selectedIds.includes(influencer.id)))}
+                className="px-4 py-2 rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+              >
+                Invite selected ({selectedIds.length})
+              </button>
+            )}
           </div>
         </div>
 
@@ -288,21 +597,30 @@ const InfluencersPage = () => {
           </>
         )}
 
+        <InviteInfluencersModal
+          isOpen={inviteTargets.length > 0}
+          onClose={() => setInviteTargets([])}
+          influencers={inviteTargets}
+          onInvited={handleInvited}
+        />
+
         {/* Demo Notice */}
-        <div className="mt-8 bg-blue-50 border border-blue-200 rounded-lg p-4">
-          <div className="flex">
-            <div className="ml-3">
-              <h3 className="text-sm font-medium text-blue-800">
-                Demo Mode
-              </h3>
-              <div className="mt-2 text-sm text-blue-700">
-                <p>
-                  This is showing sample influencer data. In production, this would connect to the real influencer discovery API with thousands of profiles.
-                </p>
+        {demoMode && (
+          <div className="mt-8 bg-blue-50 border border-blue-200 rounded-lg p-4">
+            <div className="flex">
+              <div className="ml-3">
+                <h3 className="text-sm font-medium text-blue-800">
+                  Demo Mode
+                </h3>
+                <div className="mt-2 text-sm text-blue-700">
+                  <p>
+                    This is showing sample influencer data. In production, this would connect to the real influencer discovery API with thousands of profiles.
+                  </p>
+                </div>
               </div>
             </div>
           </div>
-        </div>
+        )}
       </div>
     </div>
   );
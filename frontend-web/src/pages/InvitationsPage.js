@@ -0,0 +1,261 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { invitationsAPI, apiUtils } from '../services/api';
+import { EnvelopeIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+
+const STATUS_STYLES = {
+  pending: 'bg-blue-100 text-blue-800',
+  accepted: 'bg-green-100 text-green-800',
+  declined: 'bg-red-100 text-red-800',
+  withdrawn: 'bg-gray-100 text-gray-800',
+  expired: 'bg-yellow-100 text-yellow-800'
+};
+
+const PLATFORMS = ['instagram', 'tiktok', 'youtube', 'twitter', 'facebook', 'linkedin', 'snapchat', 'pinterest', 'twitch'];
+
+const formatCurrency = (amount, currency = 'USD') => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency
+}).format(amount || 0);
+
+/**
+ * Platform picker and message an influencer sends when accepting
+ */
+const AcceptForm = ({ invitation, onDone, onCancel }) => {
+  const [platforms, setPlatforms] = useState([]);
+  const [message, setMessage] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const togglePlatform = (platform) => {
+    setPlatforms(prev => (prev.includes(platform) ? prev.filter(item => item !== platform) : [...prev, platform]));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      await invitationsAPI.accept(invitation.id, { appliedPlatforms: platforms, message: message || undefined });
+      toast.success('Invitation accepted');
+      onDone();
+    } catch (error) {
+      toast.error(apiUtils.handleApiError(error).error);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-4 space-y-3 border-t border-gray-100 pt-4">
+      <div>
+        <p className="text-sm font-medium text-gray-700">Platforms you will post on</p>
+        <div className="mt-2 flex flex-wrap gap-2">
+          {PLATFORMS.map(platform => (
+            <label key={platform} className="inline-flex items-center text-sm text-gray-700 capitalize">
+              <input
+                type="checkbox"
+                checked={platforms.includes(platform)}
+                onChange={() => togglePlatform(platform)}
+                className="mr-1 h-4 w-4 text-blue-600 border-gray-300 rounded"
+              />
+              {platform}
+            </label>
+          ))}
+        </div>
+      </div>
+      <textarea
+        rows="2"
+        maxLength={1000}
+        value={message}
+        onChange={(e) => setMessage(e.target.value)}
+        className="input-field"
+        placeholder="Optional note for the brand"
+      />
+      <div className="flex justify-end space-x-3">
+        <button type="button" onClick={onCancel} className="px-3 py-1.5 text-sm text-gray-600 hover:text-gray-800">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={submitting || platforms.length === 0}
+          className="px-3 py-1.5 rounded-md text-sm font-medium text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+        >
+          {submitting ? 'Accepting...' : 'Confirm'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const InvitationCard = ({ invitation, role, onChange }) => {
+  const [accepting, setAccepting] = useState(false);
+  const isPending = invitation.status === 'pending';
+
+  const handleDecline = async () => {
+    const reason = window.prompt('Let the brand know why (optional)');
+    if (reason === null) return;
+
+    try {
+      await invitationsAPI.decline(invitation.id, reason || undefined);
+      toast.success('Invitation declined');
+      onChange();
+    } catch (error) {
+      toast.error(apiUtils.handleApiError(error).error);
+    }
+  };
+
+  const handleWithdraw = async () => {
+    try {
+      await invitationsAPI.withdraw(invitation.id);
+      toast.success('Invitation withdrawn');
+      onChange();
+    } catch (error) {
+      toast.error(apiUtils.handleApiError(error).error);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex items-start justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">{invitation.campaign?.title}</h3>
+          <p className="text-sm text-gray-500">
+            {role === 'brand' ? `To ${invitation.influencer?.name}` : `From ${invitation.brand?.name}`}
+            {' · '}
+            {isPending
+              ? `expires ${new Date(invitation.expiresAt).toLocaleDateString()}`
+              : `sent ${new Date(invitation.createdAt || invitation.created_at).toLocaleDateString()}`}
+          </p>
+        </div>
+        <div className="text-right">
+          <p className="text-lg font-semibold text-gray-900">{formatCurrency(invitation.offeredRate, invitation.currency)}</p>
+          <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[invitation.status]}`}>
+            {invitation.status}
+          </span>
+        </div>
+      </div>
+
+      {invitation.message && (
+        <p className="mt-3 text-sm text-gray-700 whitespace-pre-line">{invitation.message}</p>
+      )}
+      {invitation.declineReason && (
+        <p className="mt-2 text-sm text-red-700">Declined: {invitation.declineReason}</p>
+      )}
+
+      {invitation.applicationId && (
+        <Link
+          to={`/app/applications/${invitation.applicationId}/deliverables`}
+          className="mt-3 inline-block text-sm font-medium text-blue-600 hover:text-blue-500"
+        >
+          View application content
+        </Link>
+      )}
+
+      {isPending && role === 'influencer' && !accepting && (
+        <div className="mt-4 flex space-x-3">
+          <button
+            onClick={() => setAccepting(true)}
+            className="px-3 py-1.5 rounded-md text-sm font-medium text-white bg-green-600 hover:bg-green-700"
+          >
+            Accept
+          </button>
+          <button
+            onClick={handleDecline}
+            className="px-3 py-1.5 rounded-md text-sm font-medium text-red-700 border border-red-300 hover:bg-red-50"
+          >
+            Decline
+          </button>
+        </div>
+      )}
+      {accepting && (
+        <AcceptForm invitation={invitation} onDone={onChange} onCancel={() => setAccepting(false)} />
+      )}
+
+      {isPending && role === 'brand' && (
+        <button
+          onClick={handleWithdraw}
+          className="mt-4 px-3 py-1.5 rounded-md text-sm font-medium text-gray-700 border border-gray-300 hover:bg-gray-50"
+        >
+          Withdraw
+        </button>
+      )}
+    </div>
+  );
+};
+
+const InvitationsPage = () => {
+  const { user } = useAuth();
+  const [loading, setLoading] = useState(true);
+  const [invitations, setInvitations] = useState([]);
+  const [statusFilter, setStatusFilter] = useState(user?.role === 'influencer' ? 'pending' : '');
+
+  useEffect(() => {
+    fetchInvitations();
+  }, [statusFilter]);
+
+  const fetchInvitations = async () => {
+    try {
+      const response = await invitationsAPI.getAll(statusFilter ? { status: statusFilter } : {});
+      setInvitations(response.invitations);
+    } catch (error) {
+      console.error('Failed to fetch invitations:', error);
+      toast.error(apiUtils.handleApiError(error).error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">
+            {user?.role === 'brand' ? 'Sent Invitations' : 'Invitations'}
+          </h1>
+          <p className="text-sm text-gray-500">
+            {user?.role === 'brand'
+              ? 'Influencers you invited to your campaigns'
+              : 'Brands that want you on their campaigns'}
+          </p>
+        </div>
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+        >
+          <option value="">All</option>
+          {Object.keys(STATUS_STYLES).map(status => (
+            <option key={status} value={status} className="capitalize">{status}</option>
+          ))}
+        </select>
+      </div>
+
+      {invitations.length ? (
+        invitations.map(invitation => (
+          <InvitationCard
+            key={invitation.id}
+            invitation={invitation}
+            role={user?.role}
+            onChange={fetchInvitations}
+          />
+        ))
+      ) : (
+        <div className="bg-white rounded-lg shadow p-12 text-center">
+          <EnvelopeIcon className="mx-auto h-12 w-12 text-gray-400" />
+          <p className="mt-2 text-sm text-gray-500">No invitations here yet.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InvitationsPage;
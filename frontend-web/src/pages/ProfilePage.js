@@ -1,27 +1,38 @@
 import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { authAPI } from '../services/api';
-import { UserIcon, PencilIcon, CameraIcon, MapPinIcon, GlobeAltIcon, PhoneIcon, EnvelopeIcon, CalendarIcon, ChartBarIcon, CurrencyDollarIcon, UserGroupIcon, TrendingUpIcon, CheckCircleIcon, ClockIcon } from '@heroicons/react/24/outline';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import PayoutSettings from '../components/PayoutSettings';
+import { UserIcon, PencilIcon, CameraIcon, MapPinIcon, GlobeAltIcon, PhoneIcon, EnvelopeIcon, CalendarIcon, ChartBarIcon, CurrencyDollarIcon, UserGroupIcon, TrendingUpIcon, CheckCircleIcon, ClockIcon, BanknotesIcon } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
 
+// Currencies the fixture FX provider quotes; the API rejects anything the live provider lacks
+const CURRENCY_OPTIONS = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'INR', 'JPY', 'BRL', 'MXN'];
+
 const ProfilePage = () => {
   const { user } = useAuth();
+  const [searchParams] = useSearchParams();
   const [loading, setLoading] = useState(true);
   const [profile, setProfile] = useState(null);
   const [editMode, setEditMode] = useState(false);
-  const [activeTab, setActiveTab] = useState('overview');
+  // Stripe onboarding returns to /app/profile?tab=payouts&onboarding=complete (or =refresh)
+  const [activeTab, setActiveTab] = useState(searchParams.get('tab') || 'overview');
   
   const [editForm, setEditForm] = useState({
     name: '',
     bio: '',
     location: '',
     website: '',
-    phone: ''
+    phone: '',
+    country: '',
+    preferredCurrency: 'USD'
   });
 
   const tabs = [
     { id: 'overview', label: 'Overview', icon: UserIcon },
     { id: 'stats', label: 'Statistics', icon: ChartBarIcon },
+    ...(user?.role === 'influencer' ? [{ id: 'payouts', label: 'Payouts', icon: BanknotesIcon }] : []),
     { id: 'settings', label: 'Settings', icon: PencilIcon }
   ];
 
@@ -39,7 +50,9 @@ const ProfilePage = () => {
         bio: response.data.profile.bio || '',
         location: response.data.profile.location || '',
         website: response.data.profile.website || '',
-        phone: response.data.profile.phone || ''
+        phone: response.data.profile.phone || '',
+        country: response.data.profile.country || '',
+        preferredCurrency: response.data.profile.preferredCurrency || 'USD'
       });
     } catch (error) {
       console.error('Failed to fetch profile:', error);
@@ -62,6 +75,16 @@ const ProfilePage = () => {
     }
   };
 
+  const handleResendVerification = async () => {
+    try {
+      const data = await authAPI.resendVerification();
+      toast.success(data.message);
+    } catch (error) {
+      console.error('Failed to resend verification email:', error);
+      toast.error('Failed to resend verification email');
+    }
+  };
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -73,7 +96,7 @@ const ProfilePage = () => {
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD'
+      currency: profile?.preferredCurrency || 'USD'
     }).format(amount || 0);
   };
 
@@ -360,6 +383,11 @@ const ProfilePage = () => {
             </div>
           )}
 
+          {/* Payouts Tab */}
+          {activeTab === 'payouts' && user?.role === 'influencer' && (
+            <PayoutSettings />
+          )}
+
           {/* Settings Tab */}
           {activeTab === 'settings' && (
             <div className="space-y-6">
@@ -423,6 +451,32 @@ const ProfilePage = () => {
                       />
                     </div>
 
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700">Country</label>
+                      <input
+                        type="text"
+                        maxLength={2}
+                        value={editForm.country}
+                        onChange={(e) => setEditForm({ ...editForm, country: e.target.value.toUpperCase() })}
+                        className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                        placeholder="Two-letter code, e.g. US"
+                      />
+                      <p className="mt-1 text-xs text-gray-500">Used to match you with campaigns open to your region.</p>
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700">Reporting Currency</label>
+                      <select
+                        value={editForm.preferredCurrency}
+                        onChange={(e) => setEditForm({ ...editForm, preferredCurrency: e.target.value })}
+                        className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                      >
+                        {CURRENCY_OPTIONS.map((currency) => (
+                          <option key={currency} value={currency}>{currency}</option>
+                        ))}
+                      </select>
+                    </div>
+
                     <div className="flex justify-end space-x-3">
                       <button
                         type="button"
@@ -445,6 +499,20 @@ const ProfilePage = () => {
                       <span className="text-sm font-medium text-gray-600">Email</span>
                       <span className="text-sm text-gray-900">{profile?.email}</span>
                     </div>
+                    <div className="flex items-center justify-between py-2 border-b border-gray-200">
+                      <span className="text-sm font-medium text-gray-600">Email Verified</span>
+                      {(profile?.emailVerified ?? user?.emailVerified) ? (
+                        <span className="text-sm text-green-700">Verified</span>
+                      ) : (
+                        <button
+                          type="button"
+                          onClick={handleResendVerification}
+                          className="text-sm font-medium text-blue-600 hover:text-blue-500"
+                        >
+                          Resend verification email
+                        </button>
+                      )}
+                    </div>
                     <div className="flex items-center justify-between py-2 border-b border-gray-200">
                       <span className="text-sm font-medium text-gray-600">Account Type</span>
                       <span className="text-sm text-gray-900 capitalize">{profile?.role}</span>
@@ -453,6 +521,10 @@ const ProfilePage = () => {
                       <span className="text-sm font-medium text-gray-600">Status</span>
                       <span className="text-sm text-gray-900 capitalize">{profile?.status}</span>
                     </div>
+                    <div className="flex items-center justify-between py-2 border-b border-gray-200">
+                      <span className="text-sm font-medium text-gray-600">Reporting Currency</span>
+                      <span className="text-sm text-gray-900">{profile?.preferredCurrency || 'USD'}</span>
+                    </div>
                     <div className="flex items-center justify-between py-2">
                       <span className="text-sm font-medium text-gray-600">Member Since</span>
                       <span className="text-sm text-gray-900">{formatDate(profile?.createdAt)}</span>
@@ -467,6 +539,8 @@ const ProfilePage = () => {
                   </div>
                 )}
               </div>
+
+              <TwoFactorSettings enabled={Boolean(profile?.twoFactorEnabled ?? user?.twoFactorEnabled)} />
             </div>
           )}
         </div>
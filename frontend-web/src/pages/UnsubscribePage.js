@@ -0,0 +1,63 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { savedSearchesAPI, apiUtils } from '../services/api';
+
+const UnsubscribePage = () => {
+  const { token } = useParams();
+  const [status, setStatus] = useState('working');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    const unsubscribe = async () => {
+      try {
+        const data = await savedSearchesAPI.unsubscribe(token);
+        setStatus('success');
+        setMessage(data.message);
+      } catch (error) {
+        setStatus('error');
+        setMessage(apiUtils.handleApiError(error).error);
+      }
+    };
+
+    unsubscribe();
+  }, [token]);
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md text-center">
+        <Link to="/" className="flex justify-center">
+          <h1 className="text-3xl font-bold text-blue-600">NanoInfluencer</h1>
+        </Link>
+
+        {status === 'working' && (
+          <div className="mt-8 flex flex-col items-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            <p className="mt-4 text-sm text-gray-600">Turning off alerts...</p>
+          </div>
+        )}
+
+        {status !== 'working' && (
+          <>
+            <h2 className="mt-6 text-3xl font-extrabold text-gray-900">
+              {status === 'success' ? 'Unsubscribed' : 'Unsubscribe failed'}
+            </h2>
+            <p className="mt-2 text-sm text-gray-600">{message}</p>
+            <p className="mt-2 text-sm text-gray-600">
+              You can manage alerts for your saved searches on the Discover Influencers page.
+            </p>
+            <div className="mt-6">
+              <Link
+                to="/app/influencers"
+                className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              >
+                Manage saved searches
+              </Link>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UnsubscribePage;
@@ -0,0 +1,79 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authAPI, apiUtils } from '../services/api';
+
+const VerifyEmailPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'Verification link is missing a token.');
+
+  useEffect(() => {
+    if (!token) return;
+
+    const verify = async () => {
+      try {
+        const data = await authAPI.verifyEmail(token);
+        setStatus('success');
+        setMessage(data.message);
+      } catch (error) {
+        setStatus('error');
+        setMessage(apiUtils.handleApiError(error).error);
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md text-center">
+        <Link to="/" className="flex justify-center">
+          <h1 className="text-3xl font-bold text-blue-600">NanoInfluencer</h1>
+        </Link>
+
+        {status === 'verifying' && (
+          <div className="mt-8 flex flex-col items-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            <p className="mt-4 text-sm text-gray-600">Verifying your email address...</p>
+          </div>
+        )}
+
+        {status === 'success' && (
+          <>
+            <h2 className="mt-6 text-3xl font-extrabold text-gray-900">Email verified</h2>
+            <p className="mt-2 text-sm text-gray-600">{message}</p>
+            <div className="mt-6">
+              <Link
+                to="/app"
+                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700"
+              >
+                Continue to dashboard
+              </Link>
+            </div>
+          </>
+        )}
+
+        {status === 'error' && (
+          <>
+            <h2 className="mt-6 text-3xl font-extrabold text-gray-900">Verification failed</h2>
+            <p className="mt-2 text-sm text-gray-600">{message}</p>
+            <p className="mt-2 text-sm text-gray-600">
+              You can request a new link from your profile settings.
+            </p>
+            <div className="mt-6">
+              <Link
+                to="/auth"
+                className="inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              >
+                Back to sign in
+              </Link>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
@@ -214,6 +214,12 @@ export const authAPI = {
     }
     
     const response = await api.post('/auth/login', credentials);
+    
+    // 2FA enabled: caller must complete login with verifyTwoFactorLogin
+    if (response.data.twoFactorRequired) {
+      return response.data;
+    }
+    
     const { user, accessToken, accessTokenExpiresIn } = response.data;
     
     // Store access token in memory and refresh token is in httpOnly cookie
@@ -257,12 +263,67 @@ export const authAPI = {
 
   googleLogin: async (googleData) => {
     const response = await api.post('/auth/google', googleData);
+    
+    if (response.data.twoFactorRequired) {
+      return response.data;
+    }
+    
     const { user, accessToken, accessTokenExpiresIn } = response.data;
     
     // Store access token in memory and refresh token is in httpOnly cookie
     tokenManager.setAccessToken(accessToken, accessTokenExpiresIn);
     localStorage.setItem('user', JSON.stringify(user));
     
+    return response.data;
+  },
+
+  verifyTwoFactorLogin: async (challengeData) => {
+    const response = await api.post('/auth/login/2fa', challengeData);
+    const { user, accessToken, accessTokenExpiresIn } = response.data;
+    
+    tokenManager.setAccessToken(accessToken, accessTokenExpiresIn);
+    localStorage.setItem('user', JSON.stringify(user));
+    
+    return response.data;
+  },
+
+  verifyEmail: async (token) => {
+    const response = await api.post('/auth/verify-email', { token });
+    if (tokenManager.getAccessToken()) {
+      localStorage.setItem('user', JSON.stringify(response.data.user));
+    }
+    return response.data;
+  },
+
+  resendVerification: async (email) => {
+    const response = await api.post('/auth/resend-verification', email ? { email } : {});
+    return response.data;
+  },
+
+  forgotPassword: async (email) => {
+    const response = await api.post('/auth/forgot-password', { email });
+    return response.data;
+  },
+
+  resetPassword: async (resetData) => {
+    const response = await api.post('/auth/reset-password', resetData);
+    return response.data;
+  },
+
+  setupTwoFactor: async () => {
+    const response = await api.post('/auth/2fa/setup');
+    return response.data;
+  },
+
+  verifyTwoFactor: async (token) => {
+    const response = await api.post('/auth/2fa/verify', { token });
+    localStorage.setItem('user', JSON.stringify(response.data.user));
+    return response.data;
+  },
+
+  disableTwoFactor: async (disableData) => {
+    const response = await api.post('/auth/2fa/disable', disableData);
+    localStorage.setItem('user', JSON.stringify(response.data.user));
     return response.data;
   }
 };
@@ -292,6 +353,130 @@ export const applicationsAPI = {
   submitContent: async (applicationId, contentData) => {
     const response = await api.put(`/applications/${applicationId}/content`, contentData);
     return response.data;
+  },
+
+  reviewContent: async (applicationId, reviewData) => {
+    const response = await api.put(`/applications/${applicationId}/content/review`, reviewData);
+    return response.data;
+  },
+
+  getHistory: async (applicationId) => {
+    const response = await api.get(`/applications/${applicationId}/history`);
+    return response.data;
+  },
+
+  getDeliverables: async (applicationId) => {
+    const response = await api.get(`/applications/${applicationId}/deliverables`);
+    return response.data;
+  },
+
+  createDeliverable: async (applicationId, deliverableData) => {
+    const response = await api.post(`/applications/${applicationId}/deliverables`, deliverableData);
+    return response.data;
+  },
+
+  getOffers: async (applicationId) => {
+    const response = await api.get(`/applications/${applicationId}/offers`);
+    return response.data;
+  },
+
+  makeOffer: async (applicationId, offerData) => {
+    const response = await api.post(`/applications/${applicationId}/offers`, offerData);
+    return response.data;
+  },
+
+  respondToOffer: async (applicationId, offerId, action) => {
+    const response = await api.post(`/applications/${applicationId}/offers/${offerId}/${action}`);
+    return response.data;
+  },
+
+  getLink: async (applicationId) => {
+    const response = await api.get(`/applications/${applicationId}/link`);
+    return response.data;
+  },
+
+  getPromoCode: async (applicationId) => {
+    const response = await api.get(`/applications/${applicationId}/promo-code`);
+    return response.data;
+  },
+
+  getShipments: async (applicationId) => {
+    const response = await api.get(`/applications/${applicationId}/shipments`);
+    return response.data;
+  },
+
+  requestShipment: async (applicationId, shipmentData) => {
+    const response = await api.post(`/applications/${applicationId}/shipments`, shipmentData);
+    return response.data;
+  }
+};
+
+// Deliverables API (versioned content review)
+export const deliverablesAPI = {
+  submitRevision: async (deliverableId, versionData) => {
+    const response = await api.post(`/deliverables/${deliverableId}/versions`, versionData);
+    return response.data;
+  },
+
+  reviewVersion: async (deliverableId, version, reviewData) => {
+    const response = await api.put(`/deliverables/${deliverableId}/versions/${version}/review`, reviewData);
+    return response.data;
+  },
+
+  addComment: async (deliverableId, version, commentData) => {
+    const response = await api.post(`/deliverables/${deliverableId}/versions/${version}/comments`, commentData);
+    return response.data;
+  },
+
+  compareVersions: async (deliverableId, params = {}) => {
+    const response = await api.get(`/deliverables/${deliverableId}/compare`, { params });
+    return response.data;
+  }
+};
+
+// Invitations API (brand-initiated campaign invitations)
+export const invitationsAPI = {
+  getAll: async (params = {}) => {
+    const response = await api.get('/invitations', { params });
+    return response.data;
+  },
+
+  send: async (invitationData) => {
+    const response = await api.post('/invitations', invitationData);
+    return response.data;
+  },
+
+  accept: async (invitationId, acceptData = {}) => {
+    const response = await api.post(`/invitations/${invitationId}/accept`, acceptData);
+    return response.data;
+  },
+
+  decline: async (invitationId, reason) => {
+    const response = await api.post(`/invitations/${invitationId}/decline`, { reason });
+    return response.data;
+  },
+
+  withdraw: async (invitationId) => {
+    const response = await api.post(`/invitations/${invitationId}/withdraw`);
+    return response.data;
+  }
+};
+
+// Shipments API (seeded products and carrier tracking)
+export const shipmentsAPI = {
+  ship: async (shipmentId, carrier, trackingNumber) => {
+    const response = await api.post(`/shipments/${shipmentId}/ship`, { carrier, trackingNumber });
+    return response.data;
+  },
+
+  refresh: async (shipmentId) => {
+    const response = await api.post(`/shipments/${shipmentId}/refresh`);
+    return response.data;
+  },
+
+  confirmDelivery: async (shipmentId) => {
+    const response = await api.post(`/shipments/${shipmentId}/confirm-delivery`);
+    return response.data;
   }
 };
 
@@ -320,6 +505,85 @@ export const campaignsAPI = {
   delete: async (id) => {
     const response = await api.delete(`/campaigns/${id}`);
     return response.data;
+  },
+
+  getLinks: async (id) => {
+    const response = await api.get(`/campaigns/${id}/links`);
+    return response.data;
+  },
+
+  getProducts: async (id) => {
+    const response = await api.get(`/campaigns/${id}/products`);
+    return response.data;
+  },
+
+  addProduct: async (id, productData) => {
+    const response = await api.post(`/campaigns/${id}/products`, productData);
+    return response.data;
+  },
+
+  updateProduct: async (id, productId, productData) => {
+    const response = await api.put(`/campaigns/${id}/products/${productId}`, productData);
+    return response.data;
+  },
+
+  deleteProduct: async (id, productId) => {
+    const response = await api.delete(`/campaigns/${id}/products/${productId}`);
+    return response.data;
+  },
+
+  getShipments: async (id) => {
+    const response = await api.get(`/campaigns/${id}/shipments`);
+    return response.data;
+  },
+
+  getConversions: async (id) => {
+    const response = await api.get(`/campaigns/${id}/conversions`);
+    return response.data;
+  },
+
+  importConversions: async (id, csv) => {
+    const response = await api.post(`/campaigns/${id}/conversions/import`, csv, {
+      headers: { 'Content-Type': 'text/csv' }
+    });
+    return response.data;
+  },
+
+  rotateConversionSecret: async (id) => {
+    const response = await api.post(`/campaigns/${id}/conversions/secret`);
+    return response.data;
+  },
+
+  duplicate: async (id, data = {}) => {
+    const response = await api.post(`/campaigns/${id}/duplicate`, data);
+    return response.data;
+  },
+
+  getTemplates: async () => {
+    const response = await api.get('/campaigns/templates');
+    return response.data;
+  },
+
+  saveTemplate: async (templateData) => {
+    const response = await api.post('/campaigns/templates', templateData);
+    return response.data;
+  },
+
+  applyTemplate: async (templateId, campaignStartDate) => {
+    const response = await api.post(`/campaigns/templates/${templateId}/apply`, {
+      campaignStartDate: campaignStartDate || undefined
+    });
+    return response.data;
+  },
+
+  deleteTemplate: async (templateId) => {
+    const response = await api.delete(`/campaigns/templates/${templateId}`);
+    return response.data;
+  },
+
+  getRecommendedInfluencers: async (campaignId, limit) => {
+    const response = await api.get(`/campaigns/${campaignId}/recommended-influencers`, { params: { limit } });
+    return response.data;
   }
 };
 
@@ -338,6 +602,57 @@ export const influencersAPI = {
   search: async (searchParams) => {
     const response = await api.get('/influencers/search', { params: searchParams });
     return response.data;
+  },
+
+  getRecommendedCampaigns: async (limit) => {
+    const response = await api.get('/influencers/me/recommended-campaigns', { params: { limit } });
+    return response.data;
+  }
+};
+
+// Search API (results come with facet counts for the active filters)
+export const searchAPI = {
+  influencers: async (params = {}) => {
+    const response = await api.get('/search/influencers', { params });
+    return response.data;
+  },
+
+  campaigns: async (params = {}) => {
+    const response = await api.get('/search/campaigns', { params });
+    return response.data;
+  },
+
+  recordClick: async (searchId, resultId, position) => {
+    const response = await api.post(`/search/${searchId}/click`, { resultId, position });
+    return response.data;
+  }
+};
+
+// Saved searches API (new-match email alerts)
+export const savedSearchesAPI = {
+  getAll: async (params = {}) => {
+    const response = await api.get('/saved-searches', { params });
+    return response.data;
+  },
+
+  create: async (savedSearchData) => {
+    const response = await api.post('/saved-searches', savedSearchData);
+    return response.data;
+  },
+
+  update: async (savedSearchId, updates) => {
+    const response = await api.put(`/saved-searches/${savedSearchId}`, updates);
+    return response.data;
+  },
+
+  delete: async (savedSearchId) => {
+    const response = await api.delete(`/saved-searches/${savedSearchId}`);
+    return response.data;
+  },
+
+  unsubscribe: async (token) => {
+    const response = await api.post(`/saved-searches/unsubscribe/${token}`);
+    return response.data;
   }
 };
 
@@ -137,6 +137,37 @@ class PaymentService {
     }
   }
 
+  /**
+   * Split part of the escrow into milestones for one application (brand action)
+   */
+  async createAllocation(applicationId, amount, milestones = []) {
+    try {
+      const response = await api.post('/payments/escrow/allocations', {
+        applicationId,
+        amount,
+        milestones
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error('Error creating escrow allocation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve an escrow milestone (brand action)
+   */
+  async approveMilestone(milestoneId) {
+    try {
+      const response = await api.post(`/payments/milestones/${milestoneId}/approve`);
+      return response.data;
+    } catch (error) {
+      console.error('Error approving milestone:', error);
+      throw error;
+    }
+  }
+
   /**
    * Process refund to brand
    */
@@ -156,13 +187,15 @@ class PaymentService {
   }
 
   /**
-   * Handle payment dispute
+   * Open a dispute on an escrow (freezes the escrowed funds)
    */
-  async handleDispute(escrowId, disputeType, evidence = {}) {
+  async handleDispute(escrowId, disputeType, { applicationId, description, evidence = [] } = {}) {
     try {
       const response = await api.post('/payments/dispute', {
         escrowId,
+        applicationId,
         disputeType,
+        description,
         evidence
       });
 
@@ -173,6 +206,179 @@ class PaymentService {
     }
   }
 
+  /**
+   * List disputes for the current user
+   */
+  async getDisputes(params = {}) {
+    try {
+      const response = await api.get('/disputes', { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error getting disputes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a dispute with its evidence and messages
+   */
+  async getDispute(disputeId) {
+    try {
+      const response = await api.get(`/disputes/${disputeId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error getting dispute:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Post a message to a dispute thread
+   */
+  async sendDisputeMessage(disputeId, body) {
+    try {
+      const response = await api.post(`/disputes/${disputeId}/messages`, { body });
+      return response.data;
+    } catch (error) {
+      console.error('Error sending dispute message:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Attach evidence (an upload key and/or a statement) to a dispute
+   */
+  async addDisputeEvidence(disputeId, { uploadKey, fileName, description }) {
+    try {
+      const response = await api.post(`/disputes/${disputeId}/evidence`, {
+        uploadKey,
+        fileName,
+        description
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error adding dispute evidence:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start Stripe Connect onboarding and get the onboarding link (influencer action)
+   */
+  async startPayoutOnboarding(country) {
+    try {
+      const response = await api.post('/payments/payouts/onboarding', { country });
+      return response.data;
+    } catch (error) {
+      console.error('Error starting payout onboarding:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get payout account onboarding status
+   */
+  async getPayoutAccount() {
+    try {
+      const response = await api.get('/payments/payouts/account');
+      return response.data;
+    } catch (error) {
+      console.error('Error getting payout account:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List payouts and their transfer status
+   */
+  async getPayouts(params = {}) {
+    try {
+      const response = await api.get('/payments/payouts', { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error getting payouts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get subscription tiers with prices, limits and features
+   */
+  async getSubscriptionTiers() {
+    try {
+      const response = await api.get('/billing/tiers');
+      return response.data;
+    } catch (error) {
+      console.error('Error getting subscription tiers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the brand's current plan, limits and usage
+   */
+  async getSubscription() {
+    try {
+      const response = await api.get('/billing/subscription');
+      return response.data;
+    } catch (error) {
+      console.error('Error getting subscription:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Subscribe to a paid tier; confirm the returned clientSecret to activate it
+   */
+  async subscribe(tier) {
+    try {
+      const response = await api.post('/billing/subscribe', { tier });
+      return response.data;
+    } catch (error) {
+      console.error('Error subscribing:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move the subscription to another tier
+   */
+  async changeSubscription(tier) {
+    try {
+      const response = await api.post('/billing/upgrade', { tier });
+      return response.data;
+    } catch (error) {
+      console.error('Error changing subscription:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel the subscription at the end of the billing period
+   */
+  async cancelSubscription(reason = '') {
+    try {
+      const response = await api.post('/billing/cancel', { reason });
+      return response.data;
+    } catch (error) {
+      console.error('Error cancelling subscription:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a Stripe billing portal link
+   */
+  async openBillingPortal() {
+    try {
+      const response = await api.post('/billing/portal');
+      return response.data;
+    } catch (error) {
+      console.error('Error opening billing portal:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get escrow account status
    */
@@ -189,9 +395,9 @@ class PaymentService {
   /**
    * Calculate payment fees
    */
-  async calculateFees(amount) {
+  async calculateFees(amount, currency = 'USD') {
     try {
-      const response = await api.get(`/payments/fees/calculate?amount=${amount}`);
+      const response = await api.get('/payments/fees/calculate', { params: { amount, currency } });
       return response.data;
     } catch (error) {
       console.error('Error calculating fees:', error);